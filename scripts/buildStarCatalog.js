@@ -0,0 +1,63 @@
+/**
+ * Build src/utils/brightStars.js from the Hipparcos main catalogue
+ * Keeps every star to magnitude 6.5 (about 8,900) with J2000 positions, V magnitude and B-V.
+ *
+ * Download hip_main.dat from CDS (catalogue I/239), e.g.
+ *   https://cdsarc.cds.unistra.fr/ftp/I/239/hip_main.dat
+ * then run:
+ *   npm run build:stars -- path/to/hip_main.dat
+ *
+ * A GeoJSON list of Hipparcos stars works too, such as data/stars.8.json from the
+ * d3-celestial npm package (XHIP, CDS V/137D; J2000 positions):
+ *   npm pack d3-celestial && tar xzf d3-celestial-*.tgz package/data/stars.8.json
+ *   npm run build:stars -- package/data/stars.8.json
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseHipparcosCatalog, parseStarGeoJSON, CONSTELLATIONS, LIMITING_MAGNITUDE } from '../src/utils/starCatalog.js';
+
+const OUTPUT_FILE = fileURLToPath(new URL('../src/utils/brightStars.js', import.meta.url));
+
+const inputFile = process.argv[2];
+if (!inputFile) {
+  console.error('Usage: npm run build:stars -- path/to/hip_main.dat (or a GeoJSON star list)');
+  process.exit(1);
+}
+
+const text = await readFile(inputFile, 'latin1');
+const isGeoJSON = text.trimStart().startsWith('{');
+const rows = isGeoJSON ? parseStarGeoJSON(text, LIMITING_MAGNITUDE) : parseHipparcosCatalog(text, LIMITING_MAGNITUDE);
+const origin = isGeoJSON
+  ? ` * Source: the XHIP compilation (Anderson & Francis 2012, CDS V/137D) as GeoJSON in d3-celestial,
+ * whose positions are already J2000.`
+  : ` * Source: hip_main.dat, moved from J1991.25 to J2000 with the proper motions.`;
+
+// The constellation figures must still find their stars
+const hips = new Set(rows.map(row => row[0]));
+const missing = CONSTELLATIONS.flatMap(({ lines }) => lines.flat()).filter(hip => !hips.has(hip));
+if (missing.length > 0) {
+  console.warn(`⚠️ Constellation stars missing from the catalogue: ${[...new Set(missing)].join(', ')}`);
+}
+
+const formatRow = ([hip, ra, dec, magnitude, colorIndex]) =>
+  `    [${hip}, ${ra.toFixed(4)}, ${dec.toFixed(4)}, ${magnitude.toFixed(2)}, ${colorIndex === null ? 'null' : colorIndex.toFixed(2)}]`;
+
+const source = `/**
+ * Bright Star Data
+ * Stars from the Hipparcos catalogue (ESA 1997, CDS I/239) for the starfield (see starCatalog.js).
+ * Rows: [HIP number, right ascension (deg), declination (deg), V magnitude, B-V color index or null]
+ * Positions are equatorial J2000 (ICRS).
+ *
+ * Generated by scripts/buildStarCatalog.js: all ${rows.length} stars to magnitude ${LIMITING_MAGNITUDE}.
+${origin}
+ */
+
+export const BRIGHT_STARS = [
+${rows.map(formatRow).join(',\n')}
+];
+
+export default BRIGHT_STARS;
+`;
+
+await writeFile(OUTPUT_FILE, source);
+console.log(`✅ ${rows.length} stars written to ${OUTPUT_FILE}`);
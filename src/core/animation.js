@@ -1,6 +1,8 @@
 /**
  * Animation Module - Main Animation Loop
  * Manages the render loop with delta time and FPS tracking
+ * Fixed update callbacks run once per fixed simulation step (see TimeManager.update),
+ * frame callbacks once per rendered frame with the interpolated simulation time
  */
 
 import { RENDER } from '../utils/constants.js';
@@ -32,18 +34,24 @@ let controls = null;
  */
 const updateCallbacks = [];
 
+/**
+ * Fixed update callbacks - functions to call each fixed simulation step
+ * @type {Array<Function>}
+ */
+const fixedUpdateCallbacks = [];
+
 /**
  * FPS tracking
  */
 let fps = 0;
 let frameCount = 0;
-let lastFpsUpdate = Date.now();
+let lastFpsUpdate = timeManager.now();
 let fpsUpdateInterval = 1000; // Update FPS display every 1 second
 
 /**
  * Delta time tracking
  */
-let lastFrameTime = Date.now();
+let lastFrameTime = timeManager.now();
 let deltaTime = 0;
 
 /**
@@ -73,7 +81,9 @@ export function initAnimation(coreObjects) {
         getFPS: () => fps,
         getDeltaTime: () => deltaTime,
         addUpdateCallback,
-        removeUpdateCallback
+        removeUpdateCallback,
+        addFixedUpdateCallback,
+        removeFixedUpdateCallback
     };
 }
 
@@ -87,8 +97,8 @@ export function startAnimation() {
     }
 
     isRunning = true;
-    lastFrameTime = Date.now();
-    lastFpsUpdate = Date.now();
+    lastFrameTime = timeManager.now();
+    lastFpsUpdate = lastFrameTime;
     frameCount = 0;
 
     // Reset TimeManager to prevent time jump from initialization delay
@@ -137,7 +147,7 @@ export function resumeAnimation() {
     if (isRunning) return;
 
     isRunning = true;
-    lastFrameTime = Date.now(); // Reset to prevent time jump
+    lastFrameTime = timeManager.now(); // Reset to prevent time jump
 
     console.log('▶️ Animation loop resumed');
     animate();
@@ -153,7 +163,7 @@ function animate() {
     animationId = requestAnimationFrame(animate);
 
     // FPS Throttling - Skip rendering if not enough time has passed
-    const currentTime = Date.now();
+    const currentTime = timeManager.now();
     if (isFPSThrottleEnabled()) {
         const minFrameTime = getMinFrameTime();
         const timeSinceLastRender = currentTime - lastRenderTime;
@@ -181,8 +191,8 @@ function animate() {
         updateFPSDisplay(fps);
     }
 
-    // Update TimeManager (simulation time)
-    timeManager.update(deltaTime);
+    // Update TimeManager (simulation time), running the fixed callbacks once per step
+    timeManager.update(deltaTime, runFixedUpdateCallbacks);
 
     // Update controls (TrackballControls needs update() called every frame)
     if (controls) {
@@ -190,11 +200,44 @@ function animate() {
     }
 
     // Call all registered update callbacks with improved error handling
+    runCallbacks(updateCallbacks, deltaTime, timeManager.getSimulationTime());
+
+    // Render the scene with error boundary
+    try {
+        if (renderer && scene && camera) {
+            renderer.render(scene, camera);
+        }
+    } catch (error) {
+        console.error('❌ CRITICAL: Render error:', error);
+        console.error('Stack trace:', error.stack);
+
+        // Attempt recovery by stopping animation
+        stopAnimation();
+        notifyErrorBoundary('Render Error', 'Critical rendering error. Please refresh the page.');
+    }
+}
+
+/**
+ * Run the fixed update callbacks for one simulation step
+ * @param {number} stepMs - Step length in real milliseconds
+ * @param {number} simulationTime - Simulation time after the step
+ */
+function runFixedUpdateCallbacks(stepMs, simulationTime) {
+    runCallbacks(fixedUpdateCallbacks, stepMs, simulationTime);
+}
+
+/**
+ * Call a list of callbacks, disabling any that keep throwing
+ * @param {Array<Function>} callbacks - Callback list (problem callbacks are removed from it)
+ * @param {number} deltaTime - Real milliseconds to pass on
+ * @param {number} simulationTime - Simulation time to pass on
+ */
+function runCallbacks(callbacks, deltaTime, simulationTime) {
     // Note: Using traditional for loop instead of forEach to handle index changes during iteration
-    for (let i = updateCallbacks.length - 1; i >= 0; i--) {
-        const callback = updateCallbacks[i];
+    for (let i = callbacks.length - 1; i >= 0; i--) {
+        const callback = callbacks[i];
         try {
-            callback(deltaTime, timeManager.getSimulationTime());
+            callback(deltaTime, simulationTime);
             // Reset error count on successful execution
             if (callback.errorCount) {
                 callback.errorCount = 0;
@@ -210,7 +253,7 @@ function animate() {
             } else if (callback.errorCount === 4) {
                 console.error(`❌ Callback #${i} disabled after 3 consecutive errors. Last error:`, error);
                 // Remove the problematic callback
-                updateCallbacks.splice(i, 1);
+                callbacks.splice(i, 1);
                 console.warn('🗑️ Removed problematic callback from animation loop');
 
                 // Notify user of critical error
@@ -218,20 +261,6 @@ function animate() {
             }
         }
     }
-
-    // Render the scene with error boundary
-    try {
-        if (renderer && scene && camera) {
-            renderer.render(scene, camera);
-        }
-    } catch (error) {
-        console.error('❌ CRITICAL: Render error:', error);
-        console.error('Stack trace:', error.stack);
-
-        // Attempt recovery by stopping animation
-        stopAnimation();
-        notifyErrorBoundary('Render Error', 'Critical rendering error. Please refresh the page.');
-    }
 }
 
 /**
@@ -257,6 +286,31 @@ export function removeUpdateCallback(callback) {
     }
 }
 
+/**
+ * Add a callback function to be called each fixed simulation step
+ * Use for stateful simulation (anything that accumulates from step to step), so it comes out
+ * the same whatever the frame rate
+ * @param {Function} callback - Function to call each step (receives the step length in real ms and simulationTime)
+ */
+export function addFixedUpdateCallback(callback) {
+    if (typeof callback === 'function' && !fixedUpdateCallbacks.includes(callback)) {
+        fixedUpdateCallbacks.push(callback);
+        console.log(`✅ Fixed update callback added (${fixedUpdateCallbacks.length} total)`);
+    }
+}
+
+/**
+ * Remove a fixed step callback function
+ * @param {Function} callback - Function to remove
+ */
+export function removeFixedUpdateCallback(callback) {
+    const index = fixedUpdateCallbacks.indexOf(callback);
+    if (index !== -1) {
+        fixedUpdateCallbacks.splice(index, 1);
+        console.log(`🗑️ Fixed update callback removed (${fixedUpdateCallbacks.length} remaining)`);
+    }
+}
+
 /**
  * Update FPS display in the UI
  * @param {number} currentFPS - Current FPS value
@@ -392,6 +446,7 @@ export function getAnimationStats() {
         deltaTime,
         isRunning,
         callbackCount: updateCallbacks.length,
+        fixedCallbackCount: fixedUpdateCallbacks.length,
         simulationTime: timeManager.getSimulationTime(),
         timeSpeed: timeManager.getTimeSpeed(),
         isPaused: timeManager.isPausedState()
@@ -411,6 +466,7 @@ export function setFpsUpdateInterval(interval) {
  */
 export function clearUpdateCallbacks() {
     updateCallbacks.length = 0;
+    fixedUpdateCallbacks.length = 0;
     console.log('🗑️ All update callbacks cleared');
 }
 
@@ -423,6 +479,8 @@ export default {
     resumeAnimation,
     addUpdateCallback,
     removeUpdateCallback,
+    addFixedUpdateCallback,
+    removeFixedUpdateCallback,
     getFPS,
     getDeltaTime,
     isAnimationRunning,
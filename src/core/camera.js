@@ -147,8 +147,9 @@ export function focusOnObject(object, distance = 20) {
  * @param {THREE.Vector3} targetPosition - Target position for camera
  * @param {THREE.Vector3} lookAtPosition - Position to look at
  * @param {number} duration - Transition duration in ms (default: 1000)
+ * @param {Function} onComplete - Called when the camera arrives (optional)
  */
-export function animateCameraTo(targetPosition, lookAtPosition, duration = 1000) {
+export function animateCameraTo(targetPosition, lookAtPosition, duration = 1000, onComplete = null) {
     if (!camera || !controls) return;
 
     const startPosition = camera.position.clone();
@@ -174,6 +175,8 @@ export function animateCameraTo(targetPosition, lookAtPosition, duration = 1000)
 
         if (progress < 1) {
             requestAnimationFrame(animate);
+        } else if (onComplete) {
+            onComplete();
         }
     }
 
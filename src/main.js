@@ -6,12 +6,12 @@
 import { initScene } from './core/scene.js';
 import { initCamera, onWindowResize as cameraResize } from './core/camera.js';
 import { initRenderer, onWindowResize as rendererResize } from './core/renderer.js';
-import { initAnimation, addUpdateCallback, getFPS } from './core/animation.js';
+import { initAnimation, addUpdateCallback, addFixedUpdateCallback, getFPS } from './core/animation.js';
 import { timeManager } from './utils/time.js';
-import { initSolarSystem, updateSolarSystem, recreateSolarSystem, getCelestialObject, registerISSCallback } from './modules/solarSystem.js';
+import { initSolarSystem, updateSolarSystem, stepSolarSystem, recreateSolarSystem, getCelestialObject, registerISSCallback } from './modules/solarSystem.js';
 import { initPerformanceSlider } from './modules/performanceSlider.js';
 import { initStyles, getCurrentStyle } from './modules/styles.js';
-import { initUI, registerClickableObject, updateFPS, updateSimulationDate, updateISSInfo, updateCameraFollow } from './modules/ui.js';
+import { initUI, registerClickableObject, updateFPS, updateSimulationDate, updateISSInfo, updateCameraFollow, updateMapView, updateContactsPanel, updateAltitudeChart, updateMoonEventsPanel, updateSkyView, updateTimeline, updateISSAlerts } from './modules/ui.js';
 import { initLoadingManager, completeTask, hideLoadingScreen, setProgress } from './core/loadingManager.js';
 import { initTutorial } from './modules/tutorial.js';
 import { initTouchIndicator } from './modules/touchIndicator.js';
@@ -155,6 +155,13 @@ async function init() {
         initPerformanceSlider(50); // Default 50% (balanced)
 
         // Register update callbacks
+        // Stateful simulation (meteors) steps at a fixed rate, so it is the same at any frame rate
+        addFixedUpdateCallback((stepMs) => {
+            if (app.solarSystem) {
+                stepSolarSystem(stepMs);
+            }
+        });
+
         addUpdateCallback((deltaTime, simulationTime) => {
             // Update entire solar system (all celestial objects)
             if (app.solarSystem) {
@@ -172,6 +179,21 @@ async function init() {
 
             // Update simulation date display
             updateSimulationDate();
+
+            // Redraw the 2D map, contacts timeline, altitude chart and moon events (throttled; do nothing while hidden)
+            updateMapView();
+            updateContactsPanel();
+            updateAltitudeChart();
+            updateMoonEventsPanel();
+
+            // Redraw the timeline and frame the bodies of a clicked event (after the solar system moved there)
+            updateTimeline();
+
+            // Keep the sky view camera on the observer's spot as Earth moves (does nothing while off)
+            updateSkyView();
+
+            // Check the ISS event notification rules (throttled)
+            updateISSAlerts();
         });
 
         // Finalize setup
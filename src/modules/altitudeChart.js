@@ -0,0 +1,335 @@
+/**
+ * Altitude Chart Module - ISS altitude history and orbital decay
+ * Plots the station's altitude over the hours before the simulation time: the SGP4
+ * altitude from the loaded TLE as a line, and the live altitudes in the telemetry
+ * recording as dots. Dashed lines mark the perigee and apogee from the TLE's mean
+ * motion and eccentricity, and the panel estimates the decay rate from the TLE and
+ * from the altitudes shown (see src/utils/orbitDecay.js).
+ */
+
+import { timeManager } from '../utils/time.js';
+import { issAPI } from '../utils/api.js';
+import { telemetryRecorder } from '../utils/telemetry.js';
+import { fitAltitudeTrend } from '../utils/orbitDecay.js';
+import { COLORS } from '../utils/constants.js';
+import { getISSPosition } from './iss.js';
+import { playClickSound } from '../utils/sounds.js';
+
+// Module state
+let panel = null;
+let canvas = null;
+let context = null;
+let statsEl = null;
+let rangeSelect = null;
+let chartVisible = false;
+let lastDrawTime = 0; // Real time of the last redraw
+
+const DRAW_INTERVAL = 500; // ms (real time) between redraws
+const CURVE_SAMPLES = 240; // SGP4 samples across the chart
+const PADDING = { left: 44, right: 10, top: 10, bottom: 22 }; // Plot margins (px)
+const MIN_TREND_HOURS = 3; // Shortest span of altitudes a trend is fitted to
+
+/**
+ * Format a 0xRRGGBB color for the canvas
+ * @param {number} color - Color number
+ * @returns {string} CSS color
+ */
+function toCSSColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Format a decay rate as "-0.06 km/day (-1.8 km/month)"
+ * @param {number} kmPerDay - Rate in km per day
+ * @returns {string} Formatted rate
+ */
+function formatRate(kmPerDay) {
+    const sign = kmPerDay > 0 ? '+' : '';
+    return `${sign}${kmPerDay.toFixed(3)} km/day (${sign}${(kmPerDay * 30).toFixed(1)} km/month)`;
+}
+
+/**
+ * Initialize the altitude chart panel
+ */
+export function initAltitudeChart() {
+    panel = document.getElementById('altitude-panel');
+    canvas = document.getElementById('altitude-canvas');
+    statsEl = document.getElementById('altitude-stats');
+    rangeSelect = document.getElementById('altitude-range');
+    if (!panel || !canvas || !statsEl) {
+        console.warn('⚠️ Cannot setup altitude chart: elements not found');
+        return;
+    }
+    context = canvas.getContext('2d');
+
+    rangeSelect?.addEventListener('change', handleRangeChange);
+    telemetryRecorder.onChange(redrawSoon);
+
+    console.log('📈 Altitude chart initialized');
+}
+
+/**
+ * Redraw with the new time range
+ */
+function handleRangeChange() {
+    playClickSound();
+    redrawSoon();
+}
+
+/**
+ * Redraw on the next update instead of waiting for the interval
+ */
+function redrawSoon() {
+    lastDrawTime = 0;
+}
+
+/**
+ * Show or hide the altitude chart
+ * @param {boolean} visible - Whether the chart is shown
+ */
+export function setAltitudeChartVisible(visible) {
+    chartVisible = !!visible;
+    if (panel) {
+        panel.hidden = !chartVisible;
+    }
+    redrawSoon();
+    console.log(`📈 Altitude chart ${chartVisible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the altitude chart is shown
+ * @returns {boolean} True if visible
+ */
+export function isAltitudeChartVisible() {
+    return chartVisible;
+}
+
+/**
+ * Update the chart (call every frame; redraws at most every DRAW_INTERVAL ms)
+ */
+export function updateAltitudeChart() {
+    if (!chartVisible || !context) return;
+
+    const now = Date.now();
+    if (now - lastDrawTime < DRAW_INTERVAL) return;
+    lastDrawTime = now;
+
+    const end = timeManager.getSimulationDate().getTime();
+    const start = end - (Number(rangeSelect?.value) || 6) * 3600000;
+    drawChart(start, end);
+}
+
+/**
+ * Altitudes along the TLE orbit
+ * @param {number} start - Start time (ms)
+ * @param {number} end - End time (ms)
+ * @returns {Array<Object>} Points {timestamp, altitude}
+ */
+function getPropagatedAltitudes(start, end) {
+    if (!issAPI.hasTLE()) return [];
+
+    const points = [];
+    const step = (end - start) / CURVE_SAMPLES;
+    for (let i = 0; i <= CURVE_SAMPLES; i++) {
+        const sample = issAPI.getPropagatedPosition(new Date(start + i * step));
+        if (sample) {
+            points.push({ timestamp: sample.timestamp, altitude: sample.altitude });
+        }
+    }
+    return points;
+}
+
+/**
+ * Recorded live altitudes (telemetry samples with an altitude)
+ * @param {number} start - Start time (ms)
+ * @param {number} end - End time (ms)
+ * @returns {Array<Object>} Samples {timestamp, altitude}
+ */
+function getMeasuredAltitudes(start, end) {
+    return telemetryRecorder.getSamples()
+        .filter(sample => sample.altitude !== null && sample.timestamp >= start && sample.timestamp <= end);
+}
+
+/**
+ * Draw the chart and fill in the statistics
+ * @param {number} start - Start of the time range (ms)
+ * @param {number} end - End of the time range (ms)
+ */
+function drawChart(start, end) {
+    const { width, height } = canvas;
+    const tle = issAPI.getTLEInfo(new Date(end));
+    const curve = getPropagatedAltitudes(start, end);
+    const measured = getMeasuredAltitudes(start, end);
+
+    context.clearRect(0, 0, width, height);
+
+    // Altitude range covering the data and the apogee/perigee lines
+    const altitudes = [...curve, ...measured].map(point => point.altitude);
+    if (tle) altitudes.push(tle.perigeeAltitude, tle.apogeeAltitude);
+    if (altitudes.length === 0) {
+        context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        context.font = '12px sans-serif';
+        context.textAlign = 'center';
+        context.fillText('No altitude data for this time range', width / 2, height / 2);
+        renderStats(tle, {});
+        return;
+    }
+    const low = Math.floor(Math.min(...altitudes) - 2);
+    const high = Math.ceil(Math.max(...altitudes) + 2);
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const toX = (timestamp) => PADDING.left + ((timestamp - start) / (end - start)) * plotWidth;
+    const toY = (altitude) => PADDING.top + (1 - (altitude - low) / (high - low)) * plotHeight;
+
+    drawAxes(start, end, low, high, toX, toY);
+
+    // Perigee and apogee of the mean orbit
+    if (tle) {
+        context.setLineDash([4, 3]);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        context.lineWidth = 1;
+        [tle.perigeeAltitude, tle.apogeeAltitude].forEach(altitude => {
+            context.beginPath();
+            context.moveTo(PADDING.left, toY(altitude));
+            context.lineTo(width - PADDING.right, toY(altitude));
+            context.stroke();
+        });
+        context.setLineDash([]);
+    }
+
+    // SGP4 altitude
+    if (curve.length > 1) {
+        context.strokeStyle = toCSSColor(COLORS.ISS_TRAIL);
+        context.lineWidth = 1.5;
+        context.beginPath();
+        curve.forEach((point, i) => {
+            if (i === 0) {
+                context.moveTo(toX(point.timestamp), toY(point.altitude));
+            } else {
+                context.lineTo(toX(point.timestamp), toY(point.altitude));
+            }
+        });
+        context.stroke();
+    }
+
+    // Recorded altitudes
+    context.fillStyle = toCSSColor(COLORS.ISS_COLOR);
+    measured.forEach(sample => {
+        context.beginPath();
+        context.arc(toX(sample.timestamp), toY(sample.altitude), 2, 0, Math.PI * 2);
+        context.fill();
+    });
+
+    // Trends over the shown range (the shortest range is long enough to fit)
+    const trendOptions = { periodMinutes: tle ? tle.periodMinutes : undefined, minSpanHours: MIN_TREND_HOURS };
+    renderStats(tle, {
+        propagated: fitAltitudeTrend(curve, trendOptions),
+        recorded: fitAltitudeTrend(measured, trendOptions)
+    });
+}
+
+/**
+ * Draw the altitude and time axes with grid lines
+ * @param {number} start - Start time (ms)
+ * @param {number} end - End time (ms)
+ * @param {number} low - Lowest altitude shown (km)
+ * @param {number} high - Highest altitude shown (km)
+ * @param {Function} toX - Time to canvas x
+ * @param {Function} toY - Altitude to canvas y
+ */
+function drawAxes(start, end, low, high, toX, toY) {
+    const { width, height } = canvas;
+    context.font = '10px sans-serif';
+    context.lineWidth = 1;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+
+    // Altitude grid every 5 or 10 km
+    const altitudeStep = high - low > 40 ? 10 : 5;
+    context.textAlign = 'right';
+    for (let altitude = Math.ceil(low / altitudeStep) * altitudeStep; altitude <= high; altitude += altitudeStep) {
+        const y = toY(altitude);
+        context.beginPath();
+        context.moveTo(PADDING.left, y);
+        context.lineTo(width - PADDING.right, y);
+        context.stroke();
+        context.fillText(`${altitude} km`, PADDING.left - 4, y + 3);
+    }
+
+    // Time ticks every hour or few hours (UTC)
+    const hours = (end - start) / 3600000;
+    const tickMs = (hours > 12 ? 4 : hours > 6 ? 2 : 1) * 3600000;
+    context.textAlign = 'center';
+    for (let time = Math.ceil(start / tickMs) * tickMs; time <= end; time += tickMs) {
+        const x = toX(time);
+        context.beginPath();
+        context.moveTo(x, PADDING.top);
+        context.lineTo(x, height - PADDING.bottom);
+        context.stroke();
+        context.fillText(new Date(time).toISOString().slice(11, 16), x, height - 6);
+    }
+}
+
+/**
+ * Fill in the altitude and decay statistics
+ * @param {Object|null} tle - TLE info from issAPI.getTLEInfo()
+ * @param {Object} trends - Fitted trends {propagated, recorded} of the SGP4 and recorded altitudes (null if too few)
+ */
+function renderStats(tle, { propagated = null, recorded = null }) {
+    const position = getISSPosition();
+    const rows = [];
+
+    if (position && Number.isFinite(position.altitude)) {
+        const assumed = position.altitudeSource === 'assumed';
+        rows.push(['Current', `${assumed ? '≈ ' : ''}${position.altitude.toFixed(1)} km${assumed ? ' (not reported)' : ''}`]);
+    }
+    if (tle) {
+        rows.push(['Mean (TLE)', `${tle.meanAltitude.toFixed(1)} km`]);
+        rows.push(['Perigee / Apogee', `${tle.perigeeAltitude.toFixed(1)} / ${tle.apogeeAltitude.toFixed(1)} km`]);
+        rows.push(['Decay (TLE ṅ)', formatRate(tle.decayRateKmPerDay)]);
+    }
+    if (propagated) {
+        rows.push(['SGP4 trend', `${formatRate(propagated.rateKmPerDay)} over ${Math.round(propagated.spanHours)} h`]);
+    }
+    if (recorded) {
+        rows.push(['Recorded trend', `${formatRate(recorded.rateKmPerDay)} over ${Math.round(recorded.spanHours)} h`]);
+    }
+    if (rows.length === 0) {
+        rows.push(['Altitude', 'No orbit data (TLE) loaded']);
+    }
+
+    statsEl.replaceChildren(...rows.map(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'info-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'info-label';
+        labelEl.textContent = `${label}:`;
+        const valueEl = document.createElement('span');
+        valueEl.textContent = value;
+        row.append(labelEl, valueEl);
+        return row;
+    }));
+}
+
+/**
+ * Dispose the altitude chart
+ */
+export function disposeAltitudeChart() {
+    rangeSelect?.removeEventListener('change', handleRangeChange);
+    telemetryRecorder.offChange(redrawSoon);
+
+    panel = null;
+    canvas = null;
+    context = null;
+    statsEl = null;
+    rangeSelect = null;
+}
+
+export default {
+    initAltitudeChart,
+    updateAltitudeChart,
+    setAltitudeChartVisible,
+    isAltitudeChartVisible,
+    disposeAltitudeChart
+};
@@ -5,6 +5,7 @@
 
 import { ASTEROID_BELT, auToScene, TWO_PI, DEG_TO_RAD } from '../utils/constants.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
+import { createSeededRandom } from '../utils/random.js';
 
 /**
  * THREE.js is loaded globally from CDN
@@ -92,8 +93,10 @@ function createAsteroidMaterial(styleConfig) {
 /**
  * Generate procedural distribution of asteroids in torus shape
  * Distributes asteroids between 2.2 - 3.2 AU with gaussian density peak at 2.7 AU
+ * Draws from a seeded stream, so the belt is laid out the same on every run
  */
 function generateAsteroidDistribution() {
+    const random = createSeededRandom('asteroid-belt');
     const dummy = new THREE.Object3D(); // Temporary object for matrix calculations
     const matrix = new THREE.Matrix4();
 
@@ -120,14 +123,14 @@ function generateAsteroidDistribution() {
     for (let i = 0; i < asteroidCount; i++) {
         // Use gaussian distribution for radial distance (peak at center)
         // This creates realistic density distribution (more asteroids in middle)
-        const radius = gaussianRandom(centerRadiusScene, (outerRadiusScene - innerRadiusScene) / 4);
+        const radius = gaussianRandom(random, centerRadiusScene, (outerRadiusScene - innerRadiusScene) / 4);
         const clampedRadius = Math.max(innerRadiusScene, Math.min(outerRadiusScene, radius));
 
         // Random angle around the Sun (uniform distribution)
-        const angle = Math.random() * TWO_PI;
+        const angle = random() * TWO_PI;
 
         // Random vertical offset (gaussian distribution, flatter in middle)
-        const verticalOffset = gaussianRandom(0, thicknessScene / 4);
+        const verticalOffset = gaussianRandom(random, 0, thicknessScene / 4);
 
         // Calculate XYZ position
         const x = Math.cos(angle) * clampedRadius;
@@ -135,13 +138,13 @@ function generateAsteroidDistribution() {
         const z = Math.sin(angle) * clampedRadius;
 
         // Random size (power law distribution - more small asteroids than large)
-        const sizeRandom = Math.pow(Math.random(), 2); // Biased toward small
+        const sizeRandom = Math.pow(random(), 2); // Biased toward small
         const size = minSize + sizeRandom * (maxSize - minSize);
 
         // Random rotation for variety
-        const rotationX = Math.random() * TWO_PI;
-        const rotationY = Math.random() * TWO_PI;
-        const rotationZ = Math.random() * TWO_PI;
+        const rotationX = random() * TWO_PI;
+        const rotationY = random() * TWO_PI;
+        const rotationZ = random() * TWO_PI;
 
         // Set transformation
         dummy.position.set(x, y, z);
@@ -167,7 +170,7 @@ function generateAsteroidDistribution() {
             rotationY: rotationY,
             rotationZ: rotationZ,
             periodMs: periodYears * 365.25 * 24 * 60 * 60 * 1000, // Convert years to milliseconds
-            rotationSpeed: (Math.random() - 0.5) * 0.0001 // Slow tumbling rotation
+            rotationSpeed: (random() - 0.5) * 0.0001 // Slow tumbling rotation
         });
     }
 
@@ -185,14 +188,15 @@ function generateAsteroidDistribution() {
 
 /**
  * Gaussian random number generator (Box-Muller transform)
+ * @param {Function} random - Uniform generator in [0, 1)
  * @param {number} mean - Mean value
  * @param {number} stdDev - Standard deviation
  * @returns {number} Random number from gaussian distribution
  */
-function gaussianRandom(mean = 0, stdDev = 1) {
-    // Box-Muller transform
-    const u1 = Math.random();
-    const u2 = Math.random();
+function gaussianRandom(random, mean = 0, stdDev = 1) {
+    // Box-Muller transform (1 - u keeps the logarithm away from zero)
+    const u1 = 1 - random();
+    const u2 = random();
     const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(TWO_PI * u2);
     return z0 * stdDev + mean;
 }
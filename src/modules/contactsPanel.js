@@ -0,0 +1,323 @@
+/**
+ * Contacts Panel Module - ISS contact-window timeline
+ * Schedules the ISS's acquisition (AOS) and loss of signal (LOS) over every registered
+ * ground station for the hours after the simulation time (see src/utils/contactScheduler.js)
+ * and draws them as a timeline with one row per station, plus a list of the next contacts.
+ * Clicking a window jumps the simulation to its AOS.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { issAPI } from '../utils/api.js';
+import { groundStations } from '../utils/groundStations.js';
+import { summarizeContacts } from '../utils/contactScheduler.js';
+import { degreesToCardinal } from '../utils/coordinates.js';
+import { playClickSound } from '../utils/sounds.js';
+
+// Module state
+let panel = null;
+let timelineEl = null;
+let listEl = null;
+let rangeSelect = null;
+let computeBtn = null;
+let panelVisible = false;
+let schedule = null; // {start, end, stations, windows} or null until computed
+let isStale = true; // Stations changed since the schedule was computed
+let lastUpdateTime = 0; // Real time of the last "now" marker update
+let lastComputeTime = 0; // Real time of the last schedule computation
+
+const UPDATE_INTERVAL = 500; // ms (real time) between "now" marker updates
+const MIN_RECOMPUTE_INTERVAL = 2000; // ms (real time) between automatic recomputations
+const LIST_LENGTH = 8; // Upcoming contacts listed under the timeline
+
+/**
+ * Format a date as UTC "HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time
+ */
+function formatTime(date) {
+    return date.toISOString().slice(11, 16);
+}
+
+/**
+ * Format a date as UTC "Mon D HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(date) {
+    const day = date.toLocaleString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${day} ${formatTime(date)}`;
+}
+
+/**
+ * Format a duration as "9m 30s"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}m ${String(Math.round(seconds % 60)).padStart(2, '0')}s`;
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} className - CSS class
+ * @param {string} text - Text content (optional)
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Initialize the contacts panel
+ */
+export function initContactsPanel() {
+    panel = document.getElementById('contacts-panel');
+    timelineEl = document.getElementById('contacts-timeline');
+    listEl = document.getElementById('contacts-list');
+    rangeSelect = document.getElementById('contacts-range');
+    computeBtn = document.getElementById('contacts-compute');
+    if (!panel || !timelineEl || !listEl) {
+        console.warn('⚠️ Cannot setup contacts panel: elements not found');
+        return;
+    }
+
+    computeBtn?.addEventListener('click', handleComputeClick);
+    rangeSelect?.addEventListener('change', handleComputeClick);
+    timelineEl.addEventListener('click', handleTimelineClick);
+    groundStations.onChange(markStale);
+
+    console.log('📶 Contacts panel initialized');
+}
+
+/**
+ * Recompute from the button or range select
+ */
+function handleComputeClick() {
+    playClickSound();
+    computeSchedule();
+}
+
+/**
+ * Jump the simulation to the AOS of a clicked contact window
+ * @param {MouseEvent} event - Click event
+ */
+function handleTimelineClick(event) {
+    const windowEl = event.target.closest('.contacts-window');
+    if (!windowEl || !schedule) return;
+
+    const contact = schedule.windows[Number(windowEl.dataset.index)];
+    if (!contact) return;
+
+    playClickSound();
+    timeManager.setSimulationDate(new Date(contact.aos.getTime()));
+    updateNowMarker();
+}
+
+/**
+ * Recompute on the next update after the stations change
+ */
+function markStale() {
+    isStale = true;
+}
+
+/**
+ * Schedule the contact windows from the simulation time and redraw
+ */
+function computeSchedule() {
+    const hours = Number(rangeSelect?.value) || 24;
+    const start = timeManager.getSimulationDate();
+    const end = new Date(start.getTime() + hours * 3600000);
+    const stations = groundStations.getStations();
+
+    lastComputeTime = Date.now();
+    isStale = false;
+
+    try {
+        schedule = { start, end, stations, windows: issAPI.scheduleContacts(stations, start, end) };
+        console.log(`📶 ${schedule.windows.length} ISS contact windows over ${stations.length} stations in the next ${hours} h`);
+    } catch (error) {
+        console.error('❌ Could not schedule contacts:', error);
+        schedule = { start, end, stations, windows: [] };
+    }
+
+    render();
+}
+
+/**
+ * Draw the timeline and the list of upcoming contacts
+ */
+function render() {
+    timelineEl.replaceChildren();
+    listEl.replaceChildren();
+    if (!schedule) return;
+
+    const { start, end, stations, windows } = schedule;
+    const span = end.getTime() - start.getTime();
+    const toPercent = (date) => ((date.getTime() - start.getTime()) / span) * 100;
+
+    if (!issAPI.hasTLE()) {
+        timelineEl.appendChild(createElement('p', 'contacts-empty', 'No ISS orbit (TLE) loaded - contacts cannot be scheduled'));
+        return;
+    }
+    if (stations.length === 0) {
+        timelineEl.appendChild(createElement('p', 'contacts-empty', 'No ground stations - add one in the Ground Stations section'));
+        return;
+    }
+
+    // Time axis: a tick every few hours
+    const axis = createElement('div', 'contacts-axis');
+    const tickHours = span > 24 * 3600000 ? 6 : span > 12 * 3600000 ? 3 : 1;
+    const tickMs = tickHours * 3600000;
+    for (let time = Math.ceil(start.getTime() / tickMs) * tickMs; time <= end.getTime(); time += tickMs) {
+        const tick = createElement('span', 'contacts-tick', formatTime(new Date(time)));
+        tick.style.left = `${toPercent(new Date(time))}%`;
+        axis.appendChild(tick);
+    }
+    timelineEl.appendChild(axis);
+
+    // One row per station
+    const summary = summarizeContacts(windows);
+    stations.forEach(station => {
+        const totals = summary.get(station.id) || { count: 0, totalSeconds: 0 };
+        const row = createElement('div', 'contacts-row');
+        const name = createElement('span', 'contacts-station', station.name);
+        name.title = `${station.name}: ${totals.count} contact(s), ${formatDuration(totals.totalSeconds)} in total (mask ${station.minElevation}°)`;
+        const track = createElement('div', 'contacts-track');
+
+        windows.forEach((contact, index) => {
+            if (contact.stationId !== station.id) return;
+
+            const left = Math.max(0, toPercent(contact.aos));
+            const right = Math.min(100, toPercent(contact.los));
+            const bar = createElement('div', 'contacts-window');
+            bar.dataset.index = index;
+            bar.style.left = `${left}%`;
+            bar.style.width = `${Math.max(0.5, right - left)}%`;
+            bar.title = `${station.name}\nAOS ${formatDateTime(contact.aos)} UTC (${degreesToCardinal(contact.aosAzimuth)})\n` +
+                `LOS ${formatTime(contact.los)} UTC (${degreesToCardinal(contact.losAzimuth)})\n` +
+                `Max ${Math.round(contact.maxElevation)}°, ${formatDuration(contact.durationSeconds)}\nClick to jump to AOS`;
+            track.appendChild(bar);
+        });
+
+        row.appendChild(name);
+        row.appendChild(track);
+        timelineEl.appendChild(row);
+    });
+
+    const nowMarker = createElement('div', 'contacts-now');
+    nowMarker.title = 'Simulation time';
+    timelineEl.appendChild(nowMarker);
+
+    updateNowMarker();
+}
+
+/**
+ * Move the "now" line, highlight contacts in progress and refresh the upcoming list
+ */
+function updateNowMarker() {
+    if (!schedule || !timelineEl) return;
+
+    const now = timeManager.getSimulationDate();
+    const { start, end, windows } = schedule;
+    const marker = timelineEl.querySelector('.contacts-now');
+    if (marker) {
+        const percent = ((now - start) / (end - start)) * 100;
+        marker.hidden = percent < 0 || percent > 100;
+        // The track starts after the station name column
+        marker.style.left = `calc(var(--contacts-name-width) + (100% - var(--contacts-name-width)) * ${percent / 100})`;
+    }
+
+    timelineEl.querySelectorAll('.contacts-window').forEach(bar => {
+        const contact = windows[Number(bar.dataset.index)];
+        bar.classList.toggle('active', contact.aos <= now && now <= contact.los);
+    });
+
+    const upcoming = windows.filter(contact => contact.los >= now).slice(0, LIST_LENGTH);
+    listEl.replaceChildren();
+    if (upcoming.length === 0) {
+        listEl.appendChild(createElement('p', 'contacts-empty', 'No more contacts in this range'));
+        return;
+    }
+    upcoming.forEach(contact => {
+        const item = createElement('div', `contacts-item${contact.aos <= now ? ' active' : ''}`);
+        item.appendChild(createElement('span', 'contacts-item-station', contact.stationName));
+        item.appendChild(createElement('span', 'contacts-item-time',
+            `${formatDateTime(contact.aos)}–${formatTime(contact.los)} · ${Math.round(contact.maxElevation)}° · ${formatDuration(contact.durationSeconds)}`));
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * Show or hide the contacts panel (computes a schedule the first time it is shown)
+ * @param {boolean} visible - Whether the panel is shown
+ */
+export function setContactsPanelVisible(visible) {
+    panelVisible = !!visible;
+    if (panel) {
+        panel.hidden = !panelVisible;
+    }
+    if (panelVisible && panel && (!schedule || isStale)) {
+        computeSchedule();
+    }
+    console.log(`📶 Contacts panel ${panelVisible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the contacts panel is shown
+ * @returns {boolean} True if visible
+ */
+export function isContactsPanelVisible() {
+    return panelVisible;
+}
+
+/**
+ * Update the panel (call every frame; refreshes at most every UPDATE_INTERVAL ms)
+ * Reschedules when the stations change or the simulation time leaves the scheduled range.
+ */
+export function updateContactsPanel() {
+    if (!panelVisible || !panel) return;
+
+    const now = Date.now();
+    if (now - lastUpdateTime < UPDATE_INTERVAL) return;
+    lastUpdateTime = now;
+
+    const simulationDate = timeManager.getSimulationDate();
+    const isOutOfRange = schedule && (simulationDate < schedule.start || simulationDate > schedule.end);
+    if ((isStale || isOutOfRange) && now - lastComputeTime >= MIN_RECOMPUTE_INTERVAL) {
+        computeSchedule();
+        return;
+    }
+
+    updateNowMarker();
+}
+
+/**
+ * Dispose the contacts panel
+ */
+export function disposeContactsPanel() {
+    computeBtn?.removeEventListener('click', handleComputeClick);
+    rangeSelect?.removeEventListener('change', handleComputeClick);
+    timelineEl?.removeEventListener('click', handleTimelineClick);
+    groundStations.offChange(markStale);
+
+    panel = null;
+    timelineEl = null;
+    listEl = null;
+    rangeSelect = null;
+    computeBtn = null;
+    schedule = null;
+    isStale = true;
+}
+
+export default {
+    initContactsPanel,
+    updateContactsPanel,
+    setContactsPanelVisible,
+    isContactsPanelVisible,
+    disposeContactsPanel
+};
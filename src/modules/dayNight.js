@@ -0,0 +1,164 @@
+/**
+ * Day/Night Module - Terminator and city lights on Earth
+ * Shades Earth from the real subsolar point at the simulation date: the night side is
+ * darkened, a warm twilight band marks the terminator and city lights come on once the
+ * Sun is below the horizon.
+ *
+ * The shading works in texture (latitude/longitude) space, so the terminator follows
+ * geography - the same geography the ISS position and eclipse state use - whatever
+ * the mesh's rotation.
+ */
+
+import { getSubsolarPoint } from '../utils/solar.js';
+import { DEG_TO_RAD } from '../utils/constants.js';
+
+/**
+ * Uniforms shared by every material patched with applyDayNightShading()
+ * Created on first use (THREE is a global loaded by index.html)
+ * @type {Object|null}
+ */
+let uniforms = null;
+
+/**
+ * Whether day/night shading is shown
+ * @type {boolean}
+ */
+let dayNightEnabled = true;
+
+/**
+ * GLSL added to the fragment shader's declarations
+ */
+const FRAGMENT_PARS = `
+uniform vec3 dayNightSunDirection; // Subsolar point: x toward 0°E, y toward 90°E, z toward the North Pole
+uniform sampler2D dayNightLightsMap;
+uniform float dayNightHasLightsMap;
+uniform float dayNightHasDayMap;
+uniform float dayNightStrength;
+varying vec2 vDayNightUv;
+
+// Sine of the Sun's elevation at this point of an equirectangular Earth texture
+float dayNightSunSine() {
+    float longitude = (vDayNightUv.x - 0.5) * 6.283185307;
+    float latitude = (vDayNightUv.y - 0.5) * 3.141592654;
+    vec3 ground = vec3(cos(latitude) * cos(longitude), cos(latitude) * sin(longitude), sin(latitude));
+    return dot(ground, dayNightSunDirection);
+}
+
+// City lights: the night map if loaded, otherwise a rough guess from land in the day map
+vec3 dayNightLights(vec3 dayColor) {
+    if (dayNightHasLightsMap > 0.5) {
+        return texture2D(dayNightLightsMap, vDayNightUv).rgb;
+    }
+    if (dayNightHasDayMap < 0.5) {
+        return vec3(0.0);
+    }
+    float land = step(dayColor.b * 1.15, max(dayColor.r, dayColor.g)) * step(max(dayColor.r, dayColor.b), 0.75);
+    float scatter = step(0.93, fract(sin(dot(floor(vDayNightUv * vec2(2048.0, 1024.0)), vec2(12.9898, 78.233))) * 43758.5453));
+    return land * scatter * vec3(1.0, 0.8, 0.45) * 0.6;
+}
+`;
+
+/**
+ * GLSL run after the emissive map, before lighting
+ * sin(6°) ≈ 0.105: lights are fully on once the Sun is past civil twilight.
+ */
+const FRAGMENT_SHADING = `
+#include <emissivemap_fragment>
+{
+    float sunSine = dayNightSunSine();
+    float daylight = smoothstep(-0.105, 0.05, sunSine);
+    vec3 dayColor = diffuseColor.rgb;
+    diffuseColor.rgb *= mix(1.0, mix(0.06, 1.0, daylight), dayNightStrength);
+
+    float twilight = 1.0 - smoothstep(0.0, 0.08, abs(sunSine + 0.02));
+    float darkness = 1.0 - smoothstep(-0.105, 0.0, sunSine);
+    totalEmissiveRadiance += dayNightStrength * (twilight * vec3(0.22, 0.08, 0.02) + darkness * dayNightLights(dayColor));
+}
+`;
+
+/**
+ * Create the shared uniforms
+ * @returns {Object} Uniforms
+ */
+function getUniforms() {
+    if (!uniforms) {
+        uniforms = {
+            dayNightSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+            dayNightLightsMap: { value: null },
+            dayNightHasLightsMap: { value: 0 },
+            dayNightHasDayMap: { value: 0 },
+            dayNightStrength: { value: dayNightEnabled ? 1 : 0 }
+        };
+    }
+    return uniforms;
+}
+
+/**
+ * Add day/night shading to Earth's material
+ * @param {THREE.MeshStandardMaterial} material - Earth's material
+ * @param {THREE.Texture|null} lightsTexture - Night-side city lights (equirectangular), optional
+ */
+export function applyDayNightShading(material, lightsTexture = null) {
+    const shared = getUniforms();
+    shared.dayNightLightsMap.value = lightsTexture;
+    shared.dayNightHasLightsMap.value = lightsTexture ? 1 : 0;
+    shared.dayNightHasDayMap.value = material.map ? 1 : 0;
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, shared);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec2 vDayNightUv;')
+            .replace('#include <uv_vertex>', '#include <uv_vertex>\nvDayNightUv = uv;');
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\n${FRAGMENT_PARS}`)
+            .replace('#include <emissivemap_fragment>', FRAGMENT_SHADING);
+    };
+    material.needsUpdate = true;
+
+    console.log(`🌓 Day/night shading applied to Earth (${lightsTexture ? 'city lights map' : 'approximate city lights'})`);
+}
+
+/**
+ * Move the terminator to the simulation date
+ * @param {Date} date - Simulation date
+ */
+export function updateDayNight(date) {
+    if (!uniforms) return;
+
+    const subsolar = getSubsolarPoint(date);
+    const latitude = subsolar.latitude * DEG_TO_RAD;
+    const longitude = subsolar.longitude * DEG_TO_RAD;
+    uniforms.dayNightSunDirection.value.set(
+        Math.cos(latitude) * Math.cos(longitude),
+        Math.cos(latitude) * Math.sin(longitude),
+        Math.sin(latitude)
+    );
+}
+
+/**
+ * Show or hide the terminator, darkened night side and city lights
+ * @param {boolean} enabled - Whether day/night shading is shown
+ */
+export function setDayNightEnabled(enabled) {
+    dayNightEnabled = !!enabled;
+    if (uniforms) {
+        uniforms.dayNightStrength.value = dayNightEnabled ? 1 : 0;
+    }
+}
+
+/**
+ * Check whether day/night shading is shown
+ * @returns {boolean} True if enabled
+ */
+export function isDayNightEnabled() {
+    return dayNightEnabled;
+}
+
+export default {
+    applyDayNightShading,
+    updateDayNight,
+    setDayNightEnabled,
+    isDayNightEnabled
+};
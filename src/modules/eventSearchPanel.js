@@ -0,0 +1,247 @@
+/**
+ * Event Search Panel Module - searchable list of astronomical events
+ * Searches from the simulation date for conjunctions, oppositions, greatest elongations,
+ * perihelion and aphelion passages and eclipses (see src/utils/eventSearch.js), narrowed by
+ * type and body, and filters the results as you type.
+ * Clicking an event jumps there and frames the bodies involved (like the timeline's markers).
+ */
+
+import { timeManager } from '../utils/time.js';
+import { searchEvents, EVENT_TYPES, SEARCH_BODIES } from '../utils/eventSearch.js';
+import { PLANETS } from '../utils/constants.js';
+import { playClickSound } from '../utils/sounds.js';
+import { jumpToEvent } from './timeline.js';
+
+// Module state
+let panel = null;
+let form = null;
+let typeSelect = null;
+let bodySelect = null;
+let rangeSelect = null;
+let filterInput = null;
+let statusEl = null;
+let listEl = null;
+let panelVisible = false;
+let results = null; // {start, end, events} or null until searched
+let searchTimer = null;
+
+const LIST_LENGTH = 200; // Events listed at most
+
+/**
+ * Format a date as UTC "YYYY-MM-DD HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(date) {
+    return date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} className - CSS class
+ * @param {string} text - Text content (optional)
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Add options to a select
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<Array<string>>} options - [value, text] pairs
+ */
+function addOptions(select, options) {
+    options.forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Initialize the event search panel
+ */
+export function initEventSearchPanel() {
+    panel = document.getElementById('event-search-panel');
+    form = document.getElementById('event-search-form');
+    typeSelect = document.getElementById('event-search-type');
+    bodySelect = document.getElementById('event-search-body');
+    rangeSelect = document.getElementById('event-search-range');
+    filterInput = document.getElementById('event-search-filter');
+    statusEl = document.getElementById('event-search-status');
+    listEl = document.getElementById('event-search-list');
+    if (!panel || !form || !listEl) {
+        console.warn('⚠️ Cannot setup event search panel: elements not found');
+        return;
+    }
+
+    // The choices come from the search engine so they stay in step with it
+    if (typeSelect) {
+        addOptions(typeSelect, [['', 'All events'], ...Object.entries(EVENT_TYPES)]);
+    }
+    if (bodySelect) {
+        addOptions(bodySelect, [['', 'All bodies'], ...SEARCH_BODIES.map(body => [body, body === 'moon' ? 'Moon' : PLANETS[body].name])]);
+    }
+
+    form.addEventListener('submit', handleSubmit);
+    filterInput?.addEventListener('input', renderResults);
+    listEl.addEventListener('click', handleListClick);
+
+    console.log('🔭 Event search panel initialized');
+}
+
+/**
+ * Search with the chosen type, body and range
+ * @param {SubmitEvent} event - Submit event
+ */
+function handleSubmit(event) {
+    event.preventDefault();
+    playClickSound();
+    scheduleSearch();
+}
+
+/**
+ * Jump to a clicked event
+ * @param {MouseEvent} event - Click event
+ */
+function handleListClick(event) {
+    const item = event.target.closest('.event-search-item');
+    if (!item || !results) return;
+
+    const found = results.events[Number(item.dataset.index)];
+    if (found) {
+        jumpToEvent(found);
+    }
+}
+
+/**
+ * Search on the next tick, so the "Searching…" status shows while a long range is solved
+ */
+function scheduleSearch() {
+    if (statusEl) statusEl.textContent = 'Searching…';
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 0);
+}
+
+/**
+ * Search from the simulation date over the selected range
+ */
+function runSearch() {
+    const type = typeSelect?.value || '';
+    const body = bodySelect?.value || '';
+    const days = Number(rangeSelect?.value) || 365;
+    const start = timeManager.getSimulationDate();
+    const end = new Date(start.getTime() + days * 86400000);
+    const startTime = performance.now();
+
+    try {
+        const events = searchEvents(start, end, {
+            types: type ? [type] : Object.keys(EVENT_TYPES),
+            bodies: body ? [body] : SEARCH_BODIES
+        });
+        results = { start, end, events };
+        console.log(`🔭 ${events.length} events found in ${Math.round(performance.now() - startTime)} ms`);
+    } catch (error) {
+        console.error('❌ Could not search for events:', error);
+        results = { start, end, events: [] };
+    }
+    renderResults();
+}
+
+/**
+ * List the results that match the filter text
+ */
+function renderResults() {
+    if (!listEl || !results) return;
+
+    const query = (filterInput?.value || '').trim().toLowerCase();
+    const matches = results.events
+        .map((found, index) => ({ found, index }))
+        .filter(({ found }) => !query || `${found.label} ${found.detail}`.toLowerCase().includes(query));
+
+    if (statusEl) {
+        const range = `${formatDateTime(results.start).slice(0, 10)} to ${formatDateTime(results.end).slice(0, 10)}`;
+        const shown = matches.length > LIST_LENGTH ? ` (first ${LIST_LENGTH} shown)` : '';
+        statusEl.textContent = query
+            ? `${matches.length} of ${results.events.length} events match, ${range}${shown}`
+            : `${results.events.length} events, ${range}${shown}`;
+    }
+
+    listEl.replaceChildren();
+    if (matches.length === 0) {
+        listEl.appendChild(createElement('p', 'contacts-empty', 'No events found'));
+        return;
+    }
+
+    matches.slice(0, LIST_LENGTH).forEach(({ found, index }) => {
+        const item = createElement('div', 'contacts-item event-search-item');
+        item.dataset.index = index;
+        item.title = 'Click to jump there';
+
+        const text = createElement('span', 'event-search-text');
+        text.appendChild(createElement('span', 'contacts-item-station', found.label));
+        const contacts = found.start ? ` · ${formatDateTime(found.start).slice(11)}–${formatDateTime(found.end).slice(11)} UTC` : '';
+        text.appendChild(createElement('span', 'event-search-detail', `${found.detail}${contacts}`));
+
+        item.appendChild(text);
+        item.appendChild(createElement('span', 'contacts-item-time', `${formatDateTime(found.time)} UTC`));
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * Show or hide the event search panel (searches the first time it is shown)
+ * @param {boolean} visible - Whether the panel is shown
+ */
+export function setEventSearchPanelVisible(visible) {
+    panelVisible = !!visible;
+    if (panel) {
+        panel.hidden = !panelVisible;
+    }
+    if (panelVisible && panel && !results) {
+        scheduleSearch();
+    }
+    console.log(`🔭 Event search panel ${panelVisible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the event search panel is shown
+ * @returns {boolean} True if visible
+ */
+export function isEventSearchPanelVisible() {
+    return panelVisible;
+}
+
+/**
+ * Dispose the event search panel
+ */
+export function disposeEventSearchPanel() {
+    clearTimeout(searchTimer);
+    form?.removeEventListener('submit', handleSubmit);
+    filterInput?.removeEventListener('input', renderResults);
+    listEl?.removeEventListener('click', handleListClick);
+
+    panel = null;
+    form = null;
+    typeSelect = null;
+    bodySelect = null;
+    rangeSelect = null;
+    filterInput = null;
+    statusEl = null;
+    listEl = null;
+    results = null;
+    searchTimer = null;
+}
+
+export default {
+    initEventSearchPanel,
+    setEventSearchPanelVisible,
+    isEventSearchPanelVisible,
+    disposeEventSearchPanel
+};
@@ -0,0 +1,174 @@
+/**
+ * Ground Station Markers Module
+ * Places the ground-station registry (see src/utils/groundStations.js) on Earth as
+ * labelled location markers that move with Earth, rebuilt whenever the registry changes.
+ */
+
+import { addToScene, removeFromScene } from '../core/scene.js';
+import { groundStations } from '../utils/groundStations.js';
+import { getEarthSurfacePosition } from '../utils/coordinates.js';
+import { COLORS, EARTH_RADIUS, scaleRadius } from '../utils/constants.js';
+
+// Module state
+let stationsGroup = null; // Parent of every station marker, moved with Earth
+let markersVisible = false;
+
+/**
+ * Create a visible marker at a geographic location
+ * The marker is positioned relative to Earth's center and is not added to the scene.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} label - Marker label
+ * @param {number} color - Marker color
+ * @param {Object} options - Marker options
+ * @param {number} options.size - Sphere radius in scene units; the label is scaled to match (default: 2)
+ * @returns {THREE.Group} Marker group
+ */
+export function createLocationMarker(lat, lon, label, color = 0xff0000, { size = 2 } = {}) {
+    const position = getEarthSurfacePosition(lat, lon);
+
+    // Create marker sphere
+    const geometry = new THREE.SphereGeometry(size, 8, 8);
+    const material = new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: 0.9
+    });
+    const marker = new THREE.Mesh(geometry, material);
+    marker.position.set(position.x, position.y, position.z);
+
+    // Create label sprite
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 128;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.fillStyle = 'white';
+    context.font = 'bold 24px Arial';
+    context.textAlign = 'center';
+    context.fillText(label, 128, 50);
+    context.fillText(`${lat.toFixed(1)}°, ${lon.toFixed(1)}°`, 128, 80);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
+    const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.scale.set(size * 5, size * 2.5, 1);
+    sprite.position.copy(marker.position);
+    sprite.position.multiplyScalar(1.2); // Offset above surface
+
+    const group = new THREE.Group();
+    group.add(marker);
+    group.add(sprite);
+    group.userData = { label, lat, lon };
+
+    return group;
+}
+
+/**
+ * Dispose a marker's geometry, materials and label texture
+ * @param {THREE.Object3D} object - Marker group (or any object)
+ */
+export function disposeLocationMarker(object) {
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+}
+
+/**
+ * Initialize markers for the registered ground stations
+ * @returns {THREE.Group} Group holding the markers
+ */
+export function initGroundStations() {
+    console.log('📡 Initializing ground station markers...');
+
+    disposeGroundStations();
+
+    stationsGroup = new THREE.Group();
+    stationsGroup.name = 'Ground-Stations';
+    stationsGroup.visible = markersVisible;
+    addToScene(stationsGroup);
+
+    buildMarkers();
+    groundStations.onChange(buildMarkers);
+
+    console.log(`✅ Ground stations initialized (${stationsGroup.children.length} markers)`);
+    return stationsGroup;
+}
+
+/**
+ * Replace the markers with one per registered station
+ */
+function buildMarkers() {
+    if (!stationsGroup) return;
+
+    [...stationsGroup.children].forEach(marker => {
+        stationsGroup.remove(marker);
+        disposeLocationMarker(marker);
+    });
+
+    const size = scaleRadius(EARTH_RADIUS, 'planet') * 0.012;
+    groundStations.getStations().forEach(station => {
+        const marker = createLocationMarker(station.latitude, station.longitude, station.name, COLORS.GROUND_STATION, { size });
+        marker.name = `Ground-Station-${station.id}`;
+        marker.userData.stationId = station.id;
+        stationsGroup.add(marker);
+    });
+}
+
+/**
+ * Keep the markers on Earth (call every frame)
+ * @param {Object} earthPos - Earth's scene position {x, y, z}
+ */
+export function updateGroundStations(earthPos) {
+    if (!stationsGroup || !markersVisible || !earthPos) return;
+    stationsGroup.position.set(earthPos.x, earthPos.y, earthPos.z);
+}
+
+/**
+ * Show or hide the ground-station markers
+ * @param {boolean} visible - Whether the markers are shown
+ */
+export function setGroundStationsVisible(visible) {
+    markersVisible = !!visible;
+    if (stationsGroup) {
+        stationsGroup.visible = markersVisible;
+    }
+}
+
+/**
+ * Check whether the ground-station markers are shown
+ * @returns {boolean} True if visible
+ */
+export function areGroundStationsVisible() {
+    return markersVisible;
+}
+
+/**
+ * Dispose all ground-station markers
+ */
+export function disposeGroundStations() {
+    groundStations.offChange(buildMarkers);
+
+    if (stationsGroup) {
+        removeFromScene(stationsGroup);
+        disposeLocationMarker(stationsGroup);
+        stationsGroup = null;
+    }
+}
+
+export default {
+    createLocationMarker,
+    disposeLocationMarker,
+    initGroundStations,
+    updateGroundStations,
+    setGroundStationsVisible,
+    areGroundStationsVisible,
+    disposeGroundStations
+};
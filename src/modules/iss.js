@@ -10,9 +10,18 @@ console.log('🚨🚨🚨 BRIGHT FALLBACK ENABLED 🚨🚨🚨');
 
 import { addToScene, removeFromScene } from '../core/scene.js';
 import { issAPI } from '../utils/api.js';
-import { geographicToScenePosition } from '../utils/coordinates.js';
-import { COLORS, ISS_ORBIT_ALTITUDE, SCALE } from '../utils/constants.js';
+import { geographicToScenePosition, geographicToEcef, getEarthSurfacePosition } from '../utils/coordinates.js';
+import { COLORS, DEG_TO_RAD, EARTH_RADIUS, FOOTPRINT, ISS_ORBIT_ALTITUDE, ISS_ORBITAL_PERIOD, ISS_INTERPOLATION, J2000_EPOCH_MS, SCALE } from '../utils/constants.js';
 import { scaleRadius } from '../utils/constants.js';
+import { computeGroundTrack, splitAtAntimeridian } from '../utils/groundTrack.js';
+import { estimatePosition, interpolateOrbitalArc } from '../utils/interpolation.js';
+import { computeISSAttitude, stateFromTEME, stateFromSamples } from '../utils/attitude.js';
+import { computeShadowState, findShadowTransitions } from '../utils/eclipse.js';
+import { computeFootprint, getStationVisibility } from '../utils/footprint.js';
+import { observer } from '../utils/observer.js';
+import { groundStations } from '../utils/groundStations.js';
+import { getSunPosition } from '../utils/solar.js';
+import { greenwichSiderealTime, dateToJulianDate, temeToEcef } from '../utils/sgp4.js';
 import { getCachedSphereGeometry } from '../utils/geometryCache.js';
 import { verifyISSTexturePosition } from '../utils/earthDebug.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
@@ -23,16 +32,57 @@ let issDetailedModel = null; // Store detailed model reference
 let issSimpleModel = null; // Store simple model reference
 let issTrail = null;
 let issUpdateInterval = null;
-let trailPositions = []; // Store last 50 positions for trail
+let trailPositions = []; // Last 50 trail points, relative to Earth's center
 const MAX_TRAIL_POINTS = 50;
 let currentPosition = null;
 let earthPosition = { x: 0, y: 0, z: 0 }; // Track Earth's position for relative positioning
 let uiUpdateCallback = null; // Callback to update UI with ISS data
 let solarPanelsDetailed = []; // Solar panels from detailed 3D model
-let solarPanelsSimple = []; // Solar panels from simple fallback model
+let solarPanelsSimple = []; // Solar array wing pivots from simple fallback model
+let solarArrayJointsSimple = []; // SARJ groups of the fallback model(s)
+let currentAttitude = null; // LVLH attitude and array angles from attitude.js
+let currentEclipse = null; // Earth-shadow state and next sunrise/sunset aboard the station
+let shadowTransitions = null; // Cached {from, validUntil, nextSunrise, nextSunset}
+const SHADOW_SEARCH_MINUTES = 200; // About two orbits - always contains a sunrise and a sunset unless the beta angle is high
 let issModelLoaded = false; // Track if 3D model loaded successfully
 let moduleLabels = []; // HTML label elements for ISS modules
 let moduleLabelsEnabled = false; // Toggle for module labels
+let positionSource = 'tle'; // 'tle' = SGP4 at simulation time, 'api' = live API samples
+let latestSample = null; // Most recent position reported by the API manager
+let lastUIUpdateTime = 0; // Real time of the last propagated UI update
+
+// Live mode: recent API samples are interpolated/dead-reckoned instead of snapping to each one
+let liveSamples = []; // Recent samples, oldest first
+let liveClockOffset = 0; // Sample clock minus local clock (ms), from the least-delayed sample
+let hasNewLiveSample = false; // A sample arrived since the last frame
+let isLiveEstimated = false; // Currently dead-reckoning past the threshold
+let lastTrailSampleTime = 0; // Real time a live trail point was last added
+const LIVE_TRAIL_INTERVAL = 5000; // ms between live trail points (~4 minutes of trail)
+
+// Propagated mode: how often to refresh the info panel, and how much past orbit the trail covers
+const UI_UPDATE_INTERVAL = 1000; // ms (real time)
+const TRAIL_DURATION_MINUTES = 45; // roughly half an orbit
+let lastSimulationTime = null; // Simulation time of the previous frame
+let trailDirection = 1; // 1 while time runs forwards, -1 backwards (the trail covers the path just flown)
+let trailSamples = []; // Propagated trail points on the sampling grid, relative to Earth's center
+let trailSampleKey = null; // Grid slot and direction trailSamples were computed for (null: recompute)
+
+// Orbit prediction (future path and ground track)
+let predictedOrbit = null; // Dashed line along the upcoming orbits at station altitude
+let groundTrackLine = null; // Sub-satellite path drawn on Earth's surface
+let predictionOrbits = 2; // Orbits to predict ahead (0 hides the prediction)
+let prediction = null; // Cached samples {startTime, endTime, samples}
+let predictionRange = { start: 0, count: 0 }; // Part of the cache ahead of the station
+const MAX_PREDICTION_ORBITS = 3;
+const PREDICTION_STEP_SECONDS = 30;
+const MAX_PREDICTION_SAMPLES = 1000; // Enough for MAX_PREDICTION_ORBITS + 1 orbit of margin
+
+// Coverage footprint
+let footprintGroup = null; // Footprint outline, line-of-sight cone and station markers (vertices relative to Earth's center)
+let footprintVisible = false;
+let footprintMinElevation = FOOTPRINT.DEFAULT_MIN_ELEVATION; // Elevation mask at the footprint edge (degrees)
+let stationHighlighting = true; // Color ground stations by whether they can see the station
+let stationVisibility = []; // Latest getStationVisibility() result (empty while the footprint is hidden)
 
 // LOD distance thresholds (in scene units)
 const LOD_DISTANCES = {
@@ -99,9 +149,25 @@ export async function initISS(styleConfig) {
     issTrail = createISSTrail(styleConfig);
     addToScene(issTrail);
 
+    // Create predicted orbit and ground track lines
+    createPredictionLines(styleConfig);
+    addToScene(predictedOrbit);
+    addToScene(groundTrackLine);
+
+    // Create the coverage footprint (hidden until switched on)
+    createFootprint(styleConfig);
+    addToScene(footprintGroup);
+
     // Start fetching ISS position from API (async - will update position)
     startISSTracking();
 
+    // Try to replace the bundled TLE with a current one (keeps the bundled one if offline)
+    issAPI.fetchTLE().then((loaded) => {
+        if (loaded) {
+            trailSampleKey = null; // Resample the trail from the new orbit
+        }
+    });
+
     // Create module labels (hidden by default)
     createModuleLabels();
 
@@ -229,27 +295,57 @@ function createFallbackISS(styleConfig) {
     body.rotation.z = Math.PI / 2;
     group.add(body);
 
-    // BRIGHT CYAN SOLAR PANELS
-    const panelGeometry = new THREE.BoxGeometry(25, 8, 0.5);
+    // Integrated truss along the model's Z axis (LVLH +Y, perpendicular to the orbit plane)
+    const trussGeometry = new THREE.BoxGeometry(1.5, 1.5, 46);
+    const trussMaterial = new THREE.MeshStandardMaterial({
+        color: 0xCCCCCC,
+        emissive: 0x666666,
+        emissiveIntensity: 0.5
+    });
+    group.add(new THREE.Mesh(trussGeometry, trussMaterial));
+
+    // BRIGHT CYAN SOLAR PANELS: eight wings on two SARJs, each wing on its own beta gimbal
+    const panelGeometry = new THREE.BoxGeometry(16, 0.3, 5);
     const panelMaterial = new THREE.MeshStandardMaterial({
         color: 0x00FFFF, // BRIGHT CYAN
         emissive: 0x00FFFF,
         emissiveIntensity: 0.8
     });
 
-    const leftPanel = new THREE.Mesh(panelGeometry, panelMaterial);
-    leftPanel.position.set(-8, 0, 0);
-    leftPanel.name = 'ISS-Panel-Left';
-    group.add(leftPanel);
-
-    const rightPanel = new THREE.Mesh(panelGeometry, panelMaterial);
-    rightPanel.position.set(8, 0, 0);
-    rightPanel.name = 'ISS-Panel-Right';
-    group.add(rightPanel);
+    // The scene's lat/lon frame is a mirror image of ECEF, so starboard ends up on the model's -Z
+    const wingLayout = {
+        starboard: { sign: -1, segments: [['1A', '3A'], ['1B', '3B']] },
+        port: { sign: 1, segments: [['2A', '4A'], ['2B', '4B']] }
+    };
 
-    // Store simple model panels
-    solarPanelsSimple = [leftPanel, rightPanel];
-    console.log('✅ Fallback ISS: BRIGHT YELLOW body + CYAN panels (simple solar panels stored)');
+    // Appended, not replaced: the fallback can also stand in for the detailed LOD level
+    Object.entries(wingLayout).forEach(([side, { sign, segments }]) => {
+        // SARJ: rotates everything outboard of it about the truss
+        const joint = new THREE.Group();
+        joint.position.set(0, 0, sign * 14);
+        joint.name = `ISS-SARJ-${side}`;
+        joint.userData.side = side;
+        group.add(joint);
+        solarArrayJointsSimple.push(joint);
+
+        segments.forEach((wingIds, segmentIndex) => {
+            wingIds.forEach((id, wingIndex) => {
+                // Beta gimbal: tilts the wing about its long (X) axis
+                const pivot = new THREE.Group();
+                pivot.position.set(0, 0, sign * segmentIndex * 7);
+                pivot.name = `ISS-Wing-${id}`;
+                pivot.userData.wing = { id, side };
+
+                const wing = new THREE.Mesh(panelGeometry, panelMaterial);
+                wing.position.set(wingIndex === 0 ? 10 : -10, 0, 0);
+                pivot.add(wing);
+
+                joint.add(pivot);
+                solarPanelsSimple.push(pivot);
+            });
+        });
+    });
+    console.log('✅ Fallback ISS: BRIGHT YELLOW body + CYAN panels (8 wings on 2 SARJs stored)');
 
     group.name = 'ISS-Simple';
     return group;
@@ -286,6 +382,260 @@ function createISSTrail(styleConfig) {
     return trail;
 }
 
+/**
+ * Create the predicted orbit (dashed, at station altitude) and ground track (on the surface) lines
+ * Vertices are relative to Earth's center; the lines are moved with Earth each frame.
+ * @param {Object} styleConfig - Visual style configuration
+ */
+function createPredictionLines(styleConfig) {
+    const earthSceneRadius = scaleRadius(EARTH_RADIUS, 'planet');
+    const opacity = styleConfig.name === 'Neon/Cyberpunk' ? 0.9 : 0.6;
+
+    const orbitGeometry = new THREE.BufferGeometry();
+    orbitGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_PREDICTION_SAMPLES * 3), 3));
+    orbitGeometry.setDrawRange(0, 0);
+    predictedOrbit = new THREE.Line(orbitGeometry, new THREE.LineDashedMaterial({
+        color: COLORS.ISS_PREDICTION,
+        dashSize: earthSceneRadius * 0.04,
+        gapSize: earthSceneRadius * 0.03,
+        transparent: true,
+        opacity
+    }));
+    predictedOrbit.name = 'ISS-Predicted-Orbit';
+    predictedOrbit.userData = { type: 'iss-prediction' };
+    predictedOrbit.frustumCulled = false; // Bounding sphere isn't recomputed as the window moves
+
+    const trackGeometry = new THREE.BufferGeometry();
+    trackGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_PREDICTION_SAMPLES * 3), 3));
+    trackGeometry.setDrawRange(0, 0);
+    groundTrackLine = new THREE.Line(trackGeometry, new THREE.LineBasicMaterial({
+        color: COLORS.ISS_GROUND_TRACK,
+        transparent: true,
+        opacity
+    }));
+    groundTrackLine.name = 'ISS-Ground-Track';
+    groundTrackLine.userData = { type: 'iss-ground-track' };
+    groundTrackLine.frustumCulled = false;
+
+    prediction = null;
+    predictionRange = { start: 0, count: 0 };
+}
+
+/**
+ * Propagate the orbit ahead and write it into the prediction lines
+ * @param {number} startTime - Window start (Unix ms)
+ * @param {number} durationMs - Window length in milliseconds
+ */
+function recomputePrediction(startTime, durationMs) {
+    const samples = computeGroundTrack(
+        (date) => issAPI.getPropagatedPosition(date),
+        new Date(startTime),
+        durationMs / 60000,
+        PREDICTION_STEP_SECONDS
+    ).slice(0, MAX_PREDICTION_SAMPLES);
+
+    const orbitPositions = predictedOrbit.geometry.attributes.position.array;
+    const trackPositions = groundTrackLine.geometry.attributes.position.array;
+
+    samples.forEach((sample, i) => {
+        const orbitPoint = geographicToScenePosition(sample.latitude, sample.longitude, sample.altitude);
+        orbitPositions[i * 3] = orbitPoint.x;
+        orbitPositions[i * 3 + 1] = orbitPoint.y;
+        orbitPositions[i * 3 + 2] = orbitPoint.z;
+
+        // Lift the ground track slightly so it doesn't z-fight with the Earth texture
+        const surfacePoint = getEarthSurfacePosition(sample.latitude, sample.longitude);
+        trackPositions[i * 3] = surfacePoint.x * 1.003;
+        trackPositions[i * 3 + 1] = surfacePoint.y * 1.003;
+        trackPositions[i * 3 + 2] = surfacePoint.z * 1.003;
+    });
+
+    predictedOrbit.geometry.attributes.position.needsUpdate = true;
+    groundTrackLine.geometry.attributes.position.needsUpdate = true;
+    predictedOrbit.computeLineDistances();
+
+    prediction = { startTime, endTime: startTime + durationMs, samples };
+}
+
+/**
+ * Keep the predicted orbit and ground track in front of the station
+ * The cache covers one extra orbit so most frames only move the draw range;
+ * it is recomputed whenever time jumps outside the cached window.
+ * @param {Date} referenceDate - Date of the station's current position
+ */
+function updatePrediction(referenceDate) {
+    if (!predictedOrbit || !groundTrackLine) return;
+
+    const visible = predictionOrbits > 0 && issAPI.hasTLE();
+    predictedOrbit.visible = visible;
+    groundTrackLine.visible = visible;
+    if (!visible) return;
+
+    const periodMinutes = issAPI.getTLEInfo()?.periodMinutes || ISS_ORBITAL_PERIOD;
+    const windowMs = predictionOrbits * periodMinutes * 60000;
+    const now = referenceDate.getTime();
+
+    if (!prediction || now < prediction.startTime || now + windowMs > prediction.endTime) {
+        recomputePrediction(now, windowMs + periodMinutes * 60000);
+    }
+
+    // Skip samples the station has already passed
+    const samples = prediction.samples;
+    let start = 0;
+    while (start < samples.length - 1 && samples[start + 1].timestamp <= now) {
+        start++;
+    }
+    const count = Math.min(Math.ceil(windowMs / (PREDICTION_STEP_SECONDS * 1000)) + 1, samples.length - start);
+    predictionRange = { start, count };
+
+    predictedOrbit.geometry.setDrawRange(start, count);
+    groundTrackLine.geometry.setDrawRange(start, count);
+    predictedOrbit.position.set(earthPosition.x, earthPosition.y, earthPosition.z);
+    groundTrackLine.position.set(earthPosition.x, earthPosition.y, earthPosition.z);
+}
+
+/**
+ * Create the coverage footprint: outline on Earth's surface, a translucent cone from the
+ * station down to it, and markers for the ground stations
+ * Vertices are relative to Earth's center; the group is moved with Earth each frame.
+ * @param {Object} styleConfig - Visual style configuration
+ */
+function createFootprint(styleConfig) {
+    const earthSceneRadius = scaleRadius(EARTH_RADIUS, 'planet');
+    const ringCount = FOOTPRINT.SEGMENTS + 1; // Closed ring
+
+    footprintGroup = new THREE.Group();
+    footprintGroup.name = 'ISS-Footprint';
+    footprintGroup.visible = footprintVisible;
+
+    const ringGeometry = new THREE.BufferGeometry();
+    ringGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(ringCount * 3), 3));
+    const ring = new THREE.Line(ringGeometry, new THREE.LineBasicMaterial({
+        color: COLORS.ISS_FOOTPRINT,
+        transparent: true,
+        opacity: styleConfig.name === 'Neon/Cyberpunk' ? 1.0 : 0.8
+    }));
+    ring.name = 'ISS-Footprint-Outline';
+
+    // Cone: apex (the station) then the ring, as a triangle fan
+    const coneGeometry = new THREE.BufferGeometry();
+    coneGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ringCount + 1) * 3), 3));
+    const indices = [];
+    for (let i = 1; i < ringCount; i++) {
+        indices.push(0, i, i + 1);
+    }
+    coneGeometry.setIndex(indices);
+    const cone = new THREE.Mesh(coneGeometry, new THREE.MeshBasicMaterial({
+        color: COLORS.ISS_FOOTPRINT,
+        transparent: true,
+        opacity: 0.12,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    cone.name = 'ISS-Line-Of-Sight';
+
+    const stations = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({
+        size: earthSceneRadius * 0.04,
+        sizeAttenuation: true,
+        vertexColors: true
+    }));
+    stations.name = 'ISS-Footprint-Stations';
+    setStationCapacity(stations, 16);
+
+    [ring, cone, stations].forEach(object => {
+        object.frustumCulled = false; // Bounding spheres aren't recomputed as the footprint moves
+        footprintGroup.add(object);
+    });
+    footprintGroup.userData = { ring, cone, stations };
+}
+
+/**
+ * Size the station markers' buffers
+ * @param {THREE.Points} stations - Station markers
+ * @param {number} capacity - Number of stations the buffers can hold
+ */
+function setStationCapacity(stations, capacity) {
+    stations.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    stations.geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    stations.geometry.setDrawRange(0, 0);
+    stations.userData.capacity = capacity;
+}
+
+/**
+ * Ground stations checked against the footprint: the registered stations plus the observer's location
+ * @returns {Array<Object>} Stations {name, latitude, longitude, elevation}
+ */
+function getFootprintStations() {
+    const stations = groundStations.getStations();
+    const location = observer.getLocation();
+    if (!location) return stations;
+    return [...stations, { ...location, name: location.name || 'Your location' }];
+}
+
+/**
+ * Move the footprint with the station and recolor the ground stations
+ */
+function updateFootprint() {
+    if (!footprintGroup) return;
+
+    footprintGroup.visible = footprintVisible && !!currentPosition;
+    if (!footprintGroup.visible) {
+        stationVisibility = [];
+        return;
+    }
+
+    const { ring, cone, stations } = footprintGroup.userData;
+    const altitude = currentPosition.altitude ?? ISS_ORBIT_ALTITUDE;
+    const footprint = computeFootprint(currentPosition.latitude, currentPosition.longitude, altitude, {
+        minElevation: footprintMinElevation,
+        segments: FOOTPRINT.SEGMENTS
+    });
+
+    const ringPositions = ring.geometry.attributes.position.array;
+    const conePositions = cone.geometry.attributes.position.array;
+    const apex = geographicToScenePosition(currentPosition.latitude, currentPosition.longitude, altitude);
+    conePositions[0] = apex.x;
+    conePositions[1] = apex.y;
+    conePositions[2] = apex.z;
+
+    footprint.points.forEach((point, i) => {
+        // Lifted like the ground track so it doesn't z-fight with the Earth texture
+        const surfacePoint = getEarthSurfacePosition(point.latitude, point.longitude);
+        ringPositions[i * 3] = conePositions[(i + 1) * 3] = surfacePoint.x * 1.003;
+        ringPositions[i * 3 + 1] = conePositions[(i + 1) * 3 + 1] = surfacePoint.y * 1.003;
+        ringPositions[i * 3 + 2] = conePositions[(i + 1) * 3 + 2] = surfacePoint.z * 1.003;
+    });
+    ring.geometry.attributes.position.needsUpdate = true;
+    cone.geometry.attributes.position.needsUpdate = true;
+
+    // Ground stations: bright when they can see the station, dim when they can't
+    stationVisibility = getStationVisibility(getFootprintStations(), { ...currentPosition, altitude }, footprintMinElevation);
+    stations.visible = stationHighlighting;
+    if (stationHighlighting) {
+        if (stationVisibility.length > stations.userData.capacity) {
+            stations.geometry.dispose();
+            setStationCapacity(stations, stationVisibility.length * 2);
+        }
+        const positions = stations.geometry.attributes.position.array;
+        const colors = stations.geometry.attributes.color.array;
+        const inView = new THREE.Color(COLORS.STATION_IN_VIEW);
+        const outOfView = new THREE.Color(COLORS.STATION_OUT_OF_VIEW);
+
+        stationVisibility.forEach((station, i) => {
+            const surfacePoint = getEarthSurfacePosition(station.latitude, station.longitude);
+            positions[i * 3] = surfacePoint.x * 1.005;
+            positions[i * 3 + 1] = surfacePoint.y * 1.005;
+            positions[i * 3 + 2] = surfacePoint.z * 1.005;
+            (station.inView ? inView : outOfView).toArray(colors, i * 3);
+        });
+        stations.geometry.setDrawRange(0, stationVisibility.length);
+        stations.geometry.attributes.position.needsUpdate = true;
+        stations.geometry.attributes.color.needsUpdate = true;
+    }
+
+    footprintGroup.position.set(earthPosition.x, earthPosition.y, earthPosition.z);
+}
+
 /**
  * Start tracking ISS position from API
  * Fetches position every 5 seconds and updates visualization
@@ -302,9 +652,10 @@ function startISSTracking() {
     // Register callback for position updates
     issAPI.onUpdate((position) => {
         console.log('🔔 ISS callback triggered with position:', position);
-        currentPosition = position;
-        console.log('📍 currentPosition set, calling updateISSVisualization...');
-        updateISSVisualization(true); // Pass true - this is new API data
+        latestSample = position;
+
+        // The frame loop places the station (from the TLE, or by interpolating these samples)
+        addLiveSample(position);
     });
 
     console.log('✅ ISS tracking started (updates every 5 seconds)');
@@ -330,9 +681,8 @@ async function updateISSPosition() {
         console.log('📞 Calling issAPI.fetchISSPosition()...');
         const position = await issAPI.fetchISSPosition();
         console.log('📦 Received position from API:', position);
-        currentPosition = position;
-        console.log('✅ currentPosition set, calling updateISSVisualization...');
-        updateISSVisualization(true); // Pass true - this is new API data
+        latestSample = position;
+        addLiveSample(position);
 
         // Log position for debugging
         if (position.isMock) {
@@ -346,6 +696,58 @@ async function updateISSPosition() {
     }
 }
 
+/**
+ * Add an API sample to the interpolation buffer
+ * @param {Object} position - Position from issAPI {latitude, longitude, altitude, velocity, timestamp, ...}
+ */
+function addLiveSample(position) {
+    if (!position || !Number.isFinite(position.timestamp)) return;
+
+    const last = liveSamples[liveSamples.length - 1];
+    if (last && last.timestamp === position.timestamp) return; // Cached position re-sent after an error
+
+    // Replays can jump backwards, and switching between replay and live changes clocks - start over
+    if (last && (position.timestamp < last.timestamp || !!position.isReplay !== !!last.isReplay)) {
+        liveSamples = [];
+    }
+
+    liveSamples.push({ ...position, receivedAt: Date.now() });
+    if (liveSamples.length > ISS_INTERPOLATION.BUFFER_SIZE) {
+        liveSamples.shift();
+    }
+
+    liveClockOffset = Math.max(...liveSamples.map(sample => sample.timestamp - sample.receivedAt));
+    hasNewLiveSample = true;
+}
+
+/**
+ * Estimate where the ISS is now from the buffered API samples
+ * Live samples are shown ISS_INTERPOLATION.DELAY behind the sample clock so the station
+ * normally moves between two known samples; replayed samples follow simulation time.
+ * @param {number} simulationTime - Simulation time in ms since J2000
+ * @returns {Object|null} Position for updateISSVisualization, or null without samples
+ */
+function estimateLivePosition(simulationTime) {
+    if (liveSamples.length === 0) return null;
+
+    const newest = liveSamples[liveSamples.length - 1];
+    const clockTime = newest.isReplay && simulationTime !== undefined
+        ? J2000_EPOCH_MS + simulationTime
+        : Date.now() + liveClockOffset;
+    const estimate = estimatePosition(liveSamples, clockTime - ISS_INTERPOLATION.DELAY);
+
+    return {
+        ...newest,
+        latitude: estimate.latitude,
+        longitude: estimate.longitude,
+        altitude: estimate.altitude ?? newest.altitude,
+        velocity: estimate.velocity ?? newest.velocity,
+        interpolation: estimate.mode,
+        extrapolationMs: estimate.extrapolationMs,
+        isEstimated: estimate.isEstimated
+    };
+}
+
 /**
  * Update ISS mesh position and trail based on current position
  * @param {boolean} isNewData - Whether this is new API data (not just a visual update)
@@ -357,11 +759,13 @@ function updateISSVisualization(isNewData = false) {
         return;
     }
 
+    const altitude = currentPosition.altitude ?? ISS_ORBIT_ALTITUDE;
+
     // Convert geographic coordinates to 3D scene position
     const scenePos = geographicToScenePosition(
         currentPosition.latitude,
         currentPosition.longitude,
-        ISS_ORBIT_ALTITUDE
+        altitude
     );
 
     // Add Earth's current position (ISS orbits relative to Earth)
@@ -374,17 +778,34 @@ function updateISSVisualization(isNewData = false) {
     // Update ISS mesh position
     issMesh.position.set(worldPos.x, worldPos.y, worldPos.z);
 
-    // Update trail
-    updateTrail(worldPos);
+    // Update trail (in TLE mode it is rebuilt from the orbit in updateISS instead)
+    if (!isPropagating()) {
+        const now = Date.now();
+        if (now - lastTrailSampleTime >= LIVE_TRAIL_INTERVAL) {
+            lastTrailSampleTime = now;
+            updateTrail(scenePos);
+        } else {
+            writeTrailGeometry(); // Keep the trail attached to the moving Earth
+        }
+    }
 
-    // Notify UI of ISS data update ONLY when we get new API data
+    // Notify UI of ISS data update ONLY when we get new data
     if (isNewData && uiUpdateCallback && currentPosition) {
         uiUpdateCallback({
             position: {
                 lat: currentPosition.latitude,
                 lon: currentPosition.longitude
             },
-            altitude: ISS_ORBIT_ALTITUDE,
+            altitude,
+            isAltitudeAssumed: currentPosition.altitudeSource === 'assumed',
+            velocity: currentPosition.velocity,
+            source: getSampleSource(currentPosition),
+            provider: currentPosition.provider,
+            isExtrapolated: !!currentPosition.isExtrapolated,
+            isEstimated: !!currentPosition.isEstimated,
+            attitude: currentAttitude,
+            eclipse: currentEclipse,
+            stationsInView: footprintVisible && stationHighlighting ? getISSStationsInView() : null,
             timestamp: currentPosition.timestamp || Math.floor(Date.now() / 1000)
         });
 
@@ -393,9 +814,21 @@ function updateISSVisualization(isNewData = false) {
     }
 }
 
+/**
+ * Classify where an ISS position came from, for the info panel
+ * @param {Object} position - Position from issAPI
+ * @returns {string} 'tle', 'replay', 'mock' or 'api'
+ */
+function getSampleSource(position) {
+    if (position.isPropagated) return 'tle';
+    if (position.isReplay) return 'replay';
+    if (position.isMock) return 'mock';
+    return 'api';
+}
+
 /**
  * Update ISS trail with new position
- * @param {Object} position - New position {x, y, z}
+ * @param {Object} position - New position {x, y, z} relative to Earth's center
  */
 function updateTrail(position) {
     if (!issTrail) return;
@@ -408,6 +841,48 @@ function updateTrail(position) {
         trailPositions.shift(); // Remove oldest position
     }
 
+    writeTrailGeometry();
+}
+
+/**
+ * Rebuild the ISS trail from the orbit over the last TRAIL_DURATION_MINUTES
+ * Used in propagated mode, where per-frame samples would be meaningless at high time speeds
+ * When time runs backwards the trail covers the next TRAIL_DURATION_MINUTES instead,
+ * so it still follows the station along the path it has just flown.
+ * The orbit is sampled on a fixed grid of simulation times and only resampled when the station
+ * crosses into the next grid slot (or a new TLE arrives); the station's own position ends the trail.
+ * @param {Date} simulationDate - Current simulation date
+ * @param {Object} position - Station position at that date {latitude, longitude, altitude}
+ */
+function updatePropagatedTrail(simulationDate, position) {
+    if (!issTrail) return;
+
+    const intervalMs = (TRAIL_DURATION_MINUTES * 60000) / (MAX_TRAIL_POINTS - 1);
+    const time = simulationDate.getTime();
+    const slot = trailDirection > 0 ? Math.floor(time / intervalMs) : Math.ceil(time / intervalMs);
+    const key = `${slot}:${trailDirection}`;
+
+    if (key !== trailSampleKey) {
+        trailSampleKey = key;
+        trailSamples = [];
+        for (let i = MAX_TRAIL_POINTS - 2; i >= 0; i--) {
+            const sample = issAPI.getPropagatedPosition(new Date((slot - trailDirection * i) * intervalMs));
+            if (!sample) continue;
+
+            trailSamples.push(geographicToScenePosition(sample.latitude, sample.longitude, sample.altitude));
+        }
+    }
+
+    trailPositions = [...trailSamples, geographicToScenePosition(position.latitude, position.longitude, position.altitude)];
+    writeTrailGeometry();
+}
+
+/**
+ * Copy trailPositions into the trail line geometry, placed around Earth's current position
+ */
+function writeTrailGeometry() {
+    if (!issTrail) return;
+
     // Update trail geometry
     const geometry = issTrail.geometry;
     const positions = geometry.attributes.position.array;
@@ -415,9 +890,9 @@ function updateTrail(position) {
     // Fill positions array with trail points
     for (let i = 0; i < trailPositions.length; i++) {
         const point = trailPositions[i];
-        positions[i * 3] = point.x;
-        positions[i * 3 + 1] = point.y;
-        positions[i * 3 + 2] = point.z;
+        positions[i * 3] = earthPosition.x + point.x;
+        positions[i * 3 + 1] = earthPosition.y + point.y;
+        positions[i * 3 + 2] = earthPosition.z + point.z;
     }
 
     // Update geometry
@@ -426,31 +901,158 @@ function updateTrail(position) {
 }
 
 /**
- * Rotate solar panels to face the sun for maximum power generation
- * @param {THREE.Group} issGroup - The ISS group mesh
+ * Convert a direction from ECEF axes to the scene's lat/lon frame (see geographicToScenePosition)
+ * @param {Object} vector - Vector {x, y, z} with z toward the North Pole
+ * @returns {THREE.Vector3} Scene vector (y toward the North Pole)
  */
-function rotateSolarPanelsToSun(issLOD) {
-    // Check which LOD level is currently active
-    const currentLevel = issLOD.getCurrentLevel();
+function ecefToSceneVector(vector) {
+    return new THREE.Vector3(vector.x, vector.z, vector.y);
+}
 
-    // Select appropriate panel array based on LOD level
-    const panels = (currentLevel === 0) ? solarPanelsDetailed : solarPanelsSimple;
+/**
+ * Work out the station's attitude and array angles at the current position
+ * @returns {Object|null} Attitude from computeISSAttitude(), or null while the direction of travel is unknown
+ */
+function computeCurrentAttitude() {
+    const date = new Date(currentPosition.timestamp || Date.now());
+    let state = null;
+
+    if (isPropagating() && currentPosition.eci) {
+        state = stateFromTEME(currentPosition.eci, date);
+    } else if (!isPropagating() && liveSamples.length >= 2) {
+        // Live samples carry no velocity vector - take the heading from the newest two
+        const motion = stateFromSamples(liveSamples[liveSamples.length - 2], liveSamples[liveSamples.length - 1]);
+        if (motion) {
+            state = {
+                position: geographicToEcef(currentPosition.latitude, currentPosition.longitude,
+                    currentPosition.altitude ?? ISS_ORBIT_ALTITUDE),
+                velocity: motion.velocity
+            };
+        }
+    }
+    if (!state) return null;
 
-    if (!panels || panels.length === 0) {
-        return; // No panels found yet (model still loading)
+    try {
+        return computeISSAttitude(state, date);
+    } catch (error) {
+        console.warn('⚠️ Could not compute ISS attitude:', error.message);
+        return null;
     }
+}
+
+/**
+ * Rotate an Earth-fixed position into the Sun's equatorial frame (the TEME frame of SGP4)
+ * @param {Object} position - {latitude, longitude, altitude}
+ * @param {Date} date - Date of the position
+ * @returns {Object} {x, y, z} in km
+ */
+function geographicToInertial(position, date) {
+    const gmst = greenwichSiderealTime(dateToJulianDate(date));
+    const ecef = geographicToEcef(position.latitude, position.longitude, position.altitude ?? ISS_ORBIT_ALTITUDE);
+    return temeToEcef(ecef, -gmst);
+}
 
-    // Sun is at origin (0, 0, 0)
-    const sunPosition = new THREE.Vector3(0, 0, 0);
+/**
+ * ISS and Sun positions at any date, for the sunrise/sunset search
+ * Propagates the TLE, or in live mode carries on along the arc through the two newest samples
+ * (the bundled TLE can be years away from live data).
+ * @param {Date} date - Date
+ * @returns {Object|null} {satellite, sun} in km, or null when the orbit is unknown
+ */
+function shadowPositionsAt(date) {
+    const sun = getSunPosition(date).eci;
 
-    // Rotate each solar panel to face the sun
-    panels.forEach((panel) => {
-        if (!panel || !panel.isObject3D) return;
+    if (!isPropagating()) {
+        if (liveSamples.length < 2) return null;
+        const arc = interpolateOrbitalArc(liveSamples[liveSamples.length - 2], liveSamples[liveSamples.length - 1], date.getTime());
+        return { satellite: geographicToInertial(arc, date), sun };
+    }
 
-        // Make the panel look at the sun
-        // The panel's -Z axis will point toward the sun
-        panel.lookAt(sunPosition);
+    const sample = issAPI.getPropagatedPosition(date);
+    return sample ? { satellite: sample.eci.position, sun } : null;
+}
+
+/**
+ * Work out whether the station is in Earth's shadow and when the Sun next rises or sets aboard it
+ * The current state uses the displayed position; sunrise/sunset times come from shadowPositionsAt().
+ * @returns {Object} {state, illumination, limbAngle, isInShadow, nextSunrise, nextSunset, timestamp}
+ */
+function computeCurrentEclipse() {
+    const date = new Date(currentPosition.timestamp || Date.now());
+    const time = date.getTime();
+
+    const satellite = isPropagating() && currentPosition.eci
+        ? currentPosition.eci.position
+        : geographicToInertial(currentPosition, date);
+    const shadow = computeShadowState(satellite, getSunPosition(date).eci);
+
+    // Search again once the earliest cached event has passed or the clock jumped back
+    if (!shadowTransitions || time < shadowTransitions.from || time >= shadowTransitions.validUntil) {
+        const transitions = findShadowTransitions(shadowPositionsAt, date, { searchMinutes: SHADOW_SEARCH_MINUTES });
+        const events = [transitions.nextSunrise, transitions.nextSunset].filter(Boolean).map(event => event.getTime());
+        shadowTransitions = {
+            ...transitions,
+            from: time,
+            // Nothing found: either the Sun stays up (high beta angle) or the orbit isn't known yet
+            validUntil: events.length > 0 ? Math.min(...events)
+                : shadowPositionsAt(date) ? time + (SHADOW_SEARCH_MINUTES / 2) * 60000 : time
+        };
+    }
+
+    return {
+        ...shadow,
+        isInShadow: shadow.state !== 'sunlit',
+        nextSunrise: shadowTransitions.nextSunrise,
+        nextSunset: shadowTransitions.nextSunset,
+        timestamp: time
+    };
+}
+
+/**
+ * Orient the station in its LVLH frame: modules along the velocity vector, truss across the orbit plane
+ * Model axes: +X forward, +Y zenith, +Z across the truss.
+ * @param {Object} attitude - Attitude from computeISSAttitude()
+ */
+function orientISS(attitude) {
+    const forward = ecefToSceneVector(attitude.frame.x);
+    const zenith = ecefToSceneVector(attitude.frame.z).negate();
+    // The scene frame is mirrored, so this points to port rather than starboard
+    const across = new THREE.Vector3().crossVectors(forward, zenith);
+
+    const matrix = new THREE.Matrix4().makeBasis(forward, zenith, across);
+    issMesh.quaternion.setFromRotationMatrix(matrix);
+}
+
+/**
+ * Turn the solar arrays to track the sun
+ * The fallback model gets each SARJ and beta gimbal angle; panels found in the detailed
+ * model have no gimbal hierarchy, so they simply face the sun.
+ * @param {THREE.LOD} issLOD - The ISS LOD object
+ * @param {Object} attitude - Attitude from computeISSAttitude()
+ */
+function rotateSolarPanelsToSun(issLOD, attitude) {
+    solarArrayJointsSimple.forEach((joint) => {
+        const alpha = attitude.alpha[joint.userData.side];
+        // Both joints turn the same way in the model; the port angle is read on a mirrored joint
+        joint.rotation.z = (joint.userData.side === 'port' ? -alpha : alpha) * DEG_TO_RAD;
+    });
+
+    const wings = new Map(attitude.wings.map(wing => [wing.id, wing]));
+    solarPanelsSimple.forEach((pivot) => {
+        const wing = wings.get(pivot.userData.wing.id);
+        if (!wing) return;
+        // Beta tilts outboard: toward -Z for starboard wings, +Z for port wings
+        pivot.rotation.x = (wing.side === 'port' ? wing.beta : -wing.beta) * DEG_TO_RAD;
     });
+
+    if (issLOD.getCurrentLevel() === 0 && solarPanelsDetailed.length > 0) {
+        const sunTarget = ecefToSceneVector(attitude.sunDirection).add(issLOD.position);
+        solarPanelsDetailed.forEach((panel) => {
+            if (!panel || !panel.isObject3D) return;
+            // The panel's +Z axis will point toward the sun
+            panel.lookAt(sunTarget);
+        });
+    }
 }
 
 /**
@@ -583,45 +1185,214 @@ export function updateISS(deltaTime, simulationTime, earthPos) {
         earthPosition = earthPos;
     }
 
+    // Propagated mode: place the station from the TLE at the simulation date
+    let isNewData = false;
+    if (simulationTime !== undefined) {
+        // Follow the direction of time (kept while paused)
+        if (lastSimulationTime !== null && simulationTime !== lastSimulationTime) {
+            trailDirection = simulationTime < lastSimulationTime ? -1 : 1;
+        }
+        lastSimulationTime = simulationTime;
+    }
+
+    if (isPropagating() && issMesh && simulationTime !== undefined) {
+        const simulationDate = new Date(J2000_EPOCH_MS + simulationTime);
+        const propagated = issAPI.getPropagatedPosition(simulationDate);
+
+        if (propagated) {
+            currentPosition = propagated;
+            updatePropagatedTrail(simulationDate, propagated);
+
+            // Throttle UI updates - the position changes every frame
+            const now = Date.now();
+            if (now - lastUIUpdateTime >= UI_UPDATE_INTERVAL) {
+                lastUIUpdateTime = now;
+                isNewData = true;
+            }
+        } else if (latestSample) {
+            currentPosition = latestSample;
+        }
+    } else if (!isPropagating()) {
+        // Live mode: glide between samples and dead-reckon when they are late
+        const estimate = estimateLivePosition(simulationTime);
+        if (estimate) {
+            currentPosition = estimate;
+
+            // Refresh the panel when data arrives or the estimate flag flips
+            if (hasNewLiveSample || estimate.isEstimated !== isLiveEstimated) {
+                if (estimate.isEstimated && !isLiveEstimated) {
+                    console.warn(`⏳ No ISS data for ${Math.round(estimate.extrapolationMs / 1000)}s - position is estimated`);
+                }
+                isNewData = true;
+                hasNewLiveSample = false;
+                isLiveEstimated = estimate.isEstimated;
+            }
+        }
+    }
+
     // Recalculate ISS position relative to new Earth position
     if (currentPosition && issMesh) {
-        updateISSVisualization();
-
-        // Orient ISS to stay parallel to Earth's surface
-        // Calculate vector from Earth to ISS (radial direction - "up" from Earth's surface)
-        const radial = new THREE.Vector3(
-            issMesh.position.x - earthPosition.x,
-            issMesh.position.y - earthPosition.y,
-            issMesh.position.z - earthPosition.z
-        ).normalize();
-
-        // Calculate orbital tangent (direction of motion, perpendicular to radial in XZ plane)
-        // ISS moves counterclockwise when viewed from above (positive Y)
-        const tangent = new THREE.Vector3(-radial.z, 0, radial.x).normalize();
-
-        // Set ISS orientation: body points in direction of orbital motion, panels face radially
-        // We want the cylinder body (which is along local X axis after rotation) to point tangentially
-        // Create a rotation matrix that aligns the ISS with orbital motion
-        const up = new THREE.Vector3(0, 1, 0); // World up
-        const quaternion = new THREE.Quaternion();
-
-        // Make ISS "look" in the tangent direction with "up" being world up
-        // This keeps it flying forward with solar panels perpendicular to Earth
-        const matrix = new THREE.Matrix4();
-        matrix.lookAt(issMesh.position,
-                     new THREE.Vector3().addVectors(issMesh.position, tangent),
-                     radial);
-        quaternion.setFromRotationMatrix(matrix);
-        issMesh.quaternion.copy(quaternion);
-
-        // SOLAR PANEL ROTATION: Rotate panels to face the sun
-        rotateSolarPanelsToSun(issMesh);
+        // Work out the attitude first so the UI update below reports it
+        // (keeps the last attitude while the direction of travel is unknown)
+        const attitude = computeCurrentAttitude();
+        if (attitude) {
+            currentAttitude = attitude;
+        }
+        if (isNewData || !currentEclipse) {
+            currentEclipse = computeCurrentEclipse();
+        }
+
+        // Before the visualization update, which reports the stations in view to the UI
+        updateFootprint();
+
+        updateISSVisualization(isNewData);
+
+        // Fly the station in its LVLH frame and track the sun with the arrays
+        if (attitude) {
+            orientISS(attitude);
+            rotateSolarPanelsToSun(issMesh, attitude);
+        }
+
+        // Keep the predicted orbit ahead of the station
+        updatePrediction(new Date(currentPosition.timestamp || Date.now()));
 
         // Update world matrix so labels can get correct positions
         issMesh.updateMatrixWorld(true);
     }
 }
 
+/**
+ * Check whether the station is currently placed by SGP4 propagation
+ * @returns {boolean} True in 'tle' mode with a TLE loaded
+ */
+function isPropagating() {
+    return positionSource === 'tle' && issAPI.hasTLE();
+}
+
+/**
+ * Choose how the ISS position is determined
+ * @param {string} source - 'tle' (SGP4 at simulation time) or 'api' (live API samples)
+ */
+export function setISSPositionSource(source) {
+    if (source !== 'tle' && source !== 'api') {
+        console.warn(`⚠️ Unknown ISS position source: ${source}`);
+        return;
+    }
+
+    positionSource = source;
+    clearISSTrail();
+    lastUIUpdateTime = 0;
+    shadowTransitions = null; // Sunrise/sunset come from a different orbit source now
+
+    if (source === 'api' && latestSample) {
+        currentPosition = latestSample;
+        updateISSVisualization(true);
+    }
+
+    console.log(`🛰️ ISS position source: ${source === 'tle' ? 'SGP4 propagation' : 'live API'}`);
+}
+
+/**
+ * Get the current ISS position source
+ * @returns {string} 'tle' or 'api'
+ */
+export function getISSPositionSource() {
+    return positionSource;
+}
+
+/**
+ * Set how many orbits ahead to predict
+ * @param {number} orbits - 0 (hidden) to MAX_PREDICTION_ORBITS
+ */
+export function setISSPredictionOrbits(orbits) {
+    const value = Math.round(Number(orbits));
+    if (!Number.isFinite(value) || value < 0 || value > MAX_PREDICTION_ORBITS) {
+        console.warn(`⚠️ ISS prediction orbits must be 0-${MAX_PREDICTION_ORBITS}, got ${orbits}`);
+        return;
+    }
+
+    predictionOrbits = value;
+    prediction = null; // Recompute with the new window on the next frame
+    console.log(`🔮 ISS orbit prediction: ${value === 0 ? 'off' : `${value} orbit(s) ahead`}`);
+}
+
+/**
+ * Get how many orbits ahead are predicted
+ * @returns {number} Number of orbits (0 = hidden)
+ */
+export function getISSPredictionOrbits() {
+    return predictionOrbits;
+}
+
+/**
+ * Show or hide the coverage footprint
+ * @param {boolean} visible - Whether the footprint is drawn
+ */
+export function setISSFootprintVisible(visible) {
+    footprintVisible = !!visible;
+    updateFootprint();
+    lastUIUpdateTime = 0; // Report the stations in view (or clear them) straight away
+}
+
+/**
+ * Set the elevation mask at the footprint edge
+ * @param {number} degrees - Minimum elevation, 0 (geometric horizon) to 90
+ */
+export function setISSFootprintElevation(degrees) {
+    const value = Number(degrees);
+    if (!Number.isFinite(value) || value < 0 || value > 90) {
+        console.warn(`⚠️ Footprint elevation mask must be 0-90°, got ${degrees}`);
+        return;
+    }
+
+    footprintMinElevation = value;
+    updateFootprint();
+    lastUIUpdateTime = 0;
+    console.log(`📡 ISS footprint elevation mask: ${value}°`);
+}
+
+/**
+ * Get the elevation mask at the footprint edge
+ * @returns {number} Minimum elevation in degrees
+ */
+export function getISSFootprintElevation() {
+    return footprintMinElevation;
+}
+
+/**
+ * Turn ground-station highlighting in the footprint on or off
+ * @param {boolean} enabled - Whether stations are drawn and colored by visibility
+ */
+export function setISSStationHighlighting(enabled) {
+    stationHighlighting = !!enabled;
+    updateFootprint();
+    lastUIUpdateTime = 0;
+}
+
+/**
+ * Get the ground stations that can currently see the station above the elevation mask
+ * @returns {Array<Object>} Stations {name, latitude, longitude, azimuth, elevation, range}, highest first
+ *   (empty while the footprint is hidden)
+ */
+export function getISSStationsInView() {
+    return stationVisibility
+        .filter(station => station.inView)
+        .sort((a, b) => b.elevation - a.elevation);
+}
+
+/**
+ * Get the upcoming ground track (the part of the prediction ahead of the station)
+ * @returns {Object} { samples: [{latitude, longitude, altitude, timestamp}], segments: 2D polylines split at ±180° }
+ */
+export function getISSGroundTrack() {
+    if (!prediction || predictionRange.count === 0) {
+        return { samples: [], segments: [] };
+    }
+
+    const samples = prediction.samples.slice(predictionRange.start, predictionRange.start + predictionRange.count);
+    return { samples, segments: splitAtAntimeridian(samples) };
+}
+
 /**
  * Get current ISS position
  * @returns {Object|null} Current ISS position or null if not yet fetched
@@ -630,6 +1401,15 @@ export function getISSPosition() {
     return currentPosition;
 }
 
+/**
+ * Get the station's current attitude and solar array angles
+ * @returns {Object|null} {frame, sunDirection, sun, solarBeta, alpha, beta, wings, timestamp}
+ *   from attitude.js, or null until the direction of travel is known
+ */
+export function getISSAttitude() {
+    return currentAttitude;
+}
+
 /**
  * Get ISS mesh for external access (e.g., camera focus)
  * @returns {THREE.Mesh|null} ISS mesh
@@ -640,11 +1420,15 @@ export function getISSMesh() {
 }
 
 /**
- * Get ISS API status
- * @returns {Object} API status information
+ * Get ISS API status and the station's Earth-shadow state
+ * @returns {Object} API status information plus eclipse: {state ('sunlit', 'penumbra' or 'umbra'),
+ *   illumination, limbAngle, isInShadow, nextSunrise, nextSunset, timestamp} or null before the first position
  */
 export function getISSStatus() {
-    return issAPI.getStatus();
+    return {
+        ...issAPI.getStatus(),
+        eclipse: currentEclipse
+    };
 }
 
 /**
@@ -694,6 +1478,11 @@ export function updateISSStyle(styleConfig) {
     const trailMaterial = issTrail.material;
     trailMaterial.opacity = styleConfig.name === 'Neon/Cyberpunk' ? 0.8 : 0.5;
 
+    // Update prediction line materials
+    [predictedOrbit, groundTrackLine].forEach((line) => {
+        if (line) line.material.opacity = styleConfig.name === 'Neon/Cyberpunk' ? 0.9 : 0.6;
+    });
+
     console.log('🎨 ISS style updated to:', styleConfig.name);
 }
 
@@ -731,14 +1520,48 @@ export function disposeISS() {
         issTrail = null;
     }
 
+    // Dispose prediction lines
+    [predictedOrbit, groundTrackLine].forEach((line) => {
+        if (!line) return;
+        removeFromScene(line);
+        line.geometry.dispose();
+        line.material.dispose();
+    });
+    predictedOrbit = null;
+    groundTrackLine = null;
+    prediction = null;
+
+    // Dispose the footprint
+    if (footprintGroup) {
+        removeFromScene(footprintGroup);
+        footprintGroup.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        footprintGroup = null;
+    }
+    stationVisibility = [];
+    predictionRange = { start: 0, count: 0 };
+    lastSimulationTime = null;
+    trailDirection = 1;
+    trailSamples = [];
+    trailSampleKey = null;
+
     // Clear trail data
     trailPositions.length = 0; // MEMORY FIX: Clear array properly to prevent memory leaks
     currentPosition = null;
+    latestSample = null;
+    liveSamples = [];
+    isLiveEstimated = false;
 
     // Clear solar panel references
     // MEMORY FIX: Clear arrays completely to ensure garbage collection
     solarPanelsDetailed.length = 0;
     solarPanelsSimple.length = 0;
+    solarArrayJointsSimple.length = 0;
+    currentAttitude = null;
+    currentEclipse = null;
+    shadowTransitions = null;
 
     // Clear model references
     issDetailedModel = null;
@@ -756,6 +1579,7 @@ export default {
     updateISS,
     disposeISS,
     getISSPosition,
+    getISSAttitude,
     getISSMesh,
     getISSStatus,
     clearISSTrail,
@@ -764,5 +1588,15 @@ export default {
     stopISSTracking,
     registerUICallback,
     updateModuleLabels,
-    setModuleLabelsEnabled
+    setModuleLabelsEnabled,
+    setISSPositionSource,
+    getISSPositionSource,
+    setISSPredictionOrbits,
+    getISSPredictionOrbits,
+    getISSGroundTrack,
+    setISSFootprintVisible,
+    setISSFootprintElevation,
+    getISSFootprintElevation,
+    setISSStationHighlighting,
+    getISSStationsInView
 };
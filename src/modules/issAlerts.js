@@ -0,0 +1,129 @@
+/**
+ * ISS Alerts Module
+ * Feeds the ISS's state to the notification engine (see src/utils/notifications.js)
+ * a few times a second and shows what it fires as an on-screen notification with a
+ * sound cue. Keeps the next pass over the observer location cached for the pass rule.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { issAPI } from '../utils/api.js';
+import { observer } from '../utils/observer.js';
+import { notificationEngine } from '../utils/notifications.js';
+import { playAlertSound } from '../utils/sounds.js';
+import { getISSPosition, getISSStatus } from './iss.js';
+import { showNotification } from './ui-panels.js';
+
+// Module state
+let isInitialized = false;
+let lastUpdateTime = 0; // Real time of the last evaluation
+let lastPassSearchTime = 0; // Real time of the last pass prediction
+let passCache = null; // {start, end, pass} - next pass found searching from start to end (simulation time)
+
+const UPDATE_INTERVAL = 250; // ms (real time) between evaluations
+const MIN_PASS_SEARCH_INTERVAL = 5000; // ms (real time) between pass predictions
+const PASS_SEARCH_DAYS = 1;
+
+/**
+ * Initialize ISS alerts
+ */
+export function initISSAlerts() {
+    notificationEngine.onNotify(handleNotification);
+    observer.onChange(clearPassCache);
+    isInitialized = true;
+
+    const enabled = Object.entries(notificationEngine.getRules())
+        .filter(([, rule]) => rule.enabled)
+        .map(([type]) => type);
+    console.log(`🔔 ISS alerts initialized (${enabled.join(', ') || 'none enabled'})`);
+}
+
+/**
+ * Show a fired notification
+ * @param {Object} notification - {type, title, message, time}
+ */
+function handleNotification(notification) {
+    console.log(`🔔 ${notification.title}: ${notification.message}`);
+    showNotification(notification.title, notification.message);
+    playAlertSound();
+}
+
+/**
+ * Forget the cached pass (the observer moved)
+ */
+function clearPassCache() {
+    passCache = null;
+}
+
+/**
+ * Get the next pass over the observer, predicting again when the cached one is over or out of range
+ * @param {Date} simulationDate - Simulation time
+ * @returns {Object|null} Pass from predictPasses() or null
+ */
+function getNextPass(simulationDate) {
+    const location = observer.getLocation();
+    if (!location || !issAPI.hasTLE()) return null;
+
+    const isOutdated = !passCache || simulationDate < passCache.start ||
+        simulationDate > (passCache.pass ? passCache.pass.set.time : passCache.end);
+    const now = Date.now();
+    if (isOutdated && now - lastPassSearchTime >= MIN_PASS_SEARCH_INTERVAL) {
+        lastPassSearchTime = now;
+        const start = new Date(simulationDate.getTime());
+        try {
+            const [pass = null] = issAPI.predictPasses(location, start, { days: PASS_SEARCH_DAYS, maxPasses: 1 });
+            passCache = { start, end: new Date(start.getTime() + PASS_SEARCH_DAYS * 86400000), pass };
+        } catch (error) {
+            console.warn('⚠️ Could not predict the next ISS pass for alerts:', error.message);
+            passCache = null;
+        }
+    }
+
+    return passCache?.pass ?? null;
+}
+
+/**
+ * Evaluate the notification rules (call every frame; runs at most every UPDATE_INTERVAL ms)
+ */
+export function updateISSAlerts() {
+    if (!isInitialized) return;
+
+    const now = Date.now();
+    if (now - lastUpdateTime < UPDATE_INTERVAL) return;
+    lastUpdateTime = now;
+
+    const rules = notificationEngine.getRules();
+    if (!Object.values(rules).some(rule => rule.enabled)) return;
+
+    const simulationDate = timeManager.getSimulationDate();
+    const position = getISSPosition();
+    const status = getISSStatus();
+    const location = observer.getLocation();
+
+    notificationEngine.evaluate({
+        time: simulationDate,
+        latitude: position ? position.latitude : null,
+        eclipseState: status.eclipse ? status.eclipse.state : null,
+        nextPass: rules.pass.enabled ? getNextPass(simulationDate) : null,
+        locationName: location?.name || '',
+        isOnline: status.isHealthy,
+        tleEpoch: status.tle ? status.tle.epoch : null,
+        meanAltitude: status.tle ? status.tle.meanAltitude : null
+    });
+}
+
+/**
+ * Dispose ISS alerts
+ */
+export function disposeISSAlerts() {
+    notificationEngine.offNotify(handleNotification);
+    observer.offChange(clearPassCache);
+    notificationEngine.resetState();
+    isInitialized = false;
+    passCache = null;
+}
+
+export default {
+    initISSAlerts,
+    updateISSAlerts,
+    disposeISSAlerts
+};
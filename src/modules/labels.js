@@ -113,6 +113,32 @@ function createLabel(key, text, color) {
     labelElements[key] = label;
 }
 
+/**
+ * Add a label for an object created after initLabels() (e.g. a catalog satellite)
+ * The object is looked up through the registered getter like the built-in labels.
+ * @param {string} key - Object identifier
+ * @param {string} text - Label text
+ * @param {string} color - Label color (hex)
+ */
+export function addLabel(key, text, color) {
+    if (!labelsContainer) return;
+
+    removeLabel(key);
+    createLabel(key, text, color);
+}
+
+/**
+ * Remove a label added with addLabel()
+ * @param {string} key - Object identifier
+ */
+export function removeLabel(key) {
+    const label = labelElements[key];
+    if (label) {
+        label.remove();
+        delete labelElements[key];
+    }
+}
+
 /**
  * Register a function to get celestial objects dynamically
  * This function will be called every frame to get fresh object references
@@ -271,6 +297,8 @@ export function disposeLabels() {
 // Export default object
 export default {
     initLabels,
+    addLabel,
+    removeLabel,
     registerObject,
     registerObjectGetter,
     updateLabels,
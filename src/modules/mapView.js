@@ -0,0 +1,369 @@
+/**
+ * Map View Module - 2D ground-track map
+ * Picture-in-picture equirectangular map of the ISS, kept in step with the 3D scene:
+ * sub-satellite point (from getISSPosition()), past trail, upcoming ground track,
+ * visibility footprint and day/night shading at the simulation time.
+ * Clicking the map sets the observer location used for pass predictions.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { observer } from '../utils/observer.js';
+import { issAPI } from '../utils/api.js';
+import { getSubsolarPoint } from '../utils/solar.js';
+import { computeGroundTrack, splitAtAntimeridian } from '../utils/groundTrack.js';
+import { computeFootprint } from '../utils/footprint.js';
+import { geographicToEquirectangular, equirectangularToGeographic, formatLatitude, formatLongitude } from '../utils/coordinates.js';
+import { COLORS, DEG_TO_RAD, ISS_ORBITAL_PERIOD, TEXTURE_PATHS } from '../utils/constants.js';
+import { getISSPosition, getISSGroundTrack, getISSPositionSource, getISSFootprintElevation } from './iss.js';
+import { playClickSound } from '../utils/sounds.js';
+
+// Module state
+let panel = null;
+let canvas = null;
+let context = null;
+let caption = null;
+let mapImage = null; // Earth day texture, null until loaded (or if missing)
+let nightCanvas = null; // Low-resolution night-side overlay, scaled up when drawn
+let mapVisible = false;
+let lastDrawTime = 0; // Real time of the last redraw
+let liveTrail = []; // Live mode: recent sub-satellite points, oldest first
+
+const DRAW_INTERVAL = 200; // ms (real time) between redraws
+const TRAIL_MINUTES = ISS_ORBITAL_PERIOD; // One orbit of past track
+const NIGHT_WIDTH = 180; // Night overlay resolution (2° cells)
+const NIGHT_HEIGHT = 90;
+
+/**
+ * Format a 0xRRGGBB color for the canvas
+ * @param {number} color - Color number
+ * @returns {string} CSS color
+ */
+function toCSSColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Initialize the map panel
+ */
+export function initMapView() {
+    panel = document.getElementById('map-panel');
+    canvas = document.getElementById('map-canvas');
+    caption = document.getElementById('map-caption');
+    if (!panel || !canvas) {
+        console.warn('⚠️ Cannot setup map view: elements not found');
+        return;
+    }
+    context = canvas.getContext('2d');
+
+    nightCanvas = document.createElement('canvas');
+    nightCanvas.width = NIGHT_WIDTH;
+    nightCanvas.height = NIGHT_HEIGHT;
+
+    // The 3D Earth texture doubles as the map (same equirectangular layout)
+    const image = new Image();
+    image.onload = () => {
+        mapImage = image;
+        lastDrawTime = 0;
+    };
+    image.onerror = () => console.warn('⚠️ Map view: Earth texture unavailable, drawing a plain map');
+    image.src = TEXTURE_PATHS.earth;
+
+    canvas.addEventListener('click', handleMapClick);
+    observer.onChange(redrawSoon);
+
+    console.log('🗺️ Map view initialized');
+}
+
+/**
+ * Set the observer location from a click on the map
+ * @param {MouseEvent} event - Click event
+ */
+function handleMapClick(event) {
+    const rect = canvas.getBoundingClientRect();
+    const { latitude, longitude } = equirectangularToGeographic(
+        event.clientX - rect.left,
+        event.clientY - rect.top,
+        rect.width,
+        rect.height
+    );
+
+    playClickSound();
+    observer.setLocation({
+        latitude: Number(latitude.toFixed(4)),
+        longitude: Number(longitude.toFixed(4)),
+        elevation: observer.getLocation()?.elevation ?? 0,
+        source: 'map'
+    });
+}
+
+/**
+ * Redraw on the next update instead of waiting for the interval
+ */
+function redrawSoon() {
+    lastDrawTime = 0;
+}
+
+/**
+ * Show or hide the map panel
+ * @param {boolean} visible - Whether the map is shown
+ */
+export function setMapViewVisible(visible) {
+    mapVisible = !!visible;
+    if (panel) {
+        panel.hidden = !mapVisible;
+    }
+    redrawSoon();
+    console.log(`🗺️ Map view ${mapVisible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the map panel is shown
+ * @returns {boolean} True if visible
+ */
+export function isMapViewVisible() {
+    return mapVisible;
+}
+
+/**
+ * Update the map (call every frame; redraws at most every DRAW_INTERVAL ms)
+ */
+export function updateMapView() {
+    if (!context) return;
+
+    const position = getISSPosition();
+    const isLive = getISSPositionSource() !== 'tle';
+    if (isLive && position) {
+        recordLiveSample(position);
+    }
+
+    const now = Date.now();
+    if (!mapVisible || now - lastDrawTime < DRAW_INTERVAL) return;
+    lastDrawTime = now;
+
+    drawMap(timeManager.getSimulationDate(), position, isLive);
+}
+
+/**
+ * Keep the sub-satellite points of the last orbit in live mode
+ * @param {Object} position - ISS position {latitude, longitude, timestamp}
+ */
+function recordLiveSample(position) {
+    const last = liveTrail[liveTrail.length - 1];
+    const timestamp = position.timestamp || Date.now();
+    if (last && timestamp === last.timestamp) return;
+
+    // Start again if time went backwards (e.g. a replay restarted)
+    if (last && timestamp < last.timestamp) {
+        liveTrail = [];
+    }
+
+    liveTrail.push({ latitude: position.latitude, longitude: position.longitude, timestamp });
+    const oldest = timestamp - TRAIL_MINUTES * 60000;
+    while (liveTrail.length > 0 && liveTrail[0].timestamp < oldest) {
+        liveTrail.shift();
+    }
+}
+
+/**
+ * Past track: one orbit of SGP4 propagation, or the recorded live samples
+ * @param {Object|null} position - Current ISS position
+ * @param {boolean} isLive - Whether the station is placed from live data
+ * @returns {Array<Object>} Points {latitude, longitude}, oldest first
+ */
+function getPastTrack(position, isLive) {
+    if (isLive) return liveTrail;
+    if (!position?.timestamp) return [];
+
+    const start = new Date(position.timestamp - TRAIL_MINUTES * 60000);
+    return computeGroundTrack(date => issAPI.getPropagatedPosition(date), start, TRAIL_MINUTES, 30);
+}
+
+/**
+ * Draw the whole map
+ * @param {Date} date - Simulation date
+ * @param {Object|null} position - Current ISS position
+ * @param {boolean} isLive - Whether the station is placed from live data
+ */
+function drawMap(date, position, isLive) {
+    const { width, height } = canvas;
+    const toMap = (point) => geographicToEquirectangular(point.latitude, point.longitude, width, height);
+
+    // Base map
+    if (mapImage) {
+        context.drawImage(mapImage, 0, 0, width, height);
+    } else {
+        context.fillStyle = '#0b2545';
+        context.fillRect(0, 0, width, height);
+    }
+
+    drawNightSide(date, width, height);
+    drawGraticule(width, height);
+
+    // Upcoming ground track (dashed), then the past trail
+    context.lineWidth = 1.5;
+    context.setLineDash([4, 3]);
+    context.strokeStyle = toCSSColor(COLORS.ISS_GROUND_TRACK);
+    getISSGroundTrack().segments.forEach(segment => drawPolyline(segment, toMap));
+
+    context.setLineDash([]);
+    context.strokeStyle = toCSSColor(COLORS.ISS_TRAIL);
+    const pastTrack = getPastTrack(position, isLive);
+    if (pastTrack.length > 1) {
+        splitAtAntimeridian(pastTrack).forEach(segment => drawPolyline(segment, toMap));
+    }
+
+    if (position) {
+        // Visibility footprint, with the same elevation mask as the 3D footprint
+        const footprint = computeFootprint(position.latitude, position.longitude, position.altitude || 400, {
+            minElevation: getISSFootprintElevation()
+        });
+        context.strokeStyle = toCSSColor(COLORS.ISS_COLOR);
+        context.fillStyle = 'rgba(255, 107, 107, 0.12)';
+        const segments = splitAtAntimeridian(footprint.points);
+        segments.forEach(segment => drawPolyline(segment, toMap, segments.length === 1));
+
+        // Sub-satellite point
+        const point = toMap(position);
+        context.fillStyle = toCSSColor(COLORS.ISS_COLOR);
+        context.beginPath();
+        context.arc(point.x, point.y, 5, 0, Math.PI * 2);
+        context.fill();
+        context.strokeStyle = '#ffffff';
+        context.stroke();
+    }
+
+    drawObserver(toMap);
+
+    if (caption) {
+        const where = position ? `ISS ${formatLatitude(position.latitude)}, ${formatLongitude(position.longitude)} · ` : '';
+        caption.textContent = `${where}${date.toISOString().slice(0, 16).replace('T', ' ')} UTC · click to set your location`;
+    }
+}
+
+/**
+ * Stroke (and optionally fill) a polyline of geographic points
+ * @param {Array<Object>} points - Points {latitude, longitude}
+ * @param {Function} toMap - Projection to canvas coordinates
+ * @param {boolean} fill - Fill the closed shape too
+ */
+function drawPolyline(points, toMap, fill = false) {
+    if (points.length < 2) return;
+
+    context.beginPath();
+    points.forEach((point, index) => {
+        const { x, y } = toMap(point);
+        if (index === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    if (fill) {
+        context.fill();
+    }
+    context.stroke();
+}
+
+/**
+ * Darken the night side from the subsolar point at the simulation date
+ * Same twilight ramp as the 3D day/night shading (dayNight.js).
+ * @param {Date} date - Simulation date
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawNightSide(date, width, height) {
+    const subsolar = getSubsolarPoint(date);
+    const sunLat = subsolar.latitude * DEG_TO_RAD;
+    const sunLon = subsolar.longitude * DEG_TO_RAD;
+    const nightContext = nightCanvas.getContext('2d');
+    const image = nightContext.createImageData(NIGHT_WIDTH, NIGHT_HEIGHT);
+
+    for (let row = 0; row < NIGHT_HEIGHT; row++) {
+        const latitude = (90 - (row + 0.5) * (180 / NIGHT_HEIGHT)) * DEG_TO_RAD;
+        for (let column = 0; column < NIGHT_WIDTH; column++) {
+            const longitude = ((column + 0.5) * (360 / NIGHT_WIDTH) - 180) * DEG_TO_RAD;
+
+            // Sine of the Sun's elevation, then a smoothstep from civil twilight (-6°) to just above the horizon
+            const sunSine = Math.sin(latitude) * Math.sin(sunLat) +
+                Math.cos(latitude) * Math.cos(sunLat) * Math.cos(longitude - sunLon);
+            const t = Math.max(0, Math.min(1, (sunSine + 0.105) / 0.155));
+            const daylight = t * t * (3 - 2 * t);
+
+            const offset = (row * NIGHT_WIDTH + column) * 4;
+            image.data[offset + 2] = 25;
+            image.data[offset + 3] = Math.round((1 - daylight) * 150);
+        }
+    }
+
+    nightContext.putImageData(image, 0, 0);
+    context.imageSmoothingEnabled = true;
+    context.drawImage(nightCanvas, 0, 0, width, height);
+}
+
+/**
+ * Draw 30° latitude/longitude lines
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawGraticule(width, height) {
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.lineWidth = 1;
+    context.setLineDash([]);
+    context.beginPath();
+    for (let longitude = -150; longitude < 180; longitude += 30) {
+        const x = ((longitude + 180) / 360) * width;
+        context.moveTo(x, 0);
+        context.lineTo(x, height);
+    }
+    for (let latitude = -60; latitude <= 60; latitude += 30) {
+        const y = ((90 - latitude) / 180) * height;
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+    }
+    context.stroke();
+}
+
+/**
+ * Mark the observer location
+ * @param {Function} toMap - Projection to canvas coordinates
+ */
+function drawObserver(toMap) {
+    const location = observer.getLocation();
+    if (!location) return;
+
+    const { x, y } = toMap(location);
+    context.strokeStyle = '#4ade80';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(x - 6, y);
+    context.lineTo(x + 6, y);
+    context.moveTo(x, y - 6);
+    context.lineTo(x, y + 6);
+    context.stroke();
+}
+
+/**
+ * Dispose the map view
+ */
+export function disposeMapView() {
+    if (canvas) {
+        canvas.removeEventListener('click', handleMapClick);
+    }
+    observer.offChange(redrawSoon);
+
+    panel = null;
+    canvas = null;
+    context = null;
+    caption = null;
+    mapImage = null;
+    nightCanvas = null;
+    liveTrail = [];
+}
+
+export default {
+    initMapView,
+    updateMapView,
+    setMapViewVisible,
+    isMapViewVisible,
+    disposeMapView
+};
@@ -1,10 +1,11 @@
 /**
  * Moon Module - Moon orbital mechanics and rendering
- * Creates and manages the Moon orbiting Earth
+ * Creates and manages the Moon orbiting Earth, placed by the lunar ephemeris (see lunar.js)
  */
 
-import { MOON, RENDER, SCALE, scaleRadius, kmToScene, DEG_TO_RAD, TWO_PI, daysToMs, getPlanetSizeMode } from '../utils/constants.js';
-import { calculateMoonPosition } from '../utils/orbital.js';
+import { MOON, RENDER, scaleRadius, TWO_PI, J2000_EPOCH_MS } from '../utils/constants.js';
+import { calculateMoonPosition, moonDistanceToScene } from '../utils/orbital.js';
+import { getMoonPosition as getLunarEphemeris } from '../utils/lunar.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
 import { getCachedSphereGeometry } from '../utils/geometryCache.js';
 
@@ -14,11 +15,6 @@ import { getCachedSphereGeometry } from '../utils/geometryCache.js';
  */
 let moonMesh = null;
 
-/**
- * Starting angle for the Moon's orbit (for visual distribution)
- * @type {number}
- */
-let startAngle = 0;
 
 /**
  * Current visual style configuration
@@ -142,25 +138,19 @@ function createMoonMaterial(styleConfig, loadedTextures = null) {
 export function updateMoon(deltaTime, simulationTime, earthPosition) {
     if (!moonMesh || !earthPosition) return;
 
-    // Calculate Moon's orbital position relative to Earth
-    const position = calculateMoonPosition(
-        simulationTime,
-        earthPosition,
-        MOON,
-        startAngle
-    );
+    // Moon's position relative to Earth on the simulated date
+    const position = calculateMoonPosition(simulationTime, earthPosition);
 
     // Update mesh position
     moonMesh.position.set(position.x, position.y, position.z);
 
-    // Implement tidal locking: Moon's rotation matches its orbital position
-    // This ensures the same face always points toward Earth
-    const periodMs = daysToMs(MOON.orbitPeriod);
-    const orbitalAngle = startAngle + (simulationTime / periodMs) * TWO_PI;
-
-    // The Moon's rotation should match its orbital angle to maintain tidal locking
-    // We rotate around Y-axis to keep the same face toward Earth
-    moonMesh.rotation.y = orbitalAngle;
+    // Tidal locking: turn the near side (texture longitude 0, the sphere's +X) toward Earth
+    // with the poles (the sphere's Y axis) close to ecliptic north. Libration is ignored
+    // (planet positions are ecliptic x, y, z, so ecliptic north is the scene's +Z).
+    const toEarth = new THREE.Vector3().subVectors(earthPosition, moonMesh.position).normalize();
+    const north = new THREE.Vector3(0, 0, 1).addScaledVector(toEarth, -toEarth.z).normalize();
+    const east = new THREE.Vector3().crossVectors(toEarth, north);
+    moonMesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(toEarth, north, east));
 
     // Update world matrix so labels can get correct positions
     moonMesh.updateMatrixWorld(true);
@@ -216,32 +206,12 @@ export function getMoonRadius() {
 }
 
 /**
- * Get Moon orbit radius in scene units (with scaling applied)
- * In real mode: use accurate orbit distance (no extra scaling)
- * In enlarged mode: apply 50x extra scale to match giant planets
+ * Get the Moon's mean orbit radius in scene units (with scaling applied)
+ * Matches the scaling calculateMoonPosition applies to the actual distance.
  * @returns {number}
  */
 export function getMoonOrbitRadius() {
-    const sizeMode = getPlanetSizeMode();
-    // INVERTED LOGIC - matching orbits.js fix
-    const orbitScale = sizeMode === 'real' ? SCALE.MOON_ORBIT_SCALE : 1;
-    return kmToScene(MOON.orbitRadius) * orbitScale;
-}
-
-/**
- * Set custom starting angle for the Moon
- * @param {number} angle - Starting angle in radians
- */
-export function setMoonStartAngle(angle) {
-    startAngle = angle;
-}
-
-/**
- * Get Moon's starting angle
- * @returns {number}
- */
-export function getMoonStartAngle() {
-    return startAngle;
+    return moonDistanceToScene(MOON.orbitRadius);
 }
 
 /**
@@ -285,11 +255,11 @@ export function getDistanceToEarth(earthPosition) {
 /**
  * Calculate Moon's current orbital angle around Earth
  * @param {number} simulationTime - Current simulation time in milliseconds
- * @returns {number} Orbital angle in radians (0 to 2π)
+ * @returns {number} Geocentric ecliptic longitude (J2000) in radians (0 to 2π)
  */
 export function getMoonOrbitalAngle(simulationTime) {
-    const periodMs = daysToMs(MOON.orbitPeriod);
-    const angle = (startAngle + (simulationTime / periodMs) * TWO_PI) % TWO_PI;
+    const { ecliptic } = getLunarEphemeris(new Date(J2000_EPOCH_MS + simulationTime));
+    const angle = Math.atan2(ecliptic.y, ecliptic.x);
     return angle < 0 ? angle + TWO_PI : angle;
 }
 
@@ -303,8 +273,6 @@ export default {
     getMoonData,
     getMoonRadius,
     getMoonOrbitRadius,
-    setMoonStartAngle,
-    getMoonStartAngle,
     removeMoon,
     hasMoon,
     getDistanceToEarth,
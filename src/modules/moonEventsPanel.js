@@ -0,0 +1,292 @@
+/**
+ * Moon Events Panel Module - Jupiter and Saturn moon configuration
+ * Draws where the Galilean or Saturnian moons appear beside their planet as seen from Earth
+ * at the simulation time, and lists their transits, occultations, shadow transits and
+ * eclipses over the following hours (see src/utils/planetaryMoons.js).
+ * Clicking an event jumps the simulation to its start.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { getMoonConfiguration, findMoonEvents } from '../utils/planetaryMoons.js';
+import { MAJOR_MOONS, PLANETS } from '../utils/constants.js';
+import { playClickSound } from '../utils/sounds.js';
+
+// Module state
+let panel = null;
+let canvas = null;
+let context = null;
+let listEl = null;
+let planetSelect = null;
+let rangeSelect = null;
+let panelVisible = false;
+let schedule = null; // {planetKey, start, end, events} or null until computed
+let lastDrawTime = 0; // Real time of the last redraw
+let lastComputeTime = 0; // Real time of the last event search
+
+const DRAW_INTERVAL = 250; // ms (real time) between redraws
+const MIN_RECOMPUTE_INTERVAL = 2000; // ms (real time) between automatic event searches
+const LIST_LENGTH = 10; // Upcoming events listed under the diagram
+const SATURN_RING_RADIUS = 2.27; // Outer edge of the A ring (Saturn radii)
+
+/**
+ * Format a 0xRRGGBB color for the canvas
+ * @param {number} color - Color number
+ * @returns {string} CSS color
+ */
+function toCSSColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Format a date as UTC "Mon D HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(date) {
+    const day = date.toLocaleString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return `${day} ${date.toISOString().slice(11, 16)}`;
+}
+
+/**
+ * Create an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} className - CSS class
+ * @param {string} text - Text content (optional)
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text = '') {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * Initialize the moon events panel
+ */
+export function initMoonEventsPanel() {
+    panel = document.getElementById('moon-events-panel');
+    canvas = document.getElementById('moon-events-canvas');
+    listEl = document.getElementById('moon-events-list');
+    planetSelect = document.getElementById('moon-events-planet');
+    rangeSelect = document.getElementById('moon-events-range');
+    if (!panel || !canvas || !listEl) {
+        console.warn('⚠️ Cannot setup moon events panel: elements not found');
+        return;
+    }
+    context = canvas.getContext('2d');
+
+    planetSelect?.addEventListener('change', handleSelectionChange);
+    rangeSelect?.addEventListener('change', handleSelectionChange);
+    listEl.addEventListener('click', handleListClick);
+
+    console.log('🪐 Moon events panel initialized');
+}
+
+/**
+ * Search again for the newly selected planet or range
+ */
+function handleSelectionChange() {
+    playClickSound();
+    computeEvents();
+}
+
+/**
+ * Jump the simulation to the start of a clicked event
+ * @param {MouseEvent} event - Click event
+ */
+function handleListClick(event) {
+    const item = event.target.closest('.moon-events-item');
+    if (!item || !schedule) return;
+
+    const moonEvent = schedule.events[Number(item.dataset.index)];
+    if (!moonEvent) return;
+
+    playClickSound();
+    timeManager.setSimulationDate(new Date(moonEvent.start.getTime()));
+    lastDrawTime = 0;
+}
+
+/**
+ * Find the events from the simulation time over the selected range
+ */
+function computeEvents() {
+    const planetKey = planetSelect?.value || 'jupiter';
+    const hours = Number(rangeSelect?.value) || 48;
+    const start = timeManager.getSimulationDate();
+    const end = new Date(start.getTime() + hours * 3600000);
+
+    lastComputeTime = Date.now();
+    lastDrawTime = 0;
+
+    try {
+        schedule = { planetKey, start, end, events: findMoonEvents(planetKey, start, end) };
+        console.log(`🪐 ${schedule.events.length} ${PLANETS[planetKey].name} moon events in the next ${hours} h`);
+    } catch (error) {
+        console.error('❌ Could not search for moon events:', error);
+        schedule = { planetKey, start, end, events: [] };
+    }
+}
+
+/**
+ * Show or hide the moon events panel (searches for events the first time it is shown)
+ * @param {boolean} visible - Whether the panel is shown
+ */
+export function setMoonEventsPanelVisible(visible) {
+    panelVisible = !!visible;
+    if (panel) {
+        panel.hidden = !panelVisible;
+    }
+    if (panelVisible && panel && !schedule) {
+        computeEvents();
+    }
+    lastDrawTime = 0;
+    console.log(`🪐 Moon events panel ${panelVisible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Check whether the moon events panel is shown
+ * @returns {boolean} True if visible
+ */
+export function isMoonEventsPanelVisible() {
+    return panelVisible;
+}
+
+/**
+ * Update the panel (call every frame; redraws at most every DRAW_INTERVAL ms)
+ * Searches again when the simulation time leaves the searched range.
+ */
+export function updateMoonEventsPanel() {
+    if (!panelVisible || !context) return;
+
+    const now = Date.now();
+    if (now - lastDrawTime < DRAW_INTERVAL) return;
+    lastDrawTime = now;
+
+    const simulationDate = timeManager.getSimulationDate();
+    const isOutOfRange = !schedule || simulationDate < schedule.start || simulationDate > schedule.end;
+    if (isOutOfRange && now - lastComputeTime >= MIN_RECOMPUTE_INTERVAL) {
+        computeEvents();
+    }
+    if (!schedule) return;
+
+    drawConfiguration(getMoonConfiguration(schedule.planetKey, simulationDate));
+    renderEvents(simulationDate);
+}
+
+/**
+ * Draw the planet and its moons as seen from Earth (planet's north up, west to the right)
+ * @param {Object} configuration - Result of getMoonConfiguration()
+ */
+function drawConfiguration(configuration) {
+    const { width, height } = canvas;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const planet = PLANETS[configuration.planetKey];
+
+    context.clearRect(0, 0, width, height);
+
+    // Fit the farthest moon, but keep the planet at least a few pixels across
+    const farthest = Math.max(...configuration.moons.map(moon => Math.abs(moon.sky.x)), SATURN_RING_RADIUS);
+    const pixelsPerRadius = Math.max(2, (width / 2 - 24) / farthest);
+    const tilt = Math.sin(Math.abs(configuration.earthDeclination) * Math.PI / 180);
+
+    // Saturn's rings, opened by the Earth's height above the ring plane
+    if (configuration.planetKey === 'saturn') {
+        context.strokeStyle = 'rgba(234, 214, 184, 0.6)';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        context.ellipse(centerX, centerY, SATURN_RING_RADIUS * pixelsPerRadius, Math.max(0.5, SATURN_RING_RADIUS * pixelsPerRadius * tilt), 0, 0, Math.PI * 2);
+        context.stroke();
+    }
+
+    // Planet disk
+    context.fillStyle = toCSSColor(planet.color);
+    context.beginPath();
+    context.ellipse(centerX, centerY, pixelsPerRadius, pixelsPerRadius * 0.93, 0, 0, Math.PI * 2);
+    context.fill();
+
+    context.font = '10px sans-serif';
+    context.textAlign = 'center';
+    configuration.moons.forEach(moon => {
+        const x = centerX + moon.sky.x * pixelsPerRadius;
+        const y = centerY - moon.sky.y * pixelsPerRadius;
+
+        // Shadow on the planet's cloud tops
+        if (moon.events.shadow) {
+            context.fillStyle = '#000000';
+            context.beginPath();
+            context.arc(centerX + moon.sunView.x * pixelsPerRadius, centerY - moon.sunView.y * pixelsPerRadius, 2.5, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // Hidden behind the planet or in its shadow: draw faintly
+        context.globalAlpha = moon.events.occultation || moon.events.eclipse ? 0.3 : 1;
+        context.fillStyle = toCSSColor(MAJOR_MOONS[moon.key]?.color ?? 0xffffff);
+        context.beginPath();
+        context.arc(x, y, 3, 0, Math.PI * 2);
+        context.fill();
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        context.fillText(moon.name, x, y + (moon.sky.z > 0 ? 14 : -7));
+        context.globalAlpha = 1;
+    });
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    context.textAlign = 'left';
+    context.fillText('E', 4, height - 6);
+    context.textAlign = 'right';
+    context.fillText('W', width - 4, height - 6);
+}
+
+/**
+ * List the events in progress and the next ones
+ * @param {Date} now - Simulation time
+ */
+function renderEvents(now) {
+    listEl.replaceChildren();
+    const upcoming = schedule.events
+        .map((moonEvent, index) => ({ moonEvent, index }))
+        .filter(({ moonEvent }) => moonEvent.end >= now)
+        .slice(0, LIST_LENGTH);
+
+    if (upcoming.length === 0) {
+        listEl.appendChild(createElement('p', 'contacts-empty', 'No moon events in this range'));
+        return;
+    }
+
+    upcoming.forEach(({ moonEvent, index }) => {
+        const inProgress = moonEvent.start <= now;
+        const item = createElement('div', `contacts-item moon-events-item${inProgress ? ' active' : ''}`);
+        item.dataset.index = index;
+        item.title = 'Click to jump to the start';
+        item.appendChild(createElement('span', 'contacts-item-station', `${moonEvent.moonName} · ${moonEvent.label}`));
+        item.appendChild(createElement('span', 'contacts-item-time',
+            `${formatDateTime(moonEvent.start)}–${moonEvent.end.toISOString().slice(11, 16)} UTC`));
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * Dispose the moon events panel
+ */
+export function disposeMoonEventsPanel() {
+    planetSelect?.removeEventListener('change', handleSelectionChange);
+    rangeSelect?.removeEventListener('change', handleSelectionChange);
+    listEl?.removeEventListener('click', handleListClick);
+
+    panel = null;
+    canvas = null;
+    context = null;
+    listEl = null;
+    planetSelect = null;
+    rangeSelect = null;
+    schedule = null;
+}
+
+export default {
+    initMoonEventsPanel,
+    updateMoonEventsPanel,
+    setMoonEventsPanelVisible,
+    isMoonEventsPanelVisible,
+    disposeMoonEventsPanel
+};
@@ -1,9 +1,11 @@
 /**
  * Major Moons Module - Orbital mechanics and rendering for Jupiter & Saturn's moons
  * Creates and manages 7 major moons: Io, Europa, Ganymede, Callisto (Jupiter) + Titan, Rhea, Iapetus (Saturn)
+ * Positions come from the moon theories in src/utils/planetaryMoons.js for the simulated date.
  */
 
-import { MAJOR_MOONS, PLANETS, RENDER, scaleRadius, kmToScene, DEG_TO_RAD, TWO_PI, daysToMs, SCALE, getPlanetSizeMode } from '../utils/constants.js';
+import { MAJOR_MOONS, PLANETS, RENDER, scaleRadius, kmToScene, DEG_TO_RAD, J2000_EPOCH_MS, SCALE, getPlanetSizeMode } from '../utils/constants.js';
+import { getMoonConfiguration } from '../utils/planetaryMoons.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
 import { getCachedSphereGeometry } from '../utils/geometryCache.js';
 import { isRotationEnabled } from './performanceSlider.js';
@@ -19,20 +21,6 @@ const THREE = window.THREE;
  */
 const moonMeshes = {};
 
-/**
- * Starting angles for each moon (for visual distribution around parent planet)
- * @type {Object<string, number>}
- */
-const startAngles = {
-    io: 0,
-    europa: Math.PI / 2,
-    ganymede: Math.PI,
-    callisto: (3 * Math.PI) / 2,
-    titan: 0,
-    rhea: Math.PI / 3,
-    iapetus: (2 * Math.PI) / 3
-};
-
 /**
  * Current visual style configuration
  * @type {Object}
@@ -85,7 +73,7 @@ export async function initMajorMoons(styleConfig = {}, planetMeshes = {}) {
 
         cachedOrbitalData[moonKey] = {
             orbitRadiusScene: orbitRadiusScene,
-            periodMs: daysToMs(moonData.orbitPeriod),
+            sceneUnitsPerKm: orbitRadiusScene / moonData.orbitRadius,
             rotationSpeedPerSec: (Math.PI * 2) / (moonData.rotationPeriod * 24 * 60 * 60)
         };
     }
@@ -157,14 +145,48 @@ function createMoonMaterial(moonKey, moonData, styleConfig) {
     return material;
 }
 
+/**
+ * Parent planet's equator as drawn: the moons' orbit plane is tilted about X by the planet's tilt
+ * (see initMajorMoonOrbits in orbits.js). Directions are turned so the side facing the scene's Earth
+ * matches the real side facing Earth, so transits and occultations look right from Earth.
+ * @param {string} parentPlanetKey - Parent planet key
+ * @param {THREE.Vector3} parentPosition - Parent planet position
+ * @returns {Object} {toEarth, west, north} scene unit vectors
+ */
+function getRenderedEquatorFrame(parentPlanetKey, parentPosition) {
+    const axialTiltRadians = PLANETS[parentPlanetKey].tilt * DEG_TO_RAD;
+    const north = new THREE.Vector3(0, Math.cos(axialTiltRadians), Math.sin(axialTiltRadians));
+
+    const earthPosition = planetMeshesRef?.earth?.position;
+    const toEarth = earthPosition
+        ? new THREE.Vector3().subVectors(earthPosition, parentPosition)
+        : new THREE.Vector3(-parentPosition.x, -parentPosition.y, -parentPosition.z);
+    toEarth.addScaledVector(north, -toEarth.dot(north));
+    if (toEarth.lengthSq() === 0) toEarth.set(1, 0, 0);
+    toEarth.normalize();
+
+    return { toEarth, west: new THREE.Vector3().crossVectors(north, toEarth), north };
+}
+
 /**
  * Update all moon positions and rotations
  * @param {number} deltaTime - Time since last frame in milliseconds
  * @param {number} simulationTime - Current simulation time in milliseconds
+ * @param {number} timeSpeed - Time speed multiplier (negative spins the moons backwards)
  */
-export function updateMajorMoons(deltaTime, simulationTime) {
-    // Convert deltaTime from milliseconds to seconds for rotation calculations
-    const deltaTimeSeconds = deltaTime / 1000;
+export function updateMajorMoons(deltaTime, simulationTime, timeSpeed = 1) {
+    // Convert deltaTime from milliseconds to seconds, scaled by time speed (like the planets)
+    const deltaTimeSeconds = (deltaTime / 1000) * timeSpeed;
+    const date = new Date(J2000_EPOCH_MS + simulationTime);
+
+    // One configuration per parent planet for this frame
+    const configurations = {};
+    const getLocalOffset = (parentPlanetKey, moonKey) => {
+        if (!configurations[parentPlanetKey]) {
+            configurations[parentPlanetKey] = getMoonConfiguration(parentPlanetKey, date);
+        }
+        return configurations[parentPlanetKey].moons.find(moon => moon.key === moonKey)?.local;
+    };
 
     Object.keys(MAJOR_MOONS).forEach(moonKey => {
         const moonMesh = moonMeshes[moonKey];
@@ -181,42 +203,16 @@ export function updateMajorMoons(deltaTime, simulationTime) {
 
         // Get parent planet's current position
         const parentPosition = parentPlanetMesh.position;
-
-        // Calculate moon's orbital position relative to parent planet
         const cached = cachedOrbitalData[moonKey];
-        const angle = startAngles[moonKey] + (simulationTime / cached.periodMs) * TWO_PI;
-
-        // Calculate position on circular orbit in parent's equatorial plane
-        // Step 1: Calculate position in flat XZ plane
-        const localX = Math.cos(angle) * cached.orbitRadiusScene;
-        const localY = 0; // Start flat
-        const localZ = Math.sin(angle) * cached.orbitRadiusScene;
-
-        // Step 2: Apply parent planet's axial tilt to rotate orbital plane
-        // Moons orbit in their parent's equatorial plane, not the ecliptic plane
-        const parentPlanetData = PLANETS[parentPlanetKey];
-        const axialTiltRadians = parentPlanetData.tilt * DEG_TO_RAD;
-
-        // Rotate around X-axis by axial tilt angle
-        // This tilts the orbital plane to match the parent's equator
-        const rotatedY = localY * Math.cos(axialTiltRadians) - localZ * Math.sin(axialTiltRadians);
-        const rotatedZ = localY * Math.sin(axialTiltRadians) + localZ * Math.cos(axialTiltRadians);
-
-        // Set moon position = parent position + tilted orbit offset
-        moonMesh.position.set(
-            parentPosition.x + localX,
-            parentPosition.y + rotatedY, // NOW includes tilt!
-            parentPosition.z + rotatedZ
-        );
-
-        // DEBUG: Log actual distance for first update of Callisto
-        if (moonKey === 'callisto' && simulationTime < 100) {
-            const actualDistance = Math.sqrt(localX * localX + localZ * localZ);
-            console.log(`\n🔍 Callisto actual position check:`);
-            console.log(`  Cached orbit radius: ${cached.orbitRadiusScene.toFixed(4)}`);
-            console.log(`  Actual distance from Jupiter: ${actualDistance.toFixed(4)}`);
-            console.log(`  Match: ${Math.abs(cached.orbitRadiusScene - actualDistance) < 0.01 ? '✅ YES' : '❌ NO'}`);
-        }
+        const local = getLocalOffset(parentPlanetKey, moonKey);
+        if (!local) return;
+
+        // Moon's offset in the parent's equator (km), scaled like its orbit line
+        const frame = getRenderedEquatorFrame(parentPlanetKey, parentPosition);
+        moonMesh.position.copy(parentPosition)
+            .addScaledVector(frame.toEarth, local.toEarth * cached.sceneUnitsPerKm)
+            .addScaledVector(frame.west, local.west * cached.sceneUnitsPerKm)
+            .addScaledVector(frame.north, local.north * cached.sceneUnitsPerKm);
 
         // Update moon rotation on its axis (using cached rotation speed)
         // Skip rotation if performance level is ultra-low (optimization)
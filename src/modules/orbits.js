@@ -3,10 +3,12 @@
  * Creates and manages orbital path lines for all planets, Earth's Moon, and major moons
  */
 
-import { PLANETS, SCALE, auToScene, MOON, MAJOR_MOONS, kmToScene, getPlanetSizeMode } from '../utils/constants.js';
+import { PLANETS, SCALE, auToScene, MOON, MAJOR_MOONS, kmToScene, getPlanetSizeMode, daysToMs } from '../utils/constants.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
 import { isUsingAccurateOrbits } from './planets.js';
 import { calculatePlanetPosition } from '../utils/orbitalElements.js';
+import { getMoonPosition } from '../utils/lunar.js';
+import { moonDistanceToScene } from '../utils/orbital.js';
 
 /**
  * Orbit line objects keyed by planet name
@@ -20,6 +22,12 @@ const orbitLines = {};
  */
 let moonOrbitLine = null;
 
+/**
+ * Centre (ms) of the month of lunar ephemeris the Moon orbit line was sampled over
+ * @type {number}
+ */
+let moonOrbitCenterTime = 0;
+
 /**
  * Major moons orbit lines (Jupiter & Saturn moons)
  * @type {Object<string, THREE.LineLoop>}
@@ -336,13 +344,33 @@ export function getOrbitCount() {
     return Object.keys(orbitLines).length;
 }
 
+/**
+ * Sample the Moon's path around Earth over one orbit centred on a date
+ * The lunar orbit turns slowly (apsides every 8.85 years, nodes every 18.6), so one
+ * month of the ephemeris is drawn and resampled as the simulated date moves on.
+ * @param {Date} date - Centre of the sampled month
+ * @returns {Array<THREE.Vector3>} Earth-relative points in scene units
+ */
+function sampleMoonOrbit(date) {
+    const periodMs = daysToMs(MOON.orbitPeriod);
+    const start = date.getTime() - periodMs / 2;
+    const points = [];
+    for (let i = 0; i <= ORBIT_SEGMENTS; i++) {
+        const moon = getMoonPosition(new Date(start + (i / ORBIT_SEGMENTS) * periodMs));
+        const scale = moonDistanceToScene(moon.distance) / moon.distance;
+        points.push(new THREE.Vector3(moon.ecliptic.x * scale, moon.ecliptic.y * scale, moon.ecliptic.z * scale));
+    }
+    return points;
+}
+
 /**
  * Initialize Moon orbit visualization
  * @param {Object} styleConfig - Visual style configuration
  * @param {THREE.Vector3} earthPosition - Current Earth position
  * @param {string} planetSizeMode - Planet size mode ('real' or 'enlarged')
+ * @param {Date} date - Simulated date the orbit is drawn around (default: now)
  */
-export function initMoonOrbit(styleConfig, earthPosition = null, planetSizeMode = 'enlarged') {
+export function initMoonOrbit(styleConfig, earthPosition = null, planetSizeMode = 'enlarged', date = new Date()) {
     // Clean up existing Moon orbit
     disposeMoonOrbit();
 
@@ -350,39 +378,11 @@ export function initMoonOrbit(styleConfig, earthPosition = null, planetSizeMode
         earthPosition = new THREE.Vector3(0, 0, 0); // Default to origin if Earth not available
     }
 
-    // Calculate Moon orbit radius based on planet size mode
-    let orbitRadiusScene;
-
-    if (planetSizeMode === 'enlarged') {
-        // In enlarged mode: apply 50x scale to make visible around giant planets
-        orbitRadiusScene = kmToScene(MOON.orbitRadius) * SCALE.MOON_ORBIT_SCALE;
-        console.log(`🌙 Moon orbit ENLARGED: ${orbitRadiusScene.toFixed(2)} scene units`);
-    } else {
-        // In real mode: Apply SAME 100x scale as planets for accurate proportions
-        // This ensures Moon orbit is 60.3x Earth radius (accurate!)
-        orbitRadiusScene = kmToScene(MOON.orbitRadius * 100);
-        console.log(`🌙 Moon orbit REAL: ${orbitRadiusScene.toFixed(2)} scene units (60.3x Earth radius)`);
-    }
-
-    // Create circle geometry for Moon's orbit around Earth
-    // The Moon's orbit is inclined 5.145° to the ecliptic
-    const moonInclinationRadians = MOON.orbitalElements ?
-        (MOON.orbitalElements.inclination * Math.PI / 180) :
-        (5.145 * Math.PI / 180); // Default to 5.145° if no orbital elements
-
-    const points = [];
-    for (let i = 0; i <= ORBIT_SEGMENTS; i++) {
-        const angle = (i / ORBIT_SEGMENTS) * Math.PI * 2;
-        const x = Math.cos(angle) * orbitRadiusScene;
-        const localZ = Math.sin(angle) * orbitRadiusScene;
-
-        // Apply Moon's inclination relative to ecliptic
-        // Note: Moon's inclination is relative to ecliptic, not Earth's equator
-        const y = -localZ * Math.sin(moonInclinationRadians);
-        const z = localZ * Math.cos(moonInclinationRadians);
-
-        points.push(new THREE.Vector3(x, y, z));
-    }
+    // Moon's path from the lunar ephemeris, scaled for the planet size mode
+    // (enlarged mode: 50x so it clears the enlarged Earth; real mode: same 100x as planets, 60.3x Earth radius)
+    const points = sampleMoonOrbit(date);
+    moonOrbitCenterTime = date.getTime();
+    console.log(`🌙 Moon orbit ${planetSizeMode === 'enlarged' ? 'ENLARGED' : 'REAL'}: ${moonDistanceToScene(MOON.orbitRadius).toFixed(2)} scene units (mean)`);
 
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
 
@@ -421,12 +421,20 @@ export function initMoonOrbit(styleConfig, earthPosition = null, planetSizeMode
 /**
  * Update Moon orbit position to follow Earth
  * @param {THREE.Vector3} earthPosition - Current Earth position
+ * @param {Date} date - Current simulated date; the path is resampled once it is a quarter orbit from the drawn month's centre
  */
-export function updateMoonOrbit(earthPosition) {
+export function updateMoonOrbit(earthPosition, date = null) {
     if (!moonOrbitLine || !earthPosition) return;
 
     // Update Moon orbit position to match Earth's position
     moonOrbitLine.position.copy(earthPosition);
+
+    if (date && Math.abs(date.getTime() - moonOrbitCenterTime) > daysToMs(MOON.orbitPeriod) / 4) {
+        const positions = moonOrbitLine.geometry.attributes.position;
+        sampleMoonOrbit(date).forEach((point, i) => positions.setXYZ(i, point.x, point.y, point.z));
+        positions.needsUpdate = true;
+        moonOrbitCenterTime = date.getTime();
+    }
 }
 
 /**
@@ -8,6 +8,7 @@ import { calculatePlanetPosition } from '../utils/orbitalElements.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
 import { getCachedSphereGeometry } from '../utils/geometryCache.js';
 import { isRotationEnabled } from './performanceSlider.js';
+import { applyDayNightShading, updateDayNight } from './dayNight.js';
 import { initAtmosphere, createAtmosphere, updateAtmospherePosition, removeAtmosphere, disposeAtmospheres, updateAtmosphereStyle, shouldHaveAtmosphere } from './atmosphere.js';
 
 /**
@@ -147,6 +148,12 @@ async function createPlanet(planetKey, planetData, styleConfig, loadedTextures =
     // Create planet material based on style (async for texture loading)
     const material = await createPlanetMaterial(planetKey, planetData, styleConfig, loadedTextures);
 
+    // Earth: terminator, night side and city lights from the real subsolar point
+    // (no night map is bundled, so the shader places the city lights on land in the day map)
+    if (planetKey === 'earth') {
+        applyDayNightShading(material);
+    }
+
     // Create planet mesh
     const planetMesh = new THREE.Mesh(geometry, material);
     planetMesh.name = planetData.name;
@@ -472,6 +479,9 @@ export function updatePlanets(deltaTime, simulationTime, timeSpeed = 1) {
         // Update world matrix so labels can get correct positions
         planetMesh.updateMatrixWorld(true);
     });
+
+    // Move Earth's terminator with the simulation date
+    updateDayNight(new Date(J2000_EPOCH.getTime() + simulationTime));
 }
 
 /**
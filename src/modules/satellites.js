@@ -0,0 +1,309 @@
+/**
+ * Satellites Module
+ * Draws the satellite catalog (see src/utils/satelliteCatalog.js) around Earth at the
+ * simulation time: small groups get a labelled, clickable marker per satellite, large
+ * groups (Starlink) one point cloud each. Hidden groups are not drawn or propagated.
+ */
+
+import { addToScene, removeFromScene } from '../core/scene.js';
+import { satelliteCatalog } from '../utils/satelliteCatalog.js';
+import { geographicToScenePosition } from '../utils/coordinates.js';
+import { EARTH_RADIUS, J2000_EPOCH_MS, SATELLITES, scaleRadius } from '../utils/constants.js';
+import { addLabel, removeLabel } from './labels.js';
+
+// Module state
+let satellitesGroup = null; // Parent of every marker and point cloud
+const markers = new Map(); // Satellite id -> THREE.Mesh (mesh-rendered groups)
+const pointClouds = new Map(); // Group key -> {points, ids, proxies}
+const relativePositions = new Map(); // Satellite id -> scene position relative to Earth's center (null if propagation failed)
+const latestPositions = new Map(); // Satellite id -> latest result of satelliteCatalog.propagate()
+let earthPosition = { x: 0, y: 0, z: 0 };
+let lastPropagationTime = 0; // Real time of the last propagation
+let clickableKeys = []; // Keys currently registered for click-to-focus
+
+/**
+ * Marker size: about 1% of Earth's scene radius in either size mode
+ * @returns {number} Marker radius in scene units
+ */
+function getMarkerRadius() {
+    return scaleRadius(EARTH_RADIUS, 'planet') * 0.01;
+}
+
+/**
+ * Format a group color as a CSS hex string
+ * @param {number} color - Color as 0xRRGGBB
+ * @returns {string} CSS color
+ */
+function toCSSColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Initialize satellite markers for the visible catalog groups
+ * Call after initLabels() so the satellites get labels.
+ * @returns {THREE.Group} Group holding all satellite markers
+ */
+export function initSatellites() {
+    console.log('🛰️ Initializing satellite catalog markers...');
+
+    disposeSatellites();
+
+    satellitesGroup = new THREE.Group();
+    satellitesGroup.name = 'Satellites';
+    addToScene(satellitesGroup);
+
+    buildMarkers();
+    satelliteCatalog.onChange(rebuildMarkers);
+
+    console.log(`✅ Satellites initialized (${markers.size} markers, ${pointClouds.size} point clouds)`);
+    return satellitesGroup;
+}
+
+/**
+ * Create markers, labels and point clouds for every visible group
+ */
+function buildMarkers() {
+    const markerRadius = getMarkerRadius();
+
+    satelliteCatalog.getGroups()
+        .filter(group => group.visible && group.count > 0)
+        .forEach(group => {
+            const entries = satelliteCatalog.getSatellites(group.id);
+
+            if (group.render === 'points') {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(entries.length * 3), 3));
+                const material = new THREE.PointsMaterial({
+                    color: group.color,
+                    size: markerRadius * 2,
+                    sizeAttenuation: true
+                });
+
+                const points = new THREE.Points(geometry, material);
+                points.name = `Satellites-${group.id}`;
+                points.frustumCulled = false; // Bounding sphere isn't kept up to date as they move
+
+                // Invisible stand-ins give each point a position to focus and follow
+                const proxies = entries.map(entry => {
+                    const proxy = new THREE.Object3D();
+                    proxy.name = entry.name;
+                    proxy.userData = { type: 'satellite', satelliteId: entry.id, group: group.id, markerRadius };
+                    return proxy;
+                });
+                points.userData.getPointObject = (index) => proxies[index] || null;
+
+                satellitesGroup.add(points);
+                pointClouds.set(group.id, { points, ids: entries.map(entry => entry.id), proxies });
+                return;
+            }
+
+            const geometry = new THREE.OctahedronGeometry(markerRadius);
+            const material = new THREE.MeshBasicMaterial({ color: group.color });
+            entries.forEach(entry => {
+                const marker = new THREE.Mesh(geometry, material);
+                marker.name = entry.name;
+                marker.userData = { type: 'satellite', satelliteId: entry.id, group: group.id, markerRadius };
+                marker.visible = false; // Until the first propagation places it
+
+                satellitesGroup.add(marker);
+                markers.set(entry.id, marker);
+                addLabel(entry.id, entry.name, toCSSColor(group.color));
+            });
+        });
+
+    syncClickableObjects();
+}
+
+/**
+ * Remove every marker, label and point cloud (keeps the parent group)
+ */
+function clearMarkers() {
+    const geometries = new Set();
+    const materials = new Set();
+
+    markers.forEach((marker, id) => {
+        removeLabel(id);
+        geometries.add(marker.geometry);
+        materials.add(marker.material);
+        satellitesGroup?.remove(marker);
+    });
+    pointClouds.forEach(({ points }) => {
+        geometries.add(points.geometry);
+        materials.add(points.material);
+        satellitesGroup?.remove(points);
+    });
+
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach(material => material.dispose());
+    markers.clear();
+    pointClouds.clear();
+    relativePositions.clear();
+    latestPositions.clear();
+}
+
+/**
+ * Rebuild after the catalog or group visibility changed
+ */
+function rebuildMarkers() {
+    if (!satellitesGroup) return;
+
+    clearMarkers();
+    buildMarkers();
+    lastPropagationTime = 0; // Place the new markers on the next frame
+}
+
+/**
+ * Register the current markers (and point-cloud stand-ins) for click-to-focus,
+ * unregistering the previous ones
+ * ui.js is imported dynamically to avoid a circular dependency.
+ */
+function syncClickableObjects() {
+    import('./ui.js').then(({ registerClickableObject, unregisterClickableObject }) => {
+        clickableKeys.forEach(key => unregisterClickableObject(key));
+        clickableKeys = [];
+
+        markers.forEach((marker, id) => {
+            registerClickableObject(id, marker, { type: 'satellite', name: marker.name });
+            clickableKeys.push(id);
+        });
+        pointClouds.forEach(({ points, ids, proxies }, group) => {
+            // The cloud is what the raycaster hits; it hands the click on to a stand-in
+            const cloudKey = `satellites-${group}`;
+            registerClickableObject(cloudKey, points, { type: 'satellite_group', name: points.name });
+            clickableKeys.push(cloudKey);
+
+            ids.forEach((id, index) => {
+                registerClickableObject(id, proxies[index], { type: 'satellite', name: proxies[index].name });
+                clickableKeys.push(id);
+            });
+        });
+    });
+}
+
+/**
+ * Count the satellites currently drawn
+ * @returns {number} Number of markers and points
+ */
+function getDrawnCount() {
+    let count = markers.size;
+    pointClouds.forEach(({ ids }) => {
+        count += ids.length;
+    });
+    return count;
+}
+
+/**
+ * Propagate every drawn satellite to the simulation date
+ * @param {Date} date - Simulation date
+ */
+function propagateAll(date) {
+    const propagate = (id) => {
+        const position = satelliteCatalog.propagate(id, date);
+        if (position) {
+            latestPositions.set(id, position);
+            relativePositions.set(id, geographicToScenePosition(position.latitude, position.longitude, position.altitude));
+        } else {
+            latestPositions.delete(id);
+            relativePositions.set(id, null); // Decayed or failed - hide it
+        }
+    };
+
+    markers.forEach((marker, id) => propagate(id));
+    pointClouds.forEach(({ ids }) => ids.forEach(propagate));
+}
+
+/**
+ * Update satellite positions (call every frame)
+ * Large catalogs are re-propagated at most every SATELLITES.UPDATE_INTERVAL ms of real time;
+ * in between, the markers keep their Earth-relative positions and follow Earth.
+ * @param {number} simulationTime - Simulation time in ms since J2000
+ * @param {Object} earthPos - Earth's scene position {x, y, z}
+ */
+export function updateSatellites(simulationTime, earthPos) {
+    if (!satellitesGroup) return;
+    if (earthPos) {
+        earthPosition = earthPos;
+    }
+
+    const now = Date.now();
+    const isThrottled = getDrawnCount() > SATELLITES.MAX_PER_FRAME;
+    if (!isThrottled || now - lastPropagationTime >= SATELLITES.UPDATE_INTERVAL) {
+        lastPropagationTime = now;
+        propagateAll(new Date(J2000_EPOCH_MS + simulationTime));
+    }
+
+    markers.forEach((marker, id) => {
+        const relative = relativePositions.get(id);
+        marker.visible = !!relative;
+        if (relative) {
+            marker.position.set(earthPosition.x + relative.x, earthPosition.y + relative.y, earthPosition.z + relative.z);
+            const { latitude, longitude, altitude } = latestPositions.get(id);
+            Object.assign(marker.userData, { latitude, longitude, altitude });
+        }
+    });
+
+    pointClouds.forEach(({ points, ids, proxies }) => {
+        // Point positions are relative to Earth's center; the cloud itself moves with Earth
+        points.position.set(earthPosition.x, earthPosition.y, earthPosition.z);
+        const array = points.geometry.attributes.position.array;
+
+        ids.forEach((id, index) => {
+            const relative = relativePositions.get(id) || { x: 0, y: 0, z: 0 }; // Failed ones sit inside Earth
+            array[index * 3] = relative.x;
+            array[index * 3 + 1] = relative.y;
+            array[index * 3 + 2] = relative.z;
+
+            proxies[index].position.set(earthPosition.x + relative.x, earthPosition.y + relative.y, earthPosition.z + relative.z);
+            const position = latestPositions.get(id);
+            Object.assign(proxies[index].userData, { latitude: position?.latitude, longitude: position?.longitude, altitude: position?.altitude });
+        });
+        points.geometry.attributes.position.needsUpdate = true;
+    });
+}
+
+/**
+ * Get the scene object of a drawn satellite (used for labels and camera focus)
+ * @param {string} id - Catalog id (e.g. 'sat-20580')
+ * @returns {THREE.Object3D|null} Marker or point stand-in, or null if not drawn
+ */
+export function getSatelliteObject(id) {
+    if (markers.has(id)) {
+        return markers.get(id).visible ? markers.get(id) : null;
+    }
+    for (const { ids, proxies } of pointClouds.values()) {
+        const index = ids.indexOf(id);
+        if (index > -1) return proxies[index];
+    }
+    return null;
+}
+
+/**
+ * Get the latest propagated position of a drawn satellite
+ * @param {string} id - Catalog id
+ * @returns {Object|null} Position from satelliteCatalog.propagate(), or null
+ */
+export function getSatellitePosition(id) {
+    return latestPositions.get(id) || null;
+}
+
+/**
+ * Dispose all satellite markers
+ */
+export function disposeSatellites() {
+    satelliteCatalog.offChange(rebuildMarkers);
+    clearMarkers();
+
+    if (satellitesGroup) {
+        removeFromScene(satellitesGroup);
+        satellitesGroup = null;
+        syncClickableObjects();
+    }
+}
+
+export default {
+    initSatellites,
+    updateSatellites,
+    getSatelliteObject,
+    getSatellitePosition,
+    disposeSatellites
+};
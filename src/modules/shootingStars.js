@@ -4,6 +4,7 @@
  */
 
 import { addToScene, removeFromScene } from '../core/scene.js';
+import { createSeededRandom } from '../utils/random.js';
 
 /**
  * Array of active shooting star objects
@@ -40,12 +41,19 @@ let currentStyle = null;
  */
 let enabled = true;
 
+/**
+ * Seeded random stream for spawning and shaping meteors (restarted on init)
+ * @type {Function}
+ */
+let random = createSeededRandom('shooting-stars');
+
 /**
  * Initialize shooting stars module
  * @param {Object} styleConfig - Visual style configuration
  */
 export function initShootingStars(styleConfig = {}) {
     currentStyle = styleConfig;
+    random = createSeededRandom('shooting-stars');
 
     // Shooting stars only in realistic style
     enabled = styleConfig.name === 'Realistic';
@@ -56,18 +64,19 @@ export function initShootingStars(styleConfig = {}) {
 /**
  * Create a single shooting star (realistic meteor)
  * Real meteor physics: 11-72 km/s velocity, meteors enter from random directions and streak across sky
+ * @param {boolean} reversed - Time runs backwards: start at the end of the streak so it flies back out
  */
-function createShootingStar() {
+function createShootingStar(reversed = false) {
     // Spawn VERY far away, well outside visible sphere for realistic entry
-    const distance = 10000 + Math.random() * 5000; // 10-15km away
+    const distance = 10000 + random() * 5000; // 10-15km away
 
     // Random point on sphere - meteors can come from any direction in space
-    const theta = Math.random() * Math.PI * 2; // Azimuth angle
-    const phi = Math.acos((Math.random() * 2) - 1); // Polar angle (uniform distribution)
+    const theta = random() * Math.PI * 2; // Azimuth angle
+    const phi = Math.acos((random() * 2) - 1); // Polar angle (uniform distribution)
 
-    const startX = distance * Math.sin(phi) * Math.cos(theta);
-    const startY = distance * Math.sin(phi) * Math.sin(theta);
-    const startZ = distance * Math.cos(phi);
+    let startX = distance * Math.sin(phi) * Math.cos(theta);
+    let startY = distance * Math.sin(phi) * Math.sin(theta);
+    let startZ = distance * Math.cos(phi);
 
     // Direction: Meteors move in straight lines across the sky
     // Point generally toward the center (origin) with randomness for natural variety
@@ -75,16 +84,25 @@ function createShootingStar() {
 
     // Add randomness to direction (up to 30 degree deviation from center-pointing)
     const randomOffset = new THREE.Vector3(
-        (Math.random() - 0.5) * 0.5,
-        (Math.random() - 0.5) * 0.5,
-        (Math.random() - 0.5) * 0.5
+        (random() - 0.5) * 0.5,
+        (random() - 0.5) * 0.5,
+        (random() - 0.5) * 0.5
     );
 
     const velocity = centerDirection.add(randomOffset).normalize();
 
     // Realistic meteor velocity: 10-70 km/s
     // In our scene units: VERY fast for visibility
-    const speed = 1500 + Math.random() * 2000; // units per second (3500 max - very fast!)
+    const speed = 1500 + random() * 2000; // units per second (3500 max - very fast!)
+    const maxLifetime = 1000 + random() * 3000; // 1-4 seconds (longer for visibility)
+
+    // In reverse, begin where the forward streak would have ended
+    if (reversed) {
+        const travel = speed * maxLifetime / 1000;
+        startX += velocity.x * travel;
+        startY += velocity.y * travel;
+        startZ += velocity.z * travel;
+    }
 
     // Create dynamic trail geometry that will grow as meteor moves
     const geometry = new THREE.BufferGeometry();
@@ -119,7 +137,7 @@ function createShootingStar() {
         trailPositions: [new THREE.Vector3(startX, startY, startZ)], // Array of past positions
         maxTrailLength: 50, // Maximum number of trail points (controls trail length)
         lifetime: 0,
-        maxLifetime: 1000 + Math.random() * 3000, // 1-4 seconds (longer for visibility)
+        maxLifetime,
         opacity: 1.0 // Match material opacity (full brightness)
     };
 
@@ -128,7 +146,9 @@ function createShootingStar() {
 
 /**
  * Update shooting stars (spawn new ones, animate existing ones)
+ * When time runs backwards, meteors fly back out along their paths.
  * @param {number} deltaTime - Time since last frame in milliseconds
+ * @param {number} timeSpeed - Time speed multiplier (negative when time runs backwards)
  */
 // Debug: Track last warning time to avoid spamming console
 let lastWarningTime = 0;
@@ -156,6 +176,8 @@ export function updateShootingStars(deltaTime, timeSpeed = 1) {
     }
 
     const deltaTimeSeconds = deltaTime / 1000;
+    const speedMagnitude = Math.abs(timeSpeed);
+    const direction = timeSpeed < 0 ? -1 : 1;
 
     // Calculate spawn chance based on:
     // 1. Base spawn chance
@@ -166,10 +188,10 @@ export function updateShootingStars(deltaTime, timeSpeed = 1) {
     // At 1x speed, meteors appear very rarely (1/500th normal rate)
     // As speed increases, spawn rate scales up
     let timeSpeedScale;
-    if (timeSpeed === 1) {
+    if (speedMagnitude === 1) {
         timeSpeedScale = 0.002; // Very rare at real-time speed
     } else {
-        timeSpeedScale = Math.min(timeSpeed / 1000, 10); // Cap at 10x for faster speeds
+        timeSpeedScale = Math.min(speedMagnitude / 1000, 10); // Cap at 10x for faster speeds
     }
 
     const scaledSpawnChance = BASE_SPAWN_CHANCE * frequencyScale * timeSpeedScale;
@@ -181,8 +203,8 @@ export function updateShootingStars(deltaTime, timeSpeed = 1) {
     }
 
     // Spawn new shooting star randomly
-    if (shootingStars.length < MAX_SHOOTING_STARS && Math.random() < scaledSpawnChance) {
-        createShootingStar();
+    if (shootingStars.length < MAX_SHOOTING_STARS && random() < scaledSpawnChance) {
+        createShootingStar(direction < 0);
         console.log(`🌠 Meteor spawned! (Active: ${shootingStars.length}/${MAX_SHOOTING_STARS}, Frequency: ${frequencyMultiplier}%, Speed: ${timeSpeed}x)`);
     }
 
@@ -194,15 +216,15 @@ export function updateShootingStars(deltaTime, timeSpeed = 1) {
         // At 1x speed, meteors move at full speed (they're fast in real life!)
         // At higher speeds, scale gradually
         let speedScale;
-        if (timeSpeed === 1) {
+        if (speedMagnitude === 1) {
             speedScale = 1.0; // Full speed at real-time
         } else {
             // Use cube root for gradual scaling at higher speeds
-            speedScale = Math.pow(timeSpeed / 100000, 0.33);
+            speedScale = Math.pow(speedMagnitude / 100000, 0.33);
         }
 
-        // Update position - move meteor head forward
-        const movement = star.velocity.clone().multiplyScalar(deltaTimeSeconds * speedScale);
+        // Update position - move meteor head forward (back along its path in reverse)
+        const movement = star.velocity.clone().multiplyScalar(deltaTimeSeconds * speedScale * direction);
         star.position.add(movement);
 
         // Add current position to trail history
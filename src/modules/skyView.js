@@ -0,0 +1,502 @@
+/**
+ * Sky View Module - The sky seen from the observer's location on Earth
+ * Stands the camera on Earth's surface at the observer location (src/utils/observer.js) and
+ * draws a sky dome around it: the ground, a sky tint that follows the Sun's altitude, the
+ * horizon with its cardinal points, and the Sun, Moon, planets and ISS at their altitude and
+ * azimuth (src/utils/frames.js). The starfield is turned to the local sidereal orientation so
+ * it acts as the star background. Drag to look around, scroll to change the field of view.
+ *
+ * The dome lives on its own camera layer: while the view is active the camera renders only
+ * that layer and the starfield, so the solar system meshes (at their compressed scene scale)
+ * never show up in the sky.
+ */
+
+import { camera, controls, animateCameraTo } from '../core/camera.js';
+import { addToScene, removeFromScene } from '../core/scene.js';
+import { getPlanet } from './planets.js';
+import { getISSPosition } from './iss.js';
+import { getStarfield } from './starfield.js';
+import { setLabelsVisible, areLabelsVisible } from './labels.js';
+import { setSunLensFlareEnabled } from './sun.js';
+import { isLensFlareEnabled } from './lensFlare.js';
+import { observer } from '../utils/observer.js';
+import { timeManager } from '../utils/time.js';
+import { getSkyCoordinates, getSkyCoordinatesFromGeodetic, equatorialToEnu, eclipticToEquatorial } from '../utils/frames.js';
+import { getEarthSurfacePosition } from '../utils/coordinates.js';
+import { COLORS, MOON, PLANETS, DEG_TO_RAD } from '../utils/constants.js';
+
+/**
+ * Camera layer of the sky dome
+ */
+export const SKY_LAYER = 1;
+
+const DOME_RADIUS = 5000; // Scene units; inside the starfield (60,000) and the camera's far plane
+const MARKER_DISTANCE = DOME_RADIUS * 0.9;
+const HORIZON_DISTANCE = DOME_RADIUS * 0.95;
+const TRANSITION_DURATION = 1500; // ms
+const COMPUTE_INTERVAL = 100; // ms (real time) between sky position updates
+const MIN_FOV = 10; // degrees
+const MAX_FOV = 100; // degrees
+const SKY_COLOR = 0x3d6fb6;
+const GROUND_NIGHT_COLOR = 0x070a06;
+const GROUND_DAY_COLOR = 0x34452a;
+
+/**
+ * Bodies drawn on the dome, with exaggerated apparent diameters (degrees) so they can be found
+ */
+const SKY_BODIES = [
+    { key: 'sun', name: 'Sun', color: COLORS.SUN, size: 2.0 },
+    { key: 'moon', name: 'Moon', color: MOON.color, size: 2.0 },
+    ...['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'].map(key => ({
+        key, name: PLANETS[key].name, color: PLANETS[key].color, size: 0.8
+    })),
+    { key: 'iss', name: 'ISS', color: COLORS.ISS_COLOR, size: 0.6 }
+];
+
+const CARDINAL_POINTS = [
+    { name: 'N', azimuth: 0 },
+    { name: 'E', azimuth: 90 },
+    { name: 'S', azimuth: 180 },
+    { name: 'W', azimuth: 270 }
+];
+
+// Module state
+let renderer = null;
+let dome = null; // THREE.Group around the camera
+let skyMesh = null;
+let groundMesh = null;
+let markers = {}; // body key -> marker mesh
+let labelsContainer = null;
+let labelElements = {}; // body key or cardinal name -> label element
+let captionEl = null;
+let state = 'off'; // 'off' | 'entering' | 'active'
+let location = null; // Observer location being shown
+let savedView = null; // Camera and overlay state to restore on exit
+let viewAzimuth = 180; // degrees
+let viewAltitude = 25; // degrees
+let dragStart = null;
+let skyPositions = {}; // body key -> {azimuth, altitude}
+let lastComputeTime = 0;
+
+/**
+ * Direction on the dome for an azimuth and altitude
+ * Dome axes: +X east, +Y up, -Z north
+ * @param {number} azimuth - Azimuth in degrees (from north, through east)
+ * @param {number} altitude - Altitude in degrees
+ * @param {number} distance - Distance from the dome center (default: 1)
+ * @returns {THREE.Vector3} Position relative to the dome center
+ */
+function horizontalToDome(azimuth, altitude, distance = 1) {
+    const az = azimuth * DEG_TO_RAD;
+    const alt = altitude * DEG_TO_RAD;
+    return new THREE.Vector3(
+        distance * Math.sin(az) * Math.cos(alt),
+        distance * Math.sin(alt),
+        -distance * Math.cos(az) * Math.cos(alt)
+    );
+}
+
+/**
+ * Orientation that turns scene (ecliptic J2000) directions, such as the starfield's, into dome directions
+ * @param {Date} date - Date
+ * @param {Object} observerLocation - Observer {latitude, longitude}
+ * @returns {THREE.Quaternion} Rotation for the starfield
+ */
+function getSkyOrientation(date, observerLocation) {
+    const axes = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }].map(axis => {
+        const enu = equatorialToEnu(eclipticToEquatorial(axis), date, observerLocation);
+        return new THREE.Vector3(enu.east, enu.up, -enu.north);
+    });
+    return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(...axes));
+}
+
+/**
+ * Format a latitude/longitude pair for the caption
+ * @param {Object} observerLocation - Observer {latitude, longitude, name}
+ * @returns {string} Location text
+ */
+function formatLocation(observerLocation) {
+    const lat = `${Math.abs(observerLocation.latitude).toFixed(2)}°${observerLocation.latitude >= 0 ? 'N' : 'S'}`;
+    const lon = `${Math.abs(observerLocation.longitude).toFixed(2)}°${observerLocation.longitude >= 0 ? 'E' : 'W'}`;
+    return observerLocation.name ? `${observerLocation.name} (${lat}, ${lon})` : `${lat}, ${lon}`;
+}
+
+/**
+ * Create an HTML label
+ * @param {string} key - Label key
+ * @param {string} text - Label text
+ * @param {string} className - Extra CSS class (optional)
+ */
+function createLabel(key, text, className = '') {
+    const label = document.createElement('div');
+    label.className = `sky-view-label ${className}`.trim();
+    label.textContent = text;
+    labelsContainer.appendChild(label);
+    labelElements[key] = label;
+}
+
+/**
+ * Build the dome: ground, sky tint, horizon and body markers
+ * @returns {THREE.Group} Dome group
+ */
+function createDome() {
+    const group = new THREE.Group();
+    group.name = 'skyViewDome';
+
+    // Lower hemisphere: hides the stars below the horizon
+    groundMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(DOME_RADIUS, 48, 16, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: GROUND_NIGHT_COLOR, side: THREE.BackSide })
+    );
+    group.add(groundMesh);
+
+    // Upper hemisphere: daylight washes out the stars (markers are closer, so they stay visible)
+    skyMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(DOME_RADIUS * 0.99, 48, 16, 0, Math.PI * 2, 0, Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: SKY_COLOR, side: THREE.BackSide, transparent: true, opacity: 0, depthWrite: false })
+    );
+    skyMesh.renderOrder = 1;
+    group.add(skyMesh);
+
+    const horizonPoints = [];
+    for (let azimuth = 0; azimuth < 360; azimuth += 2) {
+        horizonPoints.push(horizontalToDome(azimuth, 0, HORIZON_DISTANCE));
+    }
+    group.add(new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(horizonPoints),
+        new THREE.LineBasicMaterial({ color: 0x88a070 })
+    ));
+
+    SKY_BODIES.forEach(body => {
+        const radius = MARKER_DISTANCE * Math.tan(body.size / 2 * DEG_TO_RAD);
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 12),
+            new THREE.MeshBasicMaterial({ color: body.color })
+        );
+        marker.visible = false;
+        markers[body.key] = marker;
+        group.add(marker);
+    });
+
+    group.traverse(object => object.layers.set(SKY_LAYER));
+    group.visible = false;
+    return group;
+}
+
+/**
+ * Initialize the sky view
+ * @param {Object} options - Options
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer (canvas for look-around and label projection)
+ */
+export function initSkyView(options) {
+    renderer = options.renderer;
+
+    dome = createDome();
+    addToScene(dome);
+
+    labelsContainer = document.createElement('div');
+    labelsContainer.id = 'sky-view-labels';
+    labelsContainer.classList.add('hidden');
+    document.body.appendChild(labelsContainer);
+    SKY_BODIES.forEach(body => createLabel(body.key, body.name));
+    CARDINAL_POINTS.forEach(point => createLabel(point.name, point.name, 'sky-view-cardinal'));
+
+    captionEl = document.getElementById('sky-view-caption');
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+
+    console.log('🌌 Sky view initialized');
+}
+
+/**
+ * Start dragging the view
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+    if (state !== 'active') return;
+    dragStart = { x: event.clientX, y: event.clientY, azimuth: viewAzimuth, altitude: viewAltitude };
+}
+
+/**
+ * Drag the sky: the point under the pointer follows it
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+    if (state !== 'active' || !dragStart) return;
+    const degreesPerPixel = camera.fov / renderer.domElement.clientHeight;
+    viewAzimuth = ((dragStart.azimuth - (event.clientX - dragStart.x) * degreesPerPixel) % 360 + 360) % 360;
+    viewAltitude = Math.max(-30, Math.min(89, dragStart.altitude + (event.clientY - dragStart.y) * degreesPerPixel));
+}
+
+/**
+ * Stop dragging the view
+ */
+function handlePointerUp() {
+    dragStart = null;
+}
+
+/**
+ * Zoom by changing the field of view
+ * @param {WheelEvent} event - Wheel event
+ */
+function handleWheel(event) {
+    if (state !== 'active') return;
+    event.preventDefault();
+    camera.fov = Math.max(MIN_FOV, Math.min(MAX_FOV, camera.fov * (event.deltaY > 0 ? 1.1 : 1 / 1.1)));
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Observer's point on Earth's surface in the scene
+ * @returns {THREE.Vector3|null} Scene position, or null if Earth is not available
+ */
+function getStandPoint() {
+    const earth = getPlanet('earth');
+    if (!earth || !location) return null;
+    const surface = getEarthSurfacePosition(location.latitude, location.longitude);
+    return earth.getWorldPosition(new THREE.Vector3()).add(new THREE.Vector3(surface.x, surface.y, surface.z));
+}
+
+/**
+ * Turn the sky view on or off
+ * @param {boolean} active - Whether to stand on Earth
+ * @returns {boolean} False if the view could not be entered (no observer location or Earth)
+ */
+export function setSkyViewActive(active) {
+    if (!active) {
+        exitSkyView();
+        return true;
+    }
+    if (state !== 'off') return true;
+
+    location = observer.getLocation();
+    const standPoint = getStandPoint();
+    if (!dome || !camera || !controls || !standPoint) {
+        console.warn('⚠️ Sky view needs an observer location');
+        return false;
+    }
+
+    savedView = {
+        position: camera.position.clone(),
+        target: controls.target.clone(),
+        up: camera.up.clone(),
+        fov: camera.fov,
+        layers: camera.layers.mask,
+        labels: areLabelsVisible(),
+        lensFlare: isLensFlareEnabled()
+    };
+    viewAzimuth = location.latitude >= 0 ? 180 : 0; // Face the equator
+    viewAltitude = 25;
+    state = 'entering';
+
+    // Drop toward the location from above, then switch to the dome
+    const earthCenter = getPlanet('earth').getWorldPosition(new THREE.Vector3());
+    const approach = standPoint.clone().sub(earthCenter).multiplyScalar(2.5).add(earthCenter);
+    animateCameraTo(approach, standPoint, TRANSITION_DURATION, () => {
+        if (state !== 'entering') return; // Cancelled during the transition
+        state = 'active';
+        controls.enabled = false;
+        camera.layers.set(SKY_LAYER);
+        setLabelsVisible(false);
+        setSunLensFlareEnabled(false);
+        dome.visible = true;
+        labelsContainer.classList.remove('hidden');
+        lastComputeTime = 0;
+        updateSkyView();
+        if (captionEl) {
+            captionEl.textContent = `🌌 Sky from ${formatLocation(location)} · drag to look around, scroll to zoom, V or Esc to return`;
+            captionEl.classList.remove('hidden');
+        }
+        console.log(`🌌 Sky view from ${formatLocation(location)}`);
+    });
+    return true;
+}
+
+/**
+ * Leave the sky view and fly back to the previous camera view
+ */
+function exitSkyView() {
+    if (state === 'off') return;
+    const wasActive = state === 'active';
+    state = 'off';
+    dragStart = null;
+
+    if (wasActive) {
+        camera.layers.mask = savedView.layers;
+        camera.fov = savedView.fov;
+        camera.updateProjectionMatrix();
+        camera.up.copy(savedView.up);
+        controls.enabled = true;
+        setLabelsVisible(savedView.labels);
+        setSunLensFlareEnabled(savedView.lensFlare);
+        dome.visible = false;
+        labelsContainer.classList.add('hidden');
+        captionEl?.classList.add('hidden');
+
+        const starfield = getStarfield();
+        if (starfield) {
+            starfield.quaternion.identity();
+            starfield.traverse(object => object.layers.disable(SKY_LAYER));
+        }
+    }
+
+    animateCameraTo(savedView.position, savedView.target, TRANSITION_DURATION);
+    console.log('🌌 Sky view closed');
+}
+
+/**
+ * Check whether the sky view is on (or on its way in)
+ * @returns {boolean}
+ */
+export function isSkyViewActive() {
+    return state !== 'off';
+}
+
+/**
+ * Recompute where the bodies are in the sky (throttled)
+ * @param {Date} date - Simulation date
+ */
+function computeSkyPositions(date) {
+    const now = Date.now();
+    if (now - lastComputeTime < COMPUTE_INTERVAL) return;
+    lastComputeTime = now;
+
+    skyPositions = {};
+    SKY_BODIES.forEach(body => {
+        try {
+            if (body.key === 'iss') {
+                const iss = getISSPosition();
+                if (iss && Number.isFinite(iss.altitude)) {
+                    skyPositions.iss = getSkyCoordinatesFromGeodetic(iss, date, location).horizontal;
+                }
+            } else {
+                skyPositions[body.key] = getSkyCoordinates(body.key, date, location).horizontal;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Sky position of ${body.key} unavailable:`, error.message);
+        }
+    });
+
+    // Daylight: the sky brightens as the Sun climbs from -12° (nautical twilight) to 6°
+    const sunAltitude = skyPositions.sun ? skyPositions.sun.altitude : -90;
+    const daylight = Math.max(0, Math.min(1, (sunAltitude + 12) / 18));
+    skyMesh.material.opacity = 0.9 * daylight;
+    groundMesh.material.color.setHex(GROUND_NIGHT_COLOR).lerp(new THREE.Color(GROUND_DAY_COLOR), daylight);
+}
+
+/**
+ * Place an HTML label over a point on the dome
+ * @param {HTMLElement} label - Label element
+ * @param {THREE.Vector3} worldPosition - World position of the point
+ * @param {boolean} visible - Whether the label should show at all
+ */
+function placeLabel(label, worldPosition, visible) {
+    const projected = worldPosition.clone().project(camera);
+    if (!visible || projected.z > 1 || Math.abs(projected.x) > 1.1 || Math.abs(projected.y) > 1.1) {
+        label.style.display = 'none';
+        return;
+    }
+    const canvas = renderer.domElement;
+    label.style.left = `${(projected.x * 0.5 + 0.5) * canvas.clientWidth}px`;
+    label.style.top = `${(-projected.y * 0.5 + 0.5) * canvas.clientHeight}px`;
+    label.style.display = 'block';
+}
+
+/**
+ * Update the sky view (call every frame, after the solar system update)
+ * Keeps the camera on the observer's spot as Earth moves, and updates the dome
+ */
+export function updateSkyView() {
+    if (state !== 'active') return;
+
+    location = observer.getLocation() || location;
+    const standPoint = getStandPoint();
+    if (!standPoint) return;
+    const date = timeManager.getSimulationDate();
+
+    // Stand on the spot and look along the chosen direction
+    camera.position.copy(standPoint);
+    camera.up.set(0, 1, 0);
+    const target = standPoint.clone().add(horizontalToDome(viewAzimuth, viewAltitude, 10));
+    controls.target.copy(target);
+    camera.lookAt(target);
+    dome.position.copy(standPoint);
+
+    const starfield = getStarfield();
+    if (starfield) {
+        starfield.traverse(object => object.layers.enable(SKY_LAYER)); // Constellations included
+        starfield.position.copy(standPoint);
+        starfield.quaternion.copy(getSkyOrientation(date, location));
+    }
+
+    computeSkyPositions(date);
+
+    SKY_BODIES.forEach(body => {
+        const marker = markers[body.key];
+        const horizontal = skyPositions[body.key];
+        // Markers sit in front of the ground, so hide them once they have set
+        const aboveHorizon = Boolean(horizontal) && horizontal.altitude > -body.size / 2;
+        marker.visible = aboveHorizon;
+        if (aboveHorizon) {
+            marker.position.copy(horizontalToDome(horizontal.azimuth, horizontal.altitude, MARKER_DISTANCE));
+        }
+        placeLabel(labelElements[body.key], marker.position.clone().add(standPoint), aboveHorizon);
+    });
+
+    CARDINAL_POINTS.forEach(point => {
+        const worldPosition = horizontalToDome(point.azimuth, 0, HORIZON_DISTANCE).add(standPoint);
+        placeLabel(labelElements[point.name], worldPosition, true);
+    });
+}
+
+/**
+ * Dispose the sky view
+ */
+export function disposeSkyView() {
+    setSkyViewActive(false);
+
+    if (renderer) {
+        const canvas = renderer.domElement;
+        canvas.removeEventListener('pointerdown', handlePointerDown);
+        canvas.removeEventListener('wheel', handleWheel);
+    }
+    window.removeEventListener('pointermove', handlePointerMove);
+    window.removeEventListener('pointerup', handlePointerUp);
+
+    if (dome) {
+        removeFromScene(dome);
+        dome.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+    }
+    if (labelsContainer && labelsContainer.parentNode) {
+        labelsContainer.parentNode.removeChild(labelsContainer);
+    }
+
+    renderer = null;
+    dome = null;
+    skyMesh = null;
+    groundMesh = null;
+    markers = {};
+    labelsContainer = null;
+    labelElements = {};
+    captionEl = null;
+    savedView = null;
+    skyPositions = {};
+
+    console.log('✅ Sky view disposed');
+}
+
+export default {
+    SKY_LAYER,
+    initSkyView,
+    setSkyViewActive,
+    isSkyViewActive,
+    updateSkyView,
+    disposeSkyView
+};
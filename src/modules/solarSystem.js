@@ -10,6 +10,8 @@ import { initMoon, updateMoon, disposeMoon, getMoon } from './moon.js';
 import { initMajorMoons, updateMajorMoons, disposeMajorMoons, getMoonMesh } from './moons.js';
 import { initAsteroidBelt, updateAsteroidBelt, disposeAsteroidBelt, setAsteroidBeltVisible, isAsteroidBeltVisible } from './asteroidBelt.js';
 import { initISS, updateISS, disposeISS, getISSMesh, registerUICallback, updateModuleLabels, setModuleLabelsEnabled } from './iss.js';
+import { initSatellites, updateSatellites, disposeSatellites, getSatelliteObject } from './satellites.js';
+import { initGroundStations, updateGroundStations, disposeGroundStations } from './groundStationMarkers.js';
 import { initOrbits, updateOrbits, disposeOrbits, initMoonOrbit, updateMoonOrbit, initMajorMoonOrbits, updateMajorMoonOrbits, disposeMajorMoonOrbits } from './orbits.js';
 import { initStarfield, updateStarfield, disposeStarfield } from './starfield.js';
 import { initLabels, registerObject, registerObjectGetter, updateLabels, disposeLabels } from './labels.js';
@@ -30,6 +32,8 @@ const solarSystemState = {
     majorMoons: null,
     asteroidBelt: null,
     iss: null,
+    satellites: null,
+    groundStations: null,
     orbits: null,
     orbitalMarkers: null,
     starfield: null,
@@ -119,6 +123,14 @@ export async function initSolarSystem(config) {
     registerObjectGetter(getCelestialObject);
     console.log('  ✓ Labels configured with dynamic object fetching');
 
+    // Initialize the satellite catalog (after labels - each satellite gets one)
+    solarSystemState.satellites = initSatellites();
+    console.log('  ✓ Satellites initialized');
+
+    // Ground-station markers (hidden until switched on)
+    solarSystemState.groundStations = initGroundStations();
+    console.log('  ✓ Ground stations initialized');
+
     solarSystemState.isInitialized = true;
     console.log('✅ Solar System fully initialized');
 
@@ -133,6 +145,18 @@ function registerAllObjects() {
     // No longer needed - labels now use getCelestialObject dynamically
 }
 
+/**
+ * Advance the stateful parts of the scene by one fixed simulation step
+ * Shooting stars spawn and move here rather than per frame, so a run comes out the same at any frame rate
+ * @param {number} stepMs - Step length in real milliseconds
+ */
+export function stepSolarSystem(stepMs) {
+    if (!solarSystemState.isInitialized) return;
+
+    // Spawn and animate meteors, scaled with time speed (negative when time runs backwards)
+    updateShootingStars(stepMs, timeManager.getTimeSpeed());
+}
+
 /**
  * Update all celestial objects (called every frame)
  * @param {number} deltaTime - Time since last frame in seconds
@@ -161,7 +185,7 @@ export function updateSolarSystem(deltaTime, simulationTime) {
         console.log(`🌌 updateSolarSystem #${solarSystemUpdateCounter} - planets exist: ${!!solarSystemState.planets}, deltaTime: ${deltaTime.toFixed(2)}ms`);
     }
 
-    // Get current time speed for scaling animations
+    // Get current time speed for scaling animations (negative when time runs backwards)
     const timeSpeed = timeManager.getTimeSpeed();
 
     // Update starfield to follow camera (skybox effect)
@@ -175,9 +199,6 @@ export function updateSolarSystem(deltaTime, simulationTime) {
     //     updateSun(deltaTime, simulationTime);
     // }
 
-    // Update shooting stars (spawn and animate meteors, scaled with time speed)
-    updateShootingStars(deltaTime, timeSpeed);
-
     // Update planets animation (pass timeSpeed for rotation scaling)
     if (solarSystemState.planets) {
         updatePlanets(deltaTime, simulationTime, timeSpeed);
@@ -185,7 +206,7 @@ export function updateSolarSystem(deltaTime, simulationTime) {
 
     // Update major moons animation (Jupiter & Saturn moons)
     if (solarSystemState.majorMoons) {
-        updateMajorMoons(deltaTime, simulationTime);
+        updateMajorMoons(deltaTime, simulationTime, timeSpeed);
     }
 
     // Update asteroid belt orbital motion
@@ -207,7 +228,7 @@ export function updateSolarSystem(deltaTime, simulationTime) {
                 const planetSizeMode = getPlanetSizeMode();
                 const styleConfig = getCurrentStyle();
                 console.log(`🚨 CREATING MOON ORBIT - Mode: ${planetSizeMode}`);
-                initMoonOrbit(styleConfig, earthPosition, planetSizeMode);
+                initMoonOrbit(styleConfig, earthPosition, planetSizeMode, timeManager.getSimulationDate());
 
                 // Also initialize major moon orbits (Jupiter & Saturn moons)
                 initMajorMoonOrbits(styleConfig, solarSystemState.planets);
@@ -217,8 +238,8 @@ export function updateSolarSystem(deltaTime, simulationTime) {
             }
 
             updateMoon(deltaTime, simulationTime, earthPosition);
-            // Also update Moon's orbit position to follow Earth
-            updateMoonOrbit(earthPosition);
+            // Also update Moon's orbit position to follow Earth (and the month drawn to follow the date)
+            updateMoonOrbit(earthPosition, timeManager.getSimulationDate());
         }
     }
 
@@ -235,6 +256,19 @@ export function updateSolarSystem(deltaTime, simulationTime) {
         }
     }
 
+    // Update catalog satellites (also placed around Earth)
+    if (solarSystemState.satellites) {
+        const earthPosition = getPlanetPosition('earth');
+        if (earthPosition) {
+            updateSatellites(simulationTime, earthPosition);
+        }
+    }
+
+    // Keep ground-station markers on Earth
+    if (solarSystemState.groundStations) {
+        updateGroundStations(getPlanetPosition('earth'));
+    }
+
     // Update labels positions (project 3D to 2D screen coordinates)
     if (solarSystemState.labels) {
         updateLabels();
@@ -270,6 +304,16 @@ export function disposeSolarSystem() {
         solarSystemState.iss = null;
     }
 
+    if (solarSystemState.satellites) {
+        disposeSatellites();
+        solarSystemState.satellites = null;
+    }
+
+    if (solarSystemState.groundStations) {
+        disposeGroundStations();
+        solarSystemState.groundStations = null;
+    }
+
     if (solarSystemState.moon) {
         disposeMoon();
         solarSystemState.moon = null;
@@ -354,7 +398,7 @@ export async function recreateSolarSystem(styleConfig = null) {
 
 /**
  * Get a specific celestial object
- * @param {string} name - Object name (sun, planets, moon, major moons, iss)
+ * @param {string} name - Object name (sun, planets, moon, major moons, iss, or a catalog satellite id like 'sat-20580')
  * @returns {THREE.Mesh|null} The requested object or null
  */
 export function getCelestialObject(name) {
@@ -383,6 +427,9 @@ export function getCelestialObject(name) {
         case 'iss':
             return getISSMesh();
         default:
+            if (name.toLowerCase().startsWith('sat-')) {
+                return getSatelliteObject(name.toLowerCase());
+            }
             console.warn(`Unknown celestial object: ${name}`);
             return null;
     }
@@ -442,6 +489,8 @@ export function getSolarSystemState() {
         hasMajorMoons: !!solarSystemState.majorMoons,
         hasAsteroidBelt: !!solarSystemState.asteroidBelt,
         hasISS: !!solarSystemState.iss,
+        hasSatellites: !!solarSystemState.satellites,
+        hasGroundStations: !!solarSystemState.groundStations,
         hasOrbits: !!solarSystemState.orbits,
         hasStarfield: !!solarSystemState.starfield,
         hasLabels: !!solarSystemState.labels
@@ -509,6 +558,7 @@ export function resetMoonOrbitInitialization() {
 export default {
     initSolarSystem,
     updateSolarSystem,
+    stepSolarSystem,
     disposeSolarSystem,
     recreateSolarSystem,
     getCelestialObject,
@@ -1,13 +1,17 @@
 /**
  * Starfield Module - Background star field
- * Creates a realistic starfield with thousands of stars at varying distances and brightness
+ * The realistic style draws the real sky from the bundled Hipparcos stars (src/utils/starCatalog.js):
+ * true positions in the scene's ecliptic J2000 frame, size from magnitude, color from B-V,
+ * with optional constellation figures and names. The other styles use a random decorative field.
  */
 
 import { addToScene, removeFromScene } from '../core/scene.js';
+import { createSeededRandom } from '../utils/random.js';
+import { getCatalogStars, getStarDirection, getConstellationFigures, magnitudeToSize, magnitudeToBrightness, bvToColor } from '../utils/starCatalog.js';
 
 /**
- * Starfield mesh (THREE.Points)
- * @type {THREE.Points|null}
+ * Starfield object: THREE.Points (random field) or THREE.Group (catalog stars and constellations)
+ * @type {THREE.Object3D|null}
  */
 let starfield = null;
 
@@ -17,6 +21,12 @@ let starfield = null;
  */
 let isVisible = true;
 
+/**
+ * Constellation figures visibility (catalog starfield only)
+ * @type {boolean}
+ */
+let constellationsVisible = false;
+
 /**
  * Current visual style configuration
  * @type {Object}
@@ -36,10 +46,15 @@ const STAR_COUNT = 5000; // Reduced from 15,000 to prevent "swarm" effect
  */
 const STAR_FIELD_RADIUS = 60000; // Even farther for true background effect
 
+/**
+ * Height of the constellation names (scene units at the starfield radius, about 1.1°)
+ */
+const CONSTELLATION_LABEL_HEIGHT = STAR_FIELD_RADIUS * 0.02;
+
 /**
  * Initialize the starfield
  * @param {Object} styleConfig - Visual style configuration from STYLES
- * @returns {THREE.Points} Starfield points mesh
+ * @returns {THREE.Object3D} Starfield object
  */
 export function initStarfield(styleConfig = {}) {
     console.log('⭐ Initializing starfield...');
@@ -50,19 +65,151 @@ export function initStarfield(styleConfig = {}) {
     disposeStarfield();
 
     // Create starfield
-    starfield = createStarfield(styleConfig);
+    starfield = usesStarCatalog(styleConfig) ? createCatalogStarfield() : createStarfield(styleConfig);
+    starfield.visible = isVisible;
     addToScene(starfield);
 
-    console.log(`✅ Starfield initialized with ${STAR_COUNT} stars`);
+    console.log(`✅ Starfield initialized with ${starfield.userData.starCount} ${starfield.userData.catalog ? 'catalog' : 'random'} stars`);
     return starfield;
 }
 
 /**
- * Create starfield mesh with thousands of stars
+ * Check whether a style draws the real sky
+ * @param {Object} styleConfig - Visual style configuration
+ * @returns {boolean} True for the realistic style
+ */
+function usesStarCatalog(styleConfig) {
+    return styleConfig.name === 'Realistic';
+}
+
+/**
+ * Create the real sky from the star catalog
+ * PointsMaterial has one size per material, so stars are grouped by point size
+ * @returns {THREE.Group} Starfield group (star points and constellations)
+ */
+function createCatalogStarfield() {
+    const group = new THREE.Group();
+    const stars = getCatalogStars();
+    const bins = new Map(); // point size (px) -> {positions, colors}
+
+    stars.forEach(star => {
+        const size = Math.round(magnitudeToSize(star.magnitude) * 2) / 2;
+        if (!bins.has(size)) {
+            bins.set(size, { positions: [], colors: [] });
+        }
+        const bin = bins.get(size);
+
+        const direction = getStarDirection(star);
+        bin.positions.push(direction.x * STAR_FIELD_RADIUS, direction.y * STAR_FIELD_RADIUS, direction.z * STAR_FIELD_RADIUS);
+
+        const color = bvToColor(star.colorIndex);
+        const brightness = magnitudeToBrightness(star.magnitude);
+        bin.colors.push(color.r * brightness, color.g * brightness, color.b * brightness);
+    });
+
+    bins.forEach((bin, size) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(bin.positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(bin.colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: size,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9,
+            sizeAttenuation: false, // Size in pixels: stars are points at any distance
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        group.add(new THREE.Points(geometry, material));
+    });
+
+    group.add(createConstellations());
+
+    group.name = 'Starfield';
+    group.userData = {
+        type: 'starfield',
+        catalog: true,
+        starCount: stars.length
+    };
+
+    return group;
+}
+
+/**
+ * Create the constellation figures and names
+ * @returns {THREE.Group} Constellations group
+ */
+function createConstellations() {
+    const group = new THREE.Group();
+    group.name = 'Constellations';
+    group.visible = constellationsVisible;
+
+    const figures = getConstellationFigures();
+    const positions = [];
+    figures.forEach(figure => {
+        figure.segments.forEach(([from, to]) => {
+            positions.push(from.x * STAR_FIELD_RADIUS, from.y * STAR_FIELD_RADIUS, from.z * STAR_FIELD_RADIUS);
+            positions.push(to.x * STAR_FIELD_RADIUS, to.y * STAR_FIELD_RADIUS, to.z * STAR_FIELD_RADIUS);
+        });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: 0x4a6fa5,
+        transparent: true,
+        opacity: 0.5,
+        depthWrite: false
+    })));
+
+    figures.forEach(figure => {
+        const label = createConstellationLabel(figure.name);
+        if (label) {
+            label.position.set(figure.center.x, figure.center.y, figure.center.z).multiplyScalar(STAR_FIELD_RADIUS * 0.99);
+            group.add(label);
+        }
+    });
+
+    return group;
+}
+
+/**
+ * Create a constellation name sprite
+ * @param {string} text - Constellation name
+ * @returns {THREE.Sprite|null} Label sprite, or null without a 2D canvas
+ */
+function createConstellationLabel(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    context.font = '28px sans-serif';
+    context.fillStyle = 'rgba(140, 170, 220, 0.9)';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, 128, 32);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthWrite: false
+    }));
+    sprite.scale.set(CONSTELLATION_LABEL_HEIGHT * 4, CONSTELLATION_LABEL_HEIGHT, 1);
+    return sprite;
+}
+
+/**
+ * Create starfield mesh with thousands of random stars (stylized themes)
  * @param {Object} styleConfig - Visual style configuration
  * @returns {THREE.Points} Starfield points mesh
  */
 function createStarfield(styleConfig) {
+    // Seeded, so the stars land in the same places on every run
+    const random = createSeededRandom('starfield');
+
     // Create buffer geometry for stars
     const geometry = new THREE.BufferGeometry();
 
@@ -74,12 +221,12 @@ function createStarfield(styleConfig) {
     // Generate random stars distributed in a sphere
     for (let i = 0; i < STAR_COUNT; i++) {
         // Random position on sphere surface (with some depth variation)
-        const theta = Math.random() * Math.PI * 2; // Azimuth angle
-        const phi = Math.acos((Math.random() * 2) - 1); // Polar angle (uniform distribution)
+        const theta = random() * Math.PI * 2; // Azimuth angle
+        const phi = Math.acos((random() * 2) - 1); // Polar angle (uniform distribution)
 
         // Distance variation (stars at nearly uniform infinite distance)
         // Very small variation to keep them far away, emulating real stellar distances
-        const distance = STAR_FIELD_RADIUS * (0.98 + Math.random() * 0.02);
+        const distance = STAR_FIELD_RADIUS * (0.98 + random() * 0.02);
 
         // Convert spherical to Cartesian coordinates
         const x = distance * Math.sin(phi) * Math.cos(theta);
@@ -89,7 +236,7 @@ function createStarfield(styleConfig) {
         positions.push(x, y, z);
 
         // Star color variation (most stars white, some slightly blue or yellow)
-        const colorVariation = Math.random();
+        const colorVariation = random();
         let r, g, b;
 
         if (colorVariation < 0.7) {
@@ -97,21 +244,21 @@ function createStarfield(styleConfig) {
             r = g = b = 1.0;
         } else if (colorVariation < 0.85) {
             // 15% blue-white stars (hot)
-            r = 0.7 + Math.random() * 0.3;
-            g = 0.8 + Math.random() * 0.2;
+            r = 0.7 + random() * 0.3;
+            g = 0.8 + random() * 0.2;
             b = 1.0;
         } else {
             // 15% yellow-white stars (cooler)
             r = 1.0;
-            g = 0.8 + Math.random() * 0.2;
-            b = 0.6 + Math.random() * 0.3;
+            g = 0.8 + random() * 0.2;
+            b = 0.6 + random() * 0.3;
         }
 
         colors.push(r, g, b);
 
         // Star size variation (magnitude/brightness)
         // Realistic distribution: most stars small, few bright ones
-        const brightness = Math.pow(Math.random(), 4); // Quartic distribution - even more small stars
+        const brightness = Math.pow(random(), 4); // Quartic distribution - even more small stars
         const size = 0.5 + brightness * 2.0; // Size range 0.5-2.5 (smaller than before)
         sizes.push(size);
     }
@@ -128,7 +275,9 @@ function createStarfield(styleConfig) {
     const points = new THREE.Points(geometry, material);
     points.name = 'Starfield';
     points.userData = {
-        type: 'starfield'
+        type: 'starfield',
+        catalog: false,
+        starCount: STAR_COUNT
     };
 
     return points;
@@ -196,9 +345,15 @@ export function updateStarfield(deltaTime, simulationTime, camera = null) {
  * @param {Object} styleConfig - New style configuration
  */
 export function updateStarfieldStyle(styleConfig) {
+    // Switching between the real sky and the random field needs a new starfield
+    if (starfield && usesStarCatalog(styleConfig) !== starfield.userData.catalog) {
+        initStarfield(styleConfig);
+        return;
+    }
+
     currentStyle = styleConfig;
 
-    if (!starfield) return;
+    if (!starfield || starfield.userData.catalog) return;
 
     // Update material
     const newMaterial = createStarfieldMaterial(styleConfig);
@@ -238,8 +393,31 @@ export function toggleStarfield() {
 }
 
 /**
- * Get starfield mesh
- * @returns {THREE.Points|null}
+ * Show or hide the constellation figures and names (realistic style only)
+ * @param {boolean} visible - Whether constellations should be visible
+ */
+export function setConstellationsVisible(visible) {
+    constellationsVisible = visible;
+
+    const constellations = starfield ? starfield.getObjectByName('Constellations') : null;
+    if (constellations) {
+        constellations.visible = visible;
+    }
+
+    console.log(`✨ Constellations ${visible ? 'shown' : 'hidden'}`);
+}
+
+/**
+ * Get constellation visibility state
+ * @returns {boolean}
+ */
+export function areConstellationsVisible() {
+    return constellationsVisible;
+}
+
+/**
+ * Get starfield object
+ * @returns {THREE.Object3D|null}
  */
 export function getStarfield() {
     return starfield;
@@ -251,8 +429,13 @@ export function getStarfield() {
 export function disposeStarfield() {
     if (starfield) {
         removeFromScene(starfield);
-        starfield.geometry.dispose();
-        starfield.material.dispose();
+        starfield.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
         starfield = null;
         console.log('✅ Starfield disposed');
     }
@@ -274,6 +457,8 @@ export default {
     setStarfieldVisible,
     isStarfieldVisible,
     toggleStarfield,
+    setConstellationsVisible,
+    areConstellationsVisible,
     getStarfield,
     disposeStarfield,
     hasStarfield
@@ -0,0 +1,670 @@
+/**
+ * Timeline Module - zoomable time scrubber with event markers
+ * Draws a strip centered on the simulation time, from a couple of hours to two centuries
+ * across, with markers for the events found by src/utils/timelineEvents.js: planets at
+ * conjunction and opposition, eclipses, equinoxes and solstices, and - zoomed in to a few
+ * days - ISS passes over the observer location.
+ * Dragging moves the simulation through time; clicking a marker jumps to the event and
+ * frames the bodies involved.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { findSkyEvents, passesToEvents, TIMELINE_EVENT_TYPES } from '../utils/timelineEvents.js';
+import { issAPI } from '../utils/api.js';
+import { observer } from '../utils/observer.js';
+import { J2000_EPOCH_MS, DEG_TO_RAD } from '../utils/constants.js';
+import { playClickSound } from '../utils/sounds.js';
+import { camera, controls, animateCameraTo } from '../core/camera.js';
+import { getCelestialObject } from './solarSystem.js';
+import { unlockCamera } from './ui-events.js';
+import { syncTimeSpeedControls } from './ui-controls.js';
+import { isSkyViewActive } from './skyView.js';
+
+// Module state
+let canvas = null;
+let context = null;
+let spanLabel = null;
+let infoEl = null;
+let zoomInBtn = null;
+let zoomOutBtn = null;
+let legendEl = null;
+let viewSpan = 365.25 * 86400000; // ms of simulation time across the strip
+let yearEvents = new Map(); // UTC year -> events of that year
+let passCache = null; // {start, end, events} - ISS passes over the observer (simulation time)
+let lastPassSearchTime = 0; // Real time of the last pass prediction
+let drag = null; // {pointerId, startX, startTime, moved, wasPaused} while the pointer is down
+let hoveredEvent = null;
+let pendingFrame = null; // Bodies to frame once the scene has moved to a clicked event
+let lastDrawTime = 0; // Real time of the last redraw
+
+const DRAW_INTERVAL = 100; // ms (real time) between redraws
+const MIN_PASS_SEARCH_INTERVAL = 2000; // ms (real time) between pass predictions
+const MIN_SPAN = 2 * 3600000; // 2 hours
+const MAX_SPAN = 200 * 365.25 * 86400000; // 200 years
+const ZOOM_FACTOR = 1.5;
+const MAX_EVENT_YEARS = 12; // Sky events are searched when at most this many years are in view
+const ISS_PASS_SPAN = 3 * 86400000; // ISS passes are shown when at most this much time is in view
+const PASS_SEARCH_DAYS = 4;
+const MIN_DATE = Date.UTC(1900, 0, 1);
+const MAX_DATE = Date.UTC(2100, 0, 1);
+const DRAG_THRESHOLD = 3; // px before a press becomes a drag
+const HIT_RADIUS = 6; // px around a marker that counts as on it
+const AXIS_HEIGHT = 16; // px at the bottom for the tick labels
+const FRAME_MARGIN = 1.3; // Camera distance beyond the bodies' bounding sphere
+const MIN_FRAME_RADIUS = 1; // Scene units
+const HINT = 'Drag to move through time, scroll to zoom, click a marker to jump to the event';
+
+/**
+ * Marker colors and rows by event type
+ */
+const EVENT_STYLES = {
+    conjunction: { color: '#ffd54f', row: 0 },
+    opposition: { color: '#ff8a65', row: 0 },
+    'solar-eclipse': { color: '#f06292', row: 1 },
+    'lunar-eclipse': { color: '#b39ddb', row: 1 },
+    equinox: { color: '#81c784', row: 2 },
+    solstice: { color: '#4fc3f7', row: 2 },
+    'iss-pass': { color: '#4dd0e1', row: 3 }
+};
+const ROW_COUNT = 4;
+
+/**
+ * Tick spacings, finest first
+ */
+const TICK_STEPS = [
+    { unit: 'hour', count: 1 }, { unit: 'hour', count: 3 }, { unit: 'hour', count: 6 }, { unit: 'hour', count: 12 },
+    { unit: 'day', count: 1 }, { unit: 'day', count: 2 }, { unit: 'day', count: 5 }, { unit: 'day', count: 10 },
+    { unit: 'month', count: 1 }, { unit: 'month', count: 3 }, { unit: 'month', count: 6 },
+    { unit: 'year', count: 1 }, { unit: 'year', count: 2 }, { unit: 'year', count: 5 }, { unit: 'year', count: 10 },
+    { unit: 'year', count: 25 }, { unit: 'year', count: 50 }
+];
+const UNIT_MS = { hour: 3600000, day: 86400000, month: 30.44 * 86400000, year: 365.25 * 86400000 };
+const MAX_TICKS = 6;
+
+/**
+ * Initialize the timeline
+ */
+export function initTimeline() {
+    canvas = document.getElementById('timeline-canvas');
+    spanLabel = document.getElementById('timeline-span');
+    infoEl = document.getElementById('timeline-info');
+    zoomInBtn = document.getElementById('timeline-zoom-in');
+    zoomOutBtn = document.getElementById('timeline-zoom-out');
+    legendEl = document.getElementById('timeline-legend');
+    if (!canvas) {
+        console.warn('⚠️ Cannot setup timeline: canvas not found');
+        return;
+    }
+    context = canvas.getContext('2d');
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+    canvas.addEventListener('pointerleave', handlePointerLeave);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    zoomInBtn?.addEventListener('click', handleZoomIn);
+    zoomOutBtn?.addEventListener('click', handleZoomOut);
+    observer.onChange(clearPassCache);
+
+    renderLegend();
+    updateSpanLabel();
+    setInfo(HINT);
+    console.log('🗓️ Timeline initialized');
+}
+
+/**
+ * List the marker colors under the strip
+ */
+function renderLegend() {
+    if (!legendEl) return;
+
+    legendEl.replaceChildren();
+    Object.entries(TIMELINE_EVENT_TYPES).forEach(([type, name]) => {
+        const item = document.createElement('span');
+        const swatch = document.createElement('span');
+        item.className = 'timeline-legend-item';
+        swatch.className = 'timeline-legend-swatch';
+        swatch.style.background = EVENT_STYLES[type].color;
+        item.append(swatch, name);
+        legendEl.appendChild(item);
+    });
+}
+
+/**
+ * Forget the cached ISS passes (the observer moved)
+ */
+function clearPassCache() {
+    passCache = null;
+    lastDrawTime = 0;
+}
+
+/**
+ * Change how much time the strip shows
+ * @param {number} factor - Multiplies the span (below 1 zooms in)
+ */
+function zoom(factor) {
+    viewSpan = Math.max(MIN_SPAN, Math.min(MAX_SPAN, viewSpan * factor));
+    updateSpanLabel();
+    lastDrawTime = 0;
+}
+
+/**
+ * Zoom in one step
+ */
+function handleZoomIn() {
+    playClickSound();
+    zoom(1 / ZOOM_FACTOR);
+}
+
+/**
+ * Zoom out one step
+ */
+function handleZoomOut() {
+    playClickSound();
+    zoom(ZOOM_FACTOR);
+}
+
+/**
+ * Zoom with the mouse wheel
+ * @param {WheelEvent} event - Wheel event
+ */
+function handleWheel(event) {
+    event.preventDefault();
+    zoom(event.deltaY < 0 ? 1 / ZOOM_FACTOR : ZOOM_FACTOR);
+}
+
+/**
+ * Pointer position in canvas pixels (the canvas is scaled by CSS)
+ * @param {PointerEvent} event - Pointer event
+ * @returns {Object} {x, y}
+ */
+function getCanvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * canvas.width / (rect.width || canvas.width),
+        y: (event.clientY - rect.top) * canvas.height / (rect.height || canvas.height)
+    };
+}
+
+/**
+ * Start a drag or a click
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerDown(event) {
+    if (event.button !== 0) return;
+    canvas.setPointerCapture?.(event.pointerId);
+    drag = {
+        pointerId: event.pointerId,
+        startX: getCanvasPoint(event).x,
+        startTime: timeManager.getSimulationDate().getTime(),
+        moved: false,
+        wasPaused: timeManager.isPausedState()
+    };
+}
+
+/**
+ * Scrub through time while dragging, otherwise show the event under the pointer
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerMove(event) {
+    const point = getCanvasPoint(event);
+
+    if (drag && drag.pointerId === event.pointerId) {
+        const dx = point.x - drag.startX;
+        if (!drag.moved && Math.abs(dx) < DRAG_THRESHOLD) return;
+        if (!drag.moved) {
+            drag.moved = true;
+            timeManager.pause(); // Hold still while scrubbing
+        }
+
+        // Dragging the strip right brings earlier times under the playhead
+        const time = clampTime(drag.startTime - dx * viewSpan / canvas.width);
+        timeManager.setSimulationTime(time - J2000_EPOCH_MS);
+        lastDrawTime = 0;
+        return;
+    }
+
+    const hovered = findEventAt(point);
+    if (hovered !== hoveredEvent) {
+        hoveredEvent = hovered;
+        canvas.style.cursor = hovered ? 'pointer' : '';
+        setInfo(hovered ? describeEvent(hovered) : HINT);
+        lastDrawTime = 0;
+    }
+}
+
+/**
+ * Finish a drag, or jump to the clicked marker or time
+ * @param {PointerEvent} event - Pointer event
+ */
+function handlePointerUp(event) {
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    const { moved, wasPaused } = drag;
+    drag = null;
+    canvas.releasePointerCapture?.(event.pointerId);
+
+    if (moved) {
+        if (!wasPaused) timeManager.play();
+        console.log(`🗓️ Timeline moved to ${timeManager.getSimulationDate().toISOString()}`);
+        return;
+    }
+    if (event.type === 'pointercancel') return;
+
+    const point = getCanvasPoint(event);
+    const clicked = findEventAt(point);
+    if (clicked) {
+        jumpToEvent(clicked);
+    } else {
+        const now = timeManager.getSimulationDate().getTime();
+        playClickSound();
+        timeManager.setSimulationDate(new Date(clampTime(now + (point.x - canvas.width / 2) * viewSpan / canvas.width)));
+    }
+    lastDrawTime = 0;
+}
+
+/**
+ * Clear the hovered marker when the pointer leaves the strip
+ */
+function handlePointerLeave() {
+    if (drag || !hoveredEvent) return;
+    hoveredEvent = null;
+    canvas.style.cursor = '';
+    setInfo(HINT);
+    lastDrawTime = 0;
+}
+
+/**
+ * Keep a time inside the supported date range
+ * @param {number} time - Time (ms since 1970)
+ * @returns {number} Clamped time
+ */
+function clampTime(time) {
+    return Math.max(MIN_DATE, Math.min(MAX_DATE, time));
+}
+
+/**
+ * Jump to an event at real-time speed and frame its bodies on the next update
+ * (also used by the event search panel)
+ * @param {Object} event - Event {time (Date), label, detail, bodies}
+ */
+export function jumpToEvent(event) {
+    playClickSound();
+    timeManager.setSimulationDate(new Date(event.time.getTime()));
+    timeManager.setTimeSpeed(timeManager.getTimeDirection()); // 1x so the event does not rush past
+    syncTimeSpeedControls();
+    pendingFrame = event.bodies;
+    setInfo(describeEvent(event));
+    console.log(`🗓️ Jumped to ${event.label} (${event.time.toISOString()})`);
+}
+
+/**
+ * Point the camera at a group of bodies, keeping the current viewing direction
+ * @param {Array<string>} bodyKeys - Object names for getCelestialObject()
+ */
+function frameBodies(bodyKeys) {
+    if (!camera || !controls || isSkyViewActive()) return;
+
+    const spheres = bodyKeys.map(key => getCelestialObject(key)).filter(Boolean).map(object => {
+        const center = new THREE.Vector3();
+        object.getWorldPosition(center);
+        return { center, radius: getObjectRadius(object) };
+    });
+    if (spheres.length === 0) return;
+
+    const center = spheres.reduce((sum, sphere) => sum.add(sphere.center), new THREE.Vector3()).divideScalar(spheres.length);
+    const radius = Math.max(MIN_FRAME_RADIUS, ...spheres.map(sphere => sphere.center.distanceTo(center) + sphere.radius));
+
+    // Fit the sphere in the narrower of the two fields of view
+    const halfFov = camera.fov * DEG_TO_RAD / 2;
+    const halfAngle = Math.min(halfFov, Math.atan(Math.tan(halfFov) * camera.aspect));
+    const distance = radius / Math.sin(halfAngle) * FRAME_MARGIN;
+
+    const direction = camera.position.clone().sub(controls.target);
+    if (direction.lengthSq() === 0) direction.set(0, 0.5, 1);
+    direction.normalize();
+
+    unlockCamera();
+    animateCameraTo(center.clone().addScaledVector(direction, distance), center, 1500);
+}
+
+/**
+ * Radius of an object's geometry in world units (0 for groups)
+ * @param {THREE.Object3D} object - Scene object
+ * @returns {number} Radius
+ */
+function getObjectRadius(object) {
+    const geometry = object.geometry;
+    if (!geometry) return 0;
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+
+    const scale = new THREE.Vector3();
+    object.getWorldScale(scale);
+    return geometry.boundingSphere.radius * Math.max(scale.x, scale.y, scale.z);
+}
+
+/**
+ * Show text under the strip
+ * @param {string} text - Text
+ */
+function setInfo(text) {
+    if (infoEl && infoEl.textContent !== text) {
+        infoEl.textContent = text;
+    }
+}
+
+/**
+ * One-line description of an event
+ * @param {Object} event - Timeline event
+ * @returns {string} Description
+ */
+function describeEvent(event) {
+    const time = `${event.time.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    return `${event.label} · ${time}${event.detail ? ` · ${event.detail}` : ''}`;
+}
+
+/**
+ * Show the span of the strip, e.g. "3 days" or "12 years"
+ */
+function updateSpanLabel() {
+    if (!spanLabel) return;
+
+    const hours = viewSpan / 3600000;
+    const days = hours / 24;
+    const years = days / 365.25;
+    let text;
+    if (hours < 48) {
+        text = `${Math.round(hours)} hours`;
+    } else if (days < 60) {
+        text = `${Math.round(days)} days`;
+    } else if (years < 2) {
+        text = `${Math.round(days / 30.44)} months`;
+    } else {
+        text = `${Math.round(years)} years`;
+    }
+    spanLabel.textContent = text;
+}
+
+/**
+ * Events of a UTC year, searched the first time
+ * @param {number} year - UTC year
+ * @returns {Array<Object>} Events
+ */
+function getYearEvents(year) {
+    if (!yearEvents.has(year)) {
+        try {
+            yearEvents.set(year, findSkyEvents(new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year + 1, 0, 1))));
+        } catch (error) {
+            console.error(`❌ Could not search for ${year} timeline events:`, error);
+            yearEvents.set(year, []);
+        }
+    }
+    return yearEvents.get(year);
+}
+
+/**
+ * Sky events in view; searches at most one new year per call so zooming out stays smooth
+ * @param {number} start - Start of the view (ms)
+ * @param {number} end - End of the view (ms)
+ * @returns {Object} {events, isComplete}
+ */
+function getSkyEventsInView(start, end) {
+    const firstYear = new Date(Math.max(start, MIN_DATE)).getUTCFullYear();
+    const lastYear = new Date(Math.min(end, MAX_DATE - 1)).getUTCFullYear();
+    if (lastYear - firstYear + 1 > MAX_EVENT_YEARS) {
+        return { events: [], isComplete: false };
+    }
+
+    let searched = false;
+    let isComplete = true;
+    const events = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+        if (!yearEvents.has(year)) {
+            if (searched) {
+                isComplete = false;
+                continue;
+            }
+            searched = true;
+        }
+        events.push(...getYearEvents(year));
+    }
+    return { events, isComplete };
+}
+
+/**
+ * ISS passes over the observer in view, predicted again when the view leaves the cached range
+ * @param {number} start - Start of the view (ms)
+ * @param {number} end - End of the view (ms)
+ * @returns {Array<Object>} Events
+ */
+function getPassEventsInView(start, end) {
+    const location = observer.getLocation();
+    if (end - start > ISS_PASS_SPAN || !location || !issAPI.hasTLE()) return [];
+
+    const isOutdated = !passCache || start < passCache.start || end > passCache.end;
+    const now = Date.now();
+    if (isOutdated && now - lastPassSearchTime >= MIN_PASS_SEARCH_INTERVAL) {
+        lastPassSearchTime = now;
+        const searchStart = (start + end) / 2 - PASS_SEARCH_DAYS / 2 * 86400000;
+        try {
+            const passes = issAPI.predictPasses(location, new Date(searchStart), { days: PASS_SEARCH_DAYS, maxPasses: 100 });
+            passCache = { start: searchStart, end: searchStart + PASS_SEARCH_DAYS * 86400000, events: passesToEvents(passes) };
+        } catch (error) {
+            console.warn('⚠️ Could not predict ISS passes for the timeline:', error.message);
+            passCache = null;
+        }
+    }
+
+    return passCache?.events ?? [];
+}
+
+/**
+ * Marker position of an event
+ * @param {Object} event - Timeline event
+ * @param {number} start - Start of the view (ms)
+ * @returns {Object} {x, y} in canvas pixels
+ */
+function getMarkerPosition(event, start) {
+    const rowHeight = (canvas.height - AXIS_HEIGHT) / ROW_COUNT;
+    return {
+        x: (event.time.getTime() - start) / viewSpan * canvas.width,
+        y: (EVENT_STYLES[event.type].row + 0.5) * rowHeight
+    };
+}
+
+/**
+ * The event whose marker is under a point
+ * @param {Object} point - {x, y} in canvas pixels
+ * @returns {Object|null} Event or null
+ */
+function findEventAt(point) {
+    if (!canvas) return null;
+    const start = timeManager.getSimulationDate().getTime() - viewSpan / 2;
+    const events = getVisibleEvents(start, start + viewSpan).events;
+
+    let closest = null;
+    let closestDistance = HIT_RADIUS;
+    events.forEach(event => {
+        const marker = getMarkerPosition(event, start);
+        const distance = Math.hypot(marker.x - point.x, marker.y - point.y);
+        if (distance <= closestDistance) {
+            closest = event;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+/**
+ * All events in view
+ * @param {number} start - Start of the view (ms)
+ * @param {number} end - End of the view (ms)
+ * @returns {Object} {events, isComplete}
+ */
+function getVisibleEvents(start, end) {
+    const sky = getSkyEventsInView(start, end);
+    const events = sky.events.concat(getPassEventsInView(start, end))
+        .filter(event => event.time.getTime() >= start && event.time.getTime() <= end);
+    return { events, isComplete: sky.isComplete };
+}
+
+/**
+ * Tick times and labels for a view
+ * @param {number} start - Start of the view (ms)
+ * @param {number} end - End of the view (ms)
+ * @returns {Array<Object>} Ticks {time, label}
+ */
+function getTicks(start, end) {
+    const step = TICK_STEPS.find(({ unit, count }) => UNIT_MS[unit] * count >= (end - start) / MAX_TICKS) ?? TICK_STEPS[TICK_STEPS.length - 1];
+    const { unit, count } = step;
+
+    // First tick at or before the start, on a round value of the unit
+    const date = new Date(start);
+    if (unit === 'hour') {
+        date.setUTCHours(Math.floor(date.getUTCHours() / count) * count, 0, 0, 0);
+    } else if (unit === 'day') {
+        date.setUTCHours(0, 0, 0, 0);
+    } else if (unit === 'month') {
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCMonth(Math.floor(date.getUTCMonth() / count) * count, 1);
+    } else {
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCFullYear(Math.floor(date.getUTCFullYear() / count) * count, 0, 1);
+    }
+
+    const ticks = [];
+    while (date.getTime() <= end) {
+        if (date.getTime() >= start) {
+            ticks.push({ time: date.getTime(), label: formatTick(date, unit) });
+        }
+        if (unit === 'hour') date.setUTCHours(date.getUTCHours() + count);
+        else if (unit === 'day') date.setUTCDate(date.getUTCDate() + count);
+        else if (unit === 'month') date.setUTCMonth(date.getUTCMonth() + count);
+        else date.setUTCFullYear(date.getUTCFullYear() + count);
+    }
+    return ticks;
+}
+
+/**
+ * Format a tick label
+ * @param {Date} date - Tick time
+ * @param {string} unit - Tick unit (hour, day, month or year)
+ * @returns {string} Label (hourly ticks show the date at midnight)
+ */
+function formatTick(date, unit) {
+    if (unit === 'hour' && date.getUTCHours() !== 0) return `${date.toISOString().slice(11, 13)}:00`;
+    if (unit === 'hour' || unit === 'day') return date.toLocaleString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    if (unit === 'month') return date.toLocaleString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    return String(date.getUTCFullYear());
+}
+
+/**
+ * Update the timeline (call every frame, after the solar system; redraws at most every DRAW_INTERVAL ms)
+ * Frames the bodies of a clicked event once the scene shows its time.
+ */
+export function updateTimeline() {
+    if (!context) return;
+
+    if (pendingFrame) {
+        frameBodies(pendingFrame);
+        pendingFrame = null;
+    }
+
+    const now = Date.now();
+    if (now - lastDrawTime < DRAW_INTERVAL) return;
+    lastDrawTime = now;
+
+    draw();
+}
+
+/**
+ * Draw the ticks, the event markers and the playhead
+ */
+function draw() {
+    const { width, height } = canvas;
+    const trackHeight = height - AXIS_HEIGHT;
+    const start = timeManager.getSimulationDate().getTime() - viewSpan / 2;
+    const end = start + viewSpan;
+    const toX = time => (time - start) / viewSpan * width;
+
+    context.clearRect(0, 0, width, height);
+
+    // Outside the supported dates
+    context.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    if (start < MIN_DATE) context.fillRect(0, 0, toX(MIN_DATE), trackHeight);
+    if (end > MAX_DATE) context.fillRect(toX(MAX_DATE), 0, width - toX(MAX_DATE), trackHeight);
+
+    // Ticks
+    context.font = '10px sans-serif';
+    context.textAlign = 'center';
+    getTicks(start, end).forEach(tick => {
+        const x = toX(tick.time);
+        context.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        context.fillRect(Math.round(x), 0, 1, trackHeight);
+        context.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        context.fillText(tick.label, x, height - 4);
+    });
+
+    // Event markers
+    const { events, isComplete } = getVisibleEvents(start, end);
+    events.forEach(event => {
+        const { x, y } = getMarkerPosition(event, start);
+        const isHovered = event === hoveredEvent;
+        context.fillStyle = EVENT_STYLES[event.type].color;
+        context.beginPath();
+        context.arc(x, y, isHovered ? 5 : 3.5, 0, Math.PI * 2);
+        context.fill();
+        if (isHovered) {
+            context.strokeStyle = '#ffffff';
+            context.lineWidth = 1.5;
+            context.stroke();
+        }
+    });
+    if (!isComplete) {
+        lastDrawTime = 0; // Search the next year on the next frame
+    }
+
+    // Playhead at the simulation time
+    context.fillStyle = '#ff6b6b';
+    context.fillRect(width / 2 - 1, 0, 2, trackHeight);
+
+    if (!hoveredEvent && !drag) {
+        const years = viewSpan / UNIT_MS.year;
+        setInfo(years > MAX_EVENT_YEARS ? `Zoom in to ${MAX_EVENT_YEARS} years or less to see events` : HINT);
+    }
+}
+
+/**
+ * Dispose the timeline
+ */
+export function disposeTimeline() {
+    canvas?.removeEventListener('pointerdown', handlePointerDown);
+    canvas?.removeEventListener('pointermove', handlePointerMove);
+    canvas?.removeEventListener('pointerup', handlePointerUp);
+    canvas?.removeEventListener('pointercancel', handlePointerUp);
+    canvas?.removeEventListener('pointerleave', handlePointerLeave);
+    canvas?.removeEventListener('wheel', handleWheel);
+    zoomInBtn?.removeEventListener('click', handleZoomIn);
+    zoomOutBtn?.removeEventListener('click', handleZoomOut);
+    observer.offChange(clearPassCache);
+
+    canvas = null;
+    context = null;
+    spanLabel = null;
+    infoEl = null;
+    zoomInBtn = null;
+    zoomOutBtn = null;
+    legendEl = null;
+    yearEvents = new Map();
+    passCache = null;
+    drag = null;
+    hoveredEvent = null;
+    pendingFrame = null;
+}
+
+export default {
+    initTimeline,
+    updateTimeline,
+    jumpToEvent,
+    disposeTimeline
+};
@@ -0,0 +1,490 @@
+/**
+ * Tour Player Module - plays guided tours
+ * Runs the steps of a tour script (see src/utils/tours.js) one after another: camera flights,
+ * time jumps, speed changes, style switches and narration captions, with pause, skip and end
+ * buttons on the caption. Tours are picked from the control panel, which also loads scripts
+ * from JSON files.
+ *
+ * The simulation clock holds still while the camera flies, so a body is still where the camera
+ * was aimed when it arrives, and while the tour is paused. The time speed and play state from
+ * before the tour are put back when it ends.
+ */
+
+import { timeManager } from '../utils/time.js';
+import { TOURS, parseTour, getTourDuration } from '../utils/tours.js';
+import { SCALE, RENDER } from '../utils/constants.js';
+import { camera, controls, animateCameraTo } from '../core/camera.js';
+import { switchStyle } from './styles.js';
+import { getCelestialObject } from './solarSystem.js';
+import { unlockCamera, setLockedObjectState } from './ui-events.js';
+import { syncTimeSpeedControls } from './ui-controls.js';
+import { isSkyViewActive, setSkyViewActive } from './skyView.js';
+import { showNotification } from './ui-panels.js';
+import { playClickSound } from '../utils/sounds.js';
+
+// Module state
+let tourSelect = null;
+let startButton = null;
+let loadButton = null;
+let fileInput = null;
+let infoEl = null;
+let captionEl = null;
+let captionTitle = null;
+let captionText = null;
+let progressEl = null;
+let pauseButton = null;
+let skipButton = null;
+let stopButton = null;
+let tours = [...TOURS]; // Bundled tours, then any loaded from files
+
+let activeTour = null;
+let stepIndex = -1;
+let stepToken = 0; // Bumped on every step, so callbacks from skipped steps are ignored
+let holdTimer = null;
+let holdEndsAt = 0;
+let holdRemaining = 0;
+let holdPending = false; // Waiting out the step's duration
+let actionPending = false; // Waiting for a camera flight or style switch
+let tourPaused = false;
+let flying = false;
+let clockHeld = false; // The tour paused the simulation clock
+let savedClock = null; // {speed, paused} from before the tour
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} ms - Duration in ms
+ * @returns {string} e.g. "2 min 5 s"
+ */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes} min ${seconds % 60} s` : `${seconds} s`;
+}
+
+/**
+ * Initialize the tour picker and caption controls
+ */
+export function initTourPlayer() {
+    tourSelect = document.getElementById('tour-select');
+    startButton = document.getElementById('tour-start');
+    loadButton = document.getElementById('tour-load');
+    fileInput = document.getElementById('tour-file');
+    infoEl = document.getElementById('tour-info');
+    captionEl = document.getElementById('tour-caption');
+    captionTitle = document.getElementById('tour-caption-title');
+    captionText = document.getElementById('tour-caption-text');
+    progressEl = document.getElementById('tour-caption-progress');
+    pauseButton = document.getElementById('tour-pause');
+    skipButton = document.getElementById('tour-skip');
+    stopButton = document.getElementById('tour-stop');
+    if (!tourSelect || !startButton || !captionEl) {
+        console.warn('⚠️ Cannot setup tour player: elements not found');
+        return;
+    }
+
+    renderTourOptions(0);
+
+    tourSelect.addEventListener('change', updateTourInfo);
+    startButton.addEventListener('click', handleStartClick);
+    loadButton?.addEventListener('click', handleLoadClick);
+    fileInput?.addEventListener('change', handleFileChange);
+    pauseButton?.addEventListener('click', togglePauseTour);
+    skipButton?.addEventListener('click', skipTourStep);
+    stopButton?.addEventListener('click', stopTour);
+
+    console.log(`🎬 Tour player initialized (${tours.length} tours)`);
+}
+
+/**
+ * List the tours in the picker
+ * @param {number} selectedIndex - Tour to select
+ */
+function renderTourOptions(selectedIndex) {
+    tourSelect.replaceChildren();
+    tours.forEach((tour, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = tour.title;
+        tourSelect.appendChild(option);
+    });
+    tourSelect.value = selectedIndex;
+    updateTourInfo();
+}
+
+/**
+ * Describe the selected tour
+ */
+function updateTourInfo() {
+    const tour = tours[Number(tourSelect?.value)];
+    if (!infoEl || !tour) return;
+
+    const description = tour.description ? `${tour.description} · ` : '';
+    infoEl.textContent = `${description}${tour.steps.length} steps, about ${formatDuration(getTourDuration(tour))}`;
+}
+
+/**
+ * Play the selected tour
+ */
+function handleStartClick() {
+    playClickSound();
+    playTour(tours[Number(tourSelect.value)]);
+}
+
+/**
+ * Open the file picker for a tour script
+ */
+function handleLoadClick() {
+    playClickSound();
+    fileInput?.click();
+}
+
+/**
+ * Load a tour script from the chosen file and select it
+ * @param {Event} event - Change event
+ */
+async function handleFileChange(event) {
+    const [file] = event.target.files;
+    event.target.value = ''; // Let the same file be picked again
+    if (!file) return;
+
+    try {
+        const tour = parseTour(await file.text());
+        tours.push(tour);
+        renderTourOptions(tours.length - 1);
+        console.log(`🎬 Tour loaded from ${file.name}: ${tour.title}`);
+    } catch (error) {
+        console.error(`❌ Could not load tour from ${file.name}:`, error);
+        showNotification('🎬 Tour not loaded', `${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Play a tour from its first step, ending any tour already playing
+ * @param {string|Object} tour - Tour script as JSON text or an object (checked with parseTour)
+ * @throws {ValidationError} If the script is not a valid tour
+ */
+export function playTour(tour) {
+    const script = parseTour(tour);
+    if (activeTour) {
+        finishTour(false);
+    }
+
+    // Tours fly the camera through space, not across the sky dome
+    if (isSkyViewActive()) {
+        setSkyViewActive(false);
+        const toggleSkyView = document.getElementById('toggle-sky-view');
+        if (toggleSkyView) toggleSkyView.checked = false;
+    }
+
+    activeTour = script;
+    tourPaused = false;
+    savedClock = { speed: timeManager.getTimeSpeed(), paused: timeManager.isPausedState() };
+    if (savedClock.paused) {
+        timeManager.play();
+    }
+    if (captionTitle) captionTitle.textContent = script.title;
+    if (captionText) captionText.textContent = script.description;
+    if (captionEl) captionEl.hidden = false;
+    updatePauseButton();
+
+    console.log(`🎬 Tour started: ${script.title} (${script.steps.length} steps)`);
+    runStep(0);
+}
+
+/**
+ * Start a step, or end the tour after the last one
+ * @param {number} index - Step index
+ */
+function runStep(index) {
+    clearTimeout(holdTimer);
+    stepToken++;
+    const token = stepToken;
+    flying = false;
+    updateClockHold();
+
+    if (index >= activeTour.steps.length) {
+        finishTour(true);
+        return;
+    }
+
+    stepIndex = index;
+    const step = activeTour.steps[index];
+    if (progressEl) progressEl.textContent = `Step ${index + 1} of ${activeTour.steps.length}`;
+
+    holdRemaining = step.duration || 0;
+    holdPending = true;
+    actionPending = true;
+    startHold();
+
+    Promise.resolve()
+        .then(() => performStep(step, token))
+        .catch(error => console.error(`❌ Tour step ${index + 1} (${step.action}) failed:`, error))
+        .then(() => {
+            if (token !== stepToken) return;
+            actionPending = false;
+            flying = false;
+            updateClockHold();
+            advanceIfDone();
+        });
+}
+
+/**
+ * Carry out a step
+ * @param {Object} step - Normalized step
+ * @param {number} token - Step token
+ * @returns {Promise|undefined} Resolves when a flight or style switch is done
+ */
+function performStep(step, token) {
+    switch (step.action) {
+        case 'caption':
+            if (captionTitle) captionTitle.textContent = step.title || activeTour.title;
+            if (captionText) captionText.textContent = step.text;
+            return undefined;
+
+        case 'camera':
+            return flyCamera(step, token);
+
+        case 'time':
+            if (step.date === 'now') {
+                timeManager.resetToCurrentTime();
+            } else {
+                timeManager.setSimulationDate(new Date(step.date));
+            }
+            syncTimeSpeedControls();
+            return undefined;
+
+        case 'speed':
+            timeManager.setTimeSpeed(step.speed);
+            syncTimeSpeedControls();
+            return undefined;
+
+        case 'style':
+            return switchStyle(step.style);
+
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Get the radius of a body's bounding sphere
+ * @param {THREE.Object3D} object - Body
+ * @returns {number} Radius in scene units
+ */
+function getBodyRadius(object) {
+    const sphere = new THREE.Box3().setFromObject(object).getBoundingSphere(new THREE.Sphere());
+    return sphere.radius > 0 ? sphere.radius : 1;
+}
+
+/**
+ * Fly the camera to a body or a point
+ * @param {Object} step - Camera step
+ * @param {number} token - Step token
+ * @returns {Promise} Resolves when the camera arrives
+ */
+function flyCamera(step, token) {
+    return new Promise(resolve => {
+        if (!camera || !controls) {
+            resolve();
+            return;
+        }
+
+        let destination;
+        let lookAt;
+        let near = RENDER.NEAR;
+        if (step.position) {
+            destination = new THREE.Vector3(...step.position).multiplyScalar(SCALE.AU_TO_SCENE);
+            lookAt = new THREE.Vector3(...step.lookAt).multiplyScalar(SCALE.AU_TO_SCENE);
+        } else {
+            const object = getCelestialObject(step.target);
+            if (!object) {
+                console.warn(`⚠️ Tour: ${step.target} not found`);
+                resolve();
+                return;
+            }
+            const distance = getBodyRadius(object) * step.distance;
+            lookAt = object.getWorldPosition(new THREE.Vector3());
+            destination = new THREE.Vector3(...step.direction).multiplyScalar(distance).add(lookAt);
+            // Small bodies (the ISS in real proportions) need a closer near plane
+            near = Math.min(RENDER.NEAR, distance / 10);
+        }
+
+        unlockCamera();
+        camera.near = near;
+        camera.updateProjectionMatrix();
+        flying = true;
+        updateClockHold();
+
+        animateCameraTo(destination, lookAt, step.duration, () => {
+            if (token === stepToken && step.follow) {
+                setLockedObjectState({ key: step.target });
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Start (or resume) waiting out the current step's duration
+ */
+function startHold() {
+    if (!holdPending || tourPaused) return;
+
+    holdEndsAt = Date.now() + holdRemaining;
+    holdTimer = setTimeout(() => {
+        holdPending = false;
+        advanceIfDone();
+    }, holdRemaining);
+}
+
+/**
+ * Go on to the next step once the current one has finished and run its time
+ */
+function advanceIfDone() {
+    if (activeTour && !tourPaused && !holdPending && !actionPending) {
+        runStep(stepIndex + 1);
+    }
+}
+
+/**
+ * Pause the simulation clock while the tour is paused or the camera is flying, and restart it after
+ */
+function updateClockHold() {
+    const hold = !!activeTour && (tourPaused || flying);
+    if (hold && !clockHeld && !timeManager.isPausedState()) {
+        timeManager.pause();
+        clockHeld = true;
+    } else if (!hold && clockHeld) {
+        timeManager.play();
+        clockHeld = false;
+    } else {
+        return;
+    }
+    syncTimeSpeedControls();
+}
+
+/**
+ * Show the pause button's current action
+ */
+function updatePauseButton() {
+    if (pauseButton) {
+        pauseButton.textContent = tourPaused ? '▶️ Resume' : '⏸ Pause';
+    }
+}
+
+/**
+ * Pause or resume the playing tour
+ */
+export function togglePauseTour() {
+    if (!activeTour) return;
+
+    playClickSound();
+    tourPaused = !tourPaused;
+    if (tourPaused && holdPending) {
+        clearTimeout(holdTimer);
+        holdRemaining = Math.max(0, holdEndsAt - Date.now());
+    } else if (!tourPaused) {
+        startHold();
+    }
+    updateClockHold();
+    updatePauseButton();
+    advanceIfDone();
+
+    console.log(`🎬 Tour ${tourPaused ? 'paused' : 'resumed'}`);
+}
+
+/**
+ * Skip to the next step of the playing tour
+ */
+export function skipTourStep() {
+    if (!activeTour) return;
+
+    playClickSound();
+    runStep(stepIndex + 1);
+}
+
+/**
+ * End the playing tour
+ */
+export function stopTour() {
+    if (!activeTour) return;
+
+    playClickSound();
+    finishTour(false);
+}
+
+/**
+ * Tidy up after a tour and put the clock back as it was
+ * @param {boolean} completed - Whether the last step was reached
+ */
+function finishTour(completed) {
+    clearTimeout(holdTimer);
+    stepToken++;
+    flying = false;
+    tourPaused = false;
+    if (clockHeld) {
+        timeManager.play();
+        clockHeld = false;
+    }
+    if (savedClock) {
+        timeManager.setTimeSpeed(savedClock.speed);
+        if (savedClock.paused) timeManager.pause();
+        syncTimeSpeedControls();
+    }
+
+    console.log(`🎬 Tour ${completed ? 'finished' : 'ended'}: ${activeTour.title}`);
+    activeTour = null;
+    stepIndex = -1;
+    holdPending = false;
+    actionPending = false;
+    savedClock = null;
+    if (captionEl) captionEl.hidden = true;
+}
+
+/**
+ * Check whether a tour is playing
+ * @returns {boolean} True while a tour is playing (or paused)
+ */
+export function isTourPlaying() {
+    return activeTour !== null;
+}
+
+/**
+ * Dispose the tour player
+ */
+export function disposeTourPlayer() {
+    if (activeTour) {
+        finishTour(false);
+    }
+    tourSelect?.removeEventListener('change', updateTourInfo);
+    startButton?.removeEventListener('click', handleStartClick);
+    loadButton?.removeEventListener('click', handleLoadClick);
+    fileInput?.removeEventListener('change', handleFileChange);
+    pauseButton?.removeEventListener('click', togglePauseTour);
+    skipButton?.removeEventListener('click', skipTourStep);
+    stopButton?.removeEventListener('click', stopTour);
+
+    tourSelect = null;
+    startButton = null;
+    loadButton = null;
+    fileInput = null;
+    infoEl = null;
+    captionEl = null;
+    captionTitle = null;
+    captionText = null;
+    progressEl = null;
+    pauseButton = null;
+    skipButton = null;
+    stopButton = null;
+    tours = [...TOURS];
+}
+
+export default {
+    initTourPlayer,
+    playTour,
+    togglePauseTour,
+    skipTourStep,
+    stopTour,
+    isTourPlaying,
+    disposeTourPlayer
+};
@@ -7,15 +7,31 @@
 import { timeManager } from '../utils/time.js';
 import { setOrbitsVisible } from './orbits.js';
 import { setLabelsVisible } from './labels.js';
-import { setISSTrailVisible } from './iss.js';
-import { setStarfieldVisible } from './starfield.js';
+import { setISSTrailVisible, setISSPositionSource, getISSPositionSource, setISSPredictionOrbits, getISSPredictionOrbits, setISSFootprintVisible, setISSFootprintElevation, getISSFootprintElevation, setISSStationHighlighting } from './iss.js';
+import { setStarfieldVisible, setConstellationsVisible } from './starfield.js';
 import { setCoronaEnabled } from './sunCorona.js';
 import { setSunLensFlareEnabled } from './sun.js';
+import { setDayNightEnabled } from './dayNight.js';
+import { setMapViewVisible } from './mapView.js';
+import { setContactsPanelVisible } from './contactsPanel.js';
+import { setAltitudeChartVisible } from './altitudeChart.js';
+import { setMoonEventsPanelVisible } from './moonEventsPanel.js';
+import { setEventSearchPanelVisible } from './eventSearchPanel.js';
+import { setSkyViewActive } from './skyView.js';
+import { unlockCamera } from './ui-events.js';
+import { setGroundStationsVisible } from './groundStationMarkers.js';
 import { setPerformanceLevel, getPerformanceSettings } from './performanceSlider.js';
 import { setMeteorFrequency, getMeteorFrequencyLabel } from './shootingStars.js';
 import { updatePlanetSizeMode } from './planets.js';
 import { playClickSound, playToggleSound } from '../utils/sounds.js';
 import { validateUserInput, validateRange } from '../utils/validation.js';
+import { observer } from '../utils/observer.js';
+import { telemetryRecorder } from '../utils/telemetry.js';
+import { issAPI } from '../utils/api.js';
+import { satelliteCatalog } from '../utils/satelliteCatalog.js';
+import { groundStations } from '../utils/groundStations.js';
+import { notificationEngine } from '../utils/notifications.js';
+import { updatePassPredictions, setISSAttitudeVisible, showNotification } from './ui-panels.js';
 
 /**
  * References to app state (set during initialization)
@@ -57,6 +73,12 @@ export function initControls(options) {
     setupPerformanceControls();
     setupMeteorFrequencyControl();
     setupDisplayToggles();
+    setupISSControls();
+    setupObserverControls();
+    setupTelemetryControls();
+    setupSatelliteControls();
+    setupGroundStationControls();
+    setupAlertControls();
     setupSizeModeButtons(options.getLockedObjectState, options.setLockedObjectState);
 
     console.log('✅ UI Controls initialized');
@@ -80,7 +102,7 @@ function setupTimeControls() {
         });
     }
 
-    // Time speed slider
+    // Time speed slider (sets how fast; the rewind button sets which way)
     const timeSpeedSlider = document.getElementById('time-speed');
     const speedValue = document.getElementById('speed-value');
     if (timeSpeedSlider && speedValue) {
@@ -92,90 +114,61 @@ function setupTimeControls() {
             try {
                 // Validate user input (1x to 500000x)
                 const speed = validateUserInput(e.target.value, 1, 500000, 'time speed');
-                timeManager.setTimeSpeed(speed);
-                speedValue.textContent = `${speed}x`;
-
-                // Update Real-Time View button state
-                if (updateRealTimeViewButtonCallback) {
-                    updateRealTimeViewButtonCallback();
-                }
+                timeManager.setTimeSpeed(speed * timeManager.getTimeDirection());
             } catch (error) {
                 console.error('Invalid time speed input:', error.message);
                 // Reset to safe default
-                timeManager.setTimeSpeed(100000);
-                speedValue.textContent = '100000x';
+                timeManager.setTimeSpeed(100000 * timeManager.getTimeDirection());
             }
+            syncTimeSpeedControls();
         });
     }
 
-    // Preset speed buttons
+    // Preset speed buttons (keep the current direction)
     const presetButtons = document.querySelectorAll('.preset-speeds button');
     presetButtons.forEach(button => {
         button.addEventListener('click', () => {
             const speed = parseInt(button.dataset.speed);
-            timeManager.setTimeSpeed(speed);
-            if (timeSpeedSlider) timeSpeedSlider.value = speed;
-            if (speedValue) speedValue.textContent = `${speed}x`;
-
-            // Update Real-Time View button state
-            if (updateRealTimeViewButtonCallback) {
-                updateRealTimeViewButtonCallback();
-            }
+            timeManager.setTimeSpeed(speed * timeManager.getTimeDirection());
+            syncTimeSpeedControls();
         });
     });
 
-    // Time Travel slider
-    const timeTravelSlider = document.getElementById('time-travel-slider');
-    const timeTravelYear = document.getElementById('time-travel-year');
-    const jumpToDateBtn = document.getElementById('jump-to-date-btn');
-
-    if (timeTravelSlider && timeTravelYear) {
-        // Update year display as slider moves
-        timeTravelSlider.addEventListener('input', (e) => {
-            const decimalYear = parseFloat(e.target.value);
-            const year = Math.floor(decimalYear);
-            const monthFraction = (decimalYear - year) * 12;
-            const month = Math.floor(monthFraction) + 1;
-
-            // Format display with month if not January
-            if (month > 1) {
-                const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                timeTravelYear.textContent = `${monthNames[month - 1]} ${year}`;
-            } else {
-                timeTravelYear.textContent = `${year}`;
-            }
+    // Rewind button - run time backwards (or forwards again) at the same speed
+    const rewindBtn = document.getElementById('rewind');
+    if (rewindBtn) {
+        rewindBtn.addEventListener('click', () => {
+            const reversed = timeManager.reverse();
+            syncTimeSpeedControls();
+            playClickSound();
+            console.log(reversed ? '⏪ Time now runs backwards' : '⏩ Time now runs forwards');
         });
+    }
+}
 
-        // Jump to selected date when button is clicked
-        if (jumpToDateBtn) {
-            jumpToDateBtn.addEventListener('click', () => {
-                const decimalYear = parseFloat(timeTravelSlider.value);
-                const targetDate = timeManager.getDateFromDecimalYear(decimalYear);
-
-                // Set the simulation date
-                timeManager.setSimulationDate(targetDate);
-
-                // Set time speed to 1x for better viewing
-                timeManager.setTimeSpeed(1);
-
-                // Update UI elements
-                const speedSlider = document.getElementById('time-speed');
-                const speedValue = document.getElementById('speed-value');
-                if (speedSlider) speedSlider.value = 1;
-                if (speedValue) speedValue.textContent = '1x';
-
-                // Update Real-Time View button state
-                if (updateRealTimeViewButtonCallback) {
-                    updateRealTimeViewButtonCallback();
-                }
+/**
+ * Show the current time speed on the speed slider, its label, the rewind button and the play/pause button
+ * Call after changing the speed or pausing from anywhere else (keyboard, URL state, replay, tours)
+ */
+export function syncTimeSpeedControls() {
+    const speed = timeManager.getTimeSpeed();
+    const reversed = timeManager.isReversed();
 
-                // Play click sound
-                playClickSound();
+    const timeSpeedSlider = document.getElementById('time-speed');
+    const speedValue = document.getElementById('speed-value');
+    const rewindBtn = document.getElementById('rewind');
+    const playPauseBtn = document.getElementById('play-pause');
+    if (timeSpeedSlider) timeSpeedSlider.value = Math.abs(speed);
+    if (speedValue) speedValue.textContent = `${Math.round(speed)}x`;
+    if (rewindBtn) {
+        rewindBtn.classList.toggle('active', reversed);
+        rewindBtn.setAttribute('aria-pressed', String(reversed));
+    }
+    if (playPauseBtn) playPauseBtn.textContent = timeManager.isPausedState() ? '▶️ Play' : '⏸ Pause';
 
-                console.log(`🕰️ Time travel to: ${targetDate.toISOString()}`);
-            });
-        }
+    // Update Real-Time View button state
+    if (updateRealTimeViewButtonCallback) {
+        updateRealTimeViewButtonCallback();
     }
 }
 
@@ -259,6 +252,69 @@ function setupDisplayToggles() {
         });
     }
 
+    // 2D map toggle (the panel's close button unticks it)
+    const toggleMap = document.getElementById('toggle-map');
+    if (toggleMap) {
+        setMapViewVisible(toggleMap.checked);
+        toggleMap.addEventListener('change', (e) => {
+            setMapViewVisible(e.target.checked);
+            playToggleSound();
+        });
+
+        document.getElementById('map-close')?.addEventListener('click', () => {
+            toggleMap.checked = false;
+            setMapViewVisible(false);
+            playToggleSound();
+        });
+    }
+
+    // Jupiter/Saturn moon events toggle (the panel's close button unticks it)
+    const toggleMoonEvents = document.getElementById('toggle-moon-events');
+    if (toggleMoonEvents) {
+        setMoonEventsPanelVisible(toggleMoonEvents.checked);
+        toggleMoonEvents.addEventListener('change', (e) => {
+            setMoonEventsPanelVisible(e.target.checked);
+            playToggleSound();
+        });
+
+        document.getElementById('moon-events-close')?.addEventListener('click', () => {
+            toggleMoonEvents.checked = false;
+            setMoonEventsPanelVisible(false);
+            playToggleSound();
+        });
+    }
+
+    // Event search toggle (the panel's close button unticks it)
+    const toggleEventSearch = document.getElementById('toggle-event-search');
+    if (toggleEventSearch) {
+        setEventSearchPanelVisible(toggleEventSearch.checked);
+        toggleEventSearch.addEventListener('change', (e) => {
+            setEventSearchPanelVisible(e.target.checked);
+            playToggleSound();
+        });
+
+        document.getElementById('event-search-close')?.addEventListener('click', () => {
+            toggleEventSearch.checked = false;
+            setEventSearchPanelVisible(false);
+            playToggleSound();
+        });
+    }
+
+    // Sky view toggle (needs an observer location to stand on)
+    const toggleSkyView = document.getElementById('toggle-sky-view');
+    if (toggleSkyView) {
+        toggleSkyView.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                unlockCamera();
+            }
+            if (!setSkyViewActive(e.target.checked)) {
+                e.target.checked = false;
+                showNotification('🌌 Sky View', 'Set your location under ISS Passes to see the sky from there.');
+            }
+            playToggleSound();
+        });
+    }
+
     // Trails toggle (ISS trail)
     const toggleTrails = document.getElementById('toggle-trails');
     if (toggleTrails) {
@@ -289,6 +345,15 @@ function setupDisplayToggles() {
         });
     }
 
+    // Constellations toggle (figures and names over the catalog stars of the realistic style)
+    const toggleConstellations = document.getElementById('toggle-constellations');
+    if (toggleConstellations) {
+        toggleConstellations.addEventListener('change', (e) => {
+            setConstellationsVisible(e.target.checked);
+            playToggleSound();
+        });
+    }
+
     // Sun Corona toggle
     const toggleCorona = document.getElementById('toggle-corona');
     if (toggleCorona) {
@@ -311,6 +376,16 @@ function setupDisplayToggles() {
         });
     }
 
+    // Day/night terminator toggle
+    const toggleDayNight = document.getElementById('toggle-day-night');
+    if (toggleDayNight) {
+        toggleDayNight.addEventListener('change', (e) => {
+            setDayNightEnabled(e.target.checked);
+            playToggleSound();
+            console.log(`🌓 Day/night shading ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    }
+
     // Lens Flare toggle
     const toggleLensFlare = document.getElementById('toggle-lens-flare');
     if (toggleLensFlare) {
@@ -421,6 +496,472 @@ function setupSizeModeButtons(getLockedObjectState, setLockedObjectState) {
     });
 }
 
+/**
+ * Setup ISS tracking controls (position source, orbit prediction, attitude display and coverage footprint)
+ */
+function setupISSControls() {
+    const sourceSelect = document.getElementById('iss-source-select');
+    if (sourceSelect) {
+        sourceSelect.value = getISSPositionSource();
+        sourceSelect.addEventListener('change', (e) => {
+            setISSPositionSource(e.target.value);
+            playClickSound();
+        });
+    }
+
+    const predictionSelect = document.getElementById('iss-prediction-select');
+    if (predictionSelect) {
+        predictionSelect.value = String(getISSPredictionOrbits());
+        predictionSelect.addEventListener('change', (e) => {
+            setISSPredictionOrbits(Number(e.target.value));
+            playClickSound();
+        });
+    }
+
+    const attitudeToggle = document.getElementById('iss-show-attitude');
+    if (attitudeToggle) {
+        setISSAttitudeVisible(attitudeToggle.checked);
+        attitudeToggle.addEventListener('change', (e) => {
+            setISSAttitudeVisible(e.target.checked);
+            playToggleSound();
+        });
+    }
+
+    const footprintToggle = document.getElementById('iss-show-footprint');
+    const footprintControls = document.getElementById('iss-footprint-controls');
+    if (footprintToggle) {
+        const applyFootprint = (visible) => {
+            setISSFootprintVisible(visible);
+            if (footprintControls) footprintControls.hidden = !visible;
+        };
+        applyFootprint(footprintToggle.checked);
+        footprintToggle.addEventListener('change', (e) => {
+            applyFootprint(e.target.checked);
+            playToggleSound();
+        });
+    }
+
+    const elevationSelect = document.getElementById('iss-footprint-elevation');
+    if (elevationSelect) {
+        elevationSelect.value = String(getISSFootprintElevation());
+        elevationSelect.addEventListener('change', (e) => {
+            setISSFootprintElevation(Number(e.target.value));
+            playClickSound();
+        });
+    }
+
+    const highlightToggle = document.getElementById('iss-highlight-stations');
+    if (highlightToggle) {
+        setISSStationHighlighting(highlightToggle.checked);
+        highlightToggle.addEventListener('change', (e) => {
+            setISSStationHighlighting(e.target.checked);
+            playToggleSound();
+        });
+    }
+
+    // Altitude chart toggle (the panel's close button unticks it)
+    const altitudeToggle = document.getElementById('iss-show-altitude-chart');
+    if (altitudeToggle) {
+        setAltitudeChartVisible(altitudeToggle.checked);
+        altitudeToggle.addEventListener('change', (e) => {
+            setAltitudeChartVisible(e.target.checked);
+            playToggleSound();
+        });
+
+        document.getElementById('altitude-close')?.addEventListener('click', () => {
+            altitudeToggle.checked = false;
+            setAltitudeChartVisible(false);
+            playToggleSound();
+        });
+    }
+}
+
+/**
+ * Setup observer location inputs and ISS pass prediction
+ */
+function setupObserverControls() {
+    const latInput = document.getElementById('observer-lat');
+    const lonInput = document.getElementById('observer-lon');
+    const elevationInput = document.getElementById('observer-elevation');
+    const geolocateBtn = document.getElementById('observer-geolocate');
+    const predictBtn = document.getElementById('predict-passes-btn');
+    if (!latInput || !lonInput) return;
+
+    const fillInputs = (location) => {
+        if (!location) return;
+        latInput.value = location.latitude.toFixed(4);
+        lonInput.value = location.longitude.toFixed(4);
+        if (elevationInput) elevationInput.value = Math.round(location.elevation);
+    };
+
+    const predict = () => {
+        const location = observer.getLocation();
+        if (!location) {
+            showNotification('📍 Location Needed', 'Enter a latitude and longitude or use your current location.');
+            return;
+        }
+        const passes = issAPI.predictPasses(location, timeManager.getSimulationDate());
+        updatePassPredictions(passes, location);
+    };
+
+    fillInputs(observer.getLocation());
+    observer.onChange(fillInputs);
+
+    const applyInputs = () => {
+        if (latInput.value === '' || lonInput.value === '') return;
+        try {
+            observer.setLocation({
+                latitude: validateUserInput(latInput.value, -90, 90, 'latitude'),
+                longitude: validateUserInput(lonInput.value, -180, 180, 'longitude'),
+                elevation: elevationInput && elevationInput.value !== '' ? Number(elevationInput.value) : 0
+            });
+        } catch (error) {
+            console.warn('⚠️ Invalid observer location:', error.message);
+        }
+    };
+
+    [latInput, lonInput, elevationInput].forEach(input => {
+        if (input) input.addEventListener('change', applyInputs);
+    });
+
+    if (geolocateBtn) {
+        geolocateBtn.addEventListener('click', () => {
+            playClickSound();
+            observer.requestGeolocation()
+                .then(predict)
+                .catch(error => showNotification('📍 Location Unavailable', error.message));
+        });
+    }
+
+    if (predictBtn) {
+        predictBtn.addEventListener('click', () => {
+            playClickSound();
+            predict();
+        });
+    }
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadText(text, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Setup ISS telemetry recording, export/import and replay controls
+ */
+function setupTelemetryControls() {
+    const recordToggle = document.getElementById('telemetry-record');
+    const countEl = document.getElementById('telemetry-count');
+    const replayBtn = document.getElementById('telemetry-replay');
+    const fileInput = document.getElementById('telemetry-file');
+
+    const updateCount = (count) => {
+        if (countEl) countEl.textContent = count.toLocaleString();
+    };
+    const updateReplayButton = () => {
+        if (replayBtn) replayBtn.textContent = issAPI.isReplaying() ? '⏹ Stop Replay' : '▶ Replay Recording';
+    };
+    const fileTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+    updateCount(telemetryRecorder.getCount());
+    telemetryRecorder.onChange(updateCount);
+
+    if (recordToggle) {
+        recordToggle.checked = telemetryRecorder.isEnabled();
+        recordToggle.addEventListener('change', (e) => {
+            telemetryRecorder.setEnabled(e.target.checked);
+            playToggleSound();
+        });
+    }
+
+    document.getElementById('telemetry-export-json')?.addEventListener('click', () => {
+        playClickSound();
+        downloadText(telemetryRecorder.exportJSON(), `iss-telemetry-${fileTimestamp()}.json`, 'application/json');
+    });
+
+    document.getElementById('telemetry-export-csv')?.addEventListener('click', () => {
+        playClickSound();
+        downloadText(telemetryRecorder.exportCSV(), `iss-telemetry-${fileTimestamp()}.csv`, 'text/csv');
+    });
+
+    document.getElementById('telemetry-clear')?.addEventListener('click', () => {
+        playClickSound();
+        telemetryRecorder.clear();
+    });
+
+    if (fileInput) {
+        document.getElementById('telemetry-import')?.addEventListener('click', () => {
+            playClickSound();
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            if (!file) return;
+            try {
+                const count = telemetryRecorder.importText(await file.text());
+                showNotification('📼 Telemetry Imported', `${count} ISS positions loaded from ${file.name}.`);
+            } catch (error) {
+                showNotification('📼 Import Failed', `${file.name}: ${error.message}`);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    if (replayBtn) {
+        replayBtn.addEventListener('click', () => {
+            playClickSound();
+
+            if (issAPI.isReplaying()) {
+                issAPI.stopReplay();
+                updateReplayButton();
+                return;
+            }
+
+            try {
+                issAPI.startReplay();
+            } catch (error) {
+                showNotification('📼 Nothing to Replay', error.message);
+                return;
+            }
+
+            // Replayed samples are live-style positions, and play back at real time
+            setISSPositionSource('api');
+            const sourceSelect = document.getElementById('iss-source-select');
+            if (sourceSelect) sourceSelect.value = 'api';
+            syncTimeSpeedControls();
+            updateReplayButton();
+        });
+    }
+}
+
+/**
+ * Setup the satellite catalog controls (group filter, user TLEs and TLE refresh)
+ */
+function setupSatelliteControls() {
+    const groupsEl = document.getElementById('satellite-groups');
+    const tleInput = document.getElementById('satellite-tle-input');
+    const addBtn = document.getElementById('satellite-add-btn');
+    const refreshBtn = document.getElementById('satellite-refresh-btn');
+    if (!groupsEl) return;
+
+    // One checkbox per group, rebuilt when counts or visibility change
+    const renderGroups = () => {
+        groupsEl.replaceChildren(...satelliteCatalog.getGroups().map(group => {
+            const label = document.createElement('label');
+            label.className = 'toggle';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = group.visible;
+            checkbox.addEventListener('change', (e) => {
+                satelliteCatalog.setGroupVisible(group.id, e.target.checked);
+                playToggleSound();
+            });
+
+            const name = document.createElement('span');
+            name.textContent = `${group.name} `;
+            name.style.color = `#${group.color.toString(16).padStart(6, '0')}`;
+            const count = document.createElement('span');
+            count.className = 'satellite-count';
+            count.textContent = `(${group.count})`;
+            name.appendChild(count);
+
+            label.append(checkbox, name);
+            return label;
+        }));
+    };
+
+    renderGroups();
+    satelliteCatalog.onChange(renderGroups);
+
+    if (addBtn && tleInput) {
+        addBtn.addEventListener('click', () => {
+            playClickSound();
+            try {
+                const added = satelliteCatalog.addUserTLEs(tleInput.value);
+                showNotification('🛰️ Satellites Added', `Now tracking ${added.map(entry => entry.name).join(', ')}.`);
+                tleInput.value = '';
+            } catch (error) {
+                showNotification('🛰️ Invalid TLE', error.message);
+            }
+        });
+    }
+
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', async () => {
+            playClickSound();
+            refreshBtn.disabled = true;
+
+            const groups = satelliteCatalog.getGroups().filter(group => group.visible).map(group => group.id);
+            const counts = await Promise.all(groups.map(group => satelliteCatalog.fetchGroup(group)));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+
+            refreshBtn.disabled = false;
+            showNotification('🛰️ TLE Update', total > 0
+                ? `Loaded ${total.toLocaleString()} current element sets from CelesTrak.`
+                : 'Could not reach CelesTrak - keeping the current element sets.');
+        });
+    }
+}
+
+/**
+ * Setup the ground-station list, add form, marker toggle and contact-window panel
+ */
+function setupGroundStationControls() {
+    const listEl = document.getElementById('ground-station-list');
+    const showToggle = document.getElementById('ground-stations-show');
+    const nameInput = document.getElementById('ground-station-name');
+    const latInput = document.getElementById('ground-station-lat');
+    const lonInput = document.getElementById('ground-station-lon');
+    const maskInput = document.getElementById('ground-station-mask');
+    const addBtn = document.getElementById('ground-station-add');
+    const resetBtn = document.getElementById('ground-station-reset');
+    const openBtn = document.getElementById('contacts-open');
+    const closeBtn = document.getElementById('contacts-close');
+    if (!listEl) return;
+
+    // One row per station with a remove button, rebuilt when the registry changes
+    const renderStations = () => {
+        listEl.replaceChildren(...groundStations.getStations().map(station => {
+            const item = document.createElement('div');
+            item.className = 'ground-station-item';
+
+            const name = document.createElement('span');
+            name.textContent = station.name;
+            const details = document.createElement('small');
+            details.textContent = `${station.latitude.toFixed(2)}°, ${station.longitude.toFixed(2)}° · ≥${station.minElevation}°`;
+            name.appendChild(details);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'ground-station-remove';
+            removeBtn.title = `Remove ${station.name}`;
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => {
+                playClickSound();
+                groundStations.removeStation(station.id);
+            });
+
+            item.append(name, removeBtn);
+            return item;
+        }));
+    };
+
+    renderStations();
+    groundStations.onChange(renderStations);
+
+    if (showToggle) {
+        setGroundStationsVisible(showToggle.checked);
+        showToggle.addEventListener('change', (e) => {
+            setGroundStationsVisible(e.target.checked);
+            playToggleSound();
+        });
+    }
+
+    if (addBtn && nameInput && latInput && lonInput) {
+        addBtn.addEventListener('click', () => {
+            playClickSound();
+            try {
+                const station = groundStations.addStation({
+                    name: nameInput.value,
+                    latitude: validateUserInput(latInput.value, -90, 90, 'latitude'),
+                    longitude: validateUserInput(lonInput.value, -180, 180, 'longitude'),
+                    minElevation: maskInput && maskInput.value !== '' ? validateUserInput(maskInput.value, 0, 90, 'minimum elevation') : undefined
+                });
+                showNotification('📡 Station Added', `${station.name} will be included in contact windows.`);
+                nameInput.value = '';
+                latInput.value = '';
+                lonInput.value = '';
+            } catch (error) {
+                showNotification('📡 Invalid Station', error.message);
+            }
+        });
+    }
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            playClickSound();
+            groundStations.resetStations();
+        });
+    }
+
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            playClickSound();
+            setContactsPanelVisible(true);
+        });
+    }
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            playClickSound();
+            setContactsPanelVisible(false);
+        });
+    }
+}
+
+/**
+ * Setup the ISS alert rule checkboxes and pass lead time
+ */
+function setupAlertControls() {
+    const ruleToggles = document.querySelectorAll('[data-alert-rule]');
+    const leadInput = document.getElementById('alert-pass-lead');
+    const resetBtn = document.getElementById('alerts-reset');
+    if (ruleToggles.length === 0) return;
+
+    // Reflect the saved rules, and again whenever they change
+    const renderRules = () => {
+        const rules = notificationEngine.getRules();
+        ruleToggles.forEach(toggle => {
+            toggle.checked = !!rules[toggle.dataset.alertRule]?.enabled;
+        });
+        if (leadInput) {
+            leadInput.value = rules.pass.leadMinutes;
+            leadInput.disabled = !rules.pass.enabled;
+        }
+    };
+
+    renderRules();
+    notificationEngine.onChange(renderRules);
+
+    ruleToggles.forEach(toggle => {
+        toggle.addEventListener('change', (e) => {
+            notificationEngine.setRule(e.target.dataset.alertRule, { enabled: e.target.checked });
+            playToggleSound();
+        });
+    });
+
+    if (leadInput) {
+        leadInput.addEventListener('change', () => {
+            try {
+                notificationEngine.setRule('pass', { leadMinutes: validateUserInput(leadInput.value, 1, 120, 'pass warning time') });
+            } catch (error) {
+                showNotification('🔔 Invalid Alert Setting', error.message);
+                renderRules();
+            }
+        });
+    }
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            playClickSound();
+            notificationEngine.resetRules();
+        });
+    }
+}
+
 /**
  * Dispose controls module (cleanup)
  */
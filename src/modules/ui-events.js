@@ -9,12 +9,15 @@ import { resetCamera, controls as cameraControls } from '../core/camera.js';
 import { setOrbitsVisible } from './orbits.js';
 import { setLabelsVisible } from './labels.js';
 import { setISSTrailVisible } from './iss.js';
-import { setStarfieldVisible } from './starfield.js';
+import { setStarfieldVisible, setConstellationsVisible } from './starfield.js';
+import { setMapViewVisible } from './mapView.js';
 import { captureScreenshot } from '../utils/screenshot.js';
 import { getPlanetSizeMode } from '../utils/constants.js';
 import { addEarthReferencePoints, removeEarthReferencePoints } from '../utils/earthDebug.js';
 import { playFocusSound } from '../utils/sounds.js';
 import { updateSelectedObjectInfo, clearSelectedObjectInfo } from './ui-panels.js';
+import { isSkyViewActive } from './skyView.js';
+import { syncTimeSpeedControls } from './ui-controls.js';
 
 /**
  * References to app state (set during initialization)
@@ -139,6 +142,11 @@ function setupClickToFocus() {
         // Reset mouseDownPos
         mouseDownPos = null;
 
+        // In the sky view the scene objects are not drawn, and drags look around
+        if (isSkyViewActive()) {
+            return;
+        }
+
         // If mouse moved significantly, user was dragging (rotating camera), not clicking
         if (distance > DRAG_THRESHOLD) {
             return; // Don't trigger focus on drag
@@ -149,8 +157,9 @@ function setupClickToFocus() {
         mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-        // Update raycaster
+        // Update raycaster (satellite point clouds need a pick radius to match their size)
         raycaster.setFromCamera(mouse, appCamera);
+        raycaster.params.Points.threshold = getPlanetSizeMode() === 'real' ? 0.02 : 0.3;
 
         // Get all clickable objects
         const objects = Array.from(clickableObjects.values());
@@ -162,6 +171,12 @@ function setupClickToFocus() {
             // Find the registered parent object (traverse up if we hit a child mesh)
             let clickedObject = intersects[0].object;
 
+            // A point cloud stands for many satellites: hand over to the one that was hit
+            if (clickedObject.userData.getPointObject) {
+                clickedObject = clickedObject.userData.getPointObject(intersects[0].index);
+                if (!clickedObject) return;
+            }
+
             // If we hit a child object (like Saturn's rings), find the registered parent
             while (clickedObject && !clickedObject.userData.key) {
                 clickedObject = clickedObject.parent;
@@ -239,8 +254,11 @@ function setupKeyboardShortcuts() {
                 console.log('⌨️ Keyboard: Camera reset');
                 break;
 
-            case 'escape': // ESC - Unlock Camera (already handled but documented here)
+            case 'escape': // ESC - Unlock Camera (already handled but documented here), leave the sky view
                 unlockCamera();
+                if (isSkyViewActive()) {
+                    document.getElementById('toggle-sky-view')?.click();
+                }
                 break;
 
             case 'h': // H - Show Help
@@ -293,6 +311,35 @@ function setupKeyboardShortcuts() {
                 }
                 break;
 
+            case 'c': // C - Toggle Constellations
+                event.preventDefault();
+                const constellationsToggle = document.getElementById('toggle-constellations');
+                if (constellationsToggle) {
+                    constellationsToggle.checked = !constellationsToggle.checked;
+                    setConstellationsVisible(constellationsToggle.checked);
+                    console.log(`⌨️ Keyboard: Constellations ${constellationsToggle.checked ? 'ON' : 'OFF'}`);
+                }
+                break;
+
+            case 'm': // M - Toggle 2D Map
+                event.preventDefault();
+                const mapToggle = document.getElementById('toggle-map');
+                if (mapToggle) {
+                    mapToggle.checked = !mapToggle.checked;
+                    setMapViewVisible(mapToggle.checked);
+                    console.log(`⌨️ Keyboard: 2D map ${mapToggle.checked ? 'ON' : 'OFF'}`);
+                }
+                break;
+
+            case 'v': // V - Toggle Sky View (the toggle's handler checks for an observer location)
+                event.preventDefault();
+                const skyViewToggle = document.getElementById('toggle-sky-view');
+                if (skyViewToggle) {
+                    skyViewToggle.click();
+                    console.log(`⌨️ Keyboard: Sky view ${skyViewToggle.checked ? 'ON' : 'OFF'}`);
+                }
+                break;
+
             case 'd': // D - Toggle Earth Debug Markers (for texture verification)
                 event.preventDefault();
                 toggleEarthDebugMarkers();
@@ -318,6 +365,16 @@ function setupKeyboardShortcuts() {
                 clickStyleButton('minimalist');
                 break;
 
+            case 'b': { // B - Rewind (run time backwards / forwards again)
+                event.preventDefault();
+                const rewindBtn = document.getElementById('rewind');
+                if (rewindBtn) {
+                    rewindBtn.click();
+                    console.log(`⌨️ Keyboard: Time runs ${timeManager.isReversed() ? 'backwards' : 'forwards'}`);
+                }
+                break;
+            }
+
             case 'arrowup': // Arrow Up - Increase Time Speed
                 event.preventDefault();
                 adjustTimeSpeed(1.5);
@@ -372,30 +429,25 @@ function clickStyleButton(styleKey) {
 }
 
 /**
- * Adjust time speed by multiplier
+ * Adjust time speed by multiplier (keeps the direction; setTimeSpeed clamps the range)
  * @param {number} multiplier - Speed multiplier
  */
 function adjustTimeSpeed(multiplier) {
-    const currentSpeed = timeManager.getTimeSpeed();
-    const newSpeed = Math.max(1, Math.min(500000, currentSpeed * multiplier));
-    timeManager.setTimeSpeed(newSpeed);
+    timeManager.setTimeSpeed(timeManager.getTimeSpeed() * multiplier);
 
     // Update UI
-    const slider = document.getElementById('time-speed');
-    const speedValue = document.getElementById('speed-value');
-    if (slider) slider.value = newSpeed;
-    if (speedValue) speedValue.textContent = `${Math.round(newSpeed)}x`;
+    syncTimeSpeedControls();
 
-    console.log(`⌨️ Keyboard: Time speed ${newSpeed}x`);
+    console.log(`⌨️ Keyboard: Time speed ${timeManager.getTimeSpeed()}x`);
 }
 
 /**
- * Set time speed to preset
+ * Set time speed to preset (keeps the direction)
  * @param {string} direction - 'slower' or 'faster'
  */
 function setTimeSpeedPreset(direction) {
     const presets = [1000, 10000, 50000, 100000, 500000];
-    const currentSpeed = timeManager.getTimeSpeed();
+    const currentSpeed = Math.abs(timeManager.getTimeSpeed());
 
     let newSpeed;
     if (direction === 'faster') {
@@ -406,15 +458,12 @@ function setTimeSpeedPreset(direction) {
         newSpeed = [...presets].reverse().find(p => p < currentSpeed) || presets[0];
     }
 
-    timeManager.setTimeSpeed(newSpeed);
+    timeManager.setTimeSpeed(newSpeed * timeManager.getTimeDirection());
 
     // Update UI
-    const slider = document.getElementById('time-speed');
-    const speedValue = document.getElementById('speed-value');
-    if (slider) slider.value = newSpeed;
-    if (speedValue) speedValue.textContent = `${newSpeed}x`;
+    syncTimeSpeedControls();
 
-    console.log(`⌨️ Keyboard: Time speed ${newSpeed}x`);
+    console.log(`⌨️ Keyboard: Time speed ${timeManager.getTimeSpeed()}x`);
 }
 
 /**
@@ -511,6 +560,10 @@ function handleObjectClick(object) {
                 console.log(`   🛰️ ISS ENLARGED mode: Using fixed baseRadius = ${baseRadius}`);
             }
         }
+        // Catalog satellites: size of their marker
+        else if (object.userData.type === 'satellite') {
+            baseRadius = object.userData.markerRadius;
+        }
         // Try to get radius from geometry
         else if (object.geometry?.parameters?.radius) {
             baseRadius = object.geometry.parameters.radius;
@@ -543,6 +596,9 @@ function handleObjectClick(object) {
                 finalCameraDistance = 60;
                 console.log(`   🛰️ ISS ENLARGED mode: Direct camera distance = ${finalCameraDistance}`);
             }
+        } else if (object.userData.type === 'satellite') {
+            // Satellite markers are tiny - get close, without the planet minimum
+            finalCameraDistance = baseRadius * 12;
         } else {
             // PLANETS get multiplier logic
             let zoomMultiplier = 3; // Default - CLOSE UP
@@ -583,8 +639,8 @@ function handleObjectClick(object) {
         const newCameraPosition = targetPosition.clone().add(cameraOffset);
         appCamera.position.copy(newCameraPosition);
 
-        // CRITICAL: Adjust camera near plane for ISS in real mode
-        if (key === 'iss') {
+        // CRITICAL: Adjust camera near plane for ISS (and other satellites) in real mode
+        if (key === 'iss' || object.userData.type === 'satellite') {
             const sizeMode = getPlanetSizeMode();
             if (sizeMode === 'real') {
                 appCamera.near = 0.001;
@@ -644,6 +700,14 @@ export function registerClickableObject(key, object, metadata = {}) {
     clickableObjects.set(key, object);
 }
 
+/**
+ * Remove an object from click-to-focus (e.g. a satellite whose group was hidden)
+ * @param {string} key - Object identifier
+ */
+export function unregisterClickableObject(key) {
+    clickableObjects.delete(key);
+}
+
 /**
  * Re-register all clickable objects (call after objects are recreated)
  */
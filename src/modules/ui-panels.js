@@ -6,6 +6,11 @@
 
 import { timeManager } from '../utils/time.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
+import { degreesToCardinal } from '../utils/coordinates.js';
+import { getMoonPosition, getMoonPhase } from '../utils/lunar.js';
+import { getSkyCoordinates, getSkyCoordinatesFromGeodetic, formatRightAscension, formatDeclination } from '../utils/frames.js';
+import { observer } from '../utils/observer.js';
+import { DEFAULT_PASS_OPTIONS } from '../utils/passPredictor.js';
 
 /**
  * ISS data cache for info panel
@@ -13,10 +18,41 @@ import { escapeHTML } from '../utils/htmlSanitizer.js';
 let issDataCache = {
     position: { lat: 0, lon: 0 },
     altitude: 0,
+    isAltitudeAssumed: false,
     velocity: 27600, // km/h (approximate orbital speed)
+    source: null,
+    provider: null,
+    isExtrapolated: false,
+    isEstimated: false,
+    attitude: null,
+    eclipse: null,
+    stationsInView: null,
     lastUpdate: null
 };
 
+/**
+ * Whether the ISS attitude and solar array angles are shown
+ */
+let showISSAttitude = false;
+
+/**
+ * Display names for ISS position sources
+ */
+const ISS_SOURCE_LABELS = {
+    tle: 'SGP4 (TLE)',
+    api: 'Live API',
+    replay: 'Recorded replay',
+    mock: 'Simulated (offline)'
+};
+
+/**
+ * Display names for live ISS data providers (see issProviders.js)
+ */
+const PROVIDER_LABELS = {
+    'open-notify': 'Open Notify',
+    'wheretheiss': 'wheretheiss.at'
+};
+
 /**
  * Initialize panels module
  */
@@ -50,6 +86,15 @@ export function updateSimulationDate() {
  * @param {Object} issData - ISS data from API
  * @param {Object} issData.position - Geographic position {lat, lon}
  * @param {number} issData.altitude - Altitude in km
+ * @param {boolean} issData.isAltitudeAssumed - The source gave no altitude; it is the orbit's mean altitude (optional)
+ * @param {number} issData.velocity - Orbital speed in km/h (optional)
+ * @param {string} issData.source - Position source: 'tle', 'api', 'replay' or 'mock' (optional)
+ * @param {string} issData.provider - Name of the provider that supplied a live position (optional)
+ * @param {boolean} issData.isExtrapolated - Propagated far from the TLE epoch (optional)
+ * @param {boolean} issData.isEstimated - Dead-reckoned because live data is late (optional)
+ * @param {Object} issData.attitude - Attitude and array angles from attitude.js (optional)
+ * @param {Object} issData.eclipse - Earth-shadow state and next sunrise/sunset (optional)
+ * @param {Array<Object>|null} issData.stationsInView - Ground stations that can see the station, or null when not tracked (optional)
  * @param {number} issData.timestamp - Unix timestamp (optional)
  */
 export function updateISSInfo(issData) {
@@ -59,8 +104,17 @@ export function updateISSInfo(issData) {
     issDataCache = {
         position: issData.position || issDataCache.position,
         altitude: issData.altitude || issDataCache.altitude,
-        velocity: issDataCache.velocity, // Keep constant (orbital speed)
-        lastUpdate: Date.now() // Always use current time when data arrives
+        isAltitudeAssumed: !!issData.isAltitudeAssumed,
+        velocity: issData.velocity || issDataCache.velocity, // Sources without velocity keep the last value
+        source: issData.source || issDataCache.source,
+        provider: issData.provider || null,
+        isExtrapolated: !!issData.isExtrapolated,
+        isEstimated: !!issData.isEstimated,
+        attitude: issData.attitude || issDataCache.attitude,
+        eclipse: issData.eclipse || issDataCache.eclipse,
+        stationsInView: issData.stationsInView ?? null,
+        // Always use current time when data arrives (an estimate is not new data)
+        lastUpdate: issData.isEstimated ? (issDataCache.lastUpdate ?? Date.now()) : Date.now()
     };
 
     // Update UI elements
@@ -74,21 +128,173 @@ export function updateISSInfo(issData) {
         const lon = issDataCache.position.lon.toFixed(2);
         const latDir = issDataCache.position.lat >= 0 ? 'N' : 'S';
         const lonDir = issDataCache.position.lon >= 0 ? 'E' : 'W';
-        positionEl.textContent = `${Math.abs(lat)}°${latDir}, ${Math.abs(lon)}°${lonDir}`;
+        positionEl.textContent = `${issDataCache.isEstimated ? '≈ ' : ''}${Math.abs(lat)}°${latDir}, ${Math.abs(lon)}°${lonDir}`;
+        positionEl.classList.toggle('estimated', issDataCache.isEstimated);
+        positionEl.title = issDataCache.isEstimated
+            ? 'Live data is late - position estimated from the last known speed and heading'
+            : '';
     }
 
     if (altitudeEl) {
-        altitudeEl.textContent = `${Math.round(issDataCache.altitude)} km`;
+        altitudeEl.textContent = `${issDataCache.isAltitudeAssumed ? '≈ ' : ''}${Math.round(issDataCache.altitude)} km`;
+        altitudeEl.title = issDataCache.isAltitudeAssumed
+            ? 'The data source reports no altitude - showing the mean altitude of the orbit'
+            : '';
     }
 
     if (velocityEl) {
-        velocityEl.textContent = `${issDataCache.velocity.toLocaleString()} km/h`;
+        velocityEl.textContent = `${Math.round(issDataCache.velocity).toLocaleString()} km/h`;
+    }
+
+    const sunlightEl = document.getElementById('iss-sunlight');
+    if (sunlightEl && issDataCache.eclipse) {
+        sunlightEl.textContent = formatSunlight(issDataCache.eclipse);
+    }
+
+    const sourceEl = document.getElementById('iss-source');
+    if (sourceEl && issDataCache.source) {
+        const sourceLabel = ISS_SOURCE_LABELS[issDataCache.source] || issDataCache.source;
+        const providerLabel = issDataCache.provider && PROVIDER_LABELS[issDataCache.provider];
+        const label = issDataCache.source === 'api' && providerLabel ? `${sourceLabel} (${providerLabel})` : sourceLabel;
+        let status = '';
+        if (issDataCache.isExtrapolated) status = ', extrapolated';
+        if (issDataCache.isEstimated) status = ' · ⏳ estimated';
+        sourceEl.textContent = `${label}${status}`;
+        sourceEl.title = issDataCache.isExtrapolated
+            ? 'Simulation date is far from the TLE epoch - position is approximate'
+            : '';
+    }
+
+    if (showISSAttitude) {
+        updateISSAttitudeInfo(issDataCache.attitude);
+    }
+
+    const stationsEl = document.getElementById('iss-stations-in-view');
+    if (stationsEl) {
+        stationsEl.textContent = formatStationsInView(issDataCache.stationsInView);
     }
 
     // Update the "time ago" display
     updateISSTimeDisplay();
 }
 
+/**
+ * Format a countdown such as "23m 10s" or "1h 02m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Describe the station's sunlight: shadow state and time to the next sunrise or sunset
+ * @param {Object} eclipse - Eclipse state from iss.js
+ * @returns {string} e.g. "☀️ Sunlit · sunset in 23m 10s"
+ */
+function formatSunlight(eclipse) {
+    const labels = {
+        sunlit: '☀️ Sunlit',
+        penumbra: `🌗 Penumbra (${Math.round(eclipse.illumination * 100)}% of Sun)`,
+        umbra: "🌑 In Earth's shadow"
+    };
+    const label = labels[eclipse.state] || eclipse.state;
+
+    // In the penumbra the Sun's center may not have set yet - show whichever event comes first
+    const upcoming = [
+        { name: 'sunrise', date: eclipse.nextSunrise },
+        { name: 'sunset', date: eclipse.nextSunset }
+    ].filter(event => event.date).sort((a, b) => a.date - b.date);
+    const next = eclipse.state === 'sunlit'
+        ? upcoming.find(event => event.name === 'sunset')
+        : eclipse.state === 'umbra' ? upcoming.find(event => event.name === 'sunrise') : upcoming[0];
+
+    if (!next) {
+        return `${label} · no ${eclipse.state === 'sunlit' ? 'sunset' : 'sunrise'} for 3+ hours`;
+    }
+    return `${label} · ${next.name} in ${formatCountdown(next.date.getTime() - eclipse.timestamp)}`;
+}
+
+/**
+ * List the ground stations that can see the station
+ * @param {Array<Object>|null} stations - Stations in view, highest first (null when not tracked)
+ * @returns {string} e.g. "Houston (MCC-H) 34°, Your location 12°"
+ */
+function formatStationsInView(stations) {
+    if (!stations) return '--';
+    if (stations.length === 0) return 'None';
+    return stations.map(station => `${station.name} ${Math.round(station.elevation)}°`).join(', ');
+}
+
+/**
+ * Format an angle for the attitude rows
+ * @param {number} degrees - Angle in degrees
+ * @param {boolean} signed - Always show the sign
+ * @returns {string} Formatted angle
+ */
+function formatAngle(degrees, signed = false) {
+    const text = `${degrees.toFixed(1)}°`;
+    return signed && degrees >= 0 ? `+${text}` : text;
+}
+
+/**
+ * Fill the ISS attitude rows: LVLH frame, solar beta angle and per-wing gimbal angles
+ * @param {Object|null} attitude - Attitude from attitude.js (null while unknown)
+ */
+function updateISSAttitudeInfo(attitude) {
+    const frameEl = document.getElementById('iss-attitude-frame');
+    const solarBetaEl = document.getElementById('iss-solar-beta');
+    const alphaEl = document.getElementById('iss-sarj-alpha');
+    const wingsEl = document.getElementById('iss-wing-angles');
+
+    if (!attitude) {
+        if (frameEl) frameEl.textContent = 'Waiting for direction of travel…';
+        if (solarBetaEl) solarBetaEl.textContent = '--';
+        if (alphaEl) alphaEl.textContent = '--';
+        if (wingsEl) wingsEl.innerHTML = '';
+        return;
+    }
+
+    if (frameEl) {
+        frameEl.textContent = 'LVLH (XVV) · +X velocity, +Z nadir';
+    }
+    if (solarBetaEl) {
+        solarBetaEl.textContent = formatAngle(attitude.solarBeta, true);
+        solarBetaEl.title = 'Angle between the Sun and the orbit plane';
+    }
+    if (alphaEl) {
+        alphaEl.textContent = `Stbd ${formatAngle(attitude.alpha.starboard)} · Port ${formatAngle(attitude.alpha.port)}`;
+    }
+    if (wingsEl) {
+        wingsEl.innerHTML = attitude.wings.map(wing => `
+            <div class="wing-angle" title="${escapeHTML(`${wing.side} wing on ${wing.segment}: alpha ${formatAngle(wing.alpha)}, beta ${formatAngle(wing.beta, true)}`)}">
+                <strong>${escapeHTML(wing.id)}</strong>β ${escapeHTML(formatAngle(wing.beta, true))}
+            </div>
+        `).join('');
+    }
+}
+
+/**
+ * Show or hide the ISS attitude and solar array angles in the info panel
+ * @param {boolean} visible - Whether the angles are shown
+ */
+export function setISSAttitudeVisible(visible) {
+    showISSAttitude = !!visible;
+
+    const container = document.getElementById('iss-attitude');
+    if (container) {
+        container.hidden = !showISSAttitude;
+    }
+    if (showISSAttitude) {
+        updateISSAttitudeInfo(issDataCache.attitude);
+    }
+}
+
 /**
  * Update the ISS "last update" time display (call periodically)
  */
@@ -125,6 +331,70 @@ export function setISSInfoStatus(message) {
     }
 }
 
+/**
+ * Format a date as a short UTC time for pass listings
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "Jun 6 16:19:09"
+ */
+function formatPassTime(date) {
+    return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false,
+        timeZone: 'UTC'
+    }).replace(',', '');
+}
+
+/**
+ * Render predicted ISS passes in the pass list
+ * @param {Array<Object>} passes - Passes from predictPasses()
+ * @param {Object} location - Observer location the passes were computed for
+ * @param {Object} options - Options the passes were searched with (see DEFAULT_PASS_OPTIONS)
+ */
+export function updatePassPredictions(passes, location, options = {}) {
+    const passList = document.getElementById('pass-list');
+    if (!passList) return;
+
+    if (!passes || passes.length === 0) {
+        const { days, minElevation } = { ...DEFAULT_PASS_OPTIONS, ...options };
+        const empty = document.createElement('p');
+        empty.className = 'pass-empty';
+        empty.textContent = `No passes above ${minElevation}° in the next ${days === 1 ? 'day' : `${days} days`}`;
+        passList.replaceChildren(empty);
+        return;
+    }
+
+    const locationName = location.name
+        ? location.name
+        : `${location.latitude.toFixed(2)}°, ${location.longitude.toFixed(2)}°`;
+
+    const items = passes.map(pass => {
+        const minutes = Math.floor(pass.durationSeconds / 60);
+        const seconds = Math.round(pass.durationSeconds % 60);
+        return `
+            <div class="pass-item${pass.isVisible ? ' visible' : ''}">
+                <div class="pass-header">
+                    <span>${escapeHTML(formatPassTime(pass.rise.time))} UTC</span>
+                    ${pass.isVisible ? '<span class="pass-badge" title="Sunlit ISS in a dark sky">👁 Visible</span>' : ''}
+                </div>
+                <div class="pass-details">
+                    Rise ${degreesToCardinal(pass.rise.azimuth)} → max ${Math.round(pass.maxElevation)}° ${degreesToCardinal(pass.culmination.azimuth)} → set ${degreesToCardinal(pass.set.azimuth)}<br>
+                    ${minutes}m ${seconds}s, closest ${Math.round(pass.culmination.range)} km
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    // Location names may come from user input - escape before rendering
+    passList.innerHTML = `
+        <p class="pass-empty">Passes over ${escapeHTML(locationName)}</p>
+        ${items}
+    `;
+}
+
 /**
  * Update selected object info panel
  * @param {string} key - Object key
@@ -147,15 +417,19 @@ export function updateSelectedObjectInfo(key, object, earthObject = null) {
         venus: { fromSun: 67237910, fromEarth: null }, // 0.723 AU from Sun
         earth: { fromSun: 92955807, fromEarth: 0 }, // 1 AU from Sun (by definition)
         mars: { fromSun: 141637725, fromEarth: null }, // 1.524 AU from Sun
-        moon: { fromSun: 92955807, fromEarth: 238855 }, // ~239,000 miles from Earth
+        moon: { fromSun: 92955807, fromEarth: 238855 }, // ~239,000 miles from Earth (mean; the panel shows the ephemeris distance)
         iss: { fromSun: 92955807, fromEarth: 254 } // ~254 miles from Earth (408 km)
     };
 
-    const distances = realDistances[key] || { fromSun: 0, fromEarth: 0 };
+    // Catalog satellites: altitude from their last propagation (km -> miles)
+    const isSatellite = object.userData?.type === 'satellite';
+    const distances = isSatellite
+        ? { fromSun: realDistances.earth.fromSun, fromEarth: (object.userData.altitude ?? 0) * 0.621371 }
+        : realDistances[key] || { fromSun: 0, fromEarth: 0 };
 
     // Calculate dynamic Earth distance for planets (changes as they orbit)
     let earthDistanceHTML = '';
-    if (key !== 'earth' && key !== 'iss' && key !== 'moon' && earthObject) {
+    if (key !== 'earth' && key !== 'iss' && key !== 'moon' && !isSatellite && earthObject) {
         // For planets, calculate actual distance based on their orbital positions
         // 1 scene unit in orbital space = 1 AU / (SCALE.AU_TO_SCENE / 500) = 1 AU / 1 = 1 AU
         // Wait, SCALE.AU_TO_SCENE = 500, so 500 scene units = 1 AU
@@ -172,8 +446,31 @@ export function updateSelectedObjectInfo(key, object, earthObject = null) {
                 <span>${formatDistance(distanceFromEarthMiles)}</span>
             </div>
         `;
+    } else if (key === 'moon') {
+        // For the Moon, use the ephemeris distance and phase on the simulated date
+        const date = timeManager.getSimulationDate();
+        const distanceKm = getMoonPosition(date).distance;
+        const phase = getMoonPhase(date);
+        earthDistanceHTML = `
+            <div class="info-row">
+                <span class="info-label">From Earth:</span>
+                <span>${formatDistance(distanceKm * 0.621371)} (${Math.round(distanceKm).toLocaleString()} km)</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Phase:</span>
+                <span>${phase.phaseName}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Illuminated:</span>
+                <span>${(phase.illumination * 100).toFixed(1)}%</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Age:</span>
+                <span>${phase.age.toFixed(1)} days</span>
+            </div>
+        `;
     } else if (key !== 'earth' && distances.fromEarth !== null) {
-        // For ISS and Moon, use fixed real distances
+        // For ISS, use fixed real distances
         earthDistanceHTML = `
             <div class="info-row">
                 <span class="info-label">From Earth:</span>
@@ -191,6 +488,7 @@ export function updateSelectedObjectInfo(key, object, earthObject = null) {
             <span>${formatDistance(distances.fromSun)}</span>
         </div>
         ${earthDistanceHTML}
+        ${getSkyCoordinatesHTML(key, object, isSatellite)}
         <p style="font-size: 11px; color: #888; margin-top: 8px;">
             Camera follows this object. Use mouse to rotate view.<br>
             ESC or right-click to unlock.
@@ -198,6 +496,58 @@ export function updateSelectedObjectInfo(key, object, earthObject = null) {
     `;
 }
 
+/**
+ * Sky position rows for the selected object: RA/Dec seen from Earth's center, and altitude
+ * and azimuth when an observer location is set
+ * @param {string} key - Object key
+ * @param {THREE.Object3D} object - Object mesh
+ * @param {boolean} isSatellite - Whether the object is a catalog satellite
+ * @returns {string} HTML rows ('' for Earth or when the position is unknown)
+ */
+function getSkyCoordinatesHTML(key, object, isSatellite) {
+    if (key === 'earth') return '';
+
+    const date = timeManager.getSimulationDate();
+    const location = observer.getLocation();
+    let sky;
+    try {
+        if (key === 'iss') {
+            if (!issDataCache.lastUpdate) return '';
+            const { lat, lon } = issDataCache.position;
+            sky = getSkyCoordinatesFromGeodetic({ latitude: lat, longitude: lon, altitude: issDataCache.altitude }, date, location);
+        } else if (isSatellite) {
+            const { latitude, longitude, altitude } = object.userData;
+            if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return '';
+            sky = getSkyCoordinatesFromGeodetic({ latitude, longitude, altitude: altitude ?? 0 }, date, location);
+        } else {
+            sky = getSkyCoordinates(key, date, location);
+        }
+    } catch (error) {
+        return ''; // Not a body with an ephemeris
+    }
+
+    let html = `
+        <div class="info-row">
+            <span class="info-label">RA / Dec (J2000):</span>
+            <span>${formatRightAscension(sky.rightAscension)} / ${formatDeclination(sky.declination)}</span>
+        </div>
+        <div class="info-row">
+            <span class="info-label">RA / Dec (of date):</span>
+            <span>${formatRightAscension(sky.rightAscensionOfDate)} / ${formatDeclination(sky.declinationOfDate)}</span>
+        </div>
+    `;
+    if (sky.horizontal) {
+        const { altitude, azimuth } = sky.horizontal;
+        html += `
+        <div class="info-row">
+            <span class="info-label">Alt / Az:</span>
+            <span>${altitude.toFixed(1)}° / ${azimuth.toFixed(1)}° ${degreesToCardinal(azimuth)}${altitude < 0 ? ' (below horizon)' : ''}</span>
+        </div>
+        `;
+    }
+    return html;
+}
+
 /**
  * Clear selected object info panel
  */
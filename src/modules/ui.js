@@ -1,6 +1,6 @@
 /**
  * UI Module - Main Coordinator for User Interface
- * Coordinates all UI sub-modules: controls, panels, events, modals
+ * Coordinates all UI sub-modules: controls, panels, events, modals, map, contacts, altitude chart, moon events, event search, sky view, timeline, tours, alerts
  * REFACTORED: Reduced from 1,623 LOC to ~200 LOC by splitting into 4 modules
  * VERSION: 2.0.0 - Modular Architecture
  */
@@ -18,12 +18,15 @@ import {
     updateISSTimeDisplay,
     updateSelectedObjectInfo,
     clearSelectedObjectInfo,
+    updatePassPredictions,
+    setISSAttitudeVisible,
     showNotification,
     disposePanels
 } from './ui-panels.js';
 import {
     initEvents,
     registerClickableObject,
+    unregisterClickableObject,
     reregisterAllClickableObjects,
     updateCameraFollow,
     getLockedObjectState,
@@ -38,6 +41,15 @@ import {
     updateRealTimeViewButtonState,
     disposeModals
 } from './ui-modals.js';
+import { initMapView, updateMapView, disposeMapView } from './mapView.js';
+import { initContactsPanel, updateContactsPanel, disposeContactsPanel } from './contactsPanel.js';
+import { initAltitudeChart, updateAltitudeChart, disposeAltitudeChart } from './altitudeChart.js';
+import { initMoonEventsPanel, updateMoonEventsPanel, disposeMoonEventsPanel } from './moonEventsPanel.js';
+import { initEventSearchPanel, disposeEventSearchPanel } from './eventSearchPanel.js';
+import { initSkyView, updateSkyView, disposeSkyView } from './skyView.js';
+import { initTimeline, updateTimeline, disposeTimeline } from './timeline.js';
+import { initTourPlayer, disposeTourPlayer } from './tourPlayer.js';
+import { initISSAlerts, updateISSAlerts, disposeISSAlerts } from './issAlerts.js';
 import { setupStyleButtonListeners } from './styles.js';
 import { initSounds, setSoundsEnabled, isSoundsEnabled } from '../utils/sounds.js';
 
@@ -70,7 +82,13 @@ export function initUI(options) {
     // Initialize sound system
     initSounds();
 
-    // Initialize all sub-modules
+    // Initialize all sub-modules (the map, contacts, altitude, moon events and event search panels first - the controls set their visibility)
+    initMapView();
+    initContactsPanel();
+    initAltitudeChart();
+    initMoonEventsPanel();
+    initEventSearchPanel();
+    initSkyView({ renderer: appRenderer });
     initControls({
         renderer: appRenderer,
         recreateObjects: recreateObjectsCallback,
@@ -89,6 +107,12 @@ export function initUI(options) {
 
     initModals();
 
+    initTimeline();
+
+    initTourPlayer();
+
+    initISSAlerts();
+
     // Set up style button listeners (handled by styles.js)
     setupStyleButtonListeners();
 
@@ -98,7 +122,7 @@ export function initUI(options) {
         soundToggle.checked = isSoundsEnabled();
     }
 
-    console.log('✅ UI system initialized (4 sub-modules loaded)');
+    console.log('✅ UI system initialized (13 sub-modules loaded)');
 }
 
 /**
@@ -114,12 +138,15 @@ export {
     setISSInfoStatus,
     updateSelectedObjectInfo,
     clearSelectedObjectInfo,
+    updatePassPredictions,
+    setISSAttitudeVisible,
     showNotification
 };
 
 // From ui-events.js
 export {
     registerClickableObject,
+    unregisterClickableObject,
     reregisterAllClickableObjects,
     updateCameraFollow,
     unlockCamera,
@@ -132,6 +159,41 @@ export {
     updateRealTimeViewButtonState
 };
 
+// From mapView.js
+export {
+    updateMapView
+};
+
+// From contactsPanel.js
+export {
+    updateContactsPanel
+};
+
+// From altitudeChart.js
+export {
+    updateAltitudeChart
+};
+
+// From moonEventsPanel.js
+export {
+    updateMoonEventsPanel
+};
+
+// From skyView.js
+export {
+    updateSkyView
+};
+
+// From timeline.js
+export {
+    updateTimeline
+};
+
+// From issAlerts.js
+export {
+    updateISSAlerts
+};
+
 /**
  * Dispose UI system (cleanup)
  * Disposes all sub-modules
@@ -144,6 +206,15 @@ export function disposeUI() {
     disposePanels();
     disposeEvents();
     disposeModals();
+    disposeMapView();
+    disposeContactsPanel();
+    disposeAltitudeChart();
+    disposeMoonEventsPanel();
+    disposeEventSearchPanel();
+    disposeSkyView();
+    disposeTimeline();
+    disposeTourPlayer();
+    disposeISSAlerts();
 
     // Reset references
     appRenderer = null;
@@ -158,6 +229,7 @@ export function disposeUI() {
 export default {
     initUI,
     registerClickableObject,
+    unregisterClickableObject,
     reregisterAllClickableObjects,
     updateFPS,
     updateSimulationDate,
@@ -168,5 +240,7 @@ export default {
     refocusOnLockedObject,
     getLockedObjectKey,
     updateRealTimeViewButtonState,
+    updateMapView,
+    updateContactsPanel,
     disposeUI
 };
@@ -1,10 +1,27 @@
 /**
  * API Integration Module
- * Handles ISS position API requests with error handling and retry logic
+ * Handles ISS position API requests with error handling and retry logic.
+ * Positions come from the providers in API.ISS_PROVIDERS (see issProviders.js),
+ * tried in order with per-provider health tracking and automatic failover.
+ * Validated positions are recorded (telemetry.js) and can be replayed in sync with simulation time.
  */
 
-import { API, ISS_ORBIT_ALTITUDE } from './constants.js';
-import { validateISSResponse, validateCoordinates, validateNumber, validatePositive } from './validation.js';
+import { API, ISS_ORBIT_ALTITUDE, ISS_TLE } from './constants.js';
+import { validateCoordinates, validatePositive, validateArray, ValidationError } from './validation.js';
+import { parseTLE, parseTLEText, getTLEAgeDays } from './tle.js';
+import { initializeSGP4, propagate, propagateToGeodetic } from './sgp4.js';
+import { periodFromMeanMotion } from './groundTrack.js';
+import { computeOrbitShape, decayRateFromMeanMotionDot } from './orbitDecay.js';
+import { predictPasses } from './passPredictor.js';
+import { scheduleContacts } from './contactScheduler.js';
+import { createProvider } from './issProviders.js';
+import { telemetryRecorder } from './telemetry.js';
+import { timeManager } from './time.js';
+
+/**
+ * How often replay checks the simulation clock for the next recorded sample (ms)
+ */
+const REPLAY_TICK_INTERVAL = 100;
 
 /**
  * ISS API Manager class
@@ -18,86 +35,333 @@ class ISSAPIManager {
         this.errorCount = 0; // Track consecutive errors
         this.maxErrorCount = 5; // Max errors before falling back to mock data
         this.updateCallbacks = []; // Callbacks to notify on position update
+        this.tle = null; // Parsed two-line elements used for propagation
+        this.satrec = null; // SGP4 record initialized from this.tle
+        this.dragFreeSatrec = null; // Same elements without drag, for dates far from the TLE epoch
+        this.providers = []; // Position providers in failover order
+        this.providerHealth = new Map(); // provider name -> health record
+        this.activeProvider = null; // Name of the provider that supplied the last position
+        this.recorder = telemetryRecorder; // Where validated positions are recorded
+        this.replay = null; // {samples, index, intervalId} while replaying a recording
+
+        // Start from the bundled TLE so propagation works offline
+        try {
+            this.loadTLE(ISS_TLE.LINE1, ISS_TLE.LINE2, ISS_TLE.NAME);
+        } catch (error) {
+            console.error('❌ Failed to load bundled ISS TLE:', error.message);
+        }
+
+        this.setProviders(API.ISS_PROVIDERS);
     }
 
     /**
-     * Fetch current ISS position from API
-     * @returns {Promise<Object>} ISS position data {latitude, longitude, altitude, timestamp}
+     * Configure the position providers and their failover order
+     * @param {Array<Object>} providers - Provider configs ({type, url, ...}) or provider objects
+     *                                    (anything with name and fetchPosition())
+     * @returns {Array<Object>} The active providers
+     * @throws {ValidationError} If the list is empty or a type is unknown
      */
-    async fetchISSPosition() {
-        // Prevent concurrent requests
-        if (this.isUpdating) {
-            return this.lastPosition;
+    setProviders(providers) {
+        validateArray(providers, 'providers', 1);
+
+        const context = { propagate: (date) => this.getPropagatedPosition(date) };
+        this.providers = providers.map(entry => (
+            typeof entry.fetchPosition === 'function' ? entry : createProvider(entry, context)
+        ));
+
+        this.providerHealth = new Map(this.providers.map(provider => [provider.name, {
+            name: provider.name,
+            label: provider.label || provider.name,
+            status: 'unknown', // 'unknown', 'healthy', 'degraded' or 'down'
+            successCount: 0,
+            failureCount: 0,
+            consecutiveFailures: 0,
+            lastSuccessTime: null,
+            lastFailureTime: null,
+            lastError: null,
+            latencyMs: null,
+            skipUntil: 0
+        }]));
+        this.activeProvider = null;
+
+        console.log(`🔌 ISS providers: ${this.providers.map(provider => provider.name).join(' → ')}`);
+        return this.providers;
+    }
+
+    /**
+     * Get the configured providers in failover order
+     * @returns {Array<Object>} Providers
+     */
+    getProviders() {
+        return [...this.providers];
+    }
+
+    /**
+     * Try each provider in order until one returns a valid position
+     * Providers that keep failing are skipped for API.PROVIDER_COOLDOWN, unless every provider is cooling down.
+     * @private
+     * @returns {Promise<Object>} {position, provider}
+     * @throws {Error} If every provider failed
+     */
+    async fetchFromProviders() {
+        const now = Date.now();
+        const available = this.providers.filter(provider => this.providerHealth.get(provider.name).skipUntil <= now);
+        const candidates = available.length > 0 ? available : this.providers;
+        const failures = [];
+
+        for (const provider of candidates) {
+            const startTime = Date.now();
+            try {
+                const position = await provider.fetchPosition();
+                validateCoordinates(position.latitude, position.longitude);
+                this.recordProviderSuccess(provider, Date.now() - startTime);
+                return { position, provider };
+            } catch (error) {
+                this.recordProviderFailure(provider, error);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
         }
 
-        this.isUpdating = true;
+        throw new Error(`All ISS providers failed (${failures.join('; ')})`);
+    }
 
-        try {
-            console.log(`🌐 fetchISSPosition: Starting fetch to ${API.ISS_URL}`);
-            console.log(`⏱️ Timeout set to ${API.TIMEOUT}ms`);
-
-            // BUG FIX: Use Promise.race to guarantee timeout works
-            // AbortController doesn't always work reliably in all environments
-            const fetchPromise = (async () => {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => {
-                    console.log('⏰ Fetch timeout! Aborting...');
-                    controller.abort();
-                }, API.TIMEOUT);
-
-                try {
-                    console.log('📡 Calling fetch()...');
-                    const response = await fetch(API.ISS_URL, {
-                        signal: controller.signal,
-                        method: 'GET',
-                        headers: {
-                            'Accept': 'application/json'
-                        }
-                    });
-                    clearTimeout(timeoutId);
-                    return response;
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-            })();
-
-            // Timeout promise that rejects after API.TIMEOUT
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    reject(new Error('Fetch timeout (Promise.race)'));
-                }, API.TIMEOUT);
-            });
+    /**
+     * Update health after a successful fetch
+     * @private
+     * @param {Object} provider - Provider that succeeded
+     * @param {number} latencyMs - Request duration
+     */
+    recordProviderSuccess(provider, latencyMs) {
+        const health = this.providerHealth.get(provider.name);
+        health.successCount++;
+        health.consecutiveFailures = 0;
+        health.lastSuccessTime = Date.now();
+        health.latencyMs = latencyMs;
+        health.skipUntil = 0;
+        health.status = 'healthy';
+
+        if (this.activeProvider !== provider.name) {
+            if (this.activeProvider !== null) {
+                console.warn(`🔀 ISS data source switched to ${health.label}`);
+                this.showUserNotification('ISS Data Source Changed', `Now receiving ISS positions from ${health.label}.`);
+            }
+            this.activeProvider = provider.name;
+        }
+    }
 
-            // Race between fetch and timeout
-            console.log('🏁 Racing fetch vs timeout...');
-            const response = await Promise.race([fetchPromise, timeoutPromise]);
-            console.log('✅ Fetch won the race!');
+    /**
+     * Update health after a failed fetch
+     * @private
+     * @param {Object} provider - Provider that failed
+     * @param {Error} error - The failure
+     */
+    recordProviderFailure(provider, error) {
+        const health = this.providerHealth.get(provider.name);
+        health.failureCount++;
+        health.consecutiveFailures++;
+        health.lastFailureTime = Date.now();
+        health.lastError = error.message;
+        health.status = 'degraded';
+
+        if (health.consecutiveFailures >= API.PROVIDER_FAILURE_THRESHOLD) {
+            health.status = 'down';
+            health.skipUntil = Date.now() + API.PROVIDER_COOLDOWN;
+        }
 
-            // Check if response is OK
+        console.warn(`⚠️ ISS provider ${provider.name} failed (${health.consecutiveFailures} in a row):`, error.message);
+    }
+
+    /**
+     * Get health information for every provider
+     * @returns {Array<Object>} Health records in failover order
+     */
+    getProviderHealth() {
+        return this.providers.map(provider => ({ ...this.providerHealth.get(provider.name) }));
+    }
+
+    /**
+     * Load a two-line element set for SGP4 propagation
+     * @param {string} line1 - TLE line 1
+     * @param {string} line2 - TLE line 2
+     * @param {string} name - Satellite name (optional)
+     * @returns {Object} Parsed TLE elements
+     * @throws {ValidationError} If the TLE is malformed
+     */
+    loadTLE(line1, line2, name = '') {
+        const elements = parseTLE(line1, line2, name);
+        this.satrec = initializeSGP4(elements);
+        this.dragFreeSatrec = initializeSGP4({ ...elements, bstar: 0 });
+        this.tle = elements;
+        console.log(`🛰️ Loaded TLE for ${elements.name} (epoch ${elements.epoch.toISOString()})`);
+        return elements;
+    }
+
+    /**
+     * Fetch a fresh ISS TLE from API.ISS_TLE_URL and load it
+     * Keeps the current TLE if the request fails.
+     * @returns {Promise<boolean>} True if a new TLE was loaded
+     */
+    async fetchTLE() {
+        try {
+            const response = await fetch(API.ISS_TLE_URL, { method: 'GET' });
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            // Parse JSON response
-            const data = await response.json();
+            const [elements] = parseTLEText(await response.text());
+            if (!elements) {
+                throw new Error('No valid TLE in response');
+            }
+
+            this.loadTLE(elements.line1, elements.line2, elements.name);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch ISS TLE, keeping ${this.tle ? this.tle.name : 'none'}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a TLE is loaded and propagation is available
+     * @returns {boolean} True if getPropagatedPosition() can be used
+     */
+    hasTLE() {
+        return !!this.satrec;
+    }
+
+    /**
+     * Propagate the loaded TLE to any date with SGP4
+     * Dates more than ISS_TLE.MAX_AGE_DAYS from the TLE epoch are propagated without
+     * drag (marked isExtrapolated) so the station stays on a plausible orbit.
+     * @param {Date} date - Target date (default: now)
+     * @returns {Object|null} Position {latitude, longitude, altitude, velocity, timestamp, ...} or null if unavailable
+     */
+    getPropagatedPosition(date = new Date()) {
+        if (!this.satrec) return null;
+
+        const ageDays = getTLEAgeDays(this.tle, date);
+        const isExtrapolated = Math.abs(ageDays) > ISS_TLE.MAX_AGE_DAYS;
+
+        try {
+            const state = propagateToGeodetic(isExtrapolated ? this.dragFreeSatrec : this.satrec, date);
+            return {
+                latitude: state.latitude,
+                longitude: state.longitude,
+                altitude: state.altitude,
+                velocity: state.velocity,
+                timestamp: state.timestamp,
+                eci: state.eci,
+                message: 'SGP4 propagation',
+                isPropagated: true,
+                isExtrapolated
+            };
+        } catch (error) {
+            console.warn(`⚠️ ISS propagation failed for ${date.toISOString()}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get information about the loaded TLE
+     * @param {Date} date - Date to measure the TLE age against (default: now)
+     * @returns {Object|null} {name, epoch, ageDays, periodMinutes, meanAltitude, apogeeAltitude, perigeeAltitude
+     *   (km above the equatorial radius), decayRateKmPerDay} or null if no TLE is loaded
+     */
+    getTLEInfo(date = new Date()) {
+        if (!this.tle) return null;
+        const { meanMotionRevPerDay, eccentricity, meanMotionDot } = this.tle;
+        const shape = computeOrbitShape(meanMotionRevPerDay, eccentricity);
+        return {
+            name: this.tle.name,
+            epoch: this.tle.epoch,
+            ageDays: getTLEAgeDays(this.tle, date),
+            periodMinutes: periodFromMeanMotion(meanMotionRevPerDay),
+            meanAltitude: shape.meanAltitude,
+            apogeeAltitude: shape.apogeeAltitude,
+            perigeeAltitude: shape.perigeeAltitude,
+            decayRateKmPerDay: decayRateFromMeanMotionDot(meanMotionRevPerDay, meanMotionDot)
+        };
+    }
+
+    /**
+     * Altitude to use when neither the data source nor a propagation gives one
+     * @private
+     * @returns {number} The TLE's mean altitude, or ISS_ORBIT_ALTITUDE without a TLE (km)
+     */
+    getAssumedAltitude() {
+        return this.tle ? this.getTLEInfo().meanAltitude : ISS_ORBIT_ALTITUDE;
+    }
+
+    /**
+     * Predict ISS passes over a ground observer from the loaded TLE
+     * @param {Object} location - Observer {latitude, longitude, elevation (m)}
+     * @param {Date} startDate - Start of the search window (default: now)
+     * @param {Object} options - Options passed to predictPasses() (days, minElevation, ...)
+     * @returns {Array<Object>} Predicted passes (empty if no TLE is loaded)
+     */
+    predictPasses(location, startDate = new Date(), options = {}) {
+        if (!this.satrec) return [];
+        return predictPasses(this.getTEMEPropagator(startDate), location, startDate, options);
+    }
+
+    /**
+     * Compute ISS contact windows (AOS/LOS) over ground stations from the loaded TLE
+     * @param {Array<Object>} stations - Stations {id, name, latitude, longitude, elevation (m), minElevation (deg)}
+     * @param {Date} startDate - Start of the range
+     * @param {Date} endDate - End of the range
+     * @returns {Array<Object>} Windows from scheduleContacts() (empty if no TLE is loaded)
+     */
+    scheduleContacts(stations, startDate, endDate) {
+        if (!this.satrec) return [];
+        return scheduleContacts(this.getTEMEPropagator(startDate), stations, startDate, endDate);
+    }
+
+    /**
+     * Build a TEME position function for pass searches starting at a date
+     * Far from the TLE epoch the drag-free elements are used, as in getPropagatedPosition().
+     * @param {Date} startDate - Start of the search
+     * @returns {Function} (date) => TEME position {x, y, z} in km, or null if propagation fails
+     * @private
+     */
+    getTEMEPropagator(startDate) {
+        const isExtrapolated = Math.abs(getTLEAgeDays(this.tle, startDate)) > ISS_TLE.MAX_AGE_DAYS;
+        const satrec = isExtrapolated ? this.dragFreeSatrec : this.satrec;
+        return (date) => {
+            try {
+                return propagate(satrec, date).position;
+            } catch (error) {
+                return null;
+            }
+        };
+    }
+
+    /**
+     * Fetch current ISS position from the first provider that answers
+     * @returns {Promise<Object>} ISS position data {latitude, longitude, altitude, velocity, timestamp, provider,
+     *   altitudeSource ('provider', 'tle', or 'assumed' when neither gives an altitude)}
+     */
+    async fetchISSPosition() {
+        // Prevent concurrent requests; a running replay supplies positions instead of the network
+        if (this.isUpdating || this.replay) {
+            return this.lastPosition;
+        }
 
-            // Validate response structure using validation utility
-            validateISSResponse(data);
+        this.isUpdating = true;
 
-            // Extract and format position data
-            const latitude = parseFloat(data.iss_position.latitude);
-            const longitude = parseFloat(data.iss_position.longitude);
+        try {
+            const { position: fetched, provider } = await this.fetchFromProviders();
 
-            // Validate coordinates using validation utility
-            validateCoordinates(latitude, longitude);
+            // Not every provider reports altitude/velocity - take them from the TLE when we have one
+            const propagated = fetched.altitude === undefined || fetched.velocity === undefined
+                ? this.getPropagatedPosition(new Date(fetched.timestamp))
+                : null;
 
             const position = {
-                latitude,
-                longitude,
-                altitude: ISS_ORBIT_ALTITUDE, // API doesn't provide altitude, use constant
-                timestamp: data.timestamp * 1000, // Convert to milliseconds
-                message: data.message || 'success'
+                ...fetched,
+                altitude: fetched.altitude ?? (propagated ? propagated.altitude : this.getAssumedAltitude()),
+                altitudeSource: fetched.altitude !== undefined ? 'provider' : propagated ? 'tle' : 'assumed',
+                velocity: fetched.velocity ?? (propagated ? propagated.velocity : undefined),
+                provider: provider.name
             };
 
             // Update cache
@@ -105,6 +369,8 @@ class ISSAPIManager {
             this.lastUpdateTime = Date.now();
             this.errorCount = 0; // Reset error count on success
 
+            this.recordPosition(position);
+
             // Notify callbacks
             this.notifyCallbacks(position);
 
@@ -146,6 +412,141 @@ class ISSAPIManager {
         }
     }
 
+    /**
+     * Add a validated position to the telemetry recording
+     * @private
+     * @param {Object} position - Position from a provider
+     */
+    recordPosition(position) {
+        if (!this.recorder) return;
+        try {
+            // Keep assumed altitudes out of the altitude history
+            this.recorder.record(position.altitudeSource === 'assumed' ? { ...position, altitude: null } : position);
+        } catch (error) {
+            console.warn('⚠️ Could not record ISS telemetry:', error.message);
+        }
+    }
+
+    /**
+     * Replay recorded telemetry through the update callbacks
+     * Samples are emitted when simulation time reaches their timestamp, so pausing,
+     * speeding up or scrubbing the clock controls playback.
+     * @param {Array<Object>} samples - Recorded samples (default: the current recording)
+     * @param {Object} options - Replay options
+     * @param {boolean} options.jumpToStart - Move simulation time to the first sample (default: true)
+     * @param {number} options.speed - Time speed to set when jumping to the start (default: 1, real time)
+     * @param {boolean} options.autoTick - Poll the clock automatically; disable to drive updateReplay() by hand (default: true)
+     * @returns {number} Number of samples being replayed
+     * @throws {ValidationError} If there is nothing to replay
+     */
+    startReplay(samples = this.recorder ? this.recorder.getSamples() : [], { jumpToStart = true, speed = 1, autoTick = true } = {}) {
+        validateArray(samples, 'samples');
+        if (samples.length === 0) {
+            throw new ValidationError('No recorded ISS telemetry to replay', 'samples', 'non-empty array', samples);
+        }
+
+        this.stopReplay();
+        this.replay = {
+            samples: [...samples].sort((a, b) => a.timestamp - b.timestamp),
+            index: -1,
+            intervalId: null
+        };
+
+        if (jumpToStart) {
+            timeManager.setSimulationDate(new Date(this.replay.samples[0].timestamp));
+            timeManager.setTimeSpeed(speed);
+        }
+
+        if (autoTick) {
+            this.replay.intervalId = setInterval(() => this.updateReplay(), REPLAY_TICK_INTERVAL);
+        }
+
+        console.log(`📼 Replaying ${samples.length} ISS telemetry samples`);
+        this.updateReplay();
+        return samples.length;
+    }
+
+    /**
+     * Emit the recorded sample for the current simulation time (if it changed)
+     * @param {Date} date - Playback time (default: timeManager.getSimulationDate())
+     * @returns {Object|null} The emitted position, or null if nothing new was due
+     */
+    updateReplay(date = timeManager.getSimulationDate()) {
+        if (!this.replay) return null;
+
+        const { samples } = this.replay;
+        const time = date.getTime();
+
+        // Last sample at or before the playback time (-1 before the recording starts)
+        let low = -1;
+        let high = samples.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (samples[mid].timestamp <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (low === this.replay.index || low < 0) return null;
+        this.replay.index = low;
+
+        const sample = samples[low];
+        const position = {
+            latitude: sample.latitude,
+            longitude: sample.longitude,
+            altitude: sample.altitude ?? this.getAssumedAltitude(),
+            altitudeSource: Number.isFinite(sample.altitude) ? 'recorded' : 'assumed',
+            velocity: sample.velocity ?? undefined,
+            timestamp: sample.timestamp,
+            provider: 'replay',
+            recordedSource: sample.source,
+            message: 'recorded replay',
+            isReplay: true
+        };
+
+        this.lastPosition = position;
+        this.lastUpdateTime = Date.now();
+        this.notifyCallbacks(position);
+        return position;
+    }
+
+    /**
+     * Stop replaying and return to live providers
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        if (this.replay.intervalId !== null) {
+            clearInterval(this.replay.intervalId);
+        }
+        this.replay = null;
+        console.log('📼 Replay stopped');
+    }
+
+    /**
+     * Check whether a recording is being replayed
+     * @returns {boolean} True while replaying
+     */
+    isReplaying() {
+        return !!this.replay;
+    }
+
+    /**
+     * Get replay progress
+     * @returns {Object|null} {index, total, startTime, endTime} or null when not replaying
+     */
+    getReplayProgress() {
+        if (!this.replay) return null;
+        const { samples, index } = this.replay;
+        return {
+            index,
+            total: samples.length,
+            startTime: samples[0].timestamp,
+            endTime: samples[samples.length - 1].timestamp
+        };
+    }
+
     /**
      * Get mock ISS position for offline/fallback mode
      * Simulates ISS orbit using simple circular motion
@@ -164,7 +565,8 @@ class ISSAPIManager {
         return {
             latitude: latitude,
             longitude: longitude,
-            altitude: ISS_ORBIT_ALTITUDE,
+            altitude: this.getAssumedAltitude(),
+            altitudeSource: 'assumed',
             timestamp: now,
             message: 'mock data (API unavailable)',
             isMock: true
@@ -323,7 +725,8 @@ class ISSAPIManager {
 
     /**
      * Get API status information
-     * @returns {Object} Status object with error count, cache info, etc.
+     * @returns {Object} Status object with error count, cache info, active provider and
+     *                   per-provider health (see getProviderHealth()), etc.
      */
     getStatus() {
         return {
@@ -333,7 +736,12 @@ class ISSAPIManager {
             isStale: this.isPositionStale(),
             errorCount: this.errorCount,
             isHealthy: this.errorCount < this.maxErrorCount,
-            isUpdating: this.isUpdating
+            isUpdating: this.isUpdating,
+            activeProvider: this.activeProvider,
+            isReplaying: this.isReplaying(),
+            recordedSamples: this.recorder ? this.recorder.getCount() : 0,
+            providers: this.getProviderHealth(),
+            tle: this.getTLEInfo()
         };
     }
 }
@@ -0,0 +1,223 @@
+/**
+ * ISS Attitude Module
+ * Local-vertical/local-horizontal (LVLH) attitude frame and ideal sun-tracking angles
+ * for the station's solar array gimbals.
+ *
+ * The ISS normally flies "XVV": +X along the velocity vector, +Z toward nadir and
+ * +Y = Z × X toward starboard (the negative orbit normal). Two Solar Alpha Rotary Joints
+ * (SARJ) on the truss turn the outboard arrays about Y once per orbit, and each of the
+ * eight wings has a Beta Gimbal Assembly (BGA) that tilts it about its long axis to
+ * follow the Sun out of the orbit plane.
+ *
+ * Vectors are Earth-centered with Z toward the North Pole (ECEF axes, km). Velocities
+ * must be inertial (ECEF velocity plus Earth's rotation) so the frame follows the
+ * 51.6° orbit plane rather than the ground track.
+ *
+ * @module attitude
+ */
+
+import { DEG_TO_RAD, RAD_TO_DEG, EARTH_ROTATION_DEG_PER_MS } from './constants.js';
+import { geographicToEcef } from './coordinates.js';
+import { greenwichSiderealTime, dateToJulianDate, temeToEcef } from './sgp4.js';
+import { getSunPosition } from './solar.js';
+import { validatePosition3D, ValidationError } from './validation.js';
+
+/**
+ * Earth's rotation rate in rad/s
+ */
+const EARTH_ROTATION_RAD_PER_S = EARTH_ROTATION_DEG_PER_MS * 1000 * DEG_TO_RAD;
+
+/**
+ * The eight solar array wings, grouped by the SARJ that carries them
+ * Starboard wings are on the S4/S6 truss segments, port wings on P4/P6.
+ */
+export const ISS_SOLAR_WINGS = [
+    { id: '1A', side: 'starboard', segment: 'S4' },
+    { id: '3A', side: 'starboard', segment: 'S4' },
+    { id: '1B', side: 'starboard', segment: 'S6' },
+    { id: '3B', side: 'starboard', segment: 'S6' },
+    { id: '2A', side: 'port', segment: 'P4' },
+    { id: '4A', side: 'port', segment: 'P4' },
+    { id: '2B', side: 'port', segment: 'P6' },
+    { id: '4B', side: 'port', segment: 'P6' }
+];
+
+/**
+ * Vector helpers
+ */
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+
+/**
+ * Normalize a vector
+ * @param {Object} v - Vector {x, y, z}
+ * @param {string} paramName - Name used in the error
+ * @returns {Object} Unit vector
+ * @throws {ValidationError} If the vector has zero length
+ */
+function normalize(v, paramName) {
+    const length = Math.sqrt(dot(v, v));
+    if (!(length > 0)) {
+        throw new ValidationError(`${paramName} must be a non-zero vector`, paramName, 'non-zero vector', v);
+    }
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Wrap an angle into [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Wrapped angle
+ */
+function wrap360(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Build the LVLH (XVV) frame of an orbiting body
+ * @param {Object} position - Position {x, y, z} from Earth's center
+ * @param {Object} velocity - Inertial velocity {x, y, z} in the same axes
+ * @returns {Object} Unit axes {x: along-track, y: negative orbit normal, z: nadir}
+ * @throws {ValidationError} If the vectors are invalid or parallel
+ */
+export function computeLVLHFrame(position, velocity) {
+    validatePosition3D(position);
+    validatePosition3D(velocity);
+
+    const z = normalize({ x: -position.x, y: -position.y, z: -position.z }, 'position');
+    const y = normalize(cross(z, velocity), 'velocity');
+    const x = cross(y, z); // Along-track, perpendicular to the radial even on an eccentric orbit
+
+    return { x, y, z };
+}
+
+/**
+ * Express a vector in an LVLH frame
+ * @param {Object} frame - Frame from computeLVLHFrame()
+ * @param {Object} vector - Vector {x, y, z} in the frame's parent axes
+ * @returns {Object} Components {x, y, z} along the frame axes
+ */
+export function toLVLH(frame, vector) {
+    return { x: dot(vector, frame.x), y: dot(vector, frame.y), z: dot(vector, frame.z) };
+}
+
+/**
+ * Station state from an SGP4 result
+ * @param {Object} eci - TEME vectors {position (km), velocity (km/s)} from propagate()
+ * @param {Date} date - Date of the state
+ * @returns {Object} {position, velocity} in ECEF axes; the velocity stays inertial
+ */
+export function stateFromTEME(eci, date) {
+    const gmst = greenwichSiderealTime(dateToJulianDate(date));
+    return {
+        position: temeToEcef(eci.position, gmst),
+        velocity: temeToEcef(eci.velocity, gmst)
+    };
+}
+
+/**
+ * Station state from two timed position samples (live data has no velocity vector)
+ * @param {Object} from - Earlier sample {latitude, longitude, altitude, timestamp}
+ * @param {Object} to - Later sample (same shape)
+ * @returns {Object|null} {position, velocity} in ECEF axes (velocity inertial, km/s) at `to`,
+ *   or null if the samples are not ordered in time
+ */
+export function stateFromSamples(from, to) {
+    const seconds = (to.timestamp - from.timestamp) / 1000;
+    if (!(seconds > 0)) return null;
+
+    const a = geographicToEcef(from.latitude, from.longitude, from.altitude ?? 0);
+    const b = geographicToEcef(to.latitude, to.longitude, to.altitude ?? 0);
+    const groundVelocity = { x: (b.x - a.x) / seconds, y: (b.y - a.y) / seconds, z: (b.z - a.z) / seconds };
+
+    // Add ω × r to go from Earth-fixed to inertial velocity
+    return {
+        position: b,
+        velocity: {
+            x: groundVelocity.x - EARTH_ROTATION_RAD_PER_S * b.y,
+            y: groundVelocity.y + EARTH_ROTATION_RAD_PER_S * b.x,
+            z: groundVelocity.z
+        }
+    };
+}
+
+/**
+ * Direction of the Sun from Earth's center
+ * @param {Date} date - Date (UTC)
+ * @returns {Object} Unit vector {x, y, z} in ECEF axes
+ */
+export function getSunDirection(date) {
+    const gmst = greenwichSiderealTime(dateToJulianDate(date));
+    return normalize(temeToEcef(getSunPosition(date).eci, gmst), 'sun');
+}
+
+/**
+ * Ideal sun-tracking angles for every solar array wing
+ *
+ * Conventions (this model's, not flight telemetry's):
+ * - alpha: SARJ angle about the truss, 0° when the array faces zenith, increasing with
+ *   the apparent motion of the Sun (about +360° per orbit). The port joint is mounted
+ *   mirrored, so its angle runs the other way.
+ * - beta: BGA tilt of a wing toward its own end of the truss (outboard), so starboard and
+ *   port wings carry opposite signs for the same Sun.
+ *
+ * @param {Object} frame - LVLH frame from computeLVLHFrame()
+ * @param {Object} sunDirection - Unit vector toward the Sun in the frame's parent axes
+ * @returns {Object} {sun: Sun in LVLH, solarBeta (angle between the Sun and the orbit plane, degrees),
+ *   alpha: {starboard, port}, beta: {starboard, port}, wings: [{id, side, segment, alpha, beta}]}
+ */
+export function computeSolarArrayAngles(frame, sunDirection) {
+    validatePosition3D(sunDirection);
+    const sun = toLVLH(frame, normalize(sunDirection, 'sunDirection'));
+
+    // Rotating about +Y by alpha turns the zenith-facing normal (0, 0, -1) to (-sin α, 0, -cos α)
+    const starboardAlpha = wrap360(Math.atan2(-sun.x, -sun.z) * RAD_TO_DEG);
+    const outboardTilt = Math.asin(Math.max(-1, Math.min(1, sun.y))) * RAD_TO_DEG;
+
+    const alpha = { starboard: starboardAlpha, port: wrap360(-starboardAlpha) };
+    const beta = { starboard: outboardTilt, port: -outboardTilt };
+
+    return {
+        sun,
+        solarBeta: -outboardTilt, // +Y is the negative orbit normal
+        alpha,
+        beta,
+        wings: ISS_SOLAR_WINGS.map(wing => ({
+            ...wing,
+            alpha: alpha[wing.side],
+            beta: beta[wing.side]
+        }))
+    };
+}
+
+/**
+ * Attitude and array angles of the station at a date
+ * @param {Object} state - {position, velocity} from stateFromTEME() or stateFromSamples()
+ * @param {Date} date - Date of the state (for the Sun direction)
+ * @returns {Object} {frame, sunDirection, timestamp, ...computeSolarArrayAngles()}
+ */
+export function computeISSAttitude(state, date) {
+    const frame = computeLVLHFrame(state.position, state.velocity);
+    const sunDirection = getSunDirection(date);
+
+    return {
+        frame,
+        sunDirection,
+        timestamp: date.getTime(),
+        ...computeSolarArrayAngles(frame, sunDirection)
+    };
+}
+
+export default {
+    ISS_SOLAR_WINGS,
+    computeLVLHFrame,
+    toLVLH,
+    stateFromTEME,
+    stateFromSamples,
+    getSunDirection,
+    computeSolarArrayAngles,
+    computeISSAttitude
+};
@@ -0,0 +1,8889 @@
+/**
+ * Bright Star Data
+ * Stars from the Hipparcos catalogue (ESA 1997, CDS I/239) for the starfield (see starCatalog.js).
+ * Rows: [HIP number, right ascension (deg), declination (deg), V magnitude, B-V color index or null]
+ * Positions are equatorial J2000 (ICRS).
+ *
+ * Generated by scripts/buildStarCatalog.js: all 8874 stars to magnitude 6.5.
+ * Source: the XHIP compilation (Anderson & Francis 2012, CDS V/137D) as GeoJSON in d3-celestial,
+ * whose positions are already J2000.
+ */
+
+export const BRIGHT_STARS = [
+    [25, 0.0796, -44.2906, 6.28, 0.76],
+    [34, 0.0996, 26.9181, 6.43, 0.51],
+    [43, 0.1287, 59.5597, 6.18, 1.03],
+    [50, 0.1431, -53.0977, 6.49, 0.62],
+    [63, 0.1818, 45.2533, 6.36, -0.05],
+    [88, 0.2691, -48.8099, 5.71, 0.91],
+    [106, 0.3302, 49.9816, 6.22, 0.97],
+    [107, 0.3338, -50.3374, 5.53, 1.61],
+    [122, 0.3988, -77.0657, 4.78, 1.25],
+    [124, 0.4042, 61.2228, 5.58, 0.41],
+    [128, 0.4144, 73.6118, 6.50, 0.18],
+    [137, 0.4327, 42.3671, 6.25, -0.04],
+    [145, 0.4560, -3.0275, 5.13, -0.13],
+    [154, 0.4901, -6.0141, 4.37, 1.63],
+    [171, 0.5423, 27.0823, 5.80, 0.69],
+    [183, 0.5830, -29.7204, 5.04, -0.15],
+    [186, 0.6007, 8.9568, 6.33, 0.18],
+    [194, 0.6238, 8.4855, 5.70, 0.32],
+    [207, 0.6504, 66.0990, 5.87, 1.07],
+    [238, 0.7395, -20.0459, 6.25, 0.53],
+    [253, 0.7827, -24.1451, 6.46, 1.18],
+    [274, 0.8571, 63.6405, 6.24, 0.33],
+    [301, 0.9350, -17.3360, 4.55, -0.05],
+    [302, 0.9652, 66.7122, 6.31, 1.63],
+    [330, 1.0569, 62.2877, 5.90, 0.27],
+    [343, 1.0825, -16.5290, 5.78, 1.08],
+    [345, 1.0847, -29.2688, 6.38, 0.01],
+    [355, 1.1255, -10.5095, 4.99, 1.62],
+    [365, 1.1524, 42.0925, 6.11, 0.16],
+    [377, 1.1721, -71.4369, 5.59, -0.10],
+    [379, 1.1749, 67.1664, 5.68, 1.05],
+    [394, 1.2240, 34.6598, 6.09, 0.63],
+    [399, 1.2333, 26.6488, 6.25, 1.37],
+    [410, 1.2550, 27.6748, 6.47, 0.95],
+    [417, 1.2659, -0.5030, 6.32, 1.10],
+    [418, 1.2756, 61.3140, 5.80, -0.07],
+    [443, 1.3339, -5.7076, 4.61, 1.03],
+    [476, 1.4248, 13.3963, 5.55, 0.90],
+    [518, 1.5659, 58.4367, 5.98, 0.69],
+    [522, 1.5799, -49.0752, 5.70, 0.52],
+    [531, 1.6106, 64.1962, 5.57, -0.02],
+    [544, 1.6533, 29.0215, 6.07, 0.75],
+    [560, 1.7087, -23.1075, 6.19, 0.39],
+    [602, 1.8261, -17.3870, 6.20, 0.13],
+    [635, 1.9338, -2.5487, 6.43, -0.15],
+    [636, 1.9454, -22.5086, 5.93, 0.14],
+    [655, 2.0145, -33.5293, 5.67, 1.12],
+    [664, 2.0504, -2.4477, 6.18, 1.37],
+    [671, 2.0731, -8.8241, 5.99, 1.03],
+    [677, 2.0969, 29.0904, 2.07, -0.04],
+    [695, 2.1369, 63.2040, 6.41, 1.00],
+    [696, 2.1396, -17.5782, 6.11, 1.66],
+    [699, 2.1706, 36.6271, 6.21, 0.50],
+    [716, 2.2172, 25.4630, 6.24, 0.98],
+    [728, 2.2507, 28.2475, 6.47, 0.24],
+    [729, 2.2601, 18.2120, 5.57, 1.04],
+    [730, 2.2600, -54.0019, 6.32, 0.74],
+    [746, 2.2945, 59.1498, 2.28, 0.38],
+    [760, 2.3341, 79.7145, 6.01, 0.20],
+    [761, 2.3378, -27.9879, 5.42, 0.41],
+    [765, 2.3527, -45.7474, 3.88, 1.01],
+    [798, 2.4672, -62.2968, 6.34, 0.16],
+    [813, 2.5092, 11.1458, 5.54, -0.06],
+    [814, 2.5091, -82.2240, 5.29, 1.05],
+    [840, 2.5786, -5.2486, 5.84, 0.97],
+    [841, 2.5802, 46.0723, 5.01, 0.41],
+    [873, 2.6785, -12.5799, 5.84, 1.00],
+    [910, 2.8161, -15.4680, 4.89, 0.49],
+    [930, 2.8934, -27.7997, 5.41, 1.35],
+    [950, 2.9334, -35.1331, 5.24, 0.46],
+    [967, 2.9962, 48.1524, 6.18, 1.47],
+    [983, 3.0416, -17.9383, 5.29, 1.48],
+    [1009, 3.1424, 44.7072, 6.50, 1.11],
+    [1067, 3.3090, 15.1836, 2.83, -0.19],
+    [1074, 3.3318, -84.9940, 5.78, 1.71],
+    [1076, 3.3497, 26.9875, 6.24, 0.68],
+    [1086, 3.3785, 41.0354, 5.71, 0.33],
+    [1096, 3.4260, -26.0223, 5.94, 1.55],
+    [1099, 3.4349, -26.2850, 6.14, 1.49],
+    [1123, 3.5095, 33.2060, 6.22, 0.01],
+    [1158, 3.6151, -7.7805, 5.13, 1.60],
+    [1168, 3.6507, 20.2067, 4.79, 1.57],
+    [1170, 3.6601, -18.9329, 4.44, 1.64],
+    [1191, 3.7271, -9.5696, 5.77, -0.08],
+    [1193, 3.7329, 22.2842, 6.25, -0.00],
+    [1195, 3.7428, -34.9042, 6.17, 1.34],
+    [1196, 3.7452, 8.8210, 6.02, 0.31],
+    [1208, 3.7790, 31.5357, 6.34, 1.55],
+    [1215, 3.7940, 27.2834, 6.35, -0.00],
+    [1268, 3.9787, -75.9116, 6.49, 0.98],
+    [1269, 3.9785, 61.0002, 6.43, 0.84],
+    [1288, 4.0369, -31.4464, 5.66, 1.35],
+    [1296, 4.0581, 76.9508, 6.35, -0.04],
+    [1302, 4.0897, 43.5950, 6.12, 0.07],
+    [1319, 4.1418, 8.2402, 6.12, 0.92],
+    [1331, 4.1764, -20.2101, 6.50, -0.11],
+    [1354, 4.2377, 61.5332, 5.74, 0.90],
+    [1366, 4.2729, 38.6816, 4.61, 0.06],
+    [1372, 4.2877, 47.9474, 5.86, -0.08],
+    [1402, 4.3863, -19.0511, 6.46, 0.39],
+    [1415, 4.4294, 51.4331, 6.11, -0.15],
+    [1421, 4.4487, 1.6887, 6.19, 0.94],
+    [1465, 4.5719, 11.2062, 6.07, 1.04],
+    [1473, 4.5819, 36.7852, 4.51, 0.05],
+    [1493, 4.6594, 31.5172, 5.88, -0.01],
+    [1499, 4.6744, -8.0530, 6.47, 0.67],
+    [1501, 4.6757, 43.7911, 6.10, -0.07],
+    [1502, 4.6773, -43.2356, 6.33, 1.21],
+    [1562, 4.8570, -8.8239, 3.56, 1.21],
+    [1575, 4.9232, 40.7295, 6.35, 1.18],
+    [1599, 5.0178, -64.8748, 4.23, 0.58],
+    [1630, 5.1017, 30.9356, 5.89, -0.10],
+    [1639, 5.1289, 48.9686, 6.46, 0.56],
+    [1645, 5.1494, 8.1903, 5.38, 1.34],
+    [1647, 5.1627, -69.6249, 5.50, -0.05],
+    [1657, 5.1897, 32.9112, 5.79, 1.59],
+    [1686, 5.2803, 37.9686, 5.16, 0.44],
+    [1706, 5.3699, -77.4269, 5.96, 1.40],
+    [1708, 5.3800, -28.9815, 5.18, 1.01],
+    [1728, 5.4428, -20.0580, 5.61, 1.58],
+    [1772, 5.6062, 13.4825, 6.25, 1.23],
+    [1803, 5.7158, -12.2094, 6.39, 0.66],
+    [1821, 5.7683, -15.9426, 6.43, 1.59],
+    [1921, 6.0652, 52.0199, 5.58, -0.11],
+    [1939, 6.1235, -2.2191, 6.08, 1.22],
+    [1948, 6.1590, 14.3155, 6.48, 1.16],
+    [1960, 6.1979, 61.8311, 5.38, 0.01],
+    [1982, 6.2767, 53.0468, 5.72, -0.06],
+    [2006, 6.3509, 1.9397, 5.77, 0.85],
+    [2021, 6.4378, -77.2542, 2.82, 0.62],
+    [2072, 6.5508, -43.6798, 3.93, 0.17],
+    [2081, 6.5710, -42.3060, 2.40, 1.08],
+    [2086, 6.5906, -18.6936, 6.24, 1.62],
+    [2100, 6.6559, -0.0495, 6.16, 0.89],
+    [2159, 6.8113, -25.5472, 5.99, 1.02],
+    [2178, 6.8795, 16.0255, 6.44, 0.23],
+    [2210, 6.9821, -33.0072, 4.86, 1.63],
+    [2213, 6.9936, 19.5140, 6.40, 0.99],
+    [2219, 7.0121, 17.8931, 5.01, 1.58],
+    [2224, 7.0529, 16.4451, 6.05, 1.58],
+    [2225, 7.0569, 44.3945, 5.18, 0.04],
+    [2235, 7.0835, 10.1898, 6.05, 0.45],
+    [2237, 7.0879, -20.3351, 6.44, 0.59],
+    [2240, 7.1105, -39.9150, 5.42, 1.56],
+    [2256, 7.1797, -50.5329, 6.26, 1.09],
+    [2270, 7.2361, 36.8997, 6.28, 0.92],
+    [2337, 7.4662, -14.8641, 6.15, 0.39],
+    [2353, 7.5098, -3.9573, 5.72, 1.54],
+    [2355, 7.5307, 29.7516, 5.20, 0.27],
+    [2377, 7.5831, 59.9776, 5.94, -0.00],
+    [2381, 7.5944, -23.7877, 5.17, 0.13],
+    [2383, 7.6088, -48.2149, 5.67, 0.37],
+    [2388, 7.6159, -40.9396, 6.18, 0.32],
+    [2422, 7.7295, 77.0194, 6.18, 0.88],
+    [2472, 7.8541, -48.8035, 4.76, 0.02],
+    [2474, 7.8551, 66.5196, 6.18, -0.10],
+    [2475, 7.8568, 33.5816, 5.88, 1.13],
+    [2484, 7.8861, -62.9582, 4.36, -0.06],
+    [2487, 7.8895, -62.9656, 4.53, 0.15],
+    [2497, 7.9215, 52.8395, 5.59, 1.16],
+    [2505, 7.9432, 54.5223, 4.74, -0.10],
+    [2548, 8.0991, 6.9555, 5.69, -0.01],
+    [2568, 8.1479, 20.2943, 5.38, 1.07],
+    [2578, 8.1829, -63.0315, 5.07, 0.04],
+    [2583, 8.2045, 28.2802, 6.26, 0.96],
+    [2599, 8.2500, 62.9318, 4.17, 0.13],
+    [2611, 8.2933, 54.8950, 5.93, 1.04],
+    [2628, 8.3303, 70.9818, 6.41, -0.01],
+    [2629, 8.3473, -71.2662, 6.11, 0.27],
+    [2661, 8.4210, -29.5583, 5.55, 1.26],
+    [2663, 8.4325, -35.0021, 6.41, 0.62],
+    [2707, 8.6038, 66.7504, 6.47, -0.05],
+    [2711, 8.6160, -52.3731, 5.57, 0.47],
+    [2734, 8.7307, 13.3711, 6.39, 1.14],
+    [2762, 8.8120, -3.5928, 5.20, 0.57],
+    [2787, 8.8868, -0.5056, 5.94, 0.44],
+    [2789, 8.8889, -54.8219, 6.04, 1.00],
+    [2802, 8.9216, -48.0009, 5.51, 0.46],
+    [2832, 8.9783, 13.2071, 6.32, 0.52],
+    [2846, 9.0132, -14.9730, 6.45, 1.06],
+    [2852, 9.0286, -22.8423, 6.06, 0.30],
+    [2854, 9.0346, 54.1685, 5.08, -0.10],
+    [2876, 9.1139, 60.3262, 5.78, 0.29],
+    [2889, 9.1569, -65.1244, 6.43, 1.26],
+    [2900, 9.1935, 44.4886, 5.14, 1.59],
+    [2903, 9.1971, 15.2317, 5.89, -0.15],
+    [2912, 9.2202, 33.7193, 4.34, -0.12],
+    [2920, 9.2429, 53.8969, 3.69, -0.20],
+    [2926, 9.2800, 24.0141, 6.18, 1.17],
+    [2937, 9.3260, -54.3938, 6.40, 0.99],
+    [2941, 9.3363, -24.7673, 5.57, 0.71],
+    [2942, 9.3384, 35.3995, 5.45, 0.89],
+    [2954, 9.3770, 3.1354, 6.43, 1.34],
+    [3031, 9.6389, 29.3118, 4.34, 0.87],
+    [3056, 9.7033, -25.1078, 6.43, 1.48],
+    [3083, 9.7912, 49.3546, 5.45, 1.64],
+    [3092, 9.8320, 30.8610, 3.27, 1.27],
+    [3093, 9.8409, 21.2505, 5.88, 0.85],
+    [3132, 9.9469, 82.4938, 6.38, 0.55],
+    [3137, 9.9665, -44.7963, 6.00, 1.14],
+    [3138, 9.9815, 21.4385, 5.36, 1.16],
+    [3170, 10.1070, -59.4546, 5.89, 0.56],
+    [3175, 10.1191, -16.5167, 6.49, 0.91],
+    [3179, 10.1268, 56.5373, 2.24, 1.17],
+    [3185, 10.1367, -23.8049, 6.14, 0.72],
+    [3193, 10.1766, -4.3518, 5.90, 1.09],
+    [3231, 10.2799, 39.4587, 5.30, 0.89],
+    [3245, 10.3315, -46.0850, 4.59, 0.95],
+    [3269, 10.4002, 24.6290, 6.06, 0.30],
+    [3277, 10.4433, -56.5013, 5.72, 0.13],
+    [3299, 10.5143, 66.1476, 5.83, 1.04],
+    [3300, 10.5162, 50.5125, 4.80, -0.10],
+    [3330, 10.6182, -65.4680, 5.38, 0.52],
+    [3334, 10.6293, 58.7534, 6.18, -0.00],
+    [3352, 10.6748, -60.2628, 5.99, 1.32],
+    [3356, 10.6787, -38.4635, 6.05, -0.02],
+    [3405, 10.8385, -57.4631, 4.36, 0.02],
+    [3414, 10.8670, 47.0245, 4.95, 0.17],
+    [3419, 10.8974, -17.9866, 2.04, 1.02],
+    [3436, 10.9587, -12.0118, 6.01, 1.11],
+    [3455, 11.0475, -10.6096, 4.77, 1.00],
+    [3456, 11.0504, -38.4217, 5.90, 1.14],
+    [3478, 11.1091, 47.8640, 5.66, -0.11],
+    [3489, 11.1319, -62.4976, 6.06, 0.45],
+    [3504, 11.1813, 48.2844, 4.48, -0.07],
+    [3505, 11.1850, -22.0061, 5.22, 0.35],
+    [3521, 11.2377, -42.6766, 5.94, 0.30],
+    [3527, 11.2498, -53.7149, 6.15, 0.52],
+    [3544, 11.3216, 55.2214, 5.41, 0.02],
+    [3552, 11.3505, -4.6292, 6.15, 1.65],
+    [3559, 11.3695, -12.8808, 6.15, 0.60],
+    [3572, 11.4128, 74.9881, 5.64, 0.08],
+    [3576, 11.4238, -16.4242, 6.47, 0.31],
+    [3583, 11.4400, -47.5520, 5.80, 0.64],
+    [3604, 11.5451, 44.8615, 6.03, -0.06],
+    [3607, 11.5490, -22.5221, 5.49, 0.98],
+    [3632, 11.6373, 15.4755, 5.36, 1.56],
+    [3641, 11.6604, 69.3254, 6.39, 0.42],
+    [3649, 11.6769, 59.5745, 6.41, 1.08],
+    [3675, 11.7561, 11.9738, 5.51, 0.99],
+    [3685, 11.8068, 19.5787, 6.11, 0.27],
+    [3693, 11.8347, 24.2672, 4.08, 1.10],
+    [3697, 11.8485, 6.7410, 5.98, 0.94],
+    [3717, 11.9301, -18.0613, 5.70, 1.30],
+    [3721, 11.9419, 74.8476, 5.42, -0.07],
+    [3741, 12.0044, -21.7225, 5.57, -0.06],
+    [3750, 12.0381, 72.6745, 5.86, 1.01],
+    [3760, 12.0725, 7.2999, 5.92, 1.10],
+    [3765, 12.0957, 5.2806, 5.74, 0.89],
+    [3781, 12.1476, -74.9234, 5.09, 1.34],
+    [3786, 12.1706, 7.5851, 4.44, 1.50],
+    [3801, 12.2084, 50.9682, 4.90, -0.09],
+    [3807, 12.2364, -46.6976, 6.28, 0.90],
+    [3810, 12.2446, 16.9406, 5.07, 0.50],
+    [3821, 12.2762, 57.8152, 3.46, 0.59],
+    [3834, 12.3081, -24.1367, 5.90, 0.94],
+    [3849, 12.3567, -13.5613, 5.59, 1.32],
+    [3858, 12.3893, -23.3621, 6.27, 0.13],
+    [3881, 12.4535, 41.0789, 4.53, -0.14],
+    [3885, 12.4715, 27.7103, 5.55, 0.40],
+    [3903, 12.5157, -43.3949, 6.49, 0.29],
+    [3909, 12.5316, -10.6443, 5.17, 0.51],
+    [3919, 12.5761, 45.0023, 6.13, 0.04],
+    [3949, 12.6716, -50.9868, 5.24, 0.36],
+    [3951, 12.6817, 64.2475, 5.35, 0.53],
+    [3965, 12.7391, 51.5080, 6.38, 0.31],
+    [3988, 12.8183, 61.8055, 6.04, 1.88],
+    [3992, 12.8264, 3.3850, 6.39, 1.07],
+    [4023, 12.8908, 51.5714, 6.22, 0.03],
+    [4104, 13.1693, -24.0058, 5.47, 1.27],
+    [4147, 13.2521, -1.1443, 4.78, 1.55],
+    [4151, 13.2675, 61.1240, 4.80, 0.54],
+    [4164, 13.3019, -24.7769, 6.44, 0.44],
+    [4185, 13.3676, 37.4182, 6.07, 1.14],
+    [4200, 13.4078, -62.8714, 5.73, 1.57],
+    [4212, 13.4483, 52.6893, 6.27, 0.19],
+    [4257, 13.5733, -8.7407, 6.15, 0.91],
+    [4267, 13.6468, 19.1884, 5.80, -0.02],
+    [4283, 13.7212, 83.7074, 5.59, 0.10],
+    [4288, 13.7421, 23.6283, 5.46, 1.01],
+    [4292, 13.7507, 58.9727, 4.83, 1.22],
+    [4293, 13.7513, -69.5271, 5.45, 1.09],
+    [4298, 13.7717, 48.6785, 6.28, 1.68],
+    [4317, 13.8111, 24.5571, 6.19, 1.55],
+    [4346, 13.9267, -7.3471, 5.88, 1.52],
+    [4363, 13.9814, -27.7758, 6.11, 1.67],
+    [4366, 13.9938, 27.2094, 6.08, 0.13],
+    [4371, 14.0062, -11.2665, 5.35, 1.50],
+    [4382, 14.0380, 13.9520, 6.46, 0.96],
+    [4383, 14.0541, 57.9966, 6.20, 1.38],
+    [4422, 14.1663, 59.1811, 4.62, 0.96],
+    [4427, 14.1772, 60.7167, 2.15, -0.05],
+    [4436, 14.1884, 38.4993, 3.86, 0.13],
+    [4440, 14.1957, 60.3628, 5.56, -0.05],
+    [4446, 14.2298, 68.7757, 6.39, 0.38],
+    [4463, 14.3017, 23.4176, 4.40, 0.94],
+    [4475, 14.3317, 61.4219, 6.44, 0.94],
+    [4501, 14.4152, 45.8394, 6.10, 1.03],
+    [4510, 14.4590, 28.9922, 5.44, 1.08],
+    [4520, 14.4771, 13.6959, 6.30, 0.90],
+    [4552, 14.5592, 33.9509, 5.99, 1.00],
+    [4558, 14.5787, 21.4045, 6.47, 0.09],
+    [4563, 14.5926, -60.6962, 6.23, 0.10],
+    [4572, 14.6294, 66.3518, 5.97, -0.01],
+    [4577, 14.6515, -29.3574, 4.30, -0.15],
+    [4587, 14.6828, -11.3800, 5.62, 0.95],
+    [4655, 14.9570, 6.4832, 6.14, 1.65],
+    [4675, 15.0148, 44.7132, 5.69, -0.01],
+    [4709, 15.1292, 70.9830, 6.40, 0.14],
+    [4770, 15.3261, -38.9165, 5.59, 1.19],
+    [4786, 15.3627, 49.5442, 6.48, 1.10],
+    [4801, 15.4110, -16.2656, 6.47, 1.18],
+    [4829, 15.5076, -57.0024, 6.12, 0.94],
+    [4844, 15.5769, 51.0349, 6.48, 0.12],
+    [4852, 15.6101, -31.5520, 5.50, 0.08],
+    [4879, 15.6788, -65.4561, 6.25, 1.63],
+    [4889, 15.7046, 31.8043, 5.50, -0.04],
+    [4890, 15.7050, -46.3973, 5.39, 0.90],
+    [4903, 15.7261, 41.3452, 5.95, 0.16],
+    [4906, 15.7359, 7.8901, 4.27, 0.95],
+    [4911, 15.7564, 47.3762, 6.46, 0.25],
+    [4914, 15.7606, -4.8366, 5.40, 1.11],
+    [4932, 15.8237, -29.5258, 6.28, 0.93],
+    [4962, 15.9042, 61.0748, 5.92, 0.51],
+    [4979, 15.9543, 1.3668, 6.06, 0.27],
+    [4998, 16.0100, 52.5022, 5.99, 1.45],
+    [5021, 16.0810, 61.5802, 5.83, 0.57],
+    [5034, 16.1151, 29.6588, 6.20, 0.44],
+    [5042, 16.1357, -33.5328, 6.44, 1.07],
+    [5074, 16.2193, 5.6563, 6.03, 1.52],
+    [5081, 16.2723, 14.9461, 5.64, 0.42],
+    [5121, 16.4037, -9.9793, 6.09, 1.01],
+    [5131, 16.4206, 21.4732, 5.33, 0.00],
+    [5132, 16.4238, 21.4654, 5.55, -0.05],
+    [5141, 16.4551, 4.9084, 6.35, 0.38],
+    [5164, 16.5215, -9.8394, 5.58, 0.01],
+    [5165, 16.5210, -46.7184, 3.32, 0.89],
+    [5170, 16.5321, -23.9925, 6.12, 1.08],
+    [5175, 16.5467, 32.1815, 6.28, 1.31],
+    [5204, 16.6401, 12.9560, 6.14, 0.96],
+    [5240, 16.7507, 56.9350, 6.41, 1.19],
+    [5251, 16.7894, 53.4982, 6.31, 1.50],
+    [5259, 16.8038, -23.9963, 6.36, 0.24],
+    [5268, 16.8278, -61.7753, 5.36, 0.88],
+    [5296, 16.9425, -9.7856, 5.71, 0.45],
+    [5300, 16.9494, -41.4869, 5.21, 0.16],
+    [5310, 16.9882, 20.7391, 5.56, 0.12],
+    [5315, 16.9986, 1.9930, 6.44, 0.85],
+    [5317, 17.0035, 43.9421, 5.04, 0.11],
+    [5319, 17.0056, 32.0121, 6.23, 0.40],
+    [5336, 17.0683, 54.9203, 5.17, 0.70],
+    [5346, 17.0925, 5.6498, 5.51, 0.33],
+    [5348, 17.0962, -55.2458, 3.94, -0.12],
+    [5361, 17.1394, 58.2634, 5.77, -0.02],
+    [5364, 17.1475, -10.1823, 3.46, 1.16],
+    [5372, 17.1870, 86.2571, 4.24, 1.21],
+    [5412, 17.3008, 80.0116, 6.24, 0.92],
+    [5434, 17.3755, 47.2418, 4.26, 0.01],
+    [5447, 17.4330, 35.6206, 2.07, 1.58],
+    [5454, 17.4550, 19.6584, 5.57, 0.70],
+    [5477, 17.5307, -57.6944, 6.41, 0.89],
+    [5483, 17.5477, 15.6739, 6.07, 1.53],
+    [5485, 17.5498, -8.9061, 6.40, 1.03],
+    [5493, 17.5781, 42.0815, 5.67, 0.60],
+    [5494, 17.5810, 25.4578, 5.81, 1.47],
+    [5510, 17.6398, 2.4457, 5.97, 1.49],
+    [5518, 17.6638, 68.7786, 5.32, -0.01],
+    [5542, 17.7757, 55.1499, 4.34, 0.17],
+    [5544, 17.7782, 31.4247, 5.15, 0.26],
+    [5550, 17.7928, 37.7241, 5.80, -0.10],
+    [5566, 17.8565, 64.2027, 5.56, -0.05],
+    [5571, 17.8634, 21.0347, 4.66, 1.02],
+    [5575, 17.8707, 10.2919, 6.49, 0.89],
+    [5586, 17.9152, 30.0896, 4.51, 1.09],
+    [5589, 17.9225, 65.0189, 5.57, -0.07],
+    [5594, 17.9313, -2.2511, 5.93, 1.40],
+    [5626, 18.0701, 79.6740, 5.60, 0.01],
+    [5650, 18.1420, 45.3375, 6.13, 1.65],
+    [5661, 18.1893, -37.8565, 5.95, 0.28],
+    [5679, 18.2478, 30.0642, 6.24, 0.98],
+    [5688, 18.2911, 61.7062, 6.40, 0.02],
+    [5737, 18.4329, 7.5754, 5.21, 0.32],
+    [5742, 18.4373, 24.5837, 4.67, 1.05],
+    [5743, 18.4386, 7.5783, 6.44, 0.49],
+    [5772, 18.5204, 28.5296, 6.33, 1.68],
+    [5778, 18.5318, 16.1335, 5.97, -0.08],
+    [5799, 18.6002, -7.9228, 5.14, 0.45],
+    [5824, 18.6766, 6.9951, 6.04, 1.08],
+    [5833, 18.7049, -0.9738, 5.70, 0.43],
+    [5862, 18.7963, -45.5317, 4.97, 0.57],
+    [5896, 18.9423, -68.8759, 4.25, 0.48],
+    [5926, 19.0496, 71.7438, 5.87, 2.04],
+    [5928, 19.0550, 87.1455, 6.20, 1.11],
+    [5936, 19.0788, 33.1147, 6.04, 1.16],
+    [5947, 19.1287, 79.9100, 6.27, 0.44],
+    [5951, 19.1512, -2.5004, 5.42, 0.89],
+    [5992, 19.2657, -66.3979, 6.23, 0.05],
+    [5993, 19.2711, 44.9020, 6.11, 1.59],
+    [6025, 19.3505, 31.7446, 6.36, 1.13],
+    [6061, 19.4498, 3.6145, 5.13, 0.07],
+    [6087, 19.5423, 47.4197, 6.29, 1.36],
+    [6093, 19.5578, 57.8032, 6.39, 1.59],
+    [6140, 19.6959, 37.3863, 6.44, 0.23],
+    [6193, 19.8666, 27.2641, 4.74, 0.03],
+    [6226, 19.9512, -0.5090, 5.87, 0.64],
+    [6242, 20.0205, 58.2316, 4.95, 0.68],
+    [6261, 20.0808, 77.5707, 6.31, 0.91],
+    [6272, 20.1159, -11.2390, 6.16, 1.10],
+    [6283, 20.1440, -3.2470, 6.26, 1.01],
+    [6312, 20.2719, 64.6581, 6.33, 0.11],
+    [6315, 20.2807, 28.7382, 5.23, 1.40],
+    [6378, 20.4963, 76.2388, 6.37, 0.28],
+    [6411, 20.5851, 45.5288, 4.87, 1.08],
+    [6427, 20.6270, -19.0812, 6.35, 0.49],
+    [6429, 20.6451, -0.4497, 6.50, 1.08],
+    [6432, 20.6540, 1.7263, 6.21, 1.48],
+    [6486, 20.8392, 58.1430, 6.36, 0.46],
+    [6492, 20.8540, 20.4690, 5.97, 1.68],
+    [6502, 20.8790, -30.9456, 5.84, 1.61],
+    [6512, 20.9061, 34.2459, 6.28, 0.83],
+    [6514, 20.9192, 37.7149, 5.60, 0.28],
+    [6522, 20.9450, 78.7261, 6.07, 0.39],
+    [6537, 21.0059, -8.1833, 3.60, 1.06],
+    [6539, 21.0106, -8.0074, 6.21, 0.23],
+    [6564, 21.0854, -6.9147, 5.92, 0.41],
+    [6589, 21.1664, -15.6605, 6.17, 0.92],
+    [6592, 21.1699, -41.4925, 5.42, 1.03],
+    [6595, 21.1746, -44.5286, 6.26, 1.12],
+    [6605, 21.2028, -2.8486, 6.17, 0.96],
+    [6631, 21.2721, -64.3695, 5.92, 1.56],
+    [6669, 21.3987, 23.5115, 6.18, 0.45],
+    [6670, 21.4051, -14.5988, 4.90, 1.23],
+    [6685, 21.4430, 70.9799, 6.34, -0.01],
+    [6686, 21.4540, 60.2353, 2.66, 0.16],
+    [6687, 21.4682, -3.9274, 6.50, 1.35],
+    [6692, 21.4834, 68.1300, 4.72, 1.05],
+    [6702, 21.5366, 34.5797, 6.34, 0.50],
+    [6706, 21.5636, 19.1723, 5.35, 0.40],
+    [6711, 21.5779, 43.4577, 5.98, 0.52],
+    [6714, 21.5983, 20.0708, 6.44, 0.95],
+    [6717, 21.6139, -0.3990, 6.42, 1.24],
+    [6732, 21.6737, 19.2404, 5.50, 1.11],
+    [6748, 21.7149, -13.0565, 5.51, 0.32],
+    [6776, 21.7764, 34.3776, 6.27, 0.45],
+    [6789, 21.8471, -22.3382, 6.43, 1.12],
+    [6794, 21.8611, 41.1012, 6.42, 0.31],
+    [6813, 21.9141, 45.4067, 4.83, 0.42],
+    [6822, 21.9439, -10.9016, 6.13, 1.32],
+    [6867, 22.0914, -43.3182, 3.41, 1.54],
+    [6868, 22.0955, 7.9614, 6.22, 1.11],
+    [6952, 22.3772, -46.7564, 6.25, 1.66],
+    [6960, 22.4006, -21.6293, 5.11, 0.03],
+    [6971, 22.4284, -25.6177, 6.37, 1.14],
+    [6981, 22.4703, 18.3557, 6.01, 0.16],
+    [6999, 22.5254, 47.0073, 5.27, 1.00],
+    [7007, 22.5463, 6.1438, 4.84, 1.37],
+    [7016, 22.5954, -26.2079, 5.92, 1.33],
+    [7050, 22.7172, 66.0981, 6.15, 0.07],
+    [7078, 22.8073, 70.2646, 5.82, 0.49],
+    [7083, 22.8129, -49.0727, 3.93, 0.97],
+    [7097, 22.8709, 15.3458, 3.62, 0.97],
+    [7115, 22.9125, -45.5757, 6.17, 0.07],
+    [7118, 22.9302, -30.2831, 5.79, 1.07],
+    [7147, 23.0316, 34.8000, 6.39, -0.10],
+    [7189, 23.1515, -49.7277, 6.27, 0.46],
+    [7213, 23.2336, -36.8652, 5.49, 1.02],
+    [7243, 23.3262, 8.2087, 6.31, 0.80],
+    [7251, 23.3571, 58.3273, 5.69, 1.44],
+    [7271, 23.4132, -78.5048, 6.11, 0.97],
+    [7276, 23.4285, -7.0253, 5.75, 0.64],
+    [7283, 23.4613, 89.0156, 6.46, 0.11],
+    [7294, 23.4828, 59.2320, 4.68, 0.99],
+    [7321, 23.5692, 37.2371, 5.90, -0.07],
+    [7345, 23.6574, -15.6764, 5.62, 0.07],
+    [7359, 23.7044, 18.4605, 5.90, 1.54],
+    [7361, 23.7116, -31.8923, 6.11, 1.11],
+    [7362, 23.7138, -3.5239, 6.44, 1.34],
+    [7363, 23.7149, -23.6997, 6.41, 1.31],
+    [7387, 23.8126, -58.1395, 6.03, 0.38],
+    [7436, 23.9435, 14.6614, 6.23, -0.04],
+    [7443, 23.9607, -39.9471, 6.43, 0.41],
+    [7444, 23.9691, 41.0764, 6.39, 1.12],
+    [7447, 23.9782, 17.4338, 5.95, 0.26],
+    [7450, 23.9957, -15.4002, 5.41, 1.23],
+    [7463, 24.0355, -29.9073, 5.69, 0.34],
+    [7493, 24.1133, 48.7228, 6.20, 1.24],
+    [7505, 24.1814, 7.8315, 6.39, 1.60],
+    [7506, 24.1866, -58.2710, 6.18, 1.61],
+    [7513, 24.1993, 41.4055, 4.10, 0.54],
+    [7535, 24.2747, 12.1415, 5.54, 0.35],
+    [7568, 24.3667, -84.7696, 5.66, 0.94],
+    [7580, 24.4071, -9.4038, 6.24, 0.53],
+    [7588, 24.4285, -57.2368, 0.45, -0.16],
+    [7593, 24.4467, 64.7394, 6.49, 0.78],
+    [7597, 24.4670, -3.4407, 6.43, 1.57],
+    [7601, 24.4815, -82.9750, 5.88, 0.62],
+    [7607, 24.4982, 48.6282, 3.59, 1.27],
+    [7617, 24.5315, 57.9776, 5.55, 1.39],
+    [7643, 24.6145, -36.5283, 5.94, 1.04],
+    [7650, 24.6288, 73.0400, 5.28, 0.97],
+    [7651, 24.6326, 45.3997, 6.38, -0.02],
+    [7679, 24.7158, -21.2754, 5.58, 0.35],
+    [7719, 24.8375, 44.3862, 5.01, 0.88],
+    [7740, 24.9201, 16.4059, 5.98, 1.12],
+    [7751, 24.9481, -56.1964, 5.76, 0.88],
+    [7786, 25.0546, 53.8683, 6.35, 1.61],
+    [7818, 25.1451, 40.5770, 4.96, -0.07],
+    [7819, 25.1455, 8.7608, 6.34, 0.40],
+    [7825, 25.1652, 43.2977, 5.63, 0.21],
+    [7874, 25.3266, 25.7457, 6.20, 0.46],
+    [7879, 25.3395, -79.1482, 6.33, 0.95],
+    [7884, 25.3579, 5.4876, 4.45, 1.35],
+    [7886, 25.3638, -38.1328, 6.20, 0.40],
+    [7906, 25.4135, 30.0471, 5.97, 1.01],
+    [7916, 25.4368, -11.3247, 5.75, 0.44],
+    [7918, 25.4464, 42.6134, 4.96, 0.62],
+    [7921, 25.4499, -60.7893, 5.70, 1.26],
+    [7941, 25.5125, -36.8323, 5.70, -0.01],
+    [7943, 25.5145, 35.2457, 5.63, -0.06],
+    [7955, 25.5358, -32.3270, 5.25, 1.04],
+    [7963, 25.5738, 58.6277, 6.35, -0.03],
+    [7965, 25.5855, 68.0430, 5.57, -0.05],
+    [7978, 25.6221, -53.7408, 5.52, 0.55],
+    [7981, 25.6240, 20.2685, 5.24, 0.84],
+    [7999, 25.6813, -3.6902, 4.98, 1.38],
+    [8016, 25.7328, 70.6225, 5.18, -0.02],
+    [8020, 25.7430, 61.4211, 6.33, 0.01],
+    [8044, 25.8188, 45.3226, 6.33, 1.02],
+    [8046, 25.8323, 60.5513, 5.78, -0.01],
+    [8068, 25.9152, 50.6887, 4.01, -0.10],
+    [8086, 25.9589, 32.1920, 6.32, 0.88],
+    [8094, 25.9783, -4.7655, 6.20, 1.54],
+    [8102, 26.0170, -15.9375, 3.49, 0.73],
+    [8115, 26.0749, 57.5366, 6.18, 0.13],
+    [8127, 26.1105, 46.1397, 6.32, 1.42],
+    [8143, 26.1820, -6.7662, 6.45, 0.86],
+    [8148, 26.1924, 57.0892, 6.25, 0.06],
+    [8159, 26.2326, 20.0831, 6.27, 0.72],
+    [8198, 26.3485, 9.1577, 4.26, 0.94],
+    [8209, 26.4115, -25.0526, 5.29, 0.40],
+    [8230, 26.4969, -5.7333, 5.37, 1.52],
+    [8233, 26.5044, -27.3488, 6.38, 0.37],
+    [8240, 26.5249, -50.8163, 5.49, 1.61],
+    [8241, 26.5261, -53.5220, 5.04, 0.03],
+    [8320, 26.8196, -41.7599, 6.18, 1.54],
+    [8362, 26.9368, 63.8525, 5.63, 0.80],
+    [8366, 26.9435, -80.1763, 6.05, 0.34],
+    [8369, 26.9490, -37.1595, 6.33, 1.02],
+    [8370, 26.9501, 46.2297, 6.33, 0.46],
+    [8387, 27.0456, 16.9556, 5.86, -0.04],
+    [8404, 27.1084, 3.6854, 5.91, 0.97],
+    [8423, 27.1622, 37.9529, 5.94, 0.97],
+    [8433, 27.1732, 32.6902, 5.78, 0.57],
+    [8475, 27.3148, 47.8969, 6.01, 0.17],
+    [8480, 27.3309, -31.0725, 6.35, 1.22],
+    [8497, 27.3963, -10.6864, 4.66, 0.33],
+    [8514, 27.4536, -38.4028, 6.37, 0.52],
+    [8544, 27.5357, 22.2753, 5.83, 0.74],
+    [8552, 27.5841, -47.8164, 6.14, 1.00],
+    [8588, 27.7166, 11.0434, 5.92, 0.30],
+    [8593, 27.7268, -50.2061, 5.94, 0.15],
+    [8598, 27.7380, 51.9334, 5.96, 0.42],
+    [8641, 27.8598, -39.8359, 6.44, 1.09],
+    [8645, 27.8651, -10.3350, 3.74, 1.14],
+    [8664, 27.9075, -6.8741, 6.42, 1.23],
+    [8688, 27.9421, -15.6475, 6.44, 1.61],
+    [8704, 27.9972, 55.1474, 5.53, -0.17],
+    [8714, 28.0390, 50.7928, 5.70, -0.07],
+    [8771, 28.2114, 51.4748, 6.28, 0.05],
+    [8778, 28.2171, -16.9292, 5.78, 0.26],
+    [8796, 28.2704, 29.5788, 3.42, 0.49],
+    [8814, 28.3223, 40.7298, 5.42, 1.31],
+    [8820, 28.3466, -38.5946, 6.09, 1.13],
+    [8832, 28.3826, 19.2939, 3.88, -0.05],
+    [8833, 28.3890, 3.1875, 4.61, 0.93],
+    [8837, 28.4114, -46.3027, 4.39, 1.60],
+    [8847, 28.4521, 55.5976, 6.44, 0.18],
+    [8882, 28.5918, -42.4969, 5.12, -0.06],
+    [8886, 28.5989, 63.6701, 3.35, -0.15],
+    [8903, 28.6600, 20.8080, 2.64, 0.17],
+    [8922, 28.7241, 40.7020, 6.25, 1.26],
+    [8928, 28.7339, -67.6473, 4.68, 0.93],
+    [8930, 28.7403, 37.1283, 6.28, 1.17],
+    [8957, 28.8318, -60.3125, 6.43, 0.41],
+    [8983, 28.9437, -60.8610, 6.07, 0.36],
+    [8991, 28.9606, -78.3485, 6.15, 0.45],
+    [8993, 28.9627, 23.5773, 5.76, 1.19],
+    [8998, 28.9743, 1.8500, 6.01, 0.55],
+    [9001, 28.9770, 37.2778, 5.89, 1.60],
+    [9007, 28.9895, -51.6089, 3.69, 0.84],
+    [9009, 29.0001, 68.6852, 4.97, -0.08],
+    [9021, 29.0390, 37.2518, 5.69, 1.06],
+    [9022, 29.0392, -49.8364, 6.37, -0.08],
+    [9061, 29.1675, -22.5268, 4.92, 1.43],
+    [9085, 29.2499, -51.7662, 6.10, 0.49],
+    [9094, 29.2900, -10.2424, 6.42, 0.82],
+    [9095, 29.2920, -47.3853, 4.82, 0.86],
+    [9110, 29.3377, 17.8175, 5.09, 0.92],
+    [9132, 29.4323, 27.8044, 5.84, 1.58],
+    [9149, 29.4722, -65.4247, 6.36, 0.91],
+    [9153, 29.4822, 23.5961, 4.79, 0.29],
+    [9163, 29.4968, 47.0955, 6.48, 1.20],
+    [9207, 29.6112, -33.0668, 6.37, 1.01],
+    [9220, 29.6385, 61.6978, 6.02, -0.04],
+    [9222, 29.6396, 49.2044, 5.70, 1.00],
+    [9236, 29.6925, -61.5699, 2.86, 0.29],
+    [9237, 29.6917, -11.3010, 6.46, 1.13],
+    [9295, 29.8579, 12.2949, 6.09, 0.19],
+    [9307, 29.8987, 21.0586, 5.89, 1.03],
+    [9312, 29.9085, 64.6216, 5.29, 0.00],
+    [9313, 29.9117, -42.0305, 5.57, 1.05],
+    [9318, 29.9214, -66.0666, 6.09, 1.18],
+    [9326, 29.9425, -20.8245, 5.43, 1.64],
+    [9347, 30.0013, -21.0778, 3.99, 1.55],
+    [9353, 30.0382, 3.0970, 5.89, 0.61],
+    [9372, 30.1118, -8.5239, 5.43, 1.39],
+    [9440, 30.3113, -30.0018, 5.34, 0.88],
+    [9459, 30.4266, -44.7135, 5.15, 1.47],
+    [9480, 30.4894, 70.9070, 4.49, 0.16],
+    [9487, 30.5118, 2.7638, 3.82, 0.02],
+    [9505, 30.5755, 54.4875, 4.99, -0.07],
+    [9521, 30.6178, -29.6656, 6.40, 0.14],
+    [9533, 30.6462, 13.4767, 5.97, 1.58],
+    [9562, 30.7156, -23.8866, 6.30, 1.34],
+    [9564, 30.7187, 64.9015, 6.00, 0.03],
+    [9568, 30.7376, 77.9163, 6.04, 1.11],
+    [9570, 30.7415, 33.2841, 5.50, 0.03],
+    [9572, 30.7440, -15.3059, 5.87, 0.97],
+    [9573, 30.7508, 64.3900, 5.59, 0.33],
+    [9586, 30.7935, 73.8506, 6.12, 0.16],
+    [9589, 30.7985, 0.1285, 5.42, 0.15],
+    [9598, 30.8588, 72.4213, 3.95, -0.00],
+    [9621, 30.9139, 25.9355, 5.64, 0.54],
+    [9622, 30.9187, -4.1035, 5.61, 1.59],
+    [9627, 30.9275, 18.2532, 6.24, 1.42],
+    [9631, 30.9507, -0.3403, 5.96, 0.85],
+    [9640, 30.9748, 42.3297, 2.10, 1.37],
+    [9655, 31.0520, -11.8598, 6.43, 1.50],
+    [9677, 31.1227, -29.2968, 4.68, -0.16],
+    [9685, 31.1463, -54.8817, 6.45, 0.39],
+    [9706, 31.2125, 7.7357, 6.44, 1.11],
+    [9727, 31.2809, 77.2813, 5.27, 0.34],
+    [9763, 31.3815, 76.1151, 5.22, 0.95],
+    [9809, 31.5511, 8.2481, 6.27, 1.64],
+    [9827, 31.6221, 0.0354, 6.29, 0.90],
+    [9836, 31.6414, 22.6483, 5.03, 0.12],
+    [9859, 31.7051, 25.7046, 6.01, -0.03],
+    [9862, 31.7169, -19.1389, 6.39, 1.14],
+    [9884, 31.7934, 23.4624, 2.01, 1.15],
+    [9951, 32.0237, -41.8804, 6.50, 0.20],
+    [9977, 32.1219, 37.8591, 4.78, 0.12],
+    [9983, 32.1398, 44.4594, 6.38, 0.96],
+    [9990, 32.1691, 58.4236, 5.66, 0.59],
+    [9999, 32.1903, -17.7792, 6.07, 1.66],
+    [10035, 32.2887, -43.5166, 5.84, 1.20],
+    [10050, 32.3463, 17.2242, 6.40, 0.47],
+    [10053, 32.3556, 25.9399, 4.98, 0.34],
+    [10054, 32.3555, 81.2959, 6.05, 0.12],
+    [10064, 32.3859, 34.9873, 3.00, 0.14],
+    [10069, 32.3950, -24.3458, 6.48, 0.29],
+    [10096, 32.4520, -40.8665, 6.49, 0.43],
+    [10111, 32.5200, -43.8156, 6.32, 0.90],
+    [10115, 32.5323, 53.8431, 6.31, 0.95],
+    [10138, 32.6081, -50.8237, 6.12, 0.81],
+    [10155, 32.6567, 19.5003, 5.68, 1.64],
+    [10176, 32.7201, 39.0395, 6.09, -0.05],
+    [10203, 32.8002, 25.9369, 6.01, 1.36],
+    [10212, 32.8378, 8.5698, 5.64, 0.57],
+    [10215, 32.8426, -10.0522, 6.00, 0.42],
+    [10220, 32.8543, 31.5264, 6.24, 0.11],
+    [10227, 32.8716, 57.6455, 6.38, 0.30],
+    [10234, 32.8993, -1.8254, 5.94, 0.97],
+    [10273, 33.0657, 2.7456, 6.49, 1.04],
+    [10280, 33.0928, 30.3031, 4.94, 0.77],
+    [10296, 33.1564, 24.1678, 5.96, 1.37],
+    [10305, 33.1981, -2.3936, 5.65, 0.55],
+    [10306, 33.2004, 21.2110, 5.23, 0.46],
+    [10309, 33.2080, 79.6915, 6.46, 0.24],
+    [10320, 33.2270, -30.7238, 5.27, -0.01],
+    [10324, 33.2500, 8.8467, 4.36, 0.88],
+    [10326, 33.2541, -21.0001, 5.86, 1.01],
+    [10328, 33.2638, 15.2799, 5.72, 1.55],
+    [10340, 33.3055, 44.2317, 4.84, 1.48],
+    [10350, 33.3381, 74.0277, 6.25, 0.92],
+    [10361, 33.3896, 53.0586, 6.50, 1.66],
+    [10366, 33.4014, 51.0658, 5.31, 0.93],
+    [10379, 33.4234, 58.5606, 6.43, 0.55],
+    [10396, 33.4731, -9.0646, 6.43, 1.42],
+    [10403, 33.5102, 47.4842, 6.05, 0.41],
+    [10418, 33.5606, -67.8414, 5.57, 1.56],
+    [10438, 33.6212, 66.5244, 6.05, 0.64],
+    [10440, 33.6331, -41.1668, 5.91, 0.96],
+    [10446, 33.6583, 28.6912, 6.35, 0.96],
+    [10513, 33.8693, -67.7464, 5.67, 1.31],
+    [10535, 33.9282, 25.0430, 5.57, 0.52],
+    [10540, 33.9419, 25.7829, 5.79, 0.44],
+    [10559, 33.9845, 33.3589, 5.25, -0.00],
+    [10562, 33.9906, 47.8119, 6.37, 1.03],
+    [10602, 34.1274, -51.5122, 3.56, -0.12],
+    [10623, 34.1899, 83.5614, 6.45, 0.95],
+    [10633, 34.2155, 57.0552, 6.48, 0.28],
+    [10642, 34.2460, -6.4221, 5.51, 0.96],
+    [10644, 34.2635, 34.2242, 4.84, 0.61],
+    [10670, 34.3286, 33.8472, 4.03, 0.02],
+    [10718, 34.4995, 57.8998, 5.75, 1.18],
+    [10723, 34.5060, 1.7578, 5.60, 0.59],
+    [10729, 34.5191, 57.5163, 5.99, 1.04],
+    [10732, 34.5314, 19.9012, 5.58, 0.01],
+    [10793, 34.7375, 28.6427, 5.29, 0.04],
+    [10795, 34.7414, 23.1678, 6.45, 0.38],
+    [10798, 34.7438, -25.9457, 6.33, 0.72],
+    [10814, 34.7951, 46.4723, 6.21, 0.16],
+    [10819, 34.8200, 47.3800, 5.31, 0.01],
+    [10826, 34.8366, -2.9776, 6.47, 0.97],
+    [10830, 34.8445, 48.9555, 6.44, 0.43],
+    [10832, 34.8532, -41.8484, 6.36, 1.16],
+    [10854, 34.9199, -4.3456, 6.50, 0.08],
+    [10871, 34.9761, -55.9448, 5.81, 1.57],
+    [10924, 35.1730, 47.3108, 6.17, -0.09],
+    [10944, 35.2425, 50.1515, 5.57, -0.09],
+    [11001, 35.4373, -68.6594, 4.08, 0.03],
+    [11020, 35.4810, 57.2429, 6.40, 0.57],
+    [11021, 35.4859, 0.3957, 5.29, 1.65],
+    [11029, 35.5064, -10.7775, 5.43, 0.36],
+    [11033, 35.5208, -17.6622, 5.89, 1.23],
+    [11043, 35.5490, -43.1998, 6.30, 0.99],
+    [11046, 35.5517, -0.8849, 5.42, 0.34],
+    [11060, 35.5893, 55.8457, 5.16, 0.37],
+    [11072, 35.6356, -23.8163, 5.19, 0.61],
+    [11090, 35.7096, 41.3963, 5.81, 0.29],
+    [11095, 35.7179, -73.6458, 5.99, 1.09],
+    [11102, 35.7278, -51.0921, 5.90, 0.21],
+    [11108, 35.7401, -18.3550, 6.22, 0.94],
+    [11121, 35.7775, -37.5761, 6.47, 1.59],
+    [11174, 35.9656, 55.3649, 6.29, 0.84],
+    [11212, 36.0838, -25.8475, 6.45, 1.32],
+    [11220, 36.1038, 50.0065, 5.19, 0.98],
+    [11231, 36.1412, -40.8405, 6.17, 0.65],
+    [11249, 36.2044, 10.6106, 5.48, -0.10],
+    [11258, 36.2246, -60.3119, 5.36, 0.40],
+    [11261, 36.2433, -2.7800, 6.34, -0.01],
+    [11279, 36.3168, 56.6098, 6.25, 0.25],
+    [11293, 36.3602, -66.4940, 6.39, 1.51],
+    [11313, 36.4059, 50.2786, 4.73, 1.53],
+    [11345, 36.4875, -12.2905, 4.88, -0.03],
+    [11348, 36.5015, -15.3412, 5.88, 0.12],
+    [11381, 36.6467, -20.0426, 5.89, 1.25],
+    [11407, 36.7463, -47.7038, 4.24, -0.14],
+    [11415, 36.7802, 27.0124, 6.14, 1.46],
+    [11427, 36.8475, 10.1983, 6.45, 0.45],
+    [11432, 36.8657, 31.8013, 5.55, 1.11],
+    [11465, 36.9657, 50.5700, 6.16, 0.43],
+    [11474, 36.9997, 1.9608, 6.45, 0.97],
+    [11477, 37.0071, -33.8110, 5.13, 0.09],
+    [11479, 37.0183, -64.2998, 6.35, -0.03],
+    [11484, 37.0398, 8.4601, 4.30, -0.05],
+    [11486, 37.0416, 29.6693, 5.29, 0.31],
+    [11524, 37.1476, -31.1024, 6.11, 1.11],
+    [11548, 37.2021, 29.9318, 5.89, 0.59],
+    [11569, 37.2664, 67.4025, 4.46, 0.15],
+    [11578, 37.3070, 23.4690, 6.20, 0.15],
+    [11603, 37.3973, 9.5656, 6.09, 1.02],
+    [11644, 37.5572, -25.1864, 6.50, 0.29],
+    [11651, 37.5692, 33.8337, 6.26, 1.08],
+    [11670, 37.6348, 25.2350, 5.88, 0.41],
+    [11671, 37.6366, -22.5453, 6.17, 1.58],
+    [11678, 37.6601, 19.8553, 6.14, 0.25],
+    [11687, 37.6883, 0.2557, 6.00, 0.17],
+    [11698, 37.7267, 17.7039, 6.21, 0.91],
+    [11738, 37.8754, 2.2672, 5.27, 1.27],
+    [11757, 37.9189, -79.1094, 5.27, 0.98],
+    [11767, 37.9545, 89.2641, 1.97, 0.64],
+    [11783, 38.0218, -15.2447, 4.74, 0.45],
+    [11784, 38.0257, 36.1473, 5.15, 1.47],
+    [11791, 38.0393, -1.0349, 5.36, 1.00],
+    [11802, 38.0615, -36.4273, 6.28, 1.03],
+    [11840, 38.2192, 34.5424, 5.84, 1.08],
+    [11843, 38.2256, 15.0346, 6.00, 0.57],
+    [11867, 38.2793, -34.6500, 5.91, 1.06],
+    [11907, 38.4176, -20.0019, 6.19, 1.10],
+    [11918, 38.4613, -28.2323, 4.96, -0.05],
+    [11925, 38.4775, -51.0935, 6.24, 0.51],
+    [12002, 38.6776, -7.8594, 5.74, 1.39],
+    [12022, 38.7672, 7.4710, 6.17, 1.05],
+    [12057, 38.8663, 39.6644, 6.36, -0.10],
+    [12072, 38.9114, 37.3123, 5.72, 1.39],
+    [12086, 38.9450, 34.6876, 5.38, 1.65],
+    [12093, 38.9686, 5.5932, 4.87, 0.88],
+    [12107, 39.0002, -7.8316, 5.53, 1.61],
+    [12114, 39.0204, 6.8869, 5.79, 0.92],
+    [12122, 39.0386, -30.0450, 5.74, 1.02],
+    [12148, 39.1461, 7.7300, 5.81, 1.04],
+    [12153, 39.1580, 12.4476, 5.64, 0.52],
+    [12160, 39.1793, 31.6077, 6.07, 1.05],
+    [12181, 39.2383, 38.7336, 5.91, 0.50],
+    [12186, 39.2442, -34.5780, 5.78, 0.65],
+    [12189, 39.2522, 24.6472, 6.48, 0.51],
+    [12200, 39.2774, 32.8911, 6.23, 0.52],
+    [12225, 39.3515, -52.5431, 5.30, 0.29],
+    [12239, 39.4003, 65.7453, 5.80, 1.56],
+    [12247, 39.4242, -3.3962, 5.65, 1.02],
+    [12272, 39.5031, 7.6953, 6.40, 0.43],
+    [12273, 39.5085, 72.8183, 5.17, 0.90],
+    [12287, 39.5743, 37.7267, 6.19, 0.49],
+    [12288, 39.5778, -30.1941, 5.84, 0.48],
+    [12300, 39.6035, -37.9905, 6.48, 0.52],
+    [12305, 39.6165, 38.0891, 6.29, -0.03],
+    [12318, 39.6533, 3.4432, 6.21, 1.00],
+    [12332, 39.7041, 21.9614, 5.45, 0.17],
+    [12387, 39.8707, 0.3285, 4.08, -0.21],
+    [12390, 39.8910, -11.8722, 4.83, 0.45],
+    [12394, 39.8973, -68.2669, 4.12, -0.06],
+    [12413, 39.9500, -42.8917, 4.74, 0.06],
+    [12444, 40.0518, -9.4529, 5.79, 0.52],
+    [12447, 40.0654, 6.1119, 6.26, 0.40],
+    [12484, 40.1651, -54.5499, 5.21, 0.41],
+    [12486, 40.1668, -39.8554, 4.11, 1.01],
+    [12489, 40.1711, 27.0609, 5.30, 0.08],
+    [12530, 40.3083, -0.6957, 5.72, 0.51],
+    [12562, 40.3922, -14.5493, 5.98, 0.43],
+    [12584, 40.4514, -3.2138, 6.07, 1.18],
+    [12608, 40.5275, -38.3837, 5.99, 0.92],
+    [12611, 40.5352, -46.5244, 6.09, 0.88],
+    [12623, 40.5621, 40.1939, 4.91, 0.58],
+    [12640, 40.5914, 20.0115, 5.74, -0.02],
+    [12647, 40.6206, 10.7417, 6.32, 0.06],
+    [12653, 40.6394, -50.8003, 5.40, 0.56],
+    [12686, 40.7480, 53.5261, 5.85, 1.13],
+    [12690, 40.7577, 48.2652, 6.30, 1.14],
+    [12692, 40.7618, 55.1060, 5.76, -0.11],
+    [12706, 40.8252, 3.2358, 3.47, 0.09],
+    [12708, 40.8343, -40.5279, 6.35, -0.02],
+    [12717, 40.8609, -66.7143, 6.23, 0.54],
+    [12719, 40.8630, 27.7071, 4.65, -0.12],
+    [12720, 40.8705, -2.5315, 6.48, 0.98],
+    [12744, 40.9635, 25.6383, 6.35, 0.09],
+    [12768, 41.0215, 44.2970, 5.43, 0.90],
+    [12770, 41.0306, -13.8587, 4.24, -0.12],
+    [12775, 41.0441, -52.5706, 6.15, 0.09],
+    [12777, 41.0499, 49.2284, 4.10, 0.51],
+    [12784, 41.0796, 17.7639, 6.40, 1.14],
+    [12786, 41.0856, -32.5247, 6.21, 0.04],
+    [12803, 41.1374, 15.3119, 5.78, -0.02],
+    [12821, 41.2071, 67.8246, 5.95, 0.14],
+    [12828, 41.2356, 10.1141, 4.27, 0.31],
+    [12832, 41.2399, 12.4458, 5.17, 0.23],
+    [12843, 41.2758, -18.5726, 4.47, 0.48],
+    [12862, 41.3371, 4.7116, 6.04, 0.31],
+    [12871, 41.3645, -63.7046, 5.73, 0.93],
+    [12876, 41.3860, -67.6166, 4.83, 0.06],
+    [12964, 41.6879, -21.6395, 6.48, 0.39],
+    [12982, 41.7430, 35.9835, 6.27, 0.94],
+    [12990, 41.7649, 35.5547, 6.28, 0.39],
+    [13008, 41.7964, -22.4858, 6.47, 0.40],
+    [13036, 41.8798, 44.2722, 6.45, 0.64],
+    [13055, 41.9488, 81.4485, 5.80, 1.30],
+    [13061, 41.9773, 29.2471, 4.52, 1.11],
+    [13108, 42.1337, 18.2838, 5.83, 1.22],
+    [13121, 42.1913, 25.1881, 5.89, -0.03],
+    [13133, 42.2313, 69.6343, 6.26, 0.15],
+    [13141, 42.2562, -62.8065, 5.25, 0.10],
+    [13147, 42.2726, -32.4059, 4.45, 0.98],
+    [13165, 42.3232, 17.4643, 5.26, -0.07],
+    [13176, 42.3621, 37.3264, 6.45, 0.42],
+    [13178, 42.3781, 57.0843, 6.25, 0.79],
+    [13197, 42.4623, -24.5603, 6.14, 1.00],
+    [13202, 42.4758, -27.9420, 5.39, 0.01],
+    [13209, 42.4960, 27.2605, 3.61, -0.10],
+    [13225, 42.5616, -35.8436, 5.92, 0.90],
+    [13244, 42.6186, -75.0669, 4.76, 1.34],
+    [13254, 42.6461, 38.3186, 4.22, 0.34],
+    [13257, 42.6471, 36.9483, 6.44, 0.62],
+    [13265, 42.6684, -35.6758, 5.48, 1.26],
+    [13268, 42.6742, 55.8955, 3.77, 1.69],
+    [13271, 42.6992, -39.9322, 6.36, 0.04],
+    [13288, 42.7597, -21.0040, 4.76, 0.91],
+    [13327, 42.8733, 15.0821, 5.52, -0.10],
+    [13328, 42.8785, 35.0597, 4.56, 1.55],
+    [13339, 42.9239, 46.8419, 5.86, 0.90],
+    [13347, 42.9412, 58.3143, 6.46, 0.10],
+    [13363, 42.9844, -30.8145, 6.38, 0.48],
+    [13367, 42.9948, 68.8885, 5.94, 0.70],
+    [13387, 43.0793, -62.9096, 6.03, 1.25],
+    [13402, 43.1339, -12.7697, 6.05, 0.86],
+    [13421, 43.2114, -9.4412, 6.31, 0.20],
+    [13424, 43.2168, 52.9974, 6.35, 0.09],
+    [13429, 43.2277, -65.4553, 6.47, 1.01],
+    [13448, 43.2987, 16.4835, 6.30, 0.46],
+    [13462, 43.3378, 48.5700, 6.23, 1.18],
+    [13473, 43.3933, -38.4370, 5.93, 0.44],
+    [13479, 43.3972, -22.3763, 5.93, 1.04],
+    [13490, 43.4276, 38.3375, 5.34, 0.42],
+    [13518, 43.5270, -50.8714, 6.22, 1.57],
+    [13531, 43.5644, 52.7625, 3.93, 0.76],
+    [13654, 43.9521, 18.3316, 5.76, 1.45],
+    [13665, 43.9872, 61.5211, 5.59, 0.45],
+    [13679, 44.0574, 8.3816, 5.97, 0.48],
+    [13700, 44.1027, 64.3324, 6.17, 1.99],
+    [13701, 44.1069, -8.8981, 3.89, 1.09],
+    [13702, 44.1090, 18.0231, 5.58, 0.47],
+    [13713, 44.1388, 47.1640, 6.05, 1.30],
+    [13717, 44.1559, -3.7123, 5.16, 0.08],
+    [13732, 44.2111, 51.2613, 6.22, 1.57],
+    [13756, 44.2691, 4.5010, 6.15, 1.62],
+    [13768, 44.3038, -29.8553, 6.29, 0.47],
+    [13775, 44.3220, 31.9342, 5.10, -0.01],
+    [13782, 44.3490, -23.8622, 5.44, 0.24],
+    [13789, 44.3859, -38.1909, 6.41, -0.02],
+    [13832, 44.5097, 38.6149, 6.06, 1.40],
+    [13834, 44.5218, 20.6687, 5.80, 0.41],
+    [13835, 44.5239, -23.6060, 5.82, 1.33],
+    [13847, 44.5653, -40.3047, 2.88, 0.13],
+    [13874, 44.6753, -2.7829, 5.22, 0.01],
+    [13879, 44.6903, 39.6627, 4.68, 0.07],
+    [13883, 44.6971, -9.7765, 6.14, 0.22],
+    [13884, 44.6992, -64.0713, 4.98, 0.13],
+    [13905, 44.7653, 35.1831, 4.94, 1.24],
+    [13907, 44.7771, -28.9072, 6.14, 1.04],
+    [13914, 44.8030, 21.3404, 4.63, 0.05],
+    [13942, 44.9008, -25.2741, 5.69, 0.43],
+    [13947, 44.9096, -32.5072, 6.32, 0.00],
+    [13949, 44.9162, 41.0329, 5.89, 1.45],
+    [13951, 44.9215, -2.4650, 5.56, -0.07],
+    [13954, 44.9288, 8.9074, 4.71, -0.11],
+    [13965, 44.9575, 47.2207, 5.47, 0.87],
+    [13997, 45.0496, 38.1317, 6.11, -0.06],
+    [14036, 45.1839, 10.8704, 5.93, 1.59],
+    [14040, 45.2120, -2.8786, 6.11, 1.75],
+    [14043, 45.2176, 52.3517, 5.24, -0.05],
+    [14060, 45.2918, -7.6630, 5.75, 1.04],
+    [14086, 45.4068, -28.0916, 5.88, 0.79],
+    [14104, 45.4679, 5.3362, 6.24, 1.04],
+    [14109, 45.4756, 26.4624, 5.91, 0.14],
+    [14110, 45.4838, -9.9614, 5.84, 1.09],
+    [14124, 45.5386, -6.4945, 6.20, 0.60],
+    [14131, 45.5644, -71.9025, 5.51, -0.13],
+    [14135, 45.5699, 4.0897, 2.54, 1.63],
+    [14143, 45.5938, 4.3529, 5.62, -0.11],
+    [14146, 45.5979, -23.6245, 4.08, 0.16],
+    [14168, 45.6761, -7.6855, 5.32, 0.94],
+    [14187, 45.7328, -46.9750, 5.81, 1.30],
+    [14232, 45.8757, 28.2699, 6.38, 0.31],
+    [14240, 45.9034, -59.7378, 5.12, 0.35],
+    [14264, 45.9864, 47.8485, 6.48, 0.30],
+    [14293, 46.0688, -7.6009, 5.26, 0.19],
+    [14315, 46.1586, 1.8636, 6.05, 1.04],
+    [14318, 46.1694, 15.8560, 6.37, 1.40],
+    [14328, 46.1991, 53.5064, 2.91, 0.72],
+    [14354, 46.2941, 38.8403, 3.32, 1.53],
+    [14355, 46.2971, -8.2742, 6.30, 1.02],
+    [14365, 46.3375, 40.5822, 6.06, 1.01],
+    [14376, 46.3612, 25.2552, 5.45, -0.03],
+    [14382, 46.3850, 56.7057, 4.77, 1.02],
+    [14392, 46.4174, 56.0690, 6.10, 1.05],
+    [14417, 46.5327, 79.4185, 5.49, 1.57],
+    [14439, 46.5987, 13.1873, 5.64, 1.09],
+    [14456, 46.6396, -6.0886, 5.23, 1.57],
+    [14502, 46.8292, 64.0576, 5.89, -0.02],
+    [14514, 46.8570, 17.8800, 6.13, -0.12],
+    [14521, 46.8839, -78.9892, 5.67, 0.30],
+    [14544, 46.9473, 47.3087, 6.38, 0.12],
+    [14547, 46.9539, -69.2649, 6.12, 1.01],
+    [14551, 46.9619, -27.8312, 6.18, 0.17],
+    [14566, 47.0161, 52.2135, 6.33, -0.02],
+    [14576, 47.0422, 40.9556, 2.09, -0.00],
+    [14586, 47.0880, 18.7951, 6.24, 1.56],
+    [14607, 47.1616, 8.4711, 6.28, 1.03],
+    [14626, 47.2258, 62.3846, 6.47, 0.23],
+    [14632, 47.2667, 49.6133, 4.05, 0.59],
+    [14649, 47.3339, 20.7611, 6.41, 1.24],
+    [14668, 47.3740, 44.8575, 3.79, 0.98],
+    [14677, 47.4031, 29.0771, 5.74, 0.12],
+    [14719, 47.5368, 27.8198, 6.42, 0.01],
+    [14748, 47.6127, 26.8962, 6.02, 1.28],
+    [14749, 47.6135, -48.7342, 6.11, 1.12],
+    [14757, 47.6475, -23.7385, 6.37, 0.91],
+    [14764, 47.6616, 11.8726, 5.97, -0.06],
+    [14791, 47.7531, 64.8963, 6.50, 0.16],
+    [14797, 47.7720, -13.2643, 6.36, 0.61],
+    [14814, 47.8197, -16.0250, 6.25, 1.17],
+    [14817, 47.8224, 39.6116, 4.61, 1.11],
+    [14819, 47.8282, -3.8116, 6.08, 1.67],
+    [14821, 47.8413, 13.0478, 6.11, 1.04],
+    [14838, 47.9074, 19.7267, 4.35, 1.03],
+    [14844, 47.9278, 81.4707, 5.92, 0.15],
+    [14862, 47.9845, 74.3937, 4.85, 0.04],
+    [14879, 48.0189, -28.9876, 3.80, 0.54],
+    [14887, 48.0398, 42.3759, 6.15, -0.10],
+    [14893, 48.0594, 27.2570, 5.78, -0.11],
+    [14913, 48.1073, -44.4197, 5.92, 0.44],
+    [14914, 48.1101, 47.7259, 6.32, 1.43],
+    [14915, 48.1099, 6.6609, 5.55, 1.01],
+    [14930, 48.1382, -57.3215, 5.71, 2.42],
+    [14954, 48.1935, -1.1961, 5.07, 0.57],
+    [14972, 48.2562, -35.9437, 6.29, -0.08],
+    [15004, 48.3495, 48.1770, 5.93, 0.97],
+    [15024, 48.4081, -29.8041, 6.17, 1.04],
+    [15110, 48.7254, 21.0444, 4.87, -0.01],
+    [15118, 48.7358, 42.5036, 6.07, 1.09],
+    [15125, 48.7511, -26.1005, 6.25, 0.04],
+    [15154, 48.8352, 30.5567, 5.61, 0.01],
+    [15191, 48.9464, 32.8567, 6.30, 0.37],
+    [15192, 48.9499, 57.1406, 5.79, 0.64],
+    [15193, 48.9528, 50.9559, 6.46, 0.10],
+    [15197, 48.9584, -8.8197, 4.80, 0.23],
+    [15201, 48.9903, -77.3885, 5.51, 0.44],
+    [15203, 49.0036, -5.9187, 6.17, -0.02],
+    [15204, 49.0078, 34.6885, 6.25, 0.29],
+    [15209, 49.0186, 45.3461, 6.15, 1.67],
+    [15219, 49.0508, 50.9377, 5.04, 1.11],
+    [15230, 49.0905, -5.7305, 6.30, 1.65],
+    [15241, 49.1466, 32.1840, 5.98, 0.99],
+    [15244, 49.1490, -9.1547, 6.14, 0.41],
+    [15282, 49.2977, 40.4830, 6.44, -0.03],
+    [15305, 49.3608, -47.7517, 5.84, 1.23],
+    [15309, 49.3814, 65.6584, 6.41, 0.08],
+    [15323, 49.4169, 31.1270, 6.40, 0.57],
+    [15330, 49.4423, -62.5753, 5.53, 0.64],
+    [15334, 49.4406, 39.2834, 5.97, 0.06],
+    [15338, 49.4473, 44.0250, 5.49, -0.06],
+    [15353, 49.4961, -66.9269, 6.03, 0.13],
+    [15357, 49.5108, -28.7971, 5.93, 0.34],
+    [15371, 49.5534, -62.5064, 5.24, 0.60],
+    [15382, 49.5921, -22.5111, 4.86, 0.90],
+    [15383, 49.5934, -0.9303, 5.62, 1.05],
+    [15404, 49.6573, 50.2222, 5.16, -0.07],
+    [15411, 49.6715, -18.5598, 5.72, 0.38],
+    [15416, 49.6826, 34.2227, 4.85, 1.49],
+    [15444, 49.7818, 50.0950, 5.05, -0.07],
+    [15457, 49.8404, 3.3702, 4.84, 0.68],
+    [15474, 49.8792, -21.7579, 3.70, 1.61],
+    [15479, 49.8954, -24.1229, 5.63, 1.66],
+    [15510, 49.9819, -43.0698, 4.26, 0.71],
+    [15514, 49.9825, 27.0711, 5.91, 0.86],
+    [15520, 49.9970, 65.6523, 4.74, -0.11],
+    [15547, 50.0823, 77.7347, 5.44, 0.21],
+    [15549, 50.0848, 29.0485, 4.47, 1.55],
+    [15557, 50.1066, 25.6627, 6.14, 1.24],
+    [15585, 50.1883, -26.6065, 6.40, 0.54],
+    [15619, 50.2783, 3.6756, 5.70, 0.96],
+    [15627, 50.3068, 21.1471, 5.27, -0.07],
+    [15643, 50.3500, -23.6351, 5.50, 0.89],
+    [15648, 50.3607, 43.3297, 4.96, 0.05],
+    [15655, 50.3893, -47.7767, 6.40, 0.99],
+    [15669, 50.4689, 49.0709, 5.94, 0.47],
+    [15696, 50.5496, 27.6076, 5.55, 1.10],
+    [15700, 50.5679, -25.5878, 6.36, 0.01],
+    [15737, 50.6885, 20.7421, 5.10, 1.23],
+    [15770, 50.8050, 49.2133, 5.32, -0.08],
+    [15776, 50.8238, -7.7941, 6.20, 0.70],
+    [15800, 50.9013, 0.9101, 6.47, 1.15],
+    [15807, 50.9125, 4.8821, 6.37, 0.85],
+    [15840, 51.0096, -69.6246, 6.14, 0.48],
+    [15850, 51.0422, 12.6296, 6.03, 1.23],
+    [15861, 51.0770, 24.7241, 5.50, 1.19],
+    [15863, 51.0807, 49.8612, 1.79, 0.48],
+    [15870, 51.1088, 20.8035, 6.07, -0.03],
+    [15876, 51.1238, 33.5360, 5.78, -0.00],
+    [15884, 51.1508, -51.0627, 6.50, 0.00],
+    [15890, 51.1690, 64.5860, 5.13, 2.04],
+    [15900, 51.2033, 9.0289, 3.61, 0.89],
+    [15968, 51.4011, -69.3364, 5.96, 0.41],
+    [15987, 51.4827, -35.9209, 6.39, 0.08],
+    [15988, 51.4891, 49.1208, 6.09, -0.07],
+    [16015, 51.5491, -41.6369, 6.33, 0.05],
+    [16029, 51.5939, -27.3175, 5.93, 0.93],
+    [16042, 51.6475, 28.7151, 6.47, 0.88],
+    [16083, 51.7923, 9.7327, 3.73, -0.08],
+    [16095, 51.8278, 12.7353, 6.29, -0.03],
+    [16112, 51.8893, -35.6813, 5.71, 1.28],
+    [16142, 52.0039, -11.2866, 5.74, 1.10],
+    [16147, 52.0128, 49.0629, 4.99, -0.09],
+    [16156, 52.0480, -35.8534, 6.49, 0.13],
+    [16168, 52.0862, 33.8076, 5.72, 0.05],
+    [16177, 52.0983, 60.2557, 6.49, 0.01],
+    [16181, 52.1107, 22.8040, 6.03, 0.95],
+    [16210, 52.2180, 49.8484, 5.58, -0.05],
+    [16226, 52.2658, 3.2487, 6.41, 0.79],
+    [16228, 52.2672, 59.9403, 4.21, 0.42],
+    [16244, 52.3419, 49.5089, 4.67, -0.10],
+    [16245, 52.3445, -62.9375, 4.71, 0.41],
+    [16252, 52.3595, 46.9379, 6.21, 0.13],
+    [16263, 52.4001, -12.6747, 5.57, 0.17],
+    [16266, 52.4131, -6.8045, 6.01, 1.02],
+    [16281, 52.4781, 58.8787, 4.55, 0.49],
+    [16285, 52.4798, -42.6343, 5.76, 0.20],
+    [16290, 52.4954, -78.3518, 5.68, 0.93],
+    [16292, 52.5008, 55.4518, 5.09, 0.02],
+    [16303, 52.5456, 59.3659, 6.14, 0.10],
+    [16310, 52.5566, -41.3699, 6.12, 0.49],
+    [16319, 52.5808, 71.8639, 6.37, 1.77],
+    [16322, 52.6020, 11.3364, 5.14, -0.04],
+    [16335, 52.6437, 47.9952, 4.36, 1.37],
+    [16339, 52.6540, -47.3751, 5.98, 0.12],
+    [16340, 52.6540, 48.1036, 5.82, -0.03],
+    [16341, 52.6544, -5.0751, 4.74, -0.09],
+    [16358, 52.6892, 6.1887, 5.93, 0.95],
+    [16368, 52.7154, -66.4897, 5.81, -0.06],
+    [16369, 52.7182, 12.9367, 4.14, 1.11],
+    [16424, 52.8722, 49.2098, 6.29, 0.07],
+    [16425, 52.8762, 40.7599, 6.50, 0.24],
+    [16447, 52.9543, 49.4011, 6.41, 0.07],
+    [16449, 52.9735, -25.6141, 6.38, 0.12],
+    [16470, 53.0358, 48.0235, 5.47, -0.10],
+    [16489, 53.0839, 84.9110, 5.62, 0.89],
+    [16499, 53.1094, 46.0569, 5.30, 0.40],
+    [16509, 53.1450, -50.3786, 5.67, 1.10],
+    [16511, 53.1498, 9.3734, 5.76, -0.07],
+    [16516, 53.1624, 44.8558, 6.42, -0.01],
+    [16518, 53.1667, 35.4617, 5.91, -0.08],
+    [16531, 53.2148, -61.0169, 6.42, 1.04],
+    [16537, 53.2327, -9.4583, 3.72, 0.88],
+    [16587, 53.3842, 58.7652, 6.45, 0.17],
+    [16591, 53.3960, 39.8995, 5.79, 0.14],
+    [16599, 53.4127, 54.9749, 5.98, 0.11],
+    [16602, 53.4218, 57.8687, 6.37, 0.52],
+    [16611, 53.4470, -21.6329, 4.26, -0.11],
+    [16628, 53.4866, -31.0801, 6.20, 0.48],
+    [16641, 53.5349, 17.8328, 6.14, 0.89],
+    [16664, 53.6109, 24.4644, 5.95, 0.12],
+    [16672, 53.6400, -31.8748, 6.39, 1.40],
+    [16677, 53.6561, -9.8683, 6.25, 0.02],
+    [16695, 53.7045, 6.4177, 6.49, 0.64],
+    [16697, 53.7184, -25.5828, 6.48, 0.98],
+    [16712, 53.7542, 60.0414, 6.43, 0.43],
+    [16779, 53.9885, -5.1250, 6.49, 1.09],
+    [16780, 53.9903, -11.1938, 5.56, 0.92],
+    [16803, 54.0726, -17.4671, 5.24, -0.12],
+    [16826, 54.1224, 48.1926, 4.32, -0.06],
+    [16827, 54.1256, -78.3231, 6.29, 1.15],
+    [16846, 54.1970, 0.5878, 5.82, 0.89],
+    [16852, 54.2183, 0.4017, 4.29, 0.57],
+    [16870, 54.2737, -40.2745, 4.57, 1.02],
+    [16924, 54.4493, 15.4306, 6.40, 0.17],
+    [16938, 54.5008, 42.5828, 6.41, -0.06],
+    [16974, 54.5822, 56.9327, 6.29, -0.10],
+    [16989, 54.6219, -7.3919, 5.86, 0.98],
+    [17007, 54.6986, -27.9431, 6.01, -0.03],
+    [17026, 54.7503, 20.9158, 6.50, 0.15],
+    [17027, 54.7547, -5.6262, 5.97, 0.92],
+    [17056, 54.8545, 75.7396, 6.25, 0.97],
+    [17057, 54.8559, -10.4373, 6.19, 1.03],
+    [17058, 54.8573, 16.5367, 6.18, 1.00],
+    [17086, 54.9098, -3.3930, 6.22, 1.04],
+    [17103, 54.9630, 3.0569, 5.55, 0.93],
+    [17120, 54.9982, -1.1212, 6.12, 0.99],
+    [17136, 55.0477, -15.2265, 6.35, 0.88],
+    [17167, 55.1597, -5.2107, 5.53, -0.14],
+    [17181, 55.1930, 25.3295, 6.11, 0.10],
+    [17203, 55.2827, 37.5802, 5.55, -0.06],
+    [17214, 55.3075, -11.8024, 6.49, 0.38],
+    [17296, 55.5389, 63.2168, 5.06, 1.65],
+    [17298, 55.5411, -45.9579, 6.50, 0.52],
+    [17304, 55.5621, -31.9384, 4.99, -0.16],
+    [17309, 55.5790, 19.7003, 5.68, -0.02],
+    [17313, 55.5944, 33.9650, 4.97, -0.05],
+    [17328, 55.6368, -85.2620, 6.40, -0.01],
+    [17342, 55.6781, 59.9694, 5.74, 1.74],
+    [17351, 55.7086, -37.3135, 4.59, 1.19],
+    [17358, 55.7313, 47.7876, 3.01, -0.13],
+    [17378, 55.8121, -9.7634, 3.52, 0.92],
+    [17395, 55.8910, -10.4857, 5.59, 0.22],
+    [17408, 55.9467, 19.6650, 6.13, 0.99],
+    [17436, 56.0266, -40.6603, 6.45, 1.06],
+    [17437, 56.0268, 48.5237, 6.06, 1.55],
+    [17440, 56.0499, -64.8069, 3.84, 1.13],
+    [17448, 56.0797, 32.2882, 3.84, 0.02],
+    [17453, 56.1175, 20.9287, 6.09, 0.03],
+    [17457, 56.1271, -1.1631, 5.24, -0.09],
+    [17460, 56.1310, 36.4601, 5.60, 0.06],
+    [17464, 56.1412, -54.2740, 6.29, 1.03],
+    [17475, 56.1705, 46.0998, 6.10, 0.29],
+    [17489, 56.2009, 24.2895, 5.45, -0.03],
+    [17493, 56.2103, -48.0613, 6.49, 1.01],
+    [17499, 56.2189, 24.1133, 3.72, -0.10],
+    [17506, 56.2354, -0.2967, 5.56, 1.41],
+    [17527, 56.2906, 24.8393, 5.66, -0.06],
+    [17529, 56.2985, 42.5785, 3.77, 0.42],
+    [17531, 56.3021, 24.4673, 4.30, -0.11],
+    [17534, 56.3162, -47.3595, 5.72, 0.96],
+    [17543, 56.3489, -71.6581, 6.26, -0.12],
+    [17558, 56.4045, 38.6763, 6.45, 1.20],
+    [17563, 56.4185, 6.0500, 5.34, -0.10],
+    [17573, 56.4567, 24.3677, 3.87, -0.06],
+    [17579, 56.4770, 24.5545, 5.76, -0.04],
+    [17584, 56.4969, 45.6819, 5.66, -0.08],
+    [17585, 56.5039, 67.2016, 5.79, 0.35],
+    [17587, 56.5097, 63.3450, 4.78, 0.75],
+    [17588, 56.5121, 24.5279, 6.43, -0.02],
+    [17593, 56.5356, -12.1016, 4.43, 1.60],
+    [17595, 56.5390, 6.8035, 5.91, 0.99],
+    [17608, 56.5816, 23.9484, 4.14, -0.05],
+    [17618, 56.6143, -29.3382, 5.91, 0.11],
+    [17651, 56.7120, -23.2497, 4.22, 0.43],
+    [17678, 56.8098, -74.2390, 3.26, 1.59],
+    [17702, 56.8712, 24.1051, 2.85, -0.09],
+    [17707, 56.8839, 55.9220, 6.09, -0.02],
+    [17717, 56.9152, -23.8747, 5.24, 0.07],
+    [17732, 56.9543, 32.1954, 6.26, 0.47],
+    [17734, 56.9567, -36.1058, 6.21, -0.10],
+    [17738, 56.9835, -30.1679, 5.52, 0.97],
+    [17759, 57.0273, 24.9884, 6.44, 1.70],
+    [17771, 57.0678, 11.1433, 5.08, -0.13],
+    [17772, 57.0753, 50.7368, 6.18, 0.03],
+    [17776, 57.0867, 23.4212, 5.44, -0.07],
+    [17797, 57.1495, -37.6202, 4.30, -0.04],
+    [17798, 57.1488, -20.9030, 5.81, 1.60],
+    [17805, 57.1623, 0.2279, 5.91, 1.22],
+    [17832, 57.2373, 23.8571, 6.47, 0.38],
+    [17846, 57.2838, 43.9631, 5.95, 0.28],
+    [17847, 57.2906, 24.0534, 3.62, -0.07],
+    [17851, 57.2967, 24.1367, 5.05, -0.08],
+    [17854, 57.3072, 70.8710, 5.40, 0.10],
+    [17858, 57.3323, 57.1183, 6.46, 0.06],
+    [17874, 57.3635, -36.2003, 4.17, 0.93],
+    [17884, 57.3803, 65.5260, 4.39, 1.87],
+    [17886, 57.3862, 33.0914, 5.14, 0.06],
+    [17891, 57.4025, 63.2970, 5.82, 0.19],
+    [17900, 57.4314, 23.7119, 6.17, -0.05],
+    [17921, 57.4795, 22.2442, 6.05, -0.01],
+    [17932, 57.5184, 44.9679, 5.65, 0.78],
+    [17950, 57.5674, -1.5226, 6.47, 0.43],
+    [17954, 57.5789, 25.5794, 5.24, 0.23],
+    [17959, 57.5896, 71.3323, 4.59, 0.06],
+    [18033, 57.8161, 13.0461, 6.30, -0.06],
+    [18067, 57.9241, 68.5075, 6.31, -0.06],
+    [18081, 57.9738, 34.3591, 5.78, -0.04],
+    [18089, 58.0010, 6.5349, 5.66, 0.05],
+    [18094, 58.0185, 31.1686, 6.22, 0.21],
+    [18141, 58.1736, -5.3613, 5.48, -0.09],
+    [18170, 58.2919, 17.3271, 5.97, 0.35],
+    [18173, 58.3039, -18.4344, 6.21, 0.87],
+    [18199, 58.3888, -46.8937, 5.93, 1.22],
+    [18201, 58.3937, 25.6829, 6.35, 0.11],
+    [18212, 58.4113, 48.6505, 5.76, 1.04],
+    [18213, 58.4123, -34.7323, 5.11, -0.13],
+    [18216, 58.4279, -24.6122, 4.64, -0.14],
+    [18217, 58.4304, 57.9751, 5.80, 0.18],
+    [18246, 58.5330, 31.8836, 2.84, 0.27],
+    [18255, 58.5729, -2.9547, 4.46, 0.67],
+    [18262, 58.5965, -40.3570, 5.70, 0.60],
+    [18275, 58.6415, -52.6904, 6.46, 0.16],
+    [18339, 58.8172, -12.0991, 5.99, 0.32],
+    [18396, 58.9924, 47.8714, 5.39, -0.07],
+    [18401, 59.0166, -63.4637, 6.14, 1.09],
+    [18428, 59.1153, -13.5975, 6.37, 1.58],
+    [18434, 59.1195, 35.0809, 5.49, -0.06],
+    [18438, 59.1260, 71.8216, 6.31, 0.33],
+    [18453, 59.1522, 50.6954, 5.28, 0.42],
+    [18455, 59.1580, -9.7508, 6.18, 0.27],
+    [18471, 59.2170, 22.4780, 5.62, 0.34],
+    [18481, 59.2572, 6.0400, 6.09, 0.06],
+    [18485, 59.2659, 23.1756, 6.05, 0.03],
+    [18488, 59.2845, 61.1089, 4.99, 1.44],
+    [18505, 59.3560, 63.0723, 4.95, -0.07],
+    [18508, 59.3599, 24.4619, 6.19, 1.37],
+    [18532, 59.4635, 40.0102, 2.90, -0.20],
+    [18543, 59.5074, -13.5085, 2.97, 1.59],
+    [18565, 59.6215, 38.8403, 6.32, 1.08],
+    [18592, 59.6788, -57.1024, 6.05, 0.44],
+    [18597, 59.6865, -61.4002, 4.56, 1.59],
+    [18606, 59.7183, -5.4699, 5.85, 1.00],
+    [18614, 59.7413, 35.7910, 3.98, 0.02],
+    [18647, 59.8755, -12.5744, 5.61, 1.48],
+    [18658, 59.9187, 10.3304, 6.35, 0.42],
+    [18673, 59.9812, -24.0162, 4.62, -0.12],
+    [18717, 60.1537, 17.2967, 6.31, 0.06],
+    [18723, 60.1694, -30.4907, 5.93, 0.04],
+    [18724, 60.1701, 12.4903, 3.41, -0.10],
+    [18735, 60.2032, 18.1940, 5.89, 0.32],
+    [18744, 60.2242, -62.1593, 4.48, 1.50],
+    [18769, 60.3118, 36.9895, 6.39, -0.01],
+    [18772, 60.3256, -61.0788, 4.97, 1.39],
+    [18788, 60.3835, -1.5497, 5.28, -0.13],
+    [18805, 60.4422, 9.9980, 5.67, 0.01],
+    [18859, 60.6531, -0.2689, 5.38, 0.52],
+    [18907, 60.7891, 5.9893, 3.91, 0.03],
+    [18926, 60.8531, -20.1438, 6.47, -0.18],
+    [18957, 60.9359, 5.4356, 5.32, -0.08],
+    [18975, 60.9859, 8.1973, 5.45, 0.37],
+    [18990, 61.0363, -16.5887, 6.36, 1.27],
+    [18993, 61.0411, 2.8269, 5.36, 0.51],
+    [19009, 61.0903, 24.1060, 5.46, 0.81],
+    [19011, 61.0946, -12.7923, 5.62, 1.06],
+    [19018, 61.1132, 59.1555, 5.00, 0.49],
+    [19037, 61.1704, -20.3819, 6.12, 1.16],
+    [19038, 61.1738, 22.0819, 4.36, 1.06],
+    [19076, 61.3344, 22.0089, 5.90, 0.62],
+    [19095, 61.4060, -27.6518, 5.59, 0.32],
+    [19111, 61.4446, -20.5126, 6.34, 0.92],
+    [19121, 61.4854, -8.8561, 6.27, 0.06],
+    [19129, 61.5133, 68.6800, 5.88, 1.54],
+    [19167, 61.6460, 50.3513, 4.25, -0.01],
+    [19171, 61.6517, 27.5999, 5.18, -0.12],
+    [19172, 61.6527, 54.0087, 6.31, 0.98],
+    [19177, 61.6618, 65.5208, 6.14, 0.14],
+    [19205, 61.7519, 29.0013, 5.21, 0.36],
+    [19222, 61.7949, 74.0004, 6.49, 0.98],
+    [19233, 61.8398, -64.2223, 6.37, 0.64],
+    [19261, 61.9249, 15.1628, 6.02, 0.40],
+    [19284, 61.9976, 17.3399, 5.89, 1.50],
+    [19302, 62.0641, 37.7275, 6.07, 0.94],
+    [19335, 62.1526, 38.0397, 5.52, 0.52],
+    [19343, 62.1654, 47.7125, 3.96, -0.03],
+    [19376, 62.2565, 13.3983, 5.94, 0.05],
+    [19388, 62.2915, 19.6092, 5.51, 1.08],
+    [19398, 62.3243, -16.3859, 5.45, -0.15],
+    [19400, 62.3426, 54.8289, 6.25, 0.45],
+    [19412, 62.3649, 59.9081, 6.29, 1.11],
+    [19434, 62.4292, 3.3227, 6.49, 0.44],
+    [19454, 62.5068, 86.6261, 5.84, 0.39],
+    [19461, 62.5114, 80.6987, 5.10, 0.59],
+    [19483, 62.5938, -6.9239, 5.44, 0.94],
+    [19509, 62.6911, -35.2738, 6.43, 1.07],
+    [19511, 62.6990, -8.8198, 5.70, 1.06],
+    [19513, 62.7078, 26.4810, 5.39, 0.35],
+    [19515, 62.7108, -41.9936, 4.93, 0.33],
+    [19525, 62.7459, 33.5868, 5.75, 1.41],
+    [19554, 62.8345, 5.5230, 5.71, 0.36],
+    [19571, 62.9008, -20.3562, 5.80, 0.17],
+    [19587, 62.9664, -6.8376, 4.04, 0.33],
+    [19590, 62.9839, -8.8375, 6.45, 0.95],
+    [19601, 63.0011, -17.2747, 6.41, 0.97],
+    [19641, 63.1306, 17.2775, 6.09, 1.08],
+    [19672, 63.2135, 22.4135, 6.14, 0.17],
+    [19673, 63.2159, 68.5012, 6.33, 1.17],
+    [19719, 63.3879, 7.7160, 5.29, 0.37],
+    [19720, 63.3940, 10.2125, 6.24, 0.02],
+    [19721, 63.3988, -40.3578, 6.36, 1.47],
+    [19725, 63.4090, -1.1497, 6.45, -0.13],
+    [19730, 63.4368, 72.1261, 6.05, 1.02],
+    [19736, 63.4577, 12.7537, 6.25, 1.14],
+    [19740, 63.4849, 9.2638, 4.84, 0.80],
+    [19746, 63.4987, 37.9671, 6.47, 1.03],
+    [19747, 63.5005, -42.2944, 3.85, 1.08],
+    [19777, 63.5987, -10.2563, 4.87, 1.16],
+    [19780, 63.6062, -62.4739, 3.33, 0.92],
+    [19799, 63.6510, 10.0114, 5.22, -0.09],
+    [19805, 63.7023, -62.1918, 5.45, 1.11],
+    [19810, 63.7169, 37.5427, 6.31, 0.96],
+    [19811, 63.7222, 40.4837, 4.67, 1.01],
+    [19812, 63.7244, 48.4093, 4.12, 0.94],
+    [19823, 63.7575, 57.4604, 6.06, 0.60],
+    [19849, 63.8180, -7.6529, 4.43, 0.82],
+    [19859, 63.8700, 6.1869, 6.32, 0.57],
+    [19860, 63.8836, 8.8924, 4.27, -0.05],
+    [19877, 63.9428, 15.4007, 6.31, 0.40],
+    [19893, 64.0066, -51.4866, 4.26, 0.31],
+    [19917, 64.0874, -60.9485, 6.34, 0.10],
+    [19921, 64.1210, -59.3022, 4.44, 1.08],
+    [19949, 64.1795, 53.6118, 5.20, 0.05],
+    [19968, 64.2231, 61.8500, 5.69, -0.12],
+    [19983, 64.2837, 57.8604, 5.72, 1.11],
+    [19990, 64.3153, 20.5786, 4.93, 0.26],
+    [19996, 64.3301, -6.4722, 5.95, 1.08],
+    [20020, 64.4178, -63.2554, 5.88, -0.06],
+    [20039, 64.4659, 80.5358, 6.39, 0.95],
+    [20042, 64.4736, -33.7983, 3.55, -0.11],
+    [20049, 64.4970, -80.2140, 5.67, 0.84],
+    [20063, 64.5338, 42.1412, 6.22, -0.07],
+    [20070, 64.5609, 50.2955, 4.60, 0.04],
+    [20075, 64.5670, -20.7153, 6.00, 1.60],
+    [20087, 64.5967, 21.5793, 5.64, 0.28],
+    [20106, 64.6562, -22.9697, 6.09, 0.30],
+    [20109, 64.6668, -52.8601, 6.08, 0.49],
+    [20138, 64.7620, -33.9046, 6.36, 0.13],
+    [20156, 64.8052, 50.0487, 5.46, 0.23],
+    [20161, 64.8196, -44.2679, 5.33, 1.07],
+    [20171, 64.8587, 21.1423, 5.50, -0.07],
+    [20186, 64.9029, 21.7735, 5.34, -0.11],
+    [20188, 64.9059, 10.1214, 6.31, 1.43],
+    [20205, 64.9483, 15.6276, 3.65, 0.98],
+    [20219, 64.9904, 14.0352, 5.58, 0.28],
+    [20231, 65.0414, 31.9532, 6.16, 1.68],
+    [20234, 65.0480, 50.9209, 5.55, -0.03],
+    [20241, 65.0601, 41.8081, 5.95, 0.96],
+    [20250, 65.0884, 27.3508, 4.97, 1.15],
+    [20252, 65.1027, 34.5667, 4.93, 0.95],
+    [20255, 65.1046, 18.7426, 6.11, 0.40],
+    [20261, 65.1513, 15.0955, 5.26, 0.23],
+    [20263, 65.1610, -6.2460, 6.15, 0.90],
+    [20264, 65.1626, -20.6396, 5.38, -0.03],
+    [20266, 65.1680, 65.1404, 5.26, 0.82],
+    [20268, 65.1719, 6.1308, 5.76, 0.91],
+    [20271, 65.1785, -7.5925, 5.85, -0.12],
+    [20284, 65.2197, 13.8644, 6.15, 0.46],
+    [20297, 65.2419, -81.5799, 5.78, 0.36],
+    [20341, 65.3627, -0.0982, 5.86, 1.32],
+    [20347, 65.3805, -25.7286, 6.08, 0.37],
+    [20354, 65.3882, 46.4989, 4.80, -0.02],
+    [20360, 65.4063, -6.2842, 6.45, 0.06],
+    [20376, 65.4485, 60.7356, 5.40, 1.50],
+    [20380, 65.4659, 56.5063, 5.91, 0.11],
+    [20384, 65.4722, -63.3864, 5.24, 0.95],
+    [20400, 65.5147, 14.0772, 5.72, 0.32],
+    [20417, 65.5947, 20.8214, 5.91, 1.66],
+    [20430, 65.6456, 25.6293, 5.38, -0.04],
+    [20455, 65.7337, 17.5425, 3.77, 0.98],
+    [20456, 65.7415, 59.6162, 6.18, 0.11],
+    [20465, 65.7736, -24.8922, 5.81, 1.51],
+    [20467, 65.7823, -35.5448, 6.38, 1.24],
+    [20484, 65.8544, 16.7773, 5.64, 0.31],
+    [20493, 65.8849, 20.9820, 6.00, 0.03],
+    [20498, 65.8992, 42.4279, 6.25, 0.02],
+    [20507, 65.9202, -3.7455, 5.17, 0.07],
+    [20522, 65.9659, 9.4610, 5.10, 0.07],
+    [20533, 65.9990, 24.3010, 6.34, 0.17],
+    [20535, 66.0092, -34.0168, 3.97, 1.47],
+    [20542, 66.0240, 17.4441, 4.80, 0.15],
+    [20552, 66.0509, -57.0713, 6.28, 0.66],
+    [20558, 66.0603, 12.1580, 6.42, 1.41],
+    [20579, 66.1215, 34.1308, 5.73, -0.05],
+    [20591, 66.1561, 33.9597, 5.77, 0.40],
+    [20614, 66.2380, 19.0420, 5.97, 0.38],
+    [20619, 66.2722, -61.2382, 5.94, 1.53],
+    [20630, 66.3297, -44.1609, 6.38, 0.46],
+    [20635, 66.3424, 22.2939, 4.21, 0.14],
+    [20641, 66.3542, 22.2000, 5.27, 0.25],
+    [20648, 66.3724, 17.9279, 4.30, 0.05],
+    [20661, 66.4055, 15.9410, 6.44, 0.51],
+    [20698, 66.5056, 4.3735, 6.37, 1.08],
+    [20704, 66.5263, 31.4389, 5.29, 0.99],
+    [20711, 66.5769, 22.8136, 4.28, 0.26],
+    [20713, 66.5864, 15.6183, 4.48, 0.26],
+    [20715, 66.5879, 8.5903, 6.06, -0.01],
+    [20732, 66.6516, 14.7138, 4.69, 0.98],
+    [20765, 66.7372, -24.0813, 6.11, 0.14],
+    [20771, 66.7529, 2.0794, 6.23, 1.09],
+    [20772, 66.7536, 57.5853, 6.28, 0.06],
+    [20776, 66.7623, 80.8242, 5.42, 1.18],
+    [20781, 66.7749, -46.9475, 6.10, 0.47],
+    [20789, 66.8227, 22.9963, 5.53, -0.10],
+    [20804, 66.8699, 11.2123, 5.87, 0.05],
+    [20825, 66.9418, -62.5212, 5.74, 1.00],
+    [20842, 67.0033, 21.6199, 5.72, 0.27],
+    [20848, 67.0152, 1.8586, 6.14, 1.02],
+    [20856, 67.0394, -41.9598, 6.41, 1.61],
+    [20860, 67.0553, 83.8078, 5.51, -0.11],
+    [20873, 67.0975, 14.7410, 5.90, 0.33],
+    [20877, 67.1099, 16.3597, 4.96, 1.14],
+    [20884, 67.1338, 1.3808, 5.53, -0.10],
+    [20885, 67.1437, 15.9622, 3.84, 0.95],
+    [20889, 67.1542, 19.1804, 3.53, 1.01],
+    [20892, 67.1627, -19.4589, 5.95, 1.22],
+    [20894, 67.1656, 15.8709, 3.40, 0.18],
+    [20901, 67.2090, 13.0476, 5.02, 0.21],
+    [20904, 67.2166, 30.3615, 6.38, 0.55],
+    [20922, 67.2789, -13.0484, 5.61, -0.20],
+    [20934, 67.3337, -46.5153, 6.13, 1.06],
+    [20982, 67.5015, 83.3404, 5.47, 0.85],
+    [20985, 67.5095, 10.2622, 6.47, 1.04],
+    [20995, 67.5358, 15.6378, 5.58, 0.32],
+    [20997, 67.5417, -13.5924, 6.22, 1.00],
+    [21029, 67.6401, 16.1940, 4.78, 0.17],
+    [21036, 67.6557, 13.7244, 5.40, 0.26],
+    [21038, 67.6600, 32.4578, 6.18, -0.03],
+    [21039, 67.6620, 15.6919, 5.47, 0.26],
+    [21042, 67.6680, -35.6535, 5.95, 1.00],
+    [21053, 67.6950, 16.1487, 6.50, 0.43],
+    [21060, 67.7087, -44.9537, 5.07, -0.19],
+    [21082, 67.7800, 15.1050, 6.28, 1.73],
+    [21108, 67.8504, 40.0102, 6.25, 0.01],
+    [21110, 67.8577, -13.6442, 6.25, 0.09],
+    [21137, 67.9657, 15.8516, 6.01, 0.34],
+    [21139, 67.9694, -0.0440, 4.91, 1.32],
+    [21144, 67.9873, 36.7427, 6.35, 1.09],
+    [21148, 68.0077, 53.9108, 5.78, 0.12],
+    [21152, 68.0200, 5.4100, 6.37, 0.42],
+    [21192, 68.1565, -3.2095, 5.76, -0.12],
+    [21239, 68.3420, -10.7853, 6.06, 1.38],
+    [21242, 68.3538, 43.0639, 6.09, 0.37],
+    [21247, 68.3778, 72.5286, 5.94, 0.31],
+    [21248, 68.3773, -29.7665, 4.49, 0.97],
+    [21251, 68.3877, 18.0167, 6.24, 0.08],
+    [21253, 68.3915, -62.8237, 5.79, 1.03],
+    [21269, 68.4507, 9.4136, 6.01, 1.06],
+    [21273, 68.4622, 14.8444, 4.65, 0.26],
+    [21278, 68.4780, -6.7389, 5.71, -0.13],
+    [21281, 68.4991, -55.0450, 3.30, -0.08],
+    [21295, 68.5344, 5.5686, 5.67, 0.06],
+    [21296, 68.5485, -8.2314, 5.20, 1.71],
+    [21297, 68.5490, -8.9703, 5.24, 1.47],
+    [21298, 68.5591, -6.8378, 6.09, 1.38],
+    [21323, 68.6583, 28.9612, 5.88, -0.05],
+    [21324, 68.6589, -24.0405, 6.37, 1.14],
+    [21363, 68.7530, -19.9214, 6.12, 1.17],
+    [21393, 68.8877, -30.5623, 3.81, 0.96],
+    [21402, 68.9136, 10.1608, 4.25, 0.18],
+    [21408, 68.9273, 19.8818, 6.33, 0.75],
+    [21421, 68.9802, 16.5093, 0.87, 1.54],
+    [21428, 69.0070, -3.6116, 6.34, -0.10],
+    [21444, 69.0798, -3.3525, 3.93, -0.21],
+    [21452, 69.1008, 64.2616, 5.91, -0.01],
+    [21459, 69.1214, 23.3409, 6.01, 0.38],
+    [21476, 69.1726, 41.2648, 4.25, 1.17],
+    [21479, 69.1900, -62.0772, 5.59, 1.50],
+    [21486, 69.2122, -30.7168, 6.28, -0.10],
+    [21515, 69.3070, 0.9983, 5.32, -0.11],
+    [21517, 69.3116, 18.5430, 6.49, 0.81],
+    [21525, 69.3303, -41.8729, 6.40, 0.17],
+    [21547, 69.4005, -2.4735, 5.22, 0.28],
+    [21588, 69.5394, 16.0333, 5.78, 0.31],
+    [21589, 69.5394, 12.5108, 4.27, 0.12],
+    [21594, 69.5451, -14.3040, 3.86, 1.08],
+    [21604, 69.5660, 20.6847, 5.85, -0.02],
+    [21611, 69.5905, -77.6560, 6.05, 1.08],
+    [21644, 69.7231, -12.1231, 4.99, 0.07],
+    [21666, 69.7679, -51.6728, 6.45, 1.32],
+    [21670, 69.7757, 7.8710, 5.38, 0.26],
+    [21673, 69.7884, 15.7998, 5.08, 0.14],
+    [21683, 69.8188, 15.9180, 4.67, 0.15],
+    [21685, 69.8321, -14.3592, 5.46, 1.05],
+    [21689, 69.8465, 25.2183, 6.21, 0.18],
+    [21718, 69.9468, -1.0525, 6.11, 0.94],
+    [21727, 69.9778, 53.0795, 5.07, 1.08],
+    [21730, 69.9920, 53.4730, 5.36, 0.33],
+    [21735, 70.0142, 12.1976, 5.45, -0.12],
+    [21743, 70.0283, -24.4824, 5.56, 0.93],
+    [21763, 70.1105, -19.6715, 4.32, 1.60],
+    [21770, 70.1405, -41.8638, 4.44, 0.34],
+    [21819, 70.3323, 28.6150, 5.73, 0.02],
+    [21823, 70.3505, 48.3009, 5.66, 0.00],
+    [21847, 70.4594, 38.2802, 5.97, 0.59],
+    [21861, 70.5145, -37.1443, 5.04, 0.39],
+    [21881, 70.5613, 22.9569, 4.27, -0.11],
+    [21914, 70.6934, -50.4813, 5.30, 0.98],
+    [21928, 70.7264, 43.3651, 5.30, 0.03],
+    [21949, 70.7665, -70.9310, 5.53, -0.11],
+    [21958, 70.7887, -30.7656, 5.66, 1.39],
+    [21961, 70.8073, 24.0889, 6.18, 0.54],
+    [21972, 70.8400, 49.9738, 5.86, 0.01],
+    [21986, 70.8948, -8.7943, 5.98, 0.65],
+    [21998, 70.9345, -41.0648, 6.24, 1.47],
+    [22003, 70.9510, 32.8655, 6.49, 0.31],
+    [22024, 71.0222, -8.5036, 5.78, -0.08],
+    [22028, 71.0333, -18.6666, 5.53, 0.03],
+    [22034, 71.0542, 40.7865, 6.09, 0.04],
+    [22040, 71.0881, -59.7327, 5.28, 0.21],
+    [22044, 71.1076, 11.1461, 5.39, 0.25],
+    [22081, 71.2413, -63.2297, 6.46, 1.08],
+    [22086, 71.2673, -21.2834, 5.72, 1.48],
+    [22109, 71.3756, -3.2547, 4.01, -0.15],
+    [22128, 71.4269, 23.6280, 6.34, 0.06],
+    [22144, 71.4810, -39.3566, 6.04, 1.06],
+    [22152, 71.5024, 76.6110, 6.46, 0.51],
+    [22157, 71.5073, 11.7056, 5.35, 0.20],
+    [22176, 71.5701, 18.7347, 5.99, 1.22],
+    [22189, 71.6007, -2.9545, 6.33, 0.04],
+    [22192, 71.6073, -28.0874, 6.18, 0.19],
+    [22220, 71.6853, 40.3126, 5.99, 0.93],
+    [22263, 71.9012, -16.9345, 5.49, 0.63],
+    [22280, 71.9566, -30.0204, 6.35, 1.07],
+    [22287, 72.0011, 56.7572, 5.29, 0.25],
+    [22300, 72.0293, 55.6026, 6.32, 0.32],
+    [22325, 72.1356, -16.3295, 5.76, 0.54],
+    [22336, 72.1516, -5.6740, 5.77, 0.63],
+    [22354, 72.1859, 3.5885, 6.04, 1.20],
+    [22361, 72.2098, 75.9412, 5.96, 0.28],
+    [22393, 72.3035, 31.4374, 5.57, 1.13],
+    [22407, 72.3295, 32.5882, 5.84, 0.25],
+    [22439, 72.4260, -13.7697, 6.27, 0.46],
+    [22441, 72.4337, 15.9042, 6.09, 1.55],
+    [22449, 72.4600, 6.9613, 3.19, 0.48],
+    [22453, 72.4777, 37.4883, 4.89, 1.45],
+    [22479, 72.5484, -16.2172, 5.03, 0.99],
+    [22488, 72.5674, -41.3208, 6.06, 0.41],
+    [22508, 72.6516, 70.9415, 6.36, -0.07],
+    [22509, 72.6530, 8.9002, 4.35, 0.01],
+    [22531, 72.7305, -53.4615, 5.58, 0.34],
+    [22534, 72.7354, -53.4597, 6.42, 0.48],
+    [22545, 72.7889, 48.7407, 5.64, 1.01],
+    [22549, 72.8015, 5.6051, 3.68, -0.16],
+    [22565, 72.8436, 18.8399, 5.08, 0.21],
+    [22573, 72.8676, -34.9063, 5.82, 0.10],
+    [22597, 72.9308, 9.9751, 6.11, 0.06],
+    [22607, 72.9583, 13.6552, 6.30, 0.50],
+    [22626, 73.0217, 63.5054, 5.47, 1.56],
+    [22667, 73.1332, 14.2506, 4.71, 1.77],
+    [22678, 73.1583, 36.7032, 4.79, 1.41],
+    [22697, 73.1963, 27.8975, 5.97, 0.37],
+    [22699, 73.1990, 42.5866, 5.68, 0.12],
+    [22701, 73.2236, -5.4527, 4.36, 0.26],
+    [22717, 73.2735, -72.4077, 6.28, 0.52],
+    [22720, 73.2908, 52.8412, 6.40, 0.07],
+    [22730, 73.3449, 2.5082, 5.33, 1.63],
+    [22737, 73.3771, -66.6754, 6.43, 1.64],
+    [22783, 73.5125, 66.3427, 4.26, -0.01],
+    [22797, 73.5629, 2.4407, 3.71, -0.18],
+    [22833, 73.6954, 11.4260, 5.18, 0.12],
+    [22834, 73.6991, 7.7791, 5.33, 1.21],
+    [22840, 73.7113, 0.4672, 5.98, -0.12],
+    [22842, 73.7135, 44.0609, 6.06, -0.03],
+    [22844, 73.7210, -58.5477, 6.11, 0.44],
+    [22845, 73.7239, 10.1508, 4.64, 0.09],
+    [22847, 73.7284, -39.6286, 6.11, 1.42],
+    [22850, 73.7432, 19.4854, 6.36, 0.29],
+    [22854, 73.7630, 55.2591, 5.52, 0.01],
+    [22860, 73.7784, -16.7407, 5.71, 0.95],
+    [22871, 73.7967, -74.9369, 5.47, 1.52],
+    [22881, 73.8277, -16.4178, 5.71, 0.87],
+    [22913, 73.9590, 15.0403, 5.79, -0.09],
+    [22923, 73.9931, 5.3990, 6.50, 0.03],
+    [22936, 74.0295, 52.8698, 5.75, 0.10],
+    [22938, 74.0374, 7.9047, 6.42, 0.41],
+    [22949, 74.0649, 24.5922, 6.33, 0.35],
+    [22955, 74.0837, 36.1685, 6.10, 0.35],
+    [22957, 74.0928, 13.5145, 4.06, 1.16],
+    [22958, 74.1008, -5.1714, 5.50, -0.12],
+    [23015, 74.2484, 33.1661, 2.69, 1.49],
+    [23040, 74.3217, 53.7521, 4.43, -0.02],
+    [23041, 74.3216, -1.0673, 6.25, 0.42],
+    [23043, 74.3431, 17.1537, 5.51, 1.30],
+    [23060, 74.4362, -14.2319, 6.15, -0.20],
+    [23068, 74.4527, 23.9486, 5.79, 1.11],
+    [23088, 74.5391, 25.0504, 5.79, 0.02],
+    [23092, 74.5455, -2.2127, 6.34, 0.11],
+    [23123, 74.6371, 1.7140, 4.47, 1.37],
+    [23148, 74.7124, -82.4705, 5.84, 0.93],
+    [23161, 74.7475, 14.5432, 6.14, 0.16],
+    [23166, 74.7557, -16.3760, 5.65, 0.45],
+    [23179, 74.8142, 37.8902, 4.93, 0.04],
+    [23216, 74.9430, 53.1555, 6.09, 1.46],
+    [23221, 74.9602, -10.2633, 5.39, 0.80],
+    [23231, 74.9822, -12.5374, 4.78, 0.27],
+    [23251, 75.0551, -78.3000, 6.29, 1.52],
+    [23261, 75.0764, 39.3947, 5.95, 0.41],
+    [23265, 75.0863, 81.1941, 5.09, 1.30],
+    [23268, 75.0967, 39.6547, 6.46, 1.68],
+    [23296, 75.1659, -2.0660, 6.31, 0.29],
+    [23311, 75.2042, -5.7537, 6.22, 1.05],
+    [23362, 75.3566, -20.0519, 4.91, -0.05],
+    [23364, 75.3598, -7.1740, 4.80, -0.16],
+    [23377, 75.3938, -39.7180, 6.02, 0.89],
+    [23380, 75.4002, 61.0780, 6.03, 0.45],
+    [23408, 75.4598, 0.7221, 5.91, 1.27],
+    [23416, 75.4922, 43.8233, 3.03, 0.54],
+    [23419, 75.5001, 1.6089, 6.45, -0.05],
+    [23430, 75.5409, -26.2750, 5.01, 1.06],
+    [23442, 75.5826, 74.2694, 6.05, 1.56],
+    [23446, 75.5950, -31.7713, 5.92, 1.17],
+    [23453, 75.6195, 41.0758, 3.69, 1.15],
+    [23467, 75.6792, -71.3143, 5.30, 1.00],
+    [23474, 75.6874, -22.7951, 5.74, 1.19],
+    [23475, 75.6891, -4.2101, 5.86, 1.21],
+    [23482, 75.7029, -49.1514, 5.37, 0.42],
+    [23484, 75.7102, 66.8230, 6.20, 0.51],
+    [23497, 75.7739, 21.5900, 4.62, 0.15],
+    [23511, 75.8277, 41.4416, 6.11, 0.19],
+    [23522, 75.8545, 60.4422, 4.03, 0.92],
+    [23551, 75.9672, -14.3702, 6.42, -0.19],
+    [23554, 75.9720, -24.3882, 5.61, 0.09],
+    [23555, 75.9748, -41.7450, 6.30, 0.53],
+    [23582, 76.0533, 73.7639, 6.21, 1.61],
+    [23583, 76.0607, 30.4946, 6.14, 1.21],
+    [23589, 76.0900, 21.2779, 6.20, 1.32],
+    [23595, 76.1017, -35.4830, 4.55, 1.18],
+    [23596, 76.1090, -35.7051, 6.32, 0.31],
+    [23607, 76.1423, 15.4041, 4.65, -0.06],
+    [23617, 76.1653, 74.0670, 6.10, 0.02],
+    [23643, 76.2272, -3.0397, 6.04, -0.12],
+    [23649, 76.2417, -49.5778, 5.05, 1.48],
+    [23653, 76.2525, -54.4074, 6.26, 1.55],
+    [23668, 76.3175, -26.1524, 5.71, 1.17],
+    [23680, 76.3488, 1.1776, 6.10, 3.33],
+    [23685, 76.3653, -22.3710, 3.19, 1.46],
+    [23693, 76.3777, -57.4727, 4.71, 0.53],
+    [23695, 76.3838, 19.8067, 6.48, 0.22],
+    [23724, 76.5038, 35.9364, 6.49, 0.18],
+    [23734, 76.5352, 58.9724, 5.22, -0.08],
+    [23737, 76.5387, -73.0377, 6.26, 0.01],
+    [23743, 76.5506, 59.0213, 6.08, 1.11],
+    [23766, 76.6238, 61.1698, 6.00, 1.38],
+    [23767, 76.6287, 41.2345, 3.18, -0.15],
+    [23777, 76.6531, -13.1226, 6.04, -0.03],
+    [23783, 76.6693, 51.5977, 4.98, 0.34],
+    [23794, 76.6902, -4.6552, 5.12, -0.06],
+    [23799, 76.7065, 43.1747, 6.20, 0.44],
+    [23818, 76.7906, -19.3919, 6.47, 0.65],
+    [23831, 76.8540, -12.4913, 5.97, 0.61],
+    [23835, 76.8625, 18.6451, 4.91, 0.66],
+    [23840, 76.8918, -63.3997, 5.19, 1.65],
+    [23852, 76.9096, 9.4718, 6.15, 0.63],
+    [23871, 76.9517, 20.4184, 5.28, 0.12],
+    [23874, 76.9575, -12.5927, 6.33, 1.62],
+    [23875, 76.9624, -5.0864, 2.78, 0.16],
+    [23879, 76.9704, 8.4984, 5.33, 0.34],
+    [23883, 76.9810, 21.7048, 5.84, 0.17],
+    [23900, 77.0276, 24.2652, 5.50, 0.03],
+    [23908, 77.0552, -15.0954, 6.38, 0.89],
+    [23916, 77.0841, -8.6653, 5.80, -0.06],
+    [23941, 77.1821, -4.4562, 5.11, 0.46],
+    [23972, 77.2866, -8.7541, 4.25, -0.19],
+    [23983, 77.3318, 9.8296, 5.43, 0.25],
+    [24003, 77.4030, 69.6394, 6.43, 1.10],
+    [24010, 77.4248, 15.5972, 4.81, 0.31],
+    [24017, 77.4354, 64.9195, 6.37, 0.45],
+    [24019, 77.4379, 28.0305, 5.93, 0.31],
+    [24041, 77.5136, -0.5653, 6.11, 1.10],
+    [24072, 77.5784, 37.3019, 6.02, 0.72],
+    [24109, 77.6788, 46.9621, 5.67, 0.45],
+    [24114, 77.6858, -25.9105, 6.40, 1.25],
+    [24130, 77.7418, -2.2541, 6.24, 0.98],
+    [24162, 77.8299, -2.4908, 5.89, 0.46],
+    [24169, 77.8453, -11.8491, 5.60, 1.35],
+    [24193, 77.9096, 29.9036, 6.42, 1.75],
+    [24197, 77.9232, 16.0457, 5.18, 1.52],
+    [24203, 77.9390, 1.0370, 5.88, 0.66],
+    [24244, 78.0746, -11.8692, 4.45, -0.10],
+    [24254, 78.0936, 73.9467, 5.44, -0.11],
+    [24294, 78.2005, -6.0572, 5.90, 0.96],
+    [24305, 78.2329, -16.2055, 3.29, -0.11],
+    [24313, 78.2617, 61.8500, 6.17, 0.03],
+    [24327, 78.3078, -12.9413, 4.36, -0.09],
+    [24331, 78.3228, 2.8613, 4.46, 1.17],
+    [24332, 78.3227, 37.3373, 6.48, 0.54],
+    [24340, 78.3572, 38.4845, 4.82, 0.19],
+    [24348, 78.3802, 62.6911, 6.49, 0.20],
+    [24349, 78.3815, 1.9677, 6.08, 0.42],
+    [24372, 78.4394, -67.1853, 4.81, 1.27],
+    [24377, 78.4469, 0.5604, 6.33, 1.46],
+    [24384, 78.4722, -52.0308, 6.03, 1.39],
+    [24394, 78.4998, -14.6069, 6.22, 0.38],
+    [24426, 78.6202, -35.9770, 5.75, 1.01],
+    [24436, 78.6345, -8.2016, 0.18, -0.03],
+    [24440, 78.6480, 76.4728, 6.36, -0.01],
+    [24450, 78.6835, 5.1562, 5.50, 1.37],
+    [24451, 78.6845, 53.2139, 6.16, 0.08],
+    [24479, 78.7975, 59.4057, 6.15, 1.18],
+    [24493, 78.8271, -1.4090, 6.15, 0.40],
+    [24504, 78.8516, 32.6876, 5.01, 0.22],
+    [24505, 78.8516, -26.9435, 5.06, -0.07],
+    [24507, 78.8535, -73.5885, 6.49, 0.15],
+    [24512, 78.8652, 22.2849, 6.26, 0.07],
+    [24520, 78.9117, -52.1822, 6.48, 1.21],
+    [24555, 79.0172, 11.3414, 5.52, -0.01],
+    [24560, 79.0440, -11.3526, 6.45, 0.67],
+    [24575, 79.0756, 34.3123, 5.99, 0.20],
+    [24607, 79.1710, 1.9473, 6.42, -0.01],
+    [24608, 79.1723, 45.9980, 0.08, 0.80],
+    [24659, 79.3712, -34.8952, 4.81, 0.99],
+    [24674, 79.4016, -6.8444, 3.59, -0.12],
+    [24679, 79.4177, -13.5198, 5.48, 0.93],
+    [24727, 79.5440, 33.3716, 4.54, 1.25],
+    [24732, 79.5552, 73.2681, 5.81, -0.02],
+    [24738, 79.5654, 42.7921, 5.55, 1.49],
+    [24740, 79.5787, 33.7673, 6.15, -0.04],
+    [24771, 79.6680, 40.4651, 6.22, 1.39],
+    [24786, 79.7103, -18.1301, 5.96, 0.57],
+    [24799, 79.7501, 33.7484, 5.38, -0.17],
+    [24813, 79.7853, 40.0991, 4.69, 0.63],
+    [24817, 79.7967, 2.5958, 5.34, 0.41],
+    [24820, 79.8112, 20.1346, 6.12, 1.02],
+    [24822, 79.8192, 22.0965, 4.96, 0.94],
+    [24825, 79.8227, -18.5199, 6.37, -0.13],
+    [24829, 79.8422, -50.6060, 5.44, 0.52],
+    [24831, 79.8487, -27.3689, 5.98, -0.02],
+    [24832, 79.8489, 33.9854, 6.49, 0.26],
+    [24836, 79.8661, 58.1174, 6.13, -0.03],
+    [24845, 79.8939, -13.1768, 4.29, -0.23],
+    [24847, 79.8970, -1.4119, 6.33, -0.10],
+    [24873, 79.9959, -12.3156, 5.29, -0.10],
+    [24879, 80.0038, 33.9581, 5.05, 0.29],
+    [24881, 80.0097, 44.4254, 6.49, 1.33],
+    [24902, 80.0611, 41.0862, 5.46, 0.12],
+    [24909, 80.0863, -34.6989, 6.34, 0.32],
+    [24914, 80.0942, 62.6537, 5.64, 1.73],
+    [24925, 80.1100, -5.3675, 6.40, -0.05],
+    [24927, 80.1122, -21.2398, 4.70, -0.05],
+    [24955, 80.1695, 66.7469, 6.39, 0.92],
+    [24960, 80.1823, 2.5448, 6.43, 1.04],
+    [24977, 80.2359, 19.8143, 6.20, 1.23],
+    [24984, 80.2472, 27.9573, 6.35, 0.04],
+    [25001, 80.3029, 29.5699, 5.66, 0.06],
+    [25007, 80.3203, -34.3451, 6.05, -0.18],
+    [25011, 80.3304, 4.0119, 6.49, -0.09],
+    [25028, 80.3827, -0.4165, 5.68, -0.13],
+    [25041, 80.4315, 8.4286, 5.78, -0.11],
+    [25044, 80.4406, -0.3825, 4.72, -0.17],
+    [25045, 80.4427, -24.7730, 5.06, 0.66],
+    [25048, 80.4517, 41.8046, 5.22, -0.13],
+    [25059, 80.4805, -17.6036, 6.47, 1.21],
+    [25098, 80.5923, -56.1344, 6.10, -0.09],
+    [25110, 80.6397, 79.2311, 5.08, 0.51],
+    [25142, 80.7083, 3.5445, 4.99, -0.10],
+    [25143, 80.7096, 41.0293, 5.54, 0.13],
+    [25180, 80.8000, -26.7054, 6.49, 0.51],
+    [25187, 80.8271, -8.4156, 5.99, -0.04],
+    [25192, 80.8453, 28.9368, 6.45, -0.04],
+    [25194, 80.8501, -39.6784, 5.73, 1.63],
+    [25197, 80.8660, 57.5444, 5.24, -0.01],
+    [25202, 80.8757, -13.9274, 5.25, -0.22],
+    [25205, 80.8794, 5.3231, 6.34, 0.12],
+    [25216, 80.9071, 16.6993, 6.09, 0.14],
+    [25223, 80.9263, -0.1598, 5.69, -0.21],
+    [25240, 80.9639, -0.8666, 6.13, 0.48],
+    [25247, 80.9868, -7.8081, 4.13, 0.94],
+    [25278, 81.1061, 17.3835, 5.00, 0.54],
+    [25280, 81.1187, -16.9758, 5.64, -0.00],
+    [25281, 81.1192, -2.3971, 3.35, -0.24],
+    [25282, 81.1205, -0.8913, 5.07, 0.96],
+    [25288, 81.1504, 2.3532, 6.33, -0.14],
+    [25290, 81.1601, 31.2239, 6.30, 1.25],
+    [25291, 81.1605, 31.1431, 5.94, 0.03],
+    [25292, 81.1631, 37.3853, 5.02, 1.45],
+    [25301, 81.1867, 36.1999, 6.49, 1.65],
+    [25302, 81.1868, 1.8464, 4.89, -0.20],
+    [25303, 81.1929, -52.3162, 6.26, 0.07],
+    [25317, 81.2316, -44.2257, 6.09, 1.20],
+    [25322, 81.2476, 73.7072, 6.48, 1.74],
+    [25329, 81.2573, -10.3289, 5.60, 1.54],
+    [25336, 81.2828, 6.3497, 1.64, -0.22],
+    [25368, 81.4021, -1.4913, 6.44, -0.16],
+    [25378, 81.4459, 0.5202, 6.18, -0.18],
+    [25397, 81.4993, -19.6954, 5.78, 0.44],
+    [25401, 81.5099, -5.5185, 6.24, -0.05],
+    [25410, 81.5238, 16.7002, 6.23, -0.08],
+    [25428, 81.5730, 28.6075, 1.65, -0.13],
+    [25429, 81.5803, -58.9125, 5.14, 0.99],
+    [25453, 81.6618, 6.8687, 6.41, -0.02],
+    [25471, 81.7033, 34.3918, 5.92, 0.14],
+    [25473, 81.7093, 3.0957, 4.59, -0.20],
+    [25475, 81.7137, 33.2623, 6.18, 1.15],
+    [25476, 81.7263, 35.4573, 6.17, 1.45],
+    [25482, 81.7492, -68.6225, 6.02, 0.35],
+    [25486, 81.7698, -11.9010, 6.30, 0.55],
+    [25488, 81.7722, -40.9435, 5.86, 0.24],
+    [25492, 81.7845, 30.2086, 5.69, 0.17],
+    [25499, 81.7921, 17.9622, 5.40, -0.09],
+    [25502, 81.8079, 15.2576, 6.18, 0.08],
+    [25505, 81.8142, 2.3412, 6.36, 0.96],
+    [25532, 81.9021, -21.3757, 6.08, 1.03],
+    [25539, 81.9087, 21.9370, 4.88, -0.14],
+    [25541, 81.9120, 34.4759, 5.08, 1.40],
+    [25555, 81.9400, 15.8741, 5.52, 0.01],
+    [25580, 82.0039, 33.7637, 6.41, 0.51],
+    [25582, 82.0061, 1.2983, 6.41, -0.17],
+    [25583, 82.0067, 17.2391, 5.77, 1.63],
+    [25606, 82.0613, -20.7594, 2.81, 0.81],
+    [25608, 82.0639, -37.2308, 5.56, 0.03],
+    [25638, 82.1449, 13.6790, 6.35, 0.17],
+    [25667, 82.2371, -3.3074, 6.39, -0.01],
+    [25695, 82.3188, 25.1502, 5.47, -0.04],
+    [25708, 82.3487, -3.4464, 5.80, 1.15],
+    [25730, 82.4194, 29.1865, 6.20, 0.48],
+    [25732, 82.4234, -0.8025, 6.49, 0.25],
+    [25737, 82.4333, -1.0922, 4.71, 1.59],
+    [25751, 82.4782, 1.7893, 5.77, -0.19],
+    [25768, 82.5395, -47.0777, 5.46, 0.61],
+    [25769, 82.5425, 63.0672, 5.43, 1.70],
+    [25776, 82.5579, -84.7851, 6.18, -0.00],
+    [25781, 82.5661, -63.9277, 6.19, 0.23],
+    [25785, 82.5830, 4.2048, 6.21, 1.28],
+    [25786, 82.5865, -7.4348, 6.33, -0.19],
+    [25790, 82.6090, 15.3604, 5.93, 0.10],
+    [25806, 82.6806, 22.4623, 6.29, 1.18],
+    [25810, 82.6879, 39.8259, 6.38, 0.99],
+    [25813, 82.6960, 5.9481, 4.20, -0.14],
+    [25816, 82.7027, 41.4620, 5.99, 1.11],
+    [25853, 82.7818, -20.8637, 5.53, 0.01],
+    [25859, 82.8031, -35.4705, 3.86, 1.13],
+    [25861, 82.8106, 3.2921, 5.46, -0.18],
+    [25869, 82.8371, -6.7084, 6.23, -0.18],
+    [25887, 82.9000, -45.9253, 5.86, 1.35],
+    [25911, 82.9506, 85.9385, 6.50, 0.36],
+    [25918, 82.9709, -76.3410, 5.18, 1.13],
+    [25923, 82.9827, -7.3015, 4.62, -0.26],
+    [25930, 83.0017, -0.2991, 2.25, -0.17],
+    [25945, 83.0531, 18.5942, 4.32, 2.06],
+    [25950, 83.0589, 17.0581, 5.50, -0.00],
+    [25973, 83.1408, 57.2211, 6.44, 0.59],
+    [25976, 83.1582, 0.0119, 6.15, 1.55],
+    [25980, 83.1723, -1.5918, 5.34, -0.19],
+    [25984, 83.1820, 32.1920, 4.71, 0.28],
+    [25985, 83.1826, -17.8223, 2.58, 0.21],
+    [25993, 83.2142, -38.5134, 5.45, 1.22],
+    [26001, 83.2482, -64.2275, 5.34, 1.04],
+    [26019, 83.2808, -35.1394, 5.75, 1.08],
+    [26054, 83.3642, 32.8012, 6.50, 0.09],
+    [26063, 83.3810, -1.1561, 5.36, -0.17],
+    [26064, 83.3818, 18.5402, 5.67, -0.02],
+    [26069, 83.4063, -62.4898, 3.76, 0.64],
+    [26071, 83.4092, 34.7256, 6.27, 0.17],
+    [26072, 83.4118, 20.4742, 6.19, -0.03],
+    [26079, 83.4349, -54.9023, 6.42, 0.55],
+    [26093, 83.4762, 14.3056, 5.60, -0.12],
+    [26104, 83.5103, -7.0238, 6.45, 1.12],
+    [26106, 83.5162, -1.0357, 6.24, -0.16],
+    [26108, 83.5169, -1.4703, 5.92, 1.53],
+    [26126, 83.5699, 3.7669, 5.32, 0.05],
+    [26149, 83.6220, -0.0123, 6.25, 1.00],
+    [26169, 83.6866, -73.7413, 5.79, 1.72],
+    [26176, 83.7052, 9.4896, 4.39, -0.16],
+    [26190, 83.7393, -61.1760, 6.32, 0.84],
+    [26197, 83.7542, -6.0093, 5.67, -0.23],
+    [26199, 83.7612, -6.0020, 4.78, -0.25],
+    [26207, 83.7845, 9.9342, 3.39, -0.16],
+    [26215, 83.8052, 10.2401, 5.60, 0.15],
+    [26219, 83.8145, -33.0797, 5.76, 1.12],
+    [26220, 83.8159, -5.3873, 4.98, null],
+    [26221, 83.8186, -5.3897, 5.13, 0.02],
+    [26234, 83.8430, -4.4243, 6.24, -0.15],
+    [26235, 83.8454, -5.4161, 4.98, -0.10],
+    [26237, 83.8465, -4.8384, 4.58, -0.18],
+    [26241, 83.8583, -5.9099, 2.75, -0.21],
+    [26248, 83.8630, 24.0396, 5.37, -0.09],
+    [26263, 83.8996, -3.2528, 6.40, -0.12],
+    [26264, 83.9007, -78.8208, 6.04, -0.02],
+    [26268, 83.9145, -4.8561, 5.24, 0.27],
+    [26291, 83.9812, 27.6623, 6.27, 1.53],
+    [26300, 84.0119, -47.3137, 6.10, 1.16],
+    [26309, 84.0429, -28.7080, 6.26, 0.15],
+    [26311, 84.0534, -1.2019, 1.69, -0.18],
+    [26315, 84.0665, 47.7153, 6.10, 0.29],
+    [26344, 84.1467, 54.4287, 5.74, 1.67],
+    [26345, 84.1487, -6.0648, 5.71, -0.21],
+    [26363, 84.2184, 40.1824, 6.08, 1.03],
+    [26366, 84.2266, 9.2907, 4.09, 0.95],
+    [26368, 84.2291, -66.5603, 6.28, -0.05],
+    [26382, 84.2656, 17.0403, 5.53, 0.24],
+    [26386, 84.2683, 11.0350, 5.97, 1.59],
+    [26394, 84.2912, -80.4691, 5.65, 0.60],
+    [26395, 84.2866, -11.7755, 6.10, 0.05],
+    [26396, 84.2869, 26.9245, 5.83, -0.07],
+    [26408, 84.3128, 64.1547, 6.15, 0.01],
+    [26410, 84.3168, 66.6967, 6.26, 0.23],
+    [26412, 84.3188, -27.8714, 6.15, 0.32],
+    [26414, 84.3305, 8.9519, 6.11, -0.17],
+    [26427, 84.3640, -5.9384, 6.03, -0.21],
+    [26451, 84.4112, 21.1425, 2.97, -0.15],
+    [26460, 84.4359, -28.6897, 5.28, 0.49],
+    [26463, 84.4409, 33.5592, 6.36, 1.31],
+    [26477, 84.4724, -4.8140, 6.16, -0.03],
+    [26487, 84.5047, 7.5414, 5.87, -0.06],
+    [26515, 84.5726, -50.6410, 6.43, -0.05],
+    [26535, 84.6582, -6.5740, 5.96, -0.22],
+    [26536, 84.6587, 30.4924, 5.40, 0.45],
+    [26545, 84.6814, -40.7073, 5.81, -0.08],
+    [26549, 84.6865, -2.6001, 3.77, -0.19],
+    [26563, 84.7212, -7.2128, 4.77, 0.14],
+    [26571, 84.7391, 26.6181, 6.45, 0.98],
+    [26592, 84.7862, 41.3586, 6.44, 1.00],
+    [26594, 84.7964, 4.1215, 4.50, -0.10],
+    [26602, 84.8176, -17.8494, 6.40, -0.10],
+    [26606, 84.8263, 29.2152, 5.98, 0.14],
+    [26616, 84.8630, 21.7629, 6.42, 0.07],
+    [26623, 84.8785, -9.7066, 6.49, -0.11],
+    [26624, 84.8798, -3.5647, 5.99, 0.29],
+    [26634, 84.9122, -34.0741, 2.65, -0.12],
+    [26638, 84.9321, 75.0439, 6.19, 1.61],
+    [26640, 84.9342, 25.8971, 5.18, -0.15],
+    [26649, 84.9577, -32.6292, 5.44, 0.91],
+    [26712, 85.1496, 31.3582, 6.04, 0.04],
+    [26713, 85.1554, -2.8252, 6.22, -0.19],
+    [26718, 85.1752, 31.9206, 6.23, 2.09],
+    [26727, 85.1897, -1.9426, 1.74, -0.20],
+    [26728, 85.1925, -10.4087, 6.46, -0.13],
+    [26736, 85.2113, -1.1288, 4.95, -0.20],
+    [26762, 85.2733, 0.3378, 5.93, 0.31],
+    [26777, 85.3238, 16.5341, 4.84, -0.13],
+    [26779, 85.3347, 53.4811, 6.21, 0.84],
+    [26781, 85.3374, 29.4874, 6.40, -0.08],
+    [26796, 85.3622, -33.4007, 6.35, -0.04],
+    [26820, 85.4181, -2.8965, 6.41, 0.32],
+    [26821, 85.4230, -16.7258, 6.22, -0.14],
+    [26853, 85.5166, 22.6603, 6.35, 1.19],
+    [26862, 85.5482, -30.5354, 6.18, 0.02],
+    [26865, 85.5582, -22.3737, 5.88, 0.08],
+    [26866, 85.5603, -17.5304, 6.15, 1.38],
+    [26868, 85.5633, -34.6678, 5.29, -0.03],
+    [26882, 85.6102, 65.6976, 5.62, 1.25],
+    [26885, 85.6193, 1.4746, 4.90, 1.14],
+    [26926, 85.7246, -6.7962, 5.97, 0.45],
+    [26942, 85.7570, 56.5815, 6.05, 0.95],
+    [26953, 85.7888, -1.6132, 6.31, 1.47],
+    [26964, 85.8313, 23.2044, 6.23, -0.07],
+    [26966, 85.8403, -18.5575, 5.73, -0.01],
+    [26981, 85.8758, -39.4069, 6.25, 0.38],
+    [27001, 85.9214, -45.8329, 6.38, 0.29],
+    [27046, 86.0352, 61.4765, 6.17, 0.90],
+    [27072, 86.1158, -22.4484, 3.59, 0.48],
+    [27075, 86.1183, -20.1266, 6.34, 0.58],
+    [27100, 86.1932, -65.7355, 4.34, 0.22],
+    [27116, 86.2554, 12.8883, 6.47, 0.23],
+    [27118, 86.2575, 4.0081, 6.09, 0.32],
+    [27164, 86.3733, 31.3248, 6.50, 1.10],
+    [27196, 86.4752, 49.8263, 5.46, 0.03],
+    [27204, 86.4996, -32.3064, 5.18, -0.27],
+    [27212, 86.5120, -4.2685, 6.24, 1.05],
+    [27243, 86.6141, -46.5972, 5.31, 1.04],
+    [27249, 86.6266, 56.1156, 5.93, 0.16],
+    [27253, 86.6455, 1.1682, 5.95, 0.77],
+    [27265, 86.6896, 15.8225, 6.00, -0.06],
+    [27280, 86.7172, 9.5223, 5.78, 0.89],
+    [27288, 86.7389, -14.8220, 3.55, 0.10],
+    [27293, 86.7502, 51.5209, 6.47, 0.90],
+    [27303, 86.7691, -28.6389, 6.22, -0.13],
+    [27308, 86.7825, -16.2381, 6.18, 0.89],
+    [27316, 86.8048, 14.4883, 5.72, 0.08],
+    [27317, 86.8055, -54.3607, 6.19, 1.41],
+    [27319, 86.8112, 42.5267, 6.30, 1.35],
+    [27321, 86.8212, -51.0665, 3.85, 0.17],
+    [27325, 86.8279, -35.6741, 6.29, 1.19],
+    [27338, 86.8592, 17.7291, 5.47, 0.30],
+    [27341, 86.8620, -10.5330, 6.04, 0.14],
+    [27346, 86.8843, 63.5988, 6.49, 1.01],
+    [27353, 86.8944, 25.5686, 6.48, 1.19],
+    [27364, 86.9288, 13.8996, 5.28, -0.16],
+    [27366, 86.9391, -9.6696, 2.07, -0.17],
+    [27386, 87.0010, 6.4542, 5.26, 0.23],
+    [27421, 87.0932, 20.8695, 6.03, -0.05],
+    [27435, 87.1456, -4.0946, 5.97, 0.64],
+    [27468, 87.2540, 24.5675, 4.88, 1.02],
+    [27472, 87.2694, 62.8082, 6.18, 0.13],
+    [27483, 87.2935, 39.1811, 4.51, 0.95],
+    [27511, 87.3872, 12.6513, 4.89, -0.07],
+    [27512, 87.3922, -44.8754, 6.38, 1.26],
+    [27517, 87.4023, -14.4837, 5.49, 0.87],
+    [27530, 87.4569, -56.1667, 4.50, 1.07],
+    [27533, 87.4729, -22.9719, 5.87, 0.06],
+    [27534, 87.4730, -66.9012, 5.10, -0.13],
+    [27549, 87.5112, 9.8712, 5.79, 0.88],
+    [27560, 87.5544, 4.4234, 5.96, 1.36],
+    [27566, 87.5699, -79.3614, 5.46, -0.08],
+    [27581, 87.6204, 14.3056, 5.54, 1.01],
+    [27583, 87.6201, -52.7679, 6.32, 0.75],
+    [27588, 87.6251, 2.0247, 5.97, 0.95],
+    [27621, 87.7218, -52.1089, 5.16, 0.96],
+    [27625, 87.7349, 51.5146, 6.29, 1.05],
+    [27628, 87.7400, -35.7683, 3.12, 1.15],
+    [27629, 87.7421, 27.9679, 5.60, 0.98],
+    [27639, 87.7602, 37.3056, 4.72, 1.62],
+    [27654, 87.8304, -20.8791, 3.76, 0.98],
+    [27658, 87.8416, -7.5180, 5.36, -0.20],
+    [27660, 87.8462, -64.0336, 6.35, 0.87],
+    [27661, 87.8573, 32.1247, 6.28, 1.75],
+    [27670, 87.8692, -22.9269, 6.16, 1.02],
+    [27673, 87.8725, 39.1485, 3.97, 1.13],
+    [27705, 87.9983, -29.4494, 6.47, 1.47],
+    [27713, 88.0322, -9.0419, 5.95, 0.10],
+    [27731, 88.0719, 58.9641, 6.14, -0.04],
+    [27737, 88.0842, -57.1562, 5.93, 0.66],
+    [27743, 88.0929, 14.1718, 5.60, -0.05],
+    [27747, 88.0975, 19.8678, 5.96, 0.55],
+    [27750, 88.1102, 1.8551, 4.76, 1.38],
+    [27766, 88.1383, -37.6311, 5.62, 1.05],
+    [27777, 88.1653, 39.5747, 6.40, 0.10],
+    [27778, 88.1671, 33.9175, 6.04, 1.58],
+    [27795, 88.2312, 68.4715, 6.22, 0.95],
+    [27810, 88.2787, -33.8014, 4.88, -0.15],
+    [27830, 88.3319, 27.6123, 4.56, -0.01],
+    [27890, 88.5252, -63.0896, 4.65, 1.02],
+    [27900, 88.5556, 10.5864, 6.13, 1.40],
+    [27901, 88.5584, -29.1472, 6.34, 0.37],
+    [27902, 88.5657, 3.2256, 6.30, 1.28],
+    [27913, 88.5958, 20.2762, 4.39, 0.59],
+    [27937, 88.6713, -49.6270, 6.11, -0.15],
+    [27938, 88.6818, -11.7742, 5.62, 1.52],
+    [27939, 88.6835, 0.9686, 5.99, 1.33],
+    [27947, 88.7087, -52.6355, 5.29, 0.29],
+    [27949, 88.7116, 55.7069, 4.96, 0.05],
+    [27955, 88.7187, -39.9579, 5.55, 1.51],
+    [27965, 88.7362, 19.7496, 5.92, -0.14],
+    [27971, 88.7409, 59.8884, 5.20, 0.01],
+    [27973, 88.7458, 31.7015, 5.90, 0.14],
+    [27989, 88.7929, 7.4071, 0.45, 1.50],
+    [28010, 88.8747, -37.1207, 4.97, 1.10],
+    [28011, 88.8757, -4.6165, 5.87, 1.17],
+    [28019, 88.8974, -4.7886, 6.28, 0.06],
+    [28085, 89.0595, -22.8400, 5.95, 1.11],
+    [28098, 89.0873, -31.3824, 5.52, 0.38],
+    [28103, 89.1012, -14.1677, 3.71, 0.34],
+    [28110, 89.1168, 9.5094, 5.97, -0.04],
+    [28117, 89.1407, 28.9423, 6.35, 0.28],
+    [28118, 89.1435, -23.2153, 6.37, 1.07],
+    [28138, 89.2042, -31.9762, 6.44, 1.07],
+    [28139, 89.2060, 11.5211, 5.89, 1.11],
+    [28154, 89.2338, 24.2497, 6.03, 0.35],
+    [28180, 89.3099, -53.4257, 6.48, 1.48],
+    [28199, 89.3842, -35.2833, 4.36, -0.17],
+    [28205, 89.3959, 66.0961, 6.24, 1.37],
+    [28232, 89.4771, 1.2243, 6.22, 1.46],
+    [28237, 89.4986, 25.9539, 4.81, -0.09],
+    [28252, 89.5488, -0.9940, 6.21, 1.14],
+    [28271, 89.6018, 1.8371, 5.89, 0.22],
+    [28287, 89.6564, -44.0346, 5.81, 1.06],
+    [28296, 89.7065, 0.5530, 5.21, 0.01],
+    [28302, 89.7218, 12.8083, 5.70, 0.87],
+    [28321, 89.7545, -9.3822, 6.15, 0.33],
+    [28325, 89.7680, -9.5583, 5.04, 0.19],
+    [28328, 89.7867, -42.8151, 3.96, 1.15],
+    [28343, 89.8407, 49.9245, 5.90, 1.19],
+    [28358, 89.8818, 54.2847, 3.72, 1.01],
+    [28360, 89.8822, 44.9474, 1.90, 0.08],
+    [28380, 89.9303, 37.2126, 2.65, -0.08],
+    [28385, 89.9409, 55.3209, 6.42, 0.32],
+    [28390, 89.9498, 54.5470, 6.14, 1.20],
+    [28404, 89.9837, 45.9367, 4.30, 1.70],
+    [28413, 90.0140, -3.0743, 4.53, 1.20],
+    [28434, 90.0736, -12.9000, 6.21, 0.36],
+    [28438, 90.0787, 44.5920, 6.21, 1.13],
+    [28484, 90.2049, -51.2163, 5.65, 0.21],
+    [28499, 90.2440, 47.9019, 5.71, -0.01],
+    [28500, 90.2519, 27.5724, 6.04, 0.22],
+    [28517, 90.2918, 31.0345, 6.18, 0.10],
+    [28520, 90.3046, -25.4178, 6.04, 0.03],
+    [28524, 90.3179, -33.9118, 5.54, 1.58],
+    [28532, 90.3345, 85.1821, 6.17, 1.56],
+    [28561, 90.4234, 22.4010, 6.36, -0.07],
+    [28562, 90.4294, 48.9594, 5.98, 1.44],
+    [28574, 90.4601, -10.5979, 4.92, -0.13],
+    [28596, 90.5389, -60.0968, 6.41, 1.51],
+    [28614, 90.5958, 9.6473, 4.12, 0.17],
+    [28622, 90.6409, -14.4972, 6.20, 0.95],
+    [28634, 90.6881, 47.8095, 6.49, 0.57],
+    [28637, 90.7025, 49.9057, 6.04, -0.03],
+    [28642, 90.7229, 43.3783, 6.38, 1.21],
+    [28644, 90.7299, 32.6357, 6.23, 0.46],
+    [28656, 90.7680, 57.0183, 6.50, 0.95],
+    [28675, 90.8150, -26.2845, 5.03, 1.33],
+    [28677, 90.8248, 42.9116, 6.08, 0.98],
+    [28686, 90.8532, 11.6811, 6.09, -0.04],
+    [28691, 90.8640, 19.6906, 5.14, -0.10],
+    [28716, 90.9799, 20.1385, 4.64, 0.24],
+    [28734, 91.0301, 23.2633, 4.16, 0.83],
+    [28744, 91.0563, -6.7089, 5.19, -0.07],
+    [28756, 91.0844, -32.1724, 5.65, -0.19],
+    [28764, 91.1185, -45.0366, 6.35, 0.52],
+    [28765, 91.1213, 51.5734, 6.39, 0.20],
+    [28790, 91.1671, -45.0789, 5.93, 0.49],
+    [28812, 91.2424, 5.4200, 5.67, 1.05],
+    [28814, 91.2432, 4.1587, 5.63, 1.04],
+    [28816, 91.2464, -16.4844, 4.92, 0.20],
+    [28820, 91.2608, 37.9643, 6.32, 0.82],
+    [28823, 91.2641, 42.9816, 5.90, 0.36],
+    [28829, 91.2843, 59.3932, 6.32, 1.12],
+    [28831, 91.2889, 75.5859, 6.28, 1.51],
+    [28854, 91.3626, -10.2426, 5.88, 0.37],
+    [28855, 91.3632, -35.5136, 5.80, 0.03],
+    [28861, 91.3912, 33.5990, 6.23, -0.08],
+    [28899, 91.5231, -29.7586, 5.79, 0.04],
+    [28908, 91.5356, 35.3877, 6.12, 0.60],
+    [28909, 91.5391, -66.0396, 5.72, -0.02],
+    [28910, 91.5388, -14.9353, 4.67, 0.05],
+    [28930, 91.5935, 29.5124, 6.01, 1.73],
+    [28943, 91.6337, -23.1108, 5.46, 0.06],
+    [28946, 91.6462, 38.4826, 5.35, 0.25],
+    [28949, 91.6614, -4.1938, 5.37, -0.12],
+    [28951, 91.6631, 63.4538, 6.42, 1.01],
+    [28957, 91.6710, -42.2988, 6.15, 0.25],
+    [28984, 91.7396, -21.8123, 5.74, 1.58],
+    [28988, 91.7579, -45.0915, 6.48, 1.16],
+    [28991, 91.7641, -62.1546, 5.04, 1.26],
+    [28992, 91.7653, -34.3120, 5.82, -0.14],
+    [29025, 91.8615, 41.8543, 6.15, 1.20],
+    [29034, 91.8818, -37.2529, 5.00, -0.10],
+    [29038, 91.8930, 14.7685, 4.42, -0.16],
+    [29048, 91.9235, -19.1659, 5.28, 1.66],
+    [29064, 91.9702, -42.1540, 5.50, 0.01],
+    [29114, 92.0964, 41.0557, 6.34, 1.04],
+    [29129, 92.1443, -44.3562, 6.26, -0.14],
+    [29134, 92.1844, -68.8434, 5.06, -0.07],
+    [29140, 92.1988, -6.8214, 6.46, 0.88],
+    [29150, 92.2411, -22.4274, 5.49, -0.01],
+    [29151, 92.2413, 2.4997, 5.70, 0.07],
+    [29178, 92.3342, -18.1264, 6.36, -0.04],
+    [29185, 92.3476, -49.5628, 6.48, 0.50],
+    [29196, 92.3852, 22.1903, 5.93, 1.63],
+    [29205, 92.3939, -14.5846, 5.56, 1.15],
+    [29210, 92.4011, -5.7114, 6.16, 0.35],
+    [29225, 92.4333, 23.1135, 5.75, 0.19],
+    [29233, 92.4464, -26.7011, 6.27, 1.01],
+    [29234, 92.4498, -22.7743, 5.71, 0.45],
+    [29246, 92.4959, 58.9357, 5.35, 1.10],
+    [29263, 92.5433, -40.3538, 5.54, 1.67],
+    [29271, 92.5603, -74.7530, 5.08, 0.71],
+    [29276, 92.5746, -54.9686, 4.72, -0.23],
+    [29294, 92.6445, -27.1543, 5.72, 1.07],
+    [29304, 92.6664, -45.2820, 6.28, -0.01],
+    [29323, 92.7551, -6.7542, 6.15, 0.01],
+    [29326, 92.7574, 18.1305, 6.37, 1.35],
+    [29347, 92.8069, -26.4821, 6.08, -0.02],
+    [29348, 92.8067, 60.4535, 6.48, 1.70],
+    [29353, 92.8124, -65.5894, 5.01, 1.60],
+    [29371, 92.8663, 13.6386, 6.04, 0.02],
+    [29379, 92.8846, 24.4203, 5.83, 1.11],
+    [29388, 92.9025, 48.7110, 5.78, 0.10],
+    [29401, 92.9321, -4.6654, 6.18, -0.08],
+    [29404, 92.9413, 52.6472, 6.28, 0.14],
+    [29417, 92.9659, -6.5503, 5.06, -0.20],
+    [29426, 92.9850, 14.2088, 4.45, -0.18],
+    [29433, 93.0056, 19.7905, 5.76, -0.07],
+    [29434, 93.0137, 16.1304, 4.95, -0.15],
+    [29451, 93.0838, 32.6934, 5.78, 1.65],
+    [29490, 93.2128, 65.7184, 5.36, 1.34],
+    [29509, 93.2482, 6.0163, 6.45, 1.62],
+    [29525, 93.3021, 10.6271, 6.43, 0.66],
+    [29568, 93.4387, -23.8619, 6.37, 0.71],
+    [29569, 93.4389, 51.1725, 6.07, 1.05],
+    [29575, 93.4760, -3.7414, 5.83, 0.91],
+    [29616, 93.6191, 17.9064, 5.86, 0.25],
+    [29629, 93.6529, -4.5685, 5.83, -0.15],
+    [29650, 93.7120, 19.1564, 5.20, 0.43],
+    [29651, 93.7139, -6.2748, 3.99, 1.32],
+    [29655, 93.7194, 22.5068, 3.31, 1.60],
+    [29678, 93.7853, 13.8511, 5.91, -0.23],
+    [29679, 93.7850, -20.2722, 5.88, 1.32],
+    [29692, 93.8238, -18.4772, 5.99, 1.06],
+    [29696, 93.8445, 29.4981, 4.32, 1.02],
+    [29704, 93.8547, 16.1432, 5.34, -0.10],
+    [29705, 93.8590, -9.0358, 6.09, -0.08],
+    [29711, 93.8736, -4.9147, 5.99, 0.10],
+    [29716, 93.8928, -0.5122, 5.62, 0.51],
+    [29728, 93.9174, 6.0662, 6.07, -0.12],
+    [29730, 93.9189, 59.9990, 5.37, 1.34],
+    [29735, 93.9370, -13.7184, 5.00, -0.08],
+    [29736, 93.9374, 12.5511, 5.44, 0.01],
+    [29746, 93.9749, 1.1691, 6.37, 0.44],
+    [29771, 94.0320, -16.6180, 5.97, -0.17],
+    [29788, 94.0783, -59.2135, 6.44, 0.59],
+    [29789, 94.0794, 23.9700, 6.09, 0.90],
+    [29798, 94.0991, 17.1816, 6.39, 1.56],
+    [29800, 94.1109, 12.2722, 5.04, 0.43],
+    [29807, 94.1381, -35.1405, 4.37, 0.98],
+    [29808, 94.1483, -39.2644, 6.00, 0.16],
+    [29840, 94.2446, 23.7409, 6.24, 0.45],
+    [29842, 94.2551, -37.7374, 5.54, 1.13],
+    [29843, 94.2650, -22.7152, 6.05, 0.58],
+    [29850, 94.2776, 9.9424, 5.39, 0.11],
+    [29852, 94.2899, -37.2535, 5.88, 0.14],
+    [29860, 94.3172, 5.1001, 5.70, 0.61],
+    [29895, 94.4238, -16.8159, 5.15, 1.29],
+    [29913, 94.4656, -52.7330, 6.40, 1.46],
+    [29919, 94.4784, 61.5153, 5.01, 1.84],
+    [29931, 94.5234, 14.3829, 6.12, 0.04],
+    [29941, 94.5572, -19.9670, 5.51, -0.16],
+    [29949, 94.5703, 46.3604, 6.33, 1.11],
+    [29982, 94.6681, 9.0472, 6.24, 0.87],
+    [29993, 94.7033, -15.0250, 6.04, 1.66],
+    [29996, 94.7108, -9.3900, 5.36, 1.24],
+    [29997, 94.7116, 69.3198, 4.76, 0.03],
+    [30011, 94.7457, -20.9256, 5.79, -0.15],
+    [30019, 94.7577, 17.3253, 6.27, -0.09],
+    [30028, 94.7830, -8.5860, 6.22, -0.04],
+    [30060, 94.9058, 59.0110, 4.44, 0.03],
+    [30062, 94.9090, -22.1031, 6.29, 1.47],
+    [30069, 94.9207, -34.3966, 5.76, -0.08],
+    [30073, 94.9283, -7.8229, 5.27, -0.18],
+    [30093, 94.9983, -2.9445, 4.91, 1.61],
+    [30099, 95.0176, 14.6511, 5.67, 1.58],
+    [30122, 95.0783, -30.0634, 3.02, -0.16],
+    [30141, 95.1465, -23.6380, 6.49, 1.13],
+    [30143, 95.1510, -34.1441, 5.55, -0.18],
+    [30190, 95.2726, -11.8173, 6.32, 1.68],
+    [30200, 95.2997, 29.5408, 6.41, 0.05],
+    [30214, 95.3530, -11.7732, 5.48, 0.00],
+    [30217, 95.3574, 2.2685, 6.30, 0.25],
+    [30218, 95.3580, 17.7635, 6.32, 1.10],
+    [30247, 95.4422, 53.4522, 5.34, 0.45],
+    [30272, 95.5148, 59.3721, 6.05, 0.15],
+    [30277, 95.5285, -33.4364, 3.85, 0.86],
+    [30318, 95.6516, 12.5702, 6.00, 0.32],
+    [30321, 95.6595, -69.9840, 5.56, 1.51],
+    [30324, 95.6749, -17.9559, 1.98, -0.24],
+    [30342, 95.7326, -56.3700, 5.60, 0.24],
+    [30343, 95.7401, 22.5136, 2.87, 1.62],
+    [30352, 95.7561, -63.6831, 6.30, 1.61],
+    [30357, 95.7765, 56.9763, 6.47, 1.07],
+    [30376, 95.8103, -31.7903, 6.31, 0.89],
+    [30382, 95.8270, 3.7645, 6.41, -0.15],
+    [30407, 95.8997, -9.8747, 6.11, 1.84],
+    [30419, 95.9420, 4.5929, 4.39, 0.21],
+    [30420, 95.9423, -15.0713, 6.27, 1.53],
+    [30423, 95.9455, -58.5439, 6.47, 0.12],
+    [30436, 95.9830, -25.5776, 5.61, 1.56],
+    [30438, 95.9880, -52.6957, -0.62, 0.16],
+    [30444, 96.0042, -36.7078, 5.62, 1.03],
+    [30448, 96.0095, 8.8850, 6.24, -0.06],
+    [30457, 96.0430, -11.5301, 5.21, 1.23],
+    [30463, 96.0577, -60.2813, 5.78, -0.00],
+    [30468, 96.0857, -12.9619, 6.12, -0.08],
+    [30480, 96.1108, -63.4289, 6.45, 0.66],
+    [30501, 96.1823, 25.0487, 6.35, 1.21],
+    [30503, 96.1828, -28.7801, 6.37, 0.63],
+    [30505, 96.1854, -40.2840, 6.30, -0.05],
+    [30517, 96.2199, 16.0571, 6.35, 1.06],
+    [30520, 96.2246, 49.2879, 4.92, 1.91],
+    [30524, 96.2325, -63.8281, 6.26, -0.12],
+    [30541, 96.3042, 7.0857, 6.26, 0.85],
+    [30545, 96.3189, -0.9459, 5.88, 0.56],
+    [30564, 96.3674, 14.7220, 6.30, 2.35],
+    [30565, 96.3693, -69.6903, 5.37, 0.97],
+    [30566, 96.3750, -35.0642, 6.24, 1.35],
+    [30570, 96.3872, 23.3272, 6.05, 0.02],
+    [30591, 96.4319, -48.1769, 5.76, -0.06],
+    [30595, 96.4464, -3.8890, 6.33, 1.02],
+    [30602, 96.4680, 11.1259, 6.39, 0.08],
+    [30608, 96.4951, -7.8950, 6.40, 0.14],
+    [30627, 96.5398, -3.5157, 6.42, 1.04],
+    [30651, 96.6077, 56.2851, 5.53, 0.24],
+    [30660, 96.6435, -4.5974, 6.16, -0.15],
+    [30666, 96.6649, -1.5073, 5.87, 0.07],
+    [30669, 96.6777, -14.6034, 6.32, 1.24],
+    [30675, 96.6869, -7.5119, 6.35, -0.06],
+    [30679, 96.7036, 58.4174, 5.21, 1.54],
+    [30700, 96.7536, -4.3557, 6.50, -0.15],
+    [30703, 96.7672, -58.0021, 5.82, 1.28],
+    [30706, 96.7816, -37.8955, 6.48, 0.39],
+    [30711, 96.7974, -25.8565, 6.05, 0.55],
+    [30717, 96.8073, 0.2992, 5.19, 1.19],
+    [30720, 96.8150, -0.2760, 5.55, 1.38],
+    [30728, 96.8352, 2.9083, 5.55, 1.03],
+    [30741, 96.8980, 32.5629, 6.43, 1.26],
+    [30769, 96.9861, 20.4963, 6.22, 0.04],
+    [30772, 96.9899, -4.7622, 5.06, -0.17],
+    [30788, 97.0425, -32.5801, 4.47, -0.17],
+    [30794, 97.0604, 70.5353, 6.03, 0.10],
+    [30798, 97.0699, 1.9127, 6.48, -0.06],
+    [30804, 97.0784, 10.3039, 6.16, 1.15],
+    [30815, 97.1169, 16.2384, 6.24, 0.89],
+    [30827, 97.1420, 30.4930, 5.75, 0.78],
+    [30836, 97.1559, -17.4660, 5.76, 1.12],
+    [30840, 97.1635, -32.3713, 5.74, -0.16],
+    [30849, 97.1768, -41.0749, 6.32, 0.39],
+    [30867, 97.2045, -7.0331, 3.76, -0.11],
+    [30883, 97.2408, 20.2121, 4.13, -0.12],
+    [30906, 97.3117, 2.6462, 6.17, 1.54],
+    [30932, 97.3687, -56.8528, 5.20, 1.09],
+    [30953, 97.4544, -50.2391, 5.28, 0.37],
+    [30972, 97.5124, 46.6856, 5.88, 1.45],
+    [30973, 97.5125, -65.5682, 6.28, 0.33],
+    [30986, 97.5470, -10.0815, 5.92, 1.37],
+    [30988, 97.5492, -19.2149, 6.44, 1.68],
+    [31024, 97.6454, -13.1482, 6.16, -0.14],
+    [31037, 97.6929, -27.7696, 5.92, -0.16],
+    [31039, 97.6963, 58.1626, 5.86, 0.93],
+    [31056, 97.7496, -40.9163, 6.19, 1.40],
+    [31066, 97.7898, 11.2514, 6.17, -0.12],
+    [31067, 97.7918, 16.9386, 6.18, null],
+    [31068, 97.7943, -61.8795, 6.15, -0.15],
+    [31072, 97.8046, -35.2588, 5.82, 0.81],
+    [31079, 97.8263, -51.8260, 5.58, 0.53],
+    [31084, 97.8460, -12.3920, 5.16, 1.26],
+    [31086, 97.8500, -32.8685, 6.31, 1.67],
+    [31099, 97.8956, -36.9400, 6.26, 1.60],
+    [31105, 97.9060, 15.9035, 6.38, 0.28],
+    [31119, 97.9512, 11.5444, 5.22, 0.18],
+    [31121, 97.9586, -8.1582, 5.43, 1.37],
+    [31125, 97.9640, -23.4184, 4.34, -0.24],
+    [31137, 97.9930, -58.7538, 5.69, -0.06],
+    [31158, 98.0773, 17.7843, 6.26, 0.54],
+    [31159, 98.0800, 4.8560, 5.88, 1.00],
+    [31165, 98.0891, -37.6967, 5.25, 0.98],
+    [31167, 98.0964, -5.8688, 5.60, 0.26],
+    [31168, 98.0970, 11.6735, 6.08, 1.07],
+    [31173, 98.1133, 32.4549, 5.82, 0.19],
+    [31190, 98.1624, -32.0304, 5.73, -0.18],
+    [31205, 98.1953, -11.1664, 6.30, 1.10],
+    [31216, 98.2259, 7.3330, 4.47, 0.02],
+    [31241, 98.2927, -38.6252, 6.44, 1.00],
+    [31265, 98.3595, -52.3292, 6.18, 1.09],
+    [31266, 98.3611, -20.9240, 6.39, 0.82],
+    [31277, 98.4007, 14.1552, 5.57, 1.10],
+    [31278, 98.4080, -1.2202, 5.09, -0.13],
+    [31299, 98.4562, -36.2320, 5.42, 1.42],
+    [31359, 98.6367, 55.3530, 6.45, 1.55],
+    [31362, 98.6472, -32.7163, 5.62, -0.09],
+    [31385, 98.6930, 7.5725, 6.44, -0.01],
+    [31407, 98.7441, -52.9756, 4.35, -0.02],
+    [31416, 98.7641, -22.9648, 4.54, -0.04],
+    [31434, 98.8003, 28.0223, 5.26, -0.01],
+    [31446, 98.8159, 0.8902, 5.78, 0.00],
+    [31448, 98.8233, 9.9883, 5.93, 1.51],
+    [31457, 98.8509, -36.7799, 5.59, -0.13],
+    [31469, 98.8784, -22.1091, 6.32, 1.03],
+    [31509, 98.9751, -36.0886, 6.36, 0.49],
+    [31564, 99.0952, -18.6599, 5.71, 0.85],
+    [31579, 99.1368, 38.4455, 5.40, 2.77],
+    [31583, 99.1472, -5.2111, 5.52, -0.08],
+    [31592, 99.1710, -19.2559, 3.95, 1.04],
+    [31593, 99.1711, -22.6147, 6.35, -0.12],
+    [31599, 99.1942, -13.3210, 5.95, 1.56],
+    [31603, 99.2136, -41.5571, 6.36, 1.15],
+    [31617, 99.2579, -38.1465, 6.03, 1.03],
+    [31637, 99.3076, -36.9907, 5.72, -0.11],
+    [31646, 99.3502, 6.1354, 6.05, 0.02],
+    [31650, 99.3637, 24.5909, 6.44, 0.10],
+    [31662, 99.4037, 10.8533, 6.39, 1.35],
+    [31665, 99.4100, 56.8575, 5.87, 0.01],
+    [31672, 99.4180, 2.7042, 6.17, 1.08],
+    [31674, 99.4200, -12.9851, 6.11, 0.99],
+    [31676, 99.4224, 61.4812, 5.94, 0.90],
+    [31681, 99.4279, 16.3993, 1.93, 0.00],
+    [31685, 99.4403, -43.1959, 3.17, -0.10],
+    [31688, 99.4484, -32.3397, 5.25, 1.18],
+    [31697, 99.4696, 4.9567, 6.14, 0.09],
+    [31700, 99.4726, -18.2375, 4.42, 1.14],
+    [31703, 99.4787, 73.6956, 6.26, 0.40],
+    [31711, 99.5015, -61.5334, 6.15, 0.62],
+    [31733, 99.5852, -2.5439, 6.14, 1.47],
+    [31736, 99.5955, -23.5803, 6.48, 0.66],
+    [31737, 99.5959, 28.9844, 5.76, -0.00],
+    [31758, 99.6476, -16.8735, 6.01, 0.04],
+    [31765, 99.6568, -48.2202, 5.05, 1.00],
+    [31766, 99.6591, 1.6135, 6.23, 0.09],
+    [31771, 99.6647, 39.3909, 5.70, 1.37],
+    [31789, 99.7049, 39.9026, 5.34, -0.07],
+    [31813, 99.7721, 22.0309, 6.09, 1.03],
+    [31827, 99.8197, -14.1458, 4.82, 1.46],
+    [31832, 99.8326, 42.4889, 4.80, 1.24],
+    [31850, 99.8812, 24.6002, 6.43, 0.52],
+    [31852, 99.8880, 28.2631, 6.02, -0.09],
+    [31859, 99.9009, -23.6957, 6.05, -0.03],
+    [31870, 99.9278, -30.4705, 5.70, 1.13],
+    [31876, 99.9488, 12.9828, 5.99, 0.06],
+    [31889, 99.9912, 44.0141, 6.35, 1.22],
+    [31897, 100.0120, -80.8136, 5.61, 0.21],
+    [31940, 100.1203, 77.9958, 5.75, 1.49],
+    [31946, 100.1344, 71.7488, 5.88, 1.22],
+    [31977, 100.2400, -71.7752, 6.50, 1.11],
+    [31978, 100.2444, 9.8958, 4.66, -0.23],
+    [31992, 100.2727, 0.4953, 5.79, -0.09],
+    [32007, 100.3090, -40.3498, 6.16, -0.15],
+    [32012, 100.3218, 11.0032, 6.19, 1.68],
+    [32019, 100.3371, 28.1966, 6.45, 1.09],
+    [32020, 100.3414, 16.3977, 6.28, -0.02],
+    [32040, 100.4073, 35.9319, 6.48, 0.51],
+    [32064, 100.4849, -9.1675, 5.21, 1.52],
+    [32067, 100.4968, 6.3454, 6.36, -0.08],
+    [32091, 100.5683, -38.3988, 6.28, 0.35],
+    [32104, 100.6014, 17.6453, 5.20, 0.06],
+    [32144, 100.6919, -22.4486, 6.26, 0.32],
+    [32173, 100.7707, 44.5244, 5.04, 1.48],
+    [32177, 100.7776, 3.0338, 6.18, 1.37],
+    [32190, 100.8073, 37.1474, 6.21, 1.03],
+    [32208, 100.8473, -39.1931, 6.30, 0.26],
+    [32222, 100.9032, -73.1182, 6.36, 0.96],
+    [32226, 100.9110, 3.9325, 5.88, -0.05],
+    [32246, 100.9830, 25.1311, 3.06, 1.38],
+    [32249, 100.9971, 13.2280, 4.49, 1.17],
+    [32261, 101.0480, 53.2959, 6.28, 1.09],
+    [32268, 101.0522, 36.1093, 6.37, 0.07],
+    [32269, 101.0533, -54.6955, 6.47, -0.12],
+    [32292, 101.1186, -31.0705, 5.23, -0.13],
+    [32311, 101.1894, 28.9709, 5.42, 1.45],
+    [32322, 101.2165, -27.3417, 6.43, 0.55],
+    [32332, 101.2319, -70.4338, 6.10, 1.33],
+    [32349, 101.2872, -16.7161, -1.44, 0.01],
+    [32362, 101.3224, 12.8956, 3.35, 0.44],
+    [32366, 101.3456, -31.7937, 5.92, 0.49],
+    [32368, 101.3474, -23.4624, 6.04, 1.21],
+    [32385, 101.3800, -30.9490, 5.62, -0.14],
+    [32402, 101.4738, -52.4097, 5.81, 1.55],
+    [32404, 101.4758, 12.6936, 6.47, 0.34],
+    [32411, 101.4975, -14.7961, 5.30, 0.07],
+    [32434, 101.5506, -37.7753, 6.19, -0.12],
+    [32438, 101.5589, 59.4417, 4.86, 0.08],
+    [32439, 101.5590, 79.5648, 5.44, 0.53],
+    [32463, 101.6351, 8.5872, 5.92, -0.17],
+    [32474, 101.6626, -10.1074, 5.66, -0.05],
+    [32477, 101.6736, -54.6950, 6.45, 0.86],
+    [32480, 101.6847, 43.5774, 5.24, 0.57],
+    [32489, 101.7063, 57.1692, 5.34, 0.96],
+    [32492, 101.7129, -14.4260, 5.28, -0.02],
+    [32494, 101.7195, -51.2657, 5.39, 1.33],
+    [32500, 101.7440, -87.0250, 6.46, 0.43],
+    [32504, 101.7562, -21.0154, 6.07, -0.16],
+    [32531, 101.8280, -55.5400, 5.60, 1.55],
+    [32533, 101.8326, 8.0373, 4.77, 1.40],
+    [32537, 101.8392, -37.9297, 5.27, -0.08],
+    [32539, 101.8477, 18.1935, 6.35, 0.07],
+    [32558, 101.9051, -8.9985, 5.08, 1.79],
+    [32562, 101.9149, 48.7895, 5.22, 1.13],
+    [32578, 101.9652, 2.4122, 4.48, 1.10],
+    [32607, 102.0477, -61.9414, 3.24, 0.23],
+    [32609, 102.0512, 55.7042, 5.54, null],
+    [32617, 102.0794, -1.3189, 5.75, 0.29],
+    [32677, 102.2406, -15.1447, 5.39, -0.10],
+    [32682, 102.2652, 1.0021, 6.16, -0.13],
+    [32698, 102.3184, -2.2720, 5.75, -0.10],
+    [32740, 102.4221, 32.6068, 5.72, 1.30],
+    [32744, 102.4333, -24.0761, 6.31, 0.05],
+    [32746, 102.4345, 37.5127, 6.49, 1.55],
+    [32753, 102.4577, 16.2029, 5.87, -0.14],
+    [32759, 102.4602, -32.5085, 3.50, -0.12],
+    [32761, 102.4638, -53.6224, 4.41, 0.90],
+    [32765, 102.4776, -46.6146, 5.14, 0.46],
+    [32768, 102.4840, -50.6146, 2.94, 1.21],
+    [32775, 102.5042, -60.2491, 6.11, 0.46],
+    [32809, 102.5907, -17.0846, 5.77, 1.44],
+    [32810, 102.5973, -31.7061, 5.74, 0.09],
+    [32814, 102.6062, 13.4132, 5.68, 1.33],
+    [32827, 102.6540, -25.7784, 6.32, -0.18],
+    [32838, 102.6763, -8.0410, 6.31, 0.01],
+    [32844, 102.6914, 41.7812, 4.99, 1.26],
+    [32851, 102.7076, -0.5409, 5.78, 0.40],
+    [32855, 102.7181, -34.3673, 4.99, 1.38],
+    [32864, 102.7379, 67.5719, 5.14, -0.15],
+    [32912, 102.8624, -70.9634, 5.41, -0.11],
+    [32918, 102.8857, -48.2928, 6.42, 1.21],
+    [32921, 102.8877, 21.7611, 5.28, -0.02],
+    [32931, 102.9141, 3.0420, 6.37, 0.05],
+    [32938, 102.9268, -36.2303, 5.94, 0.18],
+    [32968, 102.9999, 23.6017, 5.68, 1.47],
+    [32990, 103.0953, -5.3163, 6.30, 0.98],
+    [33012, 103.1893, -59.3412, 6.41, 0.18],
+    [33015, 103.1964, -43.9756, 6.47, -0.10],
+    [33018, 103.1972, 33.9613, 3.60, 0.10],
+    [33024, 103.2061, 8.3804, 5.75, 0.27],
+    [33040, 103.2513, -26.9576, 6.33, 1.41],
+    [33041, 103.2559, 38.8692, 6.10, 0.41],
+    [33044, 103.2647, 35.7880, 6.03, 1.46],
+    [33048, 103.2710, 59.4485, 5.34, 0.68],
+    [33056, 103.2816, 44.8399, 6.24, 0.24],
+    [33064, 103.3058, 38.4380, 6.32, 0.52],
+    [33077, 103.3284, -19.0328, 5.65, 0.28],
+    [33079, 103.3410, -18.9328, 6.13, 0.16],
+    [33082, 103.3433, 10.9967, 6.30, 0.96],
+    [33092, 103.3871, -20.2243, 4.82, -0.21],
+    [33094, 103.3914, -28.5398, 6.05, 0.71],
+    [33104, 103.4260, 68.8883, 5.11, -0.11],
+    [33126, 103.4811, -24.5388, 6.23, 0.02],
+    [33133, 103.4878, 38.5050, 6.46, -0.04],
+    [33139, 103.5094, -50.6116, 6.24, 0.99],
+    [33152, 103.5331, -24.1842, 3.89, 1.74],
+    [33154, 103.5358, -5.8522, 6.39, 0.17],
+    [33160, 103.5475, -12.0386, 4.08, 1.42],
+    [33184, 103.6028, -1.1270, 5.44, 0.17],
+    [33189, 103.6112, -42.3656, 6.32, 2.29],
+    [33202, 103.6610, 13.1778, 4.73, 0.32],
+    [33210, 103.6752, -1.7565, 6.20, 0.49],
+    [33243, 103.7455, -2.8036, 6.03, 1.10],
+    [33248, 103.7614, -20.4049, 5.80, 0.05],
+    [33269, 103.8111, 43.9100, 6.16, 0.31],
+    [33271, 103.8133, 45.8264, 6.31, 0.94],
+    [33277, 103.8278, 25.3757, 5.74, 0.57],
+    [33297, 103.8942, 8.3243, 6.28, 0.04],
+    [33302, 103.9060, -20.1365, 4.66, 0.37],
+    [33316, 103.9455, -22.9414, 5.29, -0.16],
+    [33330, 103.9782, -31.7902, 6.36, -0.15],
+    [33345, 104.0277, -14.0434, 5.00, 1.18],
+    [33347, 104.0343, -17.0542, 4.36, -0.06],
+    [33357, 104.0666, -48.7211, 4.94, 1.67],
+    [33372, 104.1076, 9.9566, 5.90, -0.09],
+    [33377, 104.1336, 46.2740, 5.85, -0.08],
+    [33384, 104.1436, -79.4202, 5.45, 0.04],
+    [33394, 104.1904, -35.3413, 6.27, 1.28],
+    [33415, 104.2335, 46.7054, 5.88, 1.09],
+    [33420, 104.2504, -8.1793, 6.31, 0.64],
+    [33421, 104.2522, 33.6810, 5.91, 0.88],
+    [33444, 104.3047, 57.5633, 6.03, 1.50],
+    [33449, 104.3192, 58.4228, 4.35, 0.85],
+    [33451, 104.3233, -35.5072, 6.23, 0.47],
+    [33453, 104.3271, 37.3947, 6.48, 1.67],
+    [33465, 104.3566, 11.9076, 6.26, 0.35],
+    [33478, 104.3913, -24.6308, 5.45, 0.39],
+    [33485, 104.4046, 45.0941, 4.90, 0.03],
+    [33492, 104.4276, -27.5375, 6.22, -0.15],
+    [33532, 104.5315, -27.1644, 6.36, -0.19],
+    [33558, 104.6046, -34.1117, 5.07, -0.15],
+    [33575, 104.6496, -25.4142, 5.59, -0.16],
+    [33577, 104.6515, -56.3948, 6.46, 0.39],
+    [33579, 104.6565, -28.9721, 1.50, -0.21],
+    [33584, 104.6621, 7.6223, 6.25, 0.10],
+    [33588, 104.6656, -55.7291, 6.26, 1.16],
+    [33590, 104.6739, -45.7676, 6.23, -0.01],
+    [33591, 104.6821, -30.9980, 6.41, -0.14],
+    [33595, 104.6975, 26.0811, 6.20, 0.52],
+    [33603, 104.7376, 3.6024, 5.96, 1.06],
+    [33614, 104.7619, 38.0523, 6.02, 1.22],
+    [33644, 104.8341, 7.3170, 6.34, -0.11],
+    [33650, 104.8664, 25.9142, 6.40, -0.11],
+    [33666, 104.9136, -21.6029, 6.26, -0.16],
+    [33682, 104.9606, -67.9164, 5.18, 1.40],
+    [33694, 105.0168, 76.9774, 4.55, 1.36],
+    [33703, 105.0345, -20.1584, 6.32, -0.13],
+    [33715, 105.0659, 16.0790, 5.73, 1.64],
+    [33719, 105.0752, -5.3672, 6.29, 0.57],
+    [33729, 105.0990, -8.4068, 5.95, -0.07],
+    [33754, 105.1639, -9.2030, 6.49, 0.14],
+    [33760, 105.1771, -28.4896, 6.28, 0.45],
+    [33774, 105.2073, -33.4655, 6.39, 1.05],
+    [33779, 105.2145, -51.4026, 5.14, 1.65],
+    [33800, 105.2713, -58.9399, 6.01, 0.30],
+    [33804, 105.2748, -25.2156, 5.64, -0.17],
+    [33827, 105.3392, 70.8083, 5.69, 1.34],
+    [33856, 105.4298, -27.9348, 3.49, 1.73],
+    [33873, 105.4705, -1.3459, 6.20, 1.29],
+    [33878, 105.4849, -5.7221, 5.22, 1.69],
+    [33909, 105.5645, -43.4039, 6.44, -0.04],
+    [33914, 105.5729, 15.3360, 5.78, 1.14],
+    [33927, 105.6033, 24.2154, 5.20, 0.95],
+    [33929, 105.6064, 17.7555, 5.96, 1.52],
+    [33937, 105.6387, 16.6744, 5.86, 1.66],
+    [33971, 105.7282, -4.2392, 4.99, -0.20],
+    [33977, 105.7561, -23.8333, 3.02, -0.08],
+    [34000, 105.8129, -59.1781, 5.50, -0.13],
+    [34002, 105.8246, 9.1384, 5.96, 0.13],
+    [34017, 105.8769, 29.3371, 5.93, 0.59],
+    [34033, 105.9086, 10.9518, 5.14, 1.39],
+    [34045, 105.9396, -15.6333, 4.11, -0.11],
+    [34055, 105.9650, 12.5942, 6.01, 1.58],
+    [34059, 105.9734, -49.5839, 4.92, 0.14],
+    [34065, 105.9888, -43.6080, 5.56, 0.62],
+    [34066, 105.9894, -10.1238, 6.44, -0.07],
+    [34081, 106.0116, -42.3373, 5.20, 0.20],
+    [34086, 106.0219, -5.3240, 5.63, 1.29],
+    [34088, 106.0272, 20.5703, 4.01, 0.90],
+    [34105, 106.0764, -56.7497, 5.14, -0.03],
+    [34142, 106.1960, -22.0317, 6.09, 1.23],
+    [34168, 106.2875, 47.7750, 6.37, -0.05],
+    [34177, 106.3182, -50.3600, 6.47, 1.42],
+    [34182, 106.3265, 22.6375, 6.00, -0.03],
+    [34200, 106.3834, -34.7777, 6.15, 0.35],
+    [34215, 106.4126, 9.1858, 5.78, 1.51],
+    [34217, 106.4158, 52.7586, 6.17, 0.10],
+    [34234, 106.4568, -10.6601, 6.50, -0.06],
+    [34238, 106.4653, 70.7319, 6.49, 1.57],
+    [34248, 106.5020, -30.6557, 6.34, -0.13],
+    [34250, 106.5052, 59.8019, 6.40, 1.19],
+    [34253, 106.5094, -38.3829, 6.09, 0.70],
+    [34267, 106.5483, 34.4740, 5.55, 0.91],
+    [34270, 106.5596, -68.8376, 6.47, 1.04],
+    [34297, 106.6499, -12.3939, 6.48, -0.12],
+    [34301, 106.6699, -11.2940, 5.41, 0.03],
+    [34318, 106.7186, -24.9606, 6.09, 1.34],
+    [34338, 106.7770, 4.9106, 6.10, -0.13],
+    [34339, 106.7795, -40.8933, 5.80, -0.16],
+    [34349, 106.8054, -51.9683, 5.96, 1.00],
+    [34350, 106.8178, -59.7164, 6.46, -0.11],
+    [34358, 106.8433, 34.0093, 5.94, 1.51],
+    [34360, 106.8441, -23.8407, 5.75, -0.12],
+    [34367, 106.8537, 28.1767, 6.47, -0.08],
+    [34387, 106.9562, 7.4712, 5.74, 1.18],
+    [34428, 107.0553, 33.8324, 6.31, 1.36],
+    [34440, 107.0918, 15.9307, 5.47, 1.02],
+    [34444, 107.0979, -26.3932, 1.83, 0.67],
+    [34462, 107.1510, 37.4451, 6.19, 1.21],
+    [34473, 107.1765, -70.4971, 5.68, 0.44],
+    [34481, 107.1869, -70.4989, 3.78, 1.01],
+    [34495, 107.2128, -39.6557, 4.83, -0.18],
+    [34536, 107.3344, -10.3466, 6.23, -0.02],
+    [34561, 107.3890, -16.2345, 6.00, 0.04],
+    [34579, 107.4293, -25.2310, 5.69, -0.16],
+    [34608, 107.5278, 21.2470, 6.43, 0.88],
+    [34617, 107.5390, -18.6856, 6.23, 0.42],
+    [34622, 107.5570, -4.2371, 4.91, 1.02],
+    [34624, 107.5805, -27.4915, 5.46, 1.00],
+    [34670, 107.6978, -48.9321, 5.12, 1.25],
+    [34693, 107.7849, 30.2452, 4.41, 1.26],
+    [34722, 107.8461, 26.8566, 5.75, 0.13],
+    [34724, 107.8484, -0.3019, 5.44, 0.31],
+    [34752, 107.9139, 39.3205, 4.91, 1.45],
+    [34758, 107.9234, -20.8831, 5.84, -0.04],
+    [34763, 107.9452, 16.9763, 6.50, 1.42],
+    [34768, 107.9641, 5.6547, 6.07, -0.02],
+    [34769, 107.9661, -0.4928, 4.15, -0.01],
+    [34780, 108.0082, -63.1901, 6.03, -0.01],
+    [34782, 108.0170, -30.8214, 6.10, 0.27],
+    [34789, 108.0312, 5.4743, 6.15, 1.14],
+    [34798, 108.0509, -25.9426, 5.91, -0.17],
+    [34802, 108.0659, -40.4988, 5.30, 0.07],
+    [34817, 108.1076, -36.5444, 5.94, -0.14],
+    [34819, 108.1099, 24.1286, 5.85, 0.40],
+    [34834, 108.1401, -46.7593, 4.49, 0.32],
+    [34860, 108.2045, 27.2248, 6.46, 0.50],
+    [34888, 108.2800, -11.2513, 5.77, 1.51],
+    [34899, 108.3056, -45.1827, 4.87, -0.00],
+    [34909, 108.3428, 16.1590, 5.07, 1.65],
+    [34912, 108.3475, 51.4287, 5.46, 1.64],
+    [34914, 108.3501, -22.6742, 5.99, 1.48],
+    [34922, 108.3847, -44.6397, 4.42, 1.33],
+    [34924, 108.4019, -27.3564, 6.12, -0.23],
+    [34940, 108.4516, -22.9058, 6.34, -0.18],
+    [34954, 108.4889, -30.3398, 6.32, -0.18],
+    [34956, 108.4918, 71.8166, 6.36, 1.12],
+    [34975, 108.5452, -3.9018, 5.80, 1.58],
+    [34981, 108.5634, -26.3525, 4.42, -0.17],
+    [34982, 108.5647, -9.9475, 5.90, 1.53],
+    [34987, 108.5836, 3.1114, 5.36, 1.19],
+    [34999, 108.6177, -10.3162, 6.02, -0.17],
+    [35005, 108.6359, 12.1158, 5.71, 1.01],
+    [35020, 108.6589, -48.2719, 4.75, -0.09],
+    [35025, 108.6749, 24.8850, 5.84, 1.55],
+    [35029, 108.6917, -46.8497, 5.72, -0.11],
+    [35037, 108.7027, -26.7727, 4.01, -0.15],
+    [35044, 108.7132, -27.0380, 5.58, 1.22],
+    [35054, 108.7381, -41.4264, 5.95, -0.15],
+    [35080, 108.8309, -0.1613, 6.42, 0.90],
+    [35083, 108.8378, -30.6864, 5.36, -0.15],
+    [35084, 108.8384, -52.4992, 5.96, 1.10],
+    [35120, 108.9143, 7.9777, 5.78, 1.54],
+    [35127, 108.9302, -10.5836, 5.95, 1.17],
+    [35132, 108.9471, -23.7403, 6.34, -0.02],
+    [35136, 108.9589, 47.2400, 5.54, 0.58],
+    [35146, 108.9788, 59.6375, 5.20, 1.08],
+    [35152, 108.9882, 27.8974, 5.75, 1.60],
+    [35180, 109.0606, -15.5857, 5.46, 0.08],
+    [35181, 109.0645, -46.7745, 5.64, 1.44],
+    [35202, 109.1327, -38.3189, 5.81, -0.13],
+    [35205, 109.1458, -27.8812, 4.66, 1.59],
+    [35210, 109.1535, -23.3156, 4.83, 1.60],
+    [35213, 109.1598, -23.3109, 6.02, 0.32],
+    [35226, 109.2059, -36.5926, 5.03, -0.16],
+    [35228, 109.2076, -67.9572, 3.97, 0.76],
+    [35241, 109.2384, -30.8970, 6.30, 0.20],
+    [35253, 109.2642, 26.6895, 6.38, 0.88],
+    [35264, 109.2857, -37.0975, 2.71, 1.62],
+    [35301, 109.3819, -6.6800, 6.29, 1.62],
+    [35304, 109.3905, 52.1311, 5.93, 1.26],
+    [35317, 109.4277, 38.8763, 6.48, 0.99],
+    [35326, 109.4501, -26.7976, 6.45, -0.15],
+    [35341, 109.5092, 40.8834, 5.87, 0.18],
+    [35345, 109.5170, 30.9559, 6.19, -0.02],
+    [35347, 109.5177, -43.9868, 5.86, -0.12],
+    [35350, 109.5232, 16.5404, 3.58, 0.11],
+    [35363, 109.5766, -36.7340, 4.65, -0.10],
+    [35384, 109.6332, 49.4648, 5.00, 0.09],
+    [35393, 109.6396, -39.2103, 5.24, 0.03],
+    [35406, 109.6591, -36.7427, 5.11, -0.17],
+    [35412, 109.6682, -24.5587, 4.88, -0.16],
+    [35415, 109.6770, -24.9544, 4.37, -0.13],
+    [35427, 109.7136, -26.5859, 5.29, 0.96],
+    [35442, 109.7580, -19.2803, 6.06, 0.61],
+    [35463, 109.8070, -33.7272, 6.31, 1.30],
+    [35476, 109.8432, 2.7407, 5.90, 1.07],
+    [35487, 109.8674, -16.3952, 5.70, 0.35],
+    [35509, 109.9485, 7.1429, 5.91, 0.54],
+    [35548, 110.0285, 15.1429, 6.45, 0.01],
+    [35550, 110.0307, 21.9823, 3.50, 0.37],
+    [35564, 110.0893, -52.3115, 5.50, 0.48],
+    [35589, 110.1617, -52.0859, 5.38, -0.07],
+    [35611, 110.2288, -26.9638, 6.00, -0.17],
+    [35615, 110.2429, -14.3605, 5.59, 0.97],
+    [35623, 110.2629, 42.6559, 6.33, 1.40],
+    [35626, 110.2681, -25.8916, 5.87, 1.60],
+    [35643, 110.3229, 45.2282, 5.74, 0.34],
+    [35699, 110.4869, 20.4437, 5.09, 1.53],
+    [35707, 110.5086, -8.9794, 6.42, -0.19],
+    [35710, 110.5109, 36.7606, 5.12, 1.08],
+    [35712, 110.5145, 0.1771, 5.99, -0.07],
+    [35725, 110.5559, 38.9959, 6.40, 1.22],
+    [35727, 110.5564, -19.0166, 4.94, -0.04],
+    [35735, 110.5716, 59.9020, 6.36, 0.28],
+    [35737, 110.5775, -2.9792, 6.23, 0.69],
+    [35749, 110.6058, -5.9828, 5.83, 0.35],
+    [35751, 110.6180, 0.7008, 6.43, 0.99],
+    [35785, 110.7169, 55.2814, 5.80, -0.08],
+    [35795, 110.7529, -31.9238, 5.40, -0.16],
+    [35842, 110.8672, 22.9453, 6.17, 0.01],
+    [35846, 110.8688, 25.0505, 5.04, 0.90],
+    [35848, 110.8708, -27.8343, 5.37, 1.54],
+    [35855, 110.8829, -32.2021, 5.41, -0.17],
+    [35893, 110.9931, -35.8378, 6.32, -0.14],
+    [35904, 111.0238, -29.3031, 2.45, -0.08],
+    [35907, 111.0353, 40.6724, 5.23, 1.25],
+    [35920, 111.0718, -22.9128, 6.20, -0.09],
+    [35933, 111.1152, 15.5172, 6.47, -0.19],
+    [35941, 111.1394, 27.6379, 5.77, 0.37],
+    [35946, 111.1547, -71.4707, 6.49, 0.12],
+    [35951, 111.1674, -16.2015, 5.18, -0.04],
+    [35957, 111.1827, -31.8089, 5.35, 1.07],
+    [35960, 111.1973, -37.2912, 6.14, 0.26],
+    [35975, 111.2120, -19.0123, 6.24, 0.29],
+    [35984, 111.2379, 51.8873, 5.80, 1.61],
+    [35987, 111.2424, 11.6695, 5.37, 0.10],
+    [35998, 111.2846, -13.7520, 5.79, 0.43],
+    [36017, 111.3332, -21.9826, 6.04, 0.23],
+    [36019, 111.3415, 81.2575, 6.30, -0.03],
+    [36024, 111.3553, -25.2178, 5.79, -0.10],
+    [36039, 111.4087, -79.0942, 5.54, 1.28],
+    [36041, 111.4121, 9.2761, 4.99, 0.99],
+    [36045, 111.4291, -31.7387, 6.32, -0.18],
+    [36046, 111.4317, 27.7981, 3.78, 1.02],
+    [36055, 111.4633, -5.7750, 5.98, 0.90],
+    [36114, 111.5910, -51.0185, 5.09, 1.04],
+    [36123, 111.6158, 10.6081, 6.38, 0.08],
+    [36141, 111.6717, 11.0088, 6.39, -0.13],
+    [36143, 111.6769, -34.1407, 5.90, -0.15],
+    [36145, 111.6785, 49.2115, 4.61, -0.00],
+    [36156, 111.7347, 20.2576, 5.94, 0.34],
+    [36168, 111.7478, -23.0860, 5.65, -0.13],
+    [36186, 111.7833, -17.8649, 5.60, 0.31],
+    [36188, 111.7877, 8.2893, 2.89, -0.10],
+    [36211, 111.8577, 66.3316, 6.47, -0.06],
+    [36236, 111.9289, -22.8592, 5.98, -0.09],
+    [36238, 111.9348, 21.4452, 5.20, 0.46],
+    [36251, 111.9653, -11.5569, 5.79, 0.58],
+    [36258, 111.9965, -29.1559, 5.55, -0.05],
+    [36264, 112.0080, -26.8390, 6.26, 1.51],
+    [36265, 112.0086, 6.9420, 5.22, 0.22],
+    [36284, 112.0408, 8.9255, 4.33, 1.43],
+    [36325, 112.1663, 27.5529, 6.36, 1.22],
+    [36340, 112.1969, 15.1098, 6.23, -0.04],
+    [36345, 112.2131, -31.8484, 5.95, -0.16],
+    [36346, 112.2142, -64.5098, 6.38, 1.55],
+    [36348, 112.2145, 48.1839, 5.70, -0.09],
+    [36351, 112.2193, 46.3146, 6.42, 1.20],
+    [36362, 112.2705, -31.4562, 5.78, -0.18],
+    [36363, 112.2737, -38.8121, 5.41, -0.15],
+    [36366, 112.2780, 31.7846, 4.16, 0.32],
+    [36377, 112.3076, -43.3014, 3.25, 1.51],
+    [36388, 112.3278, -1.9053, 5.60, 1.49],
+    [36393, 112.3352, 28.1183, 5.07, 0.12],
+    [36395, 112.3411, -14.9987, 6.05, 0.48],
+    [36396, 112.3421, -10.3267, 5.75, 1.62],
+    [36399, 112.3568, -7.5512, 5.86, 0.49],
+    [36425, 112.4491, 12.0066, 4.55, 1.28],
+    [36429, 112.4532, 27.9161, 5.01, 1.12],
+    [36431, 112.4642, -23.0243, 4.85, 0.24],
+    [36439, 112.4832, 49.6725, 5.35, 0.47],
+    [36444, 112.4988, -52.6512, 5.87, 1.01],
+    [36496, 112.6288, -54.3994, 5.95, 1.58],
+    [36514, 112.6775, -30.9623, 4.65, 0.90],
+    [36526, 112.7131, -5.2265, 6.24, 1.19],
+    [36528, 112.7196, 68.4656, 5.63, 1.10],
+    [36547, 112.7686, 82.4115, 4.92, 1.63],
+    [36553, 112.7866, 11.2030, 6.38, 1.28],
+    [36616, 112.9517, 17.0860, 5.45, 1.13],
+    [36640, 113.0240, -8.8813, 5.90, 0.54],
+    [36641, 113.0248, 1.9145, 5.24, 0.23],
+    [36657, 113.0928, -35.9612, 6.35, -0.10],
+    [36721, 113.2907, -24.7107, 5.84, 0.16],
+    [36723, 113.2986, 3.2904, 5.59, 0.32],
+    [36728, 113.3048, -40.0585, 6.27, -0.13],
+    [36732, 113.3315, -19.4125, 5.64, 1.12],
+    [36736, 113.3424, -14.3383, 6.21, -0.06],
+    [36740, 113.3535, 37.1879, 6.40, 1.23],
+    [36760, 113.4020, 15.8267, 5.27, 0.06],
+    [36773, 113.4498, -14.5239, 4.82, 1.36],
+    [36778, 113.4627, -36.3384, 5.42, -0.08],
+    [36779, 113.4647, 51.3141, 6.44, 1.35],
+    [36795, 113.5133, -22.2961, 4.44, 0.52],
+    [36796, 113.5207, 10.5681, 6.28, 0.02],
+    [36807, 113.5534, -33.4634, 6.11, 0.30],
+    [36812, 113.5662, 3.3717, 5.83, -0.02],
+    [36817, 113.5776, -23.4737, 5.06, 0.47],
+    [36848, 113.6450, -27.0123, 5.78, 1.04],
+    [36850, 113.6494, 31.8883, 1.58, 0.03],
+    [36856, 113.6649, -51.4745, 6.29, 0.07],
+    [36896, 113.7867, 30.9609, 5.34, 1.01],
+    [36914, 113.8402, -74.2750, 6.33, 0.02],
+    [36917, 113.8454, -28.3693, 4.65, -0.11],
+    [36942, 113.9155, -52.5338, 4.93, 1.37],
+    [36962, 113.9806, 26.8957, 4.06, 1.54],
+    [36965, 113.9832, 43.0310, 6.37, 0.36],
+    [36977, 114.0067, -55.8877, 6.39, 1.18],
+    [36981, 114.0162, -14.4928, 5.66, -0.07],
+    [36986, 114.0309, -22.1605, 6.40, 0.97],
+    [37000, 114.0696, -8.3113, 6.27, 1.54],
+    [37023, 114.1318, 46.1803, 5.66, 1.56],
+    [37031, 114.1446, 5.8622, 5.89, 0.60],
+    [37036, 114.1710, -19.7023, 5.69, -0.17],
+    [37043, 114.1830, -48.8302, 5.69, -0.04],
+    [37046, 114.1960, 55.7551, 5.93, 1.12],
+    [37088, 114.3195, -4.1110, 5.14, 0.44],
+    [37089, 114.3205, -23.7754, 6.34, 0.54],
+    [37091, 114.3241, 40.0254, 6.34, 1.60],
+    [37096, 114.3421, -34.9685, 4.53, -0.08],
+    [37128, 114.4376, -38.0104, 6.38, 1.47],
+    [37140, 114.4744, 48.7738, 5.93, 0.22],
+    [37165, 114.5599, 24.3604, 6.37, 0.34],
+    [37173, 114.5752, -25.3648, 4.69, -0.10],
+    [37174, 114.5759, -48.6014, 5.68, 0.68],
+    [37202, 114.6356, -38.7815, 6.20, 1.01],
+    [37204, 114.6369, 35.0486, 5.58, 0.92],
+    [37223, 114.6829, -36.4968, 5.78, -0.15],
+    [37229, 114.7078, -26.8038, 3.80, -0.16],
+    [37248, 114.7513, -53.2734, 6.06, -0.12],
+    [37265, 114.7914, 34.5843, 4.89, 0.41],
+    [37269, 114.8000, 24.2225, 6.18, 0.03],
+    [37279, 114.8255, 5.2250, 0.40, 0.43],
+    [37289, 114.8508, -16.8473, 6.40, 1.47],
+    [37293, 114.8624, -26.8631, 6.50, -0.09],
+    [37297, 114.8639, -38.3080, 4.84, -0.19],
+    [37300, 114.8691, 17.6745, 5.04, 1.62],
+    [37322, 114.9326, -38.1393, 5.73, -0.13],
+    [37329, 114.9495, -38.2607, 5.76, -0.07],
+    [37339, 114.9754, 32.0097, 6.16, 0.37],
+    [37345, 114.9916, -37.5794, 5.99, -0.04],
+    [37364, 115.0564, -19.6609, 5.92, 1.16],
+    [37369, 115.0612, 38.3445, 5.77, 1.65],
+    [37375, 115.0876, -11.7526, 6.43, 1.25],
+    [37379, 115.0967, -15.2639, 4.98, 1.54],
+    [37391, 115.1270, 87.0201, 5.05, 1.60],
+    [37394, 115.1480, -8.1854, 6.01, 0.15],
+    [37404, 115.1966, 13.7713, 6.23, 1.39],
+    [37406, 115.2064, 57.0829, 6.09, 1.44],
+    [37428, 115.2438, 23.0185, 5.93, 1.56],
+    [37441, 115.3017, 48.1315, 5.58, 1.01],
+    [37447, 115.3118, -9.5511, 3.94, 1.02],
+    [37450, 115.3159, -38.5335, 5.41, -0.13],
+    [37461, 115.3405, -44.6322, 6.41, -0.00],
+    [37465, 115.3480, -22.3367, 6.16, 1.64],
+    [37478, 115.3965, 3.6248, 5.95, -0.03],
+    [37504, 115.4553, -72.6061, 3.93, 1.03],
+    [37508, 115.4660, 13.4805, 5.79, 1.67],
+    [37521, 115.5134, 14.2085, 5.55, 1.64],
+    [37530, 115.5426, -58.6309, 6.40, -0.09],
+    [37580, 115.6815, 34.0002, 6.05, 0.47],
+    [37590, 115.7006, -26.3513, 5.64, 0.99],
+    [37599, 115.7222, -58.2301, 6.20, 1.05],
+    [37606, 115.7379, -45.1731, 5.04, 0.77],
+    [37609, 115.7517, 58.7104, 4.93, 0.10],
+    [37614, 115.7726, 0.1893, 6.17, 1.05],
+    [37623, 115.7999, -36.0501, 5.60, -0.13],
+    [37629, 115.8280, 28.8835, 4.23, 1.12],
+    [37634, 115.8383, 4.9458, 6.50, 1.36],
+    [37636, 115.8424, 22.3995, 6.25, 0.93],
+    [37648, 115.8849, -28.4109, 4.63, 1.63],
+    [37664, 115.9247, -40.9337, 5.12, 1.10],
+    [37666, 115.9288, -38.2019, 6.42, -0.12],
+    [37677, 115.9520, -28.9548, 3.94, 0.16],
+    [37701, 116.0174, 50.4338, 5.31, -0.00],
+    [37704, 116.0288, 25.7842, 5.30, 1.53],
+    [37705, 116.0318, 2.4054, 6.46, 0.21],
+    [37710, 116.0404, -36.0625, 5.80, 0.32],
+    [37720, 116.0542, -69.8216, 6.16, -0.03],
+    [37723, 116.0586, 12.8601, 6.40, 1.39],
+    [37740, 116.1119, 24.3980, 3.57, 0.93],
+    [37751, 116.1424, -24.6741, 5.62, -0.19],
+    [37752, 116.1424, -37.9429, 5.89, -0.12],
+    [37773, 116.1827, -66.0719, 6.37, 0.95],
+    [37819, 116.3137, -37.9686, 3.62, 1.71],
+    [37823, 116.3252, -43.7526, 6.02, -0.07],
+    [37826, 116.3290, 28.0262, 1.16, 0.99],
+    [37843, 116.3714, -14.6905, 6.06, 0.11],
+    [37853, 116.3959, -34.1724, 5.36, 0.59],
+    [37854, 116.3980, -56.7226, 6.10, 0.40],
+    [37891, 116.4870, -14.5638, 5.03, 0.34],
+    [37901, 116.5091, -6.7725, 5.49, 1.38],
+    [37908, 116.5310, 18.5100, 4.89, 1.43],
+    [37915, 116.5439, -37.9337, 5.87, -0.11],
+    [37921, 116.5675, 10.7683, 5.25, 0.02],
+    [37934, 116.6142, 62.8305, 6.50, 0.26],
+    [37939, 116.6392, -37.7726, 6.31, 1.35],
+    [37946, 116.6637, 37.5174, 5.15, 1.59],
+    [37949, 116.6670, 65.4557, 5.93, 1.18],
+    [37951, 116.6863, -12.6753, 6.39, -0.00],
+    [37982, 116.7740, -39.3310, 6.33, -0.14],
+    [37995, 116.8023, -22.5195, 5.90, -0.18],
+    [37996, 116.8108, -36.0736, 6.46, 1.08],
+    [38010, 116.8541, -38.5111, 5.07, -0.11],
+    [38016, 116.8763, 33.4157, 5.14, 1.64],
+    [38020, 116.8813, -46.6085, 5.22, -0.15],
+    [38031, 116.9105, -15.9907, 6.31, 1.79],
+    [38037, 116.9384, -16.0145, 6.38, 1.70],
+    [38048, 116.9863, -12.1927, 5.48, 0.48],
+    [38070, 117.0215, -25.9372, 4.40, -0.07],
+    [38074, 117.0356, -40.6524, 6.14, 1.59],
+    [38087, 117.0813, -56.4711, 6.30, 1.01],
+    [38089, 117.0840, -47.0777, 4.69, 1.04],
+    [38106, 117.1402, 23.1410, 6.18, 0.57],
+    [38146, 117.2570, -24.9122, 5.32, 0.75],
+    [38147, 117.2577, 13.3719, 6.07, 1.37],
+    [38152, 117.2780, -56.4104, 5.57, 1.12],
+    [38159, 117.3036, -46.8577, 5.82, -0.14],
+    [38160, 117.3038, -60.2837, 5.78, 0.43],
+    [38164, 117.3096, -46.3732, 4.10, -0.16],
+    [38167, 117.3110, -35.2433, 5.94, -0.05],
+    [38170, 117.3236, -24.8598, 3.34, 1.22],
+    [38183, 117.3678, -44.7512, 6.32, 0.96],
+    [38184, 117.3700, -13.3529, 6.23, -0.08],
+    [38196, 117.3846, 12.8143, 6.42, 0.98],
+    [38200, 117.3975, -33.2889, 5.61, 1.62],
+    [38206, 117.4166, -14.0854, 6.34, 1.66],
+    [38209, 117.4198, -19.5055, 6.49, 1.23],
+    [38210, 117.4208, -66.1960, 5.78, -0.04],
+    [38211, 117.4217, -17.2284, 5.17, 1.28],
+    [38246, 117.5236, -19.5235, 6.11, 1.26],
+    [38253, 117.5441, -9.1834, 5.60, 1.45],
+    [38267, 117.5993, -50.5095, 5.89, 1.09],
+    [38292, 117.6771, -44.5799, 6.45, 0.90],
+    [38300, 117.6975, 3.2773, 6.17, 1.11],
+    [38303, 117.7129, 4.4595, 6.49, 0.94],
+    [38306, 117.7226, 0.0796, 6.38, 1.24],
+    [38307, 117.7302, -11.1286, 6.16, 1.13],
+    [38316, 117.7503, -24.5286, 6.43, -0.00],
+    [38319, 117.7598, 33.2337, 6.06, 0.15],
+    [38325, 117.7738, 54.1292, 6.03, 0.50],
+    [38349, 117.8139, 37.0821, 6.49, 1.51],
+    [38355, 117.8347, -43.0952, 6.34, -0.17],
+    [38370, 117.9182, -42.8882, 6.05, -0.18],
+    [38372, 117.9204, -12.8194, 6.37, 0.38],
+    [38373, 117.9250, 1.7669, 5.12, -0.12],
+    [38375, 117.9293, -21.1737, 5.62, 0.96],
+    [38382, 117.9429, -13.8980, 5.16, 0.60],
+    [38394, 117.9866, 19.3251, 6.03, 1.13],
+    [38403, 118.0161, 45.9330, 6.50, 0.21],
+    [38406, 118.0300, 3.2773, 6.30, 1.46],
+    [38414, 118.0543, -40.5758, 3.71, 1.01],
+    [38423, 118.0653, -34.7054, 5.01, 0.47],
+    [38427, 118.0787, -14.8462, 5.69, 0.37],
+    [38438, 118.1239, -54.3672, 5.70, -0.15],
+    [38449, 118.1518, 55.2094, 6.36, -0.00],
+    [38455, 118.1610, -38.8628, 4.49, -0.19],
+    [38474, 118.1994, -5.4283, 5.76, 0.41],
+    [38497, 118.2646, -36.3638, 5.44, 1.16],
+    [38500, 118.2651, -49.6130, 4.63, -0.23],
+    [38518, 118.3257, -48.1029, 4.22, -0.13],
+    [38538, 118.3742, 26.7658, 4.97, 0.10],
+    [38593, 118.5459, -35.8773, 5.48, -0.17],
+    [38623, 118.6219, 47.3860, 6.25, 1.13],
+    [38635, 118.6663, -34.8467, 6.14, 1.54],
+    [38639, 118.6779, 47.5646, 5.47, 1.46],
+    [38656, 118.7222, -57.3028, 5.62, 1.30],
+    [38667, 118.7518, -52.5833, 6.36, -0.01],
+    [38686, 118.8077, -30.9176, 6.45, 1.47],
+    [38712, 118.8810, 8.8628, 5.86, 0.37],
+    [38722, 118.9162, 19.8840, 5.38, -0.04],
+    [38723, 118.9201, 35.4127, 6.23, 0.28],
+    [38732, 118.9441, -43.8451, 6.02, -0.11],
+    [38783, 119.0777, -60.5264, 5.74, 1.55],
+    [38792, 119.0947, -30.2846, 6.28, 1.48],
+    [38794, 119.0996, 4.4856, 6.16, 0.96],
+    [38827, 119.1946, -52.9824, 3.46, -0.18],
+    [38835, 119.2147, -22.8801, 4.20, 0.72],
+    [38845, 119.2410, -42.4065, 6.09, 1.36],
+    [38846, 119.2408, -43.5004, 5.36, -0.17],
+    [38848, 119.2477, 15.7903, 5.80, 1.28],
+    [38863, 119.3032, -63.2968, 6.14, -0.10],
+    [38868, 119.3162, 8.6412, 6.03, 1.00],
+    [38870, 119.3179, 1.1270, 6.35, 0.51],
+    [38872, 119.3268, -44.1099, 5.08, -0.17],
+    [38879, 119.3336, -47.8907, 6.21, -0.10],
+    [38901, 119.4171, -30.3346, 4.76, 0.15],
+    [38908, 119.4455, -60.3031, 5.59, 0.57],
+    [38917, 119.4655, -45.5777, 5.14, 1.26],
+    [38925, 119.4784, -40.7844, 6.46, 0.98],
+    [38945, 119.5246, 7.2135, 6.42, -0.03],
+    [38957, 119.5602, -49.2449, 4.47, -0.18],
+    [38959, 119.5690, 43.9774, 6.36, 1.04],
+    [38962, 119.5861, 2.2248, 5.30, 0.93],
+    [38963, 119.5893, -51.4485, 6.44, 0.26],
+    [38975, 119.6311, 16.5187, 6.05, 1.47],
+    [38994, 119.7106, -60.8245, 5.77, -0.08],
+    [39014, 119.7575, -45.2158, 5.98, -0.14],
+    [39023, 119.7738, -23.3104, 5.09, 1.11],
+    [39035, 119.8013, -49.9769, 6.35, -0.15],
+    [39038, 119.8065, -49.9738, 6.37, -0.09],
+    [39041, 119.8157, -73.2442, 6.33, 0.13],
+    [39061, 119.8682, -39.2969, 5.22, 0.40],
+    [39067, 119.8961, 13.2422, 6.05, 1.32],
+    [39070, 119.9064, -60.5871, 5.19, 1.76],
+    [39073, 119.9170, -60.2074, 6.30, -0.05],
+    [39079, 119.9340, -3.6796, 4.93, 1.21],
+    [39094, 119.9641, 36.0821, 6.50, 1.56],
+    [39095, 119.9669, -18.3992, 4.61, 0.09],
+    [39117, 120.0489, 73.9179, 5.37, 1.42],
+    [39122, 120.0612, -48.9815, 6.01, 0.04],
+    [39138, 120.0832, -63.5675, 4.81, -0.17],
+    [39153, 120.1207, -48.8718, 6.13, -0.09],
+    [39172, 120.1839, -2.8819, 6.41, -0.09],
+    [39177, 120.1971, 17.3087, 5.60, 1.32],
+    [39180, 120.2004, 19.8162, 6.30, 1.11],
+    [39184, 120.2081, -54.1513, 5.87, -0.13],
+    [39191, 120.2328, 25.3928, 5.87, 1.02],
+    [39194, 120.2533, 23.5831, 6.34, 1.16],
+    [39198, 120.2642, -6.4192, 6.45, 0.84],
+    [39211, 120.3056, -1.3926, 4.69, 1.48],
+    [39213, 120.3079, 4.8798, 5.65, 0.01],
+    [39221, 120.3366, 59.0474, 5.78, 0.42],
+    [39225, 120.3460, -54.5155, 6.12, -0.04],
+    [39236, 120.3762, 16.4553, 5.99, -0.02],
+    [39238, 120.3815, -55.4547, 6.28, -0.15],
+    [39251, 120.4064, -37.2837, 5.90, 0.15],
+    [39261, 120.4269, 60.3244, 6.02, 0.16],
+    [39263, 120.4323, 25.0895, 6.32, 0.02],
+    [39271, 120.4614, 8.9140, 6.22, 0.57],
+    [39279, 120.4799, 35.4131, 6.34, 1.56],
+    [39299, 120.5256, -37.0500, 6.31, 1.60],
+    [39311, 120.5664, 2.3346, 4.39, 1.25],
+    [39326, 120.6082, -6.3371, 6.34, 0.61],
+    [39340, 120.6284, 63.0903, 6.09, 0.58],
+    [39348, 120.6491, 57.2736, 6.48, 0.65],
+    [39360, 120.6866, -41.3098, 5.52, -0.15],
+    [39380, 120.7673, -32.4635, 5.83, 1.23],
+    [39420, 120.8734, -42.9483, 6.28, 1.01],
+    [39424, 120.8795, 27.7943, 4.94, 1.13],
+    [39429, 120.8960, -40.0031, 2.21, -0.27],
+    [39487, 121.0675, -32.6748, 5.25, 1.88],
+    [39514, 121.1360, -25.6997, 6.35, 1.46],
+    [39524, 121.1726, -19.7281, 6.12, -0.15],
+    [39527, 121.1767, -50.5904, 5.96, 1.21],
+    [39530, 121.1789, -62.8363, 6.25, -0.09],
+    [39535, 121.1888, 18.8420, 6.21, -0.04],
+    [39538, 121.1961, 79.4796, 5.39, -0.04],
+    [39566, 121.2655, -53.1079, 5.52, 1.35],
+    [39567, 121.2687, 13.1182, 5.14, 0.02],
+    [39584, 121.3346, -46.9784, 6.18, -0.14],
+    [39607, 121.4044, 27.5297, 6.21, 0.01],
+    [39617, 121.4370, -33.5694, 6.15, 1.10],
+    [39625, 121.4568, -0.5733, 6.40, 1.06],
+    [39659, 121.5766, 22.6355, 5.96, 1.65],
+    [39675, 121.6142, -9.2445, 6.25, -0.01],
+    [39690, 121.6681, -45.2660, 5.04, 1.49],
+    [39691, 121.6734, -48.4974, 6.34, -0.17],
+    [39722, 121.7914, 43.2604, 6.35, -0.02],
+    [39730, 121.8167, -17.3687, 6.50, 1.25],
+    [39734, 121.8252, -20.5543, 5.33, 0.10],
+    [39757, 121.8860, -24.3043, 2.83, 0.46],
+    [39780, 121.9411, 21.5818, 5.30, 0.64],
+    [39794, 121.9825, -68.6171, 4.35, -0.11],
+    [39843, 122.1027, -63.8008, 6.32, -0.06],
+    [39847, 122.1144, 51.5067, 4.78, 0.05],
+    [39863, 122.1485, -2.9838, 4.36, 0.97],
+    [39866, 122.1568, -37.6812, 6.36, -0.05],
+    [39874, 122.1769, 13.6409, 6.25, 0.48],
+    [39876, 122.1816, -20.3632, 6.37, 0.14],
+    [39898, 122.2369, -11.3397, 6.31, 0.01],
+    [39903, 122.2528, -61.3024, 4.74, 0.44],
+    [39906, 122.2568, -19.2450, 4.40, -0.16],
+    [39919, 122.2896, -48.6844, 5.66, -0.10],
+    [39920, 122.2925, -35.4550, 6.21, 0.89],
+    [39938, 122.3461, 42.4306, 6.26, 1.26],
+    [39943, 122.3689, -16.2489, 5.66, -0.15],
+    [39953, 122.3831, -47.3366, 1.75, -0.14],
+    [39957, 122.3901, -56.0854, 5.66, 0.20],
+    [39958, 122.3966, 29.0931, 6.47, 0.80],
+    [39961, 122.3996, -44.1228, 5.20, -0.17],
+    [39970, 122.4298, -47.9372, 5.23, -0.20],
+    [39974, 122.4487, -42.6408, 6.27, -0.04],
+    [39995, 122.5157, 58.2482, 5.91, 1.36],
+    [40007, 122.5546, 25.8445, 6.44, 1.42],
+    [40016, 122.5857, -49.2373, 6.46, -0.14],
+    [40023, 122.6133, 25.5073, 5.73, 0.82],
+    [40035, 122.6659, -13.7992, 5.53, 0.49],
+    [40058, 122.7454, 14.6295, 6.22, 0.01],
+    [40063, 122.7570, -37.2924, 6.42, -0.04],
+    [40077, 122.7950, -48.4620, 5.83, -0.15],
+    [40084, 122.8179, -12.9270, 4.72, 0.94],
+    [40085, 122.8192, 9.8212, 6.08, -0.10],
+    [40086, 122.8253, 54.5402, 6.48, 0.94],
+    [40091, 122.8396, -39.6185, 4.44, 1.59],
+    [40096, 122.8579, -42.9873, 4.73, 0.16],
+    [40107, 122.8875, -7.7725, 5.36, 0.89],
+    [40155, 122.9999, -46.6444, 5.77, 0.63],
+    [40160, 123.0252, -43.4004, 6.48, 1.70],
+    [40167, 123.0530, 17.6478, 4.67, 0.53],
+    [40183, 123.1283, -46.2643, 6.00, -0.11],
+    [40215, 123.2033, 68.4741, 5.34, 1.04],
+    [40220, 123.2148, -37.9245, 6.40, 0.11],
+    [40231, 123.2489, 16.5143, 6.03, 0.89],
+    [40240, 123.2869, 29.6565, 5.62, -0.07],
+    [40259, 123.3332, -15.7882, 4.99, 1.07],
+    [40263, 123.3407, -1.1659, 6.48, 0.92],
+    [40274, 123.3730, -35.8995, 4.78, -0.11],
+    [40282, 123.3927, -50.1961, 5.52, 1.65],
+    [40285, 123.4006, -46.9916, 5.14, -0.14],
+    [40291, 123.4211, -33.5695, 6.38, 1.14],
+    [40299, 123.4402, -46.5787, 6.49, -0.16],
+    [40305, 123.4591, 56.4522, 5.88, 1.02],
+    [40321, 123.4930, -36.3223, 5.09, -0.18],
+    [40324, 123.4946, -36.3408, 6.11, -0.18],
+    [40326, 123.5122, -40.3479, 4.42, 1.17],
+    [40341, 123.5460, -32.1407, 6.07, -0.16],
+    [40342, 123.5464, 17.6760, 6.47, 0.33],
+    [40344, 123.5552, -35.4900, 5.77, 1.02],
+    [40354, 123.5875, 13.0483, 6.39, 1.03],
+    [40357, 123.5995, -45.8345, 5.86, -0.18],
+    [40397, 123.7135, -46.4859, 6.45, -0.15],
+    [40429, 123.8163, -62.9156, 5.16, 0.09],
+    [40433, 123.8469, -50.4492, 6.44, 1.52],
+    [40474, 123.9604, 60.3806, 6.43, 0.21],
+    [40476, 123.9689, -30.9259, 6.22, 0.78],
+    [40485, 123.9951, -35.9032, 6.15, 1.55],
+    [40526, 124.1288, 9.1855, 3.53, 1.48],
+    [40559, 124.2246, 84.0576, 6.45, 0.05],
+    [40604, 124.3464, -16.2851, 6.32, 0.06],
+    [40617, 124.3819, 8.8663, 6.28, 0.98],
+    [40639, 124.4423, -36.0676, 6.42, 1.45],
+    [40646, 124.4601, 59.5711, 5.63, 0.18],
+    [40655, 124.4822, -59.1668, 6.47, 0.40],
+    [40656, 124.4928, -30.0037, 6.43, 1.04],
+    [40675, 124.5601, 15.6779, 6.42, 1.02],
+    [40677, 124.5658, 54.1437, 6.26, 1.56],
+    [40678, 124.5725, -35.4517, 5.59, 1.25],
+    [40680, 124.5784, -65.6132, 5.06, 1.13],
+    [40693, 124.5998, -12.6322, 5.95, 0.75],
+    [40702, 124.6315, -76.9197, 4.05, 0.41],
+    [40706, 124.6388, -36.6593, 4.44, 0.22],
+    [40749, 124.7733, -48.1979, 6.45, -0.13],
+    [40766, 124.8128, -10.1658, 6.31, 0.33],
+    [40772, 124.8215, 62.5072, 5.73, 0.89],
+    [40787, 124.8730, -34.5901, 6.44, -0.08],
+    [40793, 124.8845, 75.7569, 5.55, 0.90],
+    [40817, 124.9540, -71.5149, 5.33, -0.06],
+    [40818, 124.9578, 3.9480, 6.04, 0.96],
+    [40834, 125.0022, -71.5054, 5.63, -0.10],
+    [40843, 125.0161, 27.2177, 5.13, 0.49],
+    [40858, 125.0542, -0.9093, 6.18, 0.61],
+    [40859, 125.0709, -5.3299, 6.12, 1.33],
+    [40866, 125.0874, 20.7477, 5.80, 1.14],
+    [40875, 125.1086, 57.7433, 5.89, 0.42],
+    [40876, 125.1140, -22.9247, 6.12, 1.04],
+    [40878, 125.1212, 53.5741, 6.50, 0.30],
+    [40881, 125.1339, 24.0223, 5.92, -0.04],
+    [40888, 125.1606, -77.4845, 4.34, 1.16],
+    [40889, 125.1680, 72.4072, 6.00, 1.54],
+    [40926, 125.2818, -64.1060, 6.11, 0.93],
+    [40932, 125.3004, -57.9732, 5.96, -0.09],
+    [40943, 125.3377, -36.4842, 5.18, -0.19],
+    [40944, 125.3384, -20.0791, 5.58, 0.77],
+    [40945, 125.3459, -33.0544, 4.83, 1.42],
+    [40947, 125.3508, -39.6207, 6.15, 0.17],
+    [40990, 125.4775, -17.5863, 5.71, 1.05],
+    [41003, 125.5186, -73.4000, 5.28, 0.01],
+    [41011, 125.5400, 74.8204, 6.40, 1.02],
+    [41036, 125.6257, -6.1792, 6.14, 0.23],
+    [41037, 125.6285, -59.5095, 1.86, 1.20],
+    [41039, 125.6321, -48.4904, 4.79, -0.15],
+    [41060, 125.6836, 60.6312, 6.42, 0.97],
+    [41067, 125.6952, -13.0548, 6.13, 1.00],
+    [41074, 125.7081, -26.3482, 5.88, 0.38],
+    [41075, 125.7088, 43.1881, 4.25, 1.55],
+    [41080, 125.7254, -7.5431, 5.92, 1.64],
+    [41081, 125.7298, -52.1237, 5.89, 0.02],
+    [41107, 125.8206, -38.2861, 6.28, 1.61],
+    [41117, 125.8410, 18.3322, 5.94, 0.17],
+    [41152, 125.9521, 53.2197, 5.52, 0.13],
+    [41163, 125.9800, 10.6321, 6.11, 1.51],
+    [41191, 126.0826, -80.9142, 5.67, 1.02],
+    [41208, 126.1376, 82.4308, 6.28, 0.04],
+    [41211, 126.1459, -3.7512, 5.61, 0.48],
+    [41214, 126.1518, -4.7170, 6.03, 0.46],
+    [41224, 126.1782, 42.0052, 6.02, 1.59],
+    [41242, 126.2299, -23.1537, 5.67, 0.07],
+    [41250, 126.2384, -42.7698, 5.97, -0.16],
+    [41260, 126.2656, -24.0462, 5.32, 1.48],
+    [41262, 126.2704, 35.0114, 6.08, 1.26],
+    [41282, 126.3292, -21.0460, 6.01, 0.40],
+    [41296, 126.3805, -51.7274, 5.18, -0.16],
+    [41299, 126.3981, 2.1022, 5.74, 1.53],
+    [41306, 126.4140, -17.4394, 6.44, 1.23],
+    [41307, 126.4151, -3.9064, 3.91, -0.01],
+    [41312, 126.4341, -66.1369, 3.77, 1.13],
+    [41319, 126.4578, 17.0463, 6.11, 0.45],
+    [41321, 126.4650, -64.6006, 5.95, 0.97],
+    [41323, 126.4663, -42.1531, 5.45, -0.14],
+    [41325, 126.4782, 7.5645, 5.13, 0.93],
+    [41328, 126.4816, -14.9297, 5.96, 0.17],
+    [41361, 126.5739, -39.0590, 6.07, -0.01],
+    [41373, 126.6050, -52.8075, 6.05, 0.06],
+    [41375, 126.6134, -3.9875, 5.60, 0.22],
+    [41377, 126.6154, 27.8936, 5.58, 1.42],
+    [41395, 126.6748, -12.5346, 5.52, 1.17],
+    [41400, 126.6831, 12.6546, 5.56, 1.61],
+    [41404, 126.6961, 26.9355, 6.30, 0.19],
+    [41426, 126.7406, -52.7050, 6.49, 0.42],
+    [41449, 126.8184, -31.6727, 6.33, 0.90],
+    [41451, 126.8198, -70.0935, 5.51, -0.02],
+    [41483, 126.9024, -53.0885, 5.08, 0.26],
+    [41484, 126.9033, 45.6530, 6.32, 0.62],
+    [41515, 126.9976, -35.1138, 5.75, -0.15],
+    [41547, 127.0825, -8.8163, 6.43, 1.20],
+    [41564, 127.1215, -2.5171, 6.42, 0.33],
+    [41572, 127.1502, -23.0710, 6.50, 0.06],
+    [41574, 127.1532, 24.1449, 6.05, 0.25],
+    [41578, 127.1556, 14.2108, 5.94, 0.20],
+    [41597, 127.2125, -9.7486, 6.01, 0.43],
+    [41616, 127.2698, -47.9289, 5.33, -0.14],
+    [41621, 127.2815, -44.1604, 5.82, -0.16],
+    [41639, 127.3645, -44.7248, 5.03, -0.17],
+    [41644, 127.3742, -54.2118, 6.44, -0.11],
+    [41653, 127.4016, -55.1909, 6.36, 0.80],
+    [41674, 127.4401, -46.3317, 5.98, -0.13],
+    [41676, 127.4425, 67.2974, 5.89, 0.97],
+    [41704, 127.5661, 60.7182, 3.35, 0.86],
+    [41723, 127.6192, -32.1593, 5.61, 1.51],
+    [41737, 127.6635, -44.7373, 6.30, -0.01],
+    [41781, 127.7943, -47.8666, 6.39, -0.15],
+    [41798, 127.8332, 37.2649, 6.18, -0.04],
+    [41806, 127.8529, -39.0641, 6.31, -0.13],
+    [41813, 127.8733, -54.3940, 6.34, 1.30],
+    [41816, 127.8772, 24.0811, 5.71, 0.33],
+    [41817, 127.8788, -19.5775, 5.42, -0.06],
+    [41822, 127.8989, 18.0944, 5.33, 1.57],
+    [41833, 127.9221, 18.9877, 6.50, 1.50],
+    [41861, 128.0207, -53.2119, 5.68, 0.58],
+    [41893, 128.1390, -15.0301, 6.38, 0.28],
+    [41894, 128.1394, 53.1148, 6.23, 1.01],
+    [41904, 128.1661, 10.0660, 6.48, -0.01],
+    [41905, 128.1688, -47.0421, 6.49, 1.29],
+    [41907, 128.1740, -73.3568, 6.11, 0.95],
+    [41909, 128.1771, 20.4412, 5.33, 1.25],
+    [41926, 128.2146, -31.5009, 6.38, 0.78],
+    [41927, 128.2221, 69.3199, 6.31, 1.36],
+    [41935, 128.2291, 38.0164, 5.88, 1.11],
+    [41939, 128.2438, -34.6340, 6.36, 0.95],
+    [41940, 128.2504, 24.0848, 6.35, 1.03],
+    [41941, 128.2577, -45.7529, 6.36, -0.12],
+    [41949, 128.2702, -24.6070, 6.19, 0.27],
+    [41970, 128.3328, -38.3707, 6.48, -0.15],
+    [41975, 128.3405, 36.4364, 6.20, 0.40],
+    [41986, 128.3761, -46.9707, 6.25, 1.56],
+    [42001, 128.4101, -38.8488, 5.92, -0.11],
+    [42008, 128.4312, 4.7570, 5.89, 1.07],
+    [42010, 128.4377, 13.2573, 6.26, 1.18],
+    [42028, 128.5067, -2.1516, 5.80, 0.01],
+    [42049, 128.5556, 8.4523, 6.04, 0.33],
+    [42070, 128.6219, -37.6112, 6.28, 1.56],
+    [42071, 128.6238, -27.0982, 6.40, 1.43],
+    [42075, 128.6331, -32.5987, 6.41, 0.75],
+    [42080, 128.6505, 65.1452, 5.47, 0.21],
+    [42088, 128.6817, -49.9442, 5.01, 1.30],
+    [42090, 128.6829, 36.4196, 5.76, 0.05],
+    [42123, 128.8022, -39.9705, 6.44, 0.58],
+    [42129, 128.8148, -58.2247, 5.27, -0.13],
+    [42134, 128.8321, -58.0092, 4.84, 0.98],
+    [42142, 128.8540, 2.7434, 6.35, 1.02],
+    [42146, 128.8675, -7.9823, 5.72, -0.00],
+    [42147, 128.8696, -26.8435, 5.95, 0.39],
+    [42172, 128.9624, 6.6202, 5.91, 0.53],
+    [42177, 128.9668, -50.9697, 5.79, -0.13],
+    [42187, 129.0321, 15.3136, 6.33, 0.34],
+    [42249, 129.2031, 74.7237, 6.31, 0.31],
+    [42265, 129.2740, 9.6556, 5.92, 0.08],
+    [42286, 129.3285, -62.8535, 5.45, 1.01],
+    [42299, 129.3632, -4.9340, 6.18, 1.05],
+    [42312, 129.4110, -42.9891, 4.11, 0.11],
+    [42313, 129.4140, 5.7038, 4.14, 0.00],
+    [42334, 129.4673, -26.2550, 5.24, -0.03],
+    [42365, 129.5791, 32.8020, 5.96, 1.11],
+    [42372, 129.5924, 53.4015, 5.66, 0.96],
+    [42394, 129.6679, -19.7369, 6.32, 1.59],
+    [42400, 129.6867, -53.0904, 6.45, -0.10],
+    [42402, 129.6893, 3.3414, 4.45, 1.22],
+    [42415, 129.7495, 52.9251, 6.34, 1.32],
+    [42425, 129.7715, -70.3867, 5.19, 0.01],
+    [42430, 129.7829, -22.6619, 5.05, 0.72],
+    [42434, 129.7920, 59.9391, 6.47, 0.04],
+    [42438, 129.7988, 65.0209, 5.63, 0.62],
+    [42440, 129.8050, -60.3173, 6.35, -0.00],
+    [42452, 129.8234, 52.7116, 5.91, 1.17],
+    [42455, 129.8421, -36.6067, 6.12, 0.43],
+    [42459, 129.8493, -53.4398, 5.45, -0.13],
+    [42462, 129.8523, 8.0176, 6.46, 1.08],
+    [42483, 129.9270, -29.5611, 4.86, 0.90],
+    [42484, 129.9275, 73.6297, 6.16, 1.02],
+    [42504, 129.9900, -53.0547, 5.18, -0.15],
+    [42509, 130.0061, -12.4754, 4.98, 1.42],
+    [42515, 130.0256, -35.3084, 3.97, 0.94],
+    [42516, 130.0267, 20.0078, 6.39, 0.98],
+    [42527, 130.0534, 64.3279, 4.59, 1.18],
+    [42535, 130.0728, -53.0154, 5.56, -0.13],
+    [42536, 130.0733, -52.9219, 3.60, -0.17],
+    [42538, 130.0762, 31.9419, 6.21, 0.40],
+    [42540, 130.0799, -40.2639, 5.20, -0.03],
+    [42549, 130.0920, 19.6699, 6.42, 1.02],
+    [42556, 130.1125, 19.5448, 6.29, 0.17],
+    [42564, 130.1469, -45.1911, 5.67, 1.66],
+    [42568, 130.1543, -59.7610, 4.31, -0.12],
+    [42570, 130.1565, -46.6487, 3.77, 0.67],
+    [42579, 130.1814, -57.5455, 6.34, 0.21],
+    [42604, 130.2545, 45.8340, 5.35, 0.99],
+    [42614, 130.2722, -48.9227, 5.90, -0.19],
+    [42624, 130.3047, -47.3171, 4.74, 0.14],
+    [42637, 130.3313, -78.9634, 5.46, -0.10],
+    [42662, 130.4306, -15.9434, 4.87, 1.06],
+    [42679, 130.4871, -45.4107, 5.20, 0.17],
+    [42701, 130.5409, -11.9660, 6.46, 0.16],
+    [42712, 130.5675, -48.0991, 5.48, -0.17],
+    [42715, 130.5791, -53.1001, 5.49, -0.13],
+    [42717, 130.5868, -55.7746, 6.26, 1.18],
+    [42726, 130.6058, -53.1140, 4.83, -0.17],
+    [42775, 130.7375, -35.9433, 6.42, 0.02],
+    [42777, 130.7506, 46.9008, 6.21, 0.98],
+    [42794, 130.8009, -79.0701, 6.05, 0.23],
+    [42795, 130.8014, 12.6809, 5.62, 0.43],
+    [42799, 130.8061, 3.3987, 4.30, -0.19],
+    [42806, 130.8214, 21.4685, 4.66, 0.01],
+    [42828, 130.8981, -33.1864, 3.68, -0.18],
+    [42834, 130.9178, -49.8228, 5.15, -0.20],
+    [42835, 130.9182, -7.2337, 4.63, 0.84],
+    [42850, 130.9764, -68.2116, 6.33, 1.50],
+    [42854, 130.9991, 4.3346, 6.37, -0.04],
+    [42884, 131.0998, -42.6493, 4.05, 0.87],
+    [42895, 131.1248, -65.8254, 6.03, 0.22],
+    [42911, 131.1712, 18.1543, 3.94, 1.08],
+    [42913, 131.1759, -54.7088, 1.93, 0.04],
+    [42917, 131.1877, 10.0817, 5.63, -0.07],
+    [42923, 131.2164, -37.1472, 5.74, -0.14],
+    [42928, 131.2298, -21.1678, 6.10, 0.20],
+    [42931, 131.2553, 5.6806, 6.13, 0.20],
+    [42936, 131.2731, -58.7243, 6.20, -0.08],
+    [42951, 131.3365, -2.6011, 6.41, 0.52],
+    [42954, 131.3393, 30.6978, 6.12, 0.94],
+    [42981, 131.3953, 4.6644, 6.45, 1.23],
+    [43002, 131.4553, -25.3881, 6.07, 0.08],
+    [43012, 131.4798, -79.5044, 5.79, 1.59],
+    [43023, 131.5069, -46.0415, 3.87, 0.01],
+    [43026, 131.5103, -2.0487, 5.70, 1.10],
+    [43035, 131.5286, -11.0068, 6.22, 1.61],
+    [43067, 131.5939, -13.5477, 4.32, 0.90],
+    [43073, 131.5990, -41.1254, 6.21, -0.05],
+    [43082, 131.6273, -45.9125, 5.43, 0.24],
+    [43103, 131.6743, 28.7599, 4.03, 1.01],
+    [43105, 131.6773, -56.7698, 4.50, -0.17],
+    [43109, 131.6938, 6.4188, 3.38, 0.69],
+    [43114, 131.7052, -34.6229, 6.33, -0.13],
+    [43121, 131.7334, 12.1100, 5.89, 0.12],
+    [43142, 131.8124, -1.8970, 5.28, 0.06],
+    [43148, 131.8285, -46.1554, 5.71, 0.55],
+    [43152, 131.8395, -17.0529, 6.48, 0.68],
+    [43177, 131.9183, -41.7368, 6.35, 0.58],
+    [43195, 132.0009, -52.8502, 6.29, -0.10],
+    [43204, 132.0203, -6.5588, 6.09, 1.28],
+    [43209, 132.0366, -42.4634, 6.43, -0.18],
+    [43215, 132.0609, -28.6388, 6.42, 1.36],
+    [43234, 132.1082, 5.8378, 4.35, -0.04],
+    [43246, 132.1560, -1.0448, 6.42, 1.14],
+    [43266, 132.2052, 66.7081, 6.20, -0.11],
+    [43305, 132.3405, -3.4430, 5.30, -0.08],
+    [43325, 132.4132, -40.3202, 5.47, 0.07],
+    [43338, 132.4373, -21.0484, 6.48, 0.26],
+    [43347, 132.4485, -45.3079, 4.94, 0.04],
+    [43351, 132.4589, -72.5512, 6.10, 0.18],
+    [43352, 132.4646, -32.7805, 5.19, 0.88],
+    [43354, 132.4681, -39.1416, 6.38, 0.25],
+    [43370, 132.5093, -29.4630, 5.86, 0.95],
+    [43392, 132.5876, -42.0898, 6.00, -0.11],
+    [43394, 132.5902, -28.6176, 6.17, -0.06],
+    [43409, 132.6330, -27.7098, 4.02, 1.27],
+    [43410, 132.6343, 33.2851, 6.22, 0.55],
+    [43413, 132.6394, -46.5292, 5.09, -0.20],
+    [43414, 132.6451, -66.7930, 5.34, 0.42],
+    [43427, 132.6880, 18.8322, 6.41, 0.01],
+    [43454, 132.7561, 15.3507, 6.36, 0.67],
+    [43496, 132.8934, -7.1772, 5.55, 0.15],
+    [43499, 132.9021, -57.6336, 5.59, -0.10],
+    [43520, 132.9585, -44.1509, 6.38, -0.15],
+    [43528, 132.9816, -40.9866, 6.49, -0.11],
+    [43531, 132.9868, 43.7266, 5.15, 0.97],
+    [43550, 133.0418, 42.0027, 5.98, 1.25],
+    [43553, 133.0490, 45.3128, 5.96, 1.23],
+    [43570, 133.1008, 5.3403, 6.34, 0.12],
+    [43573, 133.1089, -32.5093, 6.49, 1.45],
+    [43575, 133.1191, 28.2592, 6.25, 1.55],
+    [43580, 133.1282, -13.2329, 6.12, 1.14],
+    [43584, 133.1443, 32.4742, 5.67, 0.22],
+    [43587, 133.1492, 28.3308, 5.96, 0.87],
+    [43589, 133.1609, -48.3591, 5.92, -0.15],
+    [43590, 133.1612, -36.5453, 6.41, 0.55],
+    [43593, 133.1701, -52.1289, 6.39, 0.00],
+    [43603, 133.2001, -38.7241, 5.79, 1.51],
+    [43620, 133.2657, -56.6495, 6.02, -0.02],
+    [43623, 133.2721, -16.9525, 6.43, 1.08],
+    [43624, 133.2748, 59.0561, 6.35, 0.41],
+    [43644, 133.3440, 61.9623, 5.72, 0.30],
+    [43669, 133.4527, -60.3539, 5.78, -0.09],
+    [43671, 133.4608, -47.5208, 5.31, 0.28],
+    [43673, 133.4615, -40.4475, 6.42, 0.96],
+    [43685, 133.4820, 35.5383, 6.14, 0.06],
+    [43721, 133.5614, 30.5791, 5.40, 1.05],
+    [43726, 133.5748, -5.4345, 6.01, 0.66],
+    [43763, 133.7251, -58.2397, 6.36, -0.09],
+    [43783, 133.7618, -60.6446, 3.84, -0.10],
+    [43797, 133.7991, -54.9658, 5.70, 0.48],
+    [43798, 133.8018, -18.2412, 5.75, 1.33],
+    [43807, 133.8300, -45.0417, 6.26, -0.15],
+    [43811, 133.8453, 17.2313, 6.28, 2.98],
+    [43813, 133.8484, 5.9456, 3.11, 0.98],
+    [43822, 133.8734, -7.9712, 6.07, 0.22],
+    [43825, 133.8815, -27.6819, 4.87, 0.14],
+    [43834, 133.9153, 27.9275, 5.23, 1.00],
+    [43850, 133.9770, -15.4395, 6.47, 1.39],
+    [43851, 133.9815, 11.6260, 5.44, 1.46],
+    [43853, 133.9829, -23.8183, 6.39, 0.16],
+    [43878, 134.0803, -52.7235, 4.68, -0.12],
+    [43894, 134.1271, 40.2015, 5.90, 0.38],
+    [43899, 134.1422, -16.7087, 5.95, 1.54],
+    [43902, 134.1543, 4.2366, 6.13, 1.00],
+    [43903, 134.1560, 64.6038, 5.57, 0.88],
+    [43908, 134.1708, -85.6632, 5.43, 0.31],
+    [43923, 134.2081, 45.6316, 5.72, 1.13],
+    [43932, 134.2358, 32.9104, 5.44, 0.18],
+    [43937, 134.2434, -59.2293, 4.93, -0.18],
+    [43957, 134.2845, 17.1438, 6.17, 1.00],
+    [43970, 134.3123, 15.3228, 5.22, 0.15],
+    [44001, 134.3967, 15.5813, 5.68, 0.21],
+    [44010, 134.4251, 9.3878, 6.19, 0.98],
+    [44024, 134.4815, -48.5729, 5.88, 1.06],
+    [44031, 134.4944, 30.2338, 6.25, 0.47],
+    [44066, 134.6218, 11.8577, 4.26, 0.14],
+    [44075, 134.6831, -16.1327, 5.80, 0.52],
+    [44093, 134.7181, -47.2347, 5.17, 0.27],
+    [44126, 134.7947, 18.1349, 6.30, 1.51],
+    [44127, 134.8019, 48.0418, 3.12, 0.22],
+    [44130, 134.8159, -28.8060, 6.24, 1.00],
+    [44143, 134.8508, -59.0837, 5.17, 0.42],
+    [44148, 134.8620, 13.0744, 6.49, 1.46],
+    [44154, 134.8861, 32.4186, 5.23, 0.91],
+    [44162, 134.9163, -19.2080, 6.19, 0.46],
+    [44191, 135.0225, -41.2536, 4.45, 0.65],
+    [44213, 135.0927, -43.1740, 6.04, -0.15],
+    [44231, 135.1283, 37.6044, 6.21, 1.57],
+    [44248, 135.1599, 41.7829, 3.96, 0.46],
+    [44256, 135.1906, -60.9638, 5.80, 1.21],
+    [44283, 135.2855, -68.6839, 5.89, 1.63],
+    [44290, 135.2976, -26.6637, 6.20, 1.14],
+    [44299, 135.3369, -41.8643, 5.56, -0.14],
+    [44307, 135.3505, 32.2523, 5.89, 0.09],
+    [44315, 135.3808, 5.6410, 6.08, 1.11],
+    [44331, 135.4198, 39.7135, 6.39, 0.31],
+    [44337, 135.4357, -52.1887, 5.23, -0.12],
+    [44342, 135.4535, 27.9026, 6.07, 0.24],
+    [44356, 135.4916, -0.4827, 5.64, 1.16],
+    [44367, 135.5266, -39.4022, 6.25, 1.00],
+    [44382, 135.6116, -66.3961, 4.00, 0.14],
+    [44390, 135.6362, 67.6296, 4.74, 1.54],
+    [44405, 135.6844, 24.4529, 5.45, -0.04],
+    [44406, 135.6867, 7.2983, 5.85, 1.10],
+    [44423, 135.7722, -53.5504, 6.39, -0.07],
+    [44471, 135.9064, 47.1565, 3.57, 0.01],
+    [44504, 136.0017, 54.2839, 5.74, 0.03],
+    [44509, 136.0241, -47.4414, 6.46, -0.15],
+    [44511, 136.0387, -47.0977, 3.75, 1.17],
+    [44565, 136.1999, -57.8526, 6.43, 0.29],
+    [44574, 136.2295, 32.3768, 6.46, 0.24],
+    [44599, 136.2867, -72.6027, 4.47, 0.61],
+    [44613, 136.3504, 48.5303, 5.48, 0.47],
+    [44626, 136.4099, -70.5385, 4.66, -0.15],
+    [44659, 136.4932, 5.0923, 4.99, 1.19],
+    [44665, 136.5318, -64.4998, 6.37, 1.36],
+    [44700, 136.6324, 38.4522, 4.56, 1.04],
+    [44708, 136.6418, -55.8024, 6.10, -0.13],
+    [44717, 136.6798, 59.3445, 6.44, 0.04],
+    [44738, 136.7497, 1.4627, 6.16, 1.65],
+    [44768, 136.8621, 22.9809, 6.39, 0.45],
+    [44798, 136.9367, 10.6682, 5.23, -0.09],
+    [44816, 136.9990, -43.4326, 2.23, 1.67],
+    [44818, 137.0002, 29.6542, 5.42, 0.89],
+    [44824, 137.0120, -25.8585, 4.62, 1.59],
+    [44825, 137.0173, 32.5404, 6.47, 0.38],
+    [44857, 137.0979, 66.8732, 5.15, 1.51],
+    [44883, 137.1757, -8.5895, 5.60, -0.06],
+    [44887, 137.1814, -26.7676, 6.15, 0.17],
+    [44888, 137.1855, -16.2773, 6.48, 1.10],
+    [44892, 137.1972, 26.6291, 5.95, 0.65],
+    [44897, 137.2128, 33.8822, 5.95, 0.58],
+    [44901, 137.2177, 51.6046, 4.46, 0.29],
+    [44923, 137.2675, -18.3285, 5.73, 0.00],
+    [44936, 137.2980, -12.3577, 5.76, 0.94],
+    [44946, 137.3397, 22.0454, 5.16, 0.97],
+    [44961, 137.3982, -8.7876, 5.47, 1.00],
+    [44979, 137.4375, -49.4244, 6.48, 0.17],
+    [44984, 137.4434, 11.5644, 6.48, 0.35],
+    [45001, 137.4850, -30.3654, 5.59, 0.18],
+    [45002, 137.4878, -52.0829, 6.19, 1.02],
+    [45033, 137.5869, 21.9964, 6.04, 0.89],
+    [45038, 137.5981, 67.1340, 4.80, 0.49],
+    [45058, 137.6617, 30.9631, 6.04, 1.37],
+    [45075, 137.7294, 63.5136, 4.67, 0.38],
+    [45080, 137.7420, -58.9669, 3.43, -0.19],
+    [45085, 137.7683, -44.8679, 4.99, 0.22],
+    [45097, 137.8027, 80.8289, 6.37, 0.39],
+    [45101, 137.8197, -62.3170, 3.96, -0.18],
+    [45122, 137.8891, -46.5839, 5.78, -0.22],
+    [45127, 137.9205, -39.2588, 6.05, -0.11],
+    [45150, 137.9818, 5.4686, 6.34, 0.33],
+    [45158, 137.9947, -19.7476, 5.72, 0.98],
+    [45166, 138.0515, -76.6630, 6.13, 1.09],
+    [45167, 138.0537, 3.8670, 6.14, -0.01],
+    [45170, 138.0731, 14.9960, 6.49, 0.73],
+    [45184, 138.1085, -7.1098, 6.10, 0.23],
+    [45189, 138.1272, -43.6133, 5.56, -0.11],
+    [45214, 138.2109, -60.9168, 6.36, -0.04],
+    [45219, 138.2318, -59.4139, 5.54, 0.85],
+    [45238, 138.2999, -69.7172, 1.67, 0.07],
+    [45242, 138.3278, -42.2733, 6.27, 1.25],
+    [45249, 138.3398, -29.6644, 6.38, 1.60],
+    [45259, 138.3576, -38.6165, 6.31, 0.02],
+    [45270, 138.3936, -47.3384, 5.92, -0.05],
+    [45272, 138.4053, 21.2832, 6.48, 0.05],
+    [45290, 138.4509, 43.2178, 5.30, -0.13],
+    [45305, 138.5129, -14.6948, 6.46, 0.96],
+    [45314, 138.5342, -44.1458, 5.85, -0.11],
+    [45328, 138.5750, -55.5696, 5.26, 0.98],
+    [45333, 138.5856, 61.4233, 5.18, 0.60],
+    [45336, 138.5911, 2.3143, 3.89, -0.06],
+    [45344, 138.6020, -43.2275, 5.24, -0.14],
+    [45386, 138.7382, -37.6024, 5.85, 0.83],
+    [45410, 138.8077, 14.9415, 5.36, 1.32],
+    [45412, 138.8094, 34.6335, 5.98, 0.84],
+    [45413, 138.8110, -45.5555, 6.25, -0.07],
+    [45418, 138.8235, -58.3884, 6.02, -0.10],
+    [45421, 138.8393, 84.1810, 6.30, 0.34],
+    [45424, 138.8540, -15.0249, 6.32, 0.01],
+    [45437, 138.8946, -57.5777, 6.32, 1.04],
+    [45439, 138.9030, -38.5699, 4.92, 1.08],
+    [45448, 138.9378, -37.4131, 4.63, 0.47],
+    [45455, 138.9574, 56.7414, 5.28, 1.57],
+    [45461, 138.9691, 72.9463, 5.93, 0.18],
+    [45481, 139.0168, -44.8987, 6.02, 0.27],
+    [45493, 139.0472, 54.0219, 4.80, 0.20],
+    [45496, 139.0503, -57.5415, 4.34, 1.60],
+    [45505, 139.0960, -44.2657, 5.12, 1.64],
+    [45526, 139.1724, -8.7448, 5.49, -0.08],
+    [45527, 139.1739, -6.3531, 5.24, 1.17],
+    [45543, 139.2377, -11.1031, 6.45, 1.17],
+    [45544, 139.2378, -39.4015, 5.31, 1.17],
+    [45556, 139.2725, -59.2752, 2.21, 0.19],
+    [45559, 139.2822, -14.5741, 5.83, 1.05],
+    [45571, 139.3218, -68.6896, 5.38, 0.41],
+    [45581, 139.3549, -74.8943, 5.28, 0.02],
+    [45585, 139.3649, -74.7346, 5.86, -0.02],
+    [45590, 139.3799, 46.8172, 5.96, 0.06],
+    [45603, 139.4262, -54.4948, 6.33, 1.40],
+    [45614, 139.4640, 11.5011, 6.40, 0.10],
+    [45615, 139.4652, -67.0509, 6.14, 1.25],
+    [45631, 139.5245, -51.0509, 5.26, -0.06],
+    [45661, 139.6080, 35.3641, 5.94, 0.18],
+    [45675, 139.6765, -51.5607, 5.83, 0.47],
+    [45688, 139.7110, 36.8026, 3.82, 0.07],
+    [45742, 139.8853, -55.1865, 6.28, -0.10],
+    [45743, 139.8881, -15.8347, 5.79, 1.28],
+    [45751, 139.9433, -11.9749, 4.77, 0.93],
+    [45754, 139.9497, -34.1033, 6.40, -0.09],
+    [45764, 139.9821, 74.0166, 6.42, 1.05],
+    [45811, 140.1209, -9.5557, 4.80, 0.91],
+    [45814, 140.1236, -37.5817, 6.04, 1.40],
+    [45836, 140.1823, 51.2661, 6.14, 0.44],
+    [45854, 140.2312, -15.6178, 6.30, 0.47],
+    [45856, 140.2367, -62.4046, 4.79, 0.93],
+    [45858, 140.2474, 38.1883, 6.12, 0.38],
+    [45860, 140.2638, 34.3926, 3.14, 1.55],
+    [45888, 140.3483, 45.3701, 6.40, 1.30],
+    [45896, 140.3633, 32.9022, 6.16, 1.10],
+    [45902, 140.3733, -25.9654, 4.71, 1.63],
+    [45915, 140.4304, 56.6992, 5.79, 1.51],
+    [45920, 140.4585, -55.5147, 5.61, 0.19],
+    [45924, 140.4624, -42.1949, 5.56, 1.64],
+    [45941, 140.5284, -55.0107, 2.47, -0.14],
+    [45962, 140.6000, -46.0474, 5.74, 0.90],
+    [46026, 140.8010, -28.8339, 4.71, 0.89],
+    [46045, 140.8557, -48.2869, 6.27, -0.14],
+    [46049, 140.8638, -60.3023, 6.30, 1.48],
+    [46058, 140.8824, 25.1828, 6.41, 0.86],
+    [46067, 140.9156, -46.9088, 6.21, -0.09],
+    [46075, 140.9369, -37.7569, 6.47, 0.19],
+    [46093, 140.9972, -51.7371, 6.05, 0.53],
+    [46101, 141.0229, -61.6489, 5.99, 1.06],
+    [46107, 141.0384, -80.7869, 5.34, 0.45],
+    [46114, 141.0679, -39.4255, 6.05, 0.19],
+    [46143, 141.1545, -70.0758, 6.45, 1.27],
+    [46146, 141.1636, 26.1823, 4.47, 1.22],
+    [46168, 141.2320, 51.5739, 6.30, 0.77],
+    [46194, 141.2827, -43.9766, 6.31, 1.53],
+    [46221, 141.3501, -5.1174, 5.60, 1.52],
+    [46225, 141.3635, -61.9505, 5.77, 0.14],
+    [46232, 141.3854, 16.5856, 6.31, 0.97],
+    [46247, 141.4340, 63.9409, 6.24, 1.47],
+    [46283, 141.5748, -53.3789, 5.09, -0.10],
+    [46288, 141.5930, -1.4641, 6.01, 1.31],
+    [46297, 141.6186, -40.5017, 6.19, 0.25],
+    [46328, 141.6837, -64.9297, 6.05, 0.15],
+    [46329, 141.6871, -28.7877, 6.12, -0.09],
+    [46358, 141.7763, -71.6019, 5.46, 1.08],
+    [46371, 141.8267, -22.3438, 4.72, 1.15],
+    [46390, 141.8968, -8.6586, 1.99, 1.44],
+    [46404, 141.9449, -6.0712, 5.38, 0.64],
+    [46407, 141.9544, -71.7811, 6.33, 0.41],
+    [46410, 141.9650, 75.0983, 6.20, 0.12],
+    [46454, 142.1142, 9.0568, 5.40, 0.60],
+    [46457, 142.1216, 8.1883, 5.72, 1.04],
+    [46460, 142.1273, -66.7019, 5.90, 0.01],
+    [46471, 142.1666, 45.6015, 5.40, 0.99],
+    [46482, 142.1963, -62.2731, 5.91, 1.10],
+    [46504, 142.2596, -1.2569, 6.27, 0.27],
+    [46509, 142.2871, -2.7690, 4.59, 0.41],
+    [46511, 142.3027, -20.7491, 5.66, 1.59],
+    [46515, 142.3113, -35.9513, 4.51, 1.41],
+    [46517, 142.3174, -38.4035, 6.15, 0.22],
+    [46529, 142.3518, -2.2052, 6.14, 0.22],
+    [46543, 142.3851, -4.2466, 6.25, 0.84],
+    [46566, 142.4489, 55.7452, 6.50, 0.39],
+    [46569, 142.4578, -23.3453, 6.26, 1.56],
+    [46578, 142.4771, -26.5896, 5.49, 1.34],
+    [46594, 142.5213, -51.5172, 5.45, -0.08],
+    [46618, 142.5937, -15.5774, 5.86, 1.19],
+    [46620, 142.5976, -58.3618, 5.88, 1.68],
+    [46651, 142.6750, -40.4668, 3.60, 0.37],
+    [46652, 142.6801, 33.6557, 5.87, 1.03],
+    [46657, 142.6921, -31.8892, 5.75, 0.07],
+    [46701, 142.8055, -57.0344, 3.16, 1.54],
+    [46733, 142.8821, 63.0619, 3.65, 0.36],
+    [46734, 142.8840, -31.8718, 5.91, 0.26],
+    [46735, 142.8850, 35.1033, 5.39, 1.54],
+    [46736, 142.8877, -35.7148, 5.86, 1.29],
+    [46737, 142.8876, -66.7190, 6.27, 1.35],
+    [46741, 142.9011, -73.0809, 5.46, 1.56],
+    [46744, 142.9124, -10.5520, 6.13, 0.26],
+    [46750, 142.9301, 22.9680, 4.32, 1.54],
+    [46768, 142.9821, -10.3703, 6.12, 1.18],
+    [46771, 142.9864, 11.2998, 4.99, 1.05],
+    [46774, 142.9899, 9.7158, 5.07, 1.36],
+    [46776, 142.9955, -1.1847, 4.54, 0.11],
+    [46810, 143.0766, -28.6278, 6.43, 0.36],
+    [46811, 143.0803, -40.6493, 5.35, 0.90],
+    [46813, 143.0850, -19.4003, 5.74, 0.14],
+    [46840, 143.1725, 1.8642, 6.11, 0.61],
+    [46853, 143.2143, 51.6773, 3.17, 0.47],
+    [46859, 143.2324, -13.5168, 5.95, 1.50],
+    [46869, 143.2582, -8.5054, 6.12, 0.97],
+    [46874, 143.2820, -39.1291, 6.43, 0.34],
+    [46879, 143.2969, 45.5138, 6.49, 1.14],
+    [46880, 143.3019, -21.1157, 5.02, 1.02],
+    [46891, 143.3262, 28.3679, 6.50, 0.13],
+    [46893, 143.3329, -7.1902, 6.25, 1.17],
+    [46897, 143.3585, -22.8639, 5.92, 0.02],
+    [46904, 143.3765, 36.4869, 6.19, 1.26],
+    [46914, 143.4356, -49.0051, 5.12, -0.11],
+    [46928, 143.4724, -80.9413, 5.07, -0.14],
+    [46938, 143.4964, 23.4539, 6.26, 1.45],
+    [46950, 143.5366, -51.2553, 5.01, -0.18],
+    [46952, 143.5558, 36.3976, 4.54, 0.91],
+    [46974, 143.6110, -59.2298, 4.08, -0.01],
+    [46977, 143.6202, 69.8303, 4.54, 0.78],
+    [46982, 143.6360, -5.9149, 5.56, 1.16],
+    [47006, 143.7060, 52.0515, 4.47, 0.03],
+    [47013, 143.7230, 72.2057, 5.77, 0.53],
+    [47029, 143.7660, 39.6215, 4.81, 0.99],
+    [47039, 143.7993, -35.8238, 6.48, 0.42],
+    [47070, 143.8908, -19.5834, 6.33, 0.07],
+    [47080, 143.9146, 35.8101, 5.40, 0.77],
+    [47096, 143.9704, 14.3796, 6.32, 0.03],
+    [47119, 144.0282, 74.3188, 6.46, -0.08],
+    [47145, 144.1059, -48.7512, 6.18, 0.28],
+    [47168, 144.1786, 31.1617, 5.57, 1.59],
+    [47172, 144.1929, -52.9437, 6.18, 1.05],
+    [47175, 144.2064, -49.3550, 4.34, 0.17],
+    [47187, 144.2509, -25.2968, 5.68, 1.12],
+    [47189, 144.2608, 16.4380, 5.73, 1.22],
+    [47193, 144.2720, 81.3264, 4.28, 1.49],
+    [47199, 144.2912, -32.1786, 5.62, 1.02],
+    [47204, 144.3027, -53.6685, 5.44, 0.14],
+    [47205, 144.3028, 6.8358, 5.00, 1.05],
+    [47224, 144.3683, -36.0960, 5.96, 1.12],
+    [47231, 144.4063, 60.2137, 6.41, 0.92],
+    [47242, 144.4414, -3.1706, 6.45, 0.99],
+    [47249, 144.4646, -9.4244, 6.40, -0.04],
+    [47260, 144.4842, 73.0804, 6.39, 0.35],
+    [47267, 144.5061, -43.1909, 5.51, 0.98],
+    [47300, 144.5907, 40.2398, 5.28, 0.22],
+    [47310, 144.6137, 4.6493, 4.68, 1.31],
+    [47391, 144.8375, -61.3281, 4.51, -0.07],
+    [47401, 144.8661, 67.2722, 5.96, 1.53],
+    [47422, 144.9380, -62.9429, 6.40, -0.08],
+    [47427, 144.9475, -10.5703, 6.31, -0.03],
+    [47431, 144.9640, -1.1428, 3.90, 1.31],
+    [47452, 145.0765, -14.3323, 5.07, -0.15],
+    [47454, 145.0836, -10.7692, 6.37, 0.08],
+    [47479, 145.1773, -57.9836, 5.30, 0.20],
+    [47498, 145.2591, -57.2595, 5.80, 1.08],
+    [47508, 145.2876, 9.8923, 3.52, 0.52],
+    [47521, 145.3197, 55.8665, 6.50, 1.15],
+    [47522, 145.3209, -23.5915, 4.76, -0.12],
+    [47544, 145.3963, 31.2778, 5.90, 1.58],
+    [47550, 145.4104, 25.9129, 6.26, 1.25],
+    [47559, 145.4497, -55.2138, 5.99, -0.12],
+    [47570, 145.5014, 39.7579, 5.61, 0.95],
+    [47591, 145.5540, -66.9148, 6.33, 0.07],
+    [47592, 145.5601, -23.9156, 4.93, 0.53],
+    [47594, 145.5618, 69.2375, 5.72, 1.13],
+    [47627, 145.6723, -35.5017, 6.39, -0.05],
+    [47631, 145.6781, 35.0934, 6.12, 0.39],
+    [47633, 145.6796, 48.4310, 6.36, 0.01],
+    [47654, 145.7383, 72.2526, 5.15, 1.03],
+    [47664, 145.7790, 54.3637, 6.50, 0.12],
+    [47694, 145.8649, -51.2281, 6.15, -0.10],
+    [47701, 145.8886, 29.9745, 5.64, 0.11],
+    [47717, 145.9260, -53.8913, 5.56, -0.04],
+    [47723, 145.9329, 14.0217, 5.36, 1.61],
+    [47758, 146.0504, -27.7695, 4.78, 0.52],
+    [47779, 146.1250, 18.8635, 6.49, 1.16],
+    [47791, 146.1523, 64.9841, 6.18, 0.42],
+    [47854, 146.3117, -62.5079, 3.69, 1.01],
+    [47868, 146.3417, -30.2028, 6.45, -0.14],
+    [47884, 146.3791, 78.1347, 6.25, 1.35],
+    [47893, 146.4192, -57.1860, 6.47, -0.11],
+    [47908, 146.4628, 23.7743, 2.97, 0.81],
+    [47913, 146.4821, -58.7938, 6.22, 0.46],
+    [47943, 146.5419, 6.7086, 5.80, 1.64],
+    [47956, 146.5860, -76.7761, 5.43, 0.90],
+    [47959, 146.5972, 11.8100, 5.67, 1.49],
+    [47960, 146.5984, 1.7856, 5.65, 0.34],
+    [47963, 146.6265, -44.7551, 5.58, -0.18],
+    [47965, 146.6319, 57.1281, 5.09, 1.59],
+    [48002, 146.7755, -65.0720, 2.92, 0.27],
+    [48017, 146.8252, 79.1367, 6.09, 0.30],
+    [48023, 146.8425, 23.6477, 6.49, 1.09],
+    [48029, 146.8582, 11.5682, 6.44, 0.26],
+    [48113, 147.1474, 46.0210, 5.08, 0.62],
+    [48119, 147.1667, -56.4119, 6.05, 0.94],
+    [48191, 147.3670, -37.1868, 5.95, 1.25],
+    [48218, 147.4587, 21.1794, 6.10, 0.26],
+    [48219, 147.4640, -36.2685, 6.36, 1.01],
+    [48224, 147.4881, -45.7327, 5.09, -0.10],
+    [48266, 147.5983, 65.5932, 6.27, 0.29],
+    [48273, 147.6253, 4.3437, 6.24, 0.48],
+    [48287, 147.6747, -46.9339, 5.72, 1.08],
+    [48310, 147.7316, -62.7451, 5.56, 1.32],
+    [48319, 147.7473, 59.0387, 3.78, 0.29],
+    [48320, 147.7533, -80.0611, 6.47, 0.07],
+    [48324, 147.7583, 13.0662, 6.45, 1.62],
+    [48339, 147.8003, -59.4258, 5.79, 1.35],
+    [48341, 147.8085, -4.2433, 6.01, 0.17],
+    [48348, 147.8322, -46.1939, 5.62, 1.17],
+    [48351, 147.8401, -6.1819, 6.42, 0.58],
+    [48356, 147.8696, -14.8466, 4.11, 0.92],
+    [48374, 147.9194, -46.5476, 4.58, 1.17],
+    [48375, 147.9217, -11.3405, 6.48, 1.61],
+    [48390, 147.9710, 24.3954, 5.29, 0.23],
+    [48396, 147.9981, -16.5348, 6.08, 1.03],
+    [48402, 148.0265, 54.0643, 4.55, 0.04],
+    [48413, 148.0499, 0.0756, 6.34, 0.93],
+    [48414, 148.0507, 2.4541, 6.02, -0.04],
+    [48437, 148.1268, -8.1050, 5.07, 0.04],
+    [48455, 148.1909, 26.0070, 3.88, 1.22],
+    [48468, 148.2418, -27.3322, 6.28, 0.62],
+    [48469, 148.2504, -55.3732, 6.50, -0.14],
+    [48519, 148.4289, 5.9586, 5.90, 1.66],
+    [48527, 148.4587, -51.1467, 5.95, -0.15],
+    [48559, 148.5513, -25.9323, 4.87, 1.20],
+    [48561, 148.5736, -45.2835, 5.72, -0.11],
+    [48584, 148.6326, -22.4875, 6.23, 0.05],
+    [48613, 148.7135, -50.2440, 5.71, 0.01],
+    [48615, 148.7175, -19.0094, 4.94, 1.56],
+    [48638, 148.7640, 61.1161, 6.29, 1.04],
+    [48682, 148.9292, 49.8198, 5.27, 0.09],
+    [48706, 149.0222, -40.8245, 6.39, 1.61],
+    [48715, 149.0406, -71.3893, 6.30, -0.06],
+    [48730, 149.0912, -51.3362, 6.39, -0.16],
+    [48734, 149.1082, 8.9332, 5.85, 1.13],
+    [48748, 149.1479, -33.4185, 5.83, 1.20],
+    [48763, 149.1952, -26.5497, 6.27, 0.22],
+    [48774, 149.2156, -54.5678, 3.52, -0.07],
+    [48776, 149.2254, -27.4752, 6.32, 0.17],
+    [48782, 149.2492, -69.1018, 6.18, -0.10],
+    [48799, 149.2956, -52.6388, 6.13, -0.12],
+    [48802, 149.3067, 57.4182, 5.97, 0.90],
+    [48833, 149.4211, 41.0556, 5.11, 0.48],
+    [48835, 149.4275, -48.4141, 6.06, -0.13],
+    [48839, 149.4329, -1.9418, 6.43, 0.70],
+    [48861, 149.4869, 45.4143, 6.34, 1.10],
+    [48876, 149.5318, 8.3140, 6.05, 1.36],
+    [48883, 149.5557, 12.4448, 5.26, -0.04],
+    [48893, 149.5949, 72.8795, 5.86, 1.16],
+    [48895, 149.6085, 27.7590, 6.48, 0.36],
+    [48926, 149.7178, -35.8910, 5.23, 0.30],
+    [48943, 149.7763, -23.9508, 6.11, -0.10],
+    [48982, 149.9009, 29.6452, 5.75, 1.06],
+    [49005, 149.9654, 56.8118, 5.50, 1.49],
+    [49029, 150.0534, 8.0442, 4.68, 1.59],
+    [49052, 150.1439, -56.9461, 6.50, 0.98],
+    [49065, 150.1825, -82.2147, 5.53, 0.04],
+    [49081, 150.2527, 31.9237, 5.37, 0.68],
+    [49092, 150.2999, -56.0966, 6.42, -0.01],
+    [49137, 150.4196, -53.3641, 6.20, -0.14],
+    [49160, 150.4919, -57.3498, 6.20, 1.11],
+    [49164, 150.5004, -60.4209, 5.93, 0.26],
+    [49220, 150.7040, 21.9493, 5.68, -0.18],
+    [49223, 150.7059, -62.1567, 6.41, 1.69],
+    [49233, 150.7498, -60.1787, 6.18, 0.17],
+    [49259, 150.8358, -46.6362, 6.11, 0.04],
+    [49281, 150.8922, -61.8840, 6.14, -0.03],
+    [49293, 150.9208, -9.5738, 6.09, 1.67],
+    [49321, 151.0117, -18.1014, 6.30, -0.06],
+    [49329, 151.0351, 3.2011, 6.43, 0.40],
+    [49339, 151.0873, -24.2855, 5.70, 0.30],
+    [49343, 151.0973, -39.9759, 6.42, 1.31],
+    [49363, 151.1513, 53.8917, 5.71, 0.51],
+    [49394, 151.2576, -51.3136, 6.23, -0.05],
+    [49402, 151.2811, -13.0646, 4.60, -0.09],
+    [49408, 151.2933, 52.3713, 6.31, 0.14],
+    [49418, 151.3137, -36.3844, 6.27, 1.11],
+    [49445, 151.4205, 15.7575, 6.36, 0.39],
+    [49477, 151.5300, -52.1879, 6.50, 1.00],
+    [49485, 151.5467, -47.3700, 5.06, 0.88],
+    [49530, 151.6976, 5.6115, 6.20, 0.94],
+    [49569, 151.7896, -17.1417, 5.59, 1.49],
+    [49583, 151.8331, 16.7627, 3.48, -0.03],
+    [49593, 151.8573, 35.2447, 4.49, 0.19],
+    [49619, 151.8988, -48.2608, 6.40, -0.15],
+    [49637, 151.9761, 9.9975, 4.39, 1.45],
+    [49641, 151.9845, -0.3716, 4.48, -0.03],
+    [49642, 151.9860, -62.2214, 6.45, -0.10],
+    [49645, 152.0069, -37.3334, 6.34, 0.98],
+    [49658, 152.0662, 31.6041, 6.23, 0.47],
+    [49669, 152.0930, 11.9672, 1.36, -0.09],
+    [49688, 152.1433, 83.9184, 6.31, 1.55],
+    [49689, 152.1476, -15.6119, 6.25, -0.01],
+    [49698, 152.1781, -65.8154, 5.26, 0.97],
+    [49712, 152.2343, -51.8113, 4.85, -0.12],
+    [49764, 152.3757, -68.6828, 5.80, 0.01],
+    [49769, 152.3824, -35.8568, 6.14, 0.61],
+    [49802, 152.4854, -12.0953, 6.24, 0.18],
+    [49809, 152.5245, -12.8159, 5.30, 0.37],
+    [49812, 152.5314, -8.4082, 5.91, 0.03],
+    [49841, 152.6470, -12.3541, 3.61, 1.01],
+    [49844, 152.6572, -41.7152, 5.98, 1.24],
+    [49865, 152.7328, -8.4185, 5.64, 1.30],
+    [49870, 152.7457, 40.6616, 6.34, 1.28],
+    [49893, 152.8032, 37.4019, 5.86, 1.28],
+    [49900, 152.8240, -7.3166, 6.23, 0.03],
+    [49926, 152.8978, -58.8278, 6.07, 1.65],
+    [49929, 152.9092, 13.3551, 6.43, 0.47],
+    [49934, 152.9436, -58.0605, 5.70, -0.12],
+    [49967, 153.0119, -28.6060, 6.28, 0.02],
+    [49994, 153.0955, -52.1632, 6.16, 1.17],
+    [50013, 153.1582, -19.1530, 6.45, 0.49],
+    [50027, 153.2015, 4.6147, 5.77, 1.18],
+    [50044, 153.2548, -59.9181, 6.07, -0.07],
+    [50066, 153.3310, -27.0289, 6.23, 0.32],
+    [50067, 153.3383, -61.6588, 6.42, -0.11],
+    [50069, 153.3429, -56.5867, 6.48, 1.45],
+    [50070, 153.3452, -51.2330, 5.27, 0.26],
+    [50075, 153.3530, -33.0317, 6.38, 0.59],
+    [50078, 153.3666, -51.7558, 5.78, 0.14],
+    [50083, 153.3776, -66.3728, 5.15, 0.22],
+    [50099, 153.4342, -70.0379, 3.29, -0.07],
+    [50103, 153.4413, -40.3461, 5.91, 1.20],
+    [50109, 153.4571, 27.1358, 6.05, 0.84],
+    [50122, 153.4857, -40.3108, 6.33, 0.94],
+    [50142, 153.5373, -23.8139, 6.36, 1.64],
+    [50174, 153.6240, 21.1681, 6.02, 0.57],
+    [50191, 153.6840, -42.1219, 3.85, 0.05],
+    [50218, 153.7764, 31.4681, 6.47, 0.86],
+    [50222, 153.7819, 59.9855, 6.18, 1.62],
+    [50232, 153.8193, -54.9742, 6.16, -0.15],
+    [50234, 153.8370, -36.5177, 6.17, 1.06],
+    [50241, 153.8815, -43.1124, 5.59, 1.52],
+    [50287, 154.0134, -59.9034, 6.22, 0.19],
+    [50292, 154.0375, -11.2034, 6.08, 1.10],
+    [50303, 154.0601, 29.3105, 5.49, 0.02],
+    [50316, 154.1170, 28.6825, 6.46, 0.64],
+    [50319, 154.1345, 23.5031, 5.95, 0.66],
+    [50332, 154.1672, -51.2046, 6.20, 1.44],
+    [50333, 154.1697, 13.7283, 5.42, 1.65],
+    [50335, 154.1726, 23.4173, 3.43, 0.31],
+    [50336, 154.1740, 25.3707, 5.84, 1.21],
+    [50371, 154.2707, -61.3323, 3.39, 1.54],
+    [50372, 154.2741, 42.9144, 3.45, 0.03],
+    [50384, 154.3106, 23.1062, 5.81, 0.50],
+    [50391, 154.3341, -46.8349, 6.48, 0.33],
+    [50414, 154.4075, -8.0689, 5.25, 0.34],
+    [50448, 154.5084, 65.1084, 5.74, 0.16],
+    [50456, 154.5316, -28.9920, 5.52, 0.28],
+    [50480, 154.6177, -41.6685, 5.97, -0.06],
+    [50485, 154.6367, 43.0484, 6.48, 0.93],
+    [50492, 154.6577, -36.8046, 6.31, 1.28],
+    [50493, 154.6580, -56.1104, 5.80, 0.48],
+    [50509, 154.7447, 46.7608, 6.42, 1.19],
+    [50516, 154.7529, 24.7121, 6.42, 1.39],
+    [50520, 154.7711, -64.6763, 5.66, 0.04],
+    [50536, 154.8203, -12.5281, 6.01, 0.26],
+    [50546, 154.8616, 48.3968, 6.00, 1.02],
+    [50552, 154.8848, -5.1061, 6.38, 0.89],
+    [50555, 154.9031, -55.0293, 4.59, 1.60],
+    [50562, 154.9251, -65.1372, 6.35, 1.56],
+    [50564, 154.9340, 19.4709, 4.78, 0.45],
+    [50583, 154.9931, 19.8415, 2.01, 1.13],
+    [50584, 154.9978, -9.0590, 6.31, 0.34],
+    [50606, 155.0616, 53.7794, 6.45, 0.58],
+    [50609, 155.0696, -47.6991, 5.66, 1.67],
+    [50635, 155.1298, 54.2168, 6.01, 1.13],
+    [50676, 155.2283, -56.0432, 4.50, -0.10],
+    [50685, 155.2639, 68.7477, 5.88, 0.24],
+    [50693, 155.2832, -17.9850, 6.50, 0.40],
+    [50728, 155.3694, -23.7108, 6.47, 0.19],
+    [50755, 155.4596, 14.9758, 6.16, 0.02],
+    [50785, 155.5434, -58.2656, 6.34, 0.88],
+    [50786, 155.5440, 41.2295, 5.73, 0.53],
+    [50790, 155.5539, -19.8666, 6.12, 0.04],
+    [50799, 155.5816, -41.6500, 4.82, 1.09],
+    [50801, 155.5823, 41.4995, 3.06, 1.60],
+    [50847, 155.7423, -66.9015, 4.97, -0.13],
+    [50851, 155.7519, 6.5426, 6.06, 1.12],
+    [50860, 155.7764, 33.9081, 5.89, 0.15],
+    [50868, 155.8048, -30.1623, 6.25, 0.30],
+    [50885, 155.8603, -4.0740, 5.93, -0.05],
+    [50887, 155.8682, -0.9022, 6.45, 0.92],
+    [50888, 155.8721, -38.0098, 5.34, 0.25],
+    [50893, 155.8861, -3.6429, 6.39, 1.60],
+    [50903, 155.9193, -41.9532, 6.24, 0.88],
+    [50904, 155.9240, 29.6159, 6.36, 1.09],
+    [50916, 155.9610, -57.9539, 6.34, 1.52],
+    [50933, 156.0327, 65.5664, 4.94, -0.05],
+    [50935, 156.0358, 33.7185, 5.52, 1.19],
+    [50939, 156.0549, 2.3680, 6.33, 0.99],
+    [50954, 156.0988, -74.0316, 3.99, 0.37],
+    [50976, 156.1855, -73.9717, 6.18, 0.07],
+    [50993, 156.2476, -58.5763, 5.93, 0.32],
+    [51008, 156.3133, 8.7848, 5.61, 1.63],
+    [51014, 156.3217, -42.4674, 6.18, 1.01],
+    [51046, 156.4345, -7.0598, 5.60, 1.53],
+    [51047, 156.4372, 35.4254, 6.49, 1.09],
+    [51056, 156.4784, 33.7961, 4.72, 0.26],
+    [51069, 156.5226, -16.8363, 3.83, 1.46],
+    [51077, 156.5410, -42.7385, 6.13, 1.13],
+    [51117, 156.6538, -0.9881, 6.33, 1.44],
+    [51140, 156.7038, -54.8773, 5.58, 1.56],
+    [51161, 156.7520, 19.3645, 6.15, 1.14],
+    [51172, 156.7879, -31.0678, 4.28, 1.43],
+    [51192, 156.8520, -57.6388, 4.65, 0.47],
+    [51194, 156.8553, -65.7047, 6.00, 0.09],
+    [51200, 156.8668, 41.6010, 6.00, 0.17],
+    [51213, 156.9125, 9.7624, 6.01, -0.04],
+    [51232, 156.9697, -58.7394, 3.81, 0.32],
+    [51233, 156.9708, 36.7072, 4.20, 0.91],
+    [51245, 157.0087, -49.4058, 6.10, 1.51],
+    [51248, 157.0162, 48.7849, 6.42, 0.61],
+    [51265, 157.0761, -63.1646, 6.42, -0.04],
+    [51290, 157.1522, 45.2122, 6.37, 1.33],
+    [51302, 157.1832, -3.7424, 6.05, 0.06],
+    [51313, 157.2191, -64.1723, 5.27, 1.86],
+    [51327, 157.2656, -65.1762, 6.42, 1.68],
+    [51362, 157.3696, -2.7391, 5.19, -0.05],
+    [51364, 157.3707, -29.6638, 5.58, 1.42],
+    [51376, 157.3974, -30.6071, 5.57, -0.04],
+    [51384, 157.4228, 84.2520, 5.52, 0.24],
+    [51401, 157.4768, 65.6262, 6.32, 1.14],
+    [51420, 157.5269, 38.9251, 5.79, 0.09],
+    [51425, 157.5366, -66.9847, 6.19, -0.00],
+    [51437, 157.5728, -0.6370, 5.08, -0.14],
+    [51438, 157.5839, -71.9928, 4.72, 0.04],
+    [51448, 157.6108, 64.2577, 6.07, 0.18],
+    [51459, 157.6566, 55.9805, 4.82, 0.54],
+    [51461, 157.6635, -61.3565, 6.41, 1.65],
+    [51490, 157.7448, -7.6375, 6.20, 1.38],
+    [51491, 157.7493, -13.5885, 5.59, -0.03],
+    [51495, 157.7586, -73.2215, 4.94, 1.68],
+    [51502, 157.7694, 82.5586, 5.25, 0.40],
+    [51523, 157.8409, -53.7155, 4.89, 0.50],
+    [51551, 157.9528, -28.2371, 6.04, 0.50],
+    [51556, 157.9641, 32.3796, 5.90, 0.11],
+    [51560, 157.9860, -45.0697, 6.04, -0.10],
+    [51561, 157.9893, -45.0667, 5.76, -0.19],
+    [51576, 158.0061, -61.6853, 3.30, -0.09],
+    [51585, 158.0491, 14.1373, 5.43, 1.70],
+    [51610, 158.1400, -44.6185, 5.91, 0.92],
+    [51623, 158.1992, -58.6667, 5.98, 0.29],
+    [51624, 158.2028, 9.3066, 3.84, -0.15],
+    [51635, 158.2369, -47.0034, 5.02, 1.04],
+    [51658, 158.3079, 40.4256, 4.72, 0.22],
+    [51676, 158.3558, -58.1901, 6.09, 0.33],
+    [51685, 158.3788, 34.9887, 5.57, 0.03],
+    [51718, 158.5037, -23.7452, 5.08, 1.60],
+    [51732, 158.5530, -60.9876, 6.25, 1.40],
+    [51775, 158.7001, 6.9537, 5.07, 0.92],
+    [51795, 158.7404, -23.1762, 6.10, 0.50],
+    [51802, 158.7590, 8.6504, 5.67, 0.06],
+    [51808, 158.7728, 75.7129, 4.86, 0.96],
+    [51814, 158.7904, 57.0826, 5.16, 0.35],
+    [51816, 158.7934, -43.6646, 6.09, 0.94],
+    [51821, 158.8035, -39.5626, 5.50, 3.02],
+    [51835, 158.8532, -76.3090, 6.29, 1.21],
+    [51839, 158.8671, -78.6078, 4.11, 1.58],
+    [51849, 158.8971, -57.5576, 4.45, 1.60],
+    [51852, 158.9119, -18.5690, 6.49, 0.20],
+    [51883, 159.0082, 80.4946, 6.48, 0.96],
+    [51885, 159.0188, -26.6755, 6.29, 0.47],
+    [51905, 159.0694, -16.3443, 6.01, 1.64],
+    [51912, 159.0855, -59.5644, 5.08, 1.17],
+    [51914, 159.0893, 36.3269, 6.29, 0.44],
+    [51933, 159.1349, -12.2301, 5.71, 0.53],
+    [51979, 159.3072, -27.4126, 4.87, 1.63],
+    [51984, 159.3171, -53.8553, 6.43, -0.15],
+    [51986, 159.3256, -48.2256, 3.84, 0.30],
+    [52004, 159.3628, -58.7333, 5.47, 0.50],
+    [52009, 159.3886, -13.3845, 4.89, 2.80],
+    [52032, 159.4678, 34.0786, 6.42, 1.36],
+    [52043, 159.5110, -57.2563, 5.89, -0.13],
+    [52085, 159.6456, -16.8766, 4.91, 0.92],
+    [52098, 159.6801, 31.9762, 4.68, 0.82],
+    [52102, 159.6875, -59.1830, 4.69, 1.56],
+    [52103, 159.6891, -59.2624, 6.50, -0.10],
+    [52112, 159.7096, -42.7534, 6.10, 0.66],
+    [52113, 159.7101, -12.4436, 6.04, -0.01],
+    [52127, 159.7484, -58.8169, 5.96, 1.69],
+    [52136, 159.7736, 53.6683, 5.55, 1.27],
+    [52139, 159.7818, 37.9100, 5.84, 0.59],
+    [52150, 159.8162, -74.4934, 6.08, 1.68],
+    [52154, 159.8266, -55.6033, 4.29, 1.02],
+    [52160, 159.8451, -64.1118, 6.33, -0.07],
+    [52221, 160.0477, -65.1002, 5.51, -0.16],
+    [52273, 160.2147, -35.7417, 6.36, 0.92],
+    [52308, 160.3230, -59.6769, 6.35, 0.09],
+    [52316, 160.3508, -1.7415, 6.25, 0.88],
+    [52338, 160.4511, 68.4435, 5.74, 1.31],
+    [52340, 160.4647, -79.7833, 5.97, -0.07],
+    [52353, 160.4856, 65.7163, 5.12, 1.21],
+    [52366, 160.5469, 31.6970, 6.02, 1.62],
+    [52370, 160.5588, -64.4664, 4.76, -0.14],
+    [52391, 160.6307, -13.9745, 6.24, 1.54],
+    [52405, 160.6690, -59.2158, 5.36, 0.21],
+    [52407, 160.6799, -32.7157, 5.63, 0.01],
+    [52419, 160.7392, -64.3945, 2.74, -0.22],
+    [52422, 160.7578, 26.3256, 5.51, 0.16],
+    [52425, 160.7668, 69.0762, 5.01, 1.41],
+    [52452, 160.8372, 4.7477, 5.77, 1.17],
+    [52457, 160.8540, 23.1884, 5.08, 0.04],
+    [52468, 160.8845, -60.5666, 4.58, 1.70],
+    [52469, 160.8870, 46.2039, 5.18, 0.32],
+    [52478, 160.9306, 57.1992, 5.79, -0.04],
+    [52487, 160.9633, -64.2490, 5.74, 0.01],
+    [52488, 160.9677, -60.1178, 6.45, -0.02],
+    [52502, 161.0288, -63.9611, 4.80, -0.13],
+    [52513, 161.0606, 19.7588, 6.27, 0.20],
+    [52520, 161.0834, -70.8597, 6.25, 0.21],
+    [52526, 161.0955, -59.9933, 6.32, -0.31],
+    [52535, 161.1123, -72.4435, 6.26, 0.51],
+    [52537, 161.1347, -70.8553, 6.43, 0.23],
+    [52577, 161.2668, 67.4114, 5.95, 2.38],
+    [52584, 161.2894, 2.4880, 6.27, 1.21],
+    [52595, 161.3180, -80.4696, 5.46, 0.96],
+    [52633, 161.4458, -80.5402, 4.45, -0.19],
+    [52638, 161.4662, 30.6823, 5.36, -0.05],
+    [52660, 161.5237, 6.3732, 6.38, 1.12],
+    [52678, 161.5690, -64.5146, 5.33, -0.10],
+    [52679, 161.5711, -60.6029, 6.26, 0.04],
+    [52685, 161.5937, 57.3659, 6.34, 1.57],
+    [52686, 161.6023, 18.8915, 5.50, 1.13],
+    [52689, 161.6053, 14.1946, 5.49, 0.91],
+    [52701, 161.6233, -64.2632, 5.23, -0.08],
+    [52709, 161.6548, -43.1927, 6.29, 0.20],
+    [52727, 161.6924, -49.4203, 2.69, 0.90],
+    [52730, 161.7003, -69.2098, 6.34, 0.18],
+    [52736, 161.7134, -64.3835, 4.87, -0.15],
+    [52737, 161.7169, -17.2969, 5.44, 0.11],
+    [52742, 161.7395, -56.7572, 5.14, -0.08],
+    [52785, 161.8775, -69.4377, 6.35, -0.09],
+    [52797, 161.9100, -57.4674, 6.29, 1.67],
+    [52806, 161.9347, -59.8753, 6.47, -0.12],
+    [52815, 161.9730, -64.2628, 6.46, 0.01],
+    [52827, 162.0225, -59.9192, 5.98, 0.27],
+    [52841, 162.0588, -31.6879, 5.87, 0.03],
+    [52863, 162.1690, -1.9589, 5.92, 1.61],
+    [52877, 162.2078, 65.1325, 6.40, -0.02],
+    [52882, 162.2385, 29.4161, 6.15, 1.14],
+    [52911, 162.3143, 10.5452, 5.32, 0.04],
+    [52922, 162.3518, -59.3238, 5.85, 0.01],
+    [52929, 162.3700, 63.8100, 6.42, 1.29],
+    [52943, 162.4062, -16.1936, 3.11, 1.23],
+    [52948, 162.4312, -9.8527, 5.85, 1.07],
+    [52959, 162.4739, 27.9739, 6.05, 0.40],
+    [52965, 162.4876, -34.0582, 5.61, 0.04],
+    [52980, 162.5752, -8.8978, 5.80, 0.16],
+    [53035, 162.7725, -3.0927, 5.95, 1.48],
+    [53043, 162.7959, 56.5823, 5.66, 1.13],
+    [53064, 162.8488, 59.3201, 5.57, 1.16],
+    [53100, 162.9453, -57.2723, 6.29, 0.23],
+    [53141, 163.0571, 1.0250, 6.37, 0.09],
+    [53151, 163.1193, -79.5594, 6.36, 1.46],
+    [53154, 163.1285, -57.2404, 5.26, 0.13],
+    [53157, 163.1336, 52.5036, 6.44, 1.11],
+    [53167, 163.1504, -0.2017, 6.31, 1.50],
+    [53229, 163.3279, 34.2149, 3.79, 1.04],
+    [53231, 163.3382, -58.8935, 6.26, -0.10],
+    [53240, 163.3540, -2.2552, 6.12, 0.91],
+    [53252, 163.3730, -20.1387, 5.23, 0.48],
+    [53253, 163.3736, -58.8532, 3.78, 0.94],
+    [53257, 163.3779, 69.8539, 5.91, 1.01],
+    [53259, 163.3871, -15.4458, 6.34, 1.18],
+    [53260, 163.3892, -56.4205, 6.45, 1.39],
+    [53261, 163.3935, 54.5851, 5.12, 1.35],
+    [53272, 163.4253, -70.7203, 5.99, -0.02],
+    [53273, 163.4321, -2.1292, 5.45, 0.97],
+    [53295, 163.4948, 43.1900, 4.66, -0.04],
+    [53316, 163.5741, -13.7580, 5.65, 0.83],
+    [53334, 163.6233, -61.8266, 5.95, 1.74],
+    [53355, 163.6757, 25.4907, 6.19, 0.29],
+    [53377, 163.7424, 34.0348, 5.73, 1.03],
+    [53379, 163.7542, -42.2511, 6.08, -0.06],
+    [53387, 163.7982, -20.6650, 6.45, 1.10],
+    [53394, 163.8218, -60.5170, 5.93, 1.06],
+    [53411, 163.8634, -43.0205, 6.40, 0.07],
+    [53417, 163.9033, 24.7497, 4.30, 0.02],
+    [53423, 163.9267, 0.7369, 5.91, 0.42],
+    [53426, 163.9349, 33.5069, 5.02, 1.10],
+    [53449, 164.0061, 6.1854, 5.91, 1.26],
+    [53465, 164.0605, 42.0082, 6.03, 1.12],
+    [53472, 164.0702, 22.3517, 6.17, 1.55],
+    [53492, 164.1434, 25.5002, 6.36, 1.04],
+    [53502, 164.1794, -37.1378, 4.60, 1.01],
+    [53530, 164.2827, -50.7650, 5.90, 0.17],
+    [53546, 164.3158, -75.0998, 6.16, 1.53],
+    [53556, 164.3341, -69.0381, 6.48, 0.00],
+    [53589, 164.4508, -59.7322, 6.36, 0.84],
+    [53699, 164.8073, -33.7376, 5.70, 0.37],
+    [53701, 164.8084, -61.3207, 6.16, -0.06],
+    [53702, 164.8074, -84.5939, 6.19, 0.10],
+    [53706, 164.8245, 51.8824, 6.22, 1.35],
+    [53721, 164.8666, 40.4303, 5.03, 0.62],
+    [53723, 164.8789, -16.3537, 5.88, 1.60],
+    [53726, 164.8866, 36.0931, 5.99, 1.59],
+    [53740, 164.9436, -18.2988, 4.08, 1.08],
+    [53761, 164.9868, 77.7702, 6.18, 0.97],
+    [53762, 164.9974, -43.8071, 5.81, -0.06],
+    [53771, 165.0345, -51.8178, 6.15, 0.19],
+    [53773, 165.0386, -42.2259, 4.37, 0.12],
+    [53778, 165.0487, -14.0834, 5.86, 1.50],
+    [53781, 165.0613, 45.5263, 5.47, 1.47],
+    [53791, 165.0862, 42.9117, 6.03, 0.58],
+    [53798, 165.1065, 51.5021, 6.41, 1.01],
+    [53807, 165.1402, 3.6175, 4.84, 1.14],
+    [53811, 165.1510, -53.1118, 6.44, 1.28],
+    [53818, 165.1699, -31.8394, 6.06, 0.53],
+    [53824, 165.1867, 6.1014, 4.98, 0.17],
+    [53838, 165.2101, 39.2121, 5.06, 0.26],
+    [53849, 165.2391, -15.7927, 6.35, 1.17],
+    [53860, 165.2736, 63.4211, 6.38, 0.17],
+    [53907, 165.4570, -2.4846, 4.73, 1.59],
+    [53910, 165.4603, 56.3824, 2.34, 0.03],
+    [53940, 165.5577, -41.1141, 6.48, 1.47],
+    [53954, 165.5824, 20.1798, 4.42, 0.05],
+    [53963, 165.6019, -26.8315, 6.21, 0.31],
+    [54027, 165.8106, -0.7523, 6.12, 0.27],
+    [54029, 165.8120, -11.3035, 5.51, 0.94],
+    [54030, 165.8169, -31.9608, 6.44, 1.62],
+    [54038, 165.8641, 70.0307, 6.44, 1.28],
+    [54048, 165.9022, -13.4349, 6.34, 0.86],
+    [54049, 165.9025, -0.0008, 5.95, 1.22],
+    [54061, 165.9320, 61.7510, 1.81, 1.06],
+    [54082, 166.0010, -57.9553, 6.16, -0.17],
+    [54136, 166.1301, 38.2414, 6.01, 0.17],
+    [54137, 166.1300, -47.6791, 5.67, 0.26],
+    [54173, 166.2258, -35.8047, 5.43, 0.02],
+    [54182, 166.2543, 7.3360, 4.62, 0.33],
+    [54185, 166.2671, -49.3923, 6.11, -0.02],
+    [54204, 166.3329, -27.2936, 4.92, 0.37],
+    [54214, 166.3916, -11.0889, 6.09, 0.30],
+    [54255, 166.4899, -27.2879, 5.69, -0.07],
+    [54264, 166.5239, -51.2129, 6.28, 0.94],
+    [54289, 166.6011, -64.8400, 6.39, 0.11],
+    [54291, 166.6146, -50.9567, 6.31, 1.16],
+    [54294, 166.6220, -58.6750, 6.07, 1.21],
+    [54301, 166.6351, -62.4241, 4.62, 0.99],
+    [54319, 166.6835, 17.7374, 6.40, 1.55],
+    [54327, 166.7079, -70.8779, 5.58, -0.07],
+    [54336, 166.7259, 1.9555, 5.52, 0.95],
+    [54360, 166.8195, -42.6387, 5.15, 0.03],
+    [54380, 166.8922, -48.6400, 6.44, 1.49],
+    [54388, 166.9154, 23.3238, 6.48, 0.16],
+    [54430, 167.0657, -29.9725, 6.47, 0.03],
+    [54461, 167.1417, -61.9472, 5.11, 0.20],
+    [54463, 167.1475, -58.9750, 3.93, 1.23],
+    [54477, 167.1833, -28.0807, 5.43, 0.07],
+    [54487, 167.2045, 24.6585, 5.70, 0.08],
+    [54522, 167.3295, 36.3094, 5.71, 1.40],
+    [54537, 167.4104, 43.2077, 5.89, 1.56],
+    [54539, 167.4159, 44.4985, 3.00, 1.14],
+    [54540, 167.4158, 67.2102, 6.07, 0.23],
+    [54561, 167.4725, -32.3675, 5.79, 0.03],
+    [54673, 167.8731, -71.4362, 6.34, 1.37],
+    [54682, 167.9145, -22.8258, 4.46, 0.03],
+    [54688, 167.9323, 14.4002, 6.30, 0.21],
+    [54703, 167.9910, -26.8061, 6.43, 0.92],
+    [54708, 168.0148, -58.4234, 6.24, 1.50],
+    [54718, 168.0425, -46.2668, 6.27, 0.15],
+    [54721, 168.0456, 68.2719, 6.40, 0.13],
+    [54725, 168.0616, -32.4338, 6.35, 1.68],
+    [54742, 168.1266, -18.4999, 6.11, -0.00],
+    [54745, 168.1348, 35.8141, 6.41, 0.60],
+    [54746, 168.1377, -49.1010, 5.37, 0.17],
+    [54749, 168.1450, -21.7493, 6.39, 1.38],
+    [54751, 168.1501, -60.3176, 4.59, 0.54],
+    [54767, 168.1884, -64.1698, 5.22, -0.08],
+    [54783, 168.2363, -49.7361, 6.12, 1.05],
+    [54811, 168.3112, -44.3722, 5.77, 1.66],
+    [54829, 168.3783, -59.6193, 5.74, -0.11],
+    [54840, 168.4141, -53.2318, 5.75, 1.31],
+    [54842, 168.4171, 41.0888, 6.33, 1.15],
+    [54849, 168.4398, -0.0695, 5.40, -0.02],
+    [54863, 168.5076, 8.0607, 5.79, 1.13],
+    [54872, 168.5271, 20.5237, 2.56, 0.13],
+    [54879, 168.5600, 15.4296, 3.33, -0.00],
+    [54929, 168.7255, -43.7337, 6.22, 1.61],
+    [54951, 168.8010, 23.0955, 4.56, 1.66],
+    [55003, 168.9281, -57.3559, 6.42, 0.10],
+    [55016, 168.9662, 13.3076, 5.31, 1.19],
+    [55068, 169.1159, -45.8800, 6.30, 0.40],
+    [55084, 169.1654, -3.6516, 4.45, 0.21],
+    [55086, 169.1744, 49.4763, 5.88, 1.10],
+    [55106, 169.2424, -7.1347, 6.11, 0.21],
+    [55130, 169.3000, -38.0144, 6.24, 0.10],
+    [55133, 169.3097, -41.9343, 6.46, 0.01],
+    [55137, 169.3225, 2.0106, 5.18, 1.51],
+    [55140, 169.3293, -67.8235, 6.06, 1.75],
+    [55164, 169.4119, -34.7373, 6.44, 0.41],
+    [55203, 169.5468, 31.5308, 3.79, 0.61],
+    [55219, 169.6197, 33.0943, 3.49, 1.40],
+    [55225, 169.6433, -79.6687, 6.35, 0.27],
+    [55249, 169.7290, 1.6504, 5.90, 1.04],
+    [55266, 169.7829, 38.1856, 4.76, 0.11],
+    [55280, 169.8185, -64.5825, 5.99, 0.47],
+    [55282, 169.8352, -14.7785, 3.56, 1.11],
+    [55308, 169.9022, -75.1425, 6.26, -0.02],
+    [55332, 169.9615, -72.9583, 6.46, 0.00],
+    [55350, 170.0172, -71.9943, 6.41, 0.02],
+    [55412, 170.2241, 67.1007, 6.20, 1.02],
+    [55425, 170.2517, -54.4910, 3.90, -0.16],
+    [55434, 170.2841, 6.0293, 4.05, -0.06],
+    [55485, 170.4554, 57.0749, 6.43, 0.16],
+    [55497, 170.4871, -77.6084, 6.43, 0.20],
+    [55528, 170.5963, -44.6459, 6.10, 0.93],
+    [55560, 170.7066, 43.4827, 4.99, 1.00],
+    [55564, 170.7135, 64.3305, 6.02, 0.09],
+    [55581, 170.7839, -56.7794, 5.82, -0.00],
+    [55588, 170.8028, -36.1648, 5.00, 1.46],
+    [55595, 170.8248, 0.1320, 6.05, 1.46],
+    [55597, 170.8392, -64.9547, 5.09, -0.06],
+    [55598, 170.8412, -18.7800, 5.08, 0.44],
+    [55642, 170.9811, 10.5295, 4.00, 0.42],
+    [55645, 170.9856, -57.8804, 6.50, 1.50],
+    [55650, 171.0097, 1.4078, 5.39, 0.94],
+    [55657, 171.0464, -72.2566, 5.55, 0.02],
+    [55667, 171.0919, -42.6691, 6.13, -0.17],
+    [55687, 171.1525, -10.8593, 4.81, 1.56],
+    [55705, 171.2205, -17.6840, 4.06, 0.22],
+    [55716, 171.2455, 11.4303, 5.80, 1.38],
+    [55756, 171.3727, -36.0631, 5.21, 0.98],
+    [55763, 171.3879, -37.7476, 5.87, 1.50],
+    [55765, 171.4016, 16.4565, 5.58, 0.39],
+    [55779, 171.4298, -63.9725, 5.18, 0.49],
+    [55791, 171.4586, 3.8601, 6.35, 0.34],
+    [55797, 171.4880, 55.8505, 5.73, 0.99],
+    [55821, 171.6065, 33.4506, 6.33, 0.45],
+    [55831, 171.6476, -61.1152, 5.22, -0.08],
+    [55846, 171.6888, 3.0131, 6.49, 0.78],
+    [55849, 171.6969, -53.1599, 5.80, 0.52],
+    [55874, 171.7897, -12.3567, 5.93, 0.49],
+    [55941, 171.9738, -1.6999, 6.23, 1.04],
+    [55945, 171.9843, 2.8563, 4.95, 1.00],
+    [55953, 171.9945, -35.3288, 6.44, 1.61],
+    [55979, 172.0767, -72.4740, 6.09, 0.10],
+    [56000, 172.1462, -42.6742, 5.14, -0.03],
+    [56034, 172.2672, 39.3370, 5.30, 0.02],
+    [56035, 172.2690, 61.7784, 5.83, 0.38],
+    [56050, 172.3131, -63.5539, 6.45, 0.32],
+    [56078, 172.4109, -24.4640, 5.77, 0.07],
+    [56080, 172.4244, 15.4133, 5.74, 1.37],
+    [56083, 172.4315, 56.7376, 6.29, 0.16],
+    [56127, 172.5787, -3.0035, 4.77, 1.53],
+    [56135, 172.6034, 46.6575, 6.30, 1.26],
+    [56146, 172.6210, 18.4098, 5.54, 1.06],
+    [56148, 172.6297, 43.1732, 5.94, 0.52],
+    [56170, 172.7206, 47.9289, 6.40, 0.88],
+    [56201, 172.8127, -61.2785, 6.28, 0.47],
+    [56211, 172.8509, 69.3311, 3.82, 1.61],
+    [56242, 172.9373, 14.3645, 6.27, 0.57],
+    [56243, 172.9420, -59.4421, 5.07, 1.03],
+    [56245, 172.9481, -20.7765, 6.24, 0.54],
+    [56250, 172.9533, -59.5156, 5.12, 0.43],
+    [56253, 172.9606, 81.1273, 6.12, 0.26],
+    [56280, 173.0683, -29.2610, 4.93, 0.54],
+    [56287, 173.0833, -66.9618, 5.89, 1.14],
+    [56290, 173.0864, 61.0825, 5.46, 0.52],
+    [56293, 173.0970, -26.7468, 6.15, 1.67],
+    [56318, 173.1981, -7.8275, 5.94, 1.38],
+    [56319, 173.2003, -40.4362, 5.64, 1.58],
+    [56332, 173.2255, -31.0872, 5.13, 1.58],
+    [56343, 173.2505, -31.8576, 3.54, 0.95],
+    [56364, 173.3118, -16.2804, 6.05, 0.59],
+    [56388, 173.4014, 2.4990, 6.49, 1.60],
+    [56391, 173.4050, -40.5866, 5.39, 0.12],
+    [56410, 173.4845, 36.8156, 6.38, 1.06],
+    [56445, 173.5915, 3.0602, 5.76, 0.48],
+    [56452, 173.6229, -32.8313, 5.96, 0.81],
+    [56473, 173.6770, 16.7969, 5.95, -0.16],
+    [56480, 173.6902, -54.2641, 4.62, -0.08],
+    [56497, 173.7369, -49.1365, 5.50, 1.04],
+    [56500, 173.7454, -4.3613, 6.43, 1.17],
+    [56508, 173.7656, 20.4415, 6.45, 1.01],
+    [56510, 173.7704, 54.7854, 5.63, 1.03],
+    [56518, 173.8053, -47.3726, 5.64, 1.68],
+    [56550, 173.9264, -61.2879, 6.23, 0.13],
+    [56561, 173.9454, -63.0198, 3.11, -0.04],
+    [56573, 173.9816, -47.6416, 5.26, 0.26],
+    [56583, 174.0117, 69.3230, 5.19, 0.97],
+    [56601, 174.0748, 27.7814, 5.80, 0.25],
+    [56606, 174.0932, -61.0524, 5.84, -0.10],
+    [56620, 174.1456, -33.5701, 5.71, 1.02],
+    [56632, 174.1697, -37.2372, 6.30, 0.06],
+    [56633, 174.1705, -9.8022, 4.70, -0.07],
+    [56647, 174.2372, -0.8237, 4.30, 0.98],
+    [56656, 174.2522, -61.2834, 5.14, 1.10],
+    [56657, 174.2551, -32.9882, 6.32, 0.44],
+    [56675, 174.3151, -75.8965, 5.64, 0.36],
+    [56700, 174.3916, -47.7473, 5.46, 1.23],
+    [56716, 174.4263, 77.5957, 6.49, 1.61],
+    [56727, 174.4516, -67.6204, 5.94, 1.01],
+    [56731, 174.4709, 50.6182, 6.14, 1.07],
+    [56754, 174.5304, -61.8266, 5.15, -0.04],
+    [56756, 174.5410, 8.8838, 6.18, 1.08],
+    [56769, 174.5848, -63.3727, 6.46, 0.04],
+    [56770, 174.5857, 43.6254, 5.56, 0.35],
+    [56775, 174.6003, -2.4359, 6.22, 1.12],
+    [56779, 174.6150, 8.1343, 5.24, 1.50],
+    [56784, 174.6347, 33.6258, 6.29, 1.32],
+    [56789, 174.6396, 46.8342, 6.09, 0.40],
+    [56802, 174.6667, -13.2019, 5.48, 0.52],
+    [56809, 174.6871, 45.1084, 6.29, 0.57],
+    [56816, 174.7047, 64.3470, 6.49, 0.15],
+    [56830, 174.7518, -24.7211, 6.40, 0.82],
+    [56862, 174.8733, -65.3978, 5.01, 0.80],
+    [56899, 174.9597, -16.6202, 6.17, 1.58],
+    [56901, 174.9630, -14.4685, 6.21, -0.01],
+    [56922, 175.0533, -34.7447, 4.70, -0.07],
+    [56944, 175.1143, 57.9704, 6.35, -0.09],
+    [56961, 175.1542, -62.5681, 6.32, 0.03],
+    [56970, 175.1770, -53.9686, 5.95, 1.67],
+    [56975, 175.1961, 21.3527, 5.26, 0.98],
+    [56986, 175.2235, -62.0901, 4.93, 1.11],
+    [56996, 175.2554, -83.0999, 6.32, 1.08],
+    [56997, 175.2626, 34.2016, 5.31, 0.72],
+    [57001, 175.2850, -29.1963, 6.44, 0.65],
+    [57013, 175.3325, -43.0957, 5.54, 0.04],
+    [57029, 175.3927, 31.7461, 5.73, 0.44],
+    [57045, 175.4312, 55.1720, 6.28, 1.49],
+    [57047, 175.4331, -32.4994, 5.20, 1.48],
+    [57079, 175.5147, -20.2942, 6.21, 0.95],
+    [57092, 175.5622, -75.2273, 6.48, 0.53],
+    [57111, 175.6182, 66.7449, 5.32, 1.27],
+    [57137, 175.7289, -79.3064, 6.38, 0.89],
+    [57165, 175.8633, -37.1902, 5.98, 1.45],
+    [57175, 175.8800, -62.4894, 5.00, 0.78],
+    [57211, 175.9702, -62.8783, 6.10, 0.06],
+    [57214, 175.9797, -6.6772, 6.05, 0.96],
+    [57240, 176.0548, 25.2183, 6.02, 1.53],
+    [57283, 176.1907, -18.3507, 4.71, 0.96],
+    [57322, 176.3026, -49.0698, 6.26, 1.17],
+    [57328, 176.3210, 8.2581, 4.84, 0.17],
+    [57363, 176.4017, -66.7288, 3.63, 0.16],
+    [57371, 176.4332, -45.6901, 5.28, -0.12],
+    [57380, 176.4648, 6.5294, 4.04, 1.50],
+    [57399, 176.5126, 47.7794, 3.69, 1.18],
+    [57439, 176.6284, -61.1784, 4.11, 0.90],
+    [57443, 176.6295, -40.5004, 4.89, 0.66],
+    [57477, 176.7318, 55.6282, 5.27, 1.28],
+    [57497, 176.7794, -35.9069, 6.16, 0.95],
+    [57507, 176.8159, -30.2865, 6.48, 0.68],
+    [57512, 176.8298, -57.6965, 5.42, 1.66],
+    [57562, 176.9788, 8.2459, 5.31, 0.04],
+    [57565, 176.9964, 20.2189, 4.50, 0.55],
+    [57581, 177.0606, -66.8149, 4.75, 1.52],
+    [57587, 177.0979, -10.3131, 6.24, 0.58],
+    [57606, 177.1613, 14.2842, 5.90, 0.30],
+    [57613, 177.1878, -26.7498, 5.10, 1.59],
+    [57629, 177.2553, -0.3187, 6.15, 0.52],
+    [57632, 177.2649, 14.5721, 2.14, 0.09],
+    [57646, 177.3116, 16.2429, 6.05, 0.28],
+    [57669, 177.4211, -63.7885, 4.30, -0.15],
+    [57670, 177.4238, 34.9318, 5.73, 0.47],
+    [57696, 177.4859, -70.2258, 4.98, 1.36],
+    [57732, 177.5817, -15.8637, 6.13, 0.95],
+    [57741, 177.6137, -62.6494, 5.68, 0.23],
+    [57749, 177.6549, -27.2779, 6.48, 0.98],
+    [57757, 177.6738, 1.7647, 3.59, 0.52],
+    [57779, 177.7306, 12.2790, 6.37, 0.29],
+    [57791, 177.7593, -5.3333, 5.62, 1.06],
+    [57803, 177.7862, -45.1735, 4.47, 1.28],
+    [57805, 177.7896, 33.3750, 6.25, 0.34],
+    [57819, 177.8412, -12.1878, 6.34, 0.41],
+    [57841, 177.9234, -30.8348, 5.85, 0.55],
+    [57851, 177.9634, -65.2059, 4.89, -0.12],
+    [57870, 178.0428, -56.9877, 5.56, 0.07],
+    [57936, 178.2272, -33.9081, 4.29, -0.10],
+    [57939, 178.2449, 37.7187, 6.42, 0.75],
+    [57971, 178.3617, -35.0666, 6.17, 0.09],
+    [58001, 178.4577, 53.6948, 2.41, 0.04],
+    [58002, 178.4595, 0.5521, 6.31, 0.21],
+    [58041, 178.5479, -57.4102, 6.05, 0.05],
+    [58057, 178.6076, -37.7489, 6.46, 0.53],
+    [58082, 178.6772, -25.7139, 5.26, 0.88],
+    [58085, 178.6860, -66.3762, 6.38, 0.41],
+    [58103, 178.7500, -63.2792, 5.89, 0.21],
+    [58110, 178.7631, 8.4439, 5.58, 0.94],
+    [58119, 178.8086, 36.7564, 6.47, 1.58],
+    [58158, 178.9172, -28.4771, 5.93, 1.50],
+    [58159, 178.9189, 15.6468, 5.53, 0.12],
+    [58177, 178.9782, -39.6895, 6.13, 1.01],
+    [58181, 178.9934, 56.5986, 5.83, 1.10],
+    [58188, 179.0040, -17.1508, 5.17, -0.02],
+    [58242, 179.1830, -47.0724, 6.26, 0.41],
+    [58259, 179.2218, 61.5492, 6.22, 0.95],
+    [58272, 179.2656, -33.3155, 6.20, -0.04],
+    [58326, 179.4167, -62.4487, 5.59, -0.15],
+    [58369, 179.5299, 32.2739, 6.42, 0.33],
+    [58379, 179.5634, -56.3173, 5.44, -0.06],
+    [58427, 179.6986, -64.3396, 5.59, 0.17],
+    [58436, 179.7266, -25.9089, 6.42, 0.04],
+    [58445, 179.7639, 0.5307, 6.18, 1.26],
+    [58450, 179.7890, -10.4759, 6.49, 1.45],
+    [58452, 179.7945, -45.8322, 6.36, -0.08],
+    [58453, 179.7953, -51.6968, 6.04, 1.28],
+    [58460, 179.8231, 33.1670, 5.95, 1.15],
+    [58469, 179.8567, -62.8309, 6.34, 0.32],
+    [58484, 179.9066, -78.2218, 4.88, -0.05],
+    [58510, 179.9871, 3.6552, 5.36, -0.00],
+    [58512, 179.9891, 34.0347, 6.49, 0.24],
+    [58545, 180.0775, 80.8532, 6.21, 1.61],
+    [58574, 180.1759, -21.8375, 6.28, 1.22],
+    [58576, 180.1852, -10.4460, 5.54, 0.76],
+    [58587, 180.2132, -19.6590, 5.28, -0.19],
+    [58590, 180.2183, 6.6143, 4.65, 0.12],
+    [58603, 180.2572, -1.7682, 6.32, 1.20],
+    [58642, 180.3716, -57.5038, 6.16, -0.00],
+    [58654, 180.4145, 36.0421, 5.59, 1.02],
+    [58684, 180.5283, 43.0456, 5.22, 0.28],
+    [58697, 180.5843, -85.6318, 6.05, 1.29],
+    [58706, 180.6186, -71.4890, 6.41, 1.16],
+    [58720, 180.6571, -69.1923, 5.89, -0.08],
+    [58741, 180.7153, -7.6836, 6.24, 1.49],
+    [58758, 180.7563, -63.3129, 4.32, 0.28],
+    [58803, 180.9149, -42.4341, 5.15, 0.42],
+    [58809, 180.9352, 5.5578, 6.39, 0.48],
+    [58810, 180.9354, -74.2141, 6.44, 1.20],
+    [58858, 181.0692, 21.4592, 5.89, 0.25],
+    [58859, 181.0696, -51.4725, 6.48, -0.05],
+    [58867, 181.0801, -63.1657, 4.72, -0.08],
+    [58874, 181.1171, 85.5871, 6.27, 0.56],
+    [58884, 181.1620, -68.3289, 5.34, -0.01],
+    [58901, 181.1885, -59.2533, 6.30, -0.03],
+    [58905, 181.1936, -76.5191, 5.04, 1.49],
+    [58921, 181.2384, -60.9683, 5.95, 1.69],
+    [58948, 181.3022, 8.7330, 4.12, 0.97],
+    [58952, 181.3130, 76.9057, 5.78, 1.03],
+    [58989, 181.4154, 62.9331, 6.14, 1.18],
+    [59003, 181.4734, -65.5469, 6.30, 0.15],
+    [59008, 181.4861, -35.6939, 6.23, -0.07],
+    [59010, 181.4992, -3.1316, 6.37, 1.00],
+    [59021, 181.5216, -32.9612, 6.49, 0.62],
+    [59046, 181.5830, -68.6514, 6.23, 1.24],
+    [59050, 181.5959, -65.7095, 5.95, 0.61],
+    [59072, 181.7204, -64.6137, 4.14, 0.35],
+    [59151, 181.9578, -75.3670, 5.17, 1.28],
+    [59173, 182.0218, -50.6613, 4.46, -0.16],
+    [59184, 182.0613, -48.6925, 5.34, -0.01],
+    [59196, 182.0896, -50.7224, 2.58, -0.13],
+    [59199, 182.1034, -24.7289, 4.02, 0.33],
+    [59200, 182.1031, -60.8471, 6.22, 1.73],
+    [59229, 182.2242, -44.3260, 5.75, 0.24],
+    [59232, 182.2275, -41.2316, 5.51, -0.10],
+    [59285, 182.4221, 1.8979, 5.95, 1.12],
+    [59291, 182.4461, 74.6614, 6.34, 0.51],
+    [59307, 182.5106, -34.7047, 6.16, 0.03],
+    [59309, 182.5142, 5.8070, 5.72, 0.35],
+    [59316, 182.5312, -22.6198, 3.02, 1.33],
+    [59352, 182.6318, 16.8093, 6.40, 0.07],
+    [59353, 182.6409, -37.8703, 6.07, 0.19],
+    [59364, 182.6921, 27.2815, 6.01, 0.12],
+    [59384, 182.7499, 81.7098, 6.00, 1.62],
+    [59389, 182.7551, -68.2610, 6.48, 1.35],
+    [59394, 182.7660, -23.6024, 5.45, 0.06],
+    [59396, 182.7713, -61.2774, 6.08, 0.40],
+    [59439, 182.8812, -51.3593, 6.23, 0.82],
+    [59449, 182.9130, -52.3685, 3.97, -0.16],
+    [59458, 182.9371, 57.0544, 6.34, 1.50],
+    [59468, 182.9632, 25.8703, 5.66, 1.40],
+    [59489, 183.0042, 28.5363, 6.47, 0.43],
+    [59501, 183.0387, 20.5421, 5.60, 0.96],
+    [59504, 183.0498, 77.6162, 5.14, 0.36],
+    [59517, 183.0916, -62.9508, 5.91, 0.25],
+    [59551, 183.1959, -70.1518, 6.05, 1.78],
+    [59588, 183.3039, -34.1253, 6.34, 1.45],
+    [59607, 183.3543, -38.9292, 5.77, -0.14],
+    [59608, 183.3581, 10.2623, 5.85, 0.26],
+    [59622, 183.4034, -33.7929, 6.34, 0.07],
+    [59647, 183.4853, -78.5739, 6.34, 1.23],
+    [59654, 183.5112, -45.7239, 5.31, 1.40],
+    [59678, 183.5705, -64.4085, 6.20, 0.07],
+    [59708, 183.6809, 53.4346, 6.18, 1.06],
+    [59728, 183.7483, -20.8442, 5.82, 1.05],
+    [59742, 183.7767, -29.2373, 6.50, 1.09],
+    [59746, 183.7854, 70.2000, 5.72, 1.18],
+    [59747, 183.7863, -58.7489, 2.79, -0.19],
+    [59750, 183.7940, -10.3124, 6.11, 0.47],
+    [59767, 183.8345, 87.7001, 6.27, 0.35],
+    [59774, 183.8565, 57.0326, 3.32, 0.08],
+    [59785, 183.8769, -41.9133, 6.24, 1.00],
+    [59796, 183.9229, 72.5512, 6.29, 1.15],
+    [59803, 183.9515, -17.5419, 2.58, -0.11],
+    [59819, 184.0008, 14.8991, 5.09, 0.07],
+    [59831, 184.0315, 40.6602, 5.69, 1.59],
+    [59847, 184.0856, 23.9454, 4.93, 0.96],
+    [59851, 184.0992, -72.6145, 6.21, -0.01],
+    [59856, 184.1256, 33.0615, 4.99, 1.14],
+    [59879, 184.2139, 86.4358, 6.33, 0.44],
+    [59895, 184.2639, -16.6937, 6.05, 0.11],
+    [59898, 184.2763, -65.6930, 6.06, 0.02],
+    [59920, 184.3733, 53.1913, 5.80, 1.33],
+    [59923, 184.3774, 28.9372, 5.71, 0.16],
+    [59929, 184.3928, -67.9607, 4.06, 1.60],
+    [59941, 184.4344, 15.1447, 6.36, 1.38],
+    [59950, 184.4469, -36.0940, 6.15, 0.01],
+    [60000, 184.5868, -79.3122, 4.24, -0.12],
+    [60009, 184.6094, -64.0031, 4.06, -0.17],
+    [60018, 184.6318, 30.2490, 6.23, 0.31],
+    [60030, 184.6680, -0.7872, 5.90, 0.17],
+    [60044, 184.7083, 75.1606, 5.47, 0.05],
+    [60059, 184.7490, -55.1430, 5.01, 1.60],
+    [60066, 184.7584, 26.0083, 6.44, 0.18],
+    [60087, 184.8300, 23.0347, 6.26, 0.18],
+    [60098, 184.8730, 28.1569, 6.38, 0.52],
+    [60122, 184.9530, 48.9841, 5.28, 1.62],
+    [60129, 184.9765, -0.6668, 3.89, 0.03],
+    [60157, 185.0449, -22.1757, 5.94, 0.82],
+    [60168, 185.0740, 26.0019, 6.16, 0.31],
+    [60170, 185.0820, 26.6195, 5.52, 1.09],
+    [60172, 185.0874, 3.3126, 4.97, 1.17],
+    [60183, 185.1176, -65.8427, 6.20, -0.04],
+    [60189, 185.1402, -22.2159, 5.20, -0.09],
+    [60197, 185.1724, 27.0545, 6.32, 0.39],
+    [60202, 185.1793, 17.7929, 4.72, 1.01],
+    [60210, 185.2030, 15.5410, 6.47, 1.02],
+    [60212, 185.2120, 57.8641, 5.54, 1.45],
+    [60221, 185.2321, -13.5657, 5.14, 1.05],
+    [60260, 185.3400, -60.4011, 3.59, 1.39],
+    [60305, 185.4844, 47.1822, 6.33, 1.11],
+    [60308, 185.4893, -56.3744, 5.91, 1.53],
+    [60320, 185.5306, -67.5221, 5.15, 0.20],
+    [60327, 185.5451, 24.7739, 6.21, -0.01],
+    [60329, 185.5501, -68.3073, 5.73, 1.04],
+    [60351, 185.6263, 25.8462, 4.78, 0.52],
+    [60353, 185.6335, 5.3054, 6.46, 0.57],
+    [60379, 185.7060, -57.6761, 5.38, -0.10],
+    [60417, 185.8079, -67.6315, 6.36, 0.89],
+    [60418, 185.8140, -4.9745, 6.47, 1.19],
+    [60421, 185.8286, -11.8121, 6.48, 1.64],
+    [60425, 185.8399, -24.8407, 5.66, 1.15],
+    [60449, 185.8976, -35.4127, 5.32, -0.07],
+    [60454, 185.9031, -39.3024, 6.39, 0.28],
+    [60463, 185.9364, -38.9114, 5.79, -0.06],
+    [60467, 185.9459, 42.5427, 6.03, 0.37],
+    [60468, 185.9493, -30.3354, 6.39, 1.57],
+    [60485, 186.0062, 51.5623, 4.76, 0.88],
+    [60514, 186.0772, 26.0986, 5.17, 0.08],
+    [60525, 186.1117, 25.5824, 6.41, 0.28],
+    [60549, 186.1863, -41.3843, 6.24, 1.17],
+    [60584, 186.2634, 56.7778, 5.82, 1.62],
+    [60589, 186.2765, 63.8028, 6.31, 0.92],
+    [60591, 186.2855, -42.5143, 6.10, 0.65],
+    [60595, 186.2990, -11.6106, 5.95, 0.04],
+    [60599, 186.3130, 23.9262, 6.03, 1.09],
+    [60601, 186.3231, -65.7699, 6.29, 0.96],
+    [60603, 186.3267, -27.7490, 6.09, 1.27],
+    [60610, 186.3406, -35.1864, 5.71, -0.07],
+    [60638, 186.4093, -86.1506, 6.32, 1.06],
+    [60646, 186.4622, 39.0186, 5.01, 0.95],
+    [60697, 186.6003, 27.2682, 4.92, 0.28],
+    [60699, 186.6008, 71.9298, 6.33, 1.03],
+    [60710, 186.6323, -51.4506, 4.82, -0.14],
+    [60718, 186.6496, -63.0991, 0.77, -0.24],
+    [60729, 186.7006, -48.9132, 6.25, 0.67],
+    [60735, 186.7154, -32.8301, 5.56, 0.01],
+    [60742, 186.7345, 28.2684, 4.35, 1.13],
+    [60746, 186.7471, 26.8257, 4.98, 0.09],
+    [60771, 186.8534, -63.7890, 6.02, 0.05],
+    [60780, 186.8702, -58.3164, 6.35, 1.61],
+    [60781, 186.8702, -58.9918, 5.38, 1.54],
+    [60795, 186.8963, 55.7127, 5.68, 1.58],
+    [60804, 186.9253, 8.6103, 6.36, 0.94],
+    [60809, 186.9560, -16.6318, 6.30, 0.87],
+    [60813, 186.9648, -4.6153, 6.23, 0.43],
+    [60823, 187.0099, -50.2306, 3.91, -0.19],
+    [60851, 187.0803, -64.3410, 6.05, 0.02],
+    [60855, 187.0936, -39.0412, 5.45, -0.07],
+    [60861, 187.1070, -61.7948, 6.21, 1.25],
+    [60870, 187.1400, -56.4078, 6.15, 0.92],
+    [60904, 187.2279, 25.9129, 5.29, -0.06],
+    [60941, 187.3627, 24.1089, 5.47, 0.45],
+    [60957, 187.4302, 20.8961, 5.68, 0.09],
+    [60965, 187.4661, -16.5154, 2.94, -0.01],
+    [60969, 187.4758, -56.5249, 5.78, 1.57],
+    [60978, 187.4889, 58.4057, 5.37, 0.20],
+    [60979, 187.4912, -41.7359, 6.00, 1.51],
+    [60988, 187.5118, 51.5356, 6.21, 0.54],
+    [60992, 187.5177, 58.7678, 6.07, 0.99],
+    [60994, 187.5199, -13.3932, 6.37, 0.59],
+    [60998, 187.5277, 69.2011, 5.01, 1.62],
+    [61015, 187.5727, -23.6964, 5.63, 1.67],
+    [61053, 187.7089, 53.0766, 6.20, 0.57],
+    [61071, 187.7523, 24.5672, 5.47, 0.06],
+    [61084, 187.7915, -57.1132, 1.59, 1.60],
+    [61103, 187.8392, 7.6043, 6.05, 1.52],
+    [61134, 187.9113, -5.0526, 6.19, 1.04],
+    [61136, 187.9180, -59.4239, 5.49, 0.62],
+    [61158, 187.9838, -63.5058, 5.96, 0.26],
+    [61172, 188.0183, -32.5338, 6.46, 0.17],
+    [61174, 188.0176, -16.1960, 4.30, 0.39],
+    [61181, 188.0416, -73.0011, 5.88, 1.08],
+    [61199, 188.1167, -72.1330, 3.84, -0.16],
+    [61208, 188.1367, -21.2121, 6.41, 1.11],
+    [61212, 188.1500, -13.8591, 5.74, 0.38],
+    [61246, 188.2620, 10.2957, 6.29, 0.95],
+    [61270, 188.3427, -19.7925, 6.26, 0.30],
+    [61281, 188.3706, 69.7882, 3.85, -0.12],
+    [61295, 188.3926, 24.2830, 6.28, 0.11],
+    [61296, 188.3927, -12.8302, 5.58, 0.86],
+    [61309, 188.4122, 33.2476, 5.42, 1.01],
+    [61317, 188.4356, 41.3575, 4.24, 0.59],
+    [61318, 188.4448, -9.4521, 5.48, -0.04],
+    [61320, 188.4476, 33.3847, 6.24, 1.05],
+    [61328, 188.4963, -49.9098, 6.38, 0.43],
+    [61359, 188.5968, -23.3968, 2.65, 0.89],
+    [61379, 188.6766, -44.6730, 5.76, 0.68],
+    [61384, 188.6834, 70.0218, 4.95, 1.31],
+    [61394, 188.7128, 22.6293, 4.80, 0.01],
+    [61404, 188.7269, -67.7569, 6.11, 1.51],
+    [61418, 188.7823, 18.3771, 5.03, 1.15],
+    [61420, 188.7840, 21.8814, 5.86, 1.24],
+    [61443, 188.8727, -61.8416, 6.22, 0.73],
+    [61468, 188.9397, -41.0219, 5.12, 0.22],
+    [61496, 188.9950, -20.5275, 6.20, 0.34],
+    [61498, 189.0043, -39.8695, 5.78, 0.00],
+    [61557, 189.1942, -50.3354, 6.40, 0.03],
+    [61558, 189.1973, -5.8319, 5.88, 0.07],
+    [61571, 189.2431, 17.0895, 5.70, 1.44],
+    [61585, 189.2959, -69.1356, 2.69, -0.18],
+    [61621, 189.4262, -27.1389, 5.41, 0.33],
+    [61622, 189.4257, -48.5413, 3.85, 0.05],
+    [61637, 189.5184, 3.2824, 6.33, 0.00],
+    [61658, 189.5934, 1.8547, 5.68, 1.59],
+    [61688, 189.6859, -18.2501, 6.00, 0.31],
+    [61692, 189.6928, 40.8747, 6.35, 0.20],
+    [61703, 189.7182, -67.1930, 6.22, 0.01],
+    [61719, 189.7591, 22.6595, 6.39, 1.10],
+    [61720, 189.7644, -30.4224, 5.86, 1.21],
+    [61724, 189.7805, 21.0626, 5.49, 0.98],
+    [61738, 189.8107, -75.3706, 6.46, 0.10],
+    [61740, 189.8115, -7.9956, 4.66, 1.24],
+    [61748, 189.8203, 35.9520, 6.39, 0.10],
+    [61789, 189.9689, -39.9873, 4.63, -0.08],
+    [61796, 189.9827, -66.5111, 6.26, -0.05],
+    [61910, 190.3165, -13.0139, 5.17, 0.43],
+    [61916, 190.3458, -46.1456, 5.84, 1.48],
+    [61932, 190.3793, -48.9599, 2.20, -0.02],
+    [61936, 190.3913, 62.7130, 6.02, 0.05],
+    [61937, 190.3933, 10.4263, 6.22, 0.19],
+    [61941, 190.4152, -1.4494, 2.74, 0.37],
+    [61951, 190.4558, -19.7591, 6.02, 0.40],
+    [61960, 190.4711, 10.2356, 4.88, 0.08],
+    [61966, 190.4857, -59.6858, 4.91, -0.04],
+    [61968, 190.4880, 6.8066, 5.57, 0.00],
+    [61981, 190.5209, -69.4076, 6.31, 0.75],
+    [62012, 190.6477, -48.8131, 4.66, 1.07],
+    [62026, 190.7073, -55.9470, 6.06, -0.02],
+    [62027, 190.7094, -63.0586, 5.27, 0.20],
+    [62046, 190.7672, 61.1554, 6.39, 1.27],
+    [62058, 190.7882, -56.1762, 5.99, -0.07],
+    [62081, 190.8594, -40.1778, 6.43, 0.24],
+    [62084, 190.8680, -58.9027, 6.41, 1.09],
+    [62103, 190.9085, -1.5770, 5.91, 0.85],
+    [62128, 190.9945, -36.3492, 6.38, -0.06],
+    [62131, 191.0022, -28.3240, 5.46, 1.35],
+    [62170, 191.1084, 80.6210, 6.33, 0.16],
+    [62172, 191.1129, 44.1030, 6.34, 0.47],
+    [62207, 191.2475, 39.2789, 5.95, 0.56],
+    [62212, 191.2586, -68.8308, 6.16, 0.69],
+    [62223, 191.2826, 45.4403, 5.42, 2.99],
+    [62267, 191.4044, 7.6733, 5.22, 0.32],
+    [62268, 191.4085, -60.9813, 4.69, 1.05],
+    [62322, 191.5700, -68.1081, 3.04, -0.18],
+    [62325, 191.5939, 9.5397, 5.65, 0.99],
+    [62327, 191.5946, -56.4888, 4.62, -0.15],
+    [62356, 191.6615, 16.5777, 5.12, 1.35],
+    [62360, 191.6926, -33.3155, 5.87, 1.33],
+    [62376, 191.7596, 5.9504, 6.31, -0.01],
+    [62394, 191.8068, 11.9581, 6.11, 0.12],
+    [62402, 191.8290, 62.7812, 5.88, 0.21],
+    [62421, 191.8893, -6.3018, 6.27, 0.54],
+    [62423, 191.8931, 66.7903, 5.43, 1.57],
+    [62434, 191.9303, -59.6888, 1.25, -0.24],
+    [62443, 191.9642, 3.5727, 6.42, 1.60],
+    [62448, 191.9735, -24.8517, 6.43, -0.06],
+    [62478, 192.0597, 13.5530, 6.47, 0.01],
+    [62500, 192.1094, -27.5974, 5.65, 0.95],
+    [62512, 192.1644, 60.3198, 5.83, 0.47],
+    [62516, 192.1742, 48.4668, 6.25, 0.20],
+    [62523, 192.1960, 24.8402, 6.29, 0.70],
+    [62541, 192.2259, 14.1226, 5.71, 0.02],
+    [62561, 192.2778, 83.4178, 5.92, 0.01],
+    [62572, 192.3069, 83.4129, 5.38, 0.03],
+    [62576, 192.3227, 27.5524, 5.76, 0.05],
+    [62600, 192.4085, 48.7400, 6.50, 1.14],
+    [62608, 192.4374, -71.9863, 5.55, 1.15],
+    [62641, 192.5448, 37.5169, 5.87, 0.17],
+    [62653, 192.5721, 22.8634, 6.43, 1.00],
+    [62655, 192.5812, -48.4595, 6.26, 0.05],
+    [62683, 192.6715, -33.9993, 4.90, -0.03],
+    [62703, 192.7412, -52.7874, 5.70, 0.13],
+    [62732, 192.8249, -60.3298, 5.71, 0.34],
+    [62743, 192.8455, -10.3382, 6.48, 1.03],
+    [62757, 192.9037, 3.0568, 6.02, 1.29],
+    [62763, 192.9247, 27.5407, 4.93, 0.68],
+    [62786, 192.9872, -39.6804, 5.99, -0.10],
+    [62788, 192.9912, -26.7383, 6.14, 0.23],
+    [62799, 193.0226, -48.0943, 6.31, 0.04],
+    [62807, 193.0511, 17.0739, 6.32, 1.62],
+    [62821, 193.1025, -53.8299, 6.26, 1.11],
+    [62825, 193.1146, 16.1225, 6.29, 0.17],
+    [62861, 193.2674, -54.9525, 5.91, 1.31],
+    [62867, 193.2788, -48.9433, 4.33, 1.34],
+    [62875, 193.2965, -3.5531, 6.11, 0.49],
+    [62886, 193.3239, 21.2449, 4.89, 0.90],
+    [62894, 193.3412, -60.3285, 5.75, 0.29],
+    [62896, 193.3592, -40.1789, 4.25, 0.22],
+    [62904, 193.3838, 19.4811, 6.42, 0.81],
+    [62915, 193.4088, -4.2247, 6.45, 1.09],
+    [62931, 193.4538, -60.3762, 5.89, 0.20],
+    [62933, 193.4571, 12.4184, 6.25, 0.28],
+    [62956, 193.5073, 55.9598, 1.76, -0.02],
+    [62972, 193.5545, 33.5345, 6.25, 0.21],
+    [62983, 193.5777, -11.6486, 6.00, 0.07],
+    [62985, 193.5882, -9.5390, 4.77, 1.59],
+    [63003, 193.6484, -57.1779, 4.03, -0.18],
+    [63005, 193.6537, -57.1687, 5.08, -0.09],
+    [63007, 193.6633, -59.1467, 4.62, -0.15],
+    [63024, 193.7355, 47.1967, 5.75, 1.45],
+    [63031, 193.7450, -85.1234, 5.45, 0.99],
+    [63033, 193.7438, -44.1520, 5.89, 0.63],
+    [63066, 193.8310, -42.9157, 5.46, 1.67],
+    [63076, 193.8690, 65.4385, 5.23, 0.30],
+    [63090, 193.9009, 3.3975, 3.39, 1.57],
+    [63109, 193.9718, -15.3270, 6.18, -0.00],
+    [63117, 193.9881, -56.8358, 5.34, 0.01],
+    [63121, 194.0019, 38.3149, 5.61, 0.34],
+    [63125, 194.0069, 38.3184, 2.89, -0.12],
+    [63143, 194.0732, 54.0995, 5.84, 0.20],
+    [63165, 194.1320, -72.1852, 5.93, 1.11],
+    [63204, 194.2426, -54.5873, 6.48, -0.04],
+    [63210, 194.2681, -51.1988, 5.17, -0.07],
+    [63211, 194.2825, 46.1768, 6.11, 1.01],
+    [63220, 194.3028, -12.0669, 6.33, 1.49],
+    [63243, 194.3880, -22.7535, 6.31, 1.07],
+    [63297, 194.5785, 64.9255, 6.44, 1.15],
+    [63340, 194.6972, 75.4725, 6.00, 1.03],
+    [63355, 194.7310, 17.4094, 4.76, 1.57],
+    [63414, 194.9147, -3.8119, 5.79, 0.20],
+    [63432, 194.9795, 66.5973, 5.37, 1.28],
+    [63462, 195.0686, 30.7850, 4.88, 1.17],
+    [63490, 195.1361, -33.5053, 6.01, 0.39],
+    [63494, 195.1498, -3.3685, 5.99, 1.12],
+    [63497, 195.1613, 18.3730, 6.20, 0.47],
+    [63503, 195.1821, 56.3663, 4.93, 0.37],
+    [63533, 195.2901, 17.1231, 5.97, 0.97],
+    [63584, 195.4455, 63.6102, 6.01, 0.43],
+    [63608, 195.5442, 10.9592, 2.85, 0.93],
+    [63613, 195.5678, -71.5489, 3.61, 1.19],
+    [63647, 195.6684, 59.7163, 6.50, 0.06],
+    [63688, 195.7722, -71.4757, 5.93, 0.00],
+    [63724, 195.8888, -49.5273, 4.83, 0.03],
+    [63738, 195.9421, -20.5835, 5.58, 0.55],
+    [63820, 196.2010, -41.1963, 6.24, 1.65],
+    [63822, 196.2073, 73.0250, 6.43, 0.22],
+    [63849, 196.2777, -47.1169, 6.44, 0.41],
+    [63883, 196.3782, -52.1157, 6.43, 1.69],
+    [63901, 196.4351, 35.7989, 5.20, -0.06],
+    [63916, 196.4678, 45.2685, 5.64, 1.14],
+    [63945, 196.5696, -48.4633, 4.71, -0.15],
+    [63948, 196.5885, 21.1534, 6.00, 0.39],
+    [63950, 196.5942, 22.6162, 5.53, 1.46],
+    [63952, 196.5953, 62.0419, 6.15, 1.00],
+    [63972, 196.6462, -41.5884, 5.59, 1.05],
+    [64003, 196.7261, -35.8620, 5.63, 0.05],
+    [64004, 196.7277, -49.9062, 4.27, -0.18],
+    [64022, 196.7947, 27.6247, 4.80, 1.48],
+    [64033, 196.8512, -59.8605, 5.98, 0.43],
+    [64053, 196.9095, -53.4598, 5.70, -0.06],
+    [64077, 196.9735, 27.5560, 6.20, 1.36],
+    [64078, 196.9742, -10.7404, 5.15, 1.14],
+    [64094, 197.0298, -65.3060, 5.44, -0.03],
+    [64108, 197.0850, -78.4460, 6.43, 0.01],
+    [64117, 197.1159, -67.7968, 6.34, 1.71],
+    [64122, 197.1353, -8.9844, 5.57, 1.18],
+    [64166, 197.2636, -23.1181, 4.94, 1.05],
+    [64179, 197.3018, 10.0225, 5.79, 1.02],
+    [64181, 197.3093, -9.5381, 6.32, 1.02],
+    [64212, 197.4110, 37.4231, 6.01, 1.17],
+    [64217, 197.4251, 38.5339, 6.25, -0.10],
+    [64224, 197.4387, -10.3293, 5.95, 1.49],
+    [64226, 197.4494, 16.8486, 5.91, 1.45],
+    [64238, 197.4875, -5.5390, 4.38, -0.01],
+    [64241, 197.4970, 17.5294, 4.32, 0.46],
+    [64246, 197.5134, 38.4990, 5.91, 0.29],
+    [64320, 197.7435, -52.5669, 6.05, -0.08],
+    [64332, 197.7870, -42.2329, 5.78, 0.52],
+    [64348, 197.8467, -43.3686, 5.24, 1.05],
+    [64375, 197.9133, -26.5517, 6.49, 0.19],
+    [64390, 197.9643, -69.9420, 5.92, 0.41],
+    [64394, 197.9683, 27.8782, 4.23, 0.57],
+    [64395, 197.9711, -63.3030, 6.32, 0.43],
+    [64407, 198.0148, -16.1986, 5.04, 0.46],
+    [64408, 198.0133, -37.8030, 4.85, 0.69],
+    [64417, 198.0350, 24.2580, 6.31, 1.01],
+    [64425, 198.0733, -59.9206, 4.58, -0.07],
+    [64437, 198.1060, 80.4713, 6.25, 0.95],
+    [64445, 198.1372, 11.5561, 5.76, 1.50],
+    [64466, 198.2033, -66.2267, 5.91, 0.05],
+    [64472, 198.2118, -42.6997, 6.19, 1.06],
+    [64478, 198.2322, -59.8166, 6.18, 0.59],
+    [64496, 198.3017, 18.7270, 6.10, 1.20],
+    [64515, 198.3473, -50.6998, 5.90, -0.01],
+    [64520, 198.3618, -18.8264, 6.26, 0.09],
+    [64530, 198.3998, 36.8876, 6.50, 1.62],
+    [64540, 198.4289, 40.1529, 4.94, 1.06],
+    [64557, 198.4903, -43.1391, 6.16, 1.37],
+    [64577, 198.5454, -19.9309, 5.31, 0.86],
+    [64580, 198.5504, -58.6839, 5.91, 1.08],
+    [64583, 198.5631, -59.1032, 4.90, 0.49],
+    [64587, 198.5722, -78.4475, 5.84, 1.04],
+    [64607, 198.6303, 11.3317, 5.64, 1.51],
+    [64623, 198.6803, -48.9570, 5.84, 1.06],
+    [64651, 198.7894, -36.3714, 6.17, 0.97],
+    [64661, 198.8123, -67.8946, 4.79, -0.08],
+    [64682, 198.8567, -69.6793, 6.37, 1.21],
+    [64692, 198.8831, 40.8552, 5.77, 0.20],
+    [64725, 198.9949, -19.9431, 5.21, 1.01],
+    [64751, 199.0595, 19.0517, 6.46, 0.97],
+    [64774, 199.1193, 68.4080, 6.20, -0.05],
+    [64779, 199.1344, 19.7853, 6.43, 0.27],
+    [64790, 199.1871, -65.1383, 6.06, 0.43],
+    [64792, 199.1938, 9.4242, 5.19, 0.58],
+    [64797, 199.2127, 17.0172, 6.49, 0.93],
+    [64803, 199.2214, -31.5062, 5.10, 0.96],
+    [64820, 199.3042, -66.7834, 4.86, 1.48],
+    [64822, 199.3080, -43.9795, 5.82, 0.19],
+    [64823, 199.3151, 13.6758, 5.33, 1.30],
+    [64838, 199.3744, -0.6761, 6.36, 0.26],
+    [64844, 199.3856, 40.5726, 4.72, 0.31],
+    [64852, 199.4012, 5.4699, 4.78, 1.64],
+    [64906, 199.5605, 49.6821, 5.14, -0.05],
+    [64924, 199.6013, -18.3112, 4.74, 0.71],
+    [64927, 199.6155, 34.0983, 5.81, 1.37],
+    [64933, 199.6453, -51.2858, 6.18, -0.00],
+    [64951, 199.7012, -79.9760, 6.34, -0.03],
+    [64962, 199.7304, -23.1715, 2.99, 0.92],
+    [64979, 199.7677, 35.1280, 6.01, 0.28],
+    [64994, 199.8291, -72.0356, 6.04, 1.34],
+    [65072, 200.0790, 40.1505, 5.60, 1.20],
+    [65108, 200.1459, -59.7728, 6.20, 0.41],
+    [65109, 200.1492, -36.7123, 2.75, 0.07],
+    [65112, 200.1576, -52.7478, 5.47, -0.13],
+    [65119, 200.1732, 2.9423, 6.26, 0.10],
+    [65129, 200.2014, -55.8007, 6.00, 0.24],
+    [65144, 200.2404, -46.8800, 5.76, 1.11],
+    [65183, 200.3740, -19.4893, 6.21, 0.10],
+    [65198, 200.4235, 2.0872, 5.69, 0.04],
+    [65230, 200.5163, 43.9034, 6.34, 0.26],
+    [65241, 200.5404, 5.1548, 5.89, 0.11],
+    [65247, 200.5679, -52.1830, 5.81, 0.07],
+    [65271, 200.6581, -60.9884, 4.52, -0.14],
+    [65288, 200.7188, -47.9432, 6.18, 0.18],
+    [65289, 200.7191, -72.1467, 6.06, 0.05],
+    [65301, 200.7546, -17.7353, 5.36, 0.99],
+    [65303, 200.7608, -48.5628, 6.37, -0.08],
+    [65311, 200.7860, -33.1899, 6.17, 1.65],
+    [65323, 200.8287, -4.9244, 5.88, 1.43],
+    [65372, 200.9671, -49.8228, 6.48, 0.96],
+    [65376, 200.9747, 37.0339, 6.10, 1.64],
+    [65378, 200.9814, 54.9254, 2.23, 0.06],
+    [65381, 200.9878, -20.9246, 6.44, 1.10],
+    [65387, 201.0020, -64.5357, 4.52, 0.82],
+    [65417, 201.1272, 12.4318, 6.44, 1.06],
+    [65420, 201.1385, -5.1640, 5.76, 0.41],
+    [65466, 201.2778, 23.8544, 5.75, 0.09],
+    [65468, 201.2797, -74.8878, 5.04, 1.11],
+    [65474, 201.2982, -11.1613, 0.98, -0.23],
+    [65477, 201.3064, 54.9880, 3.99, 0.17],
+    [65479, 201.3080, -64.4851, 5.32, 0.41],
+    [65522, 201.4596, -70.6272, 5.65, -0.02],
+    [65530, 201.4994, 63.2613, 6.50, 0.74],
+    [65535, 201.5324, -39.7551, 5.11, 1.18],
+    [65536, 201.5336, 72.3915, 5.82, 1.65],
+    [65545, 201.5476, -1.1925, 5.97, 0.18],
+    [65550, 201.5692, 46.0281, 5.88, 0.98],
+    [65581, 201.6799, -12.7077, 5.27, 1.48],
+    [65593, 201.7338, -41.4976, 5.69, 1.48],
+    [65595, 201.7367, 78.6439, 5.74, 0.77],
+    [65606, 201.7766, -49.1437, 6.31, 0.00],
+    [65621, 201.8111, -40.1627, 6.40, 0.97],
+    [65630, 201.8361, -49.3813, 6.27, -0.12],
+    [65639, 201.8632, -15.9736, 4.76, 1.10],
+    [65678, 201.9985, 52.7456, 6.34, 0.26],
+    [65682, 202.0078, -26.4022, 6.49, 1.61],
+    [65721, 202.1075, 13.7788, 4.97, 0.71],
+    [65723, 202.1093, 40.7296, 6.49, 0.93],
+    [65728, 202.1129, 59.9458, 5.40, -0.01],
+    [65754, 202.1910, 50.7186, 6.42, 0.40],
+    [65755, 202.1950, -69.6272, 6.17, -0.01],
+    [65783, 202.2829, -64.6758, 6.09, 0.12],
+    [65790, 202.3042, 10.8183, 5.65, 1.05],
+    [65796, 202.3122, -1.3644, 6.42, 1.12],
+    [65810, 202.3552, -51.1651, 5.04, 0.06],
+    [65835, 202.4283, -23.2813, 6.40, 1.32],
+    [65862, 202.5003, 7.1789, 6.18, 1.47],
+    [65892, 202.6072, -6.4703, 6.10, 0.34],
+    [65936, 202.7611, -39.4073, 3.90, 1.19],
+    [65951, 202.8157, 42.1062, 6.07, 1.07],
+    [65969, 202.8882, -28.1127, 6.48, 0.09],
+    [66006, 202.9912, -6.2558, 4.68, 1.61],
+    [66015, 203.0117, -18.7289, 6.01, 0.20],
+    [66019, 203.0226, -38.3988, 6.14, 1.03],
+    [66060, 203.1436, -29.5653, 6.45, 0.44],
+    [66065, 203.1496, -28.6928, 5.69, 0.04],
+    [66086, 203.2009, 24.3467, 6.11, 0.97],
+    [66091, 203.2152, -15.3630, 5.52, 1.23],
+    [66098, 203.2420, -10.1650, 5.21, 0.96],
+    [66152, 203.3995, -65.6327, 6.36, -0.01],
+    [66198, 203.5304, 55.3484, 5.60, -0.01],
+    [66200, 203.5330, 3.6590, 4.92, 0.03],
+    [66223, 203.5911, 38.7893, 6.37, 0.24],
+    [66234, 203.6136, 49.0160, 4.68, 0.13],
+    [66236, 203.6207, -48.2722, 6.32, -0.05],
+    [66247, 203.6685, -13.2143, 5.92, 0.02],
+    [66249, 203.6733, -0.5958, 3.38, 0.11],
+    [66251, 203.6781, 76.5467, 6.46, 1.57],
+    [66254, 203.6816, -33.3109, 6.46, 1.25],
+    [66257, 203.6992, 37.1824, 4.91, 0.40],
+    [66320, 203.8804, -5.3962, 5.70, 0.95],
+    [66326, 203.8893, 10.2050, 6.48, 1.04],
+    [66385, 204.1662, 49.4866, 6.48, 1.18],
+    [66400, 204.2019, -26.4952, 5.73, 0.22],
+    [66405, 204.2107, -34.4678, 6.48, 1.03],
+    [66417, 204.2462, 24.6133, 5.72, 1.59],
+    [66427, 204.2750, -44.1432, 5.96, 0.94],
+    [66435, 204.2958, 71.2423, 5.50, 1.22],
+    [66438, 204.3016, -61.6919, 5.63, 0.49],
+    [66454, 204.3478, -46.4279, 5.91, -0.11],
+    [66458, 204.3651, 36.2949, 4.82, 0.24],
+    [66521, 204.5318, -58.4146, 6.41, 1.11],
+    [66522, 204.5329, 14.3019, 6.49, 0.27],
+    [66563, 204.6753, -29.5609, 5.81, 0.43],
+    [66574, 204.6905, -70.4448, 6.11, 1.42],
+    [66575, 204.7040, -57.6227, 6.00, 1.14],
+    [66594, 204.7595, 18.2653, 6.46, 1.22],
+    [66607, 204.8000, -75.6838, 6.32, -0.00],
+    [66613, 204.8121, 51.8042, 6.49, 1.38],
+    [66634, 204.8769, 52.9212, 5.46, 0.11],
+    [66640, 204.8942, 10.7463, 5.57, 0.35],
+    [66645, 204.9202, -39.7476, 6.29, 1.60],
+    [66656, 204.9523, -40.0517, 5.61, 1.30],
+    [66657, 204.9719, -53.4664, 2.29, -0.17],
+    [66666, 204.9992, -49.9500, 5.74, 1.50],
+    [66681, 205.0446, -64.5766, 5.79, 0.40],
+    [66690, 205.0649, 31.0120, 6.21, 0.96],
+    [66700, 205.0891, 57.2076, 6.28, 0.11],
+    [66704, 205.0968, 50.5194, 6.31, 0.54],
+    [66725, 205.1628, 28.0652, 6.22, 1.31],
+    [66727, 205.1686, 19.9557, 5.73, 0.02],
+    [66738, 205.1845, 54.6816, 4.63, 1.63],
+    [66753, 205.2312, -85.7860, 5.56, 0.18],
+    [66763, 205.2598, 22.4958, 5.63, 1.01],
+    [66798, 205.3746, 64.8224, 5.85, 0.07],
+    [66803, 205.4032, -8.7030, 5.03, 1.62],
+    [66821, 205.4365, -54.5594, 4.99, -0.06],
+    [66849, 205.5045, -58.7871, 5.38, -0.03],
+    [66860, 205.5532, 8.3884, 6.16, 0.42],
+    [66878, 205.5962, 82.7524, 5.92, 0.99],
+    [66892, 205.6200, 41.6743, 6.30, 0.88],
+    [66903, 205.6633, 78.0644, 5.91, 1.00],
+    [66907, 205.6810, 34.9890, 5.98, 0.86],
+    [66923, 205.7276, -50.7902, 6.43, 1.67],
+    [66924, 205.7293, -41.4010, 5.96, 1.02],
+    [66925, 205.7338, -56.7680, 6.00, -0.10],
+    [66936, 205.7655, 3.5379, 5.35, 1.09],
+    [66984, 205.9170, -42.0675, 5.96, -0.07],
+    [66992, 205.9382, 22.7004, 6.12, 1.45],
+    [67005, 205.9782, 52.0644, 6.02, 0.02],
+    [67036, 206.0667, -51.0125, 6.44, -0.11],
+    [67057, 206.1243, -16.1791, 5.55, 0.81],
+    [67071, 206.1903, -25.5009, 6.21, 1.37],
+    [67103, 206.3051, 55.8793, 6.47, 0.49],
+    [67104, 206.3060, 10.3253, 6.42, 1.23],
+    [67139, 206.3961, -15.7675, 6.18, 0.05],
+    [67143, 206.4037, -26.1160, 5.81, 0.02],
+    [67153, 206.4219, -33.0437, 4.23, 0.39],
+    [67172, 206.4847, -12.4265, 5.50, 0.90],
+    [67194, 206.5564, 41.0887, 5.88, 0.21],
+    [67199, 206.5605, -54.6834, 6.42, 0.12],
+    [67210, 206.5794, 38.5036, 5.92, 0.95],
+    [67231, 206.6486, 54.4327, 5.68, -0.04],
+    [67234, 206.6641, -51.4328, 4.64, 0.95],
+    [67239, 206.6805, 25.7022, 5.97, 0.52],
+    [67244, 206.7348, -36.2519, 5.15, -0.01],
+    [67246, 206.7380, 6.3504, 6.33, 0.63],
+    [67250, 206.7491, 38.5427, 5.51, 1.04],
+    [67261, 206.7953, -62.5897, 6.40, null],
+    [67271, 206.8058, -9.7095, 6.04, 1.42],
+    [67275, 206.8156, 17.4569, 4.50, 0.51],
+    [67288, 206.8558, -17.8598, 5.41, 1.62],
+    [67292, 206.8652, -50.2493, 5.92, 0.28],
+    [67301, 206.8852, 49.3133, 1.85, -0.10],
+    [67304, 206.9106, -50.3207, 5.46, 1.35],
+    [67384, 207.1614, 31.1902, 5.61, 1.03],
+    [67457, 207.3613, -34.4508, 4.19, 1.52],
+    [67459, 207.3693, 15.7979, 4.05, 1.52],
+    [67464, 207.3762, -41.6877, 3.41, -0.23],
+    [67472, 207.4041, -42.4737, 3.47, -0.17],
+    [67480, 207.4285, 21.2641, 4.92, 1.43],
+    [67483, 207.4372, 36.6328, 6.43, 0.26],
+    [67485, 207.4396, 61.4893, 5.97, 0.97],
+    [67494, 207.4678, -18.1342, 4.96, 1.06],
+    [67523, 207.5271, -29.0813, 6.19, -0.01],
+    [67537, 207.5808, -39.9009, 6.43, 0.99],
+    [67545, 207.6028, 5.4972, 6.00, 0.90],
+    [67548, 207.6156, 58.5395, 6.45, 0.09],
+    [67589, 207.7463, 68.3153, 6.39, 1.18],
+    [67605, 207.7884, 34.6644, 5.89, 1.64],
+    [67620, 207.8347, -24.3904, 6.43, 0.70],
+    [67627, 207.8581, 64.7233, 4.58, 1.57],
+    [67648, 207.9021, -36.4333, 6.34, 0.48],
+    [67663, 207.9467, -46.8987, 5.77, -0.15],
+    [67664, 207.9476, -69.4013, 5.73, 1.70],
+    [67665, 207.9478, 34.4442, 4.76, 1.61],
+    [67669, 207.9567, -32.9941, 4.32, -0.15],
+    [67696, 208.0041, -31.6192, 6.11, 0.48],
+    [67703, 208.0203, -52.8115, 5.26, -0.08],
+    [67714, 208.0767, 12.1651, 6.10, 0.04],
+    [67778, 208.2852, 40.3380, 6.48, 1.55],
+    [67782, 208.2928, 28.6481, 5.91, 0.20],
+    [67786, 208.3022, -31.9276, 4.75, -0.11],
+    [67787, 208.3039, 17.9329, 5.71, 0.84],
+    [67819, 208.3865, -35.6642, 5.53, 0.44],
+    [67836, 208.4296, -53.3733, 5.87, 0.01],
+    [67848, 208.4626, 53.7287, 5.70, -0.03],
+    [67851, 208.4669, -35.3144, 6.17, 1.01],
+    [67861, 208.4885, -47.1282, 5.83, -0.05],
+    [67890, 208.5693, -28.5696, 6.05, 1.13],
+    [67927, 208.6712, 18.3977, 2.68, 0.58],
+    [67929, 208.6756, -1.5031, 5.16, 1.09],
+    [67942, 208.7046, -67.6521, 5.74, 1.49],
+    [67953, 208.7425, -8.0589, 6.19, 0.53],
+    [67973, 208.8006, -52.1608, 5.66, -0.07],
+    [68002, 208.8849, -47.2884, 2.55, -0.18],
+    [68009, 208.9120, -82.6662, 5.95, 1.41],
+    [68030, 208.9583, 14.0565, 6.16, 0.52],
+    [68065, 209.0436, 32.0326, 6.31, 0.40],
+    [68079, 209.0824, -46.5929, 5.82, 1.14],
+    [68080, 209.0832, -54.1324, 6.14, 0.07],
+    [68092, 209.1162, 1.0506, 5.90, 0.22],
+    [68101, 209.1373, -54.7047, 6.00, 0.78],
+    [68103, 209.1424, 27.4921, 5.02, 1.44],
+    [68177, 209.3655, -23.0226, 6.14, 1.43],
+    [68184, 209.3836, 61.4929, 6.49, 1.04],
+    [68191, 209.4120, -63.6867, 4.71, 1.07],
+    [68224, 209.4953, -25.9981, 6.42, 1.27],
+    [68245, 209.5678, -42.1008, 3.83, -0.22],
+    [68269, 209.6298, -24.9722, 5.20, -0.09],
+    [68270, 209.6302, -65.8007, 6.20, 1.04],
+    [68276, 209.6622, 21.6962, 5.76, -0.00],
+    [68279, 209.6663, 14.6493, 6.01, 1.43],
+    [68282, 209.6698, -44.8036, 3.87, -0.21],
+    [68333, 209.8228, -50.3696, 5.92, 0.96],
+    [68380, 209.9553, -3.5498, 6.36, 0.49],
+    [68390, 210.0005, -25.0104, 5.77, 0.48],
+    [68413, 210.0725, -61.4810, 6.49, 0.33],
+    [68431, 210.1367, -78.5900, 6.09, 0.01],
+    [68455, 210.2185, -66.2689, 5.96, 0.35],
+    [68478, 210.2937, 27.3866, 6.23, 0.19],
+    [68493, 210.3294, -40.2219, 6.12, 1.26],
+    [68498, 210.3351, 8.8949, 5.98, 0.09],
+    [68516, 210.4034, 17.6684, 6.36, 1.22],
+    [68520, 210.4116, 1.5445, 4.23, 0.12],
+    [68523, 210.4312, -45.6034, 4.34, 0.60],
+    [68537, 210.4610, 68.6787, 6.34, 1.41],
+    [68567, 210.5508, 45.7535, 6.28, 1.35],
+    [68581, 210.5949, -27.4298, 5.47, 1.33],
+    [68594, 210.6327, 9.6861, 6.18, 0.85],
+    [68637, 210.7490, 50.9718, 6.16, 0.03],
+    [68641, 210.7572, -31.6840, 6.18, 0.48],
+    [68643, 210.7670, -17.3670, 6.32, 1.38],
+    [68670, 210.8604, -56.2134, 5.93, 1.21],
+    [68673, 210.8644, -41.4233, 6.08, -0.11],
+    [68682, 210.8848, 10.7868, 6.27, 0.73],
+    [68687, 210.9032, 7.5462, 6.25, 0.93],
+    [68702, 210.9559, -60.3730, 0.61, -0.23],
+    [68705, 210.9712, -22.4216, 6.30, 0.45],
+    [68707, 210.9823, 4.9010, 6.24, 0.41],
+    [68739, 211.0607, -5.3814, 6.39, 1.32],
+    [68756, 211.0973, 64.3759, 3.67, -0.05],
+    [68763, 211.1124, -14.9717, 6.35, 1.08],
+    [68776, 211.1559, 2.2975, 6.28, 1.02],
+    [68815, 211.3328, -76.7968, 5.69, 1.24],
+    [68842, 211.4437, -54.6694, 6.20, 0.23],
+    [68862, 211.5115, -41.1796, 4.36, -0.20],
+    [68872, 211.5454, -43.0917, 6.18, 0.99],
+    [68895, 211.5929, -26.6824, 3.25, 1.09],
+    [68902, 211.6048, -59.7159, 6.39, 0.08],
+    [68933, 211.6706, -36.3700, 2.06, 1.01],
+    [68940, 211.6784, -9.3135, 5.46, 0.35],
+    [68956, 211.7349, 74.5938, 6.43, 0.16],
+    [69011, 211.9200, -48.7040, 6.43, 0.00],
+    [69012, 211.9230, -49.8676, 6.45, 0.66],
+    [69038, 211.9823, 43.8545, 5.13, 1.49],
+    [69065, 212.0596, -63.2080, 6.39, 1.01],
+    [69068, 212.0721, 49.4582, 5.26, 1.64],
+    [69090, 212.1132, -74.8503, 6.02, 0.58],
+    [69107, 212.1919, 59.3376, 6.47, 1.02],
+    [69112, 212.2122, 77.5475, 4.80, 1.37],
+    [69113, 212.2162, -43.4708, 6.19, -0.06],
+    [69122, 212.2344, -59.2767, 6.34, 0.03],
+    [69127, 212.2525, -10.3345, 6.45, 1.00],
+    [69174, 212.3960, -51.5047, 5.96, -0.05],
+    [69191, 212.4784, -53.4389, 4.74, 0.94],
+    [69226, 212.5997, 25.0917, 4.82, 0.54],
+    [69241, 212.6288, -70.3055, 6.07, 1.72],
+    [69269, 212.7104, -16.3020, 4.93, 1.68],
+    [69298, 212.7578, -69.7193, 6.07, 0.19],
+    [69316, 212.8130, 32.2959, 6.14, 1.26],
+    [69340, 212.8800, 1.3624, 6.42, 0.48],
+    [69373, 213.0167, 69.4325, 5.18, 1.59],
+    [69389, 213.0659, 2.4094, 4.99, -0.12],
+    [69398, 213.1024, -24.3634, 6.35, 1.35],
+    [69415, 213.1918, -27.2612, 5.07, 1.13],
+    [69427, 213.2239, -10.2737, 4.18, 1.32],
+    [69458, 213.3052, -26.6123, 6.23, 1.07],
+    [69462, 213.3184, -53.6657, 5.53, 1.44],
+    [69483, 213.3709, 51.7900, 4.53, 0.23],
+    [69491, 213.4159, -54.6256, 6.09, 0.05],
+    [69493, 213.4200, -0.8455, 5.89, 0.49],
+    [69536, 213.5216, 12.9594, 5.53, 0.54],
+    [69564, 213.5888, -5.9477, 6.36, 0.59],
+    [69569, 213.5981, 41.5188, 6.23, 1.07],
+    [69585, 213.6484, 13.9755, 6.45, 1.35],
+    [69592, 213.6707, 21.8734, 6.38, 0.19],
+    [69598, 213.6778, -41.8375, 5.61, 0.93],
+    [69612, 213.7119, 10.1006, 5.29, 1.01],
+    [69614, 213.7209, 3.3359, 6.41, 1.60],
+    [69618, 213.7381, -57.0861, 5.03, -0.07],
+    [69623, 213.7552, -29.2819, 6.10, 0.04],
+    [69655, 213.8388, -53.5099, 6.40, 1.58],
+    [69658, 213.8504, -18.2007, 5.53, 0.00],
+    [69671, 213.9112, -45.0008, 6.31, 0.60],
+    [69673, 213.9153, 19.1824, -0.05, 1.24],
+    [69701, 214.0036, -6.0005, 4.07, 0.51],
+    [69704, 214.0100, 45.5663, 6.50, 1.04],
+    [69713, 214.0414, 51.3672, 4.75, 0.24],
+    [69727, 214.0891, -6.6215, 6.44, 0.28],
+    [69732, 214.0959, 46.0883, 4.18, 0.09],
+    [69735, 214.1011, 39.7447, 6.38, 0.38],
+    [69747, 214.1257, -3.1963, 6.15, -0.01],
+    [69751, 214.1368, 20.1218, 6.25, 0.50],
+    [69763, 214.1613, -66.5879, 5.72, -0.10],
+    [69773, 214.2031, -8.8845, 6.47, 1.21],
+    [69778, 214.2298, -77.6642, 6.48, 1.38],
+    [69792, 214.2658, -18.5857, 6.22, 0.98],
+    [69818, 214.3381, 51.3074, 6.19, 0.07],
+    [69829, 214.3685, 15.2634, 5.84, 1.68],
+    [69862, 214.4550, 48.0020, 6.32, 0.47],
+    [69879, 214.4992, 35.5095, 4.80, 1.06],
+    [69881, 214.5030, -7.5424, 6.47, 0.72],
+    [69896, 214.5579, -81.0078, 4.89, 0.24],
+    [69929, 214.6594, -18.7160, 5.86, 0.01],
+    [69958, 214.7330, 54.8638, 6.47, 0.18],
+    [69965, 214.7537, -25.8154, 5.87, 0.52],
+    [69974, 214.7775, -13.3711, 4.52, 0.13],
+    [69977, 214.7798, -27.1411, 6.35, 1.59],
+    [69989, 214.8178, 13.0043, 5.41, 0.39],
+    [69995, 214.8495, -37.0029, 5.93, 0.08],
+    [69996, 214.8509, -46.0581, 3.55, -0.18],
+    [70012, 214.8853, -2.2655, 5.14, 1.02],
+    [70022, 214.9206, 0.3843, 6.18, 0.20],
+    [70027, 214.9385, 16.3069, 4.84, 1.23],
+    [70029, 214.9489, 38.7941, 6.33, 0.05],
+    [70035, 214.9646, -61.2730, 5.22, 0.28],
+    [70038, 214.9717, -6.7462, 6.42, 0.92],
+    [70051, 215.0361, 30.4291, 6.45, 0.16],
+    [70054, 215.0404, -43.0588, 5.55, 0.91],
+    [70069, 215.0814, -56.3865, 4.30, 0.08],
+    [70090, 215.1393, -37.8853, 4.05, -0.03],
+    [70104, 215.1774, -45.1871, 4.78, 0.31],
+    [70236, 215.5583, 29.3699, 6.50, 1.44],
+    [70243, 215.5822, -34.7868, 5.57, -0.09],
+    [70248, 215.5965, -80.1089, 5.06, -0.11],
+    [70264, 215.6545, -58.4591, 4.76, 0.80],
+    [70270, 215.6613, -48.3199, 6.10, -0.13],
+    [70300, 215.7593, -39.5118, 4.41, -0.18],
+    [70306, 215.7741, -27.7540, 4.78, 1.30],
+    [70310, 215.7784, 25.3382, 6.22, 0.41],
+    [70319, 215.8137, 1.2416, 6.25, 0.64],
+    [70320, 215.8140, -47.4170, 6.41, 1.26],
+    [70325, 215.8344, -50.7723, 6.03, 1.36],
+    [70327, 215.8446, 8.4466, 4.86, 0.01],
+    [70336, 215.8568, -11.7140, 6.22, 0.99],
+    [70363, 215.9524, -53.1762, 5.99, 1.10],
+    [70384, 216.0037, 8.2440, 5.94, 0.07],
+    [70385, 216.0083, 27.4132, 6.39, 1.61],
+    [70400, 216.0473, 5.8201, 5.10, 0.12],
+    [70414, 216.0761, 8.0846, 6.19, 1.21],
+    [70418, 216.0920, -82.8482, 6.42, -0.00],
+    [70451, 216.1701, -44.3111, 6.43, 1.05],
+    [70452, 216.1702, -11.6697, 6.49, 0.42],
+    [70469, 216.2026, -24.8063, 5.34, 0.96],
+    [70492, 216.2764, -68.1953, 5.56, 0.43],
+    [70497, 216.2992, 51.8507, 4.04, 0.50],
+    [70501, 216.3233, -13.3532, 6.49, 1.22],
+    [70517, 216.3715, 38.3931, 6.28, 1.23],
+    [70528, 216.4156, -66.1729, 6.36, 0.13],
+    [70538, 216.4490, -26.8522, 6.48, 0.94],
+    [70574, 216.5343, -45.2214, 4.56, -0.15],
+    [70576, 216.5451, -45.3793, 4.33, 0.43],
+    [70580, 216.5560, -42.3186, 6.33, 1.22],
+    [70602, 216.6140, 19.2269, 5.40, 0.23],
+    [70626, 216.7078, -39.8740, 6.36, -0.09],
+    [70638, 216.7301, -83.6679, 4.31, 1.30],
+    [70657, 216.7795, -65.8216, 5.87, 1.50],
+    [70663, 216.8007, -46.1343, 5.83, 0.31],
+    [70680, 216.8516, -6.1203, 6.18, 0.09],
+    [70692, 216.8814, 75.6960, 4.25, 1.43],
+    [70753, 217.0434, -29.4916, 4.97, -0.07],
+    [70755, 217.0506, -2.2280, 4.81, 0.69],
+    [70762, 217.0685, 36.1970, 6.22, 1.17],
+    [70791, 217.1576, 49.8449, 5.58, 0.86],
+    [70794, 217.1738, -6.9005, 5.42, 1.49],
+    [70798, 217.1812, -59.1975, 6.46, 0.11],
+    [70809, 217.2163, -47.9921, 6.40, -0.11],
+    [70873, 217.4034, 41.7959, 6.36, 0.70],
+    [70874, 217.4042, -76.7291, 6.06, 1.18],
+    [70892, 217.4570, 31.7912, 6.06, -0.01],
+    [70894, 217.4605, 0.8289, 5.96, 0.16],
+    [70915, 217.5360, -45.3214, 5.51, -0.09],
+    [70931, 217.5873, -49.5190, 5.38, 0.06],
+    [70949, 217.6891, 4.7723, 6.01, 1.42],
+    [70952, 217.6920, 63.1858, 6.10, 0.43],
+    [70966, 217.7359, -40.8451, 6.39, 1.44],
+    [70987, 217.7952, -38.8697, 5.99, 1.06],
+    [71002, 217.8185, -67.7172, 5.84, 1.01],
+    [71040, 217.9284, 60.2256, 6.26, 0.24],
+    [71053, 217.9575, 30.3714, 3.57, 1.30],
+    [71075, 218.0195, 38.3083, 3.04, 0.19],
+    [71094, 218.0843, 26.6773, 6.00, 0.23],
+    [71111, 218.1289, 55.3980, 5.74, 1.53],
+    [71115, 218.1356, 22.2601, 5.91, 0.39],
+    [71121, 218.1544, -50.4572, 4.44, -0.18],
+    [71154, 218.2902, -30.7151, 6.07, 1.03],
+    [71168, 218.3345, 36.9590, 6.39, 0.52],
+    [71182, 218.3749, -52.6795, 5.86, 1.08],
+    [71184, 218.3849, -54.9986, 5.86, 0.48],
+    [71196, 218.4096, 79.6604, 6.27, 1.31],
+    [71243, 218.5488, 32.5345, 6.32, 0.45],
+    [71251, 218.5664, 57.0653, 6.46, 0.53],
+    [71277, 218.6604, 36.6261, 6.02, 1.38],
+    [71280, 218.6651, 49.3684, 5.74, 1.56],
+    [71284, 218.6701, 29.7451, 4.47, 0.36],
+    [71295, 218.7114, -20.4394, 6.49, 0.14],
+    [71333, 218.8210, -60.0156, 6.39, 1.26],
+    [71352, 218.8768, -42.1578, 2.33, -0.16],
+    [71353, 218.8812, -41.5174, 5.88, -0.09],
+    [71406, 219.0286, 23.2504, 6.39, 1.06],
+    [71419, 219.0793, -46.2455, 5.55, 1.49],
+    [71429, 219.1004, -39.5974, 6.13, 1.05],
+    [71453, 219.1839, -40.2116, 5.74, -0.11],
+    [71469, 219.2491, -12.3053, 6.20, 0.46],
+    [71494, 219.3017, -53.0608, 6.49, 1.45],
+    [71500, 219.3340, -46.1334, 5.39, 0.93],
+    [71510, 219.3686, 2.2772, 6.45, 0.56],
+    [71530, 219.4427, -67.9320, 6.03, 0.51],
+    [71536, 219.4718, -49.4258, 4.05, -0.15],
+    [71568, 219.5525, 43.6421, 5.74, 1.48],
+    [71571, 219.5583, 18.2984, 5.90, 1.10],
+    [71573, 219.5634, 54.0233, 5.83, 0.01],
+    [71581, 219.5807, -38.7942, 6.04, 1.42],
+    [71618, 219.7093, 44.4045, 5.39, 0.03],
+    [71639, 219.7952, -46.5845, 6.06, 0.51],
+    [71658, 219.8520, -49.0553, 6.37, 0.44],
+    [71681, 219.8962, -60.8372, 1.35, 0.90],
+    [71683, 219.9021, -60.8340, -0.01, 0.71],
+    [71729, 220.0911, 21.9759, 6.13, 0.43],
+    [71746, 220.1365, -56.4408, 6.30, 1.17],
+    [71759, 220.1766, 13.5343, 5.93, 0.24],
+    [71762, 220.1815, 16.4183, 4.49, -0.00],
+    [71783, 220.2558, -36.1349, 5.67, -0.08],
+    [71795, 220.2873, 13.7283, 3.78, 0.04],
+    [71832, 220.4115, 8.1618, 4.86, 0.99],
+    [71837, 220.4313, 11.6607, 5.55, 0.94],
+    [71853, 220.4635, -30.9332, 6.38, -0.08],
+    [71857, 220.4760, 21.1236, 6.40, 0.93],
+    [71860, 220.4823, -47.3882, 2.30, -0.15],
+    [71861, 220.4832, -58.6158, 6.21, 0.45],
+    [71865, 220.4900, -37.7935, 4.01, -0.16],
+    [71870, 220.4988, -77.0115, 6.34, -0.03],
+    [71876, 220.5135, 61.2619, 6.24, 0.41],
+    [71908, 220.6267, -64.9751, 3.18, 0.26],
+    [71957, 220.7651, -5.6582, 3.87, 0.39],
+    [71974, 220.8065, -24.9978, 5.70, 0.01],
+    [71995, 220.8557, 26.5279, 4.80, 1.67],
+    [72000, 220.8673, -62.9667, 6.39, -0.09],
+    [72010, 220.9143, -35.1737, 4.06, 1.36],
+    [72012, 220.9351, 40.4593, 5.72, 1.40],
+    [72097, 221.2311, -58.4775, 6.10, 1.01],
+    [72104, 221.2467, -35.1918, 4.92, 0.01],
+    [72105, 221.2467, 27.0742, 2.35, 0.97],
+    [72121, 221.2957, -55.6016, 6.10, -0.07],
+    [72122, 221.2988, -1.4175, 6.06, 1.61],
+    [72124, 221.3071, 32.7883, 6.27, 1.61],
+    [72125, 221.3103, 16.9643, 4.60, 0.97],
+    [72131, 221.3222, -62.8756, 5.36, 0.31],
+    [72135, 221.3284, -51.3149, 6.44, 1.59],
+    [72139, 221.3358, 18.8850, 6.15, 0.84],
+    [72154, 221.3759, 0.7173, 5.68, -0.02],
+    [72194, 221.4907, -15.4595, 6.33, 1.19],
+    [72197, 221.5003, -25.4432, 5.15, 0.32],
+    [72208, 221.5248, 15.1318, 5.78, 1.33],
+    [72210, 221.5282, -23.1530, 5.80, 0.98],
+    [72217, 221.5453, -21.1760, 6.43, 0.60],
+    [72220, 221.5622, 1.8929, 3.73, -0.01],
+    [72250, 221.6208, -47.4411, 5.74, 0.07],
+    [72290, 221.7554, -52.3835, 5.22, 0.98],
+    [72296, 221.7712, -38.2906, 5.90, 1.34],
+    [72308, 221.8024, -52.2053, 6.07, 0.08],
+    [72310, 221.8069, -21.3249, 6.05, 1.65],
+    [72323, 221.8440, -25.6243, 5.61, -0.04],
+    [72338, 221.8837, -43.5568, 6.30, 1.07],
+    [72357, 221.9367, -26.0875, 5.23, 0.94],
+    [72370, 221.9655, -79.0448, 3.83, 1.43],
+    [72373, 221.9790, -12.8400, 6.34, 1.10],
+    [72378, 221.9898, -26.6462, 5.76, -0.01],
+    [72412, 222.0973, 24.3669, 6.15, 0.51],
+    [72432, 222.1585, -36.6347, 5.89, 1.37],
+    [72438, 222.1856, -66.5936, 5.91, -0.11],
+    [72449, 222.2254, -0.8477, 6.15, -0.03],
+    [72469, 222.2781, 37.8112, 6.15, 0.39],
+    [72471, 222.2794, -56.6678, 6.21, 1.11],
+    [72487, 222.3278, 46.1162, 5.76, 0.48],
+    [72488, 222.3281, -24.2515, 5.68, 1.27],
+    [72489, 222.3294, -14.1490, 5.32, 0.07],
+    [72508, 222.3849, 51.3745, 6.49, 0.40],
+    [72518, 222.4044, -68.9362, 6.50, -0.10],
+    [72524, 222.4221, 48.7208, 5.68, 0.50],
+    [72552, 222.4933, 28.6158, 5.80, 0.05],
+    [72567, 222.5659, 23.9118, 5.86, 0.58],
+    [72571, 222.5721, -27.9604, 4.42, 1.37],
+    [72573, 222.5851, 82.5119, 5.63, 0.67],
+    [72582, 222.6235, 37.2720, 5.47, 1.03],
+    [72603, 222.6716, -15.9972, 5.15, 0.40],
+    [72607, 222.6764, 74.1555, 2.07, 1.47],
+    [72622, 222.7196, -16.0418, 2.75, 0.15],
+    [72629, 222.7504, -0.2575, 6.18, 1.40],
+    [72631, 222.7545, -2.2992, 4.93, 0.99],
+    [72659, 222.8474, 19.1005, 4.54, 0.72],
+    [72664, 222.8602, 59.2940, 5.48, 1.37],
+    [72670, 222.8751, -77.1760, 6.44, -0.02],
+    [72683, 222.9096, -43.5754, 4.32, -0.15],
+    [72702, 222.9638, -18.3553, 6.27, 1.09],
+    [72772, 223.1379, -30.5773, 6.30, 0.60],
+    [72773, 223.1469, -63.8098, 5.91, 0.66],
+    [72800, 223.2128, -37.8032, 5.02, -0.15],
+    [72833, 223.3066, -73.1901, 5.59, 0.82],
+    [72846, 223.3473, 15.7052, 6.41, 0.57],
+    [72848, 223.3490, 19.1528, 6.00, 0.84],
+    [72929, 223.5839, -24.6422, 5.27, 1.34],
+    [72934, 223.5953, -11.8983, 5.78, 0.98],
+    [72959, 223.6580, -33.3006, 5.85, 1.43],
+    [72965, 223.6774, -65.9911, 6.09, -0.06],
+    [72983, 223.7251, -69.8610, 6.38, -0.06],
+    [73036, 223.8940, -60.1142, 5.18, 1.16],
+    [73049, 223.9363, -33.8558, 5.32, 0.05],
+    [73068, 223.9941, 32.3001, 6.12, 0.11],
+    [73087, 224.0551, 14.4463, 5.90, -0.03],
+    [73095, 224.0719, -52.8095, 5.38, 0.14],
+    [73100, 224.0960, 49.6284, 5.63, 0.53],
+    [73107, 224.1286, -32.6368, 6.06, 1.41],
+    [73111, 224.1336, -47.8792, 5.62, -0.04],
+    [73116, 224.1490, -39.4160, 6.36, 0.06],
+    [73118, 224.1597, -62.3644, 6.39, -0.06],
+    [73129, 224.1833, -62.7810, 5.08, -0.02],
+    [73133, 224.1921, -11.4097, 5.48, 1.49],
+    [73156, 224.2650, 21.5554, 6.50, 0.01],
+    [73165, 224.2958, -4.3465, 4.47, 0.32],
+    [73166, 224.2987, 16.3881, 5.72, 0.95],
+    [73171, 224.3071, -29.1577, 6.28, -0.01],
+    [73184, 224.3667, -21.4155, 5.72, 1.02],
+    [73193, 224.3885, -0.1676, 5.51, 1.13],
+    [73199, 224.3959, 65.9325, 4.63, 1.59],
+    [73223, 224.4708, -76.6627, 5.37, 1.44],
+    [73241, 224.5367, -48.8630, 6.34, 0.71],
+    [73273, 224.6330, -43.1340, 2.68, -0.18],
+    [73279, 224.6522, -39.9072, 6.17, 1.22],
+    [73284, 224.6636, -27.6573, 5.65, 0.26],
+    [73309, 224.7199, -4.9893, 6.08, 0.51],
+    [73310, 224.7233, -11.1440, 5.88, 1.27],
+    [73334, 224.7904, -42.1042, 3.13, -0.21],
+    [73341, 224.8080, -37.8812, 6.45, -0.08],
+    [73350, 224.8463, 4.5678, 5.91, 1.61],
+    [73354, 224.8633, -43.1598, 6.10, 0.60],
+    [73369, 224.9039, 39.2653, 5.64, 0.34],
+    [73394, 224.9823, -75.0327, 6.20, -0.04],
+    [73415, 225.0471, -77.1606, 5.92, 1.05],
+    [73454, 225.1613, 47.2774, 6.35, -0.10],
+    [73464, 225.2178, 22.0456, 6.29, 1.18],
+    [73473, 225.2431, -8.5189, 4.91, 0.00],
+    [73493, 225.3046, -38.0584, 5.88, 1.25],
+    [73497, 225.3326, -2.7549, 5.52, 1.69],
+    [73507, 225.3629, 60.2045, 5.91, 0.11],
+    [73536, 225.4538, -0.1403, 5.71, 1.51],
+    [73540, 225.4617, -83.2276, 5.65, 0.96],
+    [73555, 225.4865, 40.3906, 3.49, 0.96],
+    [73559, 225.4920, -34.3589, 6.21, 0.24],
+    [73566, 225.5268, -28.0606, 5.83, 0.16],
+    [73568, 225.5271, 25.0081, 4.80, 1.51],
+    [73571, 225.5357, -7.5753, 6.38, 0.18],
+    [73620, 225.7252, 2.0913, 4.39, 1.03],
+    [73624, 225.7470, -32.6433, 5.45, -0.13],
+    [73634, 225.7752, 35.2058, 5.52, 1.02],
+    [73695, 225.9471, 47.6541, 4.83, 0.65],
+    [73706, 225.9907, 65.9197, 6.22, 0.06],
+    [73714, 226.0176, -25.2820, 3.25, 1.67],
+    [73745, 226.1114, 26.9476, 4.52, 1.24],
+    [73764, 226.1787, -40.8613, 6.29, 1.39],
+    [73771, 226.1955, -83.0383, 5.65, 1.27],
+    [73776, 226.2008, -64.0314, 5.16, 0.94],
+    [73807, 226.2795, -47.0512, 3.91, -0.14],
+    [73826, 226.3299, -41.0672, 5.13, 1.01],
+    [73841, 226.3576, 48.1510, 5.59, -0.01],
+    [73850, 226.3913, -30.5509, 6.48, 0.49],
+    [73881, 226.5101, -48.8834, 6.48, -0.14],
+    [73901, 226.5581, -36.2646, 6.27, 1.66],
+    [73909, 226.5697, 54.5563, 5.24, 0.96],
+    [73927, 226.6131, -22.0318, 6.13, 1.04],
+    [73937, 226.6383, -30.9185, 5.97, -0.08],
+    [73941, 226.6464, 36.4561, 6.35, 0.54],
+    [73945, 226.6567, -16.2568, 5.19, 1.59],
+    [73953, 226.7044, -16.4844, 6.41, 0.16],
+    [73966, 226.7332, -52.0298, 6.40, -0.11],
+    [73996, 226.8253, 24.8692, 4.93, 0.43],
+    [74000, 226.8349, 18.4418, 6.03, 0.07],
+    [74006, 226.8581, -49.0886, 5.77, 0.92],
+    [74026, 226.9180, 5.4980, 6.16, 0.92],
+    [74044, 226.9840, -61.1287, 6.49, 0.43],
+    [74047, 226.9865, -65.2754, 6.18, 1.47],
+    [74066, 227.0505, -40.5839, 5.75, -0.11],
+    [74083, 227.0814, 50.0550, 6.33, 1.05],
+    [74087, 227.0991, 26.3012, 5.67, 1.24],
+    [74096, 227.1482, 25.1086, 5.82, 1.23],
+    [74100, 227.1633, -42.8679, 5.85, -0.12],
+    [74117, 227.2109, -45.2799, 4.07, -0.16],
+    [74121, 227.2230, 13.2352, 6.16, 0.97],
+    [74181, 227.3563, -63.6429, 6.25, 0.06],
+    [74184, 227.3746, -67.0841, 5.76, 0.68],
+    [74224, 227.5305, -38.7925, 5.98, 0.87],
+    [74239, 227.5776, -26.3326, 5.75, 1.04],
+    [74272, 227.6851, 67.7810, 6.18, 0.14],
+    [74273, 227.6864, -61.4223, 6.29, 0.62],
+    [74296, 227.7867, -84.7878, 5.88, -0.03],
+    [74305, 227.8166, -55.3460, 5.45, 1.12],
+    [74336, 227.8950, -45.2775, 6.44, 1.04],
+    [74376, 227.9836, -48.7378, 3.88, -0.03],
+    [74380, 227.9903, -48.7437, 5.70, 0.14],
+    [74386, 228.0178, 18.9760, 5.90, 1.41],
+    [74391, 228.0500, -19.1065, 6.49, 1.51],
+    [74392, 228.0554, -19.7917, 4.54, -0.07],
+    [74395, 228.0712, -52.0992, 3.41, 0.92],
+    [74418, 228.1300, -48.2190, 6.32, 1.11],
+    [74421, 228.1416, -72.7706, 6.02, -0.00],
+    [74441, 228.1965, 10.7023, 6.50, 1.27],
+    [74449, 228.2066, -44.5004, 4.83, -0.18],
+    [74470, 228.2543, -61.7438, 6.27, 1.90],
+    [74479, 228.2819, -36.0914, 6.09, -0.08],
+    [74490, 228.3225, -24.0083, 6.47, -0.03],
+    [74493, 228.3300, -19.6476, 6.07, 0.12],
+    [74500, 228.3694, -25.3093, 6.47, 0.69],
+    [74505, 228.3828, 22.9834, 6.31, 0.06],
+    [74514, 228.3983, 38.2647, 6.19, 1.22],
+    [74539, 228.4721, -26.1936, 5.84, 1.14],
+    [74552, 228.4966, -61.3430, 6.36, -0.04],
+    [74561, 228.5252, 31.7878, 5.98, 1.55],
+    [74571, 228.5430, 42.1714, 6.12, 1.64],
+    [74582, 228.5799, -70.0795, 5.75, 3.27],
+    [74596, 228.6215, 29.1643, 5.28, 0.06],
+    [74600, 228.6407, -17.7686, 6.18, -0.01],
+    [74604, 228.6555, -31.5191, 4.91, 0.37],
+    [74605, 228.6597, 67.3467, 5.15, 0.55],
+    [74623, 228.7108, -5.5026, 6.28, 1.47],
+    [74649, 228.7973, 4.9394, 5.32, 1.09],
+    [74666, 228.8757, 33.3148, 3.46, 0.96],
+    [74689, 228.9545, 0.3721, 5.62, 0.18],
+    [74690, 228.9613, 50.9385, 6.47, 0.85],
+    [74695, 228.9732, 6.4648, 6.47, 1.31],
+    [74696, 228.9736, -48.0737, 5.96, 0.21],
+    [74707, 229.0168, -41.4912, 5.15, 0.56],
+    [74716, 229.0436, -43.4850, 6.05, -0.13],
+    [74732, 229.0959, -22.3994, 5.52, 1.36],
+    [74750, 229.1529, -60.9040, 5.74, -0.06],
+    [74769, 229.2158, -47.8645, 6.46, 0.93],
+    [74775, 229.2290, -46.2024, 6.44, 0.51],
+    [74778, 229.2371, -60.9573, 5.04, -0.08],
+    [74785, 229.2517, -9.3829, 2.61, -0.07],
+    [74793, 229.2745, 71.8239, 5.02, 1.37],
+    [74824, 229.3785, -58.8012, 4.07, 0.09],
+    [74837, 229.4120, -63.6105, 4.85, 1.26],
+    [74857, 229.4577, -30.1487, 4.35, 1.10],
+    [74875, 229.5392, -41.0612, 6.30, 0.18],
+    [74895, 229.5943, 0.9394, 6.50, 1.60],
+    [74896, 229.6021, 20.5728, 5.68, 0.97],
+    [74901, 229.6089, -0.4612, 5.88, 1.51],
+    [74911, 229.6334, -47.8753, 4.27, -0.09],
+    [74929, 229.6721, -31.2093, 6.18, 1.21],
+    [74941, 229.7048, -60.4963, 5.43, -0.09],
+    [74946, 229.7274, -68.6795, 2.87, 0.01],
+    [74950, 229.7349, -40.7882, 5.59, -0.10],
+    [74975, 229.8283, 1.7654, 5.04, 0.54],
+    [75000, 229.8752, 32.5149, 6.33, 0.23],
+    [75003, 229.8822, -37.0972, 6.19, 0.96],
+    [75043, 230.0215, 51.9585, 5.65, 0.12],
+    [75049, 230.0357, 29.6162, 5.51, 1.01],
+    [75091, 230.1690, -67.4815, 6.27, -0.09],
+    [75093, 230.1737, 44.4344, 6.14, 0.37],
+    [75097, 230.1821, 71.8340, 3.00, 0.06],
+    [75101, 230.1959, -2.4133, 6.34, 1.06],
+    [75110, 230.2237, -18.1587, 6.16, 1.02],
+    [75118, 230.2557, -15.5483, 6.14, 0.39],
+    [75119, 230.2583, 0.7153, 5.35, 1.19],
+    [75125, 230.2787, 24.9580, 6.36, 1.26],
+    [75127, 230.2817, -5.8249, 5.54, 1.05],
+    [75141, 230.3430, -40.6475, 3.22, -0.23],
+    [75164, 230.3971, -40.7495, 6.21, 0.07],
+    [75177, 230.4515, -36.2614, 3.57, 1.53],
+    [75178, 230.4524, 32.9337, 5.38, -0.05],
+    [75181, 230.4506, -48.3176, 5.65, 0.64],
+    [75206, 230.5345, -47.9278, 4.99, 0.52],
+    [75230, 230.5968, 12.5675, 6.29, -0.01],
+    [75256, 230.6552, 62.0471, 5.99, -0.03],
+    [75257, 230.6557, 39.5815, 5.56, 1.63],
+    [75260, 230.6601, 63.3414, 5.72, 1.31],
+    [75264, 230.6703, -44.6896, 3.37, -0.19],
+    [75272, 230.6884, -29.3419, 6.50, 1.01],
+    [75294, 230.7574, -15.1340, 6.46, 1.60],
+    [75304, 230.7890, -36.8585, 4.54, -0.15],
+    [75308, 230.7938, -60.6572, 5.65, 0.49],
+    [75312, 230.8013, 30.2878, 4.99, 0.58],
+    [75323, 230.8444, -59.3208, 4.48, 0.17],
+    [75324, 230.8541, -46.1404, 6.49, 0.94],
+    [75342, 230.9321, -1.0224, 6.11, 0.26],
+    [75352, 230.9677, -12.3695, 5.72, 1.04],
+    [75369, 231.0213, 45.2710, 6.07, 1.21],
+    [75379, 231.0495, -10.3223, 4.92, 0.45],
+    [75411, 231.1226, 37.3772, 4.31, 0.31],
+    [75439, 231.1875, -39.7103, 5.36, -0.09],
+    [75458, 231.2324, 58.9661, 3.29, 1.17],
+    [75501, 231.3342, -38.7336, 4.60, 0.00],
+    [75530, 231.4475, 15.4280, 5.16, 1.65],
+    [75535, 231.4720, 19.4807, 6.26, 0.62],
+    [75565, 231.5613, -68.3092, 5.89, 1.00],
+    [75572, 231.5724, 34.3360, 5.46, 1.41],
+    [75587, 231.6341, 54.0203, 6.44, 0.08],
+    [75647, 231.8255, -36.7676, 5.46, -0.15],
+    [75665, 231.8878, -64.5315, 5.71, 1.65],
+    [75674, 231.9120, 25.1016, 6.01, 1.65],
+    [75695, 231.9572, 29.1057, 3.66, 0.32],
+    [75696, 231.9643, 60.6702, 5.90, 1.44],
+    [75730, 232.0642, -16.7165, 5.64, 1.54],
+    [75736, 232.0796, -88.1330, 6.49, 0.30],
+    [75742, 232.1134, -51.5979, 6.10, 1.07],
+    [75761, 232.1593, 1.8421, 5.15, 0.24],
+    [75770, 232.1850, 47.2015, 6.15, 0.10],
+    [75788, 232.2368, 55.1949, 6.45, 0.08],
+    [75790, 232.2444, -28.8669, 6.43, 0.61],
+    [75810, 232.3005, 16.3956, 6.38, 0.95],
+    [75818, 232.3303, -38.6350, 6.44, 0.35],
+    [75822, 232.3379, 62.0995, 6.32, 1.37],
+    [75828, 232.3511, -46.7327, 5.26, 1.73],
+    [75915, 232.5887, -41.9190, 6.23, -0.01],
+    [75919, 232.5949, 31.2859, 6.45, 0.20],
+    [75939, 232.6511, -20.7286, 6.20, 0.19],
+    [75944, 232.6683, -16.6095, 5.82, 1.06],
+    [75959, 232.7049, -71.6541, 6.39, -0.11],
+    [75973, 232.7323, 40.8330, 5.04, 1.59],
+    [75974, 232.7324, 64.2087, 5.74, 0.98],
+    [76006, 232.8429, 36.6166, 6.39, 0.53],
+    [76008, 232.8539, 77.3494, 5.00, 1.54],
+    [76013, 232.8784, -73.3896, 5.40, -0.15],
+    [76033, 232.9309, -20.1649, 6.28, 0.22],
+    [76041, 232.9458, 40.8993, 4.98, 0.09],
+    [76048, 232.9593, -32.8811, 6.49, 0.07],
+    [76063, 233.0174, -38.6225, 6.23, 0.21],
+    [76069, 233.0403, 16.0562, 6.22, -0.04],
+    [76106, 233.1529, -19.6705, 5.50, 0.20],
+    [76126, 233.2301, -16.8528, 5.53, -0.15],
+    [76127, 233.2324, 31.3591, 4.14, -0.13],
+    [76133, 233.2414, -1.1864, 5.50, 1.09],
+    [76143, 233.2896, -24.4904, 6.26, 0.33],
+    [76165, 233.3514, -40.4909, 6.40, 1.02],
+    [76198, 233.4696, 17.1374, 6.49, 0.34],
+    [76207, 233.5071, -40.0664, 5.82, 1.70],
+    [76219, 233.5446, -10.0645, 4.61, 1.00],
+    [76234, 233.5869, -39.3492, 6.36, -0.02],
+    [76243, 233.6105, -9.1834, 5.16, -0.09],
+    [76259, 233.6555, -28.0470, 5.13, 1.31],
+    [76267, 233.6720, 26.7147, 2.22, 0.03],
+    [76276, 233.7006, 10.5389, 3.80, 0.27],
+    [76297, 233.7852, -41.1668, 2.80, -0.22],
+    [76307, 233.8122, 39.0101, 5.14, 1.65],
+    [76311, 233.8175, 53.9221, 5.97, 1.18],
+    [76333, 233.8816, -14.7895, 3.91, 1.01],
+    [76337, 233.8885, 17.6556, 6.10, 0.97],
+    [76366, 233.9550, 38.3739, 6.30, 1.31],
+    [76371, 233.9719, -44.9584, 4.55, -0.17],
+    [76372, 233.9724, 11.2657, 6.04, 1.13],
+    [76376, 233.9877, 54.6306, 5.77, 0.05],
+    [76395, 234.0473, -33.0928, 6.26, -0.07],
+    [76397, 234.0504, -44.3968, 5.44, 1.50],
+    [76424, 234.1218, 16.1191, 5.93, 0.35],
+    [76425, 234.1232, 10.0102, 5.26, 0.93],
+    [76440, 234.1801, -66.3170, 4.11, 1.16],
+    [76456, 234.2226, 29.9912, 6.46, 0.43],
+    [76470, 234.2560, -28.1351, 3.60, 1.36],
+    [76503, 234.3687, -26.2799, 6.19, -0.01],
+    [76509, 234.3834, 54.5087, 5.85, 1.10],
+    [76519, 234.4130, 69.2833, 5.65, 1.37],
+    [76532, 234.4502, -23.1417, 5.79, 1.07],
+    [76534, 234.4567, 40.3534, 5.25, 0.89],
+    [76552, 234.5134, -42.5673, 4.34, 1.41],
+    [76567, 234.5659, -28.2067, 6.32, 1.18],
+    [76568, 234.5676, 46.7978, 5.76, 0.35],
+    [76569, 234.5678, -21.0163, 5.82, 1.08],
+    [76594, 234.6425, 50.4233, 5.84, 0.85],
+    [76600, 234.6640, -29.7778, 3.66, -0.18],
+    [76603, 234.6670, -8.7915, 6.45, 0.51],
+    [76608, 234.6757, -39.1277, 6.05, 0.20],
+    [76617, 234.7035, 34.6750, 6.12, 1.04],
+    [76618, 234.7061, -52.3727, 5.43, 0.01],
+    [76628, 234.7273, -19.3019, 5.36, 0.88],
+    [76651, 234.7897, 57.9244, 6.45, 1.10],
+    [76664, 234.8267, -77.9180, 6.19, 1.21],
+    [76666, 234.8390, -23.1502, 6.33, 0.02],
+    [76669, 234.8445, 36.6358, 4.64, -0.10],
+    [76705, 234.9416, -34.4119, 4.66, 0.96],
+    [76716, 234.9856, -59.9083, 5.95, 0.51],
+    [76733, 235.0431, 12.0529, 6.22, 0.97],
+    [76736, 235.0481, -70.2279, 6.45, 0.08],
+    [76739, 235.0647, -31.2138, 6.35, 1.42],
+    [76742, 235.0704, -23.8181, 4.97, 1.30],
+    [76750, 235.0889, -73.4467, 5.64, -0.04],
+    [76809, 235.2426, -47.7361, 6.21, 1.62],
+    [76810, 235.2463, 16.0246, 6.00, 0.91],
+    [76829, 235.2974, -44.6612, 4.64, 0.41],
+    [76852, 235.3877, 19.6704, 4.51, 0.06],
+    [76866, 235.4476, 12.8475, 5.34, 0.03],
+    [76877, 235.4778, -76.0820, 5.95, -0.03],
+    [76878, 235.4780, 18.4640, 5.80, 0.21],
+    [76880, 235.4867, -19.6788, 4.75, 1.57],
+    [76935, 235.6551, -49.4896, 6.02, 1.31],
+    [76939, 235.6596, -37.4249, 5.23, 0.99],
+    [76945, 235.6709, -34.7104, 4.75, -0.15],
+    [76952, 235.6857, 26.2956, 3.81, 0.02],
+    [76957, 235.7115, 52.3609, 5.48, -0.04],
+    [76985, 235.7939, 13.6677, 6.48, 0.87],
+    [76996, 235.8205, -84.4653, 5.57, 0.12],
+    [77007, 235.8536, -15.0432, 6.30, 1.12],
+    [77042, 235.9803, -60.2872, 6.46, 1.02],
+    [77048, 235.9971, 32.5158, 5.57, 1.08],
+    [77052, 236.0076, 2.5152, 5.86, 0.68],
+    [77055, 236.0147, 77.7945, 4.29, 0.04],
+    [77060, 236.0183, -15.6728, 5.41, 0.24],
+    [77070, 236.0670, 6.4256, 2.63, 1.17],
+    [77086, 236.0945, -41.8191, 5.93, -0.01],
+    [77111, 236.1755, 17.2642, 6.15, 0.00],
+    [77138, 236.2482, -50.7855, 6.41, 0.16],
+    [77163, 236.3478, 5.4473, 5.57, 0.04],
+    [77186, 236.4146, 0.8910, 6.32, 1.20],
+    [77227, 236.5235, -1.8042, 5.39, -0.04],
+    [77233, 236.5469, 15.4218, 3.65, 0.07],
+    [77235, 236.5535, -28.0615, 6.49, 0.33],
+    [77257, 236.6109, 7.3531, 4.42, 0.60],
+    [77272, 236.6448, 55.4748, 5.94, 1.40],
+    [77277, 236.6667, 62.5996, 5.19, 0.06],
+    [77286, 236.6842, -34.6825, 5.61, -0.12],
+    [77287, 236.6893, -6.1204, 6.24, 1.17],
+    [77336, 236.8222, 14.1153, 5.71, 0.09],
+    [77350, 236.8563, -40.1942, 6.41, 0.88],
+    [77358, 236.8713, -37.9163, 6.01, 0.71],
+    [77370, 236.9080, 55.3766, 5.85, 0.25],
+    [77390, 236.9711, -65.4423, 5.54, 0.23],
+    [77397, 237.0075, 31.7356, 6.41, 1.52],
+    [77412, 237.0554, 13.7891, 5.98, 1.27],
+    [77442, 237.1434, 28.1567, 5.89, 0.61],
+    [77450, 237.1849, 18.1416, 4.09, 1.62],
+    [77454, 237.2101, -52.4383, 6.05, 1.39],
+    [77464, 237.2367, -3.8185, 5.53, 0.12],
+    [77512, 237.3985, 26.0684, 4.59, 0.79],
+    [77516, 237.4050, -3.4302, 3.54, -0.04],
+    [77541, 237.4896, -48.9124, 5.86, 0.07],
+    [77562, 237.5295, -53.2098, 5.78, -0.08],
+    [77574, 237.5680, -45.4017, 6.11, 0.30],
+    [77578, 237.5731, 2.1965, 5.21, 1.02],
+    [77622, 237.7040, 4.4777, 3.71, 0.15],
+    [77634, 237.7397, -33.6272, 3.97, -0.04],
+    [77635, 237.7448, -25.7513, 4.63, -0.07],
+    [77645, 237.7784, -55.0555, 5.74, 0.02],
+    [77655, 237.8080, 35.6574, 4.79, 1.00],
+    [77660, 237.8150, -3.0905, 5.09, 0.14],
+    [77661, 237.8163, 20.9779, 4.74, 1.53],
+    [77678, 237.8809, -47.0608, 6.00, 1.15],
+    [77689, 237.9100, -14.1336, 6.20, 1.01],
+    [77729, 238.0533, -29.8866, 6.39, 0.99],
+    [77738, 238.0690, 55.8267, 5.81, 0.97],
+    [77760, 238.1689, 42.4515, 4.60, 0.56],
+    [77782, 238.2338, 17.4031, 6.29, 1.24],
+    [77801, 238.3004, 13.1966, 6.07, 0.60],
+    [77811, 238.3336, -20.1670, 5.04, -0.01],
+    [77817, 238.3455, -62.6066, 6.22, 1.47],
+    [77835, 238.3953, 16.0749, 6.21, 0.41],
+    [77840, 238.4030, -25.3271, 4.59, -0.07],
+    [77853, 238.4564, -16.7293, 4.13, 1.00],
+    [77858, 238.4746, -24.5332, 5.38, -0.01],
+    [77859, 238.4828, -23.9781, 5.41, -0.03],
+    [77900, 238.6255, -27.3386, 6.15, -0.07],
+    [77902, 238.6442, 20.3110, 5.45, 1.59],
+    [77907, 238.6577, 43.1386, 5.35, 1.65],
+    [77909, 238.6647, -25.2437, 5.87, -0.07],
+    [77910, 238.6678, 8.5803, 6.28, 0.17],
+    [77927, 238.7193, -60.7437, 6.14, 0.12],
+    [77939, 238.7515, -19.3829, 5.95, -0.01],
+    [77952, 238.7857, -63.4307, 2.83, 0.32],
+    [77982, 238.8733, -68.6030, 5.11, 1.11],
+    [77984, 238.8753, -26.2660, 5.63, 0.14],
+    [77985, 238.8772, -31.0836, 6.21, 1.37],
+    [77986, 238.8775, 42.5662, 5.73, -0.10],
+    [77990, 238.8849, -60.1776, 5.78, 0.35],
+    [77995, 238.9161, 18.6207, 6.26, -0.09],
+    [78012, 238.9483, 37.9470, 5.43, 0.35],
+    [78017, 238.9568, 58.9118, 6.31, -0.03],
+    [78045, 239.0246, -60.4825, 5.76, 0.09],
+    [78046, 239.0285, -39.8644, 6.04, 0.13],
+    [78058, 239.0585, -31.7859, 6.29, 0.46],
+    [78059, 239.0601, -14.3994, 6.32, 0.48],
+    [78072, 239.1133, 15.6616, 3.85, 0.48],
+    [78078, 239.1391, -14.8294, 6.11, 0.24],
+    [78104, 239.2212, -29.2141, 3.87, -0.20],
+    [78105, 239.2229, -33.9661, 5.14, 0.13],
+    [78106, 239.2255, -33.9643, 5.59, 0.07],
+    [78117, 239.2661, -48.1622, 6.31, 0.38],
+    [78132, 239.3107, 14.4145, 5.54, 1.14],
+    [78142, 239.3389, -36.1853, 5.78, 1.09],
+    [78153, 239.3743, 39.6951, 6.30, 1.11],
+    [78159, 239.3969, 26.8779, 4.14, 1.23],
+    [78168, 239.4186, -20.9831, 5.84, 0.01],
+    [78180, 239.4477, 54.7498, 4.96, 0.27],
+    [78207, 239.5474, -14.2794, 4.95, -0.08],
+    [78236, 239.6283, -37.5039, 6.31, 1.01],
+    [78246, 239.6453, -24.8315, 5.43, -0.09],
+    [78265, 239.7130, -26.1141, 2.89, -0.18],
+    [78276, 239.7405, 36.6438, 5.61, 1.53],
+    [78279, 239.7423, -65.0376, 5.74, -0.07],
+    [78286, 239.7683, 49.8810, 6.04, 0.29],
+    [78323, 239.8761, -41.7444, 4.99, 0.99],
+    [78355, 239.9756, -54.0209, 6.10, -0.02],
+    [78360, 239.9797, -78.0273, 6.40, 0.39],
+    [78384, 240.0305, -38.3967, 3.42, -0.21],
+    [78400, 240.0816, -16.5334, 5.47, 0.52],
+    [78401, 240.0834, -22.6217, 2.29, -0.12],
+    [78436, 240.1985, -8.4114, 5.53, 0.04],
+    [78442, 240.2131, 4.4274, 5.82, 1.00],
+    [78445, 240.2238, -40.4355, 6.21, 0.01],
+    [78459, 240.2611, 33.3035, 5.39, 0.61],
+    [78469, 240.2769, -54.5779, 6.12, 0.26],
+    [78476, 240.2946, -63.7765, 6.42, 0.57],
+    [78481, 240.3097, 17.8184, 5.10, 0.99],
+    [78486, 240.3315, -31.8891, 6.33, 1.45],
+    [78493, 240.3607, 29.8511, 4.98, -0.05],
+    [78527, 240.4723, 58.5653, 4.01, 0.53],
+    [78540, 240.5186, -51.1208, 6.38, -0.00],
+    [78542, 240.5232, 52.9159, 5.93, 1.50],
+    [78554, 240.5737, 22.8045, 4.82, 0.07],
+    [78575, 240.6643, -29.1358, 6.07, 1.30],
+    [78592, 240.6996, 46.0367, 4.72, -0.09],
+    [78603, 240.7187, -62.5416, 6.25, -0.01],
+    [78632, 240.7889, 59.4107, 6.19, 1.58],
+    [78639, 240.8037, -49.2297, 4.65, 0.90],
+    [78649, 240.8307, 36.6318, 5.79, 0.59],
+    [78650, 240.8359, -25.8652, 4.96, 1.23],
+    [78655, 240.8508, -38.6025, 4.90, -0.15],
+    [78661, 240.8806, 76.7939, 5.73, 0.05],
+    [78662, 240.8837, -57.7751, 4.63, 0.25],
+    [78665, 240.8932, -32.0005, 6.00, 0.47],
+    [78685, 240.9404, 4.9868, 6.07, 0.96],
+    [78699, 240.9779, -24.7263, 6.22, 1.39],
+    [78710, 241.0258, -59.1762, 6.40, 1.37],
+    [78726, 241.0742, -33.2137, 6.10, 0.34],
+    [78727, 241.0901, -11.3736, 4.16, 0.46],
+    [78731, 241.0888, -53.7104, 6.46, 0.01],
+    [78747, 241.1534, -37.8630, 5.91, 0.41],
+    [78820, 241.3593, -19.8055, 2.56, -0.07],
+    [78821, 241.3606, -19.8019, 4.90, -0.02],
+    [78840, 241.4081, 8.0962, 6.27, 0.08],
+    [78849, 241.4356, -6.2911, 6.35, 0.41],
+    [78868, 241.4826, -72.4009, 5.70, 1.17],
+    [78870, 241.4992, -6.1398, 6.39, 1.03],
+    [78877, 241.5266, -23.6063, 5.90, -0.07],
+    [78893, 241.5820, 67.8101, 5.44, -0.02],
+    [78914, 241.6227, -45.1732, 4.73, 0.23],
+    [78918, 241.6481, -36.8023, 4.22, -0.18],
+    [78933, 241.7018, -20.6692, 3.93, -0.05],
+    [78955, 241.7640, -14.0713, 6.32, 0.66],
+    [78970, 241.8176, -36.7557, 5.72, 0.30],
+    [78985, 241.8424, 21.8226, 6.15, 1.36],
+    [78989, 241.8504, -56.1910, 6.16, 0.56],
+    [78990, 241.8514, -20.8688, 4.31, 0.83],
+    [79005, 241.9017, -12.7454, 5.75, 0.02],
+    [79007, 241.9064, 9.8917, 5.63, 0.20],
+    [79031, 241.9662, -24.4623, 6.32, -0.04],
+    [79043, 242.0189, 17.0470, 5.00, 0.93],
+    [79045, 242.0207, 17.0544, 6.25, 1.14],
+    [79050, 242.0316, -26.3267, 5.35, 1.64],
+    [79072, 242.1170, 8.5343, 5.69, 1.57],
+    [79086, 242.1521, 8.6132, 6.47, 1.42],
+    [79098, 242.1822, -23.6854, 5.86, 0.02],
+    [79101, 242.1924, 44.9349, 4.23, -0.04],
+    [79102, 242.1943, 17.2056, 6.13, -0.00],
+    [79119, 242.2429, 36.4909, 4.73, 1.01],
+    [79120, 242.2453, 3.4545, 5.93, 1.47],
+    [79125, 242.2620, 57.9379, 6.33, 0.03],
+    [79137, 242.2967, 6.3787, 5.93, 0.99],
+    [79153, 242.3273, -57.9343, 5.57, -0.02],
+    [79164, 242.3582, 55.8290, 6.43, 1.08],
+    [79173, 242.3823, -32.6490, 6.18, 0.79],
+    [79195, 242.4605, -3.4667, 5.39, 1.45],
+    [79199, 242.4691, -33.5458, 5.50, -0.07],
+    [79203, 242.4803, -18.3406, 6.43, 0.45],
+    [79208, 242.4966, -62.9672, 6.50, 0.23],
+    [79280, 242.7064, 75.8776, 5.48, -0.09],
+    [79302, 242.7586, -29.4162, 5.09, 1.13],
+    [79320, 242.8238, -41.1198, 5.86, 0.27],
+    [79332, 242.8697, 16.6657, 6.09, 0.02],
+    [79349, 242.9085, 23.4948, 5.74, 1.52],
+    [79350, 242.9150, 33.3428, 6.30, 1.23],
+    [79357, 242.9483, 42.3746, 5.89, 1.46],
+    [79358, 242.9502, 36.4251, 5.62, 1.35],
+    [79374, 242.9989, -19.4607, 4.00, 0.08],
+    [79375, 243.0000, -10.0643, 4.93, 0.09],
+    [79385, 243.0273, 39.0555, 6.39, 1.26],
+    [79387, 243.0305, -8.5476, 5.43, 0.12],
+    [79399, 243.0668, -28.4173, 5.67, 0.01],
+    [79404, 243.0759, -27.9264, 4.58, -0.17],
+    [79414, 243.1057, 67.1442, 6.21, 0.99],
+    [79420, 243.1337, 75.2107, 6.36, 1.28],
+    [79441, 243.1895, 26.6706, 6.48, 0.39],
+    [79463, 243.2358, -4.2208, 6.26, 0.13],
+    [79488, 243.3143, 5.0211, 5.46, 1.47],
+    [79490, 243.3207, -53.6712, 6.03, 1.97],
+    [79497, 243.3446, -55.5409, 5.78, 0.36],
+    [79509, 243.3697, -54.6305, 4.95, 1.02],
+    [79522, 243.4108, -1.4751, 6.45, 1.00],
+    [79530, 243.4396, -24.4221, 6.40, 0.04],
+    [79540, 243.4621, -11.8377, 5.24, 1.39],
+    [79581, 243.5567, 5.9018, 6.30, 1.15],
+    [79593, 243.5864, -3.6943, 2.73, 1.58],
+    [79596, 243.5932, -33.0111, 5.91, 1.02],
+    [79599, 243.6203, -21.1076, 6.41, 0.00],
+    [79601, 243.6393, 73.3949, 6.02, 0.06],
+    [79605, 243.6635, -18.5356, 6.32, 1.08],
+    [79607, 243.6702, 33.8586, 5.23, 0.60],
+    [79622, 243.7226, -25.4770, 6.06, 0.03],
+    [79653, 243.8138, -47.3720, 5.13, -0.11],
+    [79661, 243.8498, -42.8994, 6.14, 1.11],
+    [79664, 243.8595, -63.6857, 3.86, 1.10],
+    [79666, 243.8693, 18.8081, 5.72, 1.13],
+    [79672, 243.9053, -8.3694, 5.49, 0.65],
+    [79686, 243.9472, 27.4221, 6.14, 1.33],
+    [79689, 243.9575, -57.9123, 5.61, 0.14],
+    [79692, 243.9646, -14.8491, 6.09, 0.10],
+    [79754, 244.1803, -53.8111, 5.45, 1.70],
+    [79757, 244.1866, 29.1503, 5.80, 0.06],
+    [79781, 244.2304, -3.9533, 6.18, 0.33],
+    [79787, 244.2455, -53.6962, 6.40, 0.79],
+    [79788, 244.2467, -20.1041, 6.40, 1.27],
+    [79790, 244.2539, -50.0681, 4.97, 0.79],
+    [79797, 244.2726, -67.9413, 5.95, 0.16],
+    [79804, 244.3139, 59.7550, 5.37, 1.55],
+    [79812, 244.3372, -53.0864, 6.30, 0.27],
+    [79822, 244.3762, 75.7553, 4.95, 0.39],
+    [79834, 244.4307, 1.4967, 6.50, 1.13],
+    [79867, 244.5407, 68.5545, 6.39, 1.34],
+    [79881, 244.5746, -28.6140, 4.80, 0.01],
+    [79882, 244.5804, -4.6925, 3.23, 0.97],
+    [79938, 244.7518, -14.8728, 5.97, 1.48],
+    [79945, 244.7822, -20.2181, 6.29, 1.07],
+    [79953, 244.7967, 49.0382, 5.93, 1.37],
+    [79963, 244.8235, -42.6740, 5.44, 0.10],
+    [79980, 244.8864, -30.9067, 5.53, 0.47],
+    [79992, 244.9352, 46.3134, 3.91, -0.15],
+    [80000, 244.9601, -50.1555, 4.01, 1.08],
+    [80008, 244.9798, 39.7086, 5.48, 0.41],
+    [80021, 245.0178, 21.1326, 6.04, 0.94],
+    [80047, 245.0867, -78.6957, 4.68, 1.68],
+    [80054, 245.1052, -55.1397, 5.76, 0.97],
+    [80057, 245.1119, -78.6675, 5.27, 1.41],
+    [80066, 245.1359, -39.4303, 6.11, -0.08],
+    [80079, 245.1591, -24.1693, 4.55, 0.76],
+    [80112, 245.2972, -25.5928, 2.90, 0.30],
+    [80161, 245.4530, 69.1094, 5.26, 1.11],
+    [80170, 245.4801, 19.1531, 3.74, 0.30],
+    [80179, 245.5181, 1.0290, 4.82, 0.34],
+    [80181, 245.5243, 30.8920, 4.86, 0.97],
+    [80197, 245.5893, 33.7991, 5.20, 1.63],
+    [80208, 245.6166, -49.5724, 5.32, -0.05],
+    [80212, 245.6211, -43.9121, 5.89, 1.12],
+    [80214, 245.6217, 33.7035, 5.40, 1.52],
+    [80227, 245.6621, -2.0799, 6.24, 0.06],
+    [80247, 245.7354, 32.3330, 6.41, 0.08],
+    [80309, 245.9465, 61.6965, 5.67, 0.96],
+    [80324, 245.9863, -33.1994, 6.45, 0.01],
+    [80331, 245.9979, 61.5142, 2.73, 0.91],
+    [80337, 246.0054, -39.1930, 5.37, 0.63],
+    [80343, 246.0258, -20.0373, 4.48, 1.00],
+    [80351, 246.0451, 6.9482, 5.83, 0.02],
+    [80375, 246.1056, 55.2051, 5.75, 0.00],
+    [80390, 246.1323, -37.5660, 5.42, -0.10],
+    [80399, 246.1657, -29.7047, 5.40, 0.63],
+    [80421, 246.2256, -45.3495, 6.32, 0.19],
+    [80455, 246.3422, -63.1252, 6.14, 0.03],
+    [80460, 246.3507, 37.3941, 5.53, 0.17],
+    [80463, 246.3540, 14.0333, 4.57, 0.00],
+    [80473, 246.3963, -23.4472, 4.57, 0.23],
+    [80480, 246.4299, 78.9639, 5.55, 0.25],
+    [80514, 246.5474, 11.4075, 6.11, 1.06],
+    [80558, 246.7086, 2.3479, 6.06, 0.92],
+    [80569, 246.7560, -18.4563, 4.22, 0.22],
+    [80582, 246.7960, -47.5548, 4.46, -0.07],
+    [80610, 246.8845, 2.8706, 6.35, 1.64],
+    [80620, 246.9311, -7.5979, 5.24, 1.72],
+    [80628, 246.9508, -8.3717, 4.62, 0.18],
+    [80645, 246.9889, -64.0579, 5.28, 0.38],
+    [80650, 246.9959, 68.7681, 4.94, -0.05],
+    [80672, 247.0603, -37.1799, 5.79, 1.10],
+    [80675, 247.0632, -58.5998, 5.67, 0.01],
+    [80682, 247.0881, 67.0440, 6.45, 1.52],
+    [80686, 247.1173, -70.0844, 4.90, 0.56],
+    [80693, 247.1416, 0.6650, 5.41, 1.46],
+    [80704, 247.1606, 41.8817, 4.83, 1.29],
+    [80708, 247.1763, 0.0549, 6.46, 1.38],
+    [80710, 247.1810, 51.4077, 6.31, 1.05],
+    [80719, 247.2040, -8.1288, 6.49, 0.41],
+    [80763, 247.3519, -26.4320, 1.06, 1.86],
+    [80782, 247.4264, -46.2432, 5.35, 0.49],
+    [80788, 247.4384, -57.7563, 6.09, 1.46],
+    [80793, 247.4455, -14.5509, 5.66, 0.82],
+    [80809, 247.5251, 48.9611, 6.44, 0.03],
+    [80815, 247.5520, -25.1152, 4.79, -0.12],
+    [80816, 247.5550, 21.4896, 2.78, 0.95],
+    [80840, 247.6251, -7.5145, 6.46, 0.37],
+    [80843, 247.6398, 20.4792, 5.24, 1.27],
+    [80850, 247.6617, 77.4465, 6.35, 0.99],
+    [80874, 247.7057, -61.6335, 5.19, 1.24],
+    [80883, 247.7284, 1.9839, 3.82, 0.02],
+    [80888, 247.7616, 35.2251, 6.25, 1.64],
+    [80894, 247.7849, -16.6127, 4.29, 0.92],
+    [80898, 247.8060, 22.1955, 5.76, 1.60],
+    [80910, 247.8452, -26.5376, 6.07, 1.08],
+    [80911, 247.8456, -34.7044, 4.24, -0.17],
+    [80920, 247.8676, 72.6123, 6.27, 1.29],
+    [80945, 247.9240, -41.8171, 5.31, 0.30],
+    [80953, 247.9468, 45.5983, 5.61, 0.13],
+    [80975, 248.0342, -21.4664, 4.45, 0.13],
+    [80991, 248.1070, 60.8233, 5.92, 0.04],
+    [81007, 248.1487, 5.5212, 5.63, -0.04],
+    [81008, 248.1512, 11.4880, 4.84, 1.50],
+    [81065, 248.3628, -78.8971, 3.86, 0.92],
+    [81122, 248.5209, -44.0453, 4.86, 0.04],
+    [81126, 248.5258, 42.4370, 4.20, -0.01],
+    [81141, 248.5806, -70.9881, 5.50, 1.24],
+    [81198, 248.7823, -45.2444, 6.43, 1.35],
+    [81231, 248.8595, 17.0573, 6.42, 0.06],
+    [81252, 248.9367, -65.4954, 5.50, 0.95],
+    [81266, 248.9706, -28.2160, 2.82, -0.21],
+    [81289, 249.0467, 46.6133, 5.83, 1.04],
+    [81290, 249.0476, 52.9000, 5.53, -0.06],
+    [81292, 249.0572, 52.9244, 5.07, -0.03],
+    [81300, 249.0894, -2.3246, 5.77, 0.83],
+    [81304, 249.0936, -35.2553, 4.18, 1.53],
+    [81305, 249.0940, -42.8589, 5.46, 0.34],
+    [81337, 249.1789, 15.4975, 6.36, -0.06],
+    [81358, 249.2291, 63.0728, 6.17, 1.53],
+    [81377, 249.2897, -10.5671, 2.54, 0.04],
+    [81404, 249.3907, 5.2775, 6.48, 1.15],
+    [81425, 249.4500, 13.6870, 6.30, 0.43],
+    [81428, 249.4697, 78.9187, 6.33, 1.14],
+    [81437, 249.5019, 56.0155, 5.28, 1.05],
+    [81440, 249.5065, -6.5380, 6.05, 0.17],
+    [81472, 249.6095, -43.3984, 5.83, -0.05],
+    [81497, 249.6869, 48.9283, 4.86, 1.56],
+    [81499, 249.6989, -8.6186, 6.44, 1.81],
+    [81507, 249.7196, -60.9904, 6.16, -0.07],
+    [81523, 249.7718, -37.2174, 5.93, -0.04],
+    [81580, 249.9130, -9.5546, 6.33, 0.49],
+    [81632, 250.1438, -20.4086, 6.25, 1.08],
+    [81641, 250.1612, 4.2198, 5.77, -0.00],
+    [81650, 250.1850, -51.4783, 6.30, 0.32],
+    [81657, 250.2103, -60.4464, 6.17, 0.49],
+    [81659, 250.2139, 12.3950, 6.08, 0.05],
+    [81660, 250.2297, 64.5890, 4.84, 1.21],
+    [81663, 250.2350, -8.3096, 6.47, 1.15],
+    [81670, 250.2524, 24.8587, 6.07, 1.32],
+    [81687, 250.2981, -1.0003, 6.25, 0.31],
+    [81691, 250.3197, 1.2454, 6.40, 1.02],
+    [81693, 250.3215, 31.6027, 2.81, 0.65],
+    [81702, 250.3351, -48.7630, 5.57, 0.17],
+    [81710, 250.3463, -68.2961, 5.89, -0.08],
+    [81724, 250.3933, -17.7422, 4.91, 1.09],
+    [81728, 250.4007, -24.4680, 6.07, 0.21],
+    [81729, 250.4029, 26.9169, 5.92, 0.40],
+    [81733, 250.4176, -49.6516, 5.62, -0.04],
+    [81734, 250.4270, 1.1812, 5.74, 0.34],
+    [81741, 250.4394, -33.1458, 5.84, 0.65],
+    [81754, 250.4737, -19.9244, 5.55, 0.44],
+    [81800, 250.6159, 49.9364, 6.48, 0.54],
+    [81803, 250.6212, -37.0794, 6.47, 0.78],
+    [81823, 250.7017, -62.5539, 6.23, 1.52],
+    [81833, 250.7240, 38.9223, 3.48, 0.92],
+    [81840, 250.7436, 55.6901, 6.18, 0.09],
+    [81847, 250.7649, -46.0703, 6.22, 0.82],
+    [81852, 250.7694, -77.5174, 4.23, 1.06],
+    [81854, 250.7762, 77.5140, 5.99, 0.43],
+    [81873, 250.8422, -67.4324, 6.02, 0.04],
+    [81891, 250.9113, -32.1059, 6.46, -0.08],
+    [81903, 250.9403, -41.1192, 6.21, 0.14],
+    [81904, 250.9483, -38.1563, 6.05, -0.05],
+    [81911, 250.9654, 34.0388, 6.02, 0.32],
+    [81914, 250.9753, -41.1133, 6.14, -0.08],
+    [81966, 251.1656, -53.1523, 5.96, 1.23],
+    [81972, 251.1775, -40.8397, 5.64, -0.09],
+    [81992, 251.2508, -28.5097, 5.99, 0.10],
+    [82012, 251.2991, 43.2172, 6.07, 1.42],
+    [82020, 251.3242, 56.7819, 4.84, 0.38],
+    [82028, 251.3438, 15.7453, 5.60, 1.64],
+    [82037, 251.3736, 1.0202, 6.02, -0.01],
+    [82073, 251.4579, 8.5826, 5.15, 1.53],
+    [82080, 251.4927, 82.0373, 4.21, 0.90],
+    [82091, 251.5266, -46.5320, 6.47, 0.09],
+    [82110, 251.5884, -58.5036, 5.74, -0.10],
+    [82129, 251.6666, -67.1097, 5.10, -0.08],
+    [82135, 251.6998, -39.3770, 5.48, 0.97],
+    [82162, 251.7906, 2.0645, 6.07, 0.14],
+    [82171, 251.8319, -58.3414, 5.55, -0.10],
+    [82172, 251.8323, 42.2389, 5.86, 1.50],
+    [82216, 251.9434, 5.2467, 5.22, -0.00],
+    [82241, 252.0370, 13.5903, 6.38, 0.88],
+    [82259, 252.1124, -14.9094, 6.03, 0.19],
+    [82273, 252.1662, -69.0277, 1.91, 1.45],
+    [82321, 252.3092, 45.9833, 4.82, 0.09],
+    [82339, 252.3653, -15.6680, 6.18, 0.23],
+    [82350, 252.3944, 13.2611, 5.91, 0.01],
+    [82355, 252.4190, 43.4304, 6.18, 1.26],
+    [82363, 252.4465, -59.0414, 3.77, 1.56],
+    [82369, 252.4585, -10.7830, 4.64, 0.48],
+    [82396, 252.5409, -34.2932, 2.29, 1.14],
+    [82402, 252.5808, 7.2477, 5.48, 0.11],
+    [82405, 252.5927, -2.6544, 6.32, 0.40],
+    [82418, 252.6503, -50.0449, 6.45, 0.33],
+    [82419, 252.6504, 41.8965, 6.29, 1.09],
+    [82422, 252.6623, 29.8065, 5.73, 1.63],
+    [82426, 252.6798, 32.5537, 6.16, 1.01],
+    [82453, 252.7501, -37.5145, 6.10, 0.12],
+    [82480, 252.8539, 1.2159, 5.51, 0.06],
+    [82493, 252.8905, -41.2305, 5.23, 0.05],
+    [82504, 252.9386, 24.6564, 5.03, 1.25],
+    [82514, 252.9676, -38.0474, 3.00, -0.20],
+    [82517, 252.9745, -65.3755, 6.12, -0.03],
+    [82539, 253.0738, -67.6816, 6.33, 1.29],
+    [82543, 253.0802, -41.8545, 6.36, 0.26],
+    [82545, 253.0839, -38.0175, 3.56, -0.21],
+    [82554, 253.1142, -40.7232, 6.35, -0.14],
+    [82587, 253.2419, 31.7017, 5.34, 0.32],
+    [82611, 253.3232, 47.4167, 5.99, 1.32],
+    [82621, 253.3551, -20.4156, 5.86, 0.69],
+    [82650, 253.4268, -43.0510, 5.95, 1.64],
+    [82669, 253.4952, -41.9943, 6.28, 0.46],
+    [82671, 253.4989, -42.3620, 4.70, 0.44],
+    [82672, 253.5015, -57.9095, 5.91, 1.59],
+    [82673, 253.5020, 10.1654, 4.39, -0.09],
+    [82676, 253.5077, -41.8064, 5.46, 0.18],
+    [82691, 253.5419, -41.8250, 6.07, 0.13],
+    [82693, 253.5442, -1.6123, 6.25, 0.28],
+    [82716, 253.6123, -42.4789, 5.84, 0.63],
+    [82723, 253.6315, -49.7108, 6.49, 1.47],
+    [82729, 253.6459, -42.3613, 3.62, 1.39],
+    [82730, 253.6487, -6.1540, 5.23, 1.10],
+    [82731, 253.6498, -30.5873, 6.34, 0.21],
+    [82764, 253.7299, 20.9585, 5.39, 0.97],
+    [82775, 253.7438, -41.1509, 5.78, 0.13],
+    [82780, 253.7590, 25.7307, 6.06, 0.92],
+    [82783, 253.7639, -42.0908, 6.30, 0.40],
+    [82798, 253.8166, 13.6199, 6.35, 0.34],
+    [82802, 253.8424, 18.4332, 5.35, 1.41],
+    [82806, 253.8529, -63.2697, 5.99, 0.06],
+    [82855, 253.9906, -33.5069, 6.29, 1.75],
+    [82860, 254.0070, 65.1348, 4.88, 0.48],
+    [82861, 254.0077, -16.8063, 6.33, 0.95],
+    [82868, 254.0368, -50.6748, 6.30, -0.02],
+    [82880, 254.0697, 73.1279, 6.29, 0.26],
+    [82898, 254.1053, 65.0391, 6.40, 0.38],
+    [82902, 254.1199, -52.2837, 5.94, -0.07],
+    [82911, 254.1499, -40.8235, 6.18, 0.23],
+    [82925, 254.2002, -23.1503, 5.57, -0.02],
+    [82944, 254.2544, -71.1116, 6.46, 0.26],
+    [82951, 254.2666, -19.5399, 6.27, 0.08],
+    [82960, 254.2966, -33.2595, 5.48, 1.61],
+    [82979, 254.3583, -10.9634, 6.15, 1.00],
+    [82987, 254.3794, 25.3528, 6.27, 0.91],
+    [82989, 254.3835, 13.8841, 6.38, 0.93],
+    [83000, 254.4171, 9.3750, 3.19, 1.16],
+    [83007, 254.4263, 24.3813, 6.35, 1.09],
+    [83013, 254.4591, 42.5125, 6.36, 1.28],
+    [83057, 254.5747, -50.6412, 5.53, 0.02],
+    [83081, 254.6550, -55.9901, 3.12, 1.55],
+    [83090, 254.6732, -14.8697, 6.48, 0.39],
+    [83100, 254.7178, -37.6205, 6.05, 0.18],
+    [83114, 254.7607, 69.1862, 6.41, 0.72],
+    [83138, 254.8396, 56.6886, 6.04, 1.17],
+    [83150, 254.8915, -69.2682, 5.79, -0.10],
+    [83153, 254.8960, -53.1604, 4.06, 1.45],
+    [83176, 254.9904, -25.0922, 5.88, 1.61],
+    [83187, 255.0262, -54.5972, 5.64, 0.19],
+    [83196, 255.0396, -24.9891, 5.74, 0.41],
+    [83202, 255.0594, -44.9885, 6.50, 0.40],
+    [83207, 255.0724, 30.9264, 3.92, -0.02],
+    [83216, 255.1123, -48.6478, 5.98, 0.88],
+    [83235, 255.1541, -35.9341, 5.95, 1.16],
+    [83254, 255.2422, 22.6321, 5.69, 1.33],
+    [83255, 255.2438, -86.3643, 6.05, 0.04],
+    [83262, 255.2650, -4.2226, 4.82, 1.48],
+    [83269, 255.2793, -56.5551, 6.40, 0.10],
+    [83289, 255.3205, 60.6488, 6.16, 1.01],
+    [83308, 255.3877, 14.9497, 6.27, 0.03],
+    [83313, 255.4015, 33.5683, 5.27, 0.03],
+    [83317, 255.4171, 75.2975, 6.17, 0.31],
+    [83321, 255.4431, -51.1310, 6.43, 0.28],
+    [83323, 255.4474, -58.9582, 6.26, -0.12],
+    [83331, 255.4636, -18.8855, 6.28, 1.35],
+    [83336, 255.4693, -32.1435, 5.03, -0.10],
+    [83342, 255.4957, 8.4507, 6.33, 0.09],
+    [83359, 255.5656, 64.6007, 6.11, 0.96],
+    [83365, 255.5713, 31.8841, 6.41, 1.13],
+    [83367, 255.5779, 25.5056, 5.76, 1.02],
+    [83430, 255.7828, 14.0919, 4.97, 1.60],
+    [83431, 255.7863, -53.2370, 5.27, 0.50],
+    [83462, 255.8759, 35.4140, 6.19, 1.47],
+    [83478, 255.9138, 13.6053, 5.91, 0.01],
+    [83481, 255.9237, -47.1606, 6.07, 0.07],
+    [83491, 255.9623, -38.1526, 5.91, 0.41],
+    [83493, 255.9694, 19.6905, 6.35, 1.52],
+    [83494, 255.9732, 34.7902, 6.08, 0.20],
+    [83499, 255.9866, -37.8441, 6.48, 0.26],
+    [83504, 255.9918, 13.5674, 6.06, 1.05],
+    [83535, 256.1030, -57.7122, 5.73, -0.10],
+    [83556, 256.1404, -68.2787, 6.47, 1.57],
+    [83565, 256.1723, 19.5991, 6.19, 0.01],
+    [83567, 256.1889, -20.4947, 6.29, -0.04],
+    [83574, 256.2056, -34.1229, 4.83, 0.26],
+    [83575, 256.2074, 48.8040, 6.11, 1.09],
+    [83593, 256.2706, 43.8122, 6.45, 0.10],
+    [83594, 256.2724, -45.5021, 6.28, 0.07],
+    [83601, 256.3201, 0.7026, 6.00, 0.58],
+    [83608, 256.3338, 54.4700, 4.91, 0.47],
+    [83613, 256.3445, 12.7408, 4.89, 0.13],
+    [83635, 256.3844, -0.8921, 5.63, 0.10],
+    [83650, 256.4520, -44.1050, 6.18, 0.28],
+    [83677, 256.5402, 9.7339, 6.38, 1.46],
+    [83684, 256.5492, -21.5646, 6.29, 0.13],
+    [83688, 256.5544, 10.4539, 6.38, 0.90],
+    [83692, 256.5752, 22.0842, 5.56, 1.30],
+    [83693, 256.5841, -37.2276, 5.98, 0.08],
+    [83706, 256.6182, -35.4510, 6.15, 0.44],
+    [83738, 256.7207, -1.6562, 6.34, 0.21],
+    [83740, 256.7218, -26.5130, 6.26, -0.04],
+    [83816, 256.9445, 40.5161, 6.34, 0.03],
+    [83834, 257.0029, 31.2062, 6.44, 1.28],
+    [83838, 257.0086, 35.9352, 5.41, 0.31],
+    [83853, 257.0569, -1.0795, 6.06, 0.07],
+    [83854, 257.0619, -17.6091, 5.98, 1.01],
+    [83857, 257.0711, 50.8423, 6.46, -0.02],
+    [83895, 257.1966, 65.7147, 3.17, -0.12],
+    [83896, 257.1981, -30.4037, 5.93, 0.28],
+    [83906, 257.2272, -3.8830, 6.35, 0.70],
+    [83947, 257.3885, 40.7770, 5.07, 1.27],
+    [83962, 257.4498, -10.5233, 5.43, 0.47],
+    [83984, 257.5261, -61.6755, 6.37, -0.05],
+    [84012, 257.5945, -15.7249, 2.43, 0.06],
+    [84021, 257.6276, 52.4088, 6.30, -0.03],
+    [84033, 257.6763, -44.5577, 5.06, 0.87],
+    [84054, 257.7632, 24.2377, 6.20, 0.23],
+    [84105, 257.9112, -48.8734, 5.94, 1.79],
+    [84108, 257.9178, 49.7464, 6.12, 0.18],
+    [84113, 257.9385, 7.8948, 6.34, 1.04],
+    [84143, 258.0383, -43.2392, 3.32, 0.44],
+    [84150, 258.0675, -39.5069, 5.66, 0.04],
+    [84151, 258.0690, -38.8225, 6.30, 1.05],
+    [84158, 258.0831, -70.7211, 6.21, 1.06],
+    [84175, 258.1044, -27.7621, 6.12, -0.05],
+    [84177, 258.1159, 10.5852, 5.32, 1.59],
+    [84183, 258.1357, 62.8743, 5.54, 0.22],
+    [84226, 258.2440, -32.4383, 5.95, 0.07],
+    [84248, 258.3245, -67.1966, 5.87, 1.07],
+    [84311, 258.5559, -56.8885, 6.08, 1.73],
+    [84332, 258.6152, -39.7666, 6.42, 2.28],
+    [84345, 258.6619, 14.3903, 2.78, 1.16],
+    [84379, 258.7580, 24.8392, 3.12, 0.08],
+    [84380, 258.7618, 36.8092, 3.16, 1.44],
+    [84401, 258.8302, -33.5484, 5.60, -0.06],
+    [84402, 258.8345, -14.5841, 5.98, 1.10],
+    [84405, 258.8374, -26.6028, 4.33, 0.85],
+    [84425, 258.8998, -38.5939, 5.95, 0.58],
+    [84431, 258.9228, 23.7428, 5.99, 1.33],
+    [84445, 258.9640, -30.2107, 6.20, -0.03],
+    [84478, 259.0557, -26.5461, 6.33, 1.14],
+    [84479, 259.0594, 2.1862, 6.17, 0.23],
+    [84489, 259.0900, -35.7503, 6.09, 0.48],
+    [84496, 259.1225, 60.6706, 6.32, 1.09],
+    [84500, 259.1321, 1.2105, 5.89, 0.02],
+    [84510, 259.1485, -74.5330, 6.24, -0.00],
+    [84514, 259.1529, -0.4453, 4.72, 1.12],
+    [84524, 259.1781, -6.2450, 6.08, 1.10],
+    [84535, 259.2353, 89.0377, 6.31, 1.57],
+    [84551, 259.2652, -32.6628, 5.53, 0.51],
+    [84556, 259.2731, -44.7786, 6.46, 0.19],
+    [84573, 259.3315, 33.1001, 4.80, -0.17],
+    [84599, 259.3994, 23.0906, 6.25, 1.54],
+    [84606, 259.4177, 37.2915, 4.64, 0.04],
+    [84626, 259.5028, -24.2869, 5.14, 1.05],
+    [84631, 259.5206, 17.3179, 6.00, 0.01],
+    [84649, 259.5803, -16.3119, 6.28, 1.69],
+    [84650, 259.5855, -32.5531, 6.36, 0.11],
+    [84656, 259.5970, 38.8114, 5.97, 1.01],
+    [84671, 259.6541, 10.8645, 5.03, 1.54],
+    [84690, 259.6993, -44.1297, 5.76, -0.05],
+    [84691, 259.7022, 28.8230, 5.68, 0.98],
+    [84700, 259.7154, -62.8746, 6.50, 1.09],
+    [84709, 259.7382, -34.9898, 5.91, 1.08],
+    [84720, 259.7660, -46.6362, 5.47, 0.76],
+    [84731, 259.8021, -59.6946, 5.93, 1.39],
+    [84759, 259.8771, -50.0638, 6.27, 0.41],
+    [84769, 259.9046, 80.1364, 5.74, 1.50],
+    [84780, 259.9438, 2.1395, 6.43, 1.49],
+    [84792, 259.9723, -17.7565, 6.03, 0.04],
+    [84801, 259.9981, -5.9175, 6.31, 0.85],
+    [84821, 260.0410, 25.5376, 5.36, 0.06],
+    [84833, 260.0786, 18.0571, 5.01, 1.65],
+    [84835, 260.0880, 46.2408, 5.51, 1.59],
+    [84855, 260.1407, 48.1888, 6.36, 0.43],
+    [84856, 260.1430, -19.3337, 6.50, 0.58],
+    [84862, 260.1649, 32.4677, 5.38, 0.62],
+    [84880, 260.2069, -12.8469, 4.32, 0.04],
+    [84883, 260.2193, -10.6964, 6.46, 0.33],
+    [84887, 260.2259, 24.4994, 5.13, 0.00],
+    [84893, 260.2516, -21.1129, 4.39, 0.39],
+    [84934, 260.3802, 28.7581, 6.37, 0.72],
+    [84938, 260.3893, 16.7312, 6.35, 1.61],
+    [84947, 260.4232, -24.9061, 6.36, 1.40],
+    [84949, 260.4317, 39.9746, 5.55, 0.67],
+    [84950, 260.4390, 53.4204, 5.69, 1.46],
+    [84969, 260.4978, -67.7707, 4.76, 1.19],
+    [84970, 260.5024, -24.9995, 3.27, -0.19],
+    [84979, 260.5245, -70.1232, 5.39, -0.04],
+    [85019, 260.6582, -35.9107, 6.42, 0.54],
+    [85020, 260.6634, -37.8046, 6.33, 0.68],
+    [85042, 260.7137, -2.3882, 6.28, 0.68],
+    [85048, 260.7281, -37.2208, 5.91, 1.07],
+    [85049, 260.7301, -58.0103, 5.86, 1.07],
+    [85068, 260.7797, -56.5255, 5.76, 0.99],
+    [85079, 260.8170, -47.4682, 5.21, -0.10],
+    [85084, 260.8400, -28.1428, 5.30, 1.55],
+    [85112, 260.9206, 37.1459, 4.15, -0.01],
+    [85139, 260.9901, 8.8526, 5.77, 1.25],
+    [85147, 261.0045, -62.8642, 5.69, -0.15],
+    [85149, 261.0094, 38.5828, 6.48, 0.72],
+    [85157, 261.0274, 22.9603, 5.70, 0.23],
+    [85162, 261.0545, -44.1626, 5.10, -0.05],
+    [85169, 261.0783, -60.6738, 5.76, -0.07],
+    [85181, 261.1130, 36.9519, 6.25, 0.88],
+    [85185, 261.1314, 16.3010, 5.75, 0.07],
+    [85187, 261.1408, 15.6060, 6.34, -0.02],
+    [85195, 261.1543, -18.4458, 6.34, 0.05],
+    [85207, 261.1751, -21.4415, 5.82, 0.94],
+    [85235, 261.2504, 67.3067, 6.44, 0.76],
+    [85237, 261.2611, -34.6961, 6.14, 0.05],
+    [85242, 261.2760, -24.2437, 6.17, 1.10],
+    [85258, 261.3250, -55.5299, 2.84, 1.48],
+    [85267, 261.3486, -56.3777, 3.31, -0.15],
+    [85268, 261.3502, 52.7907, 6.46, 0.62],
+    [85290, 261.4223, 60.0484, 5.65, 0.02],
+    [85302, 261.4765, 16.9176, 6.09, 1.53],
+    [85307, 261.4912, -1.6518, 6.44, 0.46],
+    [85312, 261.5002, -50.6335, 5.19, 1.05],
+    [85313, 261.5036, 26.8787, 6.38, 0.12],
+    [85317, 261.5202, 58.6519, 6.49, 0.14],
+    [85333, 261.5792, 7.5957, 6.01, 0.59],
+    [85340, 261.5926, -24.1753, 4.16, 0.28],
+    [85355, 261.6287, 4.1404, 4.34, 1.48],
+    [85365, 261.6578, -5.0866, 4.53, 0.39],
+    [85379, 261.6843, 48.2601, 5.83, 0.12],
+    [85382, 261.6923, 34.6958, 5.94, -0.02],
+    [85385, 261.7047, 20.0810, 5.52, -0.12],
+    [85389, 261.7166, -45.8430, 5.28, -0.06],
+    [85391, 261.7304, -25.9435, 6.42, -0.06],
+    [85393, 261.7348, -51.9488, 6.17, -0.04],
+    [85397, 261.7590, -12.5125, 6.20, 0.52],
+    [85405, 261.7912, -15.8534, 6.48, 1.15],
+    [85409, 261.8019, -50.6304, 5.90, 0.06],
+    [85423, 261.8386, -29.8670, 4.28, 0.40],
+    [85442, 261.9065, -29.7246, 5.98, 0.01],
+    [85450, 261.9337, 8.4420, 6.42, 1.66],
+    [85470, 261.9900, -52.2972, 5.72, 1.17],
+    [85474, 262.0097, -8.2084, 6.37, 0.57],
+    [85480, 262.0328, -63.0362, 6.22, -0.07],
+    [85520, 262.1621, -55.1697, 5.93, 1.11],
+    [85537, 262.2069, 0.3306, 5.41, 0.24],
+    [85543, 262.2337, -36.7783, 5.98, 1.11],
+    [85549, 262.2536, -43.9739, 6.30, -0.01],
+    [85589, 262.3567, -38.5169, 6.38, 0.09],
+    [85622, 262.4473, -5.9195, 6.36, 0.93],
+    [85666, 262.5944, 11.9240, 6.47, 0.06],
+    [85667, 262.5992, -1.0629, 5.31, 0.71],
+    [85670, 262.6082, 52.3014, 2.79, 0.95],
+    [85688, 262.6675, 38.8822, 6.43, 0.51],
+    [85692, 262.6816, 57.8768, 6.22, 1.40],
+    [85693, 262.6846, 26.1106, 4.41, 1.43],
+    [85696, 262.6910, -37.2958, 2.70, -0.18],
+    [85699, 262.6983, 86.9680, 5.78, 0.24],
+    [85715, 262.7307, 31.1581, 5.63, 0.96],
+    [85727, 262.7746, -60.6838, 3.60, -0.10],
+    [85749, 262.8389, 2.7245, 5.57, 0.84],
+    [85751, 262.8470, -56.9210, 5.99, -0.04],
+    [85755, 262.8540, -23.9626, 4.78, 0.02],
+    [85760, 262.8644, -80.8591, 5.83, 1.62],
+    [85783, 262.9349, -26.2697, 6.05, -0.07],
+    [85786, 262.9473, -33.7032, 6.43, 1.19],
+    [85788, 262.9546, -46.0368, 6.04, 0.81],
+    [85790, 262.9566, 28.4075, 5.66, -0.00],
+    [85792, 262.9604, -49.8761, 2.84, -0.14],
+    [85805, 262.9911, 68.1350, 5.07, 1.08],
+    [85819, 263.0440, 55.1842, 4.89, 0.25],
+    [85822, 263.0542, 86.5865, 4.35, 0.02],
+    [85826, 263.0620, 11.9300, 6.42, -0.01],
+    [85829, 263.0668, 55.1730, 4.86, 0.28],
+    [85839, 263.1026, -34.2794, 6.16, 0.36],
+    [85888, 263.2802, 41.2434, 5.72, 1.09],
+    [85889, 263.2808, -41.1731, 5.84, 0.04],
+    [85912, 263.3451, 19.2567, 5.65, 0.51],
+    [85922, 263.3744, -5.7448, 5.61, 0.19],
+    [85923, 263.3817, 57.5587, 6.15, 0.60],
+    [85927, 263.4022, -37.1038, 1.62, -0.23],
+    [85930, 263.4141, 16.3176, 5.68, 1.00],
+    [85934, 263.4282, 14.8416, 6.36, 1.59],
+    [85975, 263.5703, -48.5268, 6.32, 0.95],
+    [85998, 263.6529, 9.5867, 5.80, 0.04],
+    [86011, 263.6771, -32.5817, 5.69, 0.04],
+    [86019, 263.6931, -11.2420, 5.54, 0.01],
+    [86032, 263.7336, 12.5600, 2.08, 0.15],
+    [86036, 263.7483, 61.8746, 5.23, 0.60],
+    [86060, 263.8271, -22.0438, 6.47, 0.01],
+    [86064, 263.8329, -53.3529, 6.09, 0.03],
+    [86088, 263.8958, -59.8461, 6.26, -0.08],
+    [86092, 263.9150, -46.5057, 4.56, -0.02],
+    [86096, 263.9265, 37.3016, 6.13, 0.98],
+    [86098, 263.9295, -37.4399, 6.48, 0.01],
+    [86118, 263.9982, 20.9962, 6.11, 0.18],
+    [86130, 264.0338, 28.1851, 6.40, 1.37],
+    [86153, 264.0892, 27.5666, 6.37, 1.59],
+    [86170, 264.1368, -38.6353, 4.26, 1.07],
+    [86178, 264.1531, 30.7852, 6.04, 0.16],
+    [86182, 264.1569, 48.5856, 5.35, 1.14],
+    [86184, 264.1664, 69.5707, 6.33, 0.60],
+    [86201, 264.2379, 68.7580, 4.77, 0.43],
+    [86219, 264.2870, 72.4558, 5.87, 1.02],
+    [86228, 264.3297, -42.9978, 1.86, 0.41],
+    [86246, 264.3622, -38.0664, 6.26, 1.24],
+    [86248, 264.3638, -50.0597, 5.89, 1.11],
+    [86254, 264.3796, 24.3100, 5.76, 0.11],
+    [86263, 264.3967, -15.3986, 3.54, 0.26],
+    [86266, 264.4009, -15.5710, 5.94, 0.36],
+    [86284, 264.4613, -8.1188, 4.58, 0.13],
+    [86305, 264.5230, -54.5004, 5.25, 0.20],
+    [86311, 264.5352, -42.8803, 6.09, -0.06],
+    [86313, 264.5396, -10.9263, 5.74, 1.23],
+    [86352, 264.6869, -21.9127, 6.19, 0.83],
+    [86373, 264.7411, 13.3293, 6.12, 0.57],
+    [86391, 264.7854, 2.0281, 6.25, 1.02],
+    [86414, 264.8662, 46.0063, 3.82, -0.18],
+    [86462, 264.9897, 31.2025, 6.05, 1.60],
+    [86476, 265.0498, -2.1523, 6.08, 1.61],
+    [86486, 265.0993, -49.4156, 4.76, 0.41],
+    [86501, 265.1565, 43.4707, 6.36, 1.20],
+    [86506, 265.1716, 31.2875, 6.30, 1.07],
+    [86510, 265.1854, -67.8542, 6.48, 1.00],
+    [86527, 265.2439, -32.2145, 6.01, 1.67],
+    [86537, 265.2729, 24.5133, 6.37, 1.20],
+    [86546, 265.2958, 15.1784, 6.34, 0.04],
+    [86552, 265.3177, -46.9218, 5.78, -0.00],
+    [86561, 265.3407, 51.8182, 6.00, 1.07],
+    [86565, 265.3536, -12.8753, 4.24, 0.09],
+    [86575, 265.3847, 6.3132, 5.97, 1.27],
+    [86614, 265.4848, 72.1488, 4.57, 0.43],
+    [86620, 265.4921, 72.1569, 5.81, 0.53],
+    [86623, 265.4943, 15.9524, 5.54, 0.39],
+    [86628, 265.5151, -50.5107, 6.28, 1.66],
+    [86667, 265.6182, 24.5641, 5.56, 1.44],
+    [86670, 265.6220, -39.0300, 2.39, -0.17],
+    [86698, 265.7129, -36.9456, 5.53, 1.55],
+    [86713, 265.7731, 44.0843, 6.38, 1.52],
+    [86716, 265.7786, -33.0513, 6.44, 1.81],
+    [86725, 265.8238, -27.8840, 6.40, 0.44],
+    [86731, 265.8399, 24.3278, 5.73, 0.68],
+    [86732, 265.8418, 14.2952, 6.22, 0.43],
+    [86736, 265.8575, -21.6832, 4.86, 0.47],
+    [86742, 265.8681, 4.5673, 2.76, 1.17],
+    [86768, 265.9459, -7.0796, 6.30, 0.32],
+    [86769, 265.9517, -13.5087, 6.36, 0.38],
+    [86782, 265.9966, 53.8017, 5.75, 0.02],
+    [86796, 266.0363, -51.8341, 5.12, 0.69],
+    [86809, 266.0719, 14.4101, 6.18, 0.21],
+    [86831, 266.1421, 2.5794, 6.16, 0.13],
+    [86847, 266.1750, -42.7293, 5.87, 0.16],
+    [86871, 266.2328, -57.5455, 5.97, 0.91],
+    [86925, 266.4176, 31.5047, 6.22, 0.01],
+    [86929, 266.4333, -64.7239, 3.61, 1.16],
+    [86974, 266.6147, 27.7207, 3.42, 0.75],
+    [87042, 266.7804, -38.1122, 6.41, -0.02],
+    [87044, 266.7835, 17.6970, 5.61, 0.04],
+    [87045, 266.7835, 47.6122, 6.47, 0.10],
+    [87072, 266.8901, -27.8308, 4.53, 0.60],
+    [87073, 266.8962, -40.1270, 2.99, 0.51],
+    [87074, 266.9032, -14.7258, 5.93, 0.01],
+    [87099, 266.9400, -22.4778, 6.18, 1.45],
+    [87108, 266.9732, 2.7073, 3.75, 0.04],
+    [87150, 267.0843, 3.8042, 6.22, 0.14],
+    [87158, 267.1032, 20.5654, 5.69, 0.94],
+    [87163, 267.1160, -26.9749, 6.31, 0.09],
+    [87174, 267.1586, -55.4017, 6.09, 0.28],
+    [87192, 267.1995, 19.2550, 6.13, 0.02],
+    [87194, 267.2048, 25.6229, 5.09, 1.14],
+    [87212, 267.2679, 50.7811, 5.02, 0.04],
+    [87220, 267.2937, -31.7032, 4.79, -0.03],
+    [87224, 267.3293, 1.9614, 6.44, 1.24],
+    [87234, 267.3626, 76.9629, 5.02, 0.52],
+    [87261, 267.4645, -37.0433, 3.19, 1.19],
+    [87264, 267.4709, -61.7147, 6.41, -0.05],
+    [87293, 267.5421, 78.3065, 6.25, 1.45],
+    [87294, 267.5463, -40.0904, 4.78, 0.26],
+    [87308, 267.5954, 29.3221, 5.51, 1.07],
+    [87314, 267.6183, -53.6124, 5.68, -0.10],
+    [87335, 267.6817, 11.9465, 6.19, 1.25],
+    [87341, 267.7016, 22.3163, 6.14, 0.24],
+    [87379, 267.7960, -53.1303, 6.09, 0.01],
+    [87390, 267.8856, -40.7725, 5.94, 1.57],
+    [87393, 267.8978, -60.1641, 5.78, 1.01],
+    [87404, 267.9357, -45.6007, 6.09, 0.95],
+    [87427, 267.9936, 15.3264, 6.43, 1.00],
+    [87428, 267.9977, -1.2368, 6.33, 1.13],
+    [87434, 268.0038, 46.6436, 6.37, 1.06],
+    [87445, 268.0197, 39.9821, 6.01, 1.34],
+    [87460, 268.0569, -34.7992, 5.88, -0.11],
+    [87472, 268.0823, -34.4168, 5.84, 1.13],
+    [87491, 268.1477, 1.3050, 5.91, 1.57],
+    [87495, 268.1613, -6.1436, 6.18, 1.25],
+    [87516, 268.2051, -34.1148, 6.05, 1.24],
+    [87523, 268.2191, -41.9965, 6.19, 0.52],
+    [87532, 268.2400, -35.6243, 6.03, 0.34],
+    [87540, 268.2647, -10.8996, 6.17, 1.11],
+    [87558, 268.3091, 6.1014, 5.77, 0.42],
+    [87563, 268.3251, 40.0080, 5.17, 1.17],
+    [87564, 268.3258, -65.4886, 6.48, 1.09],
+    [87567, 268.3316, -34.7308, 6.14, -0.04],
+    [87569, 268.3478, -34.8951, 5.58, 1.10],
+    [87585, 268.3822, 56.8726, 3.73, 1.18],
+    [87616, 268.4782, -34.7527, 6.00, -0.06],
+    [87624, 268.4922, -34.8311, 6.41, 0.00],
+    [87655, 268.5590, 11.1306, 6.24, 0.47],
+    [87670, 268.6113, 75.1713, 6.39, 0.97],
+    [87671, 268.6130, -34.4667, 6.10, 0.06],
+    [87706, 268.7252, -24.8871, 6.18, 0.00],
+    [87722, 268.7835, -36.4756, 6.05, 0.07],
+    [87728, 268.7965, 72.0051, 5.43, 0.34],
+    [87744, 268.8486, 55.9714, 6.09, 0.32],
+    [87747, 268.8550, 26.0500, 5.47, 0.34],
+    [87777, 268.9617, 22.4642, 5.62, 1.25],
+    [87782, 268.9790, -18.8022, 6.48, 0.06],
+    [87808, 269.0633, 37.2505, 3.86, 1.35],
+    [87812, 269.0767, 0.6704, 5.82, 0.06],
+    [87813, 269.0793, -15.8125, 5.93, 0.02],
+    [87822, 269.1012, -65.7217, 6.36, 0.45],
+    [87833, 269.1515, 51.4889, 2.24, 1.52],
+    [87836, 269.1743, -28.0654, 5.76, 0.21],
+    [87846, 269.1976, -44.3422, 4.85, 1.18],
+    [87847, 269.1989, -4.0818, 5.44, 1.16],
+    [87850, 269.2022, 45.3509, 6.22, 1.45],
+    [87865, 269.2329, -40.3056, 6.46, 1.41],
+    [87866, 269.2332, 6.4877, 6.28, -0.01],
+    [87875, 269.2680, 0.0667, 5.95, 0.11],
+    [87895, 269.3097, 23.9959, 6.32, 0.64],
+    [87910, 269.3624, 11.0445, 6.33, 0.13],
+    [87926, 269.4237, -76.1779, 6.08, 1.21],
+    [87928, 269.4281, -56.8963, 6.26, -0.07],
+    [87933, 269.4412, 29.2479, 3.70, 0.94],
+    [87936, 269.4492, -41.7163, 4.88, 1.62],
+    [87948, 269.4908, -39.1365, 6.28, 0.01],
+    [87998, 269.6256, 30.1893, 4.41, 0.38],
+    [88012, 269.6627, -28.7591, 5.99, -0.08],
+    [88020, 269.6763, 36.2878, 6.03, 0.95],
+    [88030, 269.7179, 45.4762, 6.48, -0.06],
+    [88038, 269.7320, -36.8584, 5.74, 0.92],
+    [88048, 269.7566, -9.7736, 3.32, 0.99],
+    [88060, 269.7720, -30.2530, 5.00, 1.65],
+    [88101, 269.9032, -4.8211, 5.86, 1.56],
+    [88116, 269.9481, -23.8161, 4.74, -0.03],
+    [88122, 269.9842, 45.5014, 5.69, 1.56],
+    [88125, 270.0003, -20.3395, 6.22, 1.41],
+    [88127, 270.0148, 80.0008, 6.11, 0.52],
+    [88128, 270.0142, 16.7509, 4.67, 1.25],
+    [88136, 270.0384, 80.0041, 5.74, 0.52],
+    [88148, 270.0653, 0.6295, 6.36, 0.16],
+    [88149, 270.0658, 4.3686, 4.79, -0.10],
+    [88172, 270.1152, 19.5058, 6.42, -0.05],
+    [88175, 270.1209, -3.6903, 4.62, 0.39],
+    [88190, 270.1516, 33.2137, 6.01, 1.52],
+    [88192, 270.1613, 2.9316, 3.93, 0.03],
+    [88213, 270.2202, 6.2683, 6.36, -0.10],
+    [88217, 270.2386, 15.0936, 6.28, 0.75],
+    [88258, 270.3463, -17.1569, 6.27, 1.76],
+    [88267, 270.3767, 21.5958, 4.26, 0.41],
+    [88274, 270.3924, -85.2148, 6.45, 0.44],
+    [88277, 270.3996, 33.3113, 6.18, 1.55],
+    [88290, 270.4383, 1.3051, 4.42, 0.05],
+    [88294, 270.4512, -36.3779, 6.30, -0.02],
+    [88298, 270.4766, -22.7803, 5.72, -0.03],
+    [88331, 270.5960, 20.8336, 5.25, -0.10],
+    [88346, 270.6256, 22.9232, 6.22, -0.09],
+    [88380, 270.7129, -24.2825, 5.37, 0.49],
+    [88404, 270.7705, -8.1803, 4.77, 0.41],
+    [88415, 270.7871, 48.4643, 6.26, 0.04],
+    [88429, 270.8107, 19.6132, 6.41, 0.02],
+    [88469, 270.9685, -24.3607, 5.89, 0.03],
+    [88522, 271.1557, 1.9190, 6.14, -0.06],
+    [88528, 271.1675, 23.9420, 6.34, 0.31],
+    [88550, 271.2099, -35.9014, 5.98, 1.16],
+    [88565, 271.2533, 41.9463, 6.38, 0.29],
+    [88567, 271.2551, -29.5801, 4.66, 0.77],
+    [88599, 271.3619, -81.4866, 6.37, 1.53],
+    [88601, 271.3637, 2.5001, 4.03, 0.86],
+    [88604, 271.3756, 21.6466, 6.18, 1.24],
+    [88635, 271.4520, -30.4241, 2.98, 0.98],
+    [88636, 271.4567, 32.2307, 5.72, 1.18],
+    [88657, 271.5079, 22.2189, 4.96, 1.66],
+    [88670, 271.5308, -8.3240, 5.84, 0.18],
+    [88671, 271.5309, -0.4461, 6.32, 1.01],
+    [88675, 271.5384, -51.7439, 6.46, 0.17],
+    [88684, 271.5633, -4.7513, 5.74, 0.97],
+    [88694, 271.5988, -36.0198, 5.94, 0.61],
+    [88714, 271.6578, -50.0915, 3.65, -0.10],
+    [88726, 271.7079, -43.4252, 4.92, 0.26],
+    [88732, 271.7228, 50.8228, 6.31, 1.05],
+    [88745, 271.7564, 30.5621, 5.05, 0.53],
+    [88754, 271.7762, 49.7104, 6.32, -0.02],
+    [88760, 271.7973, -21.4439, 6.22, 0.10],
+    [88765, 271.8265, 8.7339, 4.64, 0.95],
+    [88771, 271.8374, 9.5638, 3.71, 0.16],
+    [88788, 271.8697, 43.4619, 5.00, 0.91],
+    [88794, 271.8856, 28.7625, 3.84, -0.02],
+    [88815, 271.9515, -64.5502, 6.40, 1.27],
+    [88816, 271.9514, -17.1542, 5.52, 1.13],
+    [88817, 271.9563, 26.0973, 5.79, 0.13],
+    [88818, 271.9565, 26.1013, 5.83, 0.16],
+    [88836, 272.0093, 36.4013, 5.49, 1.16],
+    [88839, 272.0207, -28.4571, 4.55, 0.94],
+    [88859, 272.1255, -45.7670, 6.13, -0.08],
+    [88862, 272.1406, 14.2847, 6.34, 0.18],
+    [88866, 272.1451, -63.6686, 4.33, 0.23],
+    [88876, 272.1608, -21.4496, 6.42, 0.76],
+    [88886, 272.1895, 20.8146, 4.37, -0.16],
+    [88899, 272.2203, 20.0452, 5.10, 0.18],
+    [88929, 272.2926, 30.4695, 6.36, 1.19],
+    [88964, 272.3912, 3.9933, 5.71, 0.36],
+    [88972, 272.4059, 38.4578, 6.38, 0.88],
+    [88981, 272.4307, -13.9344, 6.38, 1.43],
+    [89000, 272.4751, 3.1198, 5.67, 0.49],
+    [89006, 272.4898, -59.0402, 6.38, 1.55],
+    [89008, 272.4958, 36.4663, 5.57, 0.92],
+    [89010, 272.4998, -32.7196, 6.39, 1.02],
+    [89020, 272.5242, -30.7287, 5.53, 0.98],
+    [89023, 272.5364, 16.4766, 6.09, 0.57],
+    [89042, 272.6090, -62.0022, 5.47, 0.59],
+    [89047, 272.6318, 54.2866, 5.97, 0.94],
+    [89065, 272.6679, 3.3243, 5.50, 1.20],
+    [89086, 272.7306, -33.8001, 6.13, -0.14],
+    [89096, 272.7684, -47.5131, 6.07, 1.19],
+    [89099, 272.7732, -41.3591, 5.86, 0.29],
+    [89104, 272.7798, 60.4095, 6.50, -0.00],
+    [89112, 272.8073, -45.9544, 4.52, 1.01],
+    [89114, 272.8116, -19.8420, 6.33, 0.16],
+    [89115, 272.8158, -75.8915, 5.86, 1.25],
+    [89153, 272.9306, -23.7012, 4.96, 1.05],
+    [89156, 272.9380, 33.4471, 5.98, 0.04],
+    [89172, 272.9757, 31.4053, 4.96, 1.64],
+    [89234, 273.1419, -73.6724, 5.86, 0.46],
+    [89246, 273.1776, 41.1468, 6.36, 1.04],
+    [89279, 273.2701, 38.7735, 6.04, -0.06],
+    [89290, 273.3029, -41.3361, 5.47, -0.15],
+    [89298, 273.3190, 21.8803, 6.14, 1.47],
+    [89341, 273.4409, -21.0588, 3.84, 0.20],
+    [89347, 273.4676, 2.3935, 6.43, 1.54],
+    [89348, 273.4743, 64.3973, 4.99, 0.44],
+    [89369, 273.5663, -21.7132, 5.49, 1.53],
+    [89370, 273.5680, -63.6897, 6.47, 1.41],
+    [89439, 273.8038, -20.7283, 5.29, 0.01],
+    [89440, 273.8040, -20.3880, 5.96, -0.02],
+    [89448, 273.8212, 68.7558, 5.96, 1.05],
+    [89470, 273.8782, -18.6616, 6.05, 0.17],
+    [89474, 273.8853, 45.2093, 6.30, 0.64],
+    [89482, 273.9116, 42.1593, 5.56, -0.11],
+    [89487, 273.9192, -63.0554, 5.58, 0.94],
+    [89507, 273.9727, -44.2065, 5.45, 0.96],
+    [89512, 273.9914, -3.6180, 6.35, 0.20],
+    [89527, 274.0232, 2.3775, 6.10, 1.55],
+    [89587, 274.2213, -3.0074, 5.99, 0.89],
+    [89597, 274.2538, -51.0683, 6.06, -0.05],
+    [89604, 274.2784, 40.9367, 6.12, 0.98],
+    [89605, 274.2814, -56.0234, 5.36, -0.05],
+    [89609, 274.2985, -17.3739, 5.81, 1.57],
+    [89620, 274.3490, -28.2890, 6.36, 0.54],
+    [89622, 274.3504, -28.6521, 6.18, 0.18],
+    [89623, 274.3507, -9.7586, 6.29, 0.38],
+    [89637, 274.4010, -34.1073, 6.03, -0.10],
+    [89642, 274.4068, -36.7617, 3.10, 1.58],
+    [89674, 274.5040, -68.2293, 6.32, -0.03],
+    [89677, 274.5123, 13.7770, 6.29, -0.04],
+    [89678, 274.5133, -27.0426, 4.66, 1.63],
+    [89683, 274.5322, 23.2969, 6.45, 1.70],
+    [89684, 274.5321, 18.1317, 6.24, -0.00],
+    [89726, 274.6673, -42.2884, 6.30, -0.14],
+    [89772, 274.7897, 7.2598, 5.41, 1.08],
+    [89773, 274.7945, 24.4461, 5.30, 1.51],
+    [89805, 274.9172, -63.8866, 6.17, 0.58],
+    [89826, 274.9655, 36.0645, 4.33, 1.16],
+    [89827, 274.9670, 29.6664, 6.01, 1.32],
+    [89835, 274.9836, 51.3478, 6.30, 1.11],
+    [89851, 275.0366, -15.8317, 5.39, 1.47],
+    [89861, 275.0746, 21.9613, 4.92, 1.59],
+    [89908, 275.1893, 71.3378, 4.22, -0.09],
+    [89918, 275.2169, 3.3772, 4.85, 0.91],
+    [89920, 275.2299, -37.4876, 6.46, 1.31],
+    [89925, 275.2374, 29.8589, 5.61, 0.23],
+    [89931, 275.2485, -29.8281, 2.72, 1.38],
+    [89935, 275.2543, 28.8700, 5.12, 0.21],
+    [89937, 275.2641, 72.7328, 3.55, 0.49],
+    [89943, 275.2798, 49.7255, 6.39, 1.09],
+    [89962, 275.3275, -2.8988, 3.23, 0.94],
+    [89968, 275.3458, -18.8600, 5.76, 0.67],
+    [89977, 275.3683, 5.4357, 6.14, -0.05],
+    [89980, 275.3807, -24.9153, 6.19, 1.82],
+    [89981, 275.3861, 49.1216, 5.02, 1.62],
+    [90012, 275.5006, -28.4300, 6.15, 0.26],
+    [90023, 275.5363, 23.2852, 5.41, 1.63],
+    [90037, 275.5774, -38.6569, 5.09, 1.50],
+    [90052, 275.6472, 12.0297, 5.99, 0.06],
+    [90067, 275.7043, 17.8266, 5.25, 1.25],
+    [90074, 275.7212, -36.6696, 5.33, -0.12],
+    [90083, 275.7588, -10.2190, 6.32, 0.13],
+    [90086, 275.7622, 16.6880, 6.22, 1.22],
+    [90096, 275.8007, -12.0148, 5.71, 0.01],
+    [90098, 275.8068, -61.4939, 4.35, 1.46],
+    [90124, 275.8701, -36.2380, 5.52, 1.01],
+    [90133, 275.9019, -75.0443, 5.47, 0.04],
+    [90135, 275.9149, -8.9344, 4.66, 0.93],
+    [90139, 275.9245, 21.7698, 3.85, 1.17],
+    [90146, 275.9499, 53.3008, 6.35, 0.17],
+    [90156, 275.9775, 58.8007, 4.98, 0.08],
+    [90163, 275.9887, 38.7392, 6.41, 1.43],
+    [90174, 276.0150, -3.5832, 6.36, 0.35],
+    [90182, 276.0386, 83.1754, 6.16, 0.05],
+    [90185, 276.0430, -34.3846, 1.79, -0.03],
+    [90191, 276.0574, 39.5072, 5.11, 0.05],
+    [90200, 276.0760, -44.1103, 5.24, -0.16],
+    [90223, 276.1381, -49.6529, 6.45, 0.59],
+    [90238, 276.1755, -7.0759, 6.28, 1.16],
+    [90253, 276.2384, -1.5794, 6.15, 0.38],
+    [90256, 276.2436, 27.3948, 6.27, 0.05],
+    [90260, 276.2559, -30.7566, 5.58, 1.14],
+    [90289, 276.3377, -20.5417, 4.81, 1.31],
+    [90290, 276.3403, -35.9920, 6.14, 1.01],
+    [90304, 276.3818, -63.0215, 6.13, 0.20],
+    [90313, 276.4117, 8.0320, 5.64, 0.88],
+    [90336, 276.4775, -33.9457, 6.30, -0.07],
+    [90337, 276.4801, 14.9662, 6.37, -0.04],
+    [90342, 276.4949, 29.8289, 5.81, 0.07],
+    [90344, 276.4964, 65.5635, 4.82, 1.18],
+    [90398, 276.6705, 26.4492, 6.50, -0.11],
+    [90414, 276.7251, -48.1172, 5.44, 0.85],
+    [90422, 276.7434, -45.9685, 3.49, -0.18],
+    [90437, 276.7869, -8.0404, 6.50, 1.05],
+    [90441, 276.8021, 0.1961, 5.20, 0.49],
+    [90476, 276.9256, 59.5491, 6.43, 0.98],
+    [90478, 276.9323, -26.6348, 6.31, 0.26],
+    [90485, 276.9562, -29.8169, 5.90, 0.52],
+    [90487, 276.9597, 3.7486, 6.07, 1.61],
+    [90494, 276.9853, -17.8004, 6.19, 0.00],
+    [90496, 276.9927, -25.4217, 2.82, 1.02],
+    [90497, 276.9949, 6.1941, 5.71, -0.03],
+    [90509, 277.0268, -84.3873, 6.49, -0.04],
+    [90510, 277.0257, -26.7572, 6.28, 0.16],
+    [90541, 277.1130, -38.9957, 5.63, 0.14],
+    [90568, 277.2077, -49.0706, 4.10, 0.99],
+    [90595, 277.2994, -14.5658, 4.67, 0.08],
+    [90597, 277.3036, -43.8459, 6.36, 0.90],
+    [90606, 277.3331, -80.2327, 5.95, 1.17],
+    [90637, 277.3988, 23.8662, 5.87, -0.10],
+    [90642, 277.4207, -1.9853, 5.38, 0.96],
+    [90647, 277.4374, 77.5471, 5.65, 1.19],
+    [90651, 277.4448, -14.5820, 6.02, 0.01],
+    [90662, 277.4831, -47.2205, 5.69, 1.26],
+    [90664, 277.4864, -57.5231, 5.74, 0.99],
+    [90687, 277.5494, -18.7288, 5.63, 1.06],
+    [90692, 277.5596, -5.7242, 6.27, 0.95],
+    [90729, 277.6735, 20.8150, 6.49, 0.80],
+    [90759, 277.7623, -41.9138, 6.02, 0.14],
+    [90762, 277.7685, 16.9286, 5.76, 0.05],
+    [90763, 277.7702, -32.9891, 5.37, 0.18],
+    [90797, 277.8434, -62.2783, 4.63, -0.12],
+    [90804, 277.8571, -10.7958, 5.77, 0.38],
+    [90806, 277.8596, -18.4027, 5.12, 0.02],
+    [90830, 277.9393, -45.9148, 4.92, -0.10],
+    [90842, 277.9843, -43.5074, 5.71, 1.32],
+    [90844, 277.9875, -1.0030, 5.93, 0.17],
+    [90853, 278.0081, -45.7574, 5.07, -0.13],
+    [90858, 278.0287, 3.6596, 6.41, -0.03],
+    [90884, 278.0861, -14.6443, 6.36, 0.22],
+    [90887, 278.0889, -39.7040, 5.16, 0.08],
+    [90905, 278.1438, 57.0456, 4.77, 0.61],
+    [90913, 278.1805, -14.8657, 5.47, 2.00],
+    [90915, 278.1923, 23.6168, 5.88, 1.49],
+    [90923, 278.2082, 30.5542, 5.47, -0.08],
+    [90930, 278.2306, -73.9656, 5.88, 0.99],
+    [90936, 278.2538, -39.8920, 6.22, 0.43],
+    [90967, 278.3446, -5.9117, 6.36, 0.03],
+    [90968, 278.3464, -38.7260, 5.67, -0.06],
+    [90969, 278.3462, -38.7200, 6.31, 0.02],
+    [90971, 278.3471, 8.2683, 6.42, -0.04],
+    [90981, 278.3728, -58.7088, 6.40, 0.69],
+    [90982, 278.3758, -42.3125, 4.62, 0.99],
+    [90991, 278.4126, -14.8536, 5.74, 0.04],
+    [91004, 278.4729, -24.0323, 5.49, 1.79],
+    [91013, 278.4862, 52.3535, 5.38, 1.09],
+    [91014, 278.4907, -33.0166, 5.28, -0.12],
+    [91062, 278.6297, -52.8915, 6.21, 1.25],
+    [91090, 278.6979, 10.8920, 6.48, 0.03],
+    [91105, 278.7600, -10.9772, 5.12, 0.93],
+    [91117, 278.8018, -8.2441, 3.85, 1.32],
+    [91118, 278.8025, 18.2034, 5.79, 0.01],
+    [91119, 278.8063, 34.4580, 6.10, -0.12],
+    [91132, 278.8389, -20.8404, 6.49, 0.28],
+    [91139, 278.8767, 23.6055, 5.62, 1.01],
+    [91142, 278.9021, 4.9360, 6.47, 0.07],
+    [91159, 278.9718, 16.9757, 6.21, 0.54],
+    [91172, 278.9985, -29.6991, 6.36, 1.27],
+    [91196, 279.0553, 65.4887, 6.07, 0.28],
+    [91217, 279.1160, 9.1225, 5.38, 0.39],
+    [91235, 279.1556, 33.4690, 5.41, -0.10],
+    [91237, 279.1628, 6.6718, 5.43, 0.39],
+    [91250, 279.1898, 43.2218, 6.21, 0.25],
+    [91262, 279.2347, 38.7837, 0.03, -0.00],
+    [91279, 279.2877, 16.1983, 6.31, 0.90],
+    [91315, 279.3896, 62.5266, 5.74, -0.04],
+    [91322, 279.3998, -0.3095, 5.76, 0.07],
+    [91347, 279.4768, -21.3977, 5.93, 0.19],
+    [91369, 279.5187, -14.0048, 6.49, 0.19],
+    [91373, 279.5270, 39.6683, 6.02, 1.44],
+    [91394, 279.5992, -3.1936, 6.49, 0.55],
+    [91405, 279.6280, -23.5049, 5.78, -0.02],
+    [91438, 279.7225, -21.0519, 5.85, 0.67],
+    [91461, 279.8096, -47.9098, 5.84, 0.23],
+    [91491, 279.8877, 40.9351, 6.25, -0.05],
+    [91494, 279.8965, -43.1859, 5.42, 1.65],
+    [91499, 279.9037, 5.2643, 6.36, 0.80],
+    [91523, 279.9650, 7.3586, 6.26, 0.96],
+    [91525, 279.9701, 52.1961, 6.00, -0.07],
+    [91532, 280.0016, -7.7908, 5.82, 1.54],
+    [91533, 280.0080, 30.8495, 6.43, 0.90],
+    [91552, 280.0508, 38.3672, 6.45, 0.22],
+    [91606, 280.2350, 62.7495, 6.10, 0.98],
+    [91662, 280.3778, -48.0947, 6.47, 1.22],
+    [91675, 280.4221, 31.6176, 6.41, -0.05],
+    [91677, 280.4269, -14.5642, 6.40, 0.76],
+    [91689, 280.4651, -23.8334, 6.22, 0.23],
+    [91707, 280.5337, 34.7463, 6.49, -0.12],
+    [91723, 280.5601, -81.8081, 6.27, -0.10],
+    [91726, 280.5684, -9.0525, 4.70, 0.36],
+    [91733, 280.5943, -64.6430, 6.35, 0.15],
+    [91751, 280.6505, -7.0737, 6.13, 1.01],
+    [91755, 280.6581, 55.5395, 5.03, -0.07],
+    [91781, 280.7296, -19.2842, 6.32, 1.59],
+    [91792, 280.7589, -71.4281, 4.01, 1.13],
+    [91811, 280.7931, 70.7928, 6.28, 1.23],
+    [91820, 280.8190, 39.3001, 6.45, 1.59],
+    [91843, 280.8709, 53.8718, 6.18, 0.09],
+    [91845, 280.8802, -8.2752, 4.88, 1.11],
+    [91852, 280.9005, 36.5566, 6.04, 1.04],
+    [91854, 280.9056, -64.5514, 5.76, 0.97],
+    [91875, 280.9456, -38.3234, 5.11, 0.07],
+    [91880, 280.9635, -6.8181, 6.30, 0.48],
+    [91883, 280.9650, 31.9266, 5.68, 0.36],
+    [91901, 281.0331, -36.7183, 6.31, 0.98],
+    [91915, 281.0761, 61.0481, 6.02, 0.97],
+    [91918, 281.0807, -35.6420, 4.86, -0.17],
+    [91919, 281.0848, 39.6701, 4.67, 0.17],
+    [91926, 281.0949, 39.6127, 4.59, 0.18],
+    [91958, 281.1679, 23.5899, 6.30, 0.44],
+    [91971, 281.1932, 37.6051, 4.34, 0.19],
+    [91973, 281.2008, 37.5946, 5.73, 0.28],
+    [91974, 281.2067, -25.0109, 5.82, 0.03],
+    [91975, 281.2081, 2.0600, 5.02, -0.06],
+    [91985, 281.2308, 54.8972, 6.26, 0.84],
+    [91989, 281.2382, -39.6862, 5.40, 0.85],
+    [92008, 281.2980, -61.0952, 6.04, 1.48],
+    [92016, 281.3277, -21.0016, 6.35, 0.46],
+    [92021, 281.3495, -56.8820, 6.22, 1.39],
+    [92024, 281.3621, -64.8713, 4.78, 0.20],
+    [92027, 281.3682, 5.5001, 5.82, 0.04],
+    [92040, 281.4088, 79.9427, 6.40, 0.30],
+    [92041, 281.4141, -26.9908, 3.17, -0.11],
+    [92043, 281.4155, 20.5463, 4.19, 0.48],
+    [92056, 281.4449, 74.0856, 5.25, 0.95],
+    [92072, 281.4833, -50.8727, 6.24, -0.08],
+    [92079, 281.5048, -19.6064, 6.34, 1.58],
+    [92088, 281.5187, 26.6621, 4.83, 1.20],
+    [92098, 281.5542, 41.4418, 6.06, -0.12],
+    [92111, 281.5859, -22.3922, 5.37, 1.59],
+    [92112, 281.5926, 75.4340, 5.37, 0.05],
+    [92117, 281.6191, -0.9617, 5.89, 0.13],
+    [92131, 281.6723, 18.7059, 6.18, 1.59],
+    [92133, 281.6795, 52.9880, 5.91, -0.10],
+    [92136, 281.6805, -10.1250, 5.69, 0.58],
+    [92161, 281.7553, 18.1815, 4.34, 0.15],
+    [92175, 281.7936, -4.7479, 4.22, 1.09],
+    [92202, 281.8706, -5.7051, 5.38, 1.28],
+    [92226, 281.9359, -40.4062, 5.20, 0.78],
+    [92233, 281.9547, -77.8682, 6.39, 0.59],
+    [92243, 281.9891, 31.7568, 6.06, -0.14],
+    [92254, 282.0111, 4.2414, 6.20, 1.51],
+    [92269, 282.0670, 48.7676, 6.12, 0.23],
+    [92270, 282.0683, 23.5147, 6.19, 0.49],
+    [92294, 282.1579, -65.0777, 5.71, 0.27],
+    [92296, 282.1646, -6.0043, 6.49, 0.24],
+    [92301, 282.1892, -18.6011, 6.46, 0.90],
+    [92308, 282.2104, -43.6800, 5.46, 0.13],
+    [92312, 282.2224, 19.3287, 5.89, 0.02],
+    [92367, 282.3639, -45.8101, 5.80, 0.89],
+    [92382, 282.3958, -43.4341, 5.60, -0.08],
+    [92386, 282.4050, 0.8362, 6.24, 0.04],
+    [92390, 282.4171, -20.3247, 5.22, 1.40],
+    [92391, 282.4206, -5.9129, 5.99, 1.57],
+    [92394, 282.4320, -72.9957, 6.04, 0.03],
+    [92398, 282.4413, 32.8128, 5.93, -0.15],
+    [92405, 282.4705, 32.5511, 5.22, 0.10],
+    [92420, 282.5200, 33.3627, 3.52, 0.00],
+    [92456, 282.6299, -13.5723, 6.48, 1.66],
+    [92475, 282.6898, 10.9764, 6.37, 1.44],
+    [92480, 282.7104, -22.1622, 6.29, 0.39],
+    [92487, 282.7444, -41.0627, 6.50, -0.07],
+    [92488, 282.7438, -9.7741, 5.82, 0.59],
+    [92512, 282.8004, 59.3884, 4.63, 1.19],
+    [92524, 282.8423, -3.3179, 6.08, 0.30],
+    [92549, 282.8956, 52.9751, 5.51, 0.84],
+    [92550, 282.8995, 28.7837, 6.22, 1.18],
+    [92551, 282.9022, 36.5391, 6.10, -0.10],
+    [92593, 283.0080, 13.9656, 6.19, -0.01],
+    [92599, 283.0302, 41.3832, 6.28, -0.08],
+    [92608, 283.0497, -41.7092, 6.47, 1.43],
+    [92609, 283.0543, -62.1876, 4.22, -0.15],
+    [92614, 283.0685, 21.4251, 5.43, -0.07],
+    [92630, 283.1135, -46.5951, 5.51, 1.64],
+    [92635, 283.1180, -26.6508, 6.28, 0.94],
+    [92643, 283.1544, -29.3797, 6.12, 1.34],
+    [92646, 283.1652, -52.1074, 5.18, 0.96],
+    [92669, 283.2496, -46.5863, 6.17, 0.05],
+    [92674, 283.2575, -9.5755, 6.27, 0.20],
+    [92676, 283.2598, -48.3609, 6.17, 0.12],
+    [92687, 283.3000, -51.9314, 6.30, -0.09],
+    [92689, 283.3064, 50.7082, 4.92, 0.90],
+    [92717, 283.3884, 75.7874, 6.33, 0.02],
+    [92728, 283.4315, 36.9717, 5.58, -0.14],
+    [92731, 283.4430, 57.4866, 6.24, 1.24],
+    [92747, 283.5004, -21.3598, 5.68, 1.21],
+    [92761, 283.5424, -22.7448, 4.86, 1.41],
+    [92768, 283.5552, 27.9095, 5.64, 1.36],
+    [92782, 283.5994, 71.2972, 4.82, 1.15],
+    [92791, 283.6262, 36.8986, 4.22, 1.57],
+    [92814, 283.6796, -15.6030, 5.08, 0.14],
+    [92818, 283.6870, 22.6451, 4.57, 0.78],
+    [92822, 283.6964, 48.8594, 5.84, 0.45],
+    [92824, 283.6964, -87.6058, 5.29, 1.30],
+    [92831, 283.7174, 41.6027, 5.46, 1.03],
+    [92833, 283.7188, 33.9686, 5.99, 0.92],
+    [92845, 283.7798, -22.6713, 5.00, 1.35],
+    [92855, 283.8164, -26.2967, 2.05, -0.13],
+    [92862, 283.8338, 43.9461, 4.08, 1.40],
+    [92866, 283.8482, -37.3866, 6.48, 1.12],
+    [92872, 283.8644, 6.6153, 5.58, 1.04],
+    [92882, 283.8792, -16.3766, 5.56, 0.45],
+    [92931, 284.0028, -23.1738, 5.91, -0.02],
+    [92937, 284.0255, 18.1054, 5.69, 1.09],
+    [92946, 284.0549, 4.2036, 4.62, 0.16],
+    [92951, 284.0610, 4.2021, 4.98, 0.20],
+    [92953, 284.0706, -42.7107, 5.35, 1.00],
+    [92963, 284.0944, -1.7999, 6.20, -0.05],
+    [92968, 284.1067, 2.4712, 6.14, 0.96],
+    [92969, 284.1072, 65.2581, 5.62, 0.94],
+    [92972, 284.1135, -31.6890, 6.45, 1.22],
+    [92989, 284.1687, -37.3432, 5.36, -0.15],
+    [92997, 284.1877, 57.8149, 5.67, 1.16],
+    [93012, 284.2279, -62.8019, 6.47, 1.53],
+    [93015, 284.2376, -67.2335, 4.40, 0.53],
+    [93017, 284.2567, 32.9013, 5.20, 0.59],
+    [93026, 284.2653, -5.8463, 4.83, 1.06],
+    [93049, 284.3096, -43.9170, 6.27, -0.07],
+    [93051, 284.3191, 2.5353, 5.56, 0.00],
+    [93053, 284.3223, 62.3968, 6.50, 0.93],
+    [93057, 284.3353, -20.6563, 5.02, 0.14],
+    [93068, 284.3687, 58.2250, 6.47, 0.07],
+    [93074, 284.3933, -39.8232, 6.29, 0.21],
+    [93085, 284.4325, -21.1067, 3.52, 1.15],
+    [93104, 284.5079, 38.2662, 5.89, -0.09],
+    [93117, 284.5421, -83.4222, 6.35, -0.03],
+    [93124, 284.5614, 17.3609, 5.33, 0.73],
+    [93134, 284.5887, -31.0360, 6.09, 1.35],
+    [93138, 284.5988, 6.2399, 6.22, 0.48],
+    [93140, 284.6035, -22.5295, 6.14, 0.09],
+    [93148, 284.6157, -52.9386, 4.85, -0.05],
+    [93163, 284.6519, -60.2005, 5.14, 1.35],
+    [93174, 284.6807, -37.1074, 4.83, 0.40],
+    [93177, 284.6941, 40.6792, 6.20, -0.15],
+    [93179, 284.6955, 13.9066, 5.91, 0.25],
+    [93194, 284.7359, 32.6896, 3.25, -0.05],
+    [93197, 284.7475, 50.8091, 6.32, 0.98],
+    [93203, 284.7739, 13.6222, 5.27, 0.57],
+    [93209, 284.7957, -39.5347, 6.49, -0.04],
+    [93210, 284.8012, 39.2173, 6.43, -0.17],
+    [93225, 284.8492, -12.8405, 5.51, -0.04],
+    [93234, 284.8616, -18.5664, 6.37, 0.96],
+    [93238, 284.8720, -70.4687, 6.49, 0.30],
+    [93244, 284.9057, 15.0683, 4.02, 1.08],
+    [93256, 284.9395, 26.2304, 5.26, 1.23],
+    [93270, 284.9921, 22.8145, 6.28, 1.67],
+    [93279, 285.0034, 32.1455, 4.94, 1.47],
+    [93287, 285.0149, -66.6536, 5.98, 0.98],
+    [93299, 285.0570, 50.5335, 5.39, -0.18],
+    [93315, 285.1034, -24.9422, 6.35, 1.25],
+    [93340, 285.1811, 55.6583, 5.51, 0.86],
+    [93354, 285.2300, 33.8022, 6.04, 0.98],
+    [93371, 285.2679, -37.0616, 6.44, 0.02],
+    [93374, 285.2726, 19.3096, 6.47, 1.11],
+    [93393, 285.3223, 26.2914, 5.69, -0.09],
+    [93408, 285.3599, 46.9348, 5.00, 0.19],
+    [93418, 285.3896, -15.2826, 6.31, 0.96],
+    [93423, 285.4073, -22.6954, 6.25, 1.65],
+    [93429, 285.4201, -5.7391, 4.02, 1.08],
+    [93437, 285.4515, 33.6213, 6.39, -0.12],
+    [93443, 285.4560, 22.2644, 6.44, 0.13],
+    [93466, 285.5293, 52.2611, 6.35, 0.98],
+    [93470, 285.5355, -41.9105, 6.21, 0.00],
+    [93488, 285.5899, 8.3735, 6.25, 1.65],
+    [93498, 285.6153, -24.8468, 5.63, 1.23],
+    [93506, 285.6530, -29.8801, 2.60, 0.06],
+    [93523, 285.7193, 19.6610, 6.11, 1.32],
+    [93526, 285.7271, -3.6990, 5.40, -0.01],
+    [93537, 285.7659, -19.2457, 5.96, 1.16],
+    [93542, 285.7787, -42.0951, 4.74, -0.03],
+    [93543, 285.7792, -19.1030, 6.37, 0.48],
+    [93552, 285.8237, -38.2531, 5.73, 0.33],
+    [93574, 285.8735, -68.7555, 5.89, 0.55],
+    [93580, 285.8844, 1.8188, 5.82, 0.18],
+    [93624, 285.9898, -51.0186, 5.93, 1.24],
+    [93629, 286.0042, -57.9600, 6.30, 0.86],
+    [93666, 286.1006, -5.6848, 6.48, 2.30],
+    [93667, 286.1044, -31.0471, 5.49, 0.03],
+    [93683, 286.1708, -21.7415, 3.76, 1.01],
+    [93713, 286.2299, 53.3967, 5.40, -0.01],
+    [93717, 286.2403, -4.0314, 5.40, 1.12],
+    [93718, 286.2411, 31.7441, 5.63, 1.55],
+    [93720, 286.2429, 30.7334, 6.07, 1.57],
+    [93733, 286.2910, 49.9232, 6.45, 1.35],
+    [93747, 286.3525, 13.8635, 2.99, 0.01],
+    [93763, 286.4216, -15.6604, 5.93, -0.01],
+    [93770, 286.4464, 29.9217, 6.32, 1.67],
+    [93805, 286.5622, -4.8826, 3.43, -0.10],
+    [93815, 286.5831, -52.3409, 5.17, 0.53],
+    [93825, 286.6046, -37.0634, 4.23, 0.52],
+    [93843, 286.6572, 28.6286, 5.53, 0.30],
+    [93845, 286.6600, 24.2508, 5.78, 0.10],
+    [93855, 286.7172, -16.2293, 6.00, -0.03],
+    [93858, 286.7186, -37.8107, 6.15, 0.70],
+    [93860, 286.7284, -50.3231, 6.29, -0.06],
+    [93862, 286.7317, -48.2991, 5.95, -0.02],
+    [93864, 286.7350, -27.6704, 3.32, 1.17],
+    [93867, 286.7442, 11.0712, 5.07, -0.06],
+    [93887, 286.7847, -18.7382, 6.28, -0.04],
+    [93903, 286.8255, 36.1002, 5.25, -0.11],
+    [93917, 286.8566, 32.5017, 5.20, 0.37],
+    [93925, 286.8785, -28.6368, 6.05, 1.58],
+    [93966, 286.9888, 16.8534, 6.08, 0.70],
+    [93975, 287.0147, 21.6989, 6.22, 0.43],
+    [93993, 287.0607, -24.6574, 6.30, 0.01],
+    [93996, 287.0696, -19.2903, 5.56, -0.09],
+    [94005, 287.0874, -40.4967, 4.57, 1.07],
+    [94013, 287.1075, 52.4257, 5.88, 1.09],
+    [94054, 287.2180, -55.7204, 6.44, 1.10],
+    [94068, 287.2496, 6.0732, 5.23, 0.35],
+    [94083, 287.2912, 76.5605, 5.11, 0.31],
+    [94114, 287.3681, -37.9045, 4.11, 0.04],
+    [94130, 287.4156, -39.8272, 6.44, 1.06],
+    [94140, 287.4409, 65.9785, 6.26, 0.01],
+    [94141, 287.4410, -21.0236, 2.88, 0.38],
+    [94144, 287.4506, -19.8037, 6.11, 1.16],
+    [94149, 287.4650, -0.4281, 6.34, -0.04],
+    [94150, 287.4703, -68.4244, 5.31, 0.90],
+    [94157, 287.4902, -41.8923, 5.86, -0.08],
+    [94160, 287.5073, -39.3408, 4.10, 1.16],
+    [94243, 287.7579, -39.0047, 6.34, 0.01],
+    [94272, 287.8284, -29.5023, 6.28, -0.03],
+    [94280, 287.8465, 40.4291, 6.20, 0.09],
+    [94290, 287.8791, 26.7359, 6.35, 0.44],
+    [94302, 287.9191, 56.8592, 5.13, 1.01],
+    [94311, 287.9417, 31.2835, 5.93, -0.06],
+    [94336, 288.0210, 49.8558, 5.85, 0.67],
+    [94372, 288.1168, -21.6584, 6.39, 1.13],
+    [94376, 288.1388, 67.6615, 3.07, 0.99],
+    [94382, 288.1531, 21.5546, 6.02, 0.07],
+    [94385, 288.1696, -7.9395, 5.35, 0.09],
+    [94398, 288.1922, -50.4864, 6.12, 0.95],
+    [94434, 288.3070, -25.9068, 5.79, 1.39],
+    [94437, 288.3147, -12.2826, 5.51, 1.44],
+    [94477, 288.4279, 2.2937, 5.14, -0.07],
+    [94478, 288.4334, 5.5156, 6.47, 0.10],
+    [94481, 288.4395, 39.1460, 4.43, -0.15],
+    [94490, 288.4798, 57.7051, 5.00, 1.16],
+    [94556, 288.6648, -45.1935, 5.91, 0.90],
+    [94598, 288.7612, 20.2031, 6.03, 0.90],
+    [94604, 288.7832, 83.4627, 6.50, 0.11],
+    [94620, 288.8223, 21.2321, 5.65, 0.12],
+    [94623, 288.8299, 50.0711, 6.27, 0.93],
+    [94624, 288.8337, 15.0837, 5.58, 1.07],
+    [94630, 288.8536, 30.5264, 5.88, 1.67],
+    [94643, 288.8851, -25.2567, 4.86, 0.57],
+    [94645, 288.8884, -24.1794, 6.25, 0.55],
+    [94646, 288.8890, 18.5164, 6.46, 1.74],
+    [94648, 288.8877, 73.3555, 4.45, 1.26],
+    [94685, 288.9979, 27.9263, 6.18, 0.63],
+    [94703, 289.0543, 21.3904, 4.76, -0.06],
+    [94712, 289.0906, -45.4660, 5.38, 1.35],
+    [94713, 289.0921, 38.1337, 4.35, 1.26],
+    [94720, 289.1116, 14.5446, 5.65, -0.02],
+    [94724, 289.1192, -69.1908, 6.25, 0.19],
+    [94727, 289.1293, 4.8348, 5.59, 0.10],
+    [94755, 289.2141, 46.9991, 6.02, 0.48],
+    [94770, 289.2522, -65.2277, 6.42, -0.05],
+    [94779, 289.2757, 53.3685, 3.80, 0.95],
+    [94789, 289.3010, -66.6610, 5.52, 0.17],
+    [94820, 289.4087, -18.9529, 4.88, 1.01],
+    [94827, 289.4318, 23.0255, 5.46, 0.02],
+    [94833, 289.4508, 2.0317, 6.19, 0.02],
+    [94834, 289.4542, 11.5954, 5.28, 0.20],
+    [94858, 289.5408, -53.3871, 6.36, 0.51],
+    [94885, 289.6354, 1.0851, 5.10, 1.14],
+    [94890, 289.6578, 49.5695, 6.32, 1.12],
+    [94910, 289.7017, 19.6105, 6.50, -0.01],
+    [94913, 289.7123, 0.3390, 6.40, 1.05],
+    [94916, 289.7198, 9.6181, 6.31, 1.06],
+    [94929, 289.7504, -15.5366, 6.09, 1.42],
+    [94932, 289.7548, 37.4453, 6.25, 0.01],
+    [94974, 289.9018, 54.3760, 6.23, 0.03],
+    [94981, 289.9125, 37.3305, 6.29, 0.68],
+    [94982, 289.9140, 12.3747, 5.53, 0.27],
+    [94986, 289.9166, -35.4215, 5.59, -0.12],
+    [95002, 289.9711, 11.5350, 6.03, 0.09],
+    [95038, 290.0668, 57.6451, 5.91, 1.63],
+    [95066, 290.1371, -5.4158, 4.98, 0.94],
+    [95067, 290.1377, 35.1860, 6.30, -0.09],
+    [95073, 290.1487, -0.8922, 5.46, -0.04],
+    [95077, 290.1590, -22.4025, 5.59, 0.28],
+    [95081, 290.1670, 65.7145, 4.60, 0.03],
+    [95149, 290.3740, -34.9835, 6.48, 0.63],
+    [95154, 290.3980, 76.5596, 6.22, 2.67],
+    [95159, 290.4046, -19.2344, 6.25, -0.09],
+    [95167, 290.4180, 79.6028, 6.06, 0.07],
+    [95168, 290.4182, -17.8472, 3.92, 0.23],
+    [95176, 290.4318, -15.9550, 4.52, 0.08],
+    [95188, 290.4621, -18.3084, 5.84, 1.06],
+    [95211, 290.5397, -42.0160, 6.33, 1.13],
+    [95222, 290.5898, -0.2523, 5.81, 1.09],
+    [95235, 290.6390, 33.5182, 6.09, 1.05],
+    [95239, 290.6573, -51.2313, 6.42, 0.33],
+    [95241, 290.6596, -44.4590, 3.96, -0.09],
+    [95253, 290.7015, 9.9132, 6.34, 0.46],
+    [95260, 290.7120, 26.2624, 5.22, -0.12],
+    [95261, 290.7134, -54.4239, 5.03, 0.02],
+    [95281, 290.7685, -7.4006, 6.31, 1.46],
+    [95294, 290.8047, -44.7998, 4.27, 0.35],
+    [95319, 290.8917, 33.2220, 6.37, 0.80],
+    [95340, 290.9455, 20.2644, 6.40, 0.01],
+    [95347, 290.9716, -40.6159, 3.96, -0.10],
+    [95352, 290.9854, 43.3882, 5.85, 0.92],
+    [95369, 291.0228, -68.3711, 6.33, 1.24],
+    [95370, 291.0252, 36.4521, 6.44, 1.07],
+    [95372, 291.0316, 29.6213, 4.99, -0.12],
+    [95396, 291.0895, -43.7221, 6.13, 1.60],
+    [95398, 291.0920, 16.9377, 6.27, 0.07],
+    [95408, 291.1257, -27.8659, 6.03, -0.12],
+    [95447, 291.2425, 11.9444, 5.17, 0.76],
+    [95453, 291.2564, -4.8845, 6.50, 0.34],
+    [95456, 291.2668, -29.3094, 5.91, 1.28],
+    [95477, 291.3187, -24.5086, 5.02, 0.23],
+    [95485, 291.3400, -13.8971, 5.72, 1.37],
+    [95487, 291.3433, 20.2717, 6.31, -0.01],
+    [95492, 291.3573, 24.9128, 6.19, 0.53],
+    [95498, 291.3692, 19.7984, 5.14, 1.00],
+    [95501, 291.3746, 3.1148, 3.36, 0.32],
+    [95503, 291.3736, -23.9625, 5.45, 1.44],
+    [95556, 291.5380, 36.3179, 5.17, -0.12],
+    [95557, 291.5460, -15.0533, 5.71, 0.01],
+    [95560, 291.5552, 20.0977, 5.60, -0.01],
+    [95564, 291.5798, -21.7767, 5.57, 1.23],
+    [95572, 291.6006, 13.0238, 5.76, 0.46],
+    [95576, 291.6104, 62.5571, 6.38, 1.41],
+    [95582, 291.6195, 19.8915, 5.84, 1.56],
+    [95585, 291.6295, 0.3386, 4.64, 0.58],
+    [95619, 291.7353, -29.7432, 5.66, -0.01],
+    [95656, 291.8582, 52.3204, 5.73, -0.00],
+    [95664, 291.8913, 14.2825, 6.31, -0.07],
+    [95673, 291.9016, 37.9412, 6.30, -0.12],
+    [95690, 291.9505, -54.3253, 5.70, 1.41],
+    [95732, 292.0867, 2.9300, 5.84, -0.00],
+    [95771, 292.1764, 24.6649, 4.44, 1.50],
+    [95785, 292.2378, 24.7687, 5.82, 1.02],
+    [95793, 292.2541, 1.9504, 5.79, 0.09],
+    [95812, 292.3251, 0.2461, 6.25, 1.32],
+    [95818, 292.3371, 20.2797, 6.34, -0.10],
+    [95820, 292.3390, -7.0441, 6.37, 0.87],
+    [95822, 292.3423, 14.5960, 5.57, 1.05],
+    [95823, 292.3494, -43.4452, 5.70, 0.21],
+    [95853, 292.4265, 51.7298, 3.76, 0.15],
+    [95865, 292.4674, -26.9856, 5.46, 1.12],
+    [95866, 292.4692, -55.4418, 6.14, 0.97],
+    [95898, 292.5439, 2.9041, 6.08, 1.82],
+    [95929, 292.6380, 3.4444, 6.09, -0.02],
+    [95932, 292.6442, -55.1101, 6.29, 0.45],
+    [95937, 292.6660, -2.7889, 5.03, 1.77],
+    [95947, 292.6803, 27.9597, 3.05, 1.09],
+    [95951, 292.6891, 27.9653, 5.12, -0.10],
+    [95953, 292.6951, 36.2285, 6.26, -0.01],
+    [95965, 292.7252, -21.3122, 6.11, 0.12],
+    [95978, 292.7511, 70.9893, 6.06, 1.42],
+    [95999, 292.7957, -68.4339, 5.98, 1.64],
+    [96003, 292.8065, 55.7318, 6.37, 1.12],
+    [96014, 292.8305, 50.3067, 5.55, 1.27],
+    [96016, 292.8401, 26.6172, 5.89, 0.92],
+    [96052, 292.9430, 34.4530, 4.74, -0.15],
+    [96095, 293.0583, -44.5464, 6.48, 0.53],
+    [96100, 293.0900, 69.6612, 4.67, 0.79],
+    [96141, 293.2243, -53.1856, 5.76, 0.30],
+    [96164, 293.2920, 60.1587, 6.30, 1.58],
+    [96178, 293.3401, -45.2717, 5.59, -0.02],
+    [96198, 293.4234, 49.2623, 6.00, 1.54],
+    [96204, 293.4418, 5.4657, 6.35, 1.47],
+    [96229, 293.5223, 7.3789, 4.45, 1.18],
+    [96234, 293.5354, -40.0346, 5.89, 0.10],
+    [96258, 293.5825, 51.2366, 5.71, 0.47],
+    [96275, 293.6454, 19.7734, 5.00, -0.09],
+    [96288, 293.6719, 42.4125, 5.34, 0.06],
+    [96297, 293.6931, 63.4342, 6.47, 1.33],
+    [96302, 293.7122, 29.4630, 5.39, 0.58],
+    [96316, 293.7551, 52.5020, 6.39, 1.12],
+    [96327, 293.7802, -10.5604, 5.12, 1.12],
+    [96341, 293.8041, -48.0992, 4.88, 1.10],
+    [96351, 293.8547, 2.9136, 6.37, 0.41],
+    [96356, 293.8742, -7.4603, 6.32, 1.12],
+    [96365, 293.8894, -12.2531, 6.27, 1.09],
+    [96387, 293.9513, 36.9445, 6.03, -0.08],
+    [96396, 293.9831, 50.2386, 6.47, 1.03],
+    [96406, 294.0069, -24.7191, 5.64, 0.18],
+    [96417, 294.0348, 22.5858, 6.33, -0.06],
+    [96428, 294.0654, 14.3911, 6.37, 1.04],
+    [96440, 294.1086, -18.8529, 6.13, 0.27],
+    [96441, 294.1106, 50.2211, 4.49, 0.40],
+    [96459, 294.1582, 44.6949, 5.17, 0.93],
+    [96465, 294.1768, -24.8836, 4.59, -0.07],
+    [96468, 294.1803, -1.2866, 4.36, -0.08],
+    [96481, 294.2186, 11.2732, 5.98, 0.88],
+    [96483, 294.2227, -7.0275, 4.93, -0.05],
+    [96496, 294.2639, -18.2311, 5.66, 1.24],
+    [96503, 294.2901, 29.3337, 6.43, -0.09],
+    [96516, 294.3225, 16.4628, 5.67, 1.01],
+    [96536, 294.3934, -14.3018, 5.46, 0.50],
+    [96546, 294.4201, 35.0225, 6.44, 1.56],
+    [96556, 294.4472, -4.6476, 5.45, 0.43],
+    [96572, 294.4863, 49.2844, 6.47, 0.99],
+    [96601, 294.5741, 20.7834, 6.50, 1.04],
+    [96607, 294.6081, -57.9833, 6.19, 0.97],
+    [96620, 294.6716, 54.9738, 5.89, 0.48],
+    [96630, 294.7041, 3.3815, 6.36, 0.00],
+    [96665, 294.7985, 5.3978, 5.18, -0.00],
+    [96683, 294.8442, 30.1533, 4.68, 0.97],
+    [96688, 294.8556, 16.5711, 6.37, 1.92],
+    [96693, 294.8604, 42.8183, 5.41, -0.06],
+    [96706, 294.8939, 45.9574, 6.25, 0.93],
+    [96721, 294.9241, -45.2786, 6.24, 0.29],
+    [96724, 294.9372, 33.9789, 6.10, 0.09],
+    [96729, 294.9561, -23.4277, 6.33, 0.03],
+    [96734, 294.9674, -66.6855, 6.37, 0.04],
+    [96757, 295.0241, 18.0139, 4.39, 0.78],
+    [96760, 295.0299, -23.4291, 5.97, 1.04],
+    [96771, 295.0550, 60.5071, 6.49, 0.21],
+    [96781, 295.0780, -54.4178, 6.24, 1.00],
+    [96805, 295.1715, 43.0778, 6.17, 1.56],
+    [96807, 295.1805, -0.6212, 5.64, 0.12],
+    [96808, 295.1808, -16.2933, 5.30, 1.11],
+    [96825, 295.2091, 45.5249, 5.06, 0.43],
+    [96837, 295.2622, 17.4760, 4.39, 1.04],
+    [96840, 295.2730, 13.8157, 5.98, -0.08],
+    [96856, 295.3110, 22.4528, 6.43, 1.48],
+    [96882, 295.4053, -65.8544, 6.08, 1.56],
+    [96895, 295.4540, 50.5251, 5.99, 0.64],
+    [96901, 295.4665, 50.5175, 6.25, 0.66],
+    [96907, 295.4901, 40.2541, 6.22, 0.18],
+    [96917, 295.5122, -9.1937, 6.31, 1.34],
+    [96919, 295.5173, 55.4632, 6.42, 1.45],
+    [96931, 295.5534, 12.1933, 6.33, -0.08],
+    [96950, 295.6297, -16.1240, 5.06, 0.32],
+    [96957, 295.6417, 11.8266, 5.28, 0.57],
+    [96977, 295.6859, 32.4267, 5.93, 0.12],
+    [97028, 295.7900, 30.6779, 6.08, 0.00],
+    [97029, 295.7949, 38.6717, 6.37, 1.22],
+    [97033, 295.8101, 58.0166, 6.29, 0.59],
+    [97063, 295.8897, -15.4701, 5.49, 0.46],
+    [97067, 295.9067, -37.5388, 6.14, 0.02],
+    [97070, 295.9146, 57.0427, 6.28, 0.89],
+    [97077, 295.9289, 25.7719, 5.50, 0.94],
+    [97081, 295.9379, 41.7731, 5.86, 1.60],
+    [97087, 295.9644, 34.1627, 6.04, -0.07],
+    [97091, 295.9832, 27.1354, 6.27, 1.01],
+    [97118, 296.0692, 37.3544, 4.89, 0.95],
+    [97122, 296.0767, 69.3371, 5.90, 0.07],
+    [97139, 296.1425, 13.3028, 6.25, -0.04],
+    [97142, 296.1591, 34.4142, 6.39, 1.52],
+    [97144, 296.1721, 8.7265, 6.43, 0.94],
+    [97151, 296.2043, 40.7168, 6.36, 1.56],
+    [97165, 296.2437, 45.1308, 2.86, -0.00],
+    [97228, 296.4152, 36.0910, 6.38, -0.05],
+    [97229, 296.4164, 7.6132, 5.89, 0.18],
+    [97242, 296.4640, 35.0128, 6.14, 1.07],
+    [97244, 296.4676, -2.8835, 6.47, 0.02],
+    [97260, 296.5051, -31.9086, 5.51, 0.02],
+    [97278, 296.5649, 10.6133, 2.72, 1.51],
+    [97290, 296.5906, -19.7611, 4.87, 1.06],
+    [97295, 296.6067, 33.7276, 5.00, 0.48],
+    [97307, 296.6459, 32.8886, 6.18, 1.17],
+    [97326, 296.6861, 68.4380, 6.34, 0.31],
+    [97365, 296.8469, 18.5343, 3.68, 1.31],
+    [97372, 296.8618, 47.9076, 6.14, 1.64],
+    [97376, 296.8657, 38.4076, 5.83, -0.09],
+    [97402, 296.9523, 25.3841, 6.00, 0.99],
+    [97421, 297.0050, -56.3626, 5.33, 0.20],
+    [97423, 297.0126, -13.7036, 6.11, 0.19],
+    [97433, 297.0431, 70.2679, 3.84, 0.89],
+    [97454, 297.1271, 10.6941, 6.44, 0.93],
+    [97473, 297.1752, 11.8159, 5.75, 0.55],
+    [97484, 297.2091, -12.3194, 6.47, 1.68],
+    [97485, 297.2108, 33.4373, 6.42, 0.13],
+    [97491, 297.2295, -52.8881, 6.27, 1.13],
+    [97496, 297.2444, 19.1420, 5.01, 0.10],
+    [97499, 297.2592, -10.8708, 6.00, 1.23],
+    [97515, 297.2984, -28.7890, 6.04, 0.40],
+    [97534, 297.3554, -72.5034, 5.39, 0.23],
+    [97538, 297.3646, 38.7101, 6.12, 0.91],
+    [97569, 297.4726, -66.8131, 6.44, 1.48],
+    [97572, 297.4780, 28.4397, 6.45, -0.10],
+    [97573, 297.4825, 27.0852, 6.46, 0.94],
+    [97598, 297.5586, -47.5574, 5.91, 1.68],
+    [97607, 297.5728, 7.9024, 6.49, -0.09],
+    [97611, 297.5907, -61.0611, 6.21, -0.14],
+    [97630, 297.6416, 38.7224, 5.18, 1.67],
+    [97634, 297.6555, 40.5998, 5.68, -0.06],
+    [97635, 297.6572, 52.9880, 5.03, 1.29],
+    [97646, 297.6867, -59.1937, 5.41, 0.08],
+    [97649, 297.6958, 8.8683, 0.76, 0.22],
+    [97650, 297.6949, -10.7635, 5.38, 0.40],
+    [97651, 297.6953, 37.8263, 6.13, 1.63],
+    [97674, 297.7551, -65.6051, 6.04, 0.32],
+    [97675, 297.7568, 10.4157, 5.12, 0.56],
+    [97679, 297.7671, 22.6100, 4.90, -0.15],
+    [97687, 297.7962, -2.4610, 6.12, 1.57],
+    [97697, 297.8239, 9.6299, 6.25, 0.10],
+    [97700, 297.8307, 47.3772, 6.22, 0.40],
+    [97709, 297.8618, 4.0886, 6.47, 1.34],
+    [97749, 297.9609, -39.8744, 5.32, -0.04],
+    [97757, 297.9961, 47.0273, 5.60, -0.08],
+    [97765, 298.0066, 24.9922, 5.54, 0.68],
+    [97767, 298.0143, 11.6283, 6.16, 0.64],
+    [97774, 298.0299, 47.9318, 5.91, -0.17],
+    [97783, 298.0500, -19.0450, 5.88, 0.98],
+    [97789, 298.0684, 36.4323, 6.13, 1.43],
+    [97796, 298.0907, 18.6719, 6.24, -0.03],
+    [97804, 298.1182, 1.0057, 3.87, 0.63],
+    [97816, 298.1572, -54.9710, 5.76, 0.92],
+    [97819, 298.1630, -54.9764, 6.50, 0.10],
+    [97845, 298.2552, 47.8077, 6.30, -0.13],
+    [97849, 298.2766, -14.6032, 6.47, 0.15],
+    [97870, 298.3224, 57.5235, 5.14, -0.13],
+    [97871, 298.3281, -3.1145, 5.63, 0.23],
+    [97886, 298.3654, 24.0796, 4.57, -0.05],
+    [97892, 298.3976, 59.7087, 6.06, 0.03],
+    [97928, 298.5345, -8.5742, 5.76, 1.66],
+    [97938, 298.5620, 8.4615, 4.71, 1.02],
+    [97944, 298.5739, -23.9411, 6.22, 1.02],
+    [97961, 298.6295, 24.3194, 5.56, -0.02],
+    [97966, 298.6569, -8.2273, 5.70, -0.08],
+    [97967, 298.6586, -8.2370, 6.49, -0.04],
+    [97970, 298.6675, 7.1404, 6.14, 0.04],
+    [97971, 298.6685, -61.1708, 6.21, 0.16],
+    [97980, 298.6867, 0.2736, 5.60, 0.10],
+    [97985, 298.7010, 36.9957, 5.79, 0.77],
+    [98012, 298.7713, -33.0463, 6.47, 1.49],
+    [98032, 298.8154, -41.8683, 4.12, 1.06],
+    [98036, 298.8283, 6.4068, 3.71, 0.85],
+    [98038, 298.8312, -6.7348, 6.49, 0.39],
+    [98044, 298.8419, 58.2502, 6.10, 1.02],
+    [98055, 298.9074, 52.4389, 4.91, 0.12],
+    [98066, 298.9598, -26.2995, 4.70, 0.75],
+    [98068, 298.9657, 38.4867, 4.95, -0.09],
+    [98073, 298.9807, 58.8460, 4.98, 1.58],
+    [98085, 299.0053, 16.6348, 5.71, 0.90],
+    [98086, 299.0071, -81.3498, 6.39, 1.40],
+    [98103, 299.0594, 11.4237, 5.28, 0.01],
+    [98110, 299.0765, 35.0834, 3.89, 1.02],
+    [98111, 299.0794, 56.6870, 6.16, 0.09],
+    [98143, 299.1839, 36.2506, 6.03, -0.14],
+    [98146, 299.1882, 50.9025, 6.46, 0.00],
+    [98162, 299.2368, -27.1699, 4.54, 1.46],
+    [98174, 299.2763, -58.9014, 5.24, 0.01],
+    [98194, 299.3078, 40.3678, 5.46, -0.09],
+    [98234, 299.4394, 16.7892, 5.54, -0.05],
+    [98253, 299.4838, 42.2608, 6.44, 0.10],
+    [98258, 299.4876, -15.4915, 5.01, 0.06],
+    [98308, 299.6197, 63.5341, 6.15, 0.04],
+    [98320, 299.6432, 38.1057, 6.33, -0.09],
+    [98325, 299.6583, 30.9837, 5.51, -0.06],
+    [98332, 299.6720, -69.1640, 5.74, 0.22],
+    [98333, 299.6744, 70.3669, 6.32, 0.87],
+    [98337, 299.6893, 19.4921, 3.51, 1.57],
+    [98346, 299.7208, -68.7626, 6.38, 0.16],
+    [98351, 299.7351, -30.5384, 6.27, 1.05],
+    [98353, 299.7383, -26.1958, 4.84, 0.88],
+    [98375, 299.7939, 23.1013, 5.68, 0.34],
+    [98379, 299.8139, 52.0557, 6.14, -0.18],
+    [98383, 299.8351, 45.7725, 5.92, 0.18],
+    [98385, 299.8443, 1.3777, 6.17, 1.13],
+    [98401, 299.9026, 76.4814, 6.20, 1.61],
+    [98412, 299.9341, -35.2763, 4.37, -0.15],
+    [98416, 299.9473, -9.9582, 5.87, 0.60],
+    [98421, 299.9640, -34.6978, 5.30, 0.17],
+    [98425, 299.9800, 37.0429, 5.15, -0.13],
+    [98438, 300.0138, 17.5165, 5.33, 1.58],
+    [98458, 300.0640, 26.1879, 6.49, 1.13],
+    [98461, 300.0664, -37.7017, 5.95, 0.99],
+    [98470, 300.0844, -33.7035, 5.65, 0.50],
+    [98478, 300.0963, -66.9494, 5.75, 1.03],
+    [98482, 300.1055, -49.3509, 6.18, 1.06],
+    [98485, 300.1104, -43.0433, 6.11, 1.63],
+    [98495, 300.1481, -72.9105, 3.97, -0.03],
+    [98512, 300.2014, -45.1129, 5.80, 0.29],
+    [98526, 300.2457, 8.5577, 5.90, 1.53],
+    [98543, 300.2752, 27.7536, 4.66, 0.18],
+    [98563, 300.3138, 37.0990, 6.23, 1.31],
+    [98571, 300.3398, 50.1047, 5.06, 1.12],
+    [98575, 300.3494, -22.7373, 6.01, 0.98],
+    [98579, 300.3616, -40.8143, 6.31, 0.11],
+    [98583, 300.3689, 64.8210, 5.22, 1.60],
+    [98608, 300.4364, -59.3759, 4.95, 1.36],
+    [98609, 300.4363, 24.8004, 5.88, -0.13],
+    [98624, 300.4686, -66.9440, 5.32, 1.22],
+    [98633, 300.4942, -13.6372, 5.69, 0.08],
+    [98636, 300.5060, 24.9380, 5.23, 0.37],
+    [98658, 300.5842, 64.6344, 6.27, 0.93],
+    [98661, 300.5921, 22.1515, 6.50, 0.13],
+    [98688, 300.6645, -27.7098, 4.43, 1.64],
+    [98701, 300.7034, 31.9588, 6.39, 1.21],
+    [98702, 300.7045, 67.8736, 4.51, 1.31],
+    [98738, 300.8183, 18.5010, 5.99, 1.42],
+    [98754, 300.8751, 16.0313, 5.73, -0.10],
+    [98761, 300.8894, -37.9407, 4.77, 1.42],
+    [98767, 300.9059, 29.8968, 5.73, 0.75],
+    [98772, 300.9117, 22.9411, 6.45, 1.03],
+    [98785, 300.9346, -22.5956, 6.44, 0.50],
+    [98819, 301.0259, 17.0702, 5.80, 0.60],
+    [98823, 301.0346, 7.2780, 5.51, 1.06],
+    [98842, 301.0816, -32.0563, 4.99, 1.21],
+    [98844, 301.0965, -0.7093, 5.67, 1.30],
+    [98858, 301.1200, 48.2297, 6.16, 0.04],
+    [98863, 301.1507, 32.2186, 5.62, 0.76],
+    [98872, 301.1855, 63.8902, 6.24, 0.10],
+    [98890, 301.2225, 68.0272, 6.32, 1.65],
+    [98910, 301.2726, -11.5994, 6.38, 0.54],
+    [98915, 301.2782, 51.8394, 6.14, 1.60],
+    [98920, 301.2896, 19.9911, 5.09, 1.06],
+    [98921, 301.2908, 38.4785, 6.18, 0.65],
+    [98946, 301.3396, 56.3414, 6.19, 0.44],
+    [98954, 301.3606, 15.5004, 6.37, 1.61],
+    [98959, 301.3865, -67.3209, 6.07, 0.65],
+    [98962, 301.3870, 61.9954, 5.40, 1.19],
+    [99024, 301.5509, -4.0782, 6.47, 1.16],
+    [99026, 301.5577, 53.1657, 5.81, 0.45],
+    [99031, 301.5907, 35.9725, 5.38, 0.85],
+    [99080, 301.7225, 23.6144, 5.08, -0.16],
+    [99120, 301.8465, -52.8808, 4.93, 1.59],
+    [99137, 301.8962, -55.0160, 6.26, 0.53],
+    [99145, 301.9227, 34.4229, 6.12, 0.12],
+    [99158, 301.9599, 9.3998, 6.43, 0.46],
+    [99171, 302.0076, -0.6782, 5.97, 1.02],
+    [99176, 302.0271, 16.6644, 6.39, 1.72],
+    [99188, 302.0398, -52.5778, 6.47, 0.68],
+    [99200, 302.0853, -66.3547, 6.45, 1.59],
+    [99221, 302.1303, -10.0626, 6.18, 0.03],
+    [99234, 302.1595, 10.7259, 6.34, -0.14],
+    [99240, 302.1817, -66.1821, 3.55, 0.75],
+    [99255, 302.2223, 77.7114, 4.38, -0.05],
+    [99270, 302.2660, -47.0679, 6.46, 1.46],
+    [99294, 302.3432, 56.0268, 6.49, 0.94],
+    [99303, 302.3567, 36.8396, 4.93, -0.14],
+    [99404, 302.6397, 26.9042, 5.51, 0.09],
+    [99445, 302.7648, 21.1346, 6.24, 0.89],
+    [99453, 302.7809, -57.5242, 6.36, 0.06],
+    [99457, 302.7920, -8.8423, 6.39, -0.14],
+    [99461, 302.7997, -36.1012, 5.32, 0.87],
+    [99473, 302.8262, -0.8215, 3.24, -0.07],
+    [99479, 302.8376, 21.8749, 6.24, -0.05],
+    [99500, 302.8955, 62.0785, 5.70, 0.53],
+    [99518, 302.9499, 26.8090, 5.51, 1.40],
+    [99529, 302.9912, -12.3924, 6.34, 1.21],
+    [99531, 303.0029, 26.4788, 5.91, -0.11],
+    [99570, 303.0993, -42.7801, 6.20, 1.23],
+    [99572, 303.1078, -12.6175, 5.84, 0.48],
+    [99579, 303.1322, 51.4636, 6.01, 1.14],
+    [99585, 303.1464, 0.8671, 6.25, 0.04],
+    [99624, 303.2684, -0.3308, 6.47, 1.53],
+    [99631, 303.3078, -1.0093, 5.44, 1.43],
+    [99639, 303.3252, 46.8157, 4.80, 0.10],
+    [99655, 303.3494, 56.5677, 4.28, 0.11],
+    [99663, 303.3651, 60.6406, 5.81, 1.48],
+    [99666, 303.3849, -47.7132, 6.47, 1.25],
+    [99675, 303.4079, 46.7413, 3.80, 1.27],
+    [99685, 303.4284, 43.3790, 6.13, 1.49],
+    [99719, 303.5203, 36.6049, 6.47, -0.01],
+    [99738, 303.5605, 28.6948, 5.19, 0.19],
+    [99742, 303.5692, 15.1976, 4.94, 0.07],
+    [99747, 303.5793, -52.4458, 5.65, 1.50],
+    [99762, 303.6121, -63.4158, 6.09, 0.31],
+    [99770, 303.6335, 36.8063, 4.93, 0.15],
+    [99824, 303.8162, 25.5920, 4.79, -0.18],
+    [99825, 303.8225, -27.0330, 5.73, 0.88],
+    [99841, 303.8490, 33.7291, 5.70, 0.93],
+    [99848, 303.8680, 47.7142, 3.96, 1.45],
+    [99853, 303.8760, 23.5089, 5.18, 1.02],
+    [99870, 303.9302, 50.2329, 6.36, 0.10],
+    [99874, 303.9422, 27.8142, 4.50, 1.26],
+    [99878, 303.9609, -30.0053, 6.30, 1.51],
+    [99889, 304.0026, 45.5795, 5.87, 0.45],
+    [99893, 304.0143, 38.8980, 6.28, 0.01],
+    [99894, 304.0250, 4.5808, 6.44, 0.87],
+    [99913, 304.0824, 21.5987, 6.11, 1.04],
+    [99918, 304.0950, -12.3371, 6.30, 0.01],
+    [99920, 304.0984, -36.4536, 6.30, 1.47],
+    [99929, 304.1173, 37.0564, 6.47, -0.10],
+    [99951, 304.1962, 24.6711, 5.30, 0.95],
+    [99968, 304.2304, 40.3651, 5.27, 1.65],
+    [100016, 304.3711, 42.7221, 6.32, 1.63],
+    [100017, 304.3805, 66.8537, 5.91, 0.60],
+    [100018, 304.3814, 29.1476, 6.24, 1.01],
+    [100027, 304.4120, -12.5082, 4.30, 0.93],
+    [100044, 304.4467, 38.0329, 4.77, 0.38],
+    [100062, 304.5058, -21.8100, 5.86, 1.00],
+    [100064, 304.5136, -12.5449, 3.58, 0.88],
+    [100069, 304.5291, 40.7321, 5.83, 0.07],
+    [100097, 304.6031, 55.3971, 5.76, 0.12],
+    [100108, 304.6194, 36.9998, 5.58, 0.06],
+    [100122, 304.6628, 34.9828, 5.14, 0.66],
+    [100142, 304.7070, 46.3222, 6.46, -0.12],
+    [100151, 304.7332, -47.7108, 6.28, 1.66],
+    [100155, 304.7397, 39.0042, 6.35, 1.87],
+    [100165, 304.7625, -63.2307, 6.27, 1.04],
+    [100184, 304.8244, -47.5803, 6.13, 0.47],
+    [100195, 304.8484, -19.1185, 5.28, 1.39],
+    [100208, 304.8721, 13.2168, 6.20, 1.65],
+    [100221, 304.9030, 62.2575, 5.71, -0.04],
+    [100232, 304.9303, -1.0785, 6.05, 1.09],
+    [100250, 304.9835, 46.8373, 6.49, -0.08],
+    [100256, 305.0008, 13.5481, 5.96, 0.30],
+    [100261, 305.0251, 68.8803, 5.59, 1.47],
+    [100268, 305.0634, 39.4032, 6.22, 0.06],
+    [100274, 305.0855, 14.5693, 6.17, 0.93],
+    [100276, 305.0892, 17.7929, 5.82, 1.50],
+    [100295, 305.1277, 53.5957, 6.23, 1.55],
+    [100300, 305.1347, -55.0509, 6.27, 1.62],
+    [100310, 305.1659, -12.7591, 4.77, -0.05],
+    [100325, 305.1940, -14.7849, 6.09, -0.02],
+    [100332, 305.2162, -35.6737, 6.46, 1.31],
+    [100345, 305.2528, -14.7814, 3.05, 0.79],
+    [100357, 305.2980, 63.9801, 5.69, 1.56],
+    [100379, 305.3677, -66.7497, 6.49, 0.51],
+    [100412, 305.4210, -49.9994, 6.26, 0.55],
+    [100434, 305.5127, 41.1321, 6.38, 1.02],
+    [100435, 305.5143, 24.4461, 5.50, -0.09],
+    [100437, 305.5224, 45.7950, 5.58, 1.08],
+    [100453, 305.5571, 40.2567, 2.23, 0.67],
+    [100469, 305.6146, -42.0495, 5.60, 0.00],
+    [100486, 305.6554, 31.2650, 6.09, 1.36],
+    [100501, 305.6887, 41.0260, 5.95, 1.63],
+    [100511, 305.7182, 14.5511, 6.16, 0.50],
+    [100515, 305.7314, 42.9835, 6.20, 0.96],
+    [100524, 305.7533, -9.6547, 6.29, 0.91],
+    [100541, 305.7946, 5.3430, 5.30, 0.98],
+    [100574, 305.9349, 37.4764, 5.87, -0.17],
+    [100587, 305.9651, 32.1902, 4.43, 1.33],
+    [100591, 305.9716, -42.4229, 5.64, 0.20],
+    [100651, 306.1349, 53.5519, 6.49, -0.03],
+    [100664, 306.1562, 1.0684, 6.14, -0.04],
+    [100672, 306.1740, 1.3686, 6.41, 1.60],
+    [100697, 306.2288, -83.3106, 6.15, 0.20],
+    [100714, 306.2709, 59.6001, 6.44, 0.09],
+    [100738, 306.3618, -28.6633, 5.86, 1.10],
+    [100751, 306.4119, -56.7351, 1.94, -0.12],
+    [100754, 306.4189, 21.4096, 5.68, 0.92],
+    [100758, 306.4272, -2.8004, 6.10, 1.19],
+    [100762, 306.4338, 10.0560, 6.32, 1.57],
+    [100764, 306.4497, -40.7962, 6.08, 1.36],
+    [100779, 306.5049, 19.8655, 6.45, 1.04],
+    [100781, 306.5067, 13.9116, 6.35, 1.45],
+    [100807, 306.5965, 17.3156, 6.23, 1.00],
+    [100808, 306.5978, 56.6387, 6.38, 0.02],
+    [100852, 306.7206, -37.4029, 6.24, 0.96],
+    [100859, 306.7594, 49.3834, 5.73, 0.34],
+    [100866, 306.7824, 34.3291, 6.39, 0.48],
+    [100876, 306.8091, 20.4765, 6.44, 1.03],
+    [100881, 306.8300, -18.2117, 5.08, -0.05],
+    [100907, 306.8927, 38.4403, 5.63, 0.07],
+    [100953, 307.0314, 8.4374, 6.23, 1.07],
+    [100965, 307.0608, 81.4227, 5.38, 1.01],
+    [100969, 307.0700, 2.9372, 6.20, 0.90],
+    [100977, 307.1038, -3.3578, 6.12, -0.05],
+    [101011, 307.1816, -15.7415, 6.41, 1.00],
+    [101017, 307.1947, -35.5959, 6.09, -0.09],
+    [101027, 307.2151, -17.8137, 4.77, 0.39],
+    [101044, 307.2623, 83.6254, 6.19, 0.16],
+    [101067, 307.3350, 36.4547, 5.90, 0.41],
+    [101076, 307.3489, 30.3686, 4.01, 0.40],
+    [101082, 307.3649, 81.0913, 5.96, 0.94],
+    [101084, 307.3630, 56.0682, 5.89, -0.05],
+    [101090, 307.3806, -22.3916, 6.13, 1.54],
+    [101093, 307.3954, 62.9941, 4.21, 0.20],
+    [101101, 307.4125, -2.8855, 4.91, 1.16],
+    [101123, 307.4746, -18.5832, 5.94, 0.06],
+    [101133, 307.4998, 45.9286, 6.43, 1.14],
+    [101134, 307.5030, 72.5317, 6.23, 1.35],
+    [101138, 307.5148, 48.9516, 4.94, -0.09],
+    [101160, 307.5748, 10.8959, 6.03, -0.02],
+    [101211, 307.7367, -29.1127, 6.35, 0.23],
+    [101213, 307.7423, 20.6061, 6.21, 0.14],
+    [101214, 307.7468, 36.9358, 6.21, 0.97],
+    [101221, 307.7679, -15.0562, 6.10, 0.80],
+    [101243, 307.8284, 49.2203, 5.44, 1.57],
+    [101245, 307.8381, 52.3095, 6.20, 1.02],
+    [101260, 307.8767, 74.9546, 5.18, 0.10],
+    [101268, 307.9011, 34.3304, 6.47, 0.42],
+    [101285, 307.9438, 56.7799, 6.14, 1.43],
+    [101300, 307.9926, 25.8050, 6.37, 0.28],
+    [101339, 308.0851, 2.1328, 6.47, 1.51],
+    [101345, 308.0987, -9.8534, 5.66, 0.69],
+    [101384, 308.2182, -24.9438, 6.35, 0.00],
+    [101421, 308.3032, 11.3033, 4.03, -0.12],
+    [101427, 308.3235, -80.9649, 5.76, 1.12],
+    [101467, 308.4523, 41.7727, 6.50, 0.99],
+    [101474, 308.4758, 35.2509, 4.61, 1.59],
+    [101475, 308.4785, 46.6939, 5.78, -0.14],
+    [101477, 308.4795, -44.5160, 5.12, 1.00],
+    [101483, 308.4877, 13.0273, 5.39, 0.09],
+    [101489, 308.4997, 4.8987, 6.42, 1.02],
+    [101505, 308.5416, 20.9852, 6.49, -0.14],
+    [101507, 308.5487, -13.7211, 6.11, 0.54],
+    [101552, 308.6975, -30.4735, 6.42, -0.07],
+    [101556, 308.7100, 51.8542, 6.19, 0.32],
+    [101558, 308.7311, -38.0899, 6.45, 0.26],
+    [101570, 308.7761, -71.1888, 6.41, 1.30],
+    [101589, 308.8272, 14.6742, 4.64, 0.12],
+    [101608, 308.8844, -16.5259, 6.19, 0.22],
+    [101612, 308.8952, -60.5817, 4.75, 0.29],
+    [101623, 308.9492, -44.3376, 6.36, 0.96],
+    [101626, 308.9655, -69.6106, 6.09, 1.29],
+    [101641, 309.0347, 25.8826, 6.40, 0.16],
+    [101684, 309.1597, -63.1210, 6.34, 0.41],
+    [101692, 309.1818, -2.5500, 4.91, 1.61],
+    [101716, 309.2695, 26.4619, 5.59, -0.05],
+    [101746, 309.3266, 0.0970, 6.21, -0.08],
+    [101756, 309.3483, 38.3287, 6.21, 1.01],
+    [101765, 309.3824, 31.5725, 6.32, -0.09],
+    [101769, 309.3873, 14.5951, 3.64, 0.42],
+    [101772, 309.3918, -47.2915, 3.11, 1.00],
+    [101773, 309.3971, -61.5299, 4.86, 0.45],
+    [101800, 309.4547, 11.3777, 5.42, 0.05],
+    [101808, 309.4676, -25.1092, 6.38, 0.33],
+    [101810, 309.4780, 18.2686, 6.22, 1.16],
+    [101843, 309.5775, -81.2891, 5.89, 1.69],
+    [101847, 309.5845, -1.1051, 4.31, 0.95],
+    [101867, 309.6306, 21.2012, 4.81, -0.03],
+    [101868, 309.6330, 24.1160, 5.06, -0.13],
+    [101870, 309.6458, 23.6805, 5.91, 0.95],
+    [101882, 309.6833, 13.3151, 5.69, 1.51],
+    [101899, 309.7480, 30.3343, 5.68, 1.09],
+    [101900, 309.7508, 56.0048, 6.45, 0.40],
+    [101909, 309.7707, 15.8382, 5.99, -0.14],
+    [101911, 309.7744, -4.9295, 6.46, 1.02],
+    [101916, 309.7824, 10.0862, 5.07, 0.70],
+    [101919, 309.7944, 21.8174, 6.08, -0.04],
+    [101921, 309.8052, -2.4130, 6.23, -0.09],
+    [101923, 309.8180, -14.9548, 5.24, -0.13],
+    [101936, 309.8537, 0.4864, 5.15, 1.06],
+    [101949, 309.8888, 40.5797, 6.07, -0.13],
+    [101958, 309.9095, 15.9121, 3.77, -0.06],
+    [101965, 309.9657, -62.9078, 6.22, 1.10],
+    [101966, 309.9661, 11.2496, 6.39, 0.56],
+    [101983, 310.0110, -60.5489, 5.11, 0.54],
+    [101984, 310.0123, -18.1387, 5.15, 1.65],
+    [101986, 310.0132, 43.4589, 5.97, 1.19],
+    [101997, 310.0490, -23.7739, 6.36, 0.72],
+    [102011, 310.0746, 60.5053, 6.02, 0.44],
+    [102014, 310.0826, -33.4318, 5.47, 1.12],
+    [102026, 310.1355, -16.1242, 5.79, 1.00],
+    [102033, 310.1512, 29.8056, 6.02, 0.16],
+    [102040, 310.1881, 19.9355, 6.43, 0.61],
+    [102057, 310.2318, -42.3967, 6.25, 0.93],
+    [102066, 310.2606, 32.3073, 5.53, 0.87],
+    [102080, 310.3175, 14.5829, 6.01, 1.24],
+    [102092, 310.3486, -31.5983, 5.75, 1.55],
+    [102094, 310.3511, -25.9999, 6.29, 1.22],
+    [102096, 310.3528, -42.1338, 6.28, 1.58],
+    [102098, 310.3580, 45.2803, 1.25, 0.09],
+    [102155, 310.4854, 41.7169, 5.68, -0.11],
+    [102157, 310.4878, -66.7607, 5.14, -0.06],
+    [102158, 310.4924, 17.5215, 6.24, 0.94],
+    [102162, 310.5124, -76.1806, 5.99, 0.45],
+    [102177, 310.5526, 50.3400, 5.41, -0.11],
+    [102208, 310.6468, 82.5312, 5.75, 0.00],
+    [102216, 310.6654, 60.6013, 6.17, 0.03],
+    [102230, 310.7207, -39.5588, 6.30, 1.07],
+    [102253, 310.7959, 66.6574, 5.59, 0.22],
+    [102258, 310.8070, 57.1140, 6.34, 0.28],
+    [102276, 310.8508, 35.5878, 6.48, 1.25],
+    [102281, 310.8647, 15.0746, 4.43, 0.30],
+    [102333, 311.0097, -51.9210, 4.51, 0.28],
+    [102358, 311.0919, 56.4884, 5.91, 1.64],
+    [102370, 311.1376, 69.7518, 6.50, 0.97],
+    [102388, 311.2188, 25.2706, 4.92, 1.18],
+    [102395, 311.2396, -66.2032, 3.42, 0.16],
+    [102414, 311.3047, -27.2473, 6.50, 0.95],
+    [102422, 311.3224, 61.8388, 3.41, 0.91],
+    [102431, 311.3380, 57.5797, 4.52, 0.54],
+    [102453, 311.4156, 30.7197, 4.22, 1.05],
+    [102485, 311.5239, -25.2709, 4.13, 0.43],
+    [102487, 311.5416, -21.5140, 5.91, 0.07],
+    [102488, 311.5528, 33.9703, 2.48, 1.02],
+    [102496, 311.5775, -36.1202, 6.49, 0.43],
+    [102497, 311.5836, -39.1993, 5.48, -0.08],
+    [102499, 311.5884, 52.9953, 6.34, 1.13],
+    [102530, 311.6608, 46.5317, 6.30, 0.06],
+    [102531, 311.6619, 16.1241, 5.15, 0.49],
+    [102532, 311.6646, 16.1243, 4.27, 1.04],
+    [102561, 311.7648, -2.4869, 6.28, 1.56],
+    [102571, 311.7948, 34.3741, 4.93, 1.29],
+    [102585, 311.8365, 45.5799, 6.41, 1.61],
+    [102589, 311.8522, 36.4907, 4.53, -0.08],
+    [102599, 311.8894, 80.5523, 5.36, 1.14],
+    [102618, 311.9190, -9.4958, 3.78, 0.00],
+    [102624, 311.9343, -5.0277, 4.43, 1.64],
+    [102631, 311.9495, 3.3065, 6.38, -0.01],
+    [102633, 311.9514, 6.0082, 5.57, -0.01],
+    [102635, 311.9554, 47.8319, 5.60, 1.47],
+    [102642, 311.9707, 52.4072, 6.29, 0.88],
+    [102670, 312.0768, -44.1968, 6.47, 1.16],
+    [102693, 312.1214, -43.9885, 5.11, 0.36],
+    [102712, 312.1781, 51.9103, 6.26, -0.07],
+    [102724, 312.2345, 46.1141, 4.81, 0.57],
+    [102770, 312.3218, -0.5633, 6.24, 1.40],
+    [102771, 312.3225, 64.0423, 6.45, 0.03],
+    [102772, 312.3234, -25.7812, 5.86, -0.07],
+    [102773, 312.3257, -68.7765, 5.41, 1.12],
+    [102780, 312.3356, -18.0359, 6.20, 1.40],
+    [102790, 312.3707, -46.2268, 4.90, 1.49],
+    [102804, 312.4070, 50.1271, 6.50, 1.62],
+    [102805, 312.4074, 12.5451, 6.01, 0.42],
+    [102819, 312.4511, 7.8642, 6.32, 0.02],
+    [102827, 312.4777, 46.6613, 6.33, -0.07],
+    [102831, 312.4920, -33.7797, 4.89, 1.00],
+    [102833, 312.4962, 5.5446, 6.20, 0.99],
+    [102843, 312.5205, 44.0593, 5.06, 0.20],
+    [102891, 312.6741, -12.5449, 5.87, 1.07],
+    [102901, 312.6964, -32.0546, 6.42, 1.51],
+    [102916, 312.7532, -37.9133, 5.52, 1.38],
+    [102945, 312.8573, -5.6266, 5.99, 0.46],
+    [102949, 312.8677, 28.2505, 5.66, 0.62],
+    [102950, 312.8752, -51.6082, 5.06, 1.13],
+    [102962, 312.9104, -62.4293, 5.67, 0.20],
+    [102978, 312.9554, -26.9191, 4.12, 1.63],
+    [102989, 312.9948, -33.1780, 6.06, 0.03],
+    [102993, 313.0016, 32.8489, 6.42, -0.14],
+    [103004, 313.0320, 27.0970, 4.56, 0.83],
+    [103005, 313.0362, -5.5071, 5.55, -0.08],
+    [103045, 313.1635, -8.9833, 4.73, 0.33],
+    [103071, 313.2548, -23.7832, 6.32, 0.88],
+    [103077, 313.2733, -11.5737, 6.38, 0.66],
+    [103079, 313.2807, 29.6491, 6.36, 1.08],
+    [103089, 313.3115, 44.3873, 4.80, -0.13],
+    [103094, 313.3274, 45.1817, 5.48, 1.09],
+    [103103, 313.3540, -30.7190, 6.35, 1.10],
+    [103127, 313.4174, -39.8099, 5.34, 1.32],
+    [103145, 313.4746, 33.4379, 5.47, 1.52],
+    [103154, 313.4933, -6.8895, 6.44, 0.36],
+    [103168, 313.5274, -27.9252, 6.41, 1.63],
+    [103200, 313.6402, 28.0576, 5.03, 1.48],
+    [103206, 313.6463, -50.7273, 6.23, -0.10],
+    [103219, 313.6848, 75.9256, 5.99, 0.95],
+    [103226, 313.6992, -17.9229, 5.78, 1.12],
+    [103227, 313.7025, -58.4542, 3.67, 1.25],
+    [103294, 313.9029, 13.7215, 5.19, 1.12],
+    [103298, 313.9107, 12.5686, 5.54, 0.13],
+    [103301, 313.9195, 4.5327, 6.04, 0.82],
+    [103312, 313.9575, 47.4177, 5.68, 0.41],
+    [103346, 314.0709, 56.8875, 6.23, -0.17],
+    [103359, 314.1062, 50.7286, 5.83, 0.34],
+    [103360, 314.1079, 49.1958, 5.92, 1.05],
+    [103371, 314.1449, 44.9247, 5.96, 0.02],
+    [103389, 314.1972, -26.2964, 5.70, 0.51],
+    [103401, 314.2251, -9.6975, 5.49, 1.47],
+    [103413, 314.2934, 41.1671, 3.94, 0.03],
+    [103414, 314.2941, 0.4638, 6.06, 1.22],
+    [103460, 314.4194, -16.0315, 5.89, 0.18],
+    [103511, 314.5681, 22.3259, 5.30, 1.42],
+    [103519, 314.5811, 44.4717, 5.55, 0.97],
+    [103527, 314.6081, 10.8393, 5.51, 0.93],
+    [103530, 314.6251, 50.4618, 5.59, -0.14],
+    [103532, 314.6290, 41.9399, 6.17, -0.08],
+    [103545, 314.6743, -14.4831, 5.95, 0.24],
+    [103569, 314.7687, 4.2935, 5.30, 0.46],
+    [103571, 314.7713, 4.2946, 5.24, 0.46],
+    [103596, 314.8526, 42.3245, 6.47, -0.08],
+    [103598, 314.8558, 59.4386, 5.54, 1.41],
+    [103616, 314.9006, -19.0353, 6.26, -0.11],
+    [103632, 314.9565, 47.5210, 4.74, -0.08],
+    [103646, 314.9987, -36.1296, 6.10, 0.40],
+    [103652, 315.0166, 7.5162, 5.98, 0.28],
+    [103673, 315.0895, -51.2653, 5.76, 0.48],
+    [103675, 315.1154, 19.3296, 5.69, 1.59],
+    [103682, 315.1410, -4.7303, 6.21, 0.64],
+    [103693, 315.1809, -53.7391, 6.26, 1.56],
+    [103703, 315.2157, -17.5309, 6.07, 1.27],
+    [103732, 315.2955, 46.1558, 5.38, -0.21],
+    [103734, 315.3036, 36.0260, 6.01, 0.99],
+    [103738, 315.3228, -32.2578, 4.67, 0.89],
+    [103752, 315.3667, -68.2096, 6.36, 0.10],
+    [103777, 315.4387, -26.8810, 6.04, 0.07],
+    [103810, 315.5375, 56.6696, 5.83, -0.06],
+    [103822, 315.5873, 39.5090, 6.50, 1.51],
+    [103828, 315.6008, 44.7910, 6.18, 1.69],
+    [103836, 315.6132, -38.5310, 5.93, 1.11],
+    [103871, 315.7026, 45.8489, 6.50, -0.12],
+    [103882, 315.7415, -38.6314, 5.32, 0.42],
+    [103889, 315.7484, -0.9247, 6.50, -0.09],
+    [103891, 315.7575, 14.7300, 6.33, 1.68],
+    [103892, 315.7626, 1.5321, 6.24, 0.48],
+    [103894, 315.7702, 38.6574, 6.10, 1.01],
+    [103902, 315.7925, -27.7316, 6.25, 0.94],
+    [103929, 315.8587, 50.3519, 6.37, 0.99],
+    [103949, 315.9311, 46.8632, 6.32, 0.26],
+    [103956, 315.9484, 53.2859, 5.93, 1.00],
+    [103963, 315.9672, 41.6282, 6.34, 0.39],
+    [103981, 316.0197, -5.8231, 5.53, 0.68],
+    [104019, 316.1013, -19.8550, 4.82, 0.17],
+    [104031, 316.1444, 5.5029, 5.63, 1.65],
+    [104041, 316.1735, 2.9423, 6.41, 1.05],
+    [104043, 316.1794, -77.0238, 5.13, 0.49],
+    [104048, 316.1891, 2.2698, 6.34, 0.96],
+    [104060, 316.2328, 43.9279, 3.72, 1.61],
+    [104085, 316.3094, -54.7270, 5.17, 1.20],
+    [104101, 316.3613, 5.9582, 5.94, 0.54],
+    [104105, 316.3719, 78.1264, 5.91, -0.07],
+    [104139, 316.4868, -17.2329, 4.08, -0.01],
+    [104148, 316.5048, -30.1251, 5.69, 1.05],
+    [104171, 316.5971, 71.4318, 5.88, 0.39],
+    [104172, 316.5978, 26.9244, 6.13, 1.03],
+    [104174, 316.6028, -32.3416, 5.20, 1.10],
+    [104177, 316.6063, -41.3860, 5.55, 1.35],
+    [104185, 316.6260, 31.1847, 5.77, 0.55],
+    [104194, 316.6504, 47.6484, 4.56, 1.57],
+    [104202, 316.6660, 3.8031, 6.48, 0.88],
+    [104214, 316.7248, 38.7494, 5.20, 1.07],
+    [104217, 316.7303, 38.7421, 6.05, 1.31],
+    [104234, 316.7819, -25.0059, 4.49, 1.60],
+    [104281, 316.8902, 15.6587, 6.27, 1.01],
+    [104296, 316.9355, -45.3795, 6.45, 0.24],
+    [104297, 316.9362, -17.4559, 6.18, -0.04],
+    [104357, 317.1172, 6.9894, 6.14, 1.67],
+    [104364, 317.1362, -63.9283, 5.75, 1.18],
+    [104365, 317.1401, -21.1937, 5.30, 0.00],
+    [104371, 317.1620, 30.2056, 5.60, -0.05],
+    [104382, 317.1952, -88.9565, 5.45, 0.28],
+    [104440, 317.3435, -73.1730, 5.67, 0.59],
+    [104441, 317.3431, -36.7059, 6.47, 0.52],
+    [104452, 317.3875, -20.5567, 6.25, 0.39],
+    [104459, 317.3985, -11.3717, 4.50, 0.93],
+    [104481, 317.4928, 2.9437, 6.44, 0.38],
+    [104516, 317.5649, 53.5631, 5.75, -0.11],
+    [104521, 317.5854, 10.1316, 4.70, 0.26],
+    [104537, 317.6290, 47.6922, 6.46, 0.01],
+    [104538, 317.6305, 10.0489, 6.07, 0.02],
+    [104557, 317.6956, -9.3541, 6.27, 1.16],
+    [104597, 317.8372, -72.5444, 6.18, 1.09],
+    [104634, 317.9222, -14.4724, 6.47, 0.32],
+    [104642, 317.9510, 59.9866, 5.64, 0.11],
+    [104680, 318.0571, -40.2694, 5.83, 0.45],
+    [104732, 318.2341, 30.2269, 3.21, 0.99],
+    [104738, 318.2628, -39.4249, 5.25, 0.46],
+    [104750, 318.3222, -27.6193, 5.41, 1.43],
+    [104752, 318.3290, -36.4235, 5.97, 0.97],
+    [104755, 318.3355, -70.1263, 5.06, 1.58],
+    [104756, 318.3399, 81.2310, 6.12, 0.09],
+    [104765, 318.3601, 36.6333, 6.07, 0.22],
+    [104771, 318.3699, 15.9824, 6.27, 0.24],
+    [104788, 318.4270, 64.4040, 6.38, 0.63],
+    [104822, 318.5429, 29.9010, 6.18, 1.10],
+    [104858, 318.6201, 10.0070, 4.47, 0.53],
+    [104872, 318.6544, 0.0923, 6.38, 1.57],
+    [104887, 318.6979, 38.0453, 3.74, 0.39],
+    [104914, 318.7776, -17.3451, 6.05, 0.98],
+    [104925, 318.8100, -40.5061, 6.20, 1.14],
+    [104962, 318.9049, 47.9740, 6.45, -0.13],
+    [104963, 318.9079, -20.6517, 5.17, 1.16],
+    [104968, 318.9269, 77.0123, 5.92, 1.53],
+    [104974, 318.9368, -15.1715, 5.31, 1.64],
+    [104978, 318.9411, -53.2631, 5.73, 0.19],
+    [104980, 318.9449, -36.2107, 6.13, 1.38],
+    [104987, 318.9560, 5.2478, 3.92, 0.55],
+    [105017, 319.0714, 44.2382, 6.36, 0.98],
+    [105019, 319.0741, -9.2147, 6.45, 1.61],
+    [105034, 319.1234, 42.2518, 6.23, 1.25],
+    [105046, 319.1645, -1.6078, 6.48, 0.98],
+    [105064, 319.2586, 53.9977, 6.12, 0.05],
+    [105079, 319.3064, -13.2790, 6.41, 0.04],
+    [105080, 319.3094, 55.7980, 6.00, 1.45],
+    [105091, 319.3283, 58.6115, 6.42, 0.19],
+    [105101, 319.3466, 42.6836, 6.17, -0.09],
+    [105102, 319.3540, 39.3947, 4.22, 0.10],
+    [105138, 319.4795, 34.8969, 4.41, -0.10],
+    [105140, 319.4845, -32.1725, 4.71, 0.07],
+    [105143, 319.4887, -17.9851, 5.40, -0.12],
+    [105148, 319.5020, -64.6816, 6.32, -0.06],
+    [105164, 319.5461, -4.5195, 5.83, -0.13],
+    [105186, 319.6133, 43.9459, 5.04, -0.06],
+    [105193, 319.6351, 61.1844, 6.43, 1.54],
+    [105199, 319.6449, 62.5856, 2.45, 0.26],
+    [105224, 319.7168, 11.2034, 5.97, 1.61],
+    [105228, 319.7257, -28.7658, 6.40, 0.97],
+    [105229, 319.7305, 41.0405, 6.15, 0.26],
+    [105259, 319.8154, 58.6235, 5.51, 1.11],
+    [105268, 319.8426, 64.8719, 5.19, -0.04],
+    [105269, 319.8424, 38.2375, 5.89, 0.51],
+    [105282, 319.8698, 49.5103, 5.75, -0.12],
+    [105319, 319.9666, -53.4494, 4.39, 0.19],
+    [105334, 320.0395, -45.0219, 6.15, 2.39],
+    [105344, 320.0586, 22.0262, 6.29, -0.11],
+    [105370, 320.1394, 60.7564, 6.11, 1.00],
+    [105382, 320.1902, -40.8095, 4.80, 0.03],
+    [105390, 320.2086, 32.4522, 6.45, 0.80],
+    [105406, 320.2559, 40.3451, 6.39, 0.53],
+    [105411, 320.2683, 23.8560, 5.58, 1.06],
+    [105412, 320.2680, -4.5601, 5.87, 0.91],
+    [105413, 320.2701, 7.3545, 5.81, 1.66],
+    [105425, 320.3192, -49.9382, 6.40, 1.33],
+    [105432, 320.3414, 32.6127, 6.05, 0.06],
+    [105497, 320.5017, 49.3888, 5.68, 1.10],
+    [105502, 320.5217, 19.8045, 4.08, 1.11],
+    [105515, 320.5617, -16.8345, 4.28, 0.89],
+    [105558, 320.6752, 30.3099, 6.07, 1.08],
+    [105570, 320.7234, 6.8111, 5.16, 0.06],
+    [105574, 320.7344, -9.3193, 5.99, 1.52],
+    [105576, 320.7521, -22.6690, 5.63, 1.64],
+    [105637, 320.9516, 37.3515, 6.46, 1.47],
+    [105646, 320.9829, -25.2025, 6.47, 1.12],
+    [105652, 320.9951, 24.2741, 5.70, 0.31],
+    [105660, 321.0310, 25.3124, 6.20, 0.03],
+    [105662, 321.0330, -22.7471, 6.38, 1.03],
+    [105665, 321.0400, -20.8519, 5.38, 1.18],
+    [105668, 321.0479, -12.8781, 5.48, 0.30],
+    [105678, 321.0698, -69.7339, 6.28, 2.61],
+    [105685, 321.0868, -46.6147, 6.30, 0.23],
+    [105689, 321.0964, 24.5284, 6.35, 1.06],
+    [105695, 321.1024, 10.1743, 6.33, 0.47],
+    [105696, 321.1034, -41.0067, 5.76, -0.04],
+    [105703, 321.1417, 26.1746, 5.67, 0.32],
+    [105727, 321.2065, 80.5248, 5.97, 0.95],
+    [105729, 321.2153, -3.3984, 6.38, 0.33],
+    [105761, 321.3043, -9.7486, 5.71, 0.21],
+    [105767, 321.3207, -3.5567, 5.48, 1.45],
+    [105768, 321.3252, -71.7991, 6.09, 1.26],
+    [105769, 321.3315, 46.7143, 5.59, 0.34],
+    [105811, 321.4459, 36.6674, 5.93, 0.03],
+    [105819, 321.4649, 0.5343, 6.45, 0.16],
+    [105841, 321.5643, -54.6605, 6.10, 0.37],
+    [105854, 321.5953, -37.8294, 5.64, 1.19],
+    [105858, 321.6109, -65.3662, 4.21, 0.49],
+    [105860, 321.6111, 19.3756, 6.08, 0.23],
+    [105864, 321.6169, 1.1034, 6.12, 0.48],
+    [105881, 321.6668, -22.4113, 3.77, 1.00],
+    [105891, 321.6874, 52.8985, 6.01, -0.11],
+    [105898, 321.7151, 48.8352, 5.29, 0.11],
+    [105913, 321.7568, -42.5479, 5.50, 0.39],
+    [105928, 321.8117, -21.1962, 5.78, 1.44],
+    [105942, 321.8390, 37.1168, 5.30, -0.14],
+    [105949, 321.8553, 59.7501, 6.11, 1.72],
+    [105966, 321.9169, 27.6086, 5.39, 0.05],
+    [105972, 321.9423, 66.8091, 5.42, -0.10],
+    [106003, 322.0344, 32.2253, 5.75, 0.33],
+    [106021, 322.1035, 8.1956, 6.39, 1.64],
+    [106032, 322.1650, 70.5607, 3.23, -0.20],
+    [106039, 322.1808, -21.8072, 4.50, 0.89],
+    [106044, 322.1872, -69.5054, 5.47, 1.55],
+    [106052, 322.2197, 55.4187, 6.14, 0.10],
+    [106062, 322.2491, 22.1794, 5.84, 1.37],
+    [106064, 322.2497, 17.9059, 6.42, 1.39],
+    [106065, 322.2506, -53.7059, 6.39, 1.14],
+    [106093, 322.3623, 46.5406, 5.22, 0.96],
+    [106103, 322.3937, 6.5814, 6.41, 1.18],
+    [106140, 322.4871, 23.6388, 4.52, 1.62],
+    [106171, 322.5847, 52.9580, 6.02, 0.08],
+    [106227, 322.7470, 60.4594, 5.53, 0.10],
+    [106243, 322.7901, 12.1375, 6.10, -0.05],
+    [106267, 322.8644, 52.6199, 6.17, 0.90],
+    [106278, 322.8897, -5.5712, 2.90, 0.83],
+    [106306, 322.9590, 23.8452, 6.43, 1.06],
+    [106320, 323.0128, -84.8101, 6.42, 1.41],
+    [106327, 323.0245, -41.1793, 5.29, 1.11],
+    [106340, 323.0607, -33.9446, 5.97, 0.05],
+    [106363, 323.1386, -24.5904, 6.43, 0.20],
+    [106393, 323.2358, 49.9776, 5.77, -0.04],
+    [106419, 323.3234, -52.7378, 6.43, 1.48],
+    [106420, 323.3245, 45.8540, 6.27, 1.80],
+    [106424, 323.3381, -80.0394, 6.47, 0.04],
+    [106429, 323.3480, -44.8487, 5.57, 1.04],
+    [106474, 323.4774, -82.6831, 6.35, 0.09],
+    [106481, 323.4952, 45.5918, 3.98, 0.89],
+    [106500, 323.5715, -42.9247, 6.32, 1.09],
+    [106518, 323.6144, 51.6985, 6.17, -0.01],
+    [106527, 323.6416, 22.7545, 6.45, 0.51],
+    [106544, 323.6782, 1.8292, 6.41, 1.40],
+    [106550, 323.6913, 18.3289, 6.47, 1.25],
+    [106551, 323.6940, 38.5341, 4.87, 1.08],
+    [106559, 323.7127, -20.0843, 5.70, 0.42],
+    [106564, 323.7208, -29.6961, 6.42, -0.10],
+    [106590, 323.8165, -23.4543, 6.39, 1.10],
+    [106592, 323.8234, -3.9833, 5.79, 1.11],
+    [106595, 323.8297, 28.1976, 6.25, 0.36],
+    [106604, 323.8581, 68.2193, 6.47, -0.08],
+    [106605, 323.8627, 24.4522, 6.22, 0.14],
+    [106642, 324.0104, 45.3746, 5.96, 1.34],
+    [106643, 324.0210, 15.0820, 6.50, 0.94],
+    [106654, 324.0457, -26.1715, 5.73, 0.23],
+    [106661, 324.0583, 30.0554, 6.36, 1.24],
+    [106703, 324.2033, -33.0479, 6.10, 0.23],
+    [106711, 324.2374, 40.4135, 5.04, 0.20],
+    [106723, 324.2701, -19.4660, 4.51, -0.18],
+    [106752, 324.3661, 44.6965, 6.19, 0.22],
+    [106758, 324.3907, -0.3906, 6.22, 0.06],
+    [106771, 324.4117, 54.0422, 6.16, 0.99],
+    [106783, 324.4319, 6.6184, 6.19, 0.05],
+    [106786, 324.4380, -7.8542, 4.68, 0.17],
+    [106787, 324.4393, 19.3186, 5.46, 0.32],
+    [106801, 324.4801, 62.0819, 4.76, 0.25],
+    [106818, 324.5119, -64.8242, 6.22, 0.02],
+    [106856, 324.6331, 5.7717, 5.66, 0.27],
+    [106872, 324.6882, 25.4988, 6.18, 1.03],
+    [106881, 324.7349, -79.4426, 6.17, 0.46],
+    [106886, 324.7401, 57.4890, 5.74, 0.20],
+    [106897, 324.7550, 20.2655, 5.77, 0.31],
+    [106907, 324.7755, -33.6789, 6.28, 0.95],
+    [106938, 324.8671, -10.5769, 6.07, 1.03],
+    [106944, 324.8886, 2.2436, 5.10, 1.03],
+    [106978, 324.9988, -52.3590, 6.20, 0.58],
+    [106985, 325.0227, -16.6623, 3.69, 0.32],
+    [106999, 325.0463, 43.2738, 5.09, 1.60],
+    [107030, 325.1405, -55.7380, 6.33, 1.06],
+    [107041, 325.1804, 54.8721, 6.16, 1.12],
+    [107089, 325.3694, -77.3900, 3.73, 1.01],
+    [107095, 325.3869, -14.0476, 5.16, 0.67],
+    [107097, 325.3927, 40.8052, 6.07, 0.07],
+    [107119, 325.4804, 71.3114, 4.55, 1.11],
+    [107128, 325.5029, -23.2629, 5.24, 0.99],
+    [107129, 325.5045, 35.5102, 5.98, 2.50],
+    [107136, 325.5236, 51.1896, 4.69, -0.12],
+    [107140, 325.5348, 45.7657, 6.11, 1.42],
+    [107144, 325.5421, 1.2853, 5.66, 1.45],
+    [107151, 325.5644, 5.6801, 5.30, 1.65],
+    [107162, 325.5957, 41.0770, 5.73, 0.06],
+    [107173, 325.6373, 10.8243, 6.06, -0.12],
+    [107186, 325.6617, 49.6003, 6.10, 0.99],
+    [107188, 325.6646, -18.8663, 4.72, 0.87],
+    [107197, 325.6890, 59.2708, 6.10, 1.35],
+    [107230, 325.7668, 72.3201, 5.18, 1.06],
+    [107232, 325.7683, -14.3997, 5.88, 0.26],
+    [107235, 325.7770, 41.1550, 5.51, 1.61],
+    [107238, 325.8064, -19.6210, 6.23, 0.27],
+    [107253, 325.8569, 38.2836, 5.69, -0.01],
+    [107259, 325.8769, 58.7800, 4.23, 2.24],
+    [107271, 325.9157, 7.5287, 6.47, 1.11],
+    [107297, 325.9921, 22.8153, 6.43, 1.29],
+    [107299, 325.9960, -57.3252, 6.49, 0.48],
+    [107302, 326.0040, -14.7494, 5.96, 0.22],
+    [107310, 326.0357, 28.7426, 4.49, 0.51],
+    [107315, 326.0465, 9.8750, 2.38, 1.52],
+    [107344, 326.1228, -38.5525, 6.28, 1.13],
+    [107348, 326.1279, 17.3500, 4.34, 1.16],
+    [107350, 326.1305, 14.7719, 5.96, 0.59],
+    [107354, 326.1614, 25.6450, 4.14, 0.42],
+    [107374, 326.2220, 62.4606, 5.94, 0.31],
+    [107380, 326.2367, -33.0258, 4.35, -0.05],
+    [107382, 326.2511, -9.0824, 5.10, 1.11],
+    [107398, 326.3017, 52.2676, 6.40, 1.90],
+    [107409, 326.3281, -49.4988, 6.46, 1.15],
+    [107418, 326.3622, 61.1208, 4.25, 0.47],
+    [107423, 326.3701, -71.0088, 6.02, -0.10],
+    [107445, 326.4355, 35.8573, 6.44, 1.00],
+    [107472, 326.5182, 22.9489, 5.29, 1.38],
+    [107487, 326.5678, -9.2759, 6.00, 1.63],
+    [107502, 326.5998, 25.5635, 6.28, 1.21],
+    [107517, 326.6337, -11.3660, 5.57, -0.00],
+    [107533, 326.6984, 49.3096, 4.23, -0.12],
+    [107555, 326.7535, 70.1509, 6.45, -0.01],
+    [107556, 326.7602, -16.1273, 2.85, 0.18],
+    [107558, 326.7698, 17.1940, 6.18, 0.35],
+    [107575, 326.8082, 2.6861, 5.63, 0.01],
+    [107586, 326.8554, 60.6927, 5.53, 1.57],
+    [107596, 326.9093, -5.9168, 6.17, 0.23],
+    [107608, 326.9340, -30.8983, 5.02, 0.04],
+    [107637, 327.0350, 36.5804, 6.25, 1.54],
+    [107649, 327.0656, -47.3036, 5.57, 0.60],
+    [107664, 327.1223, 38.6486, 6.10, -0.07],
+    [107710, 327.2837, 66.7920, 6.49, 0.39],
+    [107723, 327.3292, 61.2728, 6.18, 1.69],
+    [107734, 327.3619, 20.4624, 6.27, -0.10],
+    [107749, 327.4171, 41.1488, 6.48, 0.38],
+    [107750, 327.4209, -12.7229, 6.31, 0.22],
+    [107763, 327.4612, 30.1742, 5.07, 0.01],
+    [107773, 327.5005, -64.7125, 5.62, 1.02],
+    [107788, 327.5362, 17.2859, 5.34, 0.39],
+    [107797, 327.5541, -16.8449, 6.38, 1.42],
+    [107835, 327.6966, -69.6294, 5.52, 1.38],
+    [107843, 327.7273, -82.7189, 5.27, 0.76],
+    [107856, 327.7708, 39.5367, 6.20, -0.07],
+    [107887, 327.8927, 19.8267, 5.78, -0.10],
+    [107893, 327.9052, 65.7527, 6.37, 0.28],
+    [107901, 327.9239, -18.6229, 6.19, 0.37],
+    [107930, 328.0043, 55.7967, 5.70, -0.08],
+    [107956, 328.0758, 21.2732, 6.27, 1.60],
+    [107975, 328.1247, 28.7935, 5.52, 0.43],
+    [108022, 328.2657, 25.9251, 5.09, -0.15],
+    [108036, 328.3240, -13.5518, 5.08, 0.38],
+    [108060, 328.4058, 19.6684, 5.69, 0.01],
+    [108085, 328.4822, -37.3649, 3.00, -0.08],
+    [108090, 328.4907, 6.8648, 6.14, 0.79],
+    [108102, 328.5432, -4.2762, 5.71, 1.19],
+    [108119, 328.5726, 19.7181, 6.36, 0.94],
+    [108133, 328.6106, 80.3086, 6.43, 1.45],
+    [108144, 328.6496, -3.3013, 6.24, 0.47],
+    [108165, 328.7215, 56.6112, 5.74, 0.66],
+    [108195, 328.7975, -61.8866, 5.92, 0.39],
+    [108209, 328.8358, 61.5418, 6.17, 1.60],
+    [108226, 328.8792, 65.3208, 5.84, -0.04],
+    [108259, 328.9818, -30.6059, 6.41, 0.93],
+    [108268, 329.0144, -52.4638, 6.50, 0.93],
+    [108281, 329.0586, -57.8996, 6.17, 0.21],
+    [108294, 329.0949, -37.2537, 5.45, 0.08],
+    [108296, 329.0999, 21.2399, 6.39, 1.70],
+    [108317, 329.1631, 63.6256, 5.11, 1.55],
+    [108339, 329.2349, 12.0765, 5.54, 0.05],
+    [108347, 329.2590, -37.7468, 6.18, 0.32],
+    [108364, 329.2963, 66.1562, 6.41, -0.06],
+    [108420, 329.4627, 74.9967, 6.32, 1.56],
+    [108431, 329.4795, -54.9926, 4.40, 0.30],
+    [108453, 329.5555, -5.4249, 6.33, 0.38],
+    [108478, 329.6253, -59.0121, 6.13, 0.47],
+    [108494, 329.6825, -21.1829, 6.06, 1.62],
+    [108505, 329.7230, 62.6980, 5.96, 1.64],
+    [108506, 329.7291, -4.3731, 6.24, 0.97],
+    [108513, 329.7487, 19.0203, 6.50, 1.01],
+    [108535, 329.8124, 73.1799, 5.04, 0.44],
+    [108543, 329.8246, -38.3951, 5.50, 1.00],
+    [108612, 330.0330, 6.7174, 6.00, -0.11],
+    [108626, 330.1010, -55.8835, 6.02, -0.06],
+    [108632, 330.1113, 33.0059, 6.46, 0.46],
+    [108661, 330.2093, -28.4537, 5.43, -0.10],
+    [108691, 330.2709, 0.6047, 5.60, 1.28],
+    [108693, 330.2723, 13.1198, 5.61, 0.34],
+    [108699, 330.2885, 8.2572, 5.65, 1.44],
+    [108758, 330.4608, 52.8823, 5.79, -0.11],
+    [108759, 330.4692, -77.6625, 6.39, 0.23],
+    [108766, 330.5057, 10.9738, 6.36, -0.10],
+    [108772, 330.5191, 58.0004, 5.55, 0.02],
+    [108784, 330.5494, -17.9035, 6.28, 1.00],
+    [108797, 330.6094, -16.9648, 6.39, 0.45],
+    [108845, 330.7361, 44.6499, 5.57, -0.03],
+    [108849, 330.7659, -76.1184, 5.94, 0.40],
+    [108868, 330.8186, -6.5224, 5.55, 0.96],
+    [108870, 330.8402, -56.7860, 4.69, 1.06],
+    [108874, 330.8285, -2.1554, 4.74, -0.10],
+    [108875, 330.8293, 11.3866, 5.83, -0.05],
+    [108917, 330.9477, 64.6280, 4.26, 0.38],
+    [108924, 330.9707, 63.1199, 5.26, 1.56],
+    [108952, 331.0993, -29.9165, 6.45, 1.60],
+    [108969, 331.1438, 32.9417, 6.36, 1.12],
+    [108975, 331.1532, -26.8224, 5.97, -0.17],
+    [108991, 331.1976, -0.9063, 5.29, 0.23],
+    [109005, 331.2521, 62.7857, 5.27, 1.41],
+    [109009, 331.2644, 14.8159, 6.38, 1.52],
+    [109017, 331.2866, 62.2798, 5.07, 0.24],
+    [109023, 331.2972, 26.6737, 5.75, 1.25],
+    [109033, 331.3188, 46.7448, 6.16, 1.61],
+    [109056, 331.3945, 28.9640, 5.69, -0.05],
+    [109068, 331.4198, 5.0585, 4.86, 1.44],
+    [109074, 331.4460, -0.3199, 2.95, 0.97],
+    [109079, 331.4602, 45.1125, 6.50, -0.03],
+    [109081, 331.4626, -59.6361, 5.62, 1.47],
+    [109082, 331.4634, 48.2315, 6.26, -0.09],
+    [109102, 331.5081, 45.0143, 5.09, 1.57],
+    [109111, 331.5287, -39.5434, 4.47, 1.35],
+    [109121, 331.5511, 45.2487, 6.19, 0.08],
+    [109124, 331.5565, 56.3434, 6.38, -0.09],
+    [109139, 331.6093, -13.8697, 4.29, -0.07],
+    [109176, 331.7528, 25.3451, 3.77, 0.43],
+    [109190, 331.7901, 58.8407, 6.34, 0.88],
+    [109205, 331.8566, 53.3074, 6.17, 0.39],
+    [109209, 331.8691, 19.4755, 5.74, 0.33],
+    [109212, 331.8749, 18.0007, 6.31, 1.60],
+    [109240, 331.9596, 21.7029, 5.79, -0.08],
+    [109268, 332.0583, -46.9610, 1.73, -0.07],
+    [109272, 332.0679, 49.7970, 6.41, 1.58],
+    [109276, 332.0718, 25.5435, 6.08, 0.31],
+    [109285, 332.0959, -32.9885, 4.50, 0.05],
+    [109289, 332.1081, -34.0438, 4.99, 1.50],
+    [109303, 332.1701, 45.7423, 6.11, 0.76],
+    [109306, 332.1777, -33.1257, 6.37, 0.20],
+    [109332, 332.2458, -18.5196, 5.80, -0.15],
+    [109352, 332.3068, 33.1723, 5.58, 0.98],
+    [109375, 332.3707, -23.6591, 6.36, 0.92],
+    [109400, 332.4518, 72.3412, 4.79, 0.92],
+    [109404, 332.4821, -34.0150, 5.37, 0.24],
+    [109408, 332.4912, -48.1077, 6.43, 1.38],
+    [109410, 332.4969, 33.1782, 4.28, 0.47],
+    [109412, 332.5006, -28.2924, 6.44, 0.15],
+    [109422, 332.5366, -32.5484, 4.94, 0.49],
+    [109427, 332.5499, 6.1979, 3.52, 0.09],
+    [109434, 332.5637, 72.1113, 6.36, -0.05],
+    [109439, 332.5793, 19.6163, 6.18, 0.69],
+    [109442, 332.5880, -3.8941, 6.28, -0.01],
+    [109445, 332.5918, 14.6299, 6.36, 1.08],
+    [109458, 332.6258, 20.9780, 6.45, 0.10],
+    [109466, 332.6406, -4.2669, 5.98, 0.98],
+    [109471, 332.6560, 11.6245, 5.78, 1.62],
+    [109472, 332.6562, -11.5649, 5.43, -0.12],
+    [109474, 332.6616, 70.1326, 5.52, 0.39],
+    [109492, 332.7137, 58.2013, 3.39, 1.56],
+    [109493, 332.7154, 30.5530, 6.30, 0.23],
+    [109509, 332.7599, -21.2328, 6.10, 0.50],
+    [109521, 332.7912, 50.8234, 5.38, 0.15],
+    [109556, 332.8774, 59.4145, 5.05, 0.19],
+    [109572, 332.9532, 56.8394, 5.24, 0.53],
+    [109577, 332.9639, 16.0406, 5.93, 0.95],
+    [109584, 332.9791, -76.1160, 6.13, 1.00],
+    [109585, 332.9870, 59.0846, 6.29, 1.12],
+    [109592, 333.0084, 60.7591, 5.37, 1.18],
+    [109602, 333.0337, 24.9506, 5.97, 1.50],
+    [109620, 333.0935, 63.2910, 5.76, 1.65],
+    [109624, 333.1073, -14.1940, 6.04, 0.39],
+    [109647, 333.1828, -4.7207, 6.39, 0.50],
+    [109654, 333.1993, 34.6046, 5.34, 1.13],
+    [109659, 333.2199, 73.3072, 6.11, 1.01],
+    [109667, 333.2395, -26.3278, 6.19, 0.17],
+    [109691, 333.2917, 18.2798, 6.50, 1.37],
+    [109693, 333.2942, 86.1080, 5.27, -0.03],
+    [109730, 333.4112, 28.6080, 5.87, 1.17],
+    [109737, 333.4351, -25.1809, 5.58, 0.50],
+    [109745, 333.4552, 45.4406, 5.53, 0.02],
+    [109746, 333.4571, 63.1623, 6.13, -0.09],
+    [109754, 333.4697, 39.7149, 4.50, 1.39],
+    [109786, 333.5751, -21.0746, 5.33, 0.81],
+    [109788, 333.5767, 17.1893, 6.50, 1.29],
+    [109789, 333.5781, -27.7669, 5.45, -0.12],
+    [109821, 333.6611, -41.3817, 6.23, 0.65],
+    [109831, 333.6849, 42.9539, 5.72, 0.01],
+    [109857, 333.7591, 57.0436, 4.18, 0.28],
+    [109902, 333.8960, -44.4515, 6.10, 0.99],
+    [109908, 333.9038, -41.3467, 4.79, 0.79],
+    [109937, 333.9924, 37.7487, 4.14, 1.45],
+    [109939, 333.9993, 8.5496, 6.21, 0.02],
+    [109972, 334.1107, 57.2202, 5.88, 0.95],
+    [109973, 334.1107, -41.6272, 5.11, 0.93],
+    [109977, 334.1235, 27.8040, 6.38, 0.98],
+    [109984, 334.1402, -1.5964, 6.16, 0.19],
+    [109990, 334.1561, -25.8982, 6.14, 1.11],
+    [110000, 334.2002, -12.8314, 5.34, 1.13],
+    [110003, 334.2085, -7.7833, 4.17, 0.98],
+    [110009, 334.2190, -9.0401, 5.80, 1.16],
+    [110018, 334.2493, -23.1402, 6.17, 1.05],
+    [110023, 334.2771, -5.3872, 5.75, 0.88],
+    [110055, 334.3680, 49.1270, 6.46, 1.05],
+    [110078, 334.4608, -77.5116, 5.49, 0.31],
+    [110091, 334.5178, -0.2377, 6.39, 0.44],
+    [110103, 334.5527, 62.8044, 5.75, 1.26],
+    [110109, 334.5651, -53.6271, 5.36, 0.61],
+    [110130, 334.6254, -60.2596, 2.87, 1.39],
+    [110171, 334.7342, 37.7693, 6.19, 0.27],
+    [110179, 334.7531, -13.3050, 5.96, 1.07],
+    [110256, 335.0070, -80.4397, 5.09, 1.28],
+    [110273, 335.0497, -7.8211, 5.35, -0.05],
+    [110298, 335.1149, 5.7895, 5.37, -0.04],
+    [110311, 335.1511, -57.5098, 6.41, 1.40],
+    [110314, 335.1615, 58.4099, 6.46, 0.99],
+    [110316, 335.1647, 50.9808, 6.40, 1.20],
+    [110341, 335.2325, 8.1867, 6.18, 0.45],
+    [110346, 335.2502, 26.9352, 6.46, 1.53],
+    [110351, 335.2564, 46.5366, 4.55, -0.10],
+    [110371, 335.3306, 28.3305, 4.78, -0.01],
+    [110386, 335.3795, 12.2052, 4.82, -0.13],
+    [110391, 335.3982, -21.5982, 5.12, 1.06],
+    [110395, 335.4141, -1.3873, 3.86, -0.06],
+    [110408, 335.4620, 42.0782, 6.38, -0.09],
+    [110478, 335.6842, -45.9479, 6.42, 2.23],
+    [110487, 335.7095, 36.6590, 6.45, 1.05],
+    [110497, 335.7508, 57.2846, 6.18, -0.11],
+    [110498, 335.7522, 62.4194, 6.04, 0.04],
+    [110504, 335.7792, 55.9632, 6.44, 2.21],
+    [110506, 335.7833, -45.9285, 5.62, 0.37],
+    [110529, 335.8785, -24.7627, 5.53, 0.98],
+    [110532, 335.8840, -7.1944, 5.92, 1.00],
+    [110538, 335.8901, 52.2290, 4.42, 1.01],
+    [110548, 335.9149, 20.8482, 6.20, 0.52],
+    [110566, 335.9760, 38.5736, 6.18, 0.48],
+    [110578, 336.0287, -4.8370, 5.79, -0.03],
+    [110602, 336.1128, -13.5294, 5.76, 0.97],
+    [110609, 336.1291, 49.4764, 4.55, 0.09],
+    [110618, 336.1537, -72.2554, 5.28, 0.66],
+    [110649, 336.2350, -57.7974, 5.31, 0.67],
+    [110668, 336.2942, -70.4316, 5.78, 0.40],
+    [110672, 336.3193, 1.3774, 4.80, -0.17],
+    [110696, 336.4196, 18.4443, 6.26, 1.20],
+    [110712, 336.4632, -75.0157, 6.12, 0.60],
+    [110725, 336.5034, 70.7709, 5.47, 1.22],
+    [110746, 336.5446, -23.6824, 6.29, -0.02],
+    [110778, 336.6428, -16.7421, 5.55, 0.62],
+    [110785, 336.6558, 4.3938, 5.76, 0.52],
+    [110787, 336.6767, 78.7859, 5.83, 0.17],
+    [110790, 336.6898, 37.4437, 6.46, -0.13],
+    [110817, 336.7721, 65.1323, 5.52, 0.30],
+    [110838, 336.8332, -64.9664, 4.51, -0.03],
+    [110849, 336.8604, 39.8100, 6.16, -0.14],
+    [110873, 336.9427, 31.8400, 6.00, 1.44],
+    [110882, 336.9647, 4.6957, 4.78, 1.04],
+    [110907, 337.0464, 27.0188, 6.48, 0.99],
+    [110919, 337.0812, 64.0852, 6.30, 1.11],
+    [110935, 337.1570, -67.4891, 5.56, 0.21],
+    [110936, 337.1634, -39.1318, 5.47, 0.96],
+    [110960, 337.2080, -0.0200, 3.65, 0.41],
+    [110986, 337.2833, 9.1290, 5.60, 1.58],
+    [110988, 337.2885, 58.4041, 6.31, -0.03],
+    [110991, 337.2928, 58.4152, 4.07, 0.78],
+    [110992, 337.2926, 26.7632, 5.79, 1.25],
+    [110997, 337.3174, -43.4956, 3.97, 1.02],
+    [111022, 337.3826, 47.7069, 4.34, 1.68],
+    [111043, 337.4393, -43.7492, 4.12, 1.57],
+    [111045, 337.4417, -27.1073, 5.95, 0.36],
+    [111056, 337.4707, 78.8243, 5.45, 0.09],
+    [111062, 337.4914, 4.4317, 5.51, 0.39],
+    [111066, 337.5062, -12.9151, 6.41, 0.36],
+    [111068, 337.5076, 32.5726, 5.64, -0.03],
+    [111072, 337.5271, 49.3564, 6.41, 1.17],
+    [111086, 337.5723, -14.5857, 6.36, -0.05],
+    [111104, 337.6219, 43.1234, 4.52, -0.09],
+    [111123, 337.6617, -10.6780, 4.82, -0.05],
+    [111138, 337.7241, -26.0738, 6.43, 1.08],
+    [111169, 337.8229, 50.2825, 3.76, 0.03],
+    [111170, 337.8263, -6.5552, 6.15, 0.56],
+    [111171, 337.8267, -2.9113, 6.15, 1.08],
+    [111188, 337.8764, -32.3461, 4.29, 0.01],
+    [111191, 337.8931, 29.5428, 6.33, 0.21],
+    [111196, 337.9063, -85.9673, 5.76, 1.02],
+    [111200, 337.9222, -10.9056, 6.39, 0.29],
+    [111242, 338.0676, 76.2264, 5.70, 0.02],
+    [111247, 338.0780, 54.0370, 6.41, 1.04],
+    [111259, 338.1099, 39.7797, 5.88, 0.17],
+    [111278, 338.1478, 20.2300, 6.43, 0.35],
+    [111296, 338.1955, 15.8633, 6.35, 1.19],
+    [111310, 338.2503, -61.9821, 4.91, 1.61],
+    [111314, 338.2621, 69.9135, 6.01, 0.33],
+    [111325, 338.3201, 70.3737, 6.26, 0.02],
+    [111362, 338.4194, 56.6247, 5.72, 0.97],
+    [111394, 338.5121, -1.5743, 5.88, 0.98],
+    [111449, 338.6735, -20.7082, 5.21, 0.45],
+    [111497, 338.8391, -0.1175, 4.04, -0.08],
+    [111504, 338.8605, -78.7716, 6.15, 1.37],
+    [111515, 338.9016, -23.9911, 5.97, 0.98],
+    [111532, 338.9422, 73.6432, 5.08, 0.40],
+    [111539, 338.9533, -17.4604, 6.39, 1.42],
+    [111543, 338.9666, 56.0706, 6.37, 0.11],
+    [111546, 338.9679, 39.6343, 5.73, -0.16],
+    [111548, 338.9705, -57.8838, 6.22, 0.21],
+    [111550, 338.9724, 50.0708, 6.29, -0.07],
+    [111567, 339.0329, 35.5775, 6.11, 1.00],
+    [111594, 339.1221, -40.5827, 6.28, 0.12],
+    [111600, 339.1477, -31.6638, 5.82, 1.07],
+    [111601, 339.1514, 11.6966, 6.42, 0.03],
+    [111627, 339.2028, 35.6524, 6.28, 1.39],
+    [111643, 339.2452, -40.5910, 5.85, 0.06],
+    [111649, 339.2702, 12.5768, 6.30, 1.43],
+    [111660, 339.3040, 75.3718, 5.80, 1.59],
+    [111674, 339.3434, 51.5451, 4.64, 0.25],
+    [111710, 339.4391, -4.2281, 5.04, 1.14],
+    [111753, 339.5725, 45.1829, 6.38, 0.77],
+    [111761, 339.5923, -7.8976, 6.23, 0.78],
+    [111795, 339.6580, 56.7956, 5.11, 1.54],
+    [111797, 339.6627, 63.5845, 5.19, 0.08],
+    [111801, 339.6861, -28.7482, 6.46, 1.03],
+    [111809, 339.7144, -33.0813, 5.66, 0.04],
+    [111810, 339.7191, 19.5223, 5.84, 0.92],
+    [111841, 339.8153, 39.0503, 4.89, -0.21],
+    [111869, 339.8931, 37.5928, 6.03, 0.85],
+    [111879, 339.9341, -28.3257, 6.30, 1.01],
+    [111884, 339.9459, 19.6811, 6.33, 0.04],
+    [111925, 340.0767, 53.8459, 5.94, 0.95],
+    [111934, 340.0929, -30.6589, 5.88, 1.30],
+    [111944, 340.1286, 44.2763, 4.50, 1.32],
+    [111954, 340.1639, -27.0436, 4.18, -0.10],
+    [111965, 340.1998, -3.5542, 6.32, 0.52],
+    [111967, 340.2038, -57.4223, 5.98, 1.45],
+    [111974, 340.2195, 14.5492, 5.72, 0.72],
+    [112029, 340.3655, 10.8314, 3.41, -0.09],
+    [112031, 340.3694, 40.2254, 5.25, -0.14],
+    [112032, 340.3805, 30.9659, 6.36, 1.58],
+    [112041, 340.4002, 41.5491, 5.93, 1.00],
+    [112051, 340.4392, 29.3076, 4.80, -0.01],
+    [112067, 340.4894, 14.5164, 5.92, 1.11],
+    [112078, 340.5251, -5.1020, 6.28, 1.57],
+    [112098, 340.5867, 53.9087, 6.14, 1.63],
+    [112102, 340.5920, -29.3610, 6.12, 1.52],
+    [112117, 340.6537, -47.2108, 5.99, 0.58],
+    [112122, 340.6669, -46.8846, 2.07, 1.61],
+    [112127, 340.6795, -44.2480, 6.06, 0.96],
+    [112144, 340.7310, 37.8027, 6.43, -0.12],
+    [112158, 340.7506, 30.2212, 2.93, 0.85],
+    [112168, 340.7642, -8.3114, 6.45, 0.17],
+    [112170, 340.7680, 47.1688, 6.39, 0.45],
+    [112179, 340.8094, -6.9629, 6.40, -0.04],
+    [112203, 340.8749, -41.4143, 4.84, 1.03],
+    [112211, 340.8968, -18.8304, 4.68, 1.36],
+    [112241, 341.0217, 39.4653, 5.93, 1.49],
+    [112242, 341.0228, 41.8192, 5.11, 0.96],
+    [112259, 341.0687, -60.4996, 6.29, 0.57],
+    [112300, 341.2047, 52.5172, 6.43, 1.54],
+    [112305, 341.2208, 39.2010, 6.47, 1.50],
+    [112324, 341.2651, 58.1470, 6.45, 0.43],
+    [112358, 341.3674, 19.3666, 6.27, 1.06],
+    [112368, 341.3936, 30.4426, 6.37, 0.93],
+    [112374, 341.4078, -53.5001, 4.84, 1.18],
+    [112381, 341.4199, -46.5473, 5.52, 1.30],
+    [112405, 341.5146, -81.3816, 4.13, 0.21],
+    [112417, 341.5426, 44.5461, 5.84, 0.36],
+    [112432, 341.6179, -49.6858, 6.49, 1.16],
+    [112440, 341.6328, 23.5657, 3.97, 1.07],
+    [112447, 341.6733, 12.1729, 4.20, 0.50],
+    [112501, 341.8298, -34.1617, 6.28, 1.15],
+    [112508, 341.8468, 58.4830, 6.33, 0.02],
+    [112519, 341.8711, 83.1538, 4.77, 1.26],
+    [112529, 341.8880, -19.6134, 5.24, 0.94],
+    [112533, 341.8986, -65.5603, 6.49, 1.21],
+    [112542, 341.9282, -14.0564, 5.68, -0.02],
+    [112567, 341.9842, -25.9120, 6.31, 0.91],
+    [112590, 342.0460, 37.4167, 5.82, 1.02],
+    [112603, 342.0891, -61.6844, 6.36, 1.06],
+    [112615, 342.1259, -10.5555, 6.19, 0.27],
+    [112623, 342.1387, -51.3169, 3.49, 0.08],
+    [112635, 342.1844, 62.9384, 6.07, 1.19],
+    [112641, 342.1996, 54.4149, 6.14, -0.08],
+    [112670, 342.2536, 68.5702, 6.19, 0.44],
+    [112694, 342.3228, -70.3480, 6.35, 0.07],
+    [112716, 342.3979, -13.5926, 4.05, 1.57],
+    [112724, 342.4201, 66.2004, 3.50, 1.05],
+    [112731, 342.4430, 55.9028, 5.43, 1.17],
+    [112746, 342.4968, -32.8055, 6.34, 0.32],
+    [112748, 342.5008, 24.6016, 3.51, 0.93],
+    [112761, 342.5421, 50.6769, 6.23, 1.13],
+    [112778, 342.5907, 41.9534, 5.91, 0.06],
+    [112781, 342.5951, -80.1238, 5.32, -0.13],
+    [112832, 342.7590, -39.1568, 5.43, 1.44],
+    [112833, 342.7626, 85.3737, 5.89, 1.34],
+    [112862, 342.8372, -29.5363, 5.99, 0.91],
+    [112864, 342.8443, 61.6967, 5.61, 0.78],
+    [112895, 342.9373, -59.8814, 6.47, 1.13],
+    [112917, 343.0085, 43.3124, 4.95, 1.56],
+    [112924, 343.0417, -63.1887, 6.14, 1.02],
+    [112935, 343.1003, 9.8357, 5.16, 0.49],
+    [112948, 343.1314, -32.8755, 4.46, -0.04],
+    [112961, 343.1536, -7.5796, 3.73, 1.63],
+    [112986, 343.2177, 50.4123, 6.46, -0.05],
+    [112997, 343.2594, 16.8412, 5.86, 1.13],
+    [112998, 343.2658, 60.1010, 6.01, 1.75],
+    [113009, 343.2974, 40.1674, 6.33, -0.07],
+    [113031, 343.3696, -11.6165, 5.80, -0.08],
+    [113044, 343.4080, -48.5983, 6.03, 0.62],
+    [113048, 343.4173, 44.7492, 5.79, 0.28],
+    [113080, 343.5235, -19.1751, 6.37, 1.51],
+    [113084, 343.5291, 40.3769, 5.82, 1.14],
+    [113116, 343.6040, 84.3462, 4.70, 1.42],
+    [113127, 343.6422, -7.2046, 6.20, 1.28],
+    [113131, 343.6484, 16.9418, 6.39, 1.73],
+    [113136, 343.6626, -15.8208, 3.27, 0.07],
+    [113137, 343.6645, -70.0737, 6.04, 0.66],
+    [113148, 343.6895, -16.2720, 5.53, 1.11],
+    [113167, 343.7479, 1.0649, 6.11, 0.19],
+    [113174, 343.7610, 37.0768, 5.91, 0.40],
+    [113184, 343.7957, -4.9879, 5.72, 0.88],
+    [113186, 343.8070, 8.8162, 4.91, -0.00],
+    [113189, 343.8121, -36.3886, 6.40, 1.31],
+    [113204, 343.8775, -20.1394, 6.36, 1.43],
+    [113222, 343.9354, 36.3514, 5.73, -0.05],
+    [113234, 343.9647, -31.6332, 6.09, 1.36],
+    [113246, 343.9871, -32.5396, 4.20, 0.95],
+    [113281, 344.0985, 41.6039, 5.60, -0.15],
+    [113283, 344.1002, -31.5656, 6.48, 1.09],
+    [113288, 344.1083, 49.7335, 4.99, 1.78],
+    [113307, 344.1992, -47.9692, 5.72, 0.23],
+    [113327, 344.2688, 48.6841, 5.34, -0.10],
+    [113345, 344.3216, -4.8101, 6.31, 0.95],
+    [113357, 344.3666, 20.7688, 5.45, 0.67],
+    [113360, 344.3867, 3.8102, 6.28, 1.12],
+    [113368, 344.4127, -29.6222, 1.17, 0.14],
+    [113371, 344.4197, 39.3088, 6.17, -0.15],
+    [113421, 344.5648, -2.3954, 6.17, 0.74],
+    [113433, 344.5986, -1.4102, 6.38, 0.37],
+    [113445, 344.6462, 9.3569, 6.43, 0.64],
+    [113447, 344.6459, -35.5232, 6.15, 0.58],
+    [113465, 344.6776, 7.3401, 6.35, 0.05],
+    [113498, 344.7875, 59.8147, 6.46, 0.01],
+    [113501, 344.7931, 52.6545, 6.31, 1.41],
+    [113503, 344.7992, 11.7288, 5.76, 0.29],
+    [113521, 344.8644, 0.9629, 5.43, 0.98],
+    [113531, 344.8986, -13.0709, 6.12, 1.46],
+    [113532, 344.8990, -29.4623, 5.51, 0.27],
+    [113561, 345.0213, 56.9454, 5.10, 1.01],
+    [113562, 345.0241, -25.1642, 5.66, 1.25],
+    [113593, 345.1027, -25.6268, 6.30, 1.12],
+    [113610, 345.1579, 0.1859, 6.22, 0.89],
+    [113622, 345.1788, 3.0118, 5.85, 1.34],
+    [113638, 345.2200, -52.7541, 4.11, 0.96],
+    [113657, 345.2816, -50.9500, 5.68, 1.41],
+    [113669, 345.3308, -28.8540, 5.55, 1.35],
+    [113673, 345.3460, -22.7909, 6.27, 0.13],
+    [113674, 345.3485, -7.0612, 6.23, 1.42],
+    [113684, 345.3780, 57.1055, 6.24, 1.50],
+    [113686, 345.3821, -4.7115, 5.94, 0.99],
+    [113705, 345.4316, 3.5309, 6.44, 0.97],
+    [113726, 345.4803, 42.3260, 3.62, -0.10],
+    [113750, 345.5472, 44.5729, 6.43, 0.96],
+    [113781, 345.6357, -6.5740, 6.18, 1.59],
+    [113784, 345.6421, -36.4209, 6.46, 0.94],
+    [113788, 345.6516, 42.7578, 5.09, 0.09],
+    [113801, 345.6844, -20.8707, 5.97, 0.95],
+    [113802, 345.6881, 44.0588, 6.37, -0.02],
+    [113852, 345.8391, 58.5639, 6.43, 0.90],
+    [113860, 345.8742, -34.7494, 5.12, 0.30],
+    [113864, 345.8870, 67.2092, 5.25, 1.25],
+    [113881, 345.9436, 28.0828, 2.44, 1.66],
+    [113889, 345.9692, 3.8200, 4.48, -0.12],
+    [113902, 345.9985, -41.4789, 5.79, 1.07],
+    [113904, 346.0032, 6.6163, 6.42, 0.42],
+    [113919, 346.0458, 50.0521, 4.64, 1.06],
+    [113957, 346.1651, -53.9649, 5.37, 1.45],
+    [113963, 346.1902, 15.2053, 2.49, -0.00],
+    [113969, 346.2176, -68.8202, 5.53, 0.40],
+    [113994, 346.2762, 16.5628, 6.43, 0.89],
+    [113996, 346.2908, -7.6938, 5.44, 0.31],
+    [113998, 346.3036, -17.0793, 6.15, 1.37],
+    [114005, 346.3235, 1.3071, 6.39, 0.93],
+    [114081, 346.5756, 18.5178, 6.16, 0.48],
+    [114096, 346.6329, 19.9109, 6.44, 0.54],
+    [114104, 346.6534, 59.4198, 4.84, -0.06],
+    [114119, 346.6702, -23.7431, 4.48, 0.89],
+    [114131, 346.7197, -43.5204, 4.28, 0.42],
+    [114132, 346.7234, -38.8923, 5.62, 0.01],
+    [114144, 346.7511, 9.4095, 4.54, 1.56],
+    [114152, 346.7710, 35.6365, 6.38, 1.16],
+    [114155, 346.7781, 25.4683, 4.76, 1.28],
+    [114159, 346.7893, -49.6061, 6.33, 1.45],
+    [114162, 346.7919, 52.8166, 6.12, 1.06],
+    [114163, 346.7936, 59.7274, 6.41, -0.03],
+    [114167, 346.8116, -50.6867, 5.81, 0.49],
+    [114187, 346.8655, 32.8253, 6.13, 0.14],
+    [114189, 346.8696, 21.1343, 5.97, 0.26],
+    [114200, 346.9136, 46.3872, 5.30, 1.41],
+    [114210, 346.9391, 49.2958, 5.68, 0.45],
+    [114212, 346.9489, 63.6335, 6.25, -0.03],
+    [114222, 346.9744, 75.3875, 4.41, 0.80],
+    [114227, 346.9884, 64.2225, 6.21, 1.08],
+    [114254, 347.0878, -28.8237, 5.60, 0.88],
+    [114258, 347.0993, -79.4807, 6.11, 0.14],
+    [114268, 347.1483, -73.5861, 6.18, 1.42],
+    [114273, 347.1705, 2.1279, 5.42, 0.91],
+    [114341, 347.3617, -21.1724, 3.68, 1.20],
+    [114347, 347.3811, 8.6772, 5.05, 1.48],
+    [114365, 347.4339, 59.3327, 5.68, 0.32],
+    [114366, 347.4360, -28.0886, 5.88, 1.31],
+    [114367, 347.4364, -67.8763, 6.47, 0.39],
+    [114371, 347.4565, -14.5106, 6.43, 0.01],
+    [114375, 347.4787, -22.4576, 4.71, 0.67],
+    [114382, 347.4890, -42.8613, 5.83, 0.47],
+    [114389, 347.5061, 9.8221, 5.39, -0.07],
+    [114407, 347.5406, -40.5915, 5.90, 1.56],
+    [114408, 347.5514, -66.8576, 6.47, 0.96],
+    [114421, 347.5897, -45.2467, 3.88, 1.00],
+    [114430, 347.6133, 43.5442, 5.91, 0.45],
+    [114449, 347.6777, 17.5944, 5.68, 1.33],
+    [114520, 347.9341, 8.7201, 5.15, 0.14],
+    [114526, 347.9550, 26.8473, 6.19, 0.94],
+    [114550, 348.0522, -80.9127, 6.43, 1.50],
+    [114570, 348.1375, 49.4062, 4.53, 0.30],
+    [114607, 348.2666, 29.4415, 6.34, 0.92],
+    [114622, 348.3207, 57.1684, 5.57, 1.00],
+    [114641, 348.3604, 11.0650, 5.85, 1.00],
+    [114686, 348.4973, 19.6339, 6.47, 1.15],
+    [114699, 348.5274, -62.7000, 6.12, 0.79],
+    [114714, 348.5599, 50.6179, 6.32, -0.01],
+    [114724, 348.5807, -6.0490, 4.22, 1.54],
+    [114725, 348.5905, 29.7718, 6.41, 0.45],
+    [114742, 348.6520, 24.1029, 6.36, 1.17],
+    [114745, 348.6546, 74.2313, 5.89, -0.01],
+    [114750, 348.6674, -10.6887, 6.13, 1.50],
+    [114775, 348.7443, -41.1054, 5.77, 1.16],
+    [114822, 348.8927, -3.4964, 5.56, 0.06],
+    [114831, 348.9072, 70.8881, 5.55, 0.26],
+    [114855, 348.9729, -9.0877, 4.24, 1.11],
+    [114921, 349.1658, -44.4892, 5.92, 1.05],
+    [114924, 349.1763, 53.2135, 5.58, 0.56],
+    [114937, 349.2076, -41.1944, 6.49, 1.07],
+    [114939, 349.2122, -7.7265, 4.93, 1.61],
+    [114948, 349.2404, -62.0012, 5.64, 0.52],
+    [114969, 349.2865, -28.4383, 6.24, 1.56],
+    [114971, 349.2914, 3.2823, 3.70, 0.92],
+    [114981, 349.3195, 45.1642, 6.44, 1.08],
+    [114984, 349.3287, 75.2990, 6.35, 0.05],
+    [114996, 349.3574, -58.2357, 3.99, 0.41],
+    [115015, 349.4170, -11.7129, 6.33, 0.06],
+    [115022, 349.4360, 49.0153, 4.82, 1.67],
+    [115033, 349.4759, -9.1825, 4.41, -0.14],
+    [115036, 349.4834, 45.4889, 6.48, -0.04],
+    [115054, 349.5412, -40.8244, 5.54, 0.45],
+    [115062, 349.5834, -67.4712, 6.15, 1.36],
+    [115065, 349.5972, 41.7737, 5.98, 0.21],
+    [115088, 349.6562, 68.1114, 4.75, 0.84],
+    [115102, 349.7060, -32.5320, 4.41, 1.11],
+    [115115, 349.7403, -9.6107, 4.99, -0.02],
+    [115121, 349.7637, -28.3878, 6.49, 1.53],
+    [115125, 349.7765, -13.4547, 5.19, 0.90],
+    [115126, 349.7778, -13.4586, 5.20, 0.79],
+    [115129, 349.7860, -79.4724, 6.34, 0.91],
+    [115142, 349.8499, -5.1244, 5.56, 0.39],
+    [115144, 349.8504, -18.0754, 5.96, 1.53],
+    [115148, 349.8642, 34.7932, 6.32, -0.05],
+    [115152, 349.8742, 48.6253, 5.44, 1.01],
+    [115171, 349.9231, 48.3809, 6.29, 1.12],
+    [115178, 349.9298, -33.7081, 6.35, 1.31],
+    [115191, 349.9684, 42.0780, 5.81, 1.51],
+    [115218, 350.0599, 61.9701, 6.39, 1.68],
+    [115227, 350.0858, 5.3813, 5.05, 1.20],
+    [115245, 350.1439, 62.2133, 6.41, 1.60],
+    [115250, 350.1593, 23.7403, 4.58, 0.18],
+    [115257, 350.1704, -5.9080, 6.17, 1.09],
+    [115261, 350.1837, 44.1162, 6.25, 0.15],
+    [115271, 350.2065, 30.4149, 5.58, 1.50],
+    [115272, 350.2091, -50.3066, 6.04, 0.42],
+    [115280, 350.2219, 38.1823, 5.77, 0.47],
+    [115312, 350.3146, -26.9868, 5.65, 0.82],
+    [115355, 350.4789, 31.8125, 5.35, -0.10],
+    [115389, 350.6191, 25.9185, 6.38, 1.54],
+    [115395, 350.6356, 60.1335, 5.56, 1.68],
+    [115404, 350.6632, -15.0393, 5.19, 0.20],
+    [115407, 350.6688, 20.8287, 6.28, -0.03],
+    [115433, 350.7366, -60.0558, 6.08, 1.60],
+    [115438, 350.7426, -20.1006, 3.96, 1.08],
+    [115444, 350.7690, 12.3139, 5.09, 1.31],
+    [115476, 350.8831, 0.2913, 6.33, 1.58],
+    [115496, 350.9393, -43.1244, 6.12, 1.46],
+    [115510, 350.9772, -53.8087, 6.13, 0.26],
+    [115522, 351.0166, -21.7744, 6.46, 0.43],
+    [115528, 351.0327, -18.6880, 6.18, 1.02],
+    [115530, 351.0370, 41.6129, 6.37, 1.70],
+    [115537, 351.0553, -51.8912, 5.75, 1.61],
+    [115590, 351.2094, 62.2828, 4.96, 1.68],
+    [115591, 351.2118, 32.3849, 5.56, -0.07],
+    [115620, 351.3311, -56.8490, 5.60, 1.06],
+    [115623, 351.3449, 23.4041, 4.42, 0.62],
+    [115669, 351.5116, -20.6420, 4.38, 1.46],
+    [115709, 351.6478, -21.7408, 6.43, 1.04],
+    [115713, 351.6524, -52.7216, 5.53, 0.41],
+    [115738, 351.7331, 1.2556, 4.95, 0.04],
+    [115746, 351.7536, 87.3075, 5.56, 0.25],
+    [115755, 351.7808, 42.9120, 5.75, -0.01],
+    [115756, 351.7810, -66.5809, 6.47, 1.46],
+    [115759, 351.7880, -50.1572, 6.22, -0.08],
+    [115768, 351.8116, 1.1226, 6.26, 1.01],
+    [115769, 351.8125, -58.4761, 5.63, 0.98],
+    [115770, 351.8193, 70.3598, 5.60, 0.16],
+    [115806, 351.9183, 25.1673, 5.99, -0.07],
+    [115830, 351.9921, 6.3790, 4.27, 1.06],
+    [115833, 352.0029, -35.5445, 6.34, 1.20],
+    [115836, 352.0158, -87.4822, 5.50, 1.28],
+    [115839, 352.0216, -11.4498, 6.37, 0.90],
+    [115906, 352.2528, -9.2661, 6.20, 1.44],
+    [115907, 352.2534, -44.4981, 6.43, 1.18],
+    [115908, 352.2541, -63.1107, 5.66, -0.14],
+    [115915, 352.2737, 23.0481, 6.45, 1.09],
+    [115919, 352.2887, 12.7606, 4.54, 0.94],
+    [115945, 352.3624, -1.7912, 6.35, 1.13],
+    [115953, 352.3837, -4.5327, 6.26, 1.12],
+    [115990, 352.5081, 58.5489, 4.89, -0.12],
+    [115996, 352.5309, 49.1331, 6.19, 1.46],
+    [116030, 352.6648, 38.6623, 6.07, 0.99],
+    [116060, 352.7548, -6.2881, 6.39, 1.26],
+    [116076, 352.8226, 39.2362, 5.22, 1.03],
+    [116097, 352.8623, -44.8436, 6.02, 1.01],
+    [116106, 352.8813, -4.0874, 6.50, 0.53],
+    [116118, 352.9252, -21.3695, 6.24, 0.32],
+    [116119, 352.9293, 28.4035, 6.41, 0.04],
+    [116146, 352.9899, -1.0859, 6.39, 1.18],
+    [116187, 353.1210, 23.8436, 6.41, 1.49],
+    [116231, 353.2427, -37.8183, 4.38, -0.10],
+    [116247, 353.3193, -20.9145, 4.70, 0.02],
+    [116250, 353.3316, -77.3853, 5.82, 0.68],
+    [116264, 353.3671, 22.4988, 5.33, 1.48],
+    [116292, 353.4291, 45.0581, 6.25, 0.99],
+    [116307, 353.4812, 20.8409, 6.10, 1.65],
+    [116310, 353.4883, 31.3253, 4.97, 1.38],
+    [116323, 353.5376, -1.2476, 5.91, 0.30],
+    [116354, 353.6564, 40.2364, 5.55, 0.10],
+    [116355, 353.6592, 33.4973, 5.63, 1.04],
+    [116365, 353.6948, 38.0240, 6.18, 1.59],
+    [116368, 353.7057, -15.2460, 5.95, 1.35],
+    [116380, 353.7460, 71.6420, 5.86, 1.68],
+    [116389, 353.7690, -42.6151, 4.69, 0.08],
+    [116422, 353.8691, 1.3131, 6.47, 1.15],
+    [116428, 353.8836, -7.4644, 6.40, 0.87],
+    [116465, 353.9831, 24.5610, 6.44, 1.70],
+    [116495, 354.0970, 2.1022, 5.68, 0.45],
+    [116505, 354.1271, 32.9042, 6.35, 0.46],
+    [116582, 354.3835, 44.4290, 5.81, -0.06],
+    [116584, 354.3910, 46.4582, 3.81, 0.98],
+    [116591, 354.4148, -13.0602, 5.66, 1.02],
+    [116592, 354.4156, 16.8255, 6.26, 0.03],
+    [116602, 354.4625, -45.4924, 4.74, 0.08],
+    [116611, 354.4867, 18.4007, 5.49, 0.01],
+    [116624, 354.5126, -15.0951, 6.38, 1.08],
+    [116631, 354.5342, 43.2681, 4.29, -0.08],
+    [116653, 354.5995, -76.8696, 5.99, 0.91],
+    [116709, 354.7847, 50.4717, 5.35, -0.06],
+    [116714, 354.7924, 75.2929, 5.95, 0.12],
+    [116727, 354.8369, 77.6323, 3.21, 1.03],
+    [116728, 354.8381, 74.0026, 5.98, 0.89],
+    [116737, 354.8664, -46.6378, 6.07, 0.24],
+    [116758, 354.9461, -14.2222, 4.97, 0.26],
+    [116768, 354.9793, 9.6773, 5.99, 0.21],
+    [116771, 354.9877, 5.6263, 4.13, 0.51],
+    [116781, 355.0117, 37.6526, 6.49, 0.35],
+    [116805, 355.1021, 44.3339, 4.15, -0.07],
+    [116820, 355.1590, -32.0731, 5.30, 0.96],
+    [116824, 355.1693, 36.7208, 6.24, 0.42],
+    [116853, 355.2871, -11.6807, 5.89, 0.98],
+    [116876, 355.3616, 49.5124, 6.26, 0.18],
+    [116889, 355.3937, -18.0271, 5.36, 1.58],
+    [116901, 355.4409, -17.8165, 4.82, 0.82],
+    [116912, 355.4773, 57.2600, 6.24, 1.02],
+    [116918, 355.4862, 7.2505, 5.89, 0.10],
+    [116928, 355.5117, 1.7800, 4.49, 0.20],
+    [116941, 355.5611, 44.9917, 6.43, 1.50],
+    [116957, 355.6159, -15.4480, 5.27, 1.34],
+    [116962, 355.6311, 61.6794, 6.40, 1.25],
+    [116971, 355.6806, -14.5449, 4.49, -0.03],
+    [116972, 355.6828, 16.3357, 6.30, 0.97],
+    [116991, 355.7711, 51.9393, 6.44, 1.03],
+    [117020, 355.8432, 10.3315, 5.09, 1.69],
+    [117073, 355.9979, 29.3615, 4.93, 0.94],
+    [117075, 356.0055, -45.0831, 6.08, 0.98],
+    [117088, 356.0502, -64.4045, 5.73, 1.39],
+    [117089, 356.0503, -18.2769, 5.24, -0.08],
+    [117105, 356.1060, -70.4902, 6.06, 0.91],
+    [117107, 356.1211, -26.2466, 6.23, 0.49],
+    [117125, 356.1702, -78.7914, 5.74, 1.11],
+    [117133, 356.2017, 55.7997, 6.46, 0.99],
+    [117218, 356.5038, -18.6783, 5.28, 0.30],
+    [117219, 356.5052, -40.1826, 6.32, 0.21],
+    [117221, 356.5085, 46.4203, 4.97, 1.09],
+    [117245, 356.5980, 3.4868, 4.95, 2.51],
+    [117265, 356.6531, 66.7822, 5.95, -0.05],
+    [117299, 356.7580, 57.4514, 5.55, 1.63],
+    [117301, 356.7644, 58.6520, 4.88, 1.12],
+    [117314, 356.8163, -11.9111, 5.74, 1.07],
+    [117315, 356.8166, -50.2265, 5.18, -0.16],
+    [117340, 356.8877, 46.8326, 6.08, -0.14],
+    [117371, 356.9782, 67.8068, 5.05, 0.01],
+    [117375, 356.9856, -2.7616, 5.49, 0.94],
+    [117420, 357.1353, -6.3804, 6.09, 1.45],
+    [117430, 357.1627, 64.8765, 6.41, 0.06],
+    [117445, 357.2057, 2.2144, 6.47, 0.46],
+    [117447, 357.2090, 62.2145, 5.43, 0.67],
+    [117450, 357.2249, 59.9790, 6.33, -0.01],
+    [117452, 357.2314, -28.1303, 4.59, 0.00],
+    [117472, 357.2997, 58.9632, 6.36, 0.41],
+    [117491, 357.3645, 1.0761, 5.77, 0.17],
+    [117494, 357.3817, -15.8613, 6.21, 1.21],
+    [117500, 357.4141, 28.8424, 5.95, 0.19],
+    [117503, 357.4207, 36.4253, 5.86, 0.81],
+    [117510, 357.4566, -25.3313, 6.44, 0.10],
+    [117541, 357.5614, -9.9741, 5.93, 1.13],
+    [117551, 357.5926, 51.6217, 6.47, 0.40],
+    [117567, 357.6387, -14.4015, 5.70, 1.49],
+    [117571, 357.6485, -47.3769, 6.49, 1.02],
+    [117628, 357.8385, 9.3134, 5.77, 1.66],
+    [117629, 357.8389, -18.9092, 5.17, -0.12],
+    [117683, 357.9910, 2.9304, 5.59, 1.53],
+    [117689, 358.0270, -82.0188, 5.10, 0.93],
+    [117710, 358.0975, 21.6711, 6.13, 1.62],
+    [117712, 358.1055, 75.5446, 6.36, 0.98],
+    [117718, 358.1220, 19.1203, 5.06, 1.59],
+    [117722, 358.1250, -14.2512, 5.85, 1.25],
+    [117730, 358.1546, 10.9473, 5.30, 0.19],
+    [117756, 358.2105, -8.9968, 5.76, 1.17],
+    [117761, 358.2315, -3.1555, 5.93, 1.07],
+    [117774, 358.2698, 2.0906, 6.29, -0.00],
+    [117797, 358.3369, -24.2293, 6.23, 0.19],
+    [117860, 358.5892, -27.0429, 6.34, 0.20],
+    [117863, 358.5960, 57.4994, 4.51, 1.19],
+    [117880, 358.6609, -40.3001, 6.03, 0.57],
+    [117887, 358.6943, 0.1093, 5.78, 1.47],
+    [117927, 358.7825, 7.0710, 6.22, -0.07],
+    [117931, 358.8191, -31.9215, 6.09, -0.09],
+    [117956, 358.8895, 47.3558, 6.01, 1.17],
+    [117957, 358.8910, 57.4122, 6.03, 0.15],
+    [117986, 358.9778, 15.2303, 6.45, 1.56],
+    [118029, 359.1248, -24.7372, 6.31, 0.92],
+    [118048, 359.1729, 22.6481, 6.18, 1.64],
+    [118071, 359.2651, 42.6582, 6.01, 0.71],
+    [118076, 359.2840, -26.6234, 6.26, 1.45],
+    [118077, 359.2853, 55.7057, 5.57, 0.48],
+    [118081, 359.2921, -20.8336, 6.45, 0.98],
+    [118092, 359.3329, -62.9566, 5.95, 0.10],
+    [118114, 359.3870, -82.1698, 5.72, 1.05],
+    [118116, 359.3897, 60.0236, 6.47, 0.03],
+    [118121, 359.3962, -64.2982, 5.00, 0.06],
+    [118131, 359.4397, 25.1414, 4.63, 1.58],
+    [118178, 359.5884, -15.8475, 6.28, 1.08],
+    [118209, 359.6682, -3.5560, 4.88, 0.93],
+    [118234, 359.7324, -52.7458, 5.13, 1.12],
+    [118243, 359.7522, 55.7549, 4.88, -0.07],
+    [118268, 359.8279, 6.8633, 4.03, 0.42],
+    [118277, 359.8662, -29.4852, 5.59, 1.60],
+    [118281, 359.8721, 33.7239, 5.81, 0.54],
+    [118322, 359.9791, -65.5771, 4.49, -0.07]
+];
+
+export default BRIGHT_STARS;
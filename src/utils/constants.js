@@ -9,12 +9,82 @@ export const ASTRONOMICAL_UNIT = 149597870.7; // km - Distance from Earth to Sun
 export const EARTH_RADIUS = 6371; // km
 export const SUN_RADIUS = 695700; // km
 export const MOON_RADIUS = 1737.4; // km
+export const EARTH_MU = 398600.4418; // km³/s² - Earth's gravitational parameter (GM)
+
+// WGS-84 reference ellipsoid (geodetic latitude/altitude for satellites and observers)
+export const WGS84 = {
+    RADIUS: 6378.137, // km (equatorial)
+    FLATTENING: 1 / 298.257223563
+};
 
 // ISS Orbital Parameters
 export const ISS_ORBIT_ALTITUDE = 408; // km (average altitude above Earth)
 export const ISS_ORBITAL_SPEED = 27600; // km/h (approximate)
 export const ISS_ORBITAL_PERIOD = 92.68; // minutes per orbit
 
+// Smoothing of live ISS samples (see src/utils/interpolation.js)
+export const ISS_INTERPOLATION = {
+    DELAY: 5000, // Display live positions this far behind the newest sample so there is usually one to interpolate towards (ms)
+    ESTIMATE_THRESHOLD: 5000, // Dead-reckoning beyond the newest sample for longer than this marks the position "estimated" (ms)
+    MAX_EXTRAPOLATION: 600000, // Stop dead-reckoning after this long without data (ms)
+    BUFFER_SIZE: 6 // Recent samples kept for interpolation
+};
+
+// Earth's sidereal rotation rate (degrees per millisecond)
+export const EARTH_ROTATION_DEG_PER_MS = 360 / 86164090.5;
+
+// J2000.0 epoch (January 1, 2000, 12:00 UTC) - simulation time is measured from here
+export const J2000_EPOCH_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+// Bundled ISS two-line element set (NORAD 25544, epoch 2019-06-05)
+// Lets SGP4 propagation work fully offline; replaced by a fresher TLE when one can be fetched
+export const ISS_TLE = {
+    NAME: 'ISS (ZARYA)',
+    LINE1: '1 25544U 98067A   19156.50900463  .00003075  00000-0  59442-4 0  9992',
+    LINE2: '2 25544  51.6433  59.2583 0008217  16.4489 347.6017 15.51174618173442',
+    MAX_AGE_DAYS: 14 // Beyond this, propagate without drag so the orbit doesn't decay away
+};
+
+// ========== SATELLITE CATALOG ==========
+// Other satellites tracked alongside the ISS (see src/utils/satelliteCatalog.js)
+// render: 'mesh' = one clickable, labelled marker each; 'points' = one point cloud for the group
+// celestrak: CelesTrak GP group used to refresh the element sets
+
+export const SATELLITE_GROUPS = {
+    stations: { name: 'Space Stations', color: 0xffb347, render: 'mesh', celestrak: 'stations' },
+    science: { name: 'Science', color: 0x66ccff, render: 'mesh', celestrak: 'science' },
+    starlink: { name: 'Starlink', color: 0xd8d8ff, render: 'points', celestrak: 'starlink' },
+    user: { name: 'My Satellites', color: 0x7dff7d, render: 'mesh', celestrak: null }
+};
+
+export const SATELLITES = {
+    MAX_AGE_DAYS: 14, // As ISS_TLE.MAX_AGE_DAYS: older element sets are propagated without drag
+    MAX_MESHES_PER_GROUP: 40, // Larger groups are drawn as points whatever their render setting
+    MAX_PER_FRAME: 300, // Above this many visible satellites, positions refresh every UPDATE_INTERVAL
+    UPDATE_INTERVAL: 250 // ms (real time)
+};
+
+// ========== ISS FOOTPRINT ==========
+// Region of Earth that can see the station above a minimum elevation (see src/utils/footprint.js)
+
+export const FOOTPRINT = {
+    DEFAULT_MIN_ELEVATION: 0, // degrees - 0 = geometric horizon
+    SEGMENTS: 120 // Points around the footprint outline
+};
+
+// Default ground stations (see src/utils/groundStations.js): ISS control centres, used as
+// examples for contact windows. The real station-to-ground link goes through TDRS relay
+// satellites; "in view" here means direct line of sight, as for an amateur radio (ARISS) contact.
+// elevation in meters; minElevation = elevation mask for contacts in degrees
+export const GROUND_STATIONS = [
+    { name: 'Houston (MCC-H)', latitude: 29.5593, longitude: -95.0900, elevation: 10, minElevation: 10 },
+    { name: 'Huntsville (POIC)', latitude: 34.6460, longitude: -86.6720, elevation: 190, minElevation: 10 },
+    { name: 'White Sands', latitude: 32.5007, longitude: -106.6086, elevation: 1200, minElevation: 10 },
+    { name: 'Korolyov (TsUP)', latitude: 55.9125, longitude: 37.8103, elevation: 150, minElevation: 10 },
+    { name: 'Oberpfaffenhofen (Col-CC)', latitude: 48.0833, longitude: 11.2806, elevation: 590, minElevation: 10 },
+    { name: 'Tsukuba (SSIPC)', latitude: 36.0652, longitude: 140.1283, elevation: 30, minElevation: 10 }
+];
+
 // ========== PLANETARY DATA ==========
 // Orbital distances in AU, radii in km, periods in Earth days
 
@@ -582,16 +652,32 @@ export const SIMULATION = {
     DEFAULT_TIME_SPEED: 100000, // 100,000x real-time (very fast orbits for testing)
     MIN_TIME_SPEED: 1,
     MAX_TIME_SPEED: 500000,
-    PAUSED_SPEED: 0
+    PAUSED_SPEED: 0,
+    FIXED_TIMESTEP: 1000 / 60, // Real milliseconds per simulation step (60 steps a second)
+    MAX_STEPS_PER_FRAME: 10, // Steps run at most per frame; the clock still covers a longer frame, skipping the extra steps
+    RANDOM_SEED: 20000101 // Seed for the starfield, asteroid belt and meteors (see random.js)
 };
 
 // ========== API SETTINGS ==========
 
 export const API = {
     ISS_URL: 'http://api.open-notify.org/iss-now.json', // Note: Open Notify API only supports HTTP
+    WHERETHEISS_URL: 'https://api.wheretheiss.at/v1/satellites/25544',
+    ISS_TLE_URL: 'https://celestrak.org/NORAD/elements/gp.php?CATNR=25544&FORMAT=TLE',
+    SATELLITE_GROUP_URL: 'https://celestrak.org/NORAD/elements/gp.php?GROUP={group}&FORMAT=TLE',
     UPDATE_INTERVAL: 5000, // milliseconds (5 seconds)
     TIMEOUT: 10000, // Request timeout
-    RETRY_DELAY: 10000 // Delay before retry on error
+    RETRY_DELAY: 10000, // Delay before retry on error
+
+    // ISS position providers, tried in this order until one succeeds (see src/utils/issProviders.js)
+    // Entries may override the endpoint with `url`, e.g. to point at a local stand-in server
+    ISS_PROVIDERS: [
+        { type: 'open-notify' }, // API.ISS_URL
+        { type: 'wheretheiss' }, // API.WHERETHEISS_URL
+        { type: 'tle' } // Local SGP4 propagation - works offline
+    ],
+    PROVIDER_FAILURE_THRESHOLD: 3, // Consecutive failures before a provider is skipped
+    PROVIDER_COOLDOWN: 60000 // How long a failing provider is skipped (ms)
 };
 
 // ========== COLORS ==========
@@ -602,6 +688,12 @@ export const COLORS = {
     ORBIT_LINE: 0x555555,
     ISS_COLOR: 0xff6b6b,
     ISS_TRAIL: 0xff3838,
+    ISS_PREDICTION: 0xffb347, // Future orbit (dashed)
+    ISS_GROUND_TRACK: 0xffd166, // Sub-satellite path on Earth's surface
+    ISS_FOOTPRINT: 0x4fc3f7, // Coverage circle and line-of-sight cone
+    STATION_IN_VIEW: 0x7dff7d,
+    STATION_OUT_OF_VIEW: 0x8a8a8a,
+    GROUND_STATION: 0x4dd0e1, // Ground-station markers and contact windows
     LABEL_COLOR: '#ffffff',
     GRID_COLOR: 0x333333
 };
@@ -906,9 +998,19 @@ export default {
     EARTH_RADIUS,
     SUN_RADIUS,
     MOON_RADIUS,
+    EARTH_MU,
+    WGS84,
     ISS_ORBIT_ALTITUDE,
     ISS_ORBITAL_SPEED,
     ISS_ORBITAL_PERIOD,
+    ISS_INTERPOLATION,
+    EARTH_ROTATION_DEG_PER_MS,
+    J2000_EPOCH_MS,
+    ISS_TLE,
+    SATELLITE_GROUPS,
+    SATELLITES,
+    FOOTPRINT,
+    GROUND_STATIONS,
     PLANETS,
     MOON,
     ASTEROID_BELT,
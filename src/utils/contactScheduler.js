@@ -0,0 +1,95 @@
+/**
+ * Contact Scheduler Module
+ * Contact windows of a satellite over a network of ground stations: for each station,
+ * the acquisition (AOS) and loss of signal (LOS) times between which the satellite is
+ * above the station's minimum elevation. Built on predictPasses() with the station's
+ * elevation mask as the horizon.
+ *
+ * @module contactScheduler
+ */
+
+import { predictPasses } from './passPredictor.js';
+import { validateArray, validateRange, ValidationError } from './validation.js';
+
+/**
+ * Longest time range that can be scheduled in one go (days)
+ */
+export const MAX_SCHEDULE_DAYS = 7;
+
+/**
+ * Extra search time after the range, so a pass that starts just before the end still gets its LOS
+ */
+const SEARCH_MARGIN_MS = 30 * 60000;
+
+/**
+ * Compute the contact windows of a satellite over ground stations
+ * Windows already in progress at startDate and windows that start before endDate are included.
+ * @param {Function} propagateFn - (date: Date) => TEME position {x, y, z} in km, or null (see predictPasses)
+ * @param {Array<Object>} stations - Stations {id, name, latitude, longitude, elevation (m), minElevation (deg)}
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {Object} options - Options
+ * @param {number} options.stepSeconds - Coarse search step (default: 30)
+ * @returns {Array<Object>} Windows in AOS order: {stationId, stationName, aos, los (Dates), aosAzimuth,
+ *   losAzimuth, maxElevation, maxElevationTime, durationSeconds}
+ * @throws {ValidationError} If the stations or range are invalid
+ */
+export function scheduleContacts(propagateFn, stations, startDate, endDate, { stepSeconds = 30 } = {}) {
+    validateArray(stations, 'stations');
+    if (!(startDate instanceof Date) || !(endDate instanceof Date) || isNaN(startDate) || isNaN(endDate)) {
+        throw new ValidationError('startDate and endDate must be valid Dates', 'endDate', 'Date', endDate);
+    }
+    const days = (endDate.getTime() - startDate.getTime()) / 86400000;
+    validateRange(days, 1 / 1440, MAX_SCHEDULE_DAYS, 'time range (days)');
+
+    const windows = [];
+    stations.forEach(station => {
+        const minElevation = station.minElevation ?? 0;
+        const passes = predictPasses(propagateFn, station, startDate, {
+            days: days + SEARCH_MARGIN_MS / 86400000,
+            minElevation,
+            horizon: minElevation,
+            stepSeconds,
+            maxPasses: Infinity
+        });
+
+        passes
+            .filter(pass => pass.rise.time < endDate)
+            .forEach(pass => windows.push({
+                stationId: station.id ?? station.name,
+                stationName: station.name,
+                aos: pass.rise.time,
+                los: pass.set.time,
+                aosAzimuth: pass.rise.azimuth,
+                losAzimuth: pass.set.azimuth,
+                maxElevation: pass.maxElevation,
+                maxElevationTime: pass.culmination.time,
+                durationSeconds: pass.durationSeconds
+            }));
+    });
+
+    return windows.sort((a, b) => a.aos - b.aos);
+}
+
+/**
+ * Total the contact windows of each station
+ * @param {Array<Object>} windows - Windows from scheduleContacts()
+ * @returns {Map<string, Object>} stationId -> {count, totalSeconds, longestSeconds}
+ */
+export function summarizeContacts(windows) {
+    const summary = new Map();
+    windows.forEach(window => {
+        const entry = summary.get(window.stationId) || { count: 0, totalSeconds: 0, longestSeconds: 0 };
+        entry.count++;
+        entry.totalSeconds += window.durationSeconds;
+        entry.longestSeconds = Math.max(entry.longestSeconds, window.durationSeconds);
+        summary.set(window.stationId, entry);
+    });
+    return summary;
+}
+
+export default {
+    MAX_SCHEDULE_DAYS,
+    scheduleContacts,
+    summarizeContacts
+};
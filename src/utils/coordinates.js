@@ -3,7 +3,7 @@
  * Converts between geographic coordinates (lat/lon/alt) and 3D Cartesian coordinates
  */
 
-import { EARTH_RADIUS, DEG_TO_RAD, kmToScene, scaleRadius, getPlanetSizeMode, ISS_ORBIT_ALTITUDE } from './constants.js';
+import { EARTH_RADIUS, DEG_TO_RAD, WGS84, kmToScene, scaleRadius, getPlanetSizeMode, ISS_ORBIT_ALTITUDE } from './constants.js';
 
 /**
  * Convert geographic coordinates to 3D Cartesian coordinates
@@ -35,6 +35,31 @@ export function geographicToCartesian(latitude, longitude, altitude) {
     };
 }
 
+/**
+ * Convert geographic coordinates to Earth-centered, Earth-fixed (ECEF) coordinates
+ * Unlike geographicToCartesian (spherical Earth, Y-up scene units) this uses the
+ * WGS-84 ellipsoid with Z toward the North Pole, in km - for observer/satellite geometry
+ * @param {number} latitude - Geodetic latitude in degrees (-90 to 90)
+ * @param {number} longitude - Longitude in degrees (-180 to 180)
+ * @param {number} altitude - Height above the ellipsoid in km
+ * @returns {Object} ECEF position {x, y, z} in km (z toward the North Pole)
+ */
+export function geographicToEcef(latitude, longitude, altitude = 0) {
+    const latRad = latitude * DEG_TO_RAD;
+    const lonRad = longitude * DEG_TO_RAD;
+    const e2 = WGS84.FLATTENING * (2 - WGS84.FLATTENING);
+
+    // Prime vertical radius of curvature
+    const sinLat = Math.sin(latRad);
+    const n = WGS84.RADIUS / Math.sqrt(1 - e2 * sinLat * sinLat);
+
+    return {
+        x: (n + altitude) * Math.cos(latRad) * Math.cos(lonRad),
+        y: (n + altitude) * Math.cos(latRad) * Math.sin(lonRad),
+        z: (n * (1 - e2) + altitude) * sinLat
+    };
+}
+
 /**
  * Convert geographic coordinates to 3D Cartesian position relative to Earth mesh
  * This version accounts for Earth's scaled radius in the scene
@@ -179,6 +204,36 @@ export function formatLongitude(lon) {
     return `${Math.abs(lon).toFixed(2)}°${hemisphere}`;
 }
 
+/**
+ * Project geographic coordinates onto an equirectangular (plate carrée) map
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} width - Map width (180°W at x = 0, 180°E at x = width)
+ * @param {number} height - Map height (90°N at y = 0, 90°S at y = height)
+ * @returns {Object} Map position {x, y}
+ */
+export function geographicToEquirectangular(latitude, longitude, width, height) {
+    return {
+        x: ((longitude + 180) / 360) * width,
+        y: ((90 - latitude) / 180) * height
+    };
+}
+
+/**
+ * Convert an equirectangular map position back to geographic coordinates
+ * @param {number} x - Horizontal map position
+ * @param {number} y - Vertical map position
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @returns {Object} {latitude, longitude} in degrees (clamped/normalized to valid ranges)
+ */
+export function equirectangularToGeographic(x, y, width, height) {
+    return {
+        latitude: clampLatitude(90 - (y / height) * 180),
+        longitude: normalizeLongitude((x / width) * 360 - 180)
+    };
+}
+
 /**
  * Get position on Earth's surface at given lat/lon (altitude = 0)
  * Useful for ground stations or reference points
@@ -187,12 +242,23 @@ export function formatLongitude(lon) {
  * @returns {Object} 3D position {x, y, z} on Earth's surface
  */
 export function getEarthSurfacePosition(latitude, longitude) {
-    return geographicToScenePosition(latitude, longitude, 0);
+    // geographicToScenePosition adds a fixed display altitude in enlarged mode,
+    // so project directly onto the scaled Earth radius instead
+    const latRad = latitude * DEG_TO_RAD;
+    const lonRad = longitude * DEG_TO_RAD;
+    const earthSceneRadius = scaleRadius(EARTH_RADIUS, 'planet');
+
+    return {
+        x: earthSceneRadius * Math.cos(latRad) * Math.cos(lonRad),
+        y: earthSceneRadius * Math.sin(latRad),
+        z: earthSceneRadius * Math.cos(latRad) * Math.sin(lonRad)
+    };
 }
 
 // Export all functions
 export default {
     geographicToCartesian,
+    geographicToEcef,
     geographicToScenePosition,
     cartesianToGeographic,
     calculateDistance,
@@ -201,5 +267,7 @@ export default {
     degreesToCardinal,
     formatLatitude,
     formatLongitude,
+    geographicToEquirectangular,
+    equirectangularToGeographic,
     getEarthSurfacePosition
 };
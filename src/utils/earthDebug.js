@@ -3,8 +3,8 @@
  * Visualizes reference points on Earth to verify texture orientation
  */
 
-import { getEarthSurfacePosition } from './coordinates.js';
 import { addToScene, removeFromScene } from '../core/scene.js';
+import { createLocationMarker, disposeLocationMarker } from '../modules/groundStationMarkers.js';
 
 // THREE.js is loaded globally from CDN
 const THREE = window.THREE;
@@ -13,57 +13,16 @@ const THREE = window.THREE;
 let debugMarkers = [];
 
 /**
- * Create a visible marker at a geographic location
+ * Add a labelled reference marker to the scene
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {string} label - Marker label
  * @param {number} color - Marker color
- * @returns {THREE.Group} Marker group
  */
-export function createLocationMarker(lat, lon, label, color = 0xff0000) {
-    const position = getEarthSurfacePosition(lat, lon);
-
-    // Create marker sphere
-    const geometry = new THREE.SphereGeometry(2, 8, 8);
-    const material = new THREE.MeshBasicMaterial({
-        color: color,
-        transparent: true,
-        opacity: 0.9
-    });
-    const marker = new THREE.Mesh(geometry, material);
-    marker.position.set(position.x, position.y, position.z);
-
-    // Create label sprite
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 256;
-    canvas.height = 128;
-
-    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    context.fillStyle = 'white';
-    context.font = 'bold 24px Arial';
-    context.textAlign = 'center';
-    context.fillText(label, 128, 50);
-    context.fillText(`${lat.toFixed(1)}°, ${lon.toFixed(1)}°`, 128, 80);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(spriteMaterial);
-    sprite.scale.set(10, 5, 1);
-    sprite.position.copy(marker.position);
-    sprite.position.multiplyScalar(1.2); // Offset above surface
-
-    const group = new THREE.Group();
-    group.add(marker);
-    group.add(sprite);
-    group.userData = { label, lat, lon };
-
-    addToScene(group);
-    debugMarkers.push(group);
-
-    return group;
+function addReferenceMarker(lat, lon, label, color) {
+    const marker = createLocationMarker(lat, lon, label, color);
+    addToScene(marker);
+    debugMarkers.push(marker);
 }
 
 /**
@@ -79,28 +38,28 @@ export function addEarthReferencePoints() {
 
     try {
         // Prime Meridian / Greenwich, UK
-        createLocationMarker(51.5, 0.0, 'Prime Meridian', 0xff0000);
+        addReferenceMarker(51.5, 0.0, 'Prime Meridian', 0xff0000);
 
         // New York City, USA
-        createLocationMarker(40.7, -74.0, 'NYC', 0x00ff00);
+        addReferenceMarker(40.7, -74.0, 'NYC', 0x00ff00);
 
         // Tokyo, Japan
-        createLocationMarker(35.7, 139.7, 'Tokyo', 0x0000ff);
+        addReferenceMarker(35.7, 139.7, 'Tokyo', 0x0000ff);
 
         // Sydney, Australia
-        createLocationMarker(-33.9, 151.2, 'Sydney', 0xffff00);
+        addReferenceMarker(-33.9, 151.2, 'Sydney', 0xffff00);
 
         // South Pole
-        createLocationMarker(-90.0, 0.0, 'South Pole', 0xff00ff);
+        addReferenceMarker(-90.0, 0.0, 'South Pole', 0xff00ff);
 
         // North Pole
-        createLocationMarker(90.0, 0.0, 'North Pole', 0x00ffff);
+        addReferenceMarker(90.0, 0.0, 'North Pole', 0x00ffff);
 
         // Equator at Prime Meridian
-        createLocationMarker(0.0, 0.0, 'Equator/PM', 0xffffff);
+        addReferenceMarker(0.0, 0.0, 'Equator/PM', 0xffffff);
 
         // Los Angeles, USA
-        createLocationMarker(34.1, -118.2, 'LA', 0xff8800);
+        addReferenceMarker(34.1, -118.2, 'LA', 0xff8800);
 
         console.log(`✅ Added ${debugMarkers.length} reference markers to scene`);
     } catch (error) {
@@ -112,7 +71,10 @@ export function addEarthReferencePoints() {
  * Remove all debug markers
  */
 export function removeEarthReferencePoints() {
-    debugMarkers.forEach(marker => removeFromScene(marker));
+    debugMarkers.forEach(marker => {
+        removeFromScene(marker);
+        disposeLocationMarker(marker);
+    });
     debugMarkers = [];
     console.log('🗑️ Removed all Earth reference markers');
 }
@@ -175,7 +137,6 @@ export function verifyISSTexturePosition(lat, lon) {
 }
 
 export default {
-    createLocationMarker,
     addEarthReferencePoints,
     removeEarthReferencePoints,
     verifyISSTexturePosition
@@ -0,0 +1,137 @@
+/**
+ * Eclipse Module
+ * Earth-shadow geometry for satellites: umbra/penumbra state, how much of the Sun's disk
+ * is visible, and when the Sun next rises or sets as seen from orbit.
+ *
+ * Earth is a sphere of EARTH_RADIUS and the Sun a disk of SUN_RADIUS (conical shadow,
+ * no atmospheric refraction), which puts sunrise/sunset within a few seconds.
+ *
+ * @module eclipse
+ */
+
+import { EARTH_RADIUS, SUN_RADIUS, RAD_TO_DEG } from './constants.js';
+import { validatePosition3D, validatePositive } from './validation.js';
+
+/**
+ * Angular radius of a sphere seen from a distance
+ * @param {number} radius - Sphere radius (km)
+ * @param {number} distance - Distance to its center (km)
+ * @returns {number} Angular radius in radians
+ */
+function angularRadius(radius, distance) {
+    return Math.asin(Math.min(1, radius / distance));
+}
+
+/**
+ * Area where two disks overlap (flat-sky approximation, fine for small angles)
+ * @param {number} a - Radius of the first disk
+ * @param {number} b - Radius of the second disk
+ * @param {number} d - Distance between the centers
+ * @returns {number} Overlapping area
+ */
+function diskOverlap(a, b, d) {
+    if (d >= a + b) return 0;
+    if (d <= Math.abs(a - b)) return Math.PI * Math.min(a, b) ** 2;
+
+    const alpha = Math.acos((d * d + a * a - b * b) / (2 * d * a));
+    const beta = Math.acos((d * d + b * b - a * a) / (2 * d * b));
+    return a * a * (alpha - Math.sin(2 * alpha) / 2) + b * b * (beta - Math.sin(2 * beta) / 2);
+}
+
+/**
+ * Work out whether a satellite is in Earth's shadow
+ * @param {Object} satellite - Satellite position {x, y, z} from Earth's center (km)
+ * @param {Object} sun - Sun position {x, y, z} from Earth's center (km), same axes
+ * @returns {Object} {state: 'sunlit' | 'penumbra' | 'umbra', illumination (fraction of the Sun's disk visible, 0-1),
+ *   limbAngle (degrees of the Sun's center above Earth's limb; negative once it has set)}
+ * @throws {ValidationError} If a position is invalid
+ */
+export function computeShadowState(satellite, sun) {
+    validatePosition3D(satellite);
+    validatePosition3D(sun);
+
+    const satDistance = Math.sqrt(satellite.x ** 2 + satellite.y ** 2 + satellite.z ** 2);
+    validatePositive(satDistance, 'satellite distance');
+    const toSun = { x: sun.x - satellite.x, y: sun.y - satellite.y, z: sun.z - satellite.z };
+    const sunDistance = Math.sqrt(toSun.x ** 2 + toSun.y ** 2 + toSun.z ** 2);
+
+    const sunRadius = angularRadius(SUN_RADIUS, sunDistance);
+    const earthRadius = angularRadius(EARTH_RADIUS, satDistance);
+
+    // Angle between the Sun's center and Earth's center, seen from the satellite
+    const cosSeparation = -(toSun.x * satellite.x + toSun.y * satellite.y + toSun.z * satellite.z) / (sunDistance * satDistance);
+    const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+
+    let state = 'sunlit';
+    if (separation <= earthRadius - sunRadius) {
+        state = 'umbra';
+    } else if (separation < earthRadius + sunRadius) {
+        state = 'penumbra';
+    }
+
+    const hidden = diskOverlap(sunRadius, earthRadius, separation) / (Math.PI * sunRadius * sunRadius);
+
+    return {
+        state,
+        illumination: Math.max(0, Math.min(1, 1 - hidden)),
+        limbAngle: (separation - earthRadius) * RAD_TO_DEG
+    };
+}
+
+/**
+ * Find the next sunrise and sunset seen from a satellite
+ * Sunset is when the Sun's center drops behind Earth's limb, sunrise when it reappears.
+ * @param {Function} positionsAt - (date) => {satellite, sun} positions as for computeShadowState(), or null
+ * @param {Date} startDate - Start of the search
+ * @param {Object} options - Search options
+ * @param {number} options.searchMinutes - How far ahead to look (default: about two ISS orbits)
+ * @param {number} options.stepSeconds - Scan step; shorter than the shortest eclipse
+ * @returns {Object} {nextSunrise: Date|null, nextSunset: Date|null} (null if none within the search window)
+ */
+export function findShadowTransitions(positionsAt, startDate, { searchMinutes = 200, stepSeconds = 30 } = {}) {
+    const limbAngleAt = (time) => {
+        const positions = positionsAt(new Date(time));
+        return positions ? computeShadowState(positions.satellite, positions.sun).limbAngle : null;
+    };
+
+    // Narrow a sign change down to half a second
+    const refine = (low, high, lowValue) => {
+        while (high - low > 500) {
+            const mid = (low + high) / 2;
+            const value = limbAngleAt(mid);
+            if (value === null) break;
+            if ((value >= 0) === (lowValue >= 0)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return new Date(Math.round((low + high) / 2));
+    };
+
+    const result = { nextSunrise: null, nextSunset: null };
+    const start = startDate.getTime();
+    const end = start + searchMinutes * 60000;
+    const step = stepSeconds * 1000;
+
+    let previousTime = start;
+    let previous = limbAngleAt(start);
+    for (let time = start + step; time <= end && !(result.nextSunrise && result.nextSunset); time += step) {
+        const value = limbAngleAt(time);
+        if (value !== null && previous !== null && (value >= 0) !== (previous >= 0)) {
+            const key = value >= 0 ? 'nextSunrise' : 'nextSunset';
+            if (!result[key]) {
+                result[key] = refine(previousTime, time, previous);
+            }
+        }
+        previousTime = time;
+        previous = value;
+    }
+
+    return result;
+}
+
+export default {
+    computeShadowState,
+    findShadowTransitions
+};
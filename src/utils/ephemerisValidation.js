@@ -0,0 +1,363 @@
+/**
+ * Ephemeris Validation Module
+ * Compares the planet positions computed from Keplerian elements (orbitalElements.js and
+ * keplerian.js) with reference state vectors exported from JPL Horizons, and reports the
+ * angular and distance error per planet against documented tolerances.
+ *
+ * Reference files are Horizons VECTORS tables of the planetary system barycenters, centred
+ * on the Sun and referred to the ecliptic. Both the CSV and the plain text layouts are read,
+ * in AU or km; equatorial tables are rotated to the ecliptic. See tests/fixtures/horizons.
+ *
+ * Horizons tabulates in TDB. The models read a Date as the same time scale, so reference
+ * epochs are passed through unchanged (no ΔT correction).
+ *
+ * @module ephemerisValidation
+ */
+
+import { ASTRONOMICAL_UNIT, DEG_TO_RAD, RAD_TO_DEG, SCALE, PLANETS } from './constants.js';
+import { calculatePlanetPosition } from './orbitalElements.js';
+import { calculateOrbitalPosition } from './keplerian.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Obliquity of the ecliptic at J2000 (IAU 1976, degrees)
+ */
+const OBLIQUITY_J2000 = 23.4392911;
+
+/**
+ * Julian Date of the Unix epoch
+ */
+const UNIX_EPOCH_JD = 2440587.5;
+
+/**
+ * Horizons target IDs of the planetary system barycenters (what the Keplerian elements describe)
+ */
+export const HORIZONS_TARGETS = {
+    mercury: '1',
+    venus: '2',
+    earth: '3', // Earth-Moon barycenter
+    mars: '4',
+    jupiter: '5',
+    saturn: '6',
+    uranus: '7',
+    neptune: '8'
+};
+
+/**
+ * Largest acceptable error per planet over 1800-2050
+ * JPL quotes the maximum errors of its approximate elements against DE405 over this span
+ * (docs/ASTRONOMICAL_ACCURACY.md, section 10); these are those figures, the two angular
+ * components combined, rounded up.
+ * angular: heliocentric direction error (arcseconds), distance: heliocentric distance error (km)
+ */
+export const EPHEMERIS_TOLERANCES = {
+    mercury: { angular: 20, distance: 2000 },
+    venus: { angular: 25, distance: 5000 },
+    earth: { angular: 25, distance: 8000 },
+    mars: { angular: 45, distance: 30000 },
+    jupiter: { angular: 450, distance: 700000 },
+    saturn: { angular: 650, distance: 1700000 },
+    uranus: { angular: 60, distance: 1100000 },
+    neptune: { angular: 15, distance: 250000 }
+};
+
+/**
+ * Largest acceptable error of keplerian.js per planet over 1800-2050
+ * Its elements drift from the 1800-2050 set (docs/ASTRONOMICAL_ACCURACY.md, section 10). Each figure is
+ * its largest difference from orbitalElements.js plus that model's tolerance, rounded up, so it holds
+ * whenever orbitalElements.js is within EPHEMERIS_TOLERANCES and the models stay as far apart as now.
+ */
+export const KEPLERIAN_TOLERANCES = {
+    mercury: { angular: 450, distance: 55000 },
+    venus: { angular: 50, distance: 11000 },
+    earth: { angular: 45, distance: 13000 },
+    mars: { angular: 700, distance: 350000 },
+    jupiter: { angular: 750, distance: 1300000 },
+    saturn: { angular: 1100, distance: 3100000 },
+    uranus: { angular: 100, distance: 1300000 },
+    neptune: { angular: 250, distance: 2400000 }
+};
+
+/**
+ * Heliocentric ecliptic J2000 position from keplerian.js, in AU
+ * calculateOrbitalPosition() returns scene units with Y up, so the axes are swapped back.
+ * @param {string} planetKey - Planet identifier
+ * @param {Date} date - Date
+ * @returns {Object} Position {x, y, z} in AU
+ */
+function keplerianPlanetPosition(planetKey, date) {
+    const scene = calculateOrbitalPosition(PLANETS[planetKey].orbitalElements, date, true);
+    return {
+        x: scene.x / SCALE.AU_TO_SCENE,
+        y: scene.z / SCALE.AU_TO_SCENE,
+        z: scene.y / SCALE.AU_TO_SCENE
+    };
+}
+
+/**
+ * Position models that can be validated: (planetKey, date) → heliocentric ecliptic J2000 {x, y, z} in AU
+ */
+export const EPHEMERIS_MODELS = {
+    orbitalElements: calculatePlanetPosition,
+    keplerian: keplerianPlanetPosition
+};
+
+/**
+ * Tolerances each model is validated with
+ */
+export const MODEL_TOLERANCES = {
+    orbitalElements: EPHEMERIS_TOLERANCES,
+    keplerian: KEPLERIAN_TOLERANCES
+};
+
+/**
+ * Find the planet a Horizons target belongs to
+ * @param {string} targetId - Horizons ID (barycenter '1'-'8' or planet body '199'-'899')
+ * @returns {string|null} Planet key, or null for other targets
+ */
+export function planetKeyForTarget(targetId) {
+    const id = String(targetId).trim();
+    const barycenter = /^[1-8]99$/.test(id) ? id[0] : id;
+    return Object.keys(HORIZONS_TARGETS).find(key => HORIZONS_TARGETS[key] === barycenter) ?? null;
+}
+
+/**
+ * Convert a Julian Date to a Date on the same time scale
+ * @param {number} jd - Julian Date
+ * @returns {Date} Date
+ */
+function julianToDate(jd) {
+    return new Date((jd - UNIX_EPOCH_JD) * 86400000);
+}
+
+/**
+ * Read a header value ("Label : value") from a Horizons output
+ * @param {string} text - Horizons output
+ * @param {RegExp} label - Label pattern
+ * @returns {string|null} Value, or null if missing
+ */
+function readHeader(text, label) {
+    const match = text.match(new RegExp(`^\\s*${label.source}\\s*:\\s*(.+)$`, 'm'));
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Parse the rows between $$SOE and $$EOE
+ * @param {string} table - Text between the markers
+ * @returns {Array<Object>} Rows {jd, x, y, z} in the table's units
+ */
+function parseVectorRows(table) {
+    const rows = [];
+    const lines = table.split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (lines.length > 0 && lines[0].includes(',')) {
+        // CSV: JDTDB, Calendar Date, X, Y, Z[, VX, VY, VZ, ...],
+        lines.forEach(line => {
+            const fields = line.split(',').map(field => field.trim());
+            const [jd, x, y, z] = [fields[0], fields[2], fields[3], fields[4]].map(Number);
+            if ([jd, x, y, z].every(Number.isFinite)) {
+                rows.push({ jd, x, y, z });
+            }
+        });
+        return rows;
+    }
+
+    // Text: "2451545.000000000 = A.D. ..." followed by " X = ... Y = ... Z = ..."
+    let jd = null;
+    lines.forEach(line => {
+        const epoch = line.match(/^(\d+\.\d+)\s*=/);
+        if (epoch) {
+            jd = Number(epoch[1]);
+            return;
+        }
+        const vector = line.match(/^X\s*=\s*(\S+)\s+Y\s*=\s*(\S+)\s+Z\s*=\s*(\S+)/);
+        if (vector && jd !== null) {
+            rows.push({ jd, x: Number(vector[1]), y: Number(vector[2]), z: Number(vector[3]) });
+            jd = null;
+        }
+    });
+    return rows;
+}
+
+/**
+ * Parse a Horizons VECTORS table
+ * @param {string} text - Full Horizons output (header and $$SOE ... $$EOE block)
+ * @returns {Object} {planetKey, targetName, targetId, centerId, rows: [{jd, date, x, y, z}]}
+ *                   with positions heliocentric ecliptic J2000 in AU
+ * @throws {ValidationError} If the text is not a heliocentric vector table of a planet
+ */
+export function parseHorizonsVectors(text) {
+    if (typeof text !== 'string') {
+        throw new ValidationError('Horizons output must be a string', 'text', 'string', text);
+    }
+
+    const start = text.indexOf('$$SOE');
+    const end = text.indexOf('$$EOE');
+    if (start === -1 || end < start) {
+        throw new ValidationError('Horizons output has no $$SOE/$$EOE table', 'text', 'Horizons VECTORS output', text.slice(0, 80));
+    }
+
+    const target = readHeader(text, /Target body name/)?.match(/^(.*?)\s*\((-?\d+)\)/);
+    const center = readHeader(text, /Center body name/)?.match(/\((-?\d+)\)/);
+    const planetKey = target ? planetKeyForTarget(target[2]) : null;
+    if (!planetKey) {
+        throw new ValidationError('Horizons target is not a planet', 'text', 'planet or planet barycenter', target?.[0] ?? null);
+    }
+    if (center && center[1] !== '10') {
+        throw new ValidationError('Horizons vectors must be centred on the Sun', 'text', 'Sun (10)', center[0]);
+    }
+
+    const units = readHeader(text, /Output units/) ?? 'AU-D';
+    const kmToAU = /^KM/i.test(units) ? 1 / ASTRONOMICAL_UNIT : 1;
+    const plane = readHeader(text, /Reference plane/) ?? readHeader(text, /Reference frame/) ?? '';
+    const isEquatorial = /equator/i.test(plane) && !/ecliptic/i.test(plane);
+    const cosE = Math.cos(OBLIQUITY_J2000 * DEG_TO_RAD);
+    const sinE = Math.sin(OBLIQUITY_J2000 * DEG_TO_RAD);
+
+    const rows = parseVectorRows(text.slice(start + 5, end)).map(({ jd, x, y, z }) => {
+        const [ex, ey, ez] = isEquatorial
+            ? [x, y * cosE + z * sinE, -y * sinE + z * cosE]
+            : [x, y, z];
+        return { jd, date: julianToDate(jd), x: ex * kmToAU, y: ey * kmToAU, z: ez * kmToAU };
+    });
+    if (rows.length === 0) {
+        throw new ValidationError('Horizons table has no vectors', 'text', 'X, Y, Z rows', null);
+    }
+
+    return { planetKey, targetName: target[1], targetId: target[2], centerId: center ? center[1] : null, rows };
+}
+
+/**
+ * Compare a model with reference positions of one planet
+ * @param {string} planetKey - Planet identifier
+ * @param {Array<Object>} rows - Reference rows {date, x, y, z} (AU, heliocentric ecliptic J2000)
+ * @param {Function} positionFn - Model (planetKey, date) → {x, y, z} in AU
+ * @returns {Object} {planetKey, count, start, end, maxAngularError, rmsAngularError (arcsec),
+ *                   maxDistanceError, rmsDistanceError (km), worstAngularDate, worstDistanceDate}
+ * @throws {ValidationError} If there are no rows
+ */
+export function compareWithReference(planetKey, rows, positionFn = calculatePlanetPosition) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('rows must be a non-empty array', 'rows', 'Array', rows);
+    }
+
+    let maxAngularError = 0;
+    let maxDistanceError = 0;
+    let sumAngularSquared = 0;
+    let sumDistanceSquared = 0;
+    let worstAngularDate = rows[0].date;
+    let worstDistanceDate = rows[0].date;
+
+    rows.forEach(row => {
+        const model = positionFn(planetKey, row.date);
+        const modelDistance = Math.hypot(model.x, model.y, model.z);
+        const referenceDistance = Math.hypot(row.x, row.y, row.z);
+
+        // Angle between the directions (atan2 of cross and dot stays accurate for tiny angles)
+        const cross = Math.hypot(
+            model.y * row.z - model.z * row.y,
+            model.z * row.x - model.x * row.z,
+            model.x * row.y - model.y * row.x
+        );
+        const dot = model.x * row.x + model.y * row.y + model.z * row.z;
+        const angularError = Math.atan2(cross, dot) * RAD_TO_DEG * 3600;
+        const distanceError = Math.abs(modelDistance - referenceDistance) * ASTRONOMICAL_UNIT;
+
+        sumAngularSquared += angularError * angularError;
+        sumDistanceSquared += distanceError * distanceError;
+        if (angularError > maxAngularError) {
+            maxAngularError = angularError;
+            worstAngularDate = row.date;
+        }
+        if (distanceError > maxDistanceError) {
+            maxDistanceError = distanceError;
+            worstDistanceDate = row.date;
+        }
+    });
+
+    const dates = rows.map(row => row.date.getTime());
+    return {
+        planetKey,
+        count: rows.length,
+        start: new Date(Math.min(...dates)),
+        end: new Date(Math.max(...dates)),
+        maxAngularError,
+        rmsAngularError: Math.sqrt(sumAngularSquared / rows.length),
+        maxDistanceError,
+        rmsDistanceError: Math.sqrt(sumDistanceSquared / rows.length),
+        worstAngularDate,
+        worstDistanceDate
+    };
+}
+
+/**
+ * Validate a model against reference tables of several planets
+ * @param {Array<Object>} references - Parsed tables from parseHorizonsVectors() ({planetKey, rows})
+ * @param {Object} options - Options
+ * @param {string} options.model - Key of EPHEMERIS_MODELS (default 'orbitalElements')
+ * @param {Object} options.tolerances - Tolerances per planet (default: the model's, from MODEL_TOLERANCES)
+ * @returns {Object} {model, passed, planets: [comparison + {tolerance, passed}]}
+ * @throws {ValidationError} For an unknown model or a planet without a tolerance
+ */
+export function validateEphemeris(references, { model = 'orbitalElements', tolerances = MODEL_TOLERANCES[model] } = {}) {
+    const positionFn = EPHEMERIS_MODELS[model];
+    if (!positionFn) {
+        throw new ValidationError(`Unknown ephemeris model: ${model}`, 'model', Object.keys(EPHEMERIS_MODELS).join(' | '), model);
+    }
+
+    const planets = references.map(({ planetKey, rows }) => {
+        const tolerance = tolerances[planetKey];
+        if (!tolerance) {
+            throw new ValidationError(`No tolerance for ${planetKey}`, 'planetKey', Object.keys(tolerances).join(' | '), planetKey);
+        }
+        const comparison = compareWithReference(planetKey, rows, positionFn);
+        return {
+            ...comparison,
+            tolerance,
+            passed: comparison.maxAngularError <= tolerance.angular && comparison.maxDistanceError <= tolerance.distance
+        };
+    });
+
+    return { model, passed: planets.every(planet => planet.passed), planets };
+}
+
+/**
+ * Format a validation report as a text table
+ * @param {Object} report - Result of validateEphemeris()
+ * @returns {string} Table with one line per planet
+ */
+export function formatValidationReport(report) {
+    const lines = [
+        `Ephemeris validation (${report.model}): ${report.passed ? 'PASS' : 'FAIL'}`,
+        'Planet    Rows  Span        Max angle   RMS angle   Limit   Max dist (km)  RMS dist (km)  Limit (km)  Result'
+    ];
+    report.planets.forEach(planet => {
+        const span = `${planet.start.getUTCFullYear()}-${planet.end.getUTCFullYear()}`;
+        lines.push([
+            planet.planetKey.padEnd(8),
+            String(planet.count).padStart(5),
+            span.padStart(11),
+            `${planet.maxAngularError.toFixed(1)}"`.padStart(11),
+            `${planet.rmsAngularError.toFixed(1)}"`.padStart(11),
+            `${planet.tolerance.angular}"`.padStart(7),
+            Math.round(planet.maxDistanceError).toString().padStart(14),
+            Math.round(planet.rmsDistanceError).toString().padStart(14),
+            String(planet.tolerance.distance).padStart(11),
+            planet.passed ? ' ok' : ' FAIL'
+        ].join(' '));
+    });
+    return lines.join('\n');
+}
+
+export default {
+    HORIZONS_TARGETS,
+    EPHEMERIS_TOLERANCES,
+    KEPLERIAN_TOLERANCES,
+    EPHEMERIS_MODELS,
+    MODEL_TOLERANCES,
+    planetKeyForTarget,
+    parseHorizonsVectors,
+    compareWithReference,
+    validateEphemeris,
+    formatValidationReport
+};
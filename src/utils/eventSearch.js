@@ -0,0 +1,631 @@
+/**
+ * Astronomical Event Search Module
+ * Finds the moments events happen in a date range by solving for them, rather than testing
+ * whether two angles are within a threshold (isConjunction / isOpposition in orbital.js):
+ * - conjunctions and oppositions: the planet's geocentric ecliptic longitude equals the Sun's (or differs by 180°)
+ * - greatest elongations of Mercury and Venus: the Sun-Earth-planet angle peaks
+ * - perihelion and aphelion: the mean anomaly passes 0° or 180°
+ * - solar and lunar eclipses: at each new and full Moon, the Moon's closest approach to the
+ *   Sun or the Earth's shadow, with the times it first and last touches
+ *
+ * Planets follow the Keplerian elements in orbitalElements.js (the Earth's are the Earth-Moon
+ * barycenter's), the Moon and Sun the series in lunar.js and solar.js. Each event is
+ * bracketed by sampling, then bisected to a second; how close that is to the real event is
+ * set by the models: minutes for eclipses, up to hours for planets, a day or so for the
+ * Earth's perihelion and aphelion.
+ *
+ * @module eventSearch
+ */
+
+import { ASTRONOMICAL_UNIT, EARTH_RADIUS, MOON, PLANETS, RAD_TO_DEG } from './constants.js';
+import { ORBITAL_ELEMENTS, calculatePlanetPosition, getCurrentElements } from './orbitalElements.js';
+import { getMoonPosition } from './lunar.js';
+import { getSunPosition } from './solar.js';
+import { validateRange, validateArray, ValidationError } from './validation.js';
+
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+
+/**
+ * Longest range searched at once (days)
+ */
+const MAX_SEARCH_DAYS = 36525;
+
+/**
+ * Precision of the event times (ms)
+ */
+const TIME_TOLERANCE = 1000;
+
+/**
+ * Sampling step for the planet and Moon angles: none changes by more than a few degrees a day
+ */
+const SAMPLE_STEP = DAY_MS;
+
+/**
+ * Half-width of the window searched for an eclipse's contacts around its greatest moment
+ */
+const ECLIPSE_HALF_WINDOW = 6 * HOUR_MS;
+
+/**
+ * Planets by where they orbit relative to the Earth
+ */
+const INNER_PLANETS = ['mercury', 'venus'];
+const OUTER_PLANETS = ['mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+const APSIS_PLANETS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+/**
+ * Event types with their display names
+ */
+export const EVENT_TYPES = {
+    conjunction: 'Conjunction',
+    opposition: 'Opposition',
+    'greatest-elongation': 'Greatest elongation',
+    perihelion: 'Perihelion',
+    aphelion: 'Aphelion',
+    'solar-eclipse': 'Solar eclipse',
+    'lunar-eclipse': 'Lunar eclipse'
+};
+
+/**
+ * Bodies events can be searched for: the planets, and the Moon for eclipses
+ */
+export const SEARCH_BODIES = [...APSIS_PLANETS, 'moon'];
+
+/**
+ * Check that a date is valid
+ * @param {Date} date - Date to check
+ * @param {string} paramName - Parameter name for the error
+ * @throws {ValidationError} If the date is invalid
+ */
+function validateDate(date, paramName) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError(`${paramName} must be a valid Date`, paramName, 'Date', date);
+    }
+}
+
+/**
+ * Check a search range
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+function validateSearchRange(startDate, endDate) {
+    validateDate(startDate, 'startDate');
+    validateDate(endDate, 'endDate');
+    validateRange((endDate - startDate) / DAY_MS, 0, MAX_SEARCH_DAYS, 'time range (days)');
+}
+
+/**
+ * Wrap an angle to [-π, π)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+    return ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+}
+
+/**
+ * Time a function crosses zero inside a bracket (bisection)
+ * @param {Function} valueAt - Function of time (ms)
+ * @param {number} t0 - Start of the bracket (ms)
+ * @param {number} t1 - End of the bracket (ms), where the sign differs from t0's
+ * @returns {number} Crossing time (ms)
+ */
+function bisect(valueAt, t0, t1) {
+    const startsNegative = valueAt(t0) < 0;
+    while (t1 - t0 > TIME_TOLERANCE) {
+        const mid = (t0 + t1) / 2;
+        if ((valueAt(mid) < 0) === startsNegative) {
+            t0 = mid;
+        } else {
+            t1 = mid;
+        }
+    }
+    return (t0 + t1) / 2;
+}
+
+/**
+ * Times a function crosses zero, found by sampling and bisecting each sign change
+ * Wrapped angles jump by 2π where they pass ±180°: changes larger than maxJump are such
+ * jumps, not crossings.
+ * @param {Function} valueAt - Function of time (ms)
+ * @param {number} start - Start of the search (ms)
+ * @param {number} end - End of the search (ms)
+ * @param {number} stepMs - Sampling step (ms), short enough that no two crossings share one
+ * @param {number} maxJump - Largest change between samples that can be a crossing (default: none)
+ * @returns {Array<Object>} Crossings {time (ms), rising (negative to positive)}
+ */
+function findRoots(valueAt, start, end, stepMs, maxJump = Infinity) {
+    const roots = [];
+    let t0 = start;
+    let v0 = valueAt(t0);
+    while (t0 < end) {
+        const t1 = Math.min(t0 + stepMs, end);
+        const v1 = valueAt(t1);
+        if ((v0 < 0) !== (v1 < 0) && Math.abs(v1 - v0) < maxJump) {
+            roots.push({ time: bisect(valueAt, t0, t1), rising: v1 > v0 });
+        }
+        t0 = t1;
+        v0 = v1;
+    }
+    return roots;
+}
+
+/**
+ * Time of the smallest value of a function in a bracket (golden-section search)
+ * @param {Function} valueAt - Function of time (ms), with one minimum in the bracket
+ * @param {number} t0 - Start of the bracket (ms)
+ * @param {number} t1 - End of the bracket (ms)
+ * @returns {number} Time of the minimum (ms)
+ */
+function findMinimum(valueAt, t0, t1) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = t0;
+    let b = t1;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = valueAt(c);
+    let fd = valueAt(d);
+
+    while (b - a > TIME_TOLERANCE) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b - ratio * (b - a);
+            fc = valueAt(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a + ratio * (b - a);
+            fd = valueAt(d);
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Times a function peaks or bottoms out: where its slope (central difference) crosses zero
+ * @param {Function} valueAt - Function of time (ms)
+ * @param {number} start - Start of the search (ms)
+ * @param {number} end - End of the search (ms)
+ * @param {number} stepMs - Sampling step (ms)
+ * @returns {Array<Object>} Extrema {time (ms), isMaximum}
+ */
+function findExtrema(valueAt, start, end, stepMs) {
+    const slopeAt = (time) => valueAt(time + HOUR_MS) - valueAt(time - HOUR_MS);
+    return findRoots(slopeAt, start, end, stepMs).map(({ time, rising }) => ({ time, isMaximum: !rising }));
+}
+
+/**
+ * Geocentric direction of a planet and of the Sun from the Keplerian positions
+ * @param {string} planetKey - Planet identifier
+ * @param {number} time - Time (ms)
+ * @returns {Object} {planet, sun} vectors {x, y, z} in AU (ecliptic J2000)
+ */
+function geocentricVectors(planetKey, time) {
+    const date = new Date(time);
+    const earth = calculatePlanetPosition('earth', date);
+    const planet = calculatePlanetPosition(planetKey, date);
+    return {
+        planet: { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z },
+        sun: { x: -earth.x, y: -earth.y, z: -earth.z }
+    };
+}
+
+/**
+ * Planet's geocentric longitude minus the Sun's
+ * @param {string} planetKey - Planet identifier
+ * @param {number} time - Time (ms)
+ * @returns {number} Difference in radians (-π to π; positive east of the Sun)
+ */
+function longitudeFromSun(planetKey, time) {
+    const { planet, sun } = geocentricVectors(planetKey, time);
+    return wrapAngle(Math.atan2(planet.y, planet.x) - Math.atan2(sun.y, sun.x));
+}
+
+/**
+ * Length of a vector
+ * @param {Object} v - Vector {x, y, z}
+ * @returns {number} Length
+ */
+function length(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+/**
+ * Angle between two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {number} Angle in radians
+ */
+function angleBetween(a, b) {
+    const cosine = (a.x * b.x + a.y * b.y + a.z * b.z) / (length(a) * length(b));
+    return Math.acos(Math.max(-1, Math.min(1, cosine)));
+}
+
+/**
+ * Format a duration as "1 h 25 min" or "42 min"
+ * @param {number} ms - Duration (ms)
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+/**
+ * Keep the planets of a list that are in a set of allowed ones
+ * @param {Array<string>} planetKeys - Requested planets
+ * @param {Array<string>} allowed - Planets the event applies to
+ * @returns {Array<string>} Requested planets the event applies to
+ */
+function selectPlanets(planetKeys, allowed) {
+    validateArray(planetKeys, 'planetKeys');
+    return planetKeys.filter(planetKey => allowed.includes(planetKey));
+}
+
+/**
+ * Conjunctions with the Sun: the planet's geocentric ecliptic longitude equals the Sun's
+ * Mercury and Venus have inferior (between Earth and Sun) and superior (behind the Sun) conjunctions.
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Array<string>} planetKeys - Planets to search (default: Mercury to Neptune)
+ * @returns {Array<Object>} Events {type: 'conjunction', time, body, label, detail, bodies, distance (AU from Earth), separation (degrees from the Sun's center)} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+export function findConjunctions(startDate, endDate, planetKeys = [...INNER_PLANETS, ...OUTER_PLANETS]) {
+    validateSearchRange(startDate, endDate);
+    const events = [];
+
+    selectPlanets(planetKeys, [...INNER_PLANETS, ...OUTER_PLANETS]).forEach(planetKey => {
+        const name = PLANETS[planetKey].name;
+        const valueAt = (time) => longitudeFromSun(planetKey, time);
+
+        findRoots(valueAt, startDate.getTime(), endDate.getTime(), SAMPLE_STEP, Math.PI).forEach(({ time }) => {
+            const { planet, sun } = geocentricVectors(planetKey, time);
+            const distance = length(planet);
+            const separation = angleBetween(planet, sun) * RAD_TO_DEG;
+            const isInferior = distance < length(sun);
+
+            let label = `${name} in conjunction with the Sun`;
+            if (INNER_PLANETS.includes(planetKey)) {
+                label = `${name} at ${isInferior ? 'inferior' : 'superior'} conjunction`;
+            }
+            // The Sun's disk is about 0.27° in radius: a planet in front of it transits
+            const transit = isInferior && separation < 0.26 ? ' - crosses the Sun (transit)' : '';
+
+            events.push({
+                type: 'conjunction',
+                time: new Date(time),
+                body: planetKey,
+                label,
+                detail: `${distance.toFixed(2)} AU from Earth, ${separation.toFixed(2)}° from the Sun${transit}`,
+                bodies: ['sun', 'earth', planetKey],
+                distance,
+                separation
+            });
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Oppositions: an outer planet's geocentric ecliptic longitude is 180° from the Sun's
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Array<string>} planetKeys - Planets to search (default: Mars to Neptune)
+ * @returns {Array<Object>} Events {type: 'opposition', time, body, label, detail, bodies, distance (AU from Earth)} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+export function findOppositions(startDate, endDate, planetKeys = OUTER_PLANETS) {
+    validateSearchRange(startDate, endDate);
+    const events = [];
+
+    selectPlanets(planetKeys, OUTER_PLANETS).forEach(planetKey => {
+        const valueAt = (time) => wrapAngle(longitudeFromSun(planetKey, time) - Math.PI);
+
+        findRoots(valueAt, startDate.getTime(), endDate.getTime(), SAMPLE_STEP, Math.PI).forEach(({ time }) => {
+            const distance = length(geocentricVectors(planetKey, time).planet);
+            events.push({
+                type: 'opposition',
+                time: new Date(time),
+                body: planetKey,
+                label: `${PLANETS[planetKey].name} at opposition`,
+                detail: `${distance.toFixed(2)} AU from Earth`,
+                bodies: ['sun', 'earth', planetKey],
+                distance
+            });
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Greatest elongations of Mercury and Venus: the planet at its farthest from the Sun in Earth's sky
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Array<string>} planetKeys - Planets to search (default: Mercury and Venus)
+ * @returns {Array<Object>} Events {type: 'greatest-elongation', time, body, label, detail, bodies, elongation (degrees), direction ('east' or 'west')} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+export function findGreatestElongations(startDate, endDate, planetKeys = INNER_PLANETS) {
+    validateSearchRange(startDate, endDate);
+    const events = [];
+
+    selectPlanets(planetKeys, INNER_PLANETS).forEach(planetKey => {
+        const elongationAt = (time) => {
+            const { planet, sun } = geocentricVectors(planetKey, time);
+            return angleBetween(planet, sun);
+        };
+
+        findExtrema(elongationAt, startDate.getTime(), endDate.getTime(), SAMPLE_STEP).forEach(({ time, isMaximum }) => {
+            if (!isMaximum) return; // The minima are the conjunctions
+
+            const elongation = elongationAt(time) * RAD_TO_DEG;
+            const direction = longitudeFromSun(planetKey, time) > 0 ? 'east' : 'west';
+            events.push({
+                type: 'greatest-elongation',
+                time: new Date(time),
+                body: planetKey,
+                label: `${PLANETS[planetKey].name} at greatest ${direction}ern elongation`,
+                detail: `${elongation.toFixed(1)}° from the Sun, in the ${direction === 'east' ? 'evening' : 'morning'} sky`,
+                bodies: ['sun', 'earth', planetKey],
+                elongation,
+                direction
+            });
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Perihelion and aphelion passages: the planet's mean anomaly passes 0° or 180°
+ * (the Earth's are the Earth-Moon barycenter's, which can be a day off the Earth's own)
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Array<string>} planetKeys - Planets to search (default: all eight)
+ * @returns {Array<Object>} Events {type: 'perihelion' or 'aphelion', time, body, label, detail, bodies, distance (AU from the Sun)} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+export function findApsides(startDate, endDate, planetKeys = APSIS_PLANETS) {
+    validateSearchRange(startDate, endDate);
+    const events = [];
+
+    selectPlanets(planetKeys, APSIS_PLANETS).forEach(planetKey => {
+        const meanAnomalyAt = (time) => {
+            const elements = getCurrentElements(planetKey, new Date(time));
+            return (elements.L - elements.varpi) / RAD_TO_DEG;
+        };
+        // An eighth of an orbit between samples (LDot: degrees per century)
+        const stepMs = 45 / ORBITAL_ELEMENTS[planetKey].LDot * 36525 * DAY_MS;
+
+        [
+            { type: 'perihelion', offset: 0 },
+            { type: 'aphelion', offset: Math.PI }
+        ].forEach(({ type, offset }) => {
+            const valueAt = (time) => wrapAngle(meanAnomalyAt(time) - offset);
+            findRoots(valueAt, startDate.getTime(), endDate.getTime(), stepMs, Math.PI).forEach(({ time }) => {
+                const distance = length(calculatePlanetPosition(planetKey, new Date(time)));
+                events.push({
+                    type,
+                    time: new Date(time),
+                    body: planetKey,
+                    label: `${PLANETS[planetKey].name} at ${type}`,
+                    detail: `${distance.toFixed(4)} AU from the Sun`,
+                    bodies: ['sun', planetKey],
+                    distance
+                });
+            });
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Geometry of the Sun, Moon and Earth's shadow at a moment
+ * Shadow sizes follow Meeus, "Astronomical Algorithms", chapter 54 (umbra and penumbra
+ * enlarged by 2% for the atmosphere).
+ * @param {number} time - Time (ms)
+ * @returns {Object} Angles in degrees: moonRadius, sunRadius, fromSun (Moon's center from the Sun's),
+ *   fromShadow (from the shadow's center), umbra, penumbra (shadow radii at the Moon),
+ *   partialLimit (Moon-Sun distance below which the Moon's penumbra touches the Earth)
+ */
+function eclipseGeometry(time) {
+    const date = new Date(time);
+    const moon = getMoonPosition(date);
+    const sun = getSunPosition(date);
+    const sunDistanceAU = sun.distance / ASTRONOMICAL_UNIT;
+
+    // Parallaxes and semi-diameters
+    const moonParallax = Math.asin(EARTH_RADIUS / moon.distance) * RAD_TO_DEG;
+    const moonRadius = Math.asin(MOON.radius / moon.distance) * RAD_TO_DEG;
+    const sunParallax = 8.794 / 3600 / sunDistanceAU;
+    const sunRadius = 959.63 / 3600 / sunDistanceAU;
+
+    // Moon's angular distance from the Sun (the Sun stays on the ecliptic)
+    const latitude = moon.eclipticLatitude / RAD_TO_DEG;
+    const longitude = (moon.eclipticLongitude - sun.eclipticLongitude) / RAD_TO_DEG;
+    const fromSun = Math.acos(Math.cos(latitude) * Math.cos(longitude)) * RAD_TO_DEG;
+
+    return {
+        moonRadius,
+        sunRadius,
+        fromSun,
+        fromShadow: 180 - fromSun,
+        umbra: 1.02 * (moonParallax + sunParallax - sunRadius),
+        penumbra: 1.02 * (moonParallax + sunParallax + sunRadius),
+        partialLimit: moonParallax - sunParallax + sunRadius + moonRadius,
+        centralLimit: moonParallax - sunParallax
+    };
+}
+
+/**
+ * Times a separation first drops below a limit and rises back above it around its minimum
+ * @param {Function} marginAt - Function of time (ms): separation minus limit (negative inside)
+ * @param {number} greatest - Time of the minimum (ms)
+ * @returns {Object|null} {start, end} (Date), or null if the limit is never reached
+ */
+function findContacts(marginAt, greatest) {
+    if (marginAt(greatest) >= 0) return null;
+
+    const before = greatest - ECLIPSE_HALF_WINDOW;
+    const after = greatest + ECLIPSE_HALF_WINDOW;
+    return {
+        start: new Date(marginAt(before) > 0 ? bisect(marginAt, before, greatest) : before),
+        end: new Date(marginAt(after) > 0 ? bisect(marginAt, greatest, after) : after)
+    };
+}
+
+/**
+ * Solar and lunar eclipses: at each new and full Moon, the time the Moon comes closest to the
+ * Sun or to the center of the Earth's shadow (greatest eclipse), and the contacts
+ * Solar eclipses are geocentric: start and end are when the Moon's penumbra first and last
+ * touches the Earth; they are central when the shadow's axis meets it.
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @returns {Array<Object>} Events {type: 'solar-eclipse' or 'lunar-eclipse', time (greatest eclipse), body: 'moon',
+ *   label, detail, bodies, kind (total, annular, partial or penumbral), magnitude, start, end, and for
+ *   total lunar eclipses totalityStart, totalityEnd} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than a century
+ */
+export function findEclipses(startDate, endDate) {
+    validateSearchRange(startDate, endDate);
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+    const events = [];
+
+    // Moon's longitude minus the Sun's: 0 at new Moon, ±180° at full Moon
+    const elongationAt = (time) => {
+        const date = new Date(time);
+        return wrapAngle((getMoonPosition(date).eclipticLongitude - getSunPosition(date).eclipticLongitude) / RAD_TO_DEG);
+    };
+    const newMoons = findRoots(elongationAt, start, end, SAMPLE_STEP, Math.PI);
+    const fullMoons = findRoots((time) => wrapAngle(elongationAt(time) - Math.PI), start, end, SAMPLE_STEP, Math.PI);
+
+    newMoons.forEach(({ time }) => {
+        const syzygy = eclipseGeometry(time);
+        if (syzygy.fromSun >= syzygy.partialLimit + 0.05) return; // Misses by more than it can close in hours
+
+        const greatest = findMinimum(t => eclipseGeometry(t).fromSun, time - ECLIPSE_HALF_WINDOW / 2, time + ECLIPSE_HALF_WINDOW / 2);
+        const geometry = eclipseGeometry(greatest);
+        const contacts = findContacts(t => {
+            const g = eclipseGeometry(t);
+            return g.fromSun - g.partialLimit;
+        }, greatest);
+        if (!contacts) return;
+
+        const isCentral = geometry.fromSun < geometry.centralLimit;
+        const kind = !isCentral ? 'partial' : (geometry.moonRadius > geometry.sunRadius ? 'total' : 'annular');
+        const magnitude = geometry.moonRadius / geometry.sunRadius;
+        events.push({
+            type: 'solar-eclipse',
+            time: new Date(greatest),
+            body: 'moon',
+            label: `${kind[0].toUpperCase()}${kind.slice(1)} solar eclipse`,
+            detail: `Moon ${magnitude.toFixed(3)}× the Sun's size, seen somewhere on Earth for ${formatDuration(contacts.end - contacts.start)}`,
+            bodies: ['earth', 'moon'],
+            kind,
+            magnitude,
+            ...contacts
+        });
+    });
+
+    fullMoons.forEach(({ time }) => {
+        const syzygy = eclipseGeometry(time);
+        if (syzygy.fromShadow >= syzygy.penumbra + syzygy.moonRadius + 0.05) return;
+
+        const greatest = findMinimum(t => eclipseGeometry(t).fromShadow, time - ECLIPSE_HALF_WINDOW / 2, time + ECLIPSE_HALF_WINDOW / 2);
+        const geometry = eclipseGeometry(greatest);
+        const penumbral = findContacts(t => {
+            const g = eclipseGeometry(t);
+            return g.fromShadow - g.penumbra - g.moonRadius;
+        }, greatest);
+        if (!penumbral) return;
+        const total = findContacts(t => {
+            const g = eclipseGeometry(t);
+            return g.fromShadow - g.umbra + g.moonRadius;
+        }, greatest);
+
+        let kind = 'penumbral';
+        if (total) {
+            kind = 'total';
+        } else if (geometry.fromShadow < geometry.umbra + geometry.moonRadius) {
+            kind = 'partial';
+        }
+        const shadow = kind === 'penumbral' ? geometry.penumbra : geometry.umbra;
+        const magnitude = (shadow + geometry.moonRadius - geometry.fromShadow) / (2 * geometry.moonRadius);
+        const totality = total ? `, totality ${formatDuration(total.end - total.start)}` : '';
+
+        events.push({
+            type: 'lunar-eclipse',
+            time: new Date(greatest),
+            body: 'moon',
+            label: `${kind[0].toUpperCase()}${kind.slice(1)} lunar eclipse`,
+            detail: `${kind === 'penumbral' ? 'Penumbral' : 'Umbral'} magnitude ${magnitude.toFixed(2)}${totality}`,
+            bodies: ['earth', 'moon'],
+            kind,
+            magnitude,
+            ...penumbral,
+            ...(total ? { totalityStart: total.start, totalityEnd: total.end } : {})
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Search a date range for events
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Object} options - Search options
+ * @param {Array<string>} options.types - Event types from EVENT_TYPES (default: all)
+ * @param {Array<string>} options.bodies - Bodies from SEARCH_BODIES (default: all)
+ * @returns {Array<Object>} Events {type, time (Date), body, label, detail, bodies, ...} sorted by time
+ * @throws {ValidationError} If the range, a type or a body is invalid
+ */
+export function searchEvents(startDate, endDate, options = {}) {
+    const { types = Object.keys(EVENT_TYPES), bodies = SEARCH_BODIES } = options;
+    validateSearchRange(startDate, endDate);
+    validateArray(types, 'types');
+    validateArray(bodies, 'bodies');
+    types.forEach(type => {
+        if (!(type in EVENT_TYPES)) {
+            throw new ValidationError(`Unknown event type: ${type}`, 'types', Object.keys(EVENT_TYPES).join(', '), type);
+        }
+    });
+    bodies.forEach(body => {
+        if (!SEARCH_BODIES.includes(body)) {
+            throw new ValidationError(`Unknown body: ${body}`, 'bodies', SEARCH_BODIES.join(', '), body);
+        }
+    });
+
+    const events = [];
+    if (types.includes('conjunction')) events.push(...findConjunctions(startDate, endDate, bodies));
+    if (types.includes('opposition')) events.push(...findOppositions(startDate, endDate, bodies));
+    if (types.includes('greatest-elongation')) events.push(...findGreatestElongations(startDate, endDate, bodies));
+    if (types.includes('perihelion') || types.includes('aphelion')) {
+        events.push(...findApsides(startDate, endDate, bodies).filter(event => types.includes(event.type)));
+    }
+    if (bodies.includes('moon') && (types.includes('solar-eclipse') || types.includes('lunar-eclipse'))) {
+        events.push(...findEclipses(startDate, endDate).filter(event => types.includes(event.type)));
+    }
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+export default {
+    EVENT_TYPES,
+    SEARCH_BODIES,
+    findConjunctions,
+    findOppositions,
+    findGreatestElongations,
+    findApsides,
+    findEclipses,
+    searchEvents
+};
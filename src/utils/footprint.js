@@ -0,0 +1,110 @@
+/**
+ * Footprint Module
+ * The area of Earth's surface that can see a satellite: a circle around the
+ * sub-satellite point whose edge is where the satellite sits at a chosen minimum
+ * elevation (0° = the geometric horizon). Spherical Earth of EARTH_RADIUS.
+ *
+ * @module footprint
+ */
+
+import { EARTH_RADIUS, DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { normalizeLongitude, geographicToEcef } from './coordinates.js';
+import { computeLookAngles } from './passPredictor.js';
+import { validateCoordinates, validateRange, validatePositive } from './validation.js';
+
+/**
+ * Angular radius of a satellite's footprint (Earth central angle from the sub-satellite point to the edge)
+ * @param {number} altitude - Satellite altitude in km
+ * @param {number} minElevation - Minimum elevation at the edge in degrees (default: 0)
+ * @returns {number} Radius in degrees of arc (0 if the satellite is never that high in anyone's sky)
+ * @throws {ValidationError} If the altitude or elevation is invalid
+ */
+export function footprintRadius(altitude, minElevation = 0) {
+    validatePositive(altitude, 'altitude');
+    validateRange(minElevation, 0, 90, 'minElevation');
+
+    const elevation = minElevation * DEG_TO_RAD;
+    const radius = Math.acos(EARTH_RADIUS * Math.cos(elevation) / (EARTH_RADIUS + altitude)) - elevation;
+    return Math.max(0, radius * RAD_TO_DEG);
+}
+
+/**
+ * Point at a given distance and bearing from a start point (great circle)
+ * @param {number} latitude - Start latitude in degrees
+ * @param {number} longitude - Start longitude in degrees
+ * @param {number} distance - Central angle in degrees
+ * @param {number} bearing - Initial bearing in degrees clockwise from north
+ * @returns {Object} {latitude, longitude} in degrees (longitude in -180..180)
+ */
+export function destinationPoint(latitude, longitude, distance, bearing) {
+    const lat = latitude * DEG_TO_RAD;
+    const angle = distance * DEG_TO_RAD;
+    const theta = bearing * DEG_TO_RAD;
+
+    const sinLat2 = Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(theta);
+    const lat2 = Math.asin(Math.max(-1, Math.min(1, sinLat2)));
+    const deltaLon = Math.atan2(
+        Math.sin(theta) * Math.sin(angle) * Math.cos(lat),
+        Math.cos(angle) - Math.sin(lat) * sinLat2
+    );
+
+    return {
+        latitude: lat2 * RAD_TO_DEG,
+        longitude: normalizeLongitude(longitude + deltaLon * RAD_TO_DEG)
+    };
+}
+
+/**
+ * Outline of a satellite's footprint
+ * @param {number} latitude - Sub-satellite latitude in degrees
+ * @param {number} longitude - Sub-satellite longitude in degrees
+ * @param {number} altitude - Satellite altitude in km
+ * @param {Object} options - Outline options
+ * @param {number} options.minElevation - Minimum elevation at the edge in degrees (default: 0)
+ * @param {number} options.segments - Number of points around the circle (default: 90)
+ * @returns {Object} {radius (degrees of arc), radiusKm (along the surface), points: closed ring of {latitude, longitude}}
+ * @throws {ValidationError} If an input is invalid
+ */
+export function computeFootprint(latitude, longitude, altitude, { minElevation = 0, segments = 90 } = {}) {
+    validateCoordinates(latitude, longitude);
+    validateRange(segments, 3, 3600, 'segments');
+
+    const radius = footprintRadius(altitude, minElevation);
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        points.push(destinationPoint(latitude, longitude, radius, (i / segments) * 360));
+    }
+
+    return {
+        radius,
+        radiusKm: radius * DEG_TO_RAD * EARTH_RADIUS,
+        points
+    };
+}
+
+/**
+ * Check which ground stations have a satellite above a minimum elevation
+ * Uses the WGS-84 look angles from passPredictor.js, so a station right on the
+ * (spherical) footprint edge may fall either side of it.
+ * @param {Array<Object>} stations - Stations {name, latitude, longitude, elevation (m, optional)}
+ * @param {Object} satellite - Satellite position {latitude, longitude, altitude (km)}
+ * @param {number} minElevation - Minimum elevation in degrees (default: 0)
+ * @returns {Array<Object>} Each station with {azimuth, elevation, range, inView} added
+ */
+export function getStationVisibility(stations, satellite, minElevation = 0) {
+    validateCoordinates(satellite.latitude, satellite.longitude);
+    validateRange(minElevation, 0, 90, 'minElevation');
+
+    const satelliteEcef = geographicToEcef(satellite.latitude, satellite.longitude, satellite.altitude);
+    return stations.map(station => {
+        const look = computeLookAngles(satelliteEcef, station);
+        return { ...station, ...look, inView: look.elevation >= minElevation };
+    });
+}
+
+export default {
+    footprintRadius,
+    destinationPoint,
+    computeFootprint,
+    getStationVisibility
+};
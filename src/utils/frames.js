@@ -0,0 +1,446 @@
+/**
+ * Coordinate Frames Module
+ * Transforms positions between the frames used across the app:
+ * - Ecliptic J2000: heliocentric planet positions (orbitalElements.js), the Moon (lunar.js)
+ * - Equatorial J2000: right ascension and declination in star catalogues
+ * - Equatorial of date: mean (precession, IAU 1976) or true (plus nutation) equator and equinox
+ * - ECEF: Earth-fixed, rotated from the true equator by apparent sidereal time (sgp4.js, coordinates.js)
+ * - Horizontal: azimuth and altitude for an observer on the WGS-84 ellipsoid
+ *
+ * Vectors are {x, y, z} in any length unit; ECEF and horizontal use km. Formulae from Meeus,
+ * "Astronomical Algorithms" (2nd ed.), chapters 12, 13, 21 and 22 (nutation to about 0.5").
+ * Dates are used as UT for sidereal time and as TT elsewhere (ΔT, about a minute, only moves
+ * the Moon noticeably). Positions are geometric: light-time and aberration are not applied.
+ *
+ * @module frames
+ */
+
+import { ASTRONOMICAL_UNIT, DEG_TO_RAD, RAD_TO_DEG, MAJOR_MOONS, PLANETS } from './constants.js';
+import { calculatePlanetPosition } from './orbitalElements.js';
+import { getMoonPosition } from './lunar.js';
+import { getMoonConfiguration } from './planetaryMoons.js';
+import { greenwichSiderealTime, dateToJulianDate } from './sgp4.js';
+import { geographicToEcef } from './coordinates.js';
+import { computeLookAngles } from './passPredictor.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Obliquity of the ecliptic at J2000 (IAU 1976, degrees)
+ */
+export const OBLIQUITY_J2000 = 23.4392911;
+
+/**
+ * Check a date argument
+ * @param {Date} date - Date
+ * @throws {ValidationError} If the date is invalid
+ */
+function checkDate(date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError('date must be a valid Date', 'date', 'Date', date);
+    }
+}
+
+/**
+ * Julian centuries since J2000
+ * @param {Date} date - Date
+ * @returns {number} Centuries
+ */
+function centuries(date) {
+    return (dateToJulianDate(date) - 2451545.0) / 36525;
+}
+
+/**
+ * Rotate about the X axis (turns +Y toward +Z)
+ * @param {Object} v - Vector {x, y, z}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated vector
+ */
+function rotateX(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: v.x, y: v.y * cos - v.z * sin, z: v.y * sin + v.z * cos };
+}
+
+/**
+ * Rotate about the Z axis (turns +X toward +Y, adding the angle to longitude)
+ * @param {Object} v - Vector {x, y, z}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated vector
+ */
+function rotateZ(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: v.x * cos - v.y * sin, y: v.x * sin + v.y * cos, z: v.z };
+}
+
+/**
+ * Rotate in the X-Z plane (turns +X toward +Z)
+ * @param {Object} v - Vector {x, y, z}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated vector
+ */
+function rotateXZ(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: v.x * cos - v.z * sin, y: v.y, z: v.x * sin + v.z * cos };
+}
+
+// ========== ANGLES ==========
+
+/**
+ * Mean obliquity of the ecliptic (Meeus 22.2)
+ * @param {Date} date - Date
+ * @returns {number} Obliquity in degrees
+ */
+export function meanObliquity(date) {
+    checkDate(date);
+    const T = centuries(date);
+    return OBLIQUITY_J2000 + (-46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) / 3600;
+}
+
+/**
+ * Nutation in longitude and obliquity (Meeus chapter 22, low accuracy: 0.5" and 0.1")
+ * @param {Date} date - Date
+ * @returns {Object} {longitude: Δψ, obliquity: Δε} in degrees
+ */
+export function getNutation(date) {
+    checkDate(date);
+    const T = centuries(date);
+    const node = (125.04452 - 1934.136261 * T) * DEG_TO_RAD; // Moon's ascending node
+    const sunLongitude = (280.4665 + 36000.7698 * T) * DEG_TO_RAD;
+    const moonLongitude = (218.3165 + 481267.8813 * T) * DEG_TO_RAD;
+
+    const longitude = -17.20 * Math.sin(node) - 1.32 * Math.sin(2 * sunLongitude) -
+        0.23 * Math.sin(2 * moonLongitude) + 0.21 * Math.sin(2 * node);
+    const obliquity = 9.20 * Math.cos(node) + 0.57 * Math.cos(2 * sunLongitude) +
+        0.10 * Math.cos(2 * moonLongitude) - 0.09 * Math.cos(2 * node);
+
+    return { longitude: longitude / 3600, obliquity: obliquity / 3600 };
+}
+
+/**
+ * Greenwich apparent sidereal time: mean sidereal time plus the equation of the equinoxes
+ * @param {Date} date - Date (UT)
+ * @returns {number} Sidereal time in radians (0 to 2π)
+ */
+export function greenwichApparentSiderealTime(date) {
+    checkDate(date);
+    const nutation = getNutation(date);
+    const equationOfEquinoxes = nutation.longitude * Math.cos((meanObliquity(date) + nutation.obliquity) * DEG_TO_RAD);
+    const gast = greenwichSiderealTime(dateToJulianDate(date)) + equationOfEquinoxes * DEG_TO_RAD;
+    return ((gast % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+/**
+ * Precession angles ζ, z, θ from J2000 to a date (IAU 1976, Meeus 21.3)
+ * @param {Date} date - Date
+ * @returns {Object} {zeta, z, theta} in radians
+ */
+function precessionAngles(date) {
+    const T = centuries(date);
+    const arcsec = DEG_TO_RAD / 3600;
+    return {
+        zeta: (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * arcsec,
+        z: (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * arcsec,
+        theta: (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * arcsec
+    };
+}
+
+// ========== FRAME TRANSFORMS ==========
+
+/**
+ * Ecliptic to equatorial coordinates
+ * @param {Object} v - Ecliptic vector {x, y, z}
+ * @param {number} obliquity - Obliquity in degrees (default: J2000)
+ * @returns {Object} Equatorial vector {x, y, z}
+ */
+export function eclipticToEquatorial(v, obliquity = OBLIQUITY_J2000) {
+    return rotateX(v, obliquity * DEG_TO_RAD);
+}
+
+/**
+ * Equatorial to ecliptic coordinates
+ * @param {Object} v - Equatorial vector {x, y, z}
+ * @param {number} obliquity - Obliquity in degrees (default: J2000)
+ * @returns {Object} Ecliptic vector {x, y, z}
+ */
+export function equatorialToEcliptic(v, obliquity = OBLIQUITY_J2000) {
+    return rotateX(v, -obliquity * DEG_TO_RAD);
+}
+
+/**
+ * Precess a J2000 equatorial vector to the mean equator and equinox of a date
+ * @param {Object} v - Equatorial J2000 vector {x, y, z}
+ * @param {Date} date - Date
+ * @returns {Object} Mean equatorial vector of date
+ */
+export function precessFromJ2000(v, date) {
+    checkDate(date);
+    const { zeta, z, theta } = precessionAngles(date);
+    return rotateZ(rotateXZ(rotateZ(v, zeta), theta), z);
+}
+
+/**
+ * Precess a mean equatorial vector of a date back to J2000
+ * @param {Object} v - Mean equatorial vector of date {x, y, z}
+ * @param {Date} date - Date
+ * @returns {Object} Equatorial J2000 vector
+ */
+export function precessToJ2000(v, date) {
+    checkDate(date);
+    const { zeta, z, theta } = precessionAngles(date);
+    return rotateZ(rotateXZ(rotateZ(v, -z), -theta), -zeta);
+}
+
+/**
+ * Equatorial J2000 to the true equator and equinox of a date (precession and nutation)
+ * @param {Object} v - Equatorial J2000 vector {x, y, z}
+ * @param {Date} date - Date
+ * @returns {Object} True equatorial vector of date
+ */
+export function j2000ToTrueOfDate(v, date) {
+    const mean = precessFromJ2000(v, date);
+    const obliquity = meanObliquity(date);
+    const nutation = getNutation(date);
+    const ecliptic = rotateZ(equatorialToEcliptic(mean, obliquity), nutation.longitude * DEG_TO_RAD);
+    return eclipticToEquatorial(ecliptic, obliquity + nutation.obliquity);
+}
+
+/**
+ * True equator and equinox of a date to equatorial J2000
+ * @param {Object} v - True equatorial vector of date {x, y, z}
+ * @param {Date} date - Date
+ * @returns {Object} Equatorial J2000 vector
+ */
+export function trueOfDateToJ2000(v, date) {
+    checkDate(date);
+    const obliquity = meanObliquity(date);
+    const nutation = getNutation(date);
+    const ecliptic = rotateZ(equatorialToEcliptic(v, obliquity + nutation.obliquity), -nutation.longitude * DEG_TO_RAD);
+    return precessToJ2000(eclipticToEquatorial(ecliptic, obliquity), date);
+}
+
+/**
+ * True equatorial of date to Earth-fixed (ECEF)
+ * @param {Object} v - True equatorial vector of date {x, y, z}
+ * @param {Date} date - Date (UT)
+ * @returns {Object} ECEF vector {x, y, z}
+ */
+export function equatorialToEcef(v, date) {
+    return rotateZ(v, -greenwichApparentSiderealTime(date));
+}
+
+/**
+ * Earth-fixed (ECEF) to true equatorial of date
+ * @param {Object} v - ECEF vector {x, y, z}
+ * @param {Date} date - Date (UT)
+ * @returns {Object} True equatorial vector of date
+ */
+export function ecefToEquatorial(v, date) {
+    return rotateZ(v, greenwichApparentSiderealTime(date));
+}
+
+/**
+ * Azimuth and altitude of an Earth-fixed position seen by an observer
+ * @param {Object} targetEcef - Target ECEF position {x, y, z} in km
+ * @param {Object} observer - Observer {latitude, longitude, elevation (m)}
+ * @returns {Object} {azimuth (degrees, 0 = north, clockwise), altitude (degrees), range (km)}
+ */
+export function ecefToHorizontal(targetEcef, observer) {
+    const { azimuth, elevation, range } = computeLookAngles(targetEcef, observer);
+    return { azimuth, altitude: elevation, range };
+}
+
+/**
+ * Direction of an equatorial J2000 vector in an observer's East-North-Up frame
+ * The observer's offset from Earth's center is ignored, so this suits distant directions
+ * (stars, the orientation of the sky); use getSkyCoordinates() for bodies.
+ * @param {Object} v - Equatorial J2000 vector {x, y, z}
+ * @param {Date} date - Date
+ * @param {Object} observer - Observer {latitude, longitude}
+ * @returns {Object} {east, north, up} components of the vector
+ */
+export function equatorialToEnu(v, date, observer) {
+    const ecef = equatorialToEcef(j2000ToTrueOfDate(v, date), date);
+    const lat = observer.latitude * DEG_TO_RAD;
+    const lon = observer.longitude * DEG_TO_RAD;
+    const sinLat = Math.sin(lat);
+    const cosLat = Math.cos(lat);
+    const sinLon = Math.sin(lon);
+    const cosLon = Math.cos(lon);
+
+    return {
+        east: -sinLon * ecef.x + cosLon * ecef.y,
+        north: -sinLat * cosLon * ecef.x - sinLat * sinLon * ecef.y + cosLat * ecef.z,
+        up: cosLat * cosLon * ecef.x + cosLat * sinLon * ecef.y + sinLat * ecef.z
+    };
+}
+
+// ========== SPHERICAL COORDINATES ==========
+
+/**
+ * Cartesian to spherical coordinates (RA/Dec or ecliptic longitude/latitude)
+ * @param {Object} v - Vector {x, y, z}
+ * @returns {Object} {longitude (0-360°), latitude (degrees), distance}
+ */
+export function cartesianToSpherical(v) {
+    const distance = Math.hypot(v.x, v.y, v.z);
+    let longitude = Math.atan2(v.y, v.x) * RAD_TO_DEG;
+    if (longitude < 0) longitude += 360;
+    const latitude = distance > 0 ? Math.asin(Math.max(-1, Math.min(1, v.z / distance))) * RAD_TO_DEG : 0;
+    return { longitude, latitude, distance };
+}
+
+/**
+ * Spherical to Cartesian coordinates
+ * @param {number} longitude - Longitude or right ascension in degrees
+ * @param {number} latitude - Latitude or declination in degrees
+ * @param {number} distance - Distance (default: 1)
+ * @returns {Object} Vector {x, y, z}
+ */
+export function sphericalToCartesian(longitude, latitude, distance = 1) {
+    const lon = longitude * DEG_TO_RAD;
+    const lat = latitude * DEG_TO_RAD;
+    return {
+        x: distance * Math.cos(lat) * Math.cos(lon),
+        y: distance * Math.cos(lat) * Math.sin(lon),
+        z: distance * Math.sin(lat)
+    };
+}
+
+/**
+ * Format a right ascension as hours, minutes and seconds
+ * @param {number} degrees - Right ascension in degrees
+ * @returns {string} Formatted right ascension (e.g., "2h 44m 12.0s")
+ */
+export function formatRightAscension(degrees) {
+    const tenths = Math.round((((degrees % 360) + 360) % 360) / 15 * 36000) % 864000;
+    const hours = Math.floor(tenths / 36000);
+    const minutes = Math.floor((tenths % 36000) / 600);
+    const seconds = (tenths % 600) / 10;
+    return `${hours}h ${String(minutes).padStart(2, '0')}m ${seconds.toFixed(1).padStart(4, '0')}s`;
+}
+
+/**
+ * Format a declination as signed degrees, arcminutes and arcseconds
+ * @param {number} degrees - Declination in degrees
+ * @returns {string} Formatted declination (e.g., "+49° 13′ 42″")
+ */
+export function formatDeclination(degrees) {
+    const total = Math.round(Math.abs(degrees) * 3600);
+    const sign = degrees < 0 && total > 0 ? '−' : '+';
+    const wholeDegrees = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    return `${sign}${wholeDegrees}° ${String(minutes).padStart(2, '0')}′ ${String(total % 60).padStart(2, '0')}″`;
+}
+
+// ========== BODIES ==========
+
+/**
+ * Geocentric position of a body
+ * Planets and the Sun are taken from the Earth-Moon barycenter (at most 4,700 km from Earth).
+ * @param {string} bodyKey - 'sun', a planet other than Earth, 'moon' or a major moon key
+ * @param {Date} date - Date
+ * @returns {Object} Ecliptic J2000 vector {x, y, z} in km
+ * @throws {ValidationError} For an unknown body or an invalid date
+ */
+export function getGeocentricPosition(bodyKey, date) {
+    checkDate(date);
+    const earth = calculatePlanetPosition('earth', date);
+
+    if (bodyKey === 'sun') {
+        return { x: -earth.x * ASTRONOMICAL_UNIT, y: -earth.y * ASTRONOMICAL_UNIT, z: -earth.z * ASTRONOMICAL_UNIT };
+    }
+    if (bodyKey === 'moon') {
+        return getMoonPosition(date).ecliptic;
+    }
+    if (bodyKey !== 'earth' && PLANETS[bodyKey]) {
+        const planet = calculatePlanetPosition(bodyKey, date);
+        return {
+            x: (planet.x - earth.x) * ASTRONOMICAL_UNIT,
+            y: (planet.y - earth.y) * ASTRONOMICAL_UNIT,
+            z: (planet.z - earth.z) * ASTRONOMICAL_UNIT
+        };
+    }
+    if (MAJOR_MOONS[bodyKey]) {
+        const parentKey = MAJOR_MOONS[bodyKey].parentPlanet;
+        const parent = getGeocentricPosition(parentKey, date);
+        const moon = getMoonConfiguration(parentKey, date).moons.find(entry => entry.key === bodyKey);
+        return moon ? { x: parent.x + moon.offset.x, y: parent.y + moon.offset.y, z: parent.z + moon.offset.z } : parent;
+    }
+
+    throw new ValidationError(`Unknown body: ${bodyKey}`, 'bodyKey', 'sun, moon, a planet other than earth or a major moon', bodyKey);
+}
+
+/**
+ * Describe a position in every sky frame
+ * @param {Object} j2000 - Geocentric equatorial J2000 vector (km)
+ * @param {Object} ofDate - Geocentric true equatorial vector of date (km)
+ * @param {Object} ecef - Geocentric ECEF vector (km)
+ * @param {Object|null} observer - Observer {latitude, longitude, elevation (m)} or null
+ * @returns {Object} Sky coordinates (see getSkyCoordinates)
+ */
+function describeSkyPosition(j2000, ofDate, ecef, observer) {
+    const mean = cartesianToSpherical(j2000);
+    const apparent = cartesianToSpherical(ofDate);
+    return {
+        rightAscension: mean.longitude,
+        declination: mean.latitude,
+        rightAscensionOfDate: apparent.longitude,
+        declinationOfDate: apparent.latitude,
+        distance: mean.distance,
+        horizontal: observer ? ecefToHorizontal(ecef, observer) : null
+    };
+}
+
+/**
+ * Sky coordinates of a body seen from Earth's center, and from an observer if given
+ * @param {string} bodyKey - Body (see getGeocentricPosition)
+ * @param {Date} date - Date
+ * @param {Object|null} observer - Observer {latitude, longitude, elevation (m)} (default: none)
+ * @returns {Object} {rightAscension, declination (J2000), rightAscensionOfDate, declinationOfDate
+ *   (true equator and equinox of date), distance (km), horizontal: {azimuth, altitude, range} or null}
+ */
+export function getSkyCoordinates(bodyKey, date, observer = null) {
+    const j2000 = eclipticToEquatorial(getGeocentricPosition(bodyKey, date));
+    const ofDate = j2000ToTrueOfDate(j2000, date);
+    return describeSkyPosition(j2000, ofDate, equatorialToEcef(ofDate, date), observer);
+}
+
+/**
+ * Sky coordinates of an Earth-orbiting object from its subpoint and altitude
+ * @param {Object} position - {latitude, longitude (degrees), altitude (km)}
+ * @param {Date} date - Date
+ * @param {Object|null} observer - Observer {latitude, longitude, elevation (m)} (default: none)
+ * @returns {Object} Sky coordinates as from getSkyCoordinates()
+ */
+export function getSkyCoordinatesFromGeodetic({ latitude, longitude, altitude }, date, observer = null) {
+    checkDate(date);
+    const ecef = geographicToEcef(latitude, longitude, altitude);
+    const ofDate = ecefToEquatorial(ecef, date);
+    return describeSkyPosition(trueOfDateToJ2000(ofDate, date), ofDate, ecef, observer);
+}
+
+export default {
+    OBLIQUITY_J2000,
+    meanObliquity,
+    getNutation,
+    greenwichApparentSiderealTime,
+    eclipticToEquatorial,
+    equatorialToEcliptic,
+    precessFromJ2000,
+    precessToJ2000,
+    j2000ToTrueOfDate,
+    trueOfDateToJ2000,
+    equatorialToEcef,
+    ecefToEquatorial,
+    ecefToHorizontal,
+    equatorialToEnu,
+    cartesianToSpherical,
+    sphericalToCartesian,
+    formatRightAscension,
+    formatDeclination,
+    getGeocentricPosition,
+    getSkyCoordinates,
+    getSkyCoordinatesFromGeodetic
+};
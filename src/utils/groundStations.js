@@ -0,0 +1,209 @@
+/**
+ * Ground Station Registry Module
+ * The ground stations used for ISS contact windows and the footprint highlight:
+ * the defaults from GROUND_STATIONS plus any the user adds. The list is saved to
+ * localStorage once it has been changed.
+ */
+
+import { GROUND_STATIONS } from './constants.js';
+import { validateCoordinates, validateNumber, validateRange, validateString, ValidationError } from './validation.js';
+
+/**
+ * localStorage key for the saved station list
+ */
+const STORAGE_KEY = 'groundStations';
+
+/**
+ * Elevation mask for stations added without one (degrees)
+ */
+const DEFAULT_MIN_ELEVATION = 10;
+
+/**
+ * Registry of ground stations
+ * Stations: {id, name, latitude, longitude, elevation (m), minElevation (deg), isDefault}
+ */
+class GroundStationRegistry {
+    constructor() {
+        this.stations = new Map(); // id -> station
+        this.changeCallbacks = [];
+        this.load();
+    }
+
+    /**
+     * Load the saved stations from localStorage, or the defaults if none are saved (or they are corrupt)
+     */
+    load() {
+        this.stations.clear();
+
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (saved) {
+                JSON.parse(saved).forEach(station => this.addStation(station, { silent: true }));
+                return;
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved ground stations:', error.message);
+            this.stations.clear();
+        }
+
+        GROUND_STATIONS.forEach(station => this.addStation({ ...station, isDefault: true }, { silent: true }));
+    }
+
+    /**
+     * Save the station list to localStorage
+     * @private
+     */
+    save() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getStations()));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save ground stations:', error.message);
+        }
+    }
+
+    /**
+     * Make a unique id from a station name
+     * @param {string} name - Station name
+     * @returns {string} Id such as 'gs-houston-mcc-h'
+     * @private
+     */
+    createId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'station';
+        let id = `gs-${slug}`;
+        for (let i = 2; this.stations.has(id); i++) {
+            id = `gs-${slug}-${i}`;
+        }
+        return id;
+    }
+
+    /**
+     * Add a ground station
+     * @param {Object} station - Station to add
+     * @param {string} station.name - Display name
+     * @param {number} station.latitude - Latitude in degrees (-90 to 90)
+     * @param {number} station.longitude - Longitude in degrees (-180 to 180)
+     * @param {number} station.elevation - Height above sea level in meters (default: 0)
+     * @param {number} station.minElevation - Elevation mask for contacts in degrees (default: 10)
+     * @param {Object} options - Options
+     * @param {boolean} options.silent - Don't save or notify (used while loading)
+     * @returns {Object} The stored station
+     * @throws {ValidationError} If a field is invalid
+     */
+    addStation({ id, name, latitude, longitude, elevation = 0, minElevation = DEFAULT_MIN_ELEVATION, isDefault = false }, { silent = false } = {}) {
+        validateString(name, 'name', 1);
+        if (!name.trim()) {
+            throw new ValidationError('Station name cannot be blank', 'name', 'non-blank string', name);
+        }
+        validateCoordinates(latitude, longitude);
+        validateNumber(elevation, 'elevation');
+        validateRange(minElevation, 0, 90, 'minElevation');
+
+        const station = {
+            id: id && !this.stations.has(id) ? id : this.createId(name.trim()),
+            name: name.trim(),
+            latitude,
+            longitude,
+            elevation,
+            minElevation,
+            isDefault: !!isDefault
+        };
+        this.stations.set(station.id, station);
+
+        if (!silent) {
+            this.save();
+            console.log(`📡 Ground station added: ${station.name} (${latitude.toFixed(4)}, ${longitude.toFixed(4)}, mask ${minElevation}°)`);
+            this.notifyCallbacks();
+        }
+        return station;
+    }
+
+    /**
+     * Remove a ground station
+     * @param {string} id - Station id
+     * @returns {boolean} True if it was in the registry
+     */
+    removeStation(id) {
+        if (!this.stations.delete(id)) return false;
+
+        this.save();
+        this.notifyCallbacks();
+        return true;
+    }
+
+    /**
+     * Go back to the default stations, forgetting any changes
+     */
+    resetStations() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not clear saved ground stations:', error.message);
+        }
+
+        this.load();
+        this.notifyCallbacks();
+    }
+
+    /**
+     * Get a station
+     * @param {string} id - Station id
+     * @returns {Object|null} Station or null
+     */
+    getStation(id) {
+        return this.stations.get(id) || null;
+    }
+
+    /**
+     * Get every station
+     * @returns {Array<Object>} Stations in the order they were added
+     */
+    getStations() {
+        return Array.from(this.stations.values());
+    }
+
+    /**
+     * Register a callback for changes to the station list
+     * @param {Function} callback - Called with the registry
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a change callback
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        const index = this.changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a change
+     * @private
+     */
+    notifyCallbacks() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in ground station callback:', error);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const groundStations = new GroundStationRegistry();
+
+// Export singleton and class
+export { groundStations, GroundStationRegistry };
+export default groundStations;
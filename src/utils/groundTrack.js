@@ -0,0 +1,114 @@
+/**
+ * Ground Track Module
+ * Samples a satellite's future sub-satellite points and prepares them for
+ * drawing as 3D orbit paths or 2D map polylines
+ *
+ * @module groundTrack
+ */
+
+import { validatePositive, validateArray, isFunction, ValidationError } from './validation.js';
+import { EARTH_MU } from './constants.js';
+
+/**
+ * Sample a satellite's path over a time window
+ * @param {Function} propagateFn - (date: Date) => {latitude, longitude, altitude}|null
+ * @param {Date} startDate - First sample time
+ * @param {number} durationMinutes - Length of the window in minutes
+ * @param {number} stepSeconds - Time between samples in seconds (default: 30)
+ * @returns {Array<Object>} Samples {latitude, longitude, altitude, timestamp}; failed propagations are skipped
+ */
+export function computeGroundTrack(propagateFn, startDate, durationMinutes, stepSeconds = 30) {
+    if (!isFunction(propagateFn)) {
+        throw new ValidationError('propagateFn must be a function', 'propagateFn', 'function', propagateFn);
+    }
+    validatePositive(durationMinutes, 'durationMinutes');
+    validatePositive(stepSeconds, 'stepSeconds');
+
+    const startTime = startDate.getTime();
+    const stepMs = stepSeconds * 1000;
+    const sampleCount = Math.floor((durationMinutes * 60) / stepSeconds) + 1;
+    const samples = [];
+
+    for (let i = 0; i < sampleCount; i++) {
+        const timestamp = startTime + i * stepMs;
+        const position = propagateFn(new Date(timestamp));
+        if (!position) continue;
+
+        samples.push({
+            latitude: position.latitude,
+            longitude: position.longitude,
+            altitude: position.altitude,
+            timestamp
+        });
+    }
+
+    return samples;
+}
+
+/**
+ * Split a ground track into polylines that don't wrap across the ±180° meridian
+ * An interpolated point is inserted on each side of every crossing so lines reach the map edge.
+ * @param {Array<Object>} points - Points with {latitude, longitude}
+ * @returns {Array<Array<Object>>} Polyline segments of {latitude, longitude}
+ */
+export function splitAtAntimeridian(points) {
+    validateArray(points, 'points');
+
+    const segments = [];
+    let current = [];
+
+    points.forEach((point, index) => {
+        if (index > 0) {
+            const previous = points[index - 1];
+            const deltaLon = point.longitude - previous.longitude;
+
+            // A jump of more than 180° means the short way round crosses the antimeridian
+            if (Math.abs(deltaLon) > 180) {
+                const edge = previous.longitude > 0 ? 180 : -180;
+                const unwrappedLon = point.longitude + (deltaLon < 0 ? 360 : -360);
+                const fraction = (edge - previous.longitude) / (unwrappedLon - previous.longitude);
+                const crossingLat = previous.latitude + fraction * (point.latitude - previous.latitude);
+
+                current.push({ latitude: crossingLat, longitude: edge });
+                segments.push(current);
+                current = [{ latitude: crossingLat, longitude: -edge }];
+            }
+        }
+
+        current.push({ latitude: point.latitude, longitude: point.longitude });
+    });
+
+    if (current.length > 0) {
+        segments.push(current);
+    }
+
+    return segments;
+}
+
+/**
+ * Orbital period from mean motion
+ * @param {number} meanMotionRevPerDay - Mean motion in revolutions per day
+ * @returns {number} Period in minutes
+ */
+export function periodFromMeanMotion(meanMotionRevPerDay) {
+    validatePositive(meanMotionRevPerDay, 'meanMotionRevPerDay');
+    return 1440 / meanMotionRevPerDay;
+}
+
+/**
+ * Orbit semi-major axis from mean motion (Kepler's third law)
+ * @param {number} meanMotionRevPerDay - Mean motion in revolutions per day
+ * @returns {number} Semi-major axis in km
+ */
+export function semiMajorAxisFromMeanMotion(meanMotionRevPerDay) {
+    validatePositive(meanMotionRevPerDay, 'meanMotionRevPerDay');
+    const radiansPerSecond = meanMotionRevPerDay * 2 * Math.PI / 86400;
+    return Math.cbrt(EARTH_MU / (radiansPerSecond * radiansPerSecond));
+}
+
+export default {
+    computeGroundTrack,
+    splitAtAntimeridian,
+    periodFromMeanMotion,
+    semiMajorAxisFromMeanMotion
+};
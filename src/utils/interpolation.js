@@ -0,0 +1,173 @@
+/**
+ * Position Interpolation Module
+ * Smooths sparse satellite position samples: interpolates along the orbital arc between
+ * samples and dead-reckons past the newest one when data is late.
+ *
+ * Interpolation happens in an Earth-inertial frame (longitude corrected for Earth's rotation),
+ * where a near-circular orbit is a great circle, then converts back to geographic coordinates.
+ *
+ * @module interpolation
+ */
+
+import { DEG_TO_RAD, RAD_TO_DEG, EARTH_ROTATION_DEG_PER_MS, ISS_INTERPOLATION } from './constants.js';
+import { validateArray, validateNumber } from './validation.js';
+
+/**
+ * Convert latitude/longitude to a unit vector
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} {x, y, z}
+ */
+function toUnitVector(latitude, longitude) {
+    const lat = latitude * DEG_TO_RAD;
+    const lon = longitude * DEG_TO_RAD;
+    return {
+        x: Math.cos(lat) * Math.cos(lon),
+        y: Math.cos(lat) * Math.sin(lon),
+        z: Math.sin(lat)
+    };
+}
+
+/**
+ * Wrap a longitude into [-180, 180)
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Wrapped longitude
+ */
+function wrapLongitude(longitude) {
+    return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Interpolate along the great circle through two points
+ * Fractions outside [0, 1] continue along the same circle at the same angular rate.
+ * @param {Object} from - Start {latitude, longitude} in degrees
+ * @param {Object} to - End {latitude, longitude} in degrees
+ * @param {number} fraction - 0 = from, 1 = to
+ * @returns {Object} {latitude, longitude} in degrees
+ */
+export function interpolateGreatCircle(from, to, fraction) {
+    const a = toUnitVector(from.latitude, from.longitude);
+    const b = toUnitVector(to.latitude, to.longitude);
+    const dot = Math.max(-1, Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(dot);
+
+    let x;
+    let y;
+    let z;
+    if (angle < 1e-9) {
+        // Same point - nothing to interpolate
+        ({ x, y, z } = a);
+    } else {
+        const sinAngle = Math.sin(angle);
+        const weightA = Math.sin((1 - fraction) * angle) / sinAngle;
+        const weightB = Math.sin(fraction * angle) / sinAngle;
+        x = weightA * a.x + weightB * b.x;
+        y = weightA * a.y + weightB * b.y;
+        z = weightA * a.z + weightB * b.z;
+    }
+
+    const length = Math.sqrt(x * x + y * y + z * z);
+    return {
+        latitude: Math.asin(z / length) * RAD_TO_DEG,
+        longitude: wrapLongitude(Math.atan2(y, x) * RAD_TO_DEG)
+    };
+}
+
+/**
+ * Interpolate between two timed samples along their orbital arc
+ * @param {Object} from - Earlier sample {latitude, longitude, altitude, velocity, timestamp}
+ * @param {Object} to - Later sample (same shape)
+ * @param {number} time - Target time in ms (may lie past `to` for dead-reckoning)
+ * @returns {Object} {latitude, longitude, altitude, velocity}
+ */
+export function interpolateOrbitalArc(from, to, time) {
+    const span = to.timestamp - from.timestamp;
+    const fraction = span > 0 ? (time - from.timestamp) / span : 1;
+
+    // Longitudes in a frame that rotates with the sky: where each sample would be at `time`
+    // if Earth stopped turning. The orbit is a great circle in this frame.
+    const spin = EARTH_ROTATION_DEG_PER_MS;
+    const inertialFrom = { latitude: from.latitude, longitude: from.longitude + spin * (from.timestamp - time) };
+    const inertialTo = { latitude: to.latitude, longitude: to.longitude + spin * (to.timestamp - time) };
+    const point = interpolateGreatCircle(inertialFrom, inertialTo, fraction);
+
+    // Altitude and speed change slowly - interpolate linearly, hold them when extrapolating
+    const clamped = Math.max(0, Math.min(1, fraction));
+    const mix = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a + (b - a) * clamped : (b ?? a));
+
+    return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: mix(from.altitude, to.altitude),
+        velocity: mix(from.velocity, to.velocity)
+    };
+}
+
+/**
+ * Estimate a position at any time from recent samples
+ * Between samples the position is interpolated; after the newest one it is dead-reckoned
+ * from the last two samples for up to maxExtrapolation, then held.
+ * @param {Array<Object>} samples - Samples sorted by timestamp {latitude, longitude, altitude, velocity, timestamp}
+ * @param {number} time - Target time in ms
+ * @param {Object} options - Thresholds (defaults from ISS_INTERPOLATION)
+ * @param {number} options.estimateThreshold - Extrapolation (ms) after which the result is flagged isEstimated
+ * @param {number} options.maxExtrapolation - Longest dead-reckoning (ms)
+ * @returns {Object|null} {latitude, longitude, altitude, velocity, timestamp, mode, extrapolationMs, isEstimated},
+ *   mode is 'sample', 'interpolated' or 'extrapolated'; null if there are no samples
+ */
+export function estimatePosition(samples, time, {
+    estimateThreshold = ISS_INTERPOLATION.ESTIMATE_THRESHOLD,
+    maxExtrapolation = ISS_INTERPOLATION.MAX_EXTRAPOLATION
+} = {}) {
+    validateArray(samples, 'samples');
+    validateNumber(time, 'time');
+    if (samples.length === 0) return null;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const result = (position, mode, extrapolationMs = 0) => ({
+        ...position,
+        timestamp: time,
+        mode,
+        extrapolationMs,
+        isEstimated: extrapolationMs > estimateThreshold
+    });
+
+    // Before the buffer starts (or only one sample): show the nearest sample as-is
+    if (time <= first.timestamp || samples.length === 1) {
+        const sample = time <= first.timestamp ? first : last;
+        const extrapolationMs = Math.max(0, time - sample.timestamp);
+        return result(pick(sample), 'sample', extrapolationMs);
+    }
+
+    if (time <= last.timestamp) {
+        const index = samples.findIndex(sample => sample.timestamp >= time);
+        return result(interpolateOrbitalArc(samples[index - 1], samples[index], time), 'interpolated');
+    }
+
+    // Late data: continue along the arc through the last two samples
+    const extrapolationMs = time - last.timestamp;
+    const target = last.timestamp + Math.min(extrapolationMs, maxExtrapolation);
+    const position = interpolateOrbitalArc(samples[samples.length - 2], last, target);
+    return result(position, 'extrapolated', extrapolationMs);
+}
+
+/**
+ * Copy the position fields of a sample
+ * @param {Object} sample - Sample
+ * @returns {Object} {latitude, longitude, altitude, velocity}
+ */
+function pick(sample) {
+    return {
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        altitude: sample.altitude,
+        velocity: sample.velocity
+    };
+}
+
+export default {
+    interpolateGreatCircle,
+    interpolateOrbitalArc,
+    estimatePosition
+};
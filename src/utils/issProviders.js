@@ -0,0 +1,266 @@
+/**
+ * ISS Position Providers
+ * Interchangeable sources of the current ISS position. Every provider has the same shape:
+ *
+ *   { type, name, label, fetchPosition(): Promise<{latitude, longitude, altitude?, velocity?, timestamp}> }
+ *
+ * ISSAPIManager tries them in the configured order (API.ISS_PROVIDERS) and fails over
+ * to the next one when a provider errors or times out.
+ *
+ * @module issProviders
+ */
+
+import { API } from './constants.js';
+import { validateISSResponse, validateCoordinates, validateObject, validateArray, isFunction, ValidationError } from './validation.js';
+
+/**
+ * Fetch a URL and parse the JSON body, giving up after a timeout
+ * @param {string} url - URL to request
+ * @param {number} timeout - Timeout in milliseconds (default: API.TIMEOUT)
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} On network errors, non-2xx responses or timeout
+ */
+export async function fetchJSON(url, timeout = API.TIMEOUT) {
+    const controller = new AbortController();
+    let timeoutId = null;
+
+    // BUG FIX: Use Promise.race to guarantee timeout works
+    // AbortController doesn't always work reliably in all environments
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Fetch timeout after ${timeout}ms`));
+        }, timeout);
+    });
+
+    const fetchPromise = (async () => {
+        const response = await fetch(url, {
+            signal: controller.signal,
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    })();
+
+    try {
+        return await Promise.race([fetchPromise, timeoutPromise]);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Open Notify provider (http://api.open-notify.org/iss-now.json)
+ * Latitude/longitude only - altitude and velocity are filled in by ISSAPIManager.
+ * @param {Object} config - Provider config
+ * @param {string} config.url - Endpoint URL (default: API.ISS_URL)
+ * @param {number} config.timeout - Request timeout in ms (default: API.TIMEOUT)
+ * @returns {Object} Provider
+ */
+export function createOpenNotifyProvider({ url = API.ISS_URL, timeout = API.TIMEOUT, name = 'open-notify' } = {}) {
+    return {
+        type: 'open-notify',
+        name,
+        label: 'Open Notify',
+        async fetchPosition() {
+            const data = await fetchJSON(url, timeout);
+            validateISSResponse(data);
+
+            const latitude = parseFloat(data.iss_position.latitude);
+            const longitude = parseFloat(data.iss_position.longitude);
+            validateCoordinates(latitude, longitude);
+
+            return {
+                latitude,
+                longitude,
+                timestamp: data.timestamp * 1000, // Convert to milliseconds
+                message: data.message || 'success'
+            };
+        }
+    };
+}
+
+/**
+ * wheretheiss.at-style provider (https://api.wheretheiss.at/v1/satellites/25544)
+ * Response: {latitude, longitude, altitude (km), velocity (km/h), timestamp (s), ...}
+ * @param {Object} config - Provider config
+ * @param {string} config.url - Endpoint URL (default: API.WHERETHEISS_URL)
+ * @param {number} config.timeout - Request timeout in ms (default: API.TIMEOUT)
+ * @returns {Object} Provider
+ */
+export function createWhereTheISSProvider({ url = API.WHERETHEISS_URL, timeout = API.TIMEOUT, name = 'wheretheiss' } = {}) {
+    return {
+        type: 'wheretheiss',
+        name,
+        label: 'wheretheiss.at',
+        async fetchPosition() {
+            const data = await fetchJSON(url, timeout);
+            validateObject(data, ['latitude', 'longitude', 'timestamp'], 'wheretheiss response');
+
+            const latitude = Number(data.latitude);
+            const longitude = Number(data.longitude);
+            validateCoordinates(latitude, longitude);
+
+            // Altitude/velocity are reported in miles when the request asks for units=miles
+            const toKm = data.units === 'miles' ? 1.609344 : 1;
+
+            return {
+                latitude,
+                longitude,
+                altitude: Number.isFinite(data.altitude) ? data.altitude * toKm : undefined,
+                velocity: Number.isFinite(data.velocity) ? data.velocity * toKm : undefined,
+                timestamp: data.timestamp * 1000,
+                message: 'success'
+            };
+        }
+    };
+}
+
+/**
+ * Local TLE propagation provider
+ * Never touches the network, so it keeps working offline as long as a TLE is loaded.
+ * @param {Object} config - Provider config
+ * @param {Function} config.propagate - (date: Date) => position|null, usually issAPI.getPropagatedPosition
+ * @returns {Object} Provider
+ */
+export function createTLEProvider({ propagate, name = 'tle' } = {}) {
+    if (!isFunction(propagate)) {
+        throw new ValidationError('TLE provider needs a propagate function', 'propagate', 'function', propagate);
+    }
+
+    return {
+        type: 'tle',
+        name,
+        label: 'SGP4 (TLE)',
+        async fetchPosition() {
+            const position = propagate(new Date());
+            if (!position) {
+                throw new Error('No TLE loaded');
+            }
+            return position;
+        }
+    };
+}
+
+/**
+ * Recorded-file replay provider
+ * Plays back a list of recorded positions in a loop at their original pace.
+ * Samples come from `samples` or are loaded once from `url` (a JSON array).
+ * @param {Object} config - Provider config
+ * @param {Array<Object>} config.samples - Recorded positions {latitude, longitude, altitude?, velocity?, timestamp}
+ * @param {string} config.url - URL of a recorded JSON file (used if samples is not given)
+ * @param {Function} config.now - Clock for playback (default: Date.now)
+ * @returns {Object} Provider
+ */
+export function createReplayProvider({ samples = null, url = null, now = Date.now, timeout = API.TIMEOUT, name = 'replay' } = {}) {
+    let recording = samples ? prepareRecording(samples) : null;
+    let startedAt = null;
+
+    return {
+        type: 'replay',
+        name,
+        label: 'Recorded replay',
+        async fetchPosition() {
+            if (!recording) {
+                if (!url) {
+                    throw new Error('Replay provider has no samples or url');
+                }
+                recording = prepareRecording(await fetchJSON(url, timeout));
+            }
+
+            const currentTime = now();
+            if (startedAt === null) startedAt = currentTime;
+
+            const first = recording[0].timestamp;
+            const span = recording[recording.length - 1].timestamp - first;
+            const offset = span > 0 ? (currentTime - startedAt) % span : 0;
+
+            // Last sample at or before the playback offset
+            let low = 0;
+            let high = recording.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (recording[mid].timestamp - first <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            return {
+                ...recording[low],
+                recordedAt: recording[low].timestamp,
+                timestamp: currentTime,
+                message: 'recorded replay',
+                isReplay: true
+            };
+        }
+    };
+}
+
+/**
+ * Validate and sort recorded samples
+ * @param {Array<Object>} samples - Recorded positions
+ * @returns {Array<Object>} Samples sorted by timestamp
+ * @throws {ValidationError} If the recording is empty or a sample is invalid
+ */
+function prepareRecording(samples) {
+    validateArray(samples, 'samples', 1);
+    samples.forEach(sample => validateCoordinates(sample.latitude, sample.longitude));
+    return [...samples].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Provider factories by config `type`
+ */
+const PROVIDER_FACTORIES = {
+    'open-notify': createOpenNotifyProvider,
+    'wheretheiss': createWhereTheISSProvider,
+    'tle': createTLEProvider,
+    'replay': createReplayProvider
+};
+
+/**
+ * Create a provider from a config entry
+ * @param {Object} config - Entry from API.ISS_PROVIDERS, e.g. {type: 'wheretheiss', url: '...'}
+ * @param {Object} context - Shared dependencies merged into the config (e.g. {propagate})
+ * @returns {Object} Provider
+ * @throws {ValidationError} If the type is unknown
+ */
+export function createProvider(config, context = {}) {
+    const factory = PROVIDER_FACTORIES[config.type];
+    if (!factory) {
+        throw new ValidationError(
+            `Unknown ISS provider type: ${config.type}`,
+            'type',
+            Object.keys(PROVIDER_FACTORIES).join(', '),
+            config.type
+        );
+    }
+    return factory({ ...context, ...config });
+}
+
+/**
+ * List the provider types that createProvider() understands
+ * @returns {Array<string>} Provider types
+ */
+export function getProviderTypes() {
+    return Object.keys(PROVIDER_FACTORIES);
+}
+
+export default {
+    fetchJSON,
+    createOpenNotifyProvider,
+    createWhereTheISSProvider,
+    createTLEProvider,
+    createReplayProvider,
+    createProvider,
+    getProviderTypes
+};
@@ -0,0 +1,275 @@
+/**
+ * Lunar Ephemeris Module
+ * Geocentric position, distance and phase of the Moon from the truncated ELP-2000/82
+ * series in Meeus, "Astronomical Algorithms" (2nd ed.), chapters 47 and 48.
+ *
+ * The longitude and distance tables are complete; the latitude table keeps the 30 largest
+ * terms. Accuracy is about 10" in longitude and 4" in latitude - far below what the scene
+ * can show. Dates are treated as Terrestrial Time (ΔT, about a minute, moves the Moon ~30").
+ *
+ * @module lunar
+ */
+
+import { DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { getSunPosition } from './solar.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Mean distance of the Moon used by the series (km)
+ */
+const MEAN_DISTANCE = 385000.56;
+
+/**
+ * Mean synodic month (days)
+ */
+export const SYNODIC_MONTH = 29.530588853;
+
+/**
+ * General precession in longitude (degrees per Julian century)
+ * Used to refer longitudes of date to the J2000 ecliptic of the planets.
+ */
+const PRECESSION_PER_CENTURY = 1.3969713;
+
+/**
+ * Periodic terms for longitude (1e-6°) and distance (1e-3 km) - Meeus table 47.A
+ * Columns: D, M, M', F, Σl, Σr
+ */
+const LONGITUDE_DISTANCE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+/**
+ * Largest periodic terms for latitude (1e-6°) - Meeus table 47.B
+ * Columns: D, M, M', F, Σb
+ */
+const LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833]
+];
+
+/**
+ * Phase names by elongation, each covering 45° centred on its angle
+ */
+const PHASE_NAMES = [
+    'New Moon',
+    'Waxing Crescent',
+    'First Quarter',
+    'Waxing Gibbous',
+    'Full Moon',
+    'Waning Gibbous',
+    'Last Quarter',
+    'Waning Crescent'
+];
+
+/**
+ * Reduce an angle to [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+function normalizeDegrees(degrees) {
+    const result = degrees % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Julian centuries since J2000.0
+ * @param {Date} date - Date
+ * @returns {number} Centuries
+ */
+function centuriesSinceJ2000(date) {
+    return (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+}
+
+/**
+ * Compute the geocentric position of the Moon
+ * @param {Date} date - Date (treated as TT)
+ * @returns {Object} { eclipticLongitude, eclipticLatitude (degrees, mean equinox of date),
+ *   distance (km), ecliptic: {x, y, z} km referred to the J2000 ecliptic and equinox }
+ * @throws {ValidationError} If date is invalid
+ */
+export function getMoonPosition(date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError('date must be a valid Date', 'date', 'Date', date);
+    }
+    const T = centuriesSinceJ2000(date);
+
+    // Fundamental arguments (Meeus 47.1-47.6), degrees
+    const meanLongitude = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841 - T ** 4 / 65194000;
+    const elongation = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868 - T ** 4 / 113065000;
+    const sunAnomaly = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T ** 3 / 24490000;
+    const moonAnomaly = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699 - T ** 4 / 14712000;
+    const latitudeArgument = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000 + T ** 4 / 863310000;
+    const a1 = 119.75 + 131.849 * T;
+    const a2 = 53.09 + 479264.290 * T;
+    const a3 = 313.45 + 481266.484 * T;
+    // Eccentricity of Earth's orbit shrinks the terms with the Sun's anomaly
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+    const argument = (d, m, mp, f) => (d * elongation + m * sunAnomaly + mp * moonAnomaly + f * latitudeArgument) * DEG_TO_RAD;
+    const eccentricityFactor = (m) => (m === 0 ? 1 : Math.abs(m) === 1 ? E : E * E);
+
+    let sumLongitude = 0;
+    let sumDistance = 0;
+    LONGITUDE_DISTANCE_TERMS.forEach(([d, m, mp, f, l, r]) => {
+        const angle = argument(d, m, mp, f);
+        const factor = eccentricityFactor(m);
+        sumLongitude += l * factor * Math.sin(angle);
+        sumDistance += r * factor * Math.cos(angle);
+    });
+
+    let sumLatitude = 0;
+    LATITUDE_TERMS.forEach(([d, m, mp, f, b]) => {
+        sumLatitude += b * eccentricityFactor(m) * Math.sin(argument(d, m, mp, f));
+    });
+
+    // Venus, Jupiter and Earth's flattening
+    sumLongitude += 3958 * Math.sin(a1 * DEG_TO_RAD)
+        + 1962 * Math.sin((meanLongitude - latitudeArgument) * DEG_TO_RAD)
+        + 318 * Math.sin(a2 * DEG_TO_RAD);
+    sumLatitude += -2235 * Math.sin(meanLongitude * DEG_TO_RAD)
+        + 382 * Math.sin(a3 * DEG_TO_RAD)
+        + 175 * Math.sin((a1 - latitudeArgument) * DEG_TO_RAD)
+        + 175 * Math.sin((a1 + latitudeArgument) * DEG_TO_RAD)
+        + 127 * Math.sin((meanLongitude - moonAnomaly) * DEG_TO_RAD)
+        - 115 * Math.sin((meanLongitude + moonAnomaly) * DEG_TO_RAD);
+
+    const eclipticLongitude = normalizeDegrees(meanLongitude + sumLongitude / 1e6);
+    const eclipticLatitude = sumLatitude / 1e6;
+    const distance = MEAN_DISTANCE + sumDistance / 1000;
+
+    // Refer to the J2000 ecliptic used for the planets (precession in longitude only)
+    const longitudeJ2000 = (eclipticLongitude - PRECESSION_PER_CENTURY * T) * DEG_TO_RAD;
+    const latitude = eclipticLatitude * DEG_TO_RAD;
+
+    return {
+        eclipticLongitude,
+        eclipticLatitude,
+        distance,
+        ecliptic: {
+            x: distance * Math.cos(latitude) * Math.cos(longitudeJ2000),
+            y: distance * Math.cos(latitude) * Math.sin(longitudeJ2000),
+            z: distance * Math.sin(latitude)
+        }
+    };
+}
+
+/**
+ * Compute the phase of the Moon as seen from Earth
+ * @param {Date} date - Date (UTC)
+ * @returns {Object} { phaseAngle (degrees, Sun-Moon-Earth), illumination (0-1 fraction lit),
+ *   elongation (degrees, 0-360 east of the Sun), isWaxing, phaseName, age (days since new moon, mean) }
+ * @throws {ValidationError} If date is invalid
+ */
+export function getMoonPhase(date) {
+    const moon = getMoonPosition(date);
+    const sun = getSunPosition(date);
+
+    const elongation = normalizeDegrees(moon.eclipticLongitude - sun.eclipticLongitude);
+    const latitude = moon.eclipticLatitude * DEG_TO_RAD;
+
+    // Geocentric Sun-Moon angle and phase angle (Meeus 48.2-48.3)
+    const psi = Math.acos(Math.cos(latitude) * Math.cos(elongation * DEG_TO_RAD));
+    const phaseAngle = Math.atan2(sun.distance * Math.sin(psi), moon.distance - sun.distance * Math.cos(psi));
+
+    return {
+        phaseAngle: phaseAngle * RAD_TO_DEG,
+        illumination: (1 + Math.cos(phaseAngle)) / 2,
+        elongation,
+        isWaxing: elongation < 180,
+        phaseName: PHASE_NAMES[Math.floor(normalizeDegrees(elongation + 22.5) / 45) % PHASE_NAMES.length],
+        age: (elongation / 360) * SYNODIC_MONTH
+    };
+}
+
+export default {
+    getMoonPosition,
+    getMoonPhase,
+    SYNODIC_MONTH
+};
@@ -0,0 +1,383 @@
+/**
+ * Notification Engine Module
+ * Turns successive snapshots of the ISS's state into event notifications: an upcoming
+ * pass over the observer, entering Earth's shadow, crossing the equator, an orbit
+ * reboost and the live data source going offline. Each kind of event is a rule that
+ * can be switched on or off (and tuned) and is saved to localStorage.
+ *
+ * The engine has no timers of its own - evaluate() is called with a snapshot and
+ * compares it with the previous one - and reads real time from an injectable clock,
+ * so it can be driven by a simulated clock in tests.
+ *
+ * @module notifications
+ */
+
+import { validateNumber, validateRange, ValidationError } from './validation.js';
+
+/**
+ * localStorage key for the saved rules
+ */
+const STORAGE_KEY = 'notificationRules';
+
+/**
+ * Default rules by event type
+ * pass.leadMinutes: how long before the ISS rises to give warning
+ * reboost.minAltitudeGain: rise in mean altitude between two TLEs that counts as a reboost (km)
+ */
+export const DEFAULT_RULES = {
+    pass: { enabled: true, leadMinutes: 10 },
+    eclipse: { enabled: false },
+    equator: { enabled: false },
+    reboost: { enabled: true, minAltitudeGain: 0.5 },
+    offline: { enabled: false }
+};
+
+/**
+ * Allowed range of each numeric rule setting [min, max]
+ */
+const SETTING_RANGES = {
+    leadMinutes: [1, 120],
+    minAltitudeGain: [0.1, 20]
+};
+
+/**
+ * Minimum real time between two notifications of the same type (ms)
+ * Stops fast-forwarded time from flooding the screen with equator or eclipse alerts.
+ */
+const DEFAULT_COOLDOWN_MS = 60000;
+
+/**
+ * Largest simulation-time step between snapshots still treated as continuous motion (ms)
+ * Crossings are not reported across bigger steps (time jumps, scrubbing).
+ */
+const MAX_CONTINUOUS_STEP_MS = 10 * 60000;
+
+/**
+ * Format a date as UTC "HH:MM"
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time
+ */
+function formatTime(date) {
+    return `${date.toISOString().slice(11, 16)} UTC`;
+}
+
+/**
+ * Event notification engine
+ * Snapshot: {time (Date, simulation time), latitude (deg), eclipseState ('sunlit', 'penumbra' or 'umbra'),
+ *   nextPass ({rise: {time}, maxElevation} from predictPasses()), locationName, isOnline,
+ *   tleEpoch (Date), meanAltitude (km)} - any field may be missing or null.
+ * Notification: {type, title, message, time (simulation Date)}
+ */
+class NotificationEngine {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.clock - () => current real time in ms (default: Date.now)
+     * @param {number} options.cooldownMs - Minimum real time between notifications of one type (default: 60000)
+     */
+    constructor({ clock = () => Date.now(), cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+        this.clock = clock;
+        this.cooldownMs = cooldownMs;
+        this.rules = {};
+        this.previous = null; // Last evaluated snapshot
+        this.lastFired = new Map(); // type -> real time of the last notification
+        this.notifiedPassTime = null; // Rise time (ms) of the pass already announced
+        this.notifyCallbacks = [];
+        this.changeCallbacks = [];
+        this.load();
+    }
+
+    /**
+     * Load the saved rules from localStorage on top of the defaults (ignored if corrupt)
+     */
+    load() {
+        this.rules = copyRules(DEFAULT_RULES);
+
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                Object.keys(this.rules).forEach(type => {
+                    if (parsed[type]) this.applyRule(type, parsed[type]);
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved notification rules:', error.message);
+            this.rules = copyRules(DEFAULT_RULES);
+        }
+    }
+
+    /**
+     * Save the rules to localStorage
+     * @private
+     */
+    save() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save notification rules:', error.message);
+        }
+    }
+
+    /**
+     * Validate and merge rule changes
+     * @param {string} type - Event type
+     * @param {Object} changes - {enabled, leadMinutes, minAltitudeGain}
+     * @throws {ValidationError} If the type or a setting is invalid
+     * @private
+     */
+    applyRule(type, changes) {
+        const rule = this.rules[type];
+        if (!rule) {
+            throw new ValidationError(`Unknown notification type: ${type}`, 'type', Object.keys(this.rules).join(', '), type);
+        }
+
+        const updated = { ...rule };
+        Object.entries(changes).forEach(([key, value]) => {
+            if (!(key in rule)) return;
+            if (key === 'enabled') {
+                if (typeof value !== 'boolean') {
+                    throw new ValidationError('enabled must be a boolean', 'enabled', 'boolean', value);
+                }
+            } else {
+                validateNumber(value, key);
+                validateRange(value, SETTING_RANGES[key][0], SETTING_RANGES[key][1], key);
+            }
+            updated[key] = value;
+        });
+        this.rules[type] = updated;
+    }
+
+    /**
+     * Change a rule
+     * @param {string} type - 'pass', 'eclipse', 'equator', 'reboost' or 'offline'
+     * @param {Object} changes - Settings to change, e.g. {enabled: true} or {leadMinutes: 15}
+     * @returns {Object} The updated rule
+     * @throws {ValidationError} If the type or a setting is invalid
+     */
+    setRule(type, changes) {
+        this.applyRule(type, changes);
+        this.save();
+        console.log(`🔔 Notification rule ${type}: ${JSON.stringify(this.rules[type])}`);
+        this.notifyChange();
+        return { ...this.rules[type] };
+    }
+
+    /**
+     * Get a rule
+     * @param {string} type - Event type
+     * @returns {Object|null} Copy of the rule or null
+     */
+    getRule(type) {
+        return this.rules[type] ? { ...this.rules[type] } : null;
+    }
+
+    /**
+     * Get every rule
+     * @returns {Object} Copy of the rules by type
+     */
+    getRules() {
+        return copyRules(this.rules);
+    }
+
+    /**
+     * Go back to the default rules, forgetting any changes
+     */
+    resetRules() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not clear saved notification rules:', error.message);
+        }
+
+        this.load();
+        this.notifyChange();
+    }
+
+    /**
+     * Forget the previous snapshot (call after a time jump so nothing is reported across it)
+     */
+    resetState() {
+        this.previous = null;
+        this.notifiedPassTime = null;
+    }
+
+    /**
+     * Compare a snapshot with the previous one and fire notifications for new events
+     * @param {Object} snapshot - Current ISS state (see class docs)
+     * @returns {Array<Object>} Notifications fired by this snapshot
+     */
+    evaluate(snapshot) {
+        const previous = this.previous;
+        this.previous = snapshot;
+
+        const candidates = [];
+        const time = snapshot.time;
+        const step = previous?.time && time ? time.getTime() - previous.time.getTime() : NaN;
+        const isContinuous = step > 0 && step <= MAX_CONTINUOUS_STEP_MS;
+
+        // Upcoming pass: once per pass, when the rise is within the lead time
+        const riseTime = snapshot.nextPass?.rise?.time;
+        if (riseTime && time) {
+            const minutesToRise = (riseTime.getTime() - time.getTime()) / 60000;
+            if (minutesToRise >= 0 && minutesToRise <= this.rules.pass.leadMinutes && riseTime.getTime() !== this.notifiedPassTime) {
+                this.notifiedPassTime = riseTime.getTime();
+                const where = snapshot.locationName ? ` over ${snapshot.locationName}` : '';
+                candidates.push({
+                    type: 'pass',
+                    title: `ISS rising in ${Math.max(1, Math.round(minutesToRise))} min`,
+                    message: `The ISS rises${where} at ${formatTime(riseTime)}, reaching ${Math.round(snapshot.nextPass.maxElevation)}° elevation.`
+                });
+            }
+        }
+
+        if (previous && isContinuous) {
+            // Eclipse entry: into the umbra from sunlight or penumbra
+            if (snapshot.eclipseState === 'umbra' && previous.eclipseState && previous.eclipseState !== 'umbra') {
+                candidates.push({
+                    type: 'eclipse',
+                    title: 'ISS entering eclipse',
+                    message: `The ISS passed into Earth's shadow at ${formatTime(time)}.`
+                });
+            }
+
+            // Equator crossing: the sub-satellite latitude changed sign
+            if (Number.isFinite(snapshot.latitude) && Number.isFinite(previous.latitude) &&
+                Math.sign(snapshot.latitude) !== Math.sign(previous.latitude) && previous.latitude !== 0) {
+                const direction = snapshot.latitude > previous.latitude ? 'northbound' : 'southbound';
+                candidates.push({
+                    type: 'equator',
+                    title: 'ISS crossing the equator',
+                    message: `The ISS crossed the equator ${direction} at ${formatTime(time)}.`
+                });
+            }
+        }
+
+        if (previous) {
+            // Reboost: a newer TLE with a higher mean altitude
+            const epochChanged = snapshot.tleEpoch && previous.tleEpoch && snapshot.tleEpoch.getTime() > previous.tleEpoch.getTime();
+            const gain = snapshot.meanAltitude - previous.meanAltitude;
+            if (epochChanged && gain >= this.rules.reboost.minAltitudeGain) {
+                candidates.push({
+                    type: 'reboost',
+                    title: 'ISS reboost detected',
+                    message: `The latest orbit data puts the ISS ${gain.toFixed(1)} km higher (mean altitude ${snapshot.meanAltitude.toFixed(1)} km).`
+                });
+            }
+
+            // Data source offline
+            if (previous.isOnline === true && snapshot.isOnline === false) {
+                candidates.push({
+                    type: 'offline',
+                    title: 'ISS data source offline',
+                    message: 'Live ISS data is unavailable. Showing the position predicted from the orbit data.'
+                });
+            }
+        }
+
+        const now = this.clock();
+        const fired = candidates
+            .filter(candidate => this.rules[candidate.type].enabled)
+            .filter(candidate => {
+                const last = this.lastFired.get(candidate.type);
+                return last === undefined || now - last >= this.cooldownMs;
+            })
+            .map(candidate => ({ ...candidate, time }));
+
+        fired.forEach(notification => {
+            this.lastFired.set(notification.type, now);
+            this.notify(notification);
+        });
+        return fired;
+    }
+
+    /**
+     * Register a callback for fired notifications
+     * @param {Function} callback - Called with the notification
+     */
+    onNotify(callback) {
+        if (typeof callback === 'function') {
+            this.notifyCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a notification callback
+     * @param {Function} callback - Callback to remove
+     */
+    offNotify(callback) {
+        const index = this.notifyCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.notifyCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Register a callback for rule changes
+     * @param {Function} callback - Called with the engine
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a rule change callback
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        const index = this.changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Pass a notification to listeners
+     * @param {Object} notification - Fired notification
+     * @private
+     */
+    notify(notification) {
+        this.notifyCallbacks.forEach(callback => {
+            try {
+                callback(notification);
+            } catch (error) {
+                console.error('Error in notification callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Notify listeners of a rule change
+     * @private
+     */
+    notifyChange() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in notification rule callback:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Copy a rules object one level deep
+ * @param {Object} rules - Rules by type
+ * @returns {Object} Copy
+ */
+function copyRules(rules) {
+    return Object.fromEntries(Object.entries(rules).map(([type, rule]) => [type, { ...rule }]));
+}
+
+// Create singleton instance
+const notificationEngine = new NotificationEngine();
+
+// Export singleton and class
+export { notificationEngine, NotificationEngine };
+export default notificationEngine;
@@ -0,0 +1,181 @@
+/**
+ * Observer Location Module
+ * Stores the user's ground location (entered manually or from browser geolocation)
+ * for pass predictions and other observer-centric features
+ */
+
+import { validateCoordinates, validateNumber, ValidationError } from './validation.js';
+
+/**
+ * localStorage key for the saved location
+ */
+const STORAGE_KEY = 'observerLocation';
+
+/**
+ * Observer location manager
+ * Holds a single location {latitude, longitude, elevation} and notifies listeners on change
+ */
+class ObserverLocation {
+    constructor() {
+        this.location = null; // {latitude, longitude, elevation (m), name, source}
+        this.changeCallbacks = [];
+        this.load();
+    }
+
+    /**
+     * Load the saved location from localStorage (ignored if missing or corrupt)
+     */
+    load() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                validateCoordinates(parsed.latitude, parsed.longitude);
+                this.location = {
+                    latitude: parsed.latitude,
+                    longitude: parsed.longitude,
+                    elevation: Number(parsed.elevation) || 0,
+                    name: parsed.name || '',
+                    source: parsed.source || 'manual'
+                };
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved observer location:', error.message);
+            this.location = null;
+        }
+    }
+
+    /**
+     * Set the observer location
+     * @param {Object} location - Location to use
+     * @param {number} location.latitude - Latitude in degrees (-90 to 90)
+     * @param {number} location.longitude - Longitude in degrees (-180 to 180)
+     * @param {number} location.elevation - Height above sea level in meters (default: 0)
+     * @param {string} location.name - Optional display name
+     * @param {string} location.source - 'manual', 'geolocation' or 'map' (default: 'manual')
+     * @returns {Object} The stored location
+     * @throws {ValidationError} If coordinates are invalid
+     */
+    setLocation({ latitude, longitude, elevation = 0, name = '', source = 'manual' }) {
+        validateCoordinates(latitude, longitude);
+        validateNumber(elevation, 'elevation');
+
+        this.location = { latitude, longitude, elevation, name, source };
+
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.location));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save observer location:', error.message);
+        }
+
+        console.log(`📍 Observer location set: ${latitude.toFixed(4)}, ${longitude.toFixed(4)} (${elevation} m, ${source})`);
+        this.notifyCallbacks();
+        return this.location;
+    }
+
+    /**
+     * Get the current observer location
+     * @returns {Object|null} {latitude, longitude, elevation, name, source} or null if unset
+     */
+    getLocation() {
+        return this.location;
+    }
+
+    /**
+     * Check whether a location has been set
+     * @returns {boolean} True if a location is available
+     */
+    hasLocation() {
+        return !!this.location;
+    }
+
+    /**
+     * Forget the stored location
+     */
+    clearLocation() {
+        this.location = null;
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            // Storage unavailable - nothing to clear
+        }
+        this.notifyCallbacks();
+    }
+
+    /**
+     * Ask the browser for the user's position and store it
+     * @param {number} timeout - Geolocation timeout in milliseconds (default: 10000)
+     * @returns {Promise<Object>} The stored location
+     */
+    requestGeolocation(timeout = 10000) {
+        return new Promise((resolve, reject) => {
+            if (typeof navigator === 'undefined' || !navigator.geolocation) {
+                reject(new ValidationError('Geolocation is not supported by this browser', 'navigator.geolocation', 'Geolocation API', undefined));
+                return;
+            }
+
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    try {
+                        resolve(this.setLocation({
+                            latitude: position.coords.latitude,
+                            longitude: position.coords.longitude,
+                            elevation: position.coords.altitude ?? 0,
+                            source: 'geolocation'
+                        }));
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                (error) => reject(new Error(`Geolocation failed: ${error.message}`)),
+                { enableHighAccuracy: false, timeout, maximumAge: 600000 }
+            );
+        });
+    }
+
+    /**
+     * Register a callback for location changes
+     * @param {Function} callback - Called with the new location (or null)
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a location change callback
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        const index = this.changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a location change
+     * @private
+     */
+    notifyCallbacks() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this.location);
+            } catch (error) {
+                console.error('Error in observer location callback:', error);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const observer = new ObserverLocation();
+
+// Export singleton and class
+export { observer, ObserverLocation };
+export default observer;
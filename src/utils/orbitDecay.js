@@ -0,0 +1,141 @@
+/**
+ * Orbit Decay Module
+ * Orbit size and decay from TLE mean elements and recorded altitudes: apogee and
+ * perigee from the mean motion and eccentricity, the decay rate implied by the
+ * TLE's first derivative of mean motion, and the trend of recorded altitudes.
+ *
+ * Altitudes here are above Earth's equatorial radius (WGS-84). The geodetic altitude
+ * reported along the track also swings with Earth's flattening (about 20 km lower
+ * over the equator than near the poles for the same orbit radius).
+ *
+ * @module orbitDecay
+ */
+
+import { ISS_ORBITAL_PERIOD, WGS84 } from './constants.js';
+import { semiMajorAxisFromMeanMotion } from './groundTrack.js';
+import { validateArray, validateNumber, validatePositive, validateRange } from './validation.js';
+
+/**
+ * Shortest span of samples a trend is fitted over (hours)
+ * Over shorter spans the decay is too small to separate from the altitude swing within each orbit.
+ */
+const DEFAULT_MIN_TREND_HOURS = 12;
+
+/**
+ * Mean, apogee and perigee altitudes of an orbit
+ * @param {number} meanMotionRevPerDay - Mean motion in revolutions per day
+ * @param {number} eccentricity - Orbit eccentricity (default: 0)
+ * @returns {Object} {semiMajorAxis, meanAltitude, apogeeAltitude, perigeeAltitude} in km
+ */
+export function computeOrbitShape(meanMotionRevPerDay, eccentricity = 0) {
+    validateRange(eccentricity, 0, 0.99, 'eccentricity');
+    const semiMajorAxis = semiMajorAxisFromMeanMotion(meanMotionRevPerDay);
+
+    return {
+        semiMajorAxis,
+        meanAltitude: semiMajorAxis - WGS84.RADIUS,
+        apogeeAltitude: semiMajorAxis * (1 + eccentricity) - WGS84.RADIUS,
+        perigeeAltitude: semiMajorAxis * (1 - eccentricity) - WGS84.RADIUS
+    };
+}
+
+/**
+ * Rate of change of the semi-major axis implied by a TLE's drag term
+ * Differentiating Kepler's third law (a ∝ n^(-2/3)) gives da/dt = -(2/3) a ṅ / n.
+ * @param {number} meanMotionRevPerDay - Mean motion in revolutions per day
+ * @param {number} meanMotionDot - TLE line 1 first-derivative field, ṅ/2 (rev/day²)
+ * @returns {number} km per day (negative while the orbit is decaying)
+ */
+export function decayRateFromMeanMotionDot(meanMotionRevPerDay, meanMotionDot) {
+    validateNumber(meanMotionDot, 'meanMotionDot');
+    const semiMajorAxis = semiMajorAxisFromMeanMotion(meanMotionRevPerDay);
+    return -(2 / 3) * semiMajorAxis * (2 * meanMotionDot) / meanMotionRevPerDay;
+}
+
+/**
+ * Solve a small linear system by Gaussian elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix (modified)
+ * @param {Array<number>} vector - Right-hand side (modified)
+ * @returns {Array<number>|null} Solution, or null if the matrix is singular
+ */
+function solveLinearSystem(matrix, vector) {
+    const size = vector.length;
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+
+        for (let row = col + 1; row < size; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k < size; k++) matrix[row][k] -= factor * matrix[col][k];
+            vector[row] -= factor * vector[col];
+        }
+    }
+
+    const solution = new Array(size).fill(0);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = vector[row];
+        for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * solution[k];
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Fit the long-term altitude trend to samples
+ * The altitude swings by several km within each orbit (eccentricity once per orbit, Earth's
+ * flattening twice), which would swamp a straight-line fit over a few days. The fit is a line
+ * plus sine waves at the orbital period and half of it, by linear least squares.
+ * Samples without an altitude are skipped.
+ * @param {Array<Object>} samples - Samples {timestamp (ms), altitude (km)}
+ * @param {Object} options - Options
+ * @param {number} options.periodMinutes - Orbital period (default: ISS_ORBITAL_PERIOD)
+ * @param {number} options.minSpanHours - Shortest span to fit over (default: 12)
+ * @returns {Object|null} {rateKmPerDay, meanAltitude, spanHours, count}, or null with too few samples or too short a span
+ */
+export function fitAltitudeTrend(samples, { periodMinutes = ISS_ORBITAL_PERIOD, minSpanHours = DEFAULT_MIN_TREND_HOURS } = {}) {
+    validateArray(samples, 'samples');
+    validatePositive(periodMinutes, 'periodMinutes');
+
+    const points = samples.filter(sample => Number.isFinite(sample.altitude) && Number.isFinite(sample.timestamp));
+    if (points.length < 6) return null;
+
+    const times = points.map(point => point.timestamp);
+    const t0 = Math.min(...times);
+    const spanHours = (Math.max(...times) - t0) / 3600000;
+    if (spanHours < minSpanHours) return null;
+
+    // Basis: 1, t (days), and sin/cos at the orbital frequency and twice it
+    const omega = (2 * Math.PI * 1440) / periodMinutes; // rad/day
+    const basis = (days) => [1, days, Math.sin(omega * days), Math.cos(omega * days), Math.sin(2 * omega * days), Math.cos(2 * omega * days)];
+    const normal = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    const rhs = new Array(6).fill(0);
+    points.forEach(point => {
+        const row = basis((point.timestamp - t0) / 86400000);
+        for (let i = 0; i < 6; i++) {
+            rhs[i] += row[i] * point.altitude;
+            for (let j = 0; j < 6; j++) normal[i][j] += row[i] * row[j];
+        }
+    });
+
+    const coefficients = solveLinearSystem(normal, rhs);
+    if (!coefficients) return null;
+
+    const midDays = spanHours / 48;
+    return {
+        rateKmPerDay: coefficients[1],
+        meanAltitude: coefficients[0] + coefficients[1] * midDays,
+        spanHours,
+        count: points.length
+    };
+}
+
+export default {
+    computeOrbitShape,
+    decayRateFromMeanMotionDot,
+    fitAltitudeTrend
+};
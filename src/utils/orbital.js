@@ -3,7 +3,8 @@
  * Kepler orbital calculations for planetary motion
  */
 
-import { TWO_PI, daysToMs, auToScene, kmToScene, SCALE, getPlanetSizeMode } from './constants.js';
+import { TWO_PI, daysToMs, auToScene, kmToScene, SCALE, getPlanetSizeMode, J2000_EPOCH_MS } from './constants.js';
+import { getMoonPosition } from './lunar.js';
 import {
     validateNumber,
     validatePositive,
@@ -68,48 +69,46 @@ export function calculatePlanetPosition(simulationTime, planetData, startAngle =
 }
 
 /**
- * Calculate Moon's position relative to Earth
- * @param {number} simulationTime - Current simulation time in milliseconds
- * @param {{x: number, y: number, z: number}} earthPosition - Earth's current position {x, y, z}
- * @param {{orbitRadius: number, orbitPeriod: number}} moonData - Moon data with orbitRadius (km) and orbitPeriod (days)
- * @param {number} startAngle - Starting angle offset in radians (default 0)
- * @returns {{x: number, y: number, z: number}} Position {x, y, z}
- * @throws {ValidationError} If parameters are invalid
+ * Convert an Earth-Moon distance to scene units for the current planet size mode
+ * @param {number} distanceKm - Distance from Earth in km
+ * @returns {number} Distance in scene units
  */
-export function calculateMoonPosition(simulationTime, earthPosition, moonData, startAngle = 0) {
-    // Validate inputs
-    validateNumber(simulationTime, 'simulationTime');
-    validatePosition3D(earthPosition);
-    validateObject(moonData, ['orbitRadius', 'orbitPeriod'], 'moonData');
-    validatePositive(moonData.orbitRadius, 'moonData.orbitRadius');
-    validatePositive(moonData.orbitPeriod, 'moonData.orbitPeriod');
-    validateNumber(startAngle, 'startAngle');
-    // Moon orbit distance depends on planet size mode
-    const planetSizeMode = getPlanetSizeMode();
-    let orbitRadiusScene;
-
-    if (planetSizeMode === 'real') {
+export function moonDistanceToScene(distanceKm) {
+    if (getPlanetSizeMode() === 'real') {
         // Real mode: Apply SAME 100x scale as planets for accurate proportions
         // Moon: 384,400 km from Earth, Earth radius: 6,371 km
         // Ratio: 60.3x Earth radius (must be maintained!)
         // Earth radius in real mode = kmToScene(6371 * 100) = 2.13 units
         // Moon orbit in real mode = kmToScene(384400 * 100) = 128.5 units
         // Ratio: 128.5 / 2.13 = 60.3x ✓ ACCURATE!
-        orbitRadiusScene = kmToScene(moonData.orbitRadius * 100);
-    } else {
-        // Enlarged mode: Apply MOON_ORBIT_SCALE to make Moon visible outside Earth's scaled-up surface
-        // Without this, Moon would be inside Earth since planets are scaled 1500x but orbit distance is real km
-        orbitRadiusScene = kmToScene(moonData.orbitRadius) * SCALE.MOON_ORBIT_SCALE;
+        return kmToScene(distanceKm * 100);
     }
+    // Enlarged mode: Apply MOON_ORBIT_SCALE to make Moon visible outside Earth's scaled-up surface
+    // Without this, Moon would be inside Earth since planets are scaled 1500x but orbit distance is real km
+    return kmToScene(distanceKm) * SCALE.MOON_ORBIT_SCALE;
+}
 
-    const periodMs = daysToMs(moonData.orbitPeriod);
-    const angle = startAngle + (simulationTime / periodMs) * TWO_PI;
+/**
+ * Calculate Moon's position relative to Earth from the lunar ephemeris (see lunar.js)
+ * The geocentric ecliptic position maps to the scene the same way as the planets' heliocentric
+ * positions, so the Sun-Earth-Moon geometry (and with it the lit phase) matches the date.
+ * @param {number} simulationTime - Current simulation time in milliseconds since J2000
+ * @param {{x: number, y: number, z: number}} earthPosition - Earth's current position {x, y, z}
+ * @returns {{x: number, y: number, z: number}} Position {x, y, z}
+ * @throws {ValidationError} If parameters are invalid
+ */
+export function calculateMoonPosition(simulationTime, earthPosition) {
+    // Validate inputs
+    validateNumber(simulationTime, 'simulationTime');
+    validatePosition3D(earthPosition);
+
+    const moon = getMoonPosition(new Date(J2000_EPOCH_MS + simulationTime));
+    const scale = moonDistanceToScene(moon.distance) / moon.distance;
 
-    // Calculate Moon's position relative to Earth
     return {
-        x: earthPosition.x + Math.cos(angle) * orbitRadiusScene,
-        y: earthPosition.y,
-        z: earthPosition.z + Math.sin(angle) * orbitRadiusScene
+        x: earthPosition.x + moon.ecliptic.x * scale,
+        y: earthPosition.y + moon.ecliptic.y * scale,
+        z: earthPosition.z + moon.ecliptic.z * scale
     };
 }
 
@@ -241,6 +240,7 @@ export function generatePlanetOrbitPath(orbitRadiusAU, segments = 128) {
 
 /**
  * Calculate time until next orbital event (e.g., reaching a certain angle)
+ * Assumes a circular orbit at constant speed; eventSearch.js solves for real event times
  * @param {number} currentAngle - Current orbital angle in radians
  * @param {number} targetAngle - Target angle in radians
  * @param {number} orbitPeriod - Orbital period in days
@@ -256,6 +256,7 @@ export function timeToOrbitalEvent(currentAngle, targetAngle, orbitPeriod) {
 
 /**
  * Check if two orbiting bodies are in conjunction (aligned on same side of sun)
+ * A threshold test only - for the moment of a conjunction use findConjunctions() in eventSearch.js
  * @param {number} angle1 - Orbital angle of first body in radians
  * @param {number} angle2 - Orbital angle of second body in radians
  * @param {number} threshold - Angular threshold in radians (default π/12 = 15°)
@@ -268,6 +269,7 @@ export function isConjunction(angle1, angle2, threshold = Math.PI / 12) {
 
 /**
  * Check if two orbiting bodies are in opposition (on opposite sides)
+ * A threshold test only - for the moment of an opposition use findOppositions() in eventSearch.js
  * @param {number} angle1 - Orbital angle of first body in radians
  * @param {number} angle2 - Orbital angle of second body in radians
  * @param {number} threshold - Angular threshold in radians (default π/12 = 15°)
@@ -284,6 +286,7 @@ export default {
     calculateOrbitalPosition,
     calculatePlanetPosition,
     calculateMoonPosition,
+    moonDistanceToScene,
     calculateOrbitalVelocity,
     calculateAngularVelocity,
     calculateOrbitalAngle,
@@ -0,0 +1,279 @@
+/**
+ * Pass Prediction Module
+ * Finds upcoming satellite passes over a ground observer: rise, culmination
+ * and set times, azimuths, maximum elevation, and naked-eye visibility
+ * (satellite sunlit while the observer is in darkness)
+ *
+ * @module passPredictor
+ */
+
+import { geographicToEcef, calculateDistance } from './coordinates.js';
+import { greenwichSiderealTime, dateToJulianDate, temeToEcef, ecefToGeodetic } from './sgp4.js';
+import { getSunPosition } from './solar.js';
+import { EARTH_RADIUS, DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { validateCoordinates, validateRange, isFunction, ValidationError } from './validation.js';
+
+/**
+ * Sun elevation below which the observer's sky is dark enough to see a satellite
+ * (civil twilight ends at -6°)
+ */
+const DARK_SKY_SUN_ELEVATION = -6;
+
+/**
+ * Default prediction options
+ */
+export const DEFAULT_PASS_OPTIONS = {
+    days: 3, // Search window length
+    minElevation: 10, // Ignore passes that never climb above this (degrees)
+    horizon: 0, // Elevation at which the satellite counts as risen or set (degrees)
+    stepSeconds: 60, // Coarse search step
+    maxPasses: 20
+};
+
+/**
+ * Compute azimuth, elevation and range from an observer to a target
+ * @param {Object} targetEcef - Target ECEF position {x, y, z} in km
+ * @param {Object} observer - Observer {latitude, longitude, elevation (m)}
+ * @returns {Object} { azimuth (deg, 0 = north, clockwise), elevation (deg), range (km) }
+ */
+export function computeLookAngles(targetEcef, observer) {
+    const observerEcef = geographicToEcef(observer.latitude, observer.longitude, (observer.elevation || 0) / 1000);
+    const dx = targetEcef.x - observerEcef.x;
+    const dy = targetEcef.y - observerEcef.y;
+    const dz = targetEcef.z - observerEcef.z;
+
+    const latRad = observer.latitude * DEG_TO_RAD;
+    const lonRad = observer.longitude * DEG_TO_RAD;
+    const sinLat = Math.sin(latRad);
+    const cosLat = Math.cos(latRad);
+    const sinLon = Math.sin(lonRad);
+    const cosLon = Math.cos(lonRad);
+
+    // Rotate into the local East-North-Up frame
+    const east = -sinLon * dx + cosLon * dy;
+    const north = -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz;
+    const up = cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz;
+
+    const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    let azimuth = Math.atan2(east, north) * RAD_TO_DEG;
+    if (azimuth < 0) azimuth += 360;
+
+    return {
+        azimuth,
+        elevation: Math.asin(Math.max(-1, Math.min(1, up / range))) * RAD_TO_DEG, // Clamped: straight overhead can round past 1
+        range
+    };
+}
+
+/**
+ * Check whether a satellite is in sunlight (cylindrical Earth-shadow model)
+ * @param {Object} satelliteEci - Satellite position {x, y, z} in km (Earth-centered inertial)
+ * @param {Object} sunEci - Sun position {x, y, z} in km (same frame)
+ * @returns {boolean} True if the satellite is sunlit
+ */
+export function isSatelliteSunlit(satelliteEci, sunEci) {
+    const sunDistance = Math.sqrt(sunEci.x ** 2 + sunEci.y ** 2 + sunEci.z ** 2);
+    const along = (satelliteEci.x * sunEci.x + satelliteEci.y * sunEci.y + satelliteEci.z * sunEci.z) / sunDistance;
+
+    // On the day side of Earth's terminator plane
+    if (along >= 0) return true;
+
+    const radiusSq = satelliteEci.x ** 2 + satelliteEci.y ** 2 + satelliteEci.z ** 2;
+    const perpendicular = Math.sqrt(Math.max(0, radiusSq - along * along));
+    return perpendicular > EARTH_RADIUS;
+}
+
+/**
+ * Evaluate the satellite's geometry relative to the observer at one instant
+ * @param {Function} propagateFn - (date: Date) => TEME position {x, y, z} km, or null
+ * @param {Object} observer - Observer location
+ * @param {number} time - Unix time in ms
+ * @returns {Object|null} { eci, ecef, gmst, azimuth, elevation, range } or null if propagation failed
+ */
+function observe(propagateFn, observer, time) {
+    const date = new Date(time);
+    const eci = propagateFn(date);
+    if (!eci) return null;
+
+    const gmst = greenwichSiderealTime(dateToJulianDate(date));
+    const ecef = temeToEcef(eci, gmst);
+    return { eci, ecef, gmst, ...computeLookAngles(ecef, observer) };
+}
+
+/**
+ * Refine a horizon crossing between two times by bisection
+ * @param {Function} elevationAt - (time) => elevation in degrees
+ * @param {number} t0 - Time before the crossing (ms)
+ * @param {number} t1 - Time after the crossing (ms)
+ * @param {number} horizon - Elevation of the crossing in degrees (default: 0)
+ * @returns {number} Crossing time in ms (to within ~0.1 s)
+ */
+function refineCrossing(elevationAt, t0, t1, horizon = 0) {
+    const rising = elevationAt(t0) < horizon;
+    let low = t0;
+    let high = t1;
+
+    while (high - low > 100) {
+        const mid = (low + high) / 2;
+        if ((elevationAt(mid) < horizon) === rising) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return (low + high) / 2;
+}
+
+/**
+ * Find the time of maximum elevation between rise and set (golden-section search)
+ * @param {Function} elevationAt - (time) => elevation in degrees
+ * @param {number} rise - Rise time (ms)
+ * @param {number} set - Set time (ms)
+ * @returns {number} Culmination time in ms
+ */
+function findCulmination(elevationAt, rise, set) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = rise;
+    let b = set;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+
+    while (b - a > 500) {
+        if (elevationAt(c) > elevationAt(d)) {
+            b = d;
+        } else {
+            a = c;
+        }
+        c = b - ratio * (b - a);
+        d = a + ratio * (b - a);
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Check whether the satellite can be seen with the naked eye at some point of a pass
+ * @param {Function} propagateFn - Propagation function
+ * @param {Object} observer - Observer location
+ * @param {number} rise - Rise time (ms)
+ * @param {number} set - Set time (ms)
+ * @returns {boolean} True if at some sample the satellite is sunlit and the observer's sky is dark
+ */
+function isPassVisible(propagateFn, observer, rise, set) {
+    const samples = 12;
+    for (let i = 0; i <= samples; i++) {
+        const time = rise + (set - rise) * (i / samples);
+        const state = observe(propagateFn, observer, time);
+        if (!state) continue;
+
+        const sun = getSunPosition(new Date(time));
+        const sunLook = computeLookAngles(temeToEcef(sun.eci, state.gmst), observer);
+
+        if (sunLook.elevation < DARK_SKY_SUN_ELEVATION && isSatelliteSunlit(state.eci, sun.eci)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Predict upcoming passes of a satellite over an observer
+ * Passes already in progress at startDate are included.
+ * @param {Function} propagateFn - (date: Date) => TEME position {x, y, z} in km, or null if unavailable
+ * @param {Object} observer - Observer {latitude, longitude, elevation (m)}
+ * @param {Date} startDate - Start of the search window
+ * @param {Object} options - Search options (see DEFAULT_PASS_OPTIONS)
+ * @returns {Array<Object>} Passes in time order:
+ *   { rise: {time, azimuth}, culmination: {time, azimuth, elevation, range, groundDistance},
+ *     set: {time, azimuth}, maxElevation, durationSeconds, isVisible }
+ */
+export function predictPasses(propagateFn, observer, startDate, options = {}) {
+    if (!isFunction(propagateFn)) {
+        throw new ValidationError('propagateFn must be a function', 'propagateFn', 'function', propagateFn);
+    }
+    validateCoordinates(observer.latitude, observer.longitude);
+
+    const { days, minElevation, horizon, stepSeconds, maxPasses } = { ...DEFAULT_PASS_OPTIONS, ...options };
+    validateRange(days, 0.01, 30, 'days');
+    validateRange(minElevation, 0, 90, 'minElevation');
+    validateRange(horizon, 0, 90, 'horizon');
+
+    const stepMs = stepSeconds * 1000;
+    const elevationAt = (time) => {
+        const state = observe(propagateFn, observer, time);
+        return state ? state.elevation : -90;
+    };
+
+    // Start a little early so a pass already under way gets a proper rise time
+    const searchStart = startDate.getTime() - 20 * 60000;
+    const searchEnd = startDate.getTime() + days * 86400000;
+    const passes = [];
+
+    let previousTime = searchStart;
+    let previousElevation = elevationAt(searchStart);
+    let riseTime = null;
+
+    for (let time = searchStart + stepMs; time <= searchEnd && passes.length < maxPasses; time += stepMs) {
+        const elevation = elevationAt(time);
+
+        if (previousElevation < horizon && elevation >= horizon) {
+            riseTime = refineCrossing(elevationAt, previousTime, time, horizon);
+        } else if (previousElevation >= horizon && elevation < horizon && riseTime !== null) {
+            const setTime = refineCrossing(elevationAt, previousTime, time, horizon);
+            const pass = buildPass(propagateFn, observer, riseTime, setTime, elevationAt);
+
+            if (pass.maxElevation >= minElevation && setTime >= startDate.getTime()) {
+                passes.push(pass);
+            }
+            riseTime = null;
+        }
+
+        previousTime = time;
+        previousElevation = elevation;
+    }
+
+    return passes;
+}
+
+/**
+ * Assemble the details of one pass
+ * @param {Function} propagateFn - Propagation function
+ * @param {Object} observer - Observer location
+ * @param {number} riseTime - Rise time (ms)
+ * @param {number} setTime - Set time (ms)
+ * @param {Function} elevationAt - Elevation function
+ * @returns {Object} Pass details
+ */
+function buildPass(propagateFn, observer, riseTime, setTime, elevationAt) {
+    const culminationTime = findCulmination(elevationAt, riseTime, setTime);
+    const rise = observe(propagateFn, observer, riseTime);
+    const culmination = observe(propagateFn, observer, culminationTime);
+    const set = observe(propagateFn, observer, setTime);
+
+    // Ground distance from the observer to the point under the satellite at culmination
+    const subPoint = ecefToGeodetic(culmination.ecef);
+    const groundDistance = calculateDistance(observer.latitude, observer.longitude, subPoint.latitude, subPoint.longitude);
+
+    return {
+        rise: { time: new Date(riseTime), azimuth: rise.azimuth },
+        culmination: {
+            time: new Date(culminationTime),
+            azimuth: culmination.azimuth,
+            elevation: culmination.elevation,
+            range: culmination.range,
+            groundDistance
+        },
+        set: { time: new Date(setTime), azimuth: set.azimuth },
+        maxElevation: culmination.elevation,
+        durationSeconds: (setTime - riseTime) / 1000,
+        isVisible: isPassVisible(propagateFn, observer, riseTime, setTime)
+    };
+}
+
+export default {
+    DEFAULT_PASS_OPTIONS,
+    computeLookAngles,
+    isSatelliteSunlit,
+    predictPasses
+};
@@ -0,0 +1,420 @@
+/**
+ * Planetary Moons Module
+ * Date-correct positions of Jupiter's Galilean moons and Saturn's major moons, and the
+ * transits, occultations, shadow transits and eclipses they make as seen from Earth.
+ *
+ * Galilean moons: the low-accuracy theory in Meeus, "Astronomical Algorithms" (2nd ed.),
+ * chapter 44 (a few hundredths of Jupiter's radius, event times to a few minutes).
+ * Saturnian moons: JPL mean orbital elements (epoch 2000 Jan 1.5) on fixed Kepler orbits
+ * (no precession) about Saturn's equator - good to a few degrees for Titan and Rhea; Iapetus's
+ * inclined orbit is only approximated. Moon centres are tested against the planet's
+ * flattened disk; the moons' own sizes and Saturn's rings are ignored.
+ *
+ * Positions are planetocentric in the J2000 ecliptic frame used for the planets
+ * (see orbitalElements.js), and in a frame turned toward Earth for drawing.
+ *
+ * @module planetaryMoons
+ */
+
+import { MAJOR_MOONS, DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { calculatePlanetPosition } from './orbitalElements.js';
+import { validateRange, ValidationError } from './validation.js';
+
+/**
+ * Light travel time for 1 AU (days)
+ */
+const LIGHT_DAYS_PER_AU = 0.0057755183;
+
+/**
+ * Obliquity of the ecliptic at J2000 (radians)
+ */
+const OBLIQUITY_J2000 = 23.4392911 * DEG_TO_RAD;
+
+/**
+ * Longest range searched for events (days)
+ */
+const MAX_EVENT_SEARCH_DAYS = 60;
+
+/**
+ * Planets with modelled moons: IAU north pole (J2000 RA/Dec, degrees), equatorial radius (km)
+ * and flattening
+ */
+const PLANET_FIGURES = {
+    jupiter: { poleRA: 268.057, poleDec: 64.495, equatorialRadius: 71492, flattening: 0.06487 },
+    saturn: { poleRA: 40.589, poleDec: 83.537, equatorialRadius: 60268, flattening: 0.09796 }
+};
+
+/**
+ * Galilean moons in Meeus's order: epoch argument u0 and rate (degrees, degrees/day) and mean
+ * distance (Jupiter radii)
+ */
+const GALILEAN_MOONS = {
+    io: { u0: 163.8069, rate: 203.4058646, radius: 5.9057 },
+    europa: { u0: 358.4140, rate: 101.2916335, radius: 9.3966 },
+    ganymede: { u0: 5.7176, rate: 50.2345180, radius: 14.9883 },
+    callisto: { u0: 224.8092, rate: 21.4879800, radius: 26.3627 }
+};
+
+/**
+ * Saturnian mean elements (JPL, epoch 2000 Jan 1.5): semi-major axis (km), eccentricity,
+ * inclination, node, longitude of periapsis and mean longitude at epoch (degrees), and mean
+ * motion (degrees/day). Angles are in Saturn's equator, from its ascending node on the ICRF
+ * equator. Iapetus's inclination and node are to Saturn's equator rather than its Laplace plane.
+ */
+const SATURNIAN_MOONS = {
+    titan: { a: 1221865, e: 0.0288, i: 0.306, node: 28.060, periapsis: 208.592, longitude: 11.902, meanMotion: 22.5769768 },
+    rhea: { a: 527068, e: 0.0002, i: 0.333, node: 351.042, periapsis: 232.661, longitude: 52.442, meanMotion: 79.6900478 },
+    iapetus: { a: 3560854, e: 0.0293, i: 15.47, node: 75.8, periapsis: 352.711, longitude: 194.500, meanMotion: 4.5379572 }
+};
+
+/**
+ * Event types, by whether the moon is seen from Earth or the Sun and which side of the planet it is on
+ */
+export const MOON_EVENT_TYPES = {
+    transit: 'Transit',
+    occultation: 'Occultation',
+    shadow: 'Shadow transit',
+    eclipse: 'Eclipse'
+};
+
+/**
+ * Vector helpers ({x, y, z})
+ */
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const add = (...vectors) => vectors.reduce((sum, v) => ({ x: sum.x + v.x, y: sum.y + v.y, z: sum.z + v.z }), { x: 0, y: 0, z: 0 });
+const normalize = (a) => scale(a, 1 / Math.sqrt(dot(a, a)));
+
+/**
+ * Unit vector in the J2000 ecliptic frame for a J2000 equatorial direction
+ * @param {number} ra - Right ascension (degrees)
+ * @param {number} dec - Declination (degrees)
+ * @returns {Object} {x, y, z}
+ */
+function equatorialToEcliptic(ra, dec) {
+    const x = Math.cos(dec * DEG_TO_RAD) * Math.cos(ra * DEG_TO_RAD);
+    const y = Math.cos(dec * DEG_TO_RAD) * Math.sin(ra * DEG_TO_RAD);
+    const z = Math.sin(dec * DEG_TO_RAD);
+    return {
+        x,
+        y: y * Math.cos(OBLIQUITY_J2000) + z * Math.sin(OBLIQUITY_J2000),
+        z: -y * Math.sin(OBLIQUITY_J2000) + z * Math.cos(OBLIQUITY_J2000)
+    };
+}
+
+/**
+ * Check that a planet has modelled moons
+ * @param {string} planetKey - Planet identifier
+ * @throws {ValidationError} If the planet's moons are not modelled
+ */
+function validatePlanet(planetKey) {
+    if (!PLANET_FIGURES[planetKey]) {
+        throw new ValidationError(`No moon theory for planet: ${planetKey}`, 'planetKey', 'jupiter|saturn', planetKey);
+    }
+}
+
+/**
+ * Check for a valid Date
+ * @param {Date} date - Value to check
+ * @param {string} paramName - Parameter name for the error
+ * @throws {ValidationError} If not a valid Date
+ */
+function validateDate(date, paramName) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError(`${paramName} must be a valid Date`, paramName, 'Date', date);
+    }
+}
+
+/**
+ * Planet-centred viewing geometry: directions to Earth and the Sun and the planet's pole
+ * @param {string} planetKey - Planet identifier
+ * @param {Date} date - Date
+ * @returns {Object} {pole, toEarth, toSun (unit vectors), distance (Earth-planet, AU)}
+ */
+function getViewingGeometry(planetKey, date) {
+    const figure = PLANET_FIGURES[planetKey];
+    const planet = calculatePlanetPosition(planetKey, date);
+    const earth = calculatePlanetPosition('earth', date);
+    const toEarth = add(earth, scale(planet, -1));
+    const distance = Math.sqrt(dot(toEarth, toEarth));
+
+    return {
+        pole: equatorialToEcliptic(figure.poleRA, figure.poleDec),
+        toEarth: scale(toEarth, 1 / distance),
+        toSun: normalize(scale(planet, -1)),
+        distance
+    };
+}
+
+/**
+ * Galilean moon offsets from Jupiter (Meeus chapter 44, low accuracy)
+ * Each moon's angle u is measured in Jupiter's equator from inferior conjunction (in front of
+ * Jupiter as seen from Earth), increasing toward the west.
+ * @param {Date} date - Date
+ * @returns {Object} Per moon key: {u (degrees), radius (Jupiter radii)}
+ */
+export function getGalileanAngles(date) {
+    validateDate(date, 'date');
+    const d = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+    const sin = (degrees) => Math.sin(degrees * DEG_TO_RAD);
+    const cos = (degrees) => Math.cos(degrees * DEG_TO_RAD);
+
+    const V = 172.74 + 0.00111588 * d;
+    const M = 357.529 + 0.9856003 * d;
+    const N = 20.020 + 0.0830853 * d + 0.329 * sin(V);
+    const J = 66.115 + 0.9025179 * d - 0.329 * sin(V);
+    const A = 1.915 * sin(M) + 0.020 * sin(2 * M);
+    const B = 5.555 * sin(N) + 0.168 * sin(2 * N);
+    const K = J + A - B;
+    const R = 1.00014 - 0.01671 * cos(M) - 0.00014 * cos(2 * M);
+    const r = 5.20872 - 0.25208 * cos(N) - 0.00611 * cos(2 * N);
+    const delta = Math.sqrt(r * r + R * R - 2 * r * R * cos(K));
+    const psi = Math.asin((R / delta) * sin(K)) * RAD_TO_DEG;
+
+    // Time the light left Jupiter, and the mutual perturbations
+    const t = d - delta * LIGHT_DAYS_PER_AU;
+    const u = {};
+    Object.entries(GALILEAN_MOONS).forEach(([key, moon]) => {
+        u[key] = moon.u0 + moon.rate * t + psi - B;
+    });
+    const G = 331.18 + 50.310482 * t;
+    const H = 87.45 + 21.569231 * t;
+
+    return {
+        io: { u: u.io + 0.473 * sin(2 * (u.io - u.europa)), radius: GALILEAN_MOONS.io.radius - 0.0244 * cos(2 * (u.io - u.europa)) },
+        europa: { u: u.europa + 1.065 * sin(2 * (u.europa - u.ganymede)), radius: GALILEAN_MOONS.europa.radius - 0.0882 * cos(2 * (u.europa - u.ganymede)) },
+        ganymede: { u: u.ganymede + 0.165 * sin(G), radius: GALILEAN_MOONS.ganymede.radius - 0.0216 * cos(G) },
+        callisto: { u: u.callisto + 0.843 * sin(H), radius: GALILEAN_MOONS.callisto.radius - 0.1939 * cos(H) }
+    };
+}
+
+/**
+ * Saturnian moon offset from Saturn in Saturn's equatorial frame
+ * @param {Object} elements - Entry of SATURNIAN_MOONS
+ * @param {number} days - Days since J2000 (light-time corrected)
+ * @returns {Object} {x, y, z} km (x toward the node of Saturn's equator on the ICRF equator, z along the pole)
+ */
+function saturnianOffset(elements, days) {
+    const { a, e } = elements;
+    const longitude = elements.longitude + elements.meanMotion * days;
+    const meanAnomaly = (longitude - elements.periapsis) * DEG_TO_RAD;
+    const trueAnomaly = meanAnomaly + 2 * e * Math.sin(meanAnomaly) + 1.25 * e * e * Math.sin(2 * meanAnomaly);
+    const r = (a * (1 - e * e)) / (1 + e * Math.cos(trueAnomaly));
+
+    const node = elements.node * DEG_TO_RAD;
+    const inclination = elements.i * DEG_TO_RAD;
+    const argument = longitude * DEG_TO_RAD + (trueAnomaly - meanAnomaly) - node;
+
+    return {
+        x: r * (Math.cos(node) * Math.cos(argument) - Math.sin(node) * Math.sin(argument) * Math.cos(inclination)),
+        y: r * (Math.sin(node) * Math.cos(argument) + Math.cos(node) * Math.sin(argument) * Math.cos(inclination)),
+        z: r * Math.sin(argument) * Math.sin(inclination)
+    };
+}
+
+/**
+ * Offsets (km, J2000 ecliptic) of a planet's modelled moons from the planet
+ * @param {string} planetKey - 'jupiter' or 'saturn'
+ * @param {Date} date - Date
+ * @param {Object} geometry - Viewing geometry from getViewingGeometry()
+ * @returns {Object} Per moon key: {x, y, z} km
+ */
+function getMoonOffsets(planetKey, date, geometry) {
+    const { pole, toEarth } = geometry;
+    const offsets = {};
+
+    if (planetKey === 'jupiter') {
+        // u is measured from the Earth direction in Jupiter's equator
+        const front = normalize(add(toEarth, scale(pole, -dot(toEarth, pole))));
+        const west = cross(pole, front);
+        const radiusKm = PLANET_FIGURES.jupiter.equatorialRadius;
+        Object.entries(getGalileanAngles(date)).forEach(([key, { u, radius }]) => {
+            offsets[key] = add(
+                scale(front, radius * radiusKm * Math.cos(u * DEG_TO_RAD)),
+                scale(west, radius * radiusKm * Math.sin(u * DEG_TO_RAD))
+            );
+        });
+    } else {
+        // Saturn's equator: x toward its ascending node on the ICRF equator
+        const figure = PLANET_FIGURES.saturn;
+        const nodeAxis = equatorialToEcliptic(figure.poleRA + 90, 0);
+        const yAxis = cross(pole, nodeAxis);
+        const days = date.getTime() / 86400000 + 2440587.5 - 2451545.0 - geometry.distance * LIGHT_DAYS_PER_AU;
+        Object.entries(SATURNIAN_MOONS).forEach(([key, elements]) => {
+            const local = saturnianOffset(elements, days);
+            offsets[key] = add(scale(nodeAxis, local.x), scale(yAxis, local.y), scale(pole, local.z));
+        });
+    }
+
+    return offsets;
+}
+
+/**
+ * Project an offset onto the sky of a viewer, in planet equatorial radii
+ * @param {Object} offset - Moon offset {x, y, z} km
+ * @param {Object} pole - Planet pole (unit vector)
+ * @param {Object} toViewer - Planet-to-viewer direction (unit vector)
+ * @param {Object} figure - Entry of PLANET_FIGURES
+ * @returns {Object} {x (west), y (toward the planet's projected north pole), z (toward the viewer), onDisk}
+ */
+function projectOffset(offset, pole, toViewer, figure) {
+    const north = normalize(add(pole, scale(toViewer, -dot(pole, toViewer))));
+    const west = cross(north, toViewer);
+    const x = dot(offset, west) / figure.equatorialRadius;
+    const y = dot(offset, north) / figure.equatorialRadius;
+
+    // The disk's apparent polar radius depends on how far the viewer is from the equator plane
+    const sinLatitude = dot(pole, toViewer);
+    const e2 = 2 * figure.flattening - figure.flattening ** 2;
+    const polarRatio = Math.sqrt(1 - e2 * (1 - sinLatitude * sinLatitude));
+
+    return {
+        x,
+        y,
+        z: dot(offset, toViewer) / figure.equatorialRadius,
+        onDisk: x * x + (y / polarRatio) ** 2 < 1
+    };
+}
+
+/**
+ * Configuration of a planet's modelled moons at a date
+ * @param {string} planetKey - 'jupiter' or 'saturn'
+ * @param {Date} date - Date (UTC)
+ * @returns {Object} { planetKey, date, earthDeclination (planetocentric, degrees), moons: Array of
+ *   {key, name, offset {x, y, z} km (J2000 ecliptic), local {toEarth, west, north} km in the planet's
+ *   equator turned toward Earth, sky {x, y, z} and sunView {x, y, z} in planet radii (x west,
+ *   y north, z toward the viewer), events: {transit, occultation, shadow, eclipse}} }
+ * @throws {ValidationError} If the planet or date is invalid
+ */
+export function getMoonConfiguration(planetKey, date) {
+    validatePlanet(planetKey);
+    validateDate(date, 'date');
+
+    const figure = PLANET_FIGURES[planetKey];
+    const geometry = getViewingGeometry(planetKey, date);
+    const { pole, toEarth, toSun } = geometry;
+    const offsets = getMoonOffsets(planetKey, date, geometry);
+
+    // Planet's equator turned toward Earth, for drawing moons around the rendered planet
+    const front = normalize(add(toEarth, scale(pole, -dot(toEarth, pole))));
+    const west = cross(pole, front);
+
+    const moons = Object.entries(offsets).map(([key, offset]) => {
+        const sky = projectOffset(offset, pole, toEarth, figure);
+        const sunView = projectOffset(offset, pole, toSun, figure);
+        return {
+            key,
+            name: MAJOR_MOONS[key]?.name || key,
+            offset,
+            local: { toEarth: dot(offset, front), west: dot(offset, west), north: dot(offset, pole) },
+            sky: { x: sky.x, y: sky.y, z: sky.z },
+            sunView: { x: sunView.x, y: sunView.y, z: sunView.z },
+            events: {
+                transit: sky.onDisk && sky.z > 0,
+                occultation: sky.onDisk && sky.z < 0,
+                shadow: sunView.onDisk && sunView.z > 0,
+                eclipse: sunView.onDisk && sunView.z < 0
+            }
+        };
+    });
+
+    return {
+        planetKey,
+        date,
+        earthDeclination: Math.asin(dot(pole, toEarth)) * RAD_TO_DEG,
+        moons
+    };
+}
+
+/**
+ * Find when an event state changes between two times by bisection
+ * @param {Function} stateAt - Time (ms) to boolean
+ * @param {number} t0 - Time with the earlier state (ms)
+ * @param {number} t1 - Time with the later state (ms)
+ * @returns {number} Time of the change (ms, within 10 s)
+ */
+function refineChange(stateAt, t0, t1) {
+    const before = stateAt(t0);
+    while (t1 - t0 > 10000) {
+        const mid = (t0 + t1) / 2;
+        if (stateAt(mid) === before) {
+            t0 = mid;
+        } else {
+            t1 = mid;
+        }
+    }
+    return (t0 + t1) / 2;
+}
+
+/**
+ * Find transits, occultations, shadow transits and eclipses of a planet's moons
+ * Events in progress at the start or end of the range are cut at the range.
+ * @param {string} planetKey - 'jupiter' or 'saturn'
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @param {Object} options - Options
+ * @param {number} options.stepMinutes - Sampling step; shorter events can be missed (default: 5)
+ * @returns {Array<Object>} Events {moonKey, moonName, type, label, start, end (Dates)} sorted by start
+ * @throws {ValidationError} If the planet or range is invalid
+ */
+export function findMoonEvents(planetKey, startDate, endDate, { stepMinutes = 5 } = {}) {
+    validatePlanet(planetKey);
+    validateDate(startDate, 'startDate');
+    validateDate(endDate, 'endDate');
+    validateRange((endDate - startDate) / 86400000, 0, MAX_EVENT_SEARCH_DAYS, 'time range (days)');
+    validateRange(stepMinutes, 0.5, 60, 'stepMinutes');
+
+    const stepMs = stepMinutes * 60000;
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+    const cache = new Map();
+    const configurationAt = (time) => {
+        if (!cache.has(time)) cache.set(time, getMoonConfiguration(planetKey, new Date(time)));
+        return cache.get(time);
+    };
+    const stateAt = (time, moonIndex, type) => configurationAt(time).moons[moonIndex].events[type];
+
+    const events = [];
+    const first = configurationAt(start);
+    first.moons.forEach((moon, moonIndex) => {
+        Object.keys(MOON_EVENT_TYPES).forEach(type => {
+            let openSince = moon.events[type] ? start : null;
+            for (let t0 = start; t0 < end; t0 += stepMs) {
+                const t1 = Math.min(t0 + stepMs, end);
+                const was = stateAt(t0, moonIndex, type);
+                const is = stateAt(t1, moonIndex, type);
+                if (was === is) continue;
+
+                const change = refineChange(time => getMoonConfiguration(planetKey, new Date(time)).moons[moonIndex].events[type], t0, t1);
+                if (is) {
+                    openSince = change;
+                } else if (openSince !== null) {
+                    events.push({ moonKey: moon.key, moonName: moon.name, type, label: MOON_EVENT_TYPES[type], start: new Date(openSince), end: new Date(change) });
+                    openSince = null;
+                }
+            }
+            if (openSince !== null) {
+                events.push({ moonKey: moon.key, moonName: moon.name, type, label: MOON_EVENT_TYPES[type], start: new Date(openSince), end: new Date(end) });
+            }
+        });
+    });
+
+    return events.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Planets whose moons are modelled
+ * @returns {Array<string>} Planet keys
+ */
+export function getPlanetsWithMoons() {
+    return Object.keys(PLANET_FIGURES);
+}
+
+export default {
+    getGalileanAngles,
+    getMoonConfiguration,
+    findMoonEvents,
+    getPlanetsWithMoons,
+    MOON_EVENT_TYPES
+};
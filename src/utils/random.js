@@ -0,0 +1,90 @@
+/**
+ * Seeded Random Numbers
+ * Repeatable pseudo-random numbers in place of Math.random, so the starfield, asteroid belt and
+ * meteors come out the same on every run (and in screenshots and tests) for a given seed.
+ * Each module draws from its own named stream, so drawing more numbers in one (a meteor spawned)
+ * does not change what another gets (the stars of a rebuilt starfield).
+ *
+ * Generator: mulberry32 (32-bit state, period 2^32), streams keyed by FNV-1a hashes of their names.
+ */
+
+import { SIMULATION } from './constants.js';
+import { validateNumber, ValidationError } from './validation.js';
+
+/**
+ * Seed the streams are made from
+ */
+let randomSeed = SIMULATION.RANDOM_SEED;
+
+/**
+ * Hash a string to 32 bits (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator
+ * @param {number} seed - Integer seed
+ * @param {string} stream - Stream name, so one seed gives independent sequences (optional)
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ * @throws {ValidationError} If the seed is not an integer
+ */
+export function createRandom(seed, stream = '') {
+    validateNumber(seed, 'seed');
+    if (!Number.isInteger(seed)) {
+        throw new ValidationError(`seed must be an integer, received: ${seed}`, 'seed', 'integer', seed);
+    }
+
+    let state = (seed ^ hashString(stream)) >>> 0;
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Set the seed used for the streams created from now on
+ * Call before the scene is built (stars and asteroids are placed when they are created)
+ * @param {number} seed - Integer seed
+ * @throws {ValidationError} If the seed is not an integer
+ */
+export function setRandomSeed(seed) {
+    createRandom(seed); // Validates
+    randomSeed = seed;
+    console.log(`🎲 Random seed set to ${seed}`);
+}
+
+/**
+ * Get the current seed
+ * @returns {number} Integer seed
+ */
+export function getRandomSeed() {
+    return randomSeed;
+}
+
+/**
+ * Create a generator for a named stream from the current seed
+ * @param {string} stream - Stream name, e.g. 'starfield'
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createSeededRandom(stream) {
+    return createRandom(randomSeed, stream);
+}
+
+export default {
+    createRandom,
+    setRandomSeed,
+    getRandomSeed,
+    createSeededRandom
+};
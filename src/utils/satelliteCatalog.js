@@ -0,0 +1,394 @@
+/**
+ * Satellite Catalog Module
+ * Element sets for satellites tracked alongside the ISS (other space stations, science
+ * missions, Starlink batches and TLEs pasted in by the user), grouped so the scene can
+ * show or hide whole groups, and SGP4 propagation for each of them.
+ *
+ * The ISS is not part of the catalog: it keeps its own pipeline (live providers,
+ * telemetry, attitude) in api.js and iss.js.
+ *
+ * @module satelliteCatalog
+ */
+
+import { API, SATELLITE_GROUPS, SATELLITES } from './constants.js';
+import { parseTLEText, getTLEAgeDays } from './tle.js';
+import { initializeSGP4, propagateToGeodetic } from './sgp4.js';
+import { validateString, ValidationError } from './validation.js';
+
+/**
+ * localStorage keys for user-added TLEs and group visibility
+ */
+const USER_TLES_KEY = 'userSatelliteTLEs';
+const VISIBILITY_KEY = 'satelliteGroupVisibility';
+
+/**
+ * NORAD number of the ISS, which is tracked by iss.js rather than the catalog
+ */
+const ISS_SATELLITE_NUMBER = '25544';
+
+/**
+ * Element sets shipped with the app so the catalog works offline
+ *
+ * These are illustrative, NOT published TLEs: round-number elements close to each object's
+ * real orbit in early 2024 (epoch 2024-01-01 12:00 UTC), with valid checksums. The Starlink
+ * entries are one launch batch (2019-074) spread evenly around a single plane. Positions are
+ * only indicative - "Update TLEs" replaces them with current CelesTrak data.
+ */
+const BUNDLED_TLES = {
+    stations: `
+CSS (TIANHE)
+1 48274U 21035A   24001.50000000  .00020000  00000-0  23000-3 0  9998
+2 48274  41.4700 120.0000 0005000 300.0000  60.0000 15.61000000150009`,
+    science: `
+HST
+1 20580U 90037B   24001.50000000  .00001500  00000-0  75000-4 0  9998
+2 20580  28.4700 200.0000 0002500  90.0000 270.0000 15.18000000650001`,
+    starlink: `
+STARLINK BATCH 2019-074 #01
+1 44713U 19074A   24001.50000000  .00002000  00000-0  14000-3 0  9992
+2 44713  53.0500 150.0000 0001400  90.0000   0.0000 15.06000000230001
+STARLINK BATCH 2019-074 #02
+1 44714U 19074B   24001.50000000  .00002000  00000-0  14000-3 0  9993
+2 44714  53.0500 150.0000 0001400  90.0000  30.0000 15.06000000230005
+STARLINK BATCH 2019-074 #03
+1 44715U 19074C   24001.50000000  .00002000  00000-0  14000-3 0  9994
+2 44715  53.0500 150.0000 0001400  90.0000  60.0000 15.06000000230009
+STARLINK BATCH 2019-074 #04
+1 44716U 19074D   24001.50000000  .00002000  00000-0  14000-3 0  9995
+2 44716  53.0500 150.0000 0001400  90.0000  90.0000 15.06000000230003
+STARLINK BATCH 2019-074 #05
+1 44717U 19074E   24001.50000000  .00002000  00000-0  14000-3 0  9996
+2 44717  53.0500 150.0000 0001400  90.0000 120.0000 15.06000000230008
+STARLINK BATCH 2019-074 #06
+1 44718U 19074F   24001.50000000  .00002000  00000-0  14000-3 0  9997
+2 44718  53.0500 150.0000 0001400  90.0000 150.0000 15.06000000230002
+STARLINK BATCH 2019-074 #07
+1 44719U 19074G   24001.50000000  .00002000  00000-0  14000-3 0  9998
+2 44719  53.0500 150.0000 0001400  90.0000 180.0000 15.06000000230006
+STARLINK BATCH 2019-074 #08
+1 44720U 19074H   24001.50000000  .00002000  00000-0  14000-3 0  9990
+2 44720  53.0500 150.0000 0001400  90.0000 210.0000 15.06000000230002
+STARLINK BATCH 2019-074 #09
+1 44721U 19074I   24001.50000000  .00002000  00000-0  14000-3 0  9991
+2 44721  53.0500 150.0000 0001400  90.0000 240.0000 15.06000000230006
+STARLINK BATCH 2019-074 #10
+1 44722U 19074J   24001.50000000  .00002000  00000-0  14000-3 0  9992
+2 44722  53.0500 150.0000 0001400  90.0000 270.0000 15.06000000230000
+STARLINK BATCH 2019-074 #11
+1 44723U 19074K   24001.50000000  .00002000  00000-0  14000-3 0  9993
+2 44723  53.0500 150.0000 0001400  90.0000 300.0000 15.06000000230005
+STARLINK BATCH 2019-074 #12
+1 44724U 19074L   24001.50000000  .00002000  00000-0  14000-3 0  9994
+2 44724  53.0500 150.0000 0001400  90.0000 330.0000 15.06000000230009`
+};
+
+/**
+ * Catalog of satellites and their groups
+ * Entries: {id, name, group, satelliteNumber, source ('bundled' | 'celestrak' | 'user'), elements, satrec, dragFreeSatrec}
+ */
+class SatelliteCatalog {
+    constructor() {
+        this.satellites = new Map(); // id -> entry
+        this.groupVisibility = {};
+        this.changeCallbacks = [];
+
+        Object.keys(SATELLITE_GROUPS).forEach(group => {
+            this.groupVisibility[group] = true;
+        });
+        Object.entries(BUNDLED_TLES).forEach(([group, text]) => {
+            this.loadGroupText(group, text, 'bundled');
+        });
+        this.load();
+    }
+
+    /**
+     * Load user TLEs and group visibility from localStorage (ignored if missing or corrupt)
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const visibility = JSON.parse(localStorage.getItem(VISIBILITY_KEY) || '{}');
+            Object.keys(this.groupVisibility).forEach(group => {
+                if (typeof visibility[group] === 'boolean') {
+                    this.groupVisibility[group] = visibility[group];
+                }
+            });
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved satellite group visibility:', error.message);
+        }
+
+        try {
+            const saved = localStorage.getItem(USER_TLES_KEY);
+            if (saved) {
+                this.loadGroupText('user', saved, 'user');
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved user satellites:', error.message);
+        }
+    }
+
+    /**
+     * Save user TLEs and group visibility to localStorage
+     * @private
+     */
+    save() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                const userText = this.getSatellites('user')
+                    .map(entry => `${entry.name}\n${entry.elements.line1}\n${entry.elements.line2}`)
+                    .join('\n');
+                localStorage.setItem(USER_TLES_KEY, userText);
+                localStorage.setItem(VISIBILITY_KEY, JSON.stringify(this.groupVisibility));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save satellite catalog:', error.message);
+        }
+    }
+
+    /**
+     * Add (or replace) one satellite
+     * @param {Object} elements - Parsed TLE elements from parseTLE()
+     * @param {string} group - Group key from SATELLITE_GROUPS
+     * @param {string} source - 'bundled', 'celestrak' or 'user'
+     * @returns {Object|null} Catalog entry, or null for the ISS (tracked separately)
+     * @throws {ValidationError} If the group is unknown
+     */
+    addSatellite(elements, group, source = 'user') {
+        if (!SATELLITE_GROUPS[group]) {
+            throw new ValidationError(`Unknown satellite group: ${group}`, 'group', Object.keys(SATELLITE_GROUPS).join(' | '), group);
+        }
+        if (elements.satelliteNumber === ISS_SATELLITE_NUMBER) return null;
+
+        const entry = {
+            id: `sat-${elements.satelliteNumber.toLowerCase()}`,
+            name: elements.name,
+            group,
+            satelliteNumber: elements.satelliteNumber,
+            source,
+            elements,
+            satrec: initializeSGP4(elements),
+            dragFreeSatrec: initializeSGP4({ ...elements, bstar: 0 })
+        };
+        this.satellites.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Add every TLE in a block of text to a group
+     * @param {string} group - Group key from SATELLITE_GROUPS
+     * @param {string} text - 2LE/3LE text
+     * @param {string} source - 'bundled', 'celestrak' or 'user'
+     * @returns {Array<Object>} Entries added
+     */
+    loadGroupText(group, text, source) {
+        return parseTLEText(text)
+            .map(elements => this.addSatellite(elements, group, source))
+            .filter(Boolean);
+    }
+
+    /**
+     * Add TLEs pasted in by the user to the 'user' group and remember them
+     * @param {string} text - One or more TLEs (2LE or 3LE)
+     * @returns {Array<Object>} Entries added
+     * @throws {ValidationError} If the text holds no valid TLE
+     */
+    addUserTLEs(text) {
+        validateString(text, 'text', 1);
+
+        const added = this.loadGroupText('user', text, 'user');
+        if (added.length === 0) {
+            throw new ValidationError('No valid TLE found (expected two 69-character lines starting with "1" and "2")', 'text', 'TLE text', text);
+        }
+
+        this.save();
+        console.log(`🛰️ Added ${added.length} satellite(s): ${added.map(entry => entry.name).join(', ')}`);
+        this.notifyCallbacks();
+        return added;
+    }
+
+    /**
+     * Remove a satellite
+     * @param {string} id - Catalog id (e.g. 'sat-20580')
+     * @returns {boolean} True if it was in the catalog
+     */
+    removeSatellite(id) {
+        const entry = this.satellites.get(id);
+        if (!entry) return false;
+
+        this.satellites.delete(id);
+        if (entry.group === 'user') {
+            this.save();
+        }
+        this.notifyCallbacks();
+        return true;
+    }
+
+    /**
+     * Replace a group's element sets with CelesTrak's current ones
+     * Keeps the existing entries if the request fails.
+     * @param {string} group - Group key with a `celestrak` name in SATELLITE_GROUPS
+     * @returns {Promise<number>} Number of satellites loaded (0 on failure)
+     */
+    async fetchGroup(group) {
+        const celestrakGroup = SATELLITE_GROUPS[group]?.celestrak;
+        if (!celestrakGroup) return 0;
+
+        try {
+            const response = await fetch(API.SATELLITE_GROUP_URL.replace('{group}', celestrakGroup), { method: 'GET' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const elementSets = parseTLEText(await response.text());
+            if (elementSets.length === 0) {
+                throw new Error('No valid TLE in response');
+            }
+
+            this.getSatellites(group).forEach(entry => this.satellites.delete(entry.id));
+            const added = elementSets.map(elements => this.addSatellite(elements, group, 'celestrak')).filter(Boolean);
+
+            console.log(`🛰️ Loaded ${added.length} ${SATELLITE_GROUPS[group].name} element sets from CelesTrak`);
+            this.notifyCallbacks();
+            return added.length;
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch ${group} TLEs, keeping ${this.getSatellites(group).length} existing:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Get a satellite
+     * @param {string} id - Catalog id
+     * @returns {Object|null} Entry or null
+     */
+    getSatellite(id) {
+        return this.satellites.get(id) || null;
+    }
+
+    /**
+     * Get satellites, optionally of one group
+     * @param {string} group - Group key (default: all groups)
+     * @returns {Array<Object>} Entries
+     */
+    getSatellites(group = null) {
+        const entries = Array.from(this.satellites.values());
+        return group ? entries.filter(entry => entry.group === group) : entries;
+    }
+
+    /**
+     * Get the groups with their settings, size and visibility
+     * @returns {Array<Object>} [{id, name, color, render, count, visible}]
+     */
+    getGroups() {
+        return Object.entries(SATELLITE_GROUPS).map(([id, group]) => {
+            const count = this.getSatellites(id).length;
+            return {
+                id,
+                name: group.name,
+                color: group.color,
+                render: count > SATELLITES.MAX_MESHES_PER_GROUP ? 'points' : group.render,
+                count,
+                visible: this.groupVisibility[id]
+            };
+        });
+    }
+
+    /**
+     * Show or hide a group
+     * @param {string} group - Group key
+     * @param {boolean} visible - Whether the group is shown
+     */
+    setGroupVisible(group, visible) {
+        if (!(group in this.groupVisibility)) return;
+
+        this.groupVisibility[group] = !!visible;
+        this.save();
+        this.notifyCallbacks();
+    }
+
+    /**
+     * Check whether a group is shown
+     * @param {string} group - Group key
+     * @returns {boolean} True if visible
+     */
+    isGroupVisible(group) {
+        return !!this.groupVisibility[group];
+    }
+
+    /**
+     * Propagate one satellite with SGP4
+     * Dates more than SATELLITES.MAX_AGE_DAYS from the epoch are propagated without drag
+     * (marked isExtrapolated), as for the ISS.
+     * @param {Object|string} satellite - Catalog entry or id
+     * @param {Date} date - Target date
+     * @returns {Object|null} {id, name, group, latitude, longitude, altitude, velocity, timestamp, eci, isExtrapolated},
+     *   or null if unknown or propagation fails (e.g. the orbit has decayed)
+     */
+    propagate(satellite, date) {
+        const entry = typeof satellite === 'string' ? this.satellites.get(satellite) : satellite;
+        if (!entry) return null;
+
+        const isExtrapolated = Math.abs(getTLEAgeDays(entry.elements, date)) > SATELLITES.MAX_AGE_DAYS;
+        try {
+            const state = propagateToGeodetic(isExtrapolated ? entry.dragFreeSatrec : entry.satrec, date);
+            return { id: entry.id, name: entry.name, group: entry.group, ...state, isExtrapolated };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Propagate every satellite in the visible groups
+     * @param {Date} date - Target date
+     * @returns {Array<Object>} Positions as from propagate() (failed propagations are left out)
+     */
+    propagateVisible(date) {
+        return this.getSatellites()
+            .filter(entry => this.groupVisibility[entry.group])
+            .map(entry => this.propagate(entry, date))
+            .filter(Boolean);
+    }
+
+    /**
+     * Register a callback for catalog or visibility changes
+     * @param {Function} callback - Called with the catalog
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a change callback
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        const index = this.changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a change
+     * @private
+     */
+    notifyCallbacks() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in satellite catalog callback:', error);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const satelliteCatalog = new SatelliteCatalog();
+
+// Export singleton and class
+export { satelliteCatalog, SatelliteCatalog };
+export default satelliteCatalog;
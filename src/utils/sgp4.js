@@ -0,0 +1,464 @@
+/**
+ * SGP4 Orbit Propagation Module
+ *
+ * Near-Earth SGP4 propagator for satellites described by two-line element
+ * sets (see tle.js). Produces TEME position/velocity vectors and converts
+ * them to geodetic latitude, longitude and altitude.
+ *
+ * References:
+ * - "Spacetrack Report #3" (Hoots & Roehrich, 1980)
+ * - "Revisiting Spacetrack Report #3" (Vallado, Crawford, Hujsak, Kelso, 2006)
+ *
+ * Only the near-Earth branch (orbital period < 225 minutes) is implemented,
+ * which covers the ISS, Tiangong, Hubble and Starlink. Deep-space (SDP4)
+ * objects are rejected at initialization.
+ *
+ * Coordinate Systems:
+ * - Propagator output: TEME (True Equator, Mean Equinox), km and km/s
+ * - Geodetic output: WGS-84 latitude/longitude in degrees, altitude in km
+ *
+ * @module sgp4
+ */
+
+import { DEG_TO_RAD, RAD_TO_DEG, TWO_PI, WGS84 } from './constants.js';
+import { ValidationError, validateObject } from './validation.js';
+
+// ========== GRAVITY MODEL (WGS-72, as used to generate NORAD TLEs) ==========
+
+const WGS72 = {
+    MU: 398600.8, // km³/s²
+    RADIUS: 6378.135, // km
+    J2: 0.001082616,
+    J3: -0.00000253881,
+    J4: -0.00000165597
+};
+
+const XKE = 60.0 / Math.sqrt((WGS72.RADIUS ** 3) / WGS72.MU); // sqrt(GM) in earth radii^1.5 / min
+const J3OJ2 = WGS72.J3 / WGS72.J2;
+const X2O3 = 2.0 / 3.0;
+const VKMPERSEC = WGS72.RADIUS * XKE / 60.0;
+
+// ========== GEODETIC MODEL (WGS-84) ==========
+
+const WGS84_RADIUS = WGS84.RADIUS;
+const WGS84_E2 = WGS84.FLATTENING * (2 - WGS84.FLATTENING);
+
+/**
+ * Orbital period (minutes) above which the deep-space SDP4 model is required
+ */
+const DEEP_SPACE_PERIOD_MINUTES = 225;
+
+/**
+ * Error thrown when SGP4 propagation fails (decayed orbit, invalid elements)
+ */
+export class PropagationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PropagationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Greenwich Mean Sidereal Time (IAU-82 model)
+ * @param {number} julianDate - Julian date (UT1)
+ * @returns {number} GMST in radians (0 to 2π)
+ */
+export function greenwichSiderealTime(julianDate) {
+    const tut1 = (julianDate - 2451545.0) / 36525.0;
+    const seconds = -6.2e-6 * tut1 * tut1 * tut1 +
+        0.093104 * tut1 * tut1 +
+        (876600.0 * 3600 + 8640184.812866) * tut1 +
+        67310.54841;
+
+    // 240 seconds of time per degree
+    let gmst = ((seconds * DEG_TO_RAD) / 240.0) % TWO_PI;
+    if (gmst < 0) gmst += TWO_PI;
+    return gmst;
+}
+
+/**
+ * Convert a Date to a Julian date
+ * @param {Date} date - Date to convert
+ * @returns {number} Julian date
+ */
+export function dateToJulianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Initialize an SGP4 propagator record from parsed TLE elements
+ * @param {Object} elements - Elements from parseTLE()
+ * @returns {Object} Propagator record for propagate()
+ * @throws {PropagationError} If the orbit needs the deep-space model
+ */
+export function initializeSGP4(elements) {
+    validateObject(elements, ['eccentricity', 'inclination', 'meanMotion', 'bstar', 'epochJulian'], 'elements');
+
+    const ecco = elements.eccentricity;
+    const inclo = elements.inclination;
+    const argpo = elements.argumentOfPerigee;
+    const nodeo = elements.rightAscension;
+    const mo = elements.meanAnomaly;
+    const bstar = elements.bstar;
+
+    // ----- Recover original mean motion (un-Kozai) and semi-major axis -----
+    const eccsq = ecco * ecco;
+    const omeosq = 1.0 - eccsq;
+    const rteosq = Math.sqrt(omeosq);
+    const cosio = Math.cos(inclo);
+    const cosio2 = cosio * cosio;
+
+    const ak = Math.pow(XKE / elements.meanMotion, X2O3);
+    const d1 = 0.75 * WGS72.J2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+    let delta = d1 / (ak * ak);
+    const adel = ak * (1.0 - delta * delta - delta * (1.0 / 3.0 + 134.0 * delta * delta / 81.0));
+    delta = d1 / (adel * adel);
+    const no = elements.meanMotion / (1.0 + delta);
+
+    if (TWO_PI / no >= DEEP_SPACE_PERIOD_MINUTES) {
+        throw new PropagationError(
+            `Orbital period ${(TWO_PI / no).toFixed(1)} min requires the deep-space (SDP4) model, which is not supported`,
+            'deep-space'
+        );
+    }
+
+    const ao = Math.pow(XKE / no, X2O3);
+    const sinio = Math.sin(inclo);
+    const po = ao * omeosq;
+    const con42 = 1.0 - 5.0 * cosio2;
+    const con41 = -con42 - cosio2 - cosio2;
+    const posq = po * po;
+    const rp = ao * (1.0 - ecco);
+
+    // ----- Atmospheric drag and secular gravity coefficients -----
+    const ss = 78.0 / WGS72.RADIUS + 1.0;
+    const qzms2t = Math.pow((120.0 - 78.0) / WGS72.RADIUS, 4);
+
+    // Simplified drag model for perigee below 220 km
+    const isimp = rp < (220.0 / WGS72.RADIUS + 1.0);
+
+    let sfour = ss;
+    let qzms24 = qzms2t;
+    const perige = (rp - 1.0) * WGS72.RADIUS;
+    if (perige < 156.0) {
+        sfour = perige < 98.0 ? 20.0 : perige - 78.0;
+        qzms24 = Math.pow((120.0 - sfour) / WGS72.RADIUS, 4);
+        sfour = sfour / WGS72.RADIUS + 1.0;
+    }
+
+    const pinvsq = 1.0 / posq;
+    const tsi = 1.0 / (ao - sfour);
+    const eta = ao * ecco * tsi;
+    const etasq = eta * eta;
+    const eeta = ecco * eta;
+    const psisq = Math.abs(1.0 - etasq);
+    const coef = qzms24 * Math.pow(tsi, 4);
+    const coef1 = coef / Math.pow(psisq, 3.5);
+    const cc2 = coef1 * no * (ao * (1.0 + 1.5 * etasq + eeta * (4.0 + etasq)) +
+        0.375 * WGS72.J2 * tsi / psisq * con41 * (8.0 + 3.0 * etasq * (8.0 + etasq)));
+    const cc1 = bstar * cc2;
+    const cc3 = ecco > 1.0e-4 ? -2.0 * coef * tsi * J3OJ2 * no * sinio / ecco : 0.0;
+    const x1mth2 = 1.0 - cosio2;
+    const cc4 = 2.0 * no * coef1 * ao * omeosq * (eta * (2.0 + 0.5 * etasq) + ecco * (0.5 + 2.0 * etasq) -
+        WGS72.J2 * tsi / (ao * psisq) * (-3.0 * con41 * (1.0 - 2.0 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+        0.75 * x1mth2 * (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * argpo)));
+    const cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * WGS72.J2 * pinvsq * no;
+    const temp2 = 0.5 * temp1 * WGS72.J2 * pinvsq;
+    const temp3 = -0.46875 * WGS72.J4 * pinvsq * pinvsq * no;
+    const mdot = no + 0.5 * temp1 * rteosq * con41 + 0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+    const argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+        temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    const nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) + 2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+
+    const omgcof = bstar * cc3 * Math.cos(argpo);
+    const xmcof = ecco > 1.0e-4 ? -X2O3 * coef * bstar / eeta : 0.0;
+    const nodecf = 3.5 * omeosq * xhdot1 * cc1;
+    const t2cof = 1.5 * cc1;
+
+    // Avoid division by zero for inclination = 180°
+    const xlcofDenominator = Math.abs(cosio + 1.0) > 1.5e-12 ? 1.0 + cosio : 1.5e-12;
+    const xlcof = -0.25 * J3OJ2 * sinio * (3.0 + 5.0 * cosio) / xlcofDenominator;
+    const aycof = -0.5 * J3OJ2 * sinio;
+    const delmo = Math.pow(1.0 + eta * Math.cos(mo), 3);
+    const sinmao = Math.sin(mo);
+    const x7thm1 = 7.0 * cosio2 - 1.0;
+
+    let d2 = 0, d3 = 0, d4 = 0, t3cof = 0, t4cof = 0, t5cof = 0;
+    if (!isimp) {
+        const cc1sq = cc1 * cc1;
+        d2 = 4.0 * ao * tsi * cc1sq;
+        const temp = d2 * tsi * cc1 / 3.0;
+        d3 = (17.0 * ao + sfour) * temp;
+        d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * cc1;
+        t3cof = d2 + 2.0 * cc1sq;
+        t4cof = 0.25 * (3.0 * d3 + cc1 * (12.0 * d2 + 10.0 * cc1sq));
+        t5cof = 0.2 * (3.0 * d4 + 12.0 * cc1 * d3 + 6.0 * d2 * d2 + 15.0 * cc1sq * (2.0 * d2 + cc1sq));
+    }
+
+    return {
+        name: elements.name,
+        satelliteNumber: elements.satelliteNumber,
+        epoch: elements.epoch,
+        epochJulian: elements.epochJulian,
+        ecco, inclo, argpo, nodeo, mo, bstar, no,
+        isimp, eta, cc1, cc4, cc5, d2, d3, d4,
+        t2cof, t3cof, t4cof, t5cof,
+        omgcof, xmcof, nodecf, delmo, sinmao,
+        mdot, argpdot, nodedot,
+        con41, x1mth2, x7thm1, xlcof, aycof
+    };
+}
+
+/**
+ * Propagate a satellite to a number of minutes since its TLE epoch
+ * @param {Object} satrec - Record from initializeSGP4()
+ * @param {number} tsince - Minutes since epoch (may be negative)
+ * @returns {Object} { position: {x, y, z}, velocity: {x, y, z} } in TEME km and km/s
+ * @throws {PropagationError} If the elements become invalid (e.g. orbit decayed)
+ */
+export function propagateMinutes(satrec, tsince) {
+    const s = satrec;
+    const t = tsince;
+
+    // ----- Secular gravity and atmospheric drag -----
+    const xmdf = s.mo + s.mdot * t;
+    const argpdf = s.argpo + s.argpdot * t;
+    const nodedf = s.nodeo + s.nodedot * t;
+    let argpm = argpdf;
+    let mm = xmdf;
+    const t2 = t * t;
+    let nodem = nodedf + s.nodecf * t2;
+    let tempa = 1.0 - s.cc1 * t;
+    let tempe = s.bstar * s.cc4 * t;
+    let templ = s.t2cof * t2;
+
+    if (!s.isimp) {
+        const delomg = s.omgcof * t;
+        const delm = s.xmcof * (Math.pow(1.0 + s.eta * Math.cos(xmdf), 3) - s.delmo);
+        const temp = delomg + delm;
+        mm = xmdf + temp;
+        argpm = argpdf - temp;
+        const t3 = t2 * t;
+        const t4 = t3 * t;
+        tempa = tempa - s.d2 * t2 - s.d3 * t3 - s.d4 * t4;
+        tempe = tempe + s.bstar * s.cc5 * (Math.sin(mm) - s.sinmao);
+        templ = templ + s.t3cof * t3 + t4 * (s.t4cof + t * s.t5cof);
+    }
+
+    const am = Math.pow(XKE / s.no, X2O3) * tempa * tempa;
+    const nm = XKE / Math.pow(am, 1.5);
+    let em = s.ecco - tempe;
+
+    if (em >= 1.0 || em < -0.001) {
+        throw new PropagationError(`Eccentricity out of range at t=${t.toFixed(1)} min (orbit decayed)`, 'eccentricity');
+    }
+    if (em < 1.0e-6) em = 1.0e-6;
+
+    mm = mm + s.no * templ;
+    let xlm = mm + argpm + nodem;
+
+    nodem = nodem % TWO_PI;
+    argpm = argpm % TWO_PI;
+    xlm = xlm % TWO_PI;
+    mm = (xlm - argpm - nodem) % TWO_PI;
+
+    const sinip = Math.sin(s.inclo);
+    const cosip = Math.cos(s.inclo);
+
+    // ----- Long-period periodics -----
+    const axnl = em * Math.cos(argpm);
+    let temp = 1.0 / (am * (1.0 - em * em));
+    const aynl = em * Math.sin(argpm) + temp * s.aycof;
+    const xl = mm + argpm + nodem + temp * s.xlcof * axnl;
+
+    // ----- Solve Kepler's equation (Newton-Raphson with step limiting) -----
+    const u = (xl - nodem) % TWO_PI;
+    let eo1 = u;
+    let tem5 = 9999.9;
+    let sineo1 = 0;
+    let coseo1 = 0;
+    for (let ktr = 1; Math.abs(tem5) >= 1.0e-12 && ktr <= 10; ktr++) {
+        sineo1 = Math.sin(eo1);
+        coseo1 = Math.cos(eo1);
+        tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+        tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+        if (Math.abs(tem5) >= 0.95) {
+            tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+        }
+        eo1 = eo1 + tem5;
+    }
+
+    // ----- Short-period preliminary quantities -----
+    const ecose = axnl * coseo1 + aynl * sineo1;
+    const esine = axnl * sineo1 - aynl * coseo1;
+    const el2 = axnl * axnl + aynl * aynl;
+    const pl = am * (1.0 - el2);
+    if (pl < 0.0) {
+        throw new PropagationError(`Semi-latus rectum negative at t=${t.toFixed(1)} min`, 'semi-latus-rectum');
+    }
+
+    const rl = am * (1.0 - ecose);
+    const rdotl = Math.sqrt(am) * esine / rl;
+    const rvdotl = Math.sqrt(pl) / rl;
+    const betal = Math.sqrt(1.0 - el2);
+    temp = esine / (1.0 + betal);
+    const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+    const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+    let su = Math.atan2(sinu, cosu);
+    const sin2u = (cosu + cosu) * sinu;
+    const cos2u = 1.0 - 2.0 * sinu * sinu;
+    temp = 1.0 / pl;
+    const temp1 = 0.5 * WGS72.J2 * temp;
+    const temp2 = temp1 * temp;
+
+    // ----- Update for short-period periodics -----
+    const mrt = rl * (1.0 - 1.5 * temp2 * betal * s.con41) + 0.5 * temp1 * s.x1mth2 * cos2u;
+    su = su - 0.25 * temp2 * s.x7thm1 * sin2u;
+    const xnode = nodem + 1.5 * temp2 * cosip * sin2u;
+    const xinc = s.inclo + 1.5 * temp2 * cosip * sinip * cos2u;
+    const mvt = rdotl - nm * temp1 * s.x1mth2 * sin2u / XKE;
+    const rvdot = rvdotl + nm * temp1 * (s.x1mth2 * cos2u + 1.5 * s.con41) / XKE;
+
+    if (mrt < 1.0) {
+        throw new PropagationError(`Satellite has decayed at t=${t.toFixed(1)} min`, 'decayed');
+    }
+
+    // ----- Orientation vectors -----
+    const sinsu = Math.sin(su);
+    const cossu = Math.cos(su);
+    const snod = Math.sin(xnode);
+    const cnod = Math.cos(xnode);
+    const sini = Math.sin(xinc);
+    const cosi = Math.cos(xinc);
+    const xmx = -snod * cosi;
+    const xmy = cnod * cosi;
+    const ux = xmx * sinsu + cnod * cossu;
+    const uy = xmy * sinsu + snod * cossu;
+    const uz = sini * sinsu;
+    const vx = xmx * cossu - cnod * sinsu;
+    const vy = xmy * cossu - snod * sinsu;
+    const vz = sini * cossu;
+
+    return {
+        position: {
+            x: mrt * ux * WGS72.RADIUS,
+            y: mrt * uy * WGS72.RADIUS,
+            z: mrt * uz * WGS72.RADIUS
+        },
+        velocity: {
+            x: (mvt * ux + rvdot * vx) * VKMPERSEC,
+            y: (mvt * uy + rvdot * vy) * VKMPERSEC,
+            z: (mvt * uz + rvdot * vz) * VKMPERSEC
+        }
+    };
+}
+
+/**
+ * Propagate a satellite to a calendar date
+ * @param {Object} satrec - Record from initializeSGP4()
+ * @param {Date} date - Target date (UTC)
+ * @returns {Object} { position, velocity } in TEME km and km/s
+ * @throws {PropagationError} If propagation fails
+ */
+export function propagate(satrec, date) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError('date must be a valid Date', 'date', 'Date', date);
+    }
+    const tsince = (dateToJulianDate(date) - satrec.epochJulian) * 1440.0;
+    return propagateMinutes(satrec, tsince);
+}
+
+/**
+ * Convert a TEME position to Earth-fixed (ECEF) coordinates
+ * Polar motion is ignored (sub-kilometre effect at LEO altitudes).
+ * @param {Object} position - TEME position {x, y, z} in km
+ * @param {number} gmst - Greenwich mean sidereal time in radians
+ * @returns {Object} ECEF position {x, y, z} in km
+ */
+export function temeToEcef(position, gmst) {
+    const cosG = Math.cos(gmst);
+    const sinG = Math.sin(gmst);
+    return {
+        x: position.x * cosG + position.y * sinG,
+        y: -position.x * sinG + position.y * cosG,
+        z: position.z
+    };
+}
+
+/**
+ * Convert an ECEF position to geodetic coordinates on the WGS-84 ellipsoid
+ * @param {Object} ecef - ECEF position {x, y, z} in km
+ * @returns {Object} { latitude, longitude, altitude } in degrees and km
+ */
+export function ecefToGeodetic(ecef) {
+    const longitude = Math.atan2(ecef.y, ecef.x);
+    const r = Math.sqrt(ecef.x * ecef.x + ecef.y * ecef.y);
+
+    // Iterate on latitude (converges to < 1 mm in a handful of steps at LEO)
+    let latitude = Math.atan2(ecef.z, r);
+    let c = 1;
+    for (let i = 0; i < 10; i++) {
+        const sinLat = Math.sin(latitude);
+        c = 1 / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+        const next = Math.atan2(ecef.z + WGS84_RADIUS * c * WGS84_E2 * sinLat, r);
+        if (Math.abs(next - latitude) < 1e-12) {
+            latitude = next;
+            break;
+        }
+        latitude = next;
+    }
+
+    // Near the poles r / cos(lat) is ill-conditioned, so measure along Z instead
+    const cosLat = Math.cos(latitude);
+    const altitude = Math.abs(cosLat) > 1e-10
+        ? r / cosLat - WGS84_RADIUS * c
+        : Math.abs(ecef.z) - WGS84_RADIUS * (1 - WGS84_E2) * c;
+
+    return {
+        latitude: latitude * RAD_TO_DEG,
+        longitude: longitude * RAD_TO_DEG,
+        altitude
+    };
+}
+
+/**
+ * Propagate a satellite and return its geodetic sub-point, altitude and speed
+ * @param {Object} satrec - Record from initializeSGP4()
+ * @param {Date} date - Target date (UTC)
+ * @returns {Object} { latitude, longitude, altitude, velocity, timestamp, eci }
+ *   velocity is the inertial speed in km/h, eci holds the raw TEME vectors
+ * @throws {PropagationError} If propagation fails
+ */
+export function propagateToGeodetic(satrec, date) {
+    const eci = propagate(satrec, date);
+    const gmst = greenwichSiderealTime(dateToJulianDate(date));
+    const geodetic = ecefToGeodetic(temeToEcef(eci.position, gmst));
+    const v = eci.velocity;
+    const speedKmS = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+    return {
+        latitude: geodetic.latitude,
+        longitude: geodetic.longitude,
+        altitude: geodetic.altitude,
+        velocity: speedKmS * 3600,
+        timestamp: date.getTime(),
+        eci
+    };
+}
+
+export default {
+    PropagationError,
+    greenwichSiderealTime,
+    dateToJulianDate,
+    initializeSGP4,
+    propagateMinutes,
+    propagate,
+    temeToEcef,
+    ecefToGeodetic,
+    propagateToGeodetic
+};
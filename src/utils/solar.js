@@ -0,0 +1,64 @@
+/**
+ * Solar Position Module
+ * Low-precision geocentric Sun position (about 0.01° from 1950-2050)
+ *
+ * Reference: "The Astronomical Almanac", low-precision formulae for the Sun
+ *
+ * @module solar
+ */
+
+import { ASTRONOMICAL_UNIT, DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { greenwichSiderealTime, dateToJulianDate } from './sgp4.js';
+
+/**
+ * Compute the geocentric position of the Sun
+ * @param {Date} date - Date (UTC)
+ * @returns {Object} { eci: {x, y, z} km in the equatorial frame of date,
+ *   eclipticLongitude, rightAscension, declination (degrees), distance (km) }
+ */
+export function getSunPosition(date) {
+    const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // days since J2000
+
+    const meanLongitude = 280.460 + 0.9856474 * n;
+    const meanAnomaly = (357.528 + 0.9856003 * n) * DEG_TO_RAD;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG_TO_RAD;
+    const obliquity = (23.439 - 0.0000004 * n) * DEG_TO_RAD;
+    const distanceAU = 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly);
+    const distance = distanceAU * ASTRONOMICAL_UNIT;
+
+    const x = distance * Math.cos(eclipticLongitude);
+    const y = distance * Math.cos(obliquity) * Math.sin(eclipticLongitude);
+    const z = distance * Math.sin(obliquity) * Math.sin(eclipticLongitude);
+
+    let rightAscension = Math.atan2(y, x) * RAD_TO_DEG;
+    if (rightAscension < 0) rightAscension += 360;
+
+    let longitudeDeg = (eclipticLongitude * RAD_TO_DEG) % 360;
+    if (longitudeDeg < 0) longitudeDeg += 360;
+
+    return {
+        eci: { x, y, z },
+        eclipticLongitude: longitudeDeg,
+        rightAscension,
+        declination: Math.asin(z / distance) * RAD_TO_DEG,
+        distance
+    };
+}
+
+/**
+ * Find the point on Earth where the Sun is directly overhead
+ * @param {Date} date - Date (UTC)
+ * @returns {Object} {latitude, longitude} in degrees (longitude in [-180, 180))
+ */
+export function getSubsolarPoint(date) {
+    const sun = getSunPosition(date);
+    const gmst = greenwichSiderealTime(dateToJulianDate(date)) * RAD_TO_DEG;
+    const longitude = ((((sun.rightAscension - gmst + 180) % 360) + 360) % 360) - 180;
+
+    return { latitude: sun.declination, longitude };
+}
+
+export default {
+    getSunPosition,
+    getSubsolarPoint
+};
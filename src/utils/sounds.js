@@ -174,6 +174,15 @@ export function playSuccessSound() {
     setTimeout(() => playTone(1200, 0.12, 0.25, 'sine'), 120);
 }
 
+/**
+ * Play alert sound (event notifications)
+ */
+export function playAlertSound() {
+    playTone(880, 0.12, 0.25, 'triangle');
+    setTimeout(() => playTone(660, 0.12, 0.25, 'triangle'), 150);
+    setTimeout(() => playTone(880, 0.18, 0.25, 'triangle'), 300);
+}
+
 // Export default object
 export default {
     initSounds,
@@ -187,5 +196,6 @@ export default {
     playStyleChangeSound,
     playTimeSpeedSound,
     playErrorSound,
-    playSuccessSound
+    playSuccessSound,
+    playAlertSound
 };
@@ -0,0 +1,243 @@
+/**
+ * Star Catalog Module
+ * Turns the bundled Hipparcos stars (brightStars.js) into what the starfield draws:
+ * directions in the scene's ecliptic J2000 frame, point sizes from magnitude, colors from
+ * the B-V index, and the constellation figures with their names.
+ * Also parses the Hipparcos main catalogue (hip_main.dat) and GeoJSON Hipparcos star lists
+ * for scripts/buildStarCatalog.js.
+ *
+ * @module starCatalog
+ */
+
+import { BRIGHT_STARS } from './brightStars.js';
+import { sphericalToCartesian, equatorialToEcliptic, cartesianToSpherical } from './frames.js';
+import { validateNumber, ValidationError } from './validation.js';
+import { DEG_TO_RAD } from './constants.js';
+
+/**
+ * Faintest magnitude drawn (about the naked-eye limit under a dark sky)
+ */
+export const LIMITING_MAGNITUDE = 6.5;
+
+/**
+ * Epoch of the Hipparcos positions (Julian years)
+ */
+const HIPPARCOS_EPOCH = 1991.25;
+
+/**
+ * Constellation figures: polylines through stars, by HIP number
+ */
+export const CONSTELLATIONS = [
+    { abbr: 'And', name: 'Andromeda', lines: [[677, 3092, 5447, 9640]] },
+    { abbr: 'Aql', name: 'Aquila', lines: [[97278, 97649, 98036]] },
+    { abbr: 'Aur', name: 'Auriga', lines: [[24608, 28360, 28380, 25428, 23015, 24608]] },
+    { abbr: 'Boo', name: 'Boötes', lines: [[67927, 69673, 72105, 74666, 73555, 71075, 71053, 69673]] },
+    { abbr: 'CMa', name: 'Canis Major', lines: [[30324, 32349, 34444, 33579], [34444, 35904]] },
+    { abbr: 'CMi', name: 'Canis Minor', lines: [[37279, 36188]] },
+    { abbr: 'Cas', name: 'Cassiopeia', lines: [[746, 3179, 4427, 6686, 8886]] },
+    { abbr: 'Cen', name: 'Centaurus', lines: [[71683, 68702]] },
+    { abbr: 'Cru', name: 'Crux', lines: [[60718, 61084], [62434, 59747]] },
+    { abbr: 'Cyg', name: 'Cygnus', lines: [[102098, 100453, 95947], [97165, 100453, 102488]] },
+    { abbr: 'Gem', name: 'Gemini', lines: [[36850, 32246, 30343], [37826, 35550, 31681], [36850, 37826]] },
+    { abbr: 'Leo', name: 'Leo', lines: [[49669, 49583, 50583, 50335, 48455, 47908], [50583, 54872, 57632, 54879, 49669]] },
+    { abbr: 'Lyr', name: 'Lyra', lines: [[91262, 91971, 92420, 93194, 92791, 91971]] },
+    { abbr: 'Ori', name: 'Orion', lines: [[26207, 27989, 26727, 27366], [26207, 25336, 25930, 24436], [27989, 25336], [25930, 26311, 26727]] },
+    { abbr: 'Peg', name: 'Pegasus', lines: [[113963, 113881, 677, 1067, 113963]] },
+    { abbr: 'Per', name: 'Perseus', lines: [[14328, 15863, 17358], [15863, 14576]] },
+    { abbr: 'Sco', name: 'Scorpius', lines: [[78820, 78401, 78265], [78401, 80112, 80763, 81266, 82396, 82514, 82729, 84143, 86228, 87073, 86670, 85927]] },
+    { abbr: 'Sgr', name: 'Sagittarius', lines: [[88635, 89931, 90496, 92041, 92855, 93864, 93506, 90185, 88635], [89931, 92041, 93506], [89931, 90185]] },
+    { abbr: 'Tau', name: 'Taurus', lines: [[25428, 20889, 20455, 20205], [20205, 21421, 26451]] },
+    { abbr: 'UMa', name: 'Ursa Major', lines: [[54061, 53910, 58001, 59774, 54061], [59774, 62956, 65378, 67301]] },
+    { abbr: 'UMi', name: 'Ursa Minor', lines: [[11767, 85822, 82080, 77055, 72607, 75097, 79822, 77055]] }
+];
+
+/**
+ * Star object from a data row
+ * @param {Array} row - [HIP, right ascension, declination, V, B-V]
+ * @returns {Object} Star
+ */
+function toStar([hip, rightAscension, declination, magnitude, colorIndex]) {
+    return { hip, rightAscension, declination, magnitude, colorIndex };
+}
+
+/**
+ * Catalog stars brighter than a magnitude
+ * @param {number} limitingMagnitude - Faintest magnitude (default: LIMITING_MAGNITUDE)
+ * @returns {Array<Object>} Stars {hip, rightAscension, declination (deg), magnitude, colorIndex (B-V or null)}
+ */
+export function getCatalogStars(limitingMagnitude = LIMITING_MAGNITUDE) {
+    validateNumber(limitingMagnitude, 'limitingMagnitude');
+    return BRIGHT_STARS.filter(row => row[3] <= limitingMagnitude).map(toStar);
+}
+
+/**
+ * Direction of a star in the scene's frame (ecliptic J2000)
+ * @param {Object} star - Star {rightAscension, declination}
+ * @returns {Object} Unit vector {x, y, z}
+ */
+export function getStarDirection(star) {
+    return equatorialToEcliptic(sphericalToCartesian(star.rightAscension, star.declination));
+}
+
+/**
+ * Point size for a magnitude: about 4 px for Sirius, 1 px from magnitude 5.5
+ * @param {number} magnitude - V magnitude
+ * @returns {number} Size in pixels
+ */
+export function magnitudeToSize(magnitude) {
+    return Math.max(1, Math.min(4.5, 3.5 - 0.45 * magnitude));
+}
+
+/**
+ * Relative brightness for a magnitude, compressed so faint stars stay visible
+ * @param {number} magnitude - V magnitude
+ * @returns {number} Brightness from 0.3 (limit) to 1 (magnitude 1 and brighter)
+ */
+export function magnitudeToBrightness(magnitude) {
+    return Math.max(0.3, Math.min(1, 1 - 0.7 * (magnitude - 1) / (LIMITING_MAGNITUDE - 1)));
+}
+
+/**
+ * Star color from its B-V index
+ * B-V to temperature after Ballesteros (2012), temperature to RGB with a fit to
+ * blackbody colors, then softened toward white as stars look to the eye
+ * @param {number|null} colorIndex - B-V color index (null: white)
+ * @returns {Object} Color {r, g, b} from 0 to 1
+ */
+export function bvToColor(colorIndex) {
+    if (colorIndex === null || colorIndex === undefined || !Number.isFinite(colorIndex)) {
+        return { r: 1, g: 1, b: 1 };
+    }
+
+    const bv = Math.max(-0.4, Math.min(2.0, colorIndex));
+    const temperature = 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62));
+    const t = temperature / 100;
+    const clamp = value => Math.max(0, Math.min(255, value)) / 255;
+
+    const r = t <= 66 ? 1 : clamp(329.698727446 * Math.pow(t - 60, -0.1332047592));
+    const g = t <= 66
+        ? clamp(99.4708025861 * Math.log(t) - 161.1195681661)
+        : clamp(288.1221695283 * Math.pow(t - 60, -0.0755148492));
+    const b = t >= 66 ? 1 : (t <= 19 ? 0 : clamp(138.5177312231 * Math.log(t - 10) - 305.0447927307));
+
+    const soften = value => 0.5 + 0.5 * value;
+    return { r: soften(r), g: soften(g), b: soften(b) };
+}
+
+/**
+ * Constellation figures as line segments between star directions
+ * Segments whose stars are not in the catalog are left out
+ * @returns {Array<Object>} Figures {abbr, name, segments: [[from, to], ...] (unit vectors), center (unit vector)}
+ */
+export function getConstellationFigures() {
+    const stars = new Map(BRIGHT_STARS.map(row => [row[0], getStarDirection(toStar(row))]));
+
+    return CONSTELLATIONS.map(({ abbr, name, lines }) => {
+        const segments = [];
+        const used = new Map();
+        lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const from = stars.get(line[i - 1]);
+                const to = stars.get(line[i]);
+                if (from && to) {
+                    segments.push([from, to]);
+                    used.set(line[i - 1], from);
+                    used.set(line[i], to);
+                }
+            }
+        });
+
+        // Label at the mean direction of the figure's stars
+        const sum = { x: 0, y: 0, z: 0 };
+        used.forEach(direction => {
+            sum.x += direction.x;
+            sum.y += direction.y;
+            sum.z += direction.z;
+        });
+        const { longitude, latitude } = cartesianToSpherical(sum);
+        return { abbr, name, segments, center: sphericalToCartesian(longitude, latitude) };
+    }).filter(figure => figure.segments.length > 0);
+}
+
+/**
+ * Parse the Hipparcos main catalogue (hip_main.dat, CDS I/239)
+ * Positions are moved from the catalogue epoch (J1991.25) to J2000 with the proper motions.
+ * @param {string} text - Catalogue text (pipe-separated fields H0-H77)
+ * @param {number} limitingMagnitude - Faintest V magnitude kept (default: LIMITING_MAGNITUDE)
+ * @returns {Array<Array>} Rows [HIP, right ascension (deg), declination (deg), V, B-V or null], by HIP number
+ * @throws {ValidationError} If no stars could be read
+ */
+export function parseHipparcosCatalog(text, limitingMagnitude = LIMITING_MAGNITUDE) {
+    validateNumber(limitingMagnitude, 'limitingMagnitude');
+    const years = 2000 - HIPPARCOS_EPOCH;
+    const rows = [];
+
+    String(text).split('\n').forEach(line => {
+        const fields = line.split('|');
+        if (fields.length < 38 || fields[0].trim() !== 'H') return;
+
+        const [hip, magnitude, rightAscension, declination] = [fields[1], fields[5], fields[8], fields[9]].map(field => parseFloat(field));
+        if (![hip, magnitude, rightAscension, declination].every(Number.isFinite) || magnitude > limitingMagnitude) return;
+
+        // Proper motions in mas/yr; the one in right ascension already includes cos(declination)
+        const pmRA = parseFloat(fields[12]) || 0;
+        const pmDec = parseFloat(fields[13]) || 0;
+        const dec = declination + pmDec * years / 3.6e6;
+        const ra = rightAscension + pmRA * years / 3.6e6 / Math.cos(declination * DEG_TO_RAD);
+        const colorIndex = parseFloat(fields[37]);
+
+        rows.push([hip, ((ra % 360) + 360) % 360, dec, magnitude, Number.isFinite(colorIndex) ? colorIndex : null]);
+    });
+
+    if (rows.length === 0) {
+        throw new ValidationError('No Hipparcos stars found in the catalogue text', 'text', 'hip_main.dat', String(text).slice(0, 80));
+    }
+    return rows.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Parse a GeoJSON list of Hipparcos stars (e.g. stars.8.json from d3-celestial, drawn from XHIP, CDS V/137D)
+ * Positions are already J2000; right ascension may be given from -180° to 180°.
+ * @param {string} text - FeatureCollection of Point features with the HIP number as id and properties mag and bv
+ * @param {number} limitingMagnitude - Faintest V magnitude kept (default: LIMITING_MAGNITUDE)
+ * @returns {Array<Array>} Rows [HIP, right ascension (deg), declination (deg), V, B-V or null], by HIP number
+ * @throws {ValidationError} If the text is not JSON or no stars could be read
+ */
+export function parseStarGeoJSON(text, limitingMagnitude = LIMITING_MAGNITUDE) {
+    validateNumber(limitingMagnitude, 'limitingMagnitude');
+    let collection;
+    try {
+        collection = JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Star list is not valid JSON: ${error.message}`, 'text', 'GeoJSON', String(text).slice(0, 80));
+    }
+
+    const rows = [];
+    (Array.isArray(collection?.features) ? collection.features : []).forEach(feature => {
+        const hip = Number(feature?.id);
+        const magnitude = parseFloat(feature?.properties?.mag);
+        const [rightAscension, declination] = feature?.geometry?.coordinates ?? [];
+        if (!Number.isInteger(hip) || hip <= 0 || ![magnitude, rightAscension, declination].every(Number.isFinite) || magnitude > limitingMagnitude) return;
+
+        const colorIndex = parseFloat(feature.properties.bv);
+        rows.push([hip, rightAscension < 0 ? rightAscension + 360 : rightAscension, declination, magnitude, Number.isFinite(colorIndex) ? colorIndex : null]);
+    });
+
+    if (rows.length === 0) {
+        throw new ValidationError('No Hipparcos stars found in the star list', 'text', 'GeoJSON FeatureCollection', String(text).slice(0, 80));
+    }
+    return rows.sort((a, b) => a[0] - b[0]);
+}
+
+export default {
+    LIMITING_MAGNITUDE,
+    CONSTELLATIONS,
+    getCatalogStars,
+    getStarDirection,
+    magnitudeToSize,
+    magnitudeToBrightness,
+    bvToColor,
+    getConstellationFigures,
+    parseHipparcosCatalog,
+    parseStarGeoJSON
+};
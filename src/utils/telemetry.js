@@ -0,0 +1,395 @@
+/**
+ * Telemetry Recording Module
+ * Keeps a rolling log of validated ISS positions in the browser (localStorage) and
+ * converts it to and from JSON or CSV so sessions can be exported and replayed.
+ *
+ * @module telemetry
+ */
+
+import { validateArray, validateCoordinates, validateNumber, ValidationError } from './validation.js';
+
+/**
+ * localStorage key for the recorded samples
+ */
+const STORAGE_KEY = 'issTelemetry';
+
+/**
+ * Maximum samples kept (~5.5 hours at the 5-second update interval); oldest are dropped first
+ */
+const MAX_SAMPLES = 4000;
+
+/**
+ * Longest time new samples wait before being written to localStorage (ms)
+ * The whole log is rewritten on each save, so samples are batched; stopping and page unload save at once
+ */
+const SAVE_INTERVAL = 60000;
+
+/**
+ * Columns of a telemetry sample, in CSV order
+ */
+export const TELEMETRY_FIELDS = ['timestamp', 'latitude', 'longitude', 'altitude', 'velocity', 'source'];
+
+/**
+ * Identifier written into exported JSON files
+ */
+const JSON_FORMAT = 'iss-telemetry';
+
+/**
+ * Build a telemetry sample from a position
+ * @param {Object} position - Position {latitude, longitude, altitude, velocity, timestamp}
+ * @param {string} source - Where the position came from (provider name)
+ * @returns {Object} Sample with TELEMETRY_FIELDS
+ * @throws {ValidationError} If the position is invalid
+ */
+export function createSample(position, source = position.provider || 'unknown') {
+    validateCoordinates(position.latitude, position.longitude);
+    validateNumber(position.timestamp, 'timestamp');
+
+    return {
+        timestamp: position.timestamp,
+        latitude: position.latitude,
+        longitude: position.longitude,
+        altitude: Number.isFinite(position.altitude) ? position.altitude : null,
+        velocity: Number.isFinite(position.velocity) ? position.velocity : null,
+        source: String(source)
+    };
+}
+
+/**
+ * Convert samples to CSV (header row plus one row per sample)
+ * @param {Array<Object>} samples - Telemetry samples
+ * @returns {string} CSV text
+ */
+export function telemetryToCSV(samples) {
+    validateArray(samples, 'samples');
+
+    const rows = samples.map(sample => TELEMETRY_FIELDS.map(field => {
+        const value = sample[field];
+        if (value === null || value === undefined) return '';
+        // Quote text that could break the row
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','));
+
+    return [TELEMETRY_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Split one CSV line into cells (handles quoted cells)
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Cells
+ */
+function splitCSVLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+    return cells;
+}
+
+/**
+ * Parse CSV produced by telemetryToCSV() (columns may be in any order)
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Samples sorted by timestamp
+ * @throws {ValidationError} If required columns are missing or a row is invalid
+ */
+export function parseTelemetryCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw new ValidationError('Telemetry CSV is empty', 'text', 'CSV with header row', text);
+    }
+
+    const header = splitCSVLine(lines[0]).map(name => name.trim());
+    ['timestamp', 'latitude', 'longitude'].forEach(required => {
+        if (!header.includes(required)) {
+            throw new ValidationError(`Telemetry CSV is missing the ${required} column`, 'text', 'CSV with header row', header);
+        }
+    });
+
+    const samples = lines.slice(1).map(line => {
+        const cells = splitCSVLine(line);
+        const row = {};
+        header.forEach((name, index) => {
+            row[name] = cells[index] ?? '';
+        });
+
+        return createSample({
+            timestamp: Number(row.timestamp),
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            altitude: row.altitude === '' || row.altitude === undefined ? null : Number(row.altitude),
+            velocity: row.velocity === '' || row.velocity === undefined ? null : Number(row.velocity)
+        }, row.source || 'unknown');
+    });
+
+    return samples.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse exported JSON (either {format, samples} or a bare array of samples)
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Samples sorted by timestamp
+ * @throws {ValidationError|SyntaxError} If the JSON is invalid
+ */
+export function parseTelemetryJSON(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data && data.samples;
+    validateArray(list, 'samples');
+
+    return list
+        .map(sample => createSample(sample, sample.source || sample.provider || 'unknown'))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse telemetry in either format (detected from the first character)
+ * @param {string} text - JSON or CSV text
+ * @returns {Array<Object>} Samples sorted by timestamp
+ */
+export function parseTelemetry(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('{') || trimmed.startsWith('[')
+        ? parseTelemetryJSON(trimmed)
+        : parseTelemetryCSV(trimmed);
+}
+
+/**
+ * Telemetry recorder
+ * Stores samples in memory and mirrors them to localStorage
+ */
+class TelemetryRecorder {
+    constructor() {
+        this.samples = [];
+        this.enabled = true;
+        this.changeCallbacks = [];
+        this.saveTimer = null; // Pending batched save, while there are unsaved samples
+        this.load();
+    }
+
+    /**
+     * Load saved samples from localStorage (ignored if missing or corrupt)
+     */
+    load() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null;
+            if (saved) {
+                this.samples = parseTelemetryJSON(saved);
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring saved ISS telemetry:', error.message);
+            this.samples = [];
+        }
+    }
+
+    /**
+     * Save samples to localStorage
+     * @private
+     */
+    save() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.samples));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save ISS telemetry:', error.message);
+        }
+    }
+
+    /**
+     * Save within SAVE_INTERVAL, once for all the samples recorded meanwhile
+     * @private
+     */
+    scheduleSave() {
+        if (this.saveTimer === null) {
+            this.saveTimer = setTimeout(() => this.save(), SAVE_INTERVAL);
+            // Under Node (tests, scripts) a pending save must not keep the process alive
+            this.saveTimer.unref?.();
+        }
+    }
+
+    /**
+     * Save any samples still waiting for the batched save
+     */
+    flush() {
+        if (this.saveTimer !== null) {
+            this.save();
+        }
+    }
+
+    /**
+     * Record a validated position
+     * @param {Object} position - Position {latitude, longitude, altitude, velocity, timestamp, provider}
+     * @returns {Object|null} The stored sample, or null if recording is off or the timestamp was already recorded
+     */
+    record(position) {
+        if (!this.enabled) return null;
+
+        const sample = createSample(position);
+        const last = this.samples[this.samples.length - 1];
+        if (last && last.timestamp === sample.timestamp) return null; // Same API sample fetched twice
+
+        this.samples.push(sample);
+        if (this.samples.length > MAX_SAMPLES) {
+            this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+        }
+
+        this.scheduleSave();
+        this.notifyCallbacks();
+        return sample;
+    }
+
+    /**
+     * Get recorded samples (oldest first)
+     * @returns {Array<Object>} Copy of the samples
+     */
+    getSamples() {
+        return [...this.samples];
+    }
+
+    /**
+     * Number of recorded samples
+     * @returns {number} Sample count
+     */
+    getCount() {
+        return this.samples.length;
+    }
+
+    /**
+     * Turn recording on or off
+     * @param {boolean} enabled - Whether new positions are recorded
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        if (!this.enabled) {
+            this.flush();
+        }
+        console.log(`📼 ISS telemetry recording ${this.enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Check whether recording is on
+     * @returns {boolean} True if recording
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Delete all recorded samples
+     */
+    clear() {
+        this.samples = [];
+        this.save();
+        this.notifyCallbacks();
+    }
+
+    /**
+     * Export the recording as JSON
+     * @returns {string} JSON text
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: JSON_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            fields: TELEMETRY_FIELDS,
+            samples: this.samples
+        }, null, 2);
+    }
+
+    /**
+     * Export the recording as CSV
+     * @returns {string} CSV text
+     */
+    exportCSV() {
+        return telemetryToCSV(this.samples);
+    }
+
+    /**
+     * Replace the recording with imported JSON or CSV
+     * @param {string} text - File contents
+     * @returns {number} Number of samples imported
+     * @throws {ValidationError|SyntaxError} If the file can't be parsed
+     */
+    importText(text) {
+        const samples = parseTelemetry(text);
+        this.samples = samples.slice(-MAX_SAMPLES);
+        this.save();
+        this.notifyCallbacks();
+        console.log(`📼 Imported ${this.samples.length} ISS telemetry samples`);
+        return this.samples.length;
+    }
+
+    /**
+     * Register a callback for recording changes
+     * @param {Function} callback - Called with the sample count
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Unregister a change callback
+     * @param {Function} callback - Callback to remove
+     */
+    offChange(callback) {
+        const index = this.changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            this.changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify listeners of a change
+     * @private
+     */
+    notifyCallbacks() {
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(this.samples.length);
+            } catch (error) {
+                console.error('Error in telemetry callback:', error);
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const telemetryRecorder = new TelemetryRecorder();
+
+// Save the samples of the last batch when the page closes
+if (typeof window !== 'undefined') {
+    window.addEventListener('beforeunload', () => telemetryRecorder.flush());
+}
+
+// Export singleton and class
+export { telemetryRecorder, TelemetryRecorder };
+export default telemetryRecorder;
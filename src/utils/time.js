@@ -1,22 +1,58 @@
 /**
  * Time Management Module
- * Handles simulation time acceleration, delta time, and pause/play functionality
+ * Handles simulation time acceleration (forwards or backwards), delta time, and pause/play functionality
+ *
+ * The simulation clock advances in fixed steps of real time (SIMULATION.FIXED_TIMESTEP), however
+ * long the frames are, so a run depends only on the time that passed and not on the frame rate.
+ * Rendering reads the time interpolated toward the next step, which stays smooth between steps.
+ * Real time comes from an injectable time source: tests and repeatable screenshots swap the system
+ * clock for a manual one (createManualTimeSource) that only moves when told to.
  */
 
-import { SIMULATION, daysToMs } from './constants.js';
-import { validateNumber, validatePositive } from './validation.js';
+import { SIMULATION, J2000_EPOCH_MS, daysToMs } from './constants.js';
+import { validateNumber, validatePositive, ValidationError } from './validation.js';
+
+/**
+ * Time source that reads the system clock
+ */
+const systemTimeSource = {
+    now: () => Date.now()
+};
+
+/**
+ * Create a time source that only moves when told to
+ * @param {number} startMs - Starting time in ms since 1970 (default: the J2000 epoch)
+ * @returns {{now: Function, advance: Function, set: Function}} Time source; advance(ms) moves it on, set(ms) jumps
+ */
+function createManualTimeSource(startMs = J2000_EPOCH_MS) {
+    let time = validateNumber(startMs, 'startMs');
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += validateNumber(ms, 'ms');
+            return time;
+        },
+        set: (ms) => {
+            time = validateNumber(ms, 'ms');
+            return time;
+        }
+    };
+}
 
 /**
  * Time manager class for simulation time control
  */
 class TimeManager {
-    constructor() {
-        // Real-world time tracking
-        this.lastRealTime = Date.now();
-        this.currentRealTime = Date.now();
+    /**
+     * @param {Object} timeSource - Real time source with a now() method returning ms (default: the system clock)
+     */
+    constructor(timeSource = systemTimeSource) {
+        this.setTimeSource(timeSource);
 
         // Simulation time tracking
-        this.simulationTime = 0; // milliseconds since simulation start
+        this.simulationTime = 0; // milliseconds since J2000, as rendered (interpolated toward the next step)
+        this.stepTime = 0; // milliseconds since J2000 at the last fixed step
+        this.accumulator = 0; // Real milliseconds not yet stepped
         this.timeSpeed = SIMULATION.DEFAULT_TIME_SPEED;
         this.isPaused = false;
 
@@ -27,27 +63,79 @@ class TimeManager {
         // Performance tracking
         this.fps = 0;
         this.frameCount = 0;
-        this.lastFpsUpdate = Date.now();
+    }
+
+    /**
+     * Use a different source of real time (resets the frame timing)
+     * @param {Object} timeSource - Object with a now() method returning ms
+     * @throws {ValidationError} If the source has no now() method
+     */
+    setTimeSource(timeSource) {
+        if (typeof timeSource?.now !== 'function') {
+            throw new ValidationError('timeSource must have a now() method', 'timeSource', 'object with now()', timeSource);
+        }
+        this.timeSource = timeSource;
+        this.lastRealTime = this.now();
+        this.currentRealTime = this.lastRealTime;
+        this.lastFpsUpdate = this.lastRealTime;
+    }
+
+    /**
+     * Get the current real time from the time source
+     * @returns {number} Milliseconds since 1970
+     */
+    now() {
+        return this.timeSource.now();
     }
 
     /**
      * Update time on each animation frame
-     * Call this at the start of your render loop
+     * Call this at the start of your render loop. Runs as many fixed steps as the real time allows
+     * and interpolates the rendered time toward the next one. A long frame runs at most
+     * SIMULATION.MAX_STEPS_PER_FRAME steps, but the clock still moves by all of the real time that passed.
+     * @param {number} frameDelta - Real milliseconds since the last frame (default: measured with the time source)
+     * @param {Function} onStep - Called after each step with (step length in real ms, simulation time) (optional)
+     * @returns {number} Number of steps run
      */
-    update() {
+    update(frameDelta = undefined, onStep = null) {
         // Calculate real delta time
-        this.currentRealTime = Date.now();
-        this.deltaTime = this.currentRealTime - this.lastRealTime;
+        this.currentRealTime = this.now();
+        const elapsed = frameDelta === undefined ? this.currentRealTime - this.lastRealTime : frameDelta;
         this.lastRealTime = this.currentRealTime;
 
-        // Calculate simulation delta time
-        if (!this.isPaused) {
-            this.simulationDelta = this.deltaTime * this.timeSpeed;
-            this.simulationTime += this.simulationDelta;
-        } else {
-            this.simulationDelta = 0;
+        // Bank the real time
+        const step = SIMULATION.FIXED_TIMESTEP;
+        this.deltaTime = Math.max(0, elapsed);
+        this.accumulator += this.deltaTime;
+
+        // Past the step cap, move the clock through the extra steps without running them,
+        // so it keeps up with the time source on slow frames
+        const frameStartTime = this.simulationTime;
+        const skipped = Math.floor(this.accumulator / step) - SIMULATION.MAX_STEPS_PER_FRAME;
+        if (skipped > 0) {
+            this.accumulator -= skipped * step;
+            if (!this.isPaused) {
+                this.stepTime += skipped * step * this.timeSpeed;
+            }
+        }
+
+        // Advance the simulation clock in fixed steps
+        let steps = 0;
+        while (this.accumulator >= step) {
+            this.accumulator -= step;
+            if (!this.isPaused) {
+                this.stepTime += step * this.timeSpeed;
+            }
+            steps++;
+            if (onStep) {
+                onStep(step, this.stepTime);
+            }
         }
 
+        // Render partway to the next step
+        this.simulationTime = this.isPaused ? this.stepTime : this.stepTime + this.accumulator * this.timeSpeed;
+        this.simulationDelta = this.simulationTime - frameStartTime;
+
         // Update FPS counter
         this.frameCount++;
         const fpsDelta = this.currentRealTime - this.lastFpsUpdate;
@@ -56,6 +144,8 @@ class TimeManager {
             this.frameCount = 0;
             this.lastFpsUpdate = this.currentRealTime;
         }
+
+        return steps;
     }
 
     /**
@@ -84,7 +174,7 @@ class TimeManager {
 
     /**
      * Get simulation delta time (accelerated time for physics)
-     * @returns {number} Accelerated time since last frame
+     * @returns {number} Accelerated time since last frame (negative when time runs backwards)
      */
     getSimulationDelta() {
         return this.simulationDelta;
@@ -92,7 +182,7 @@ class TimeManager {
 
     /**
      * Get current time speed multiplier
-     * @returns {number} Current speed (1x to 50,000x)
+     * @returns {number} Current speed (1x to 500,000x, negative when time runs backwards)
      */
     getTimeSpeed() {
         return this.timeSpeed;
@@ -100,20 +190,57 @@ class TimeManager {
 
     /**
      * Set time speed multiplier
-     * @param {number} speed - New speed (will be clamped to valid range)
+     * The sign sets the direction (negative runs time backwards); zero keeps the current direction.
+     * @param {number} speed - New speed (magnitude will be clamped to valid range)
      * @throws {ValidationError} If speed is not a valid number
      */
     setTimeSpeed(speed) {
         // Validate input is a number
         validateNumber(speed, 'speed');
 
-        // Clamp to valid range
-        this.timeSpeed = Math.max(
+        // Clamp the magnitude to the valid range, keeping the direction
+        const direction = speed === 0 ? this.getTimeDirection() : Math.sign(speed);
+        this.timeSpeed = direction * Math.max(
             SIMULATION.MIN_TIME_SPEED,
-            Math.min(SIMULATION.MAX_TIME_SPEED, speed)
+            Math.min(SIMULATION.MAX_TIME_SPEED, Math.abs(speed))
         );
     }
 
+    /**
+     * Get the direction time runs in
+     * @returns {number} 1 forwards, -1 backwards
+     */
+    getTimeDirection() {
+        return this.timeSpeed < 0 ? -1 : 1;
+    }
+
+    /**
+     * Set the direction time runs in, keeping the speed
+     * @param {number} direction - 1 (or any positive number) forwards, -1 (or any negative number) backwards
+     * @throws {ValidationError} If direction is not a valid number
+     */
+    setTimeDirection(direction) {
+        validateNumber(direction, 'direction');
+        this.timeSpeed = (direction < 0 ? -1 : 1) * Math.abs(this.timeSpeed);
+    }
+
+    /**
+     * Check if time runs backwards
+     * @returns {boolean} True if the speed is negative
+     */
+    isReversed() {
+        return this.timeSpeed < 0;
+    }
+
+    /**
+     * Flip the direction time runs in (rewind / play forwards)
+     * @returns {boolean} True if time now runs backwards
+     */
+    reverse() {
+        this.timeSpeed = -this.timeSpeed;
+        return this.isReversed();
+    }
+
     /**
      * Get current FPS
      * @returns {number} Frames per second
@@ -134,6 +261,11 @@ class TimeManager {
      * Pause the simulation
      */
     pause() {
+        // Hold the clock at the time being shown, not at the last whole step
+        if (!this.isPaused) {
+            this.stepTime = this.simulationTime;
+            this.accumulator = 0;
+        }
         this.isPaused = true;
     }
 
@@ -143,7 +275,7 @@ class TimeManager {
     play() {
         this.isPaused = false;
         // Reset last time to prevent time jump
-        this.lastRealTime = Date.now();
+        this.lastRealTime = this.now();
     }
 
     /**
@@ -161,9 +293,10 @@ class TimeManager {
      * Reset simulation time to zero
      */
     reset() {
-        this.simulationTime = 0;
-        this.lastRealTime = Date.now();
-        this.currentRealTime = Date.now();
+        this.setSimulationTime(0);
+        this.accumulator = 0;
+        this.lastRealTime = this.now();
+        this.currentRealTime = this.lastRealTime;
         this.deltaTime = 0;
         this.simulationDelta = 0;
     }
@@ -173,6 +306,7 @@ class TimeManager {
      * @param {number} timeMs - Time in milliseconds
      */
     setSimulationTime(timeMs) {
+        this.stepTime = timeMs;
         this.simulationTime = timeMs;
     }
 
@@ -185,7 +319,7 @@ class TimeManager {
         const J2000_EPOCH = new Date('2000-01-01T12:00:00Z');
 
         // Set simulation time to milliseconds since J2000 epoch
-        this.simulationTime = Date.now() - J2000_EPOCH.getTime();
+        this.setSimulationTime(this.now() - J2000_EPOCH.getTime());
 
         console.log('⏰ Simulation time reset to current real-world time');
         console.log(`   Simulation time: ${this.formatSimulationTime()} since J2000 epoch`);
@@ -215,10 +349,10 @@ class TimeManager {
 
     /**
      * Format time speed as human-readable string
-     * @returns {string} Formatted speed (e.g., "500x")
+     * @returns {string} Formatted speed (e.g., "500x", "-1.5kx" when running backwards)
      */
     formatTimeSpeed() {
-        if (this.timeSpeed >= 1000) {
+        if (Math.abs(this.timeSpeed) >= 1000) {
             return `${(this.timeSpeed / 1000).toFixed(1)}kx`;
         }
         return `${this.timeSpeed}x`;
@@ -275,7 +409,7 @@ class TimeManager {
         }
 
         // Calculate milliseconds since J2000 epoch
-        this.simulationTime = targetDate.getTime() - J2000_EPOCH.getTime();
+        this.setSimulationTime(targetDate.getTime() - J2000_EPOCH.getTime());
 
         console.log(`⏰ Simulation time set to: ${this.formatSimulationDate()}`);
     }
@@ -302,5 +436,5 @@ class TimeManager {
 const timeManager = new TimeManager();
 
 // Export singleton and class
-export { timeManager, TimeManager };
+export { timeManager, TimeManager, systemTimeSource, createManualTimeSource };
 export default timeManager;
@@ -0,0 +1,360 @@
+/**
+ * Timeline Events Module
+ * Astronomical events for the timeline scrubber: planets at conjunction and opposition,
+ * planet-planet conjunctions, solar and lunar eclipses, equinoxes and solstices, and ISS passes.
+ *
+ * Conjunctions and oppositions with the Sun and eclipses come from the event search engine
+ * (eventSearch.js). Planet pairs use the threshold test in orbital.js (isConjunction) on
+ * the Keplerian longitudes to find each pass's window, then the closest moment inside it;
+ * seasons are where the Sun's longitude crosses a multiple of 90°. Times are good to minutes
+ * for seasons and eclipses, an hour or so for alignments with the Sun, and can be half a
+ * day out for slow planet pairs such as Jupiter and Saturn.
+ *
+ * @module timelineEvents
+ */
+
+import { PLANETS, DEG_TO_RAD, RAD_TO_DEG } from './constants.js';
+import { calculatePlanetPosition } from './orbitalElements.js';
+import { isConjunction } from './orbital.js';
+import { getSunPosition } from './solar.js';
+import { findConjunctions, findOppositions, findEclipses as searchEclipses } from './eventSearch.js';
+import { validateRange, ValidationError } from './validation.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Longest range searched at once (days)
+ */
+const MAX_SEARCH_DAYS = 3660;
+
+/**
+ * Planet pairs tested for conjunctions with each other (as seen from Earth)
+ */
+const PAIR_PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn'];
+
+/**
+ * Window threshold for planet pairs (radians), sampled twice a day
+ */
+const PAIR_THRESHOLD = 4 * DEG_TO_RAD;
+const PAIR_STEP_DAYS = 0.5;
+
+/**
+ * Scan margin around the range so windows straddling its ends are seen whole (days):
+ * slow pairs such as Jupiter and Saturn stay within a few degrees for months
+ */
+const PAIR_SCAN_MARGIN_DAYS = 150;
+
+/**
+ * Event types with their display names
+ */
+export const TIMELINE_EVENT_TYPES = {
+    conjunction: 'Conjunction',
+    opposition: 'Opposition',
+    'solar-eclipse': 'Solar eclipse',
+    'lunar-eclipse': 'Lunar eclipse',
+    equinox: 'Equinox',
+    solstice: 'Solstice',
+    'iss-pass': 'ISS pass'
+};
+
+/**
+ * Check that a date is valid
+ * @param {Date} date - Date to check
+ * @param {string} paramName - Parameter name for the error
+ * @throws {ValidationError} If the date is invalid
+ */
+function validateDate(date, paramName) {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new ValidationError(`${paramName} must be a valid Date`, paramName, 'Date', date);
+    }
+}
+
+/**
+ * Check a search range
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @throws {ValidationError} If the range is invalid or too long
+ */
+function validateSearchRange(startDate, endDate) {
+    validateDate(startDate, 'startDate');
+    validateDate(endDate, 'endDate');
+    validateRange((endDate - startDate) / DAY_MS, 0, MAX_SEARCH_DAYS, 'time range (days)');
+}
+
+/**
+ * Wrap an angle to [-π, π)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Wrapped angle
+ */
+function wrapAngle(angle) {
+    return ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+}
+
+/**
+ * Time of the smallest value of a function near a sample (golden-section search)
+ * @param {Function} valueAt - Function of time (ms), unimodal in the bracket
+ * @param {number} t0 - Start of the bracket (ms)
+ * @param {number} t1 - End of the bracket (ms)
+ * @returns {number} Time of the minimum (ms)
+ */
+function findMinimum(valueAt, t0, t1) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = t0;
+    let b = t1;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = valueAt(c);
+    let fd = valueAt(d);
+
+    while (b - a > 60000) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b - ratio * (b - a);
+            fc = valueAt(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a + ratio * (b - a);
+            fd = valueAt(d);
+        }
+    }
+    return (a + b) / 2;
+}
+
+/**
+ * Times of every local minimum of a function inside a window
+ * (a planet pair can pass three times in one window while one of them loops back)
+ * @param {Function} valueAt - Function of time (ms)
+ * @param {number} first - First sample of the window (ms)
+ * @param {number} last - Last sample of the window (ms)
+ * @param {number} stepMs - Sampling step (ms)
+ * @returns {Array<number>} Times of the minima (ms)
+ */
+function findMinima(valueAt, first, last, stepMs) {
+    const times = [];
+    for (let time = first - stepMs; time <= last + stepMs; time += stepMs) {
+        times.push(time);
+    }
+    const values = times.map(valueAt);
+
+    const minima = [];
+    for (let i = 1; i < times.length - 1; i++) {
+        if (values[i] <= values[i - 1] && values[i] < values[i + 1]) {
+            minima.push(findMinimum(valueAt, times[i - 1], times[i + 1]));
+        }
+    }
+    return minima;
+}
+
+/**
+ * Time a steadily increasing angle crosses a value (bisection)
+ * @param {Function} angleAt - Function of time (ms) returning degrees
+ * @param {number} target - Angle to cross (degrees)
+ * @param {number} t0 - Time before the crossing (ms)
+ * @param {number} t1 - Time after the crossing (ms)
+ * @returns {number} Crossing time (ms)
+ */
+function findCrossing(angleAt, target, t0, t1) {
+    while (t1 - t0 > 30000) {
+        const mid = (t0 + t1) / 2;
+        // Signed distance past the target, wrapped so 359° is just before 0°
+        const past = ((angleAt(mid) - target + 540) % 360) - 180;
+        if (past < 0) {
+            t0 = mid;
+        } else {
+            t1 = mid;
+        }
+    }
+    return (t0 + t1) / 2;
+}
+
+/**
+ * Windows where a test holds, sampled over a time span
+ * @param {Function} testAt - Function of time (ms) returning a boolean
+ * @param {number} start - First sample (ms)
+ * @param {number} end - Last sample (ms)
+ * @param {number} stepMs - Sampling step (ms)
+ * @returns {Array<Array<number>>} [first, last] sample times of each window that opened and closed inside the span
+ */
+function findWindows(testAt, start, end, stepMs) {
+    const windows = [];
+    let openSince = testAt(start) ? null : undefined; // null: already open at the start, ignored
+    for (let time = start + stepMs; time <= end; time += stepMs) {
+        const inside = testAt(time);
+        if (inside && openSince === undefined) {
+            openSince = time;
+        } else if (!inside && openSince !== undefined) {
+            if (openSince !== null) windows.push([openSince, time - stepMs]);
+            openSince = undefined;
+        }
+    }
+    return windows;
+}
+
+/**
+ * Geocentric ecliptic direction of a planet
+ * @param {string} planetKey - Planet identifier
+ * @param {number} time - Time (ms)
+ * @returns {Object} {longitude (radians), vector {x, y, z} (AU)}
+ */
+function geocentric(planetKey, time) {
+    const date = new Date(time);
+    const earth = calculatePlanetPosition('earth', date);
+    const planet = calculatePlanetPosition(planetKey, date);
+    const vector = { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z };
+    return { longitude: Math.atan2(vector.y, vector.x), vector };
+}
+
+/**
+ * Angle between two vectors
+ * @param {Object} a - Vector {x, y, z}
+ * @param {Object} b - Vector {x, y, z}
+ * @returns {number} Angle in degrees
+ */
+function angleBetween(a, b) {
+    const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+    const cosine = dot / (Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z));
+    return Math.acos(Math.max(-1, Math.min(1, cosine))) * RAD_TO_DEG;
+}
+
+/**
+ * Planets lined up with Earth and the Sun, and planets passing each other in Earth's sky
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @returns {Array<Object>} Events {type, time (Date), label, detail, bodies} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than ten years
+ */
+export function findPlanetAlignments(startDate, endDate) {
+    validateSearchRange(startDate, endDate);
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+
+    // Lined up with the Sun: solved exactly by the event search
+    const events = [...findConjunctions(startDate, endDate), ...findOppositions(startDate, endDate)]
+        .map(({ type, time, label, detail, bodies }) => ({ type, time, label, detail, bodies }));
+
+    // Two planets at the same longitude in Earth's sky
+    const pairStep = PAIR_STEP_DAYS * DAY_MS;
+    const pairScanStart = start - PAIR_SCAN_MARGIN_DAYS * DAY_MS;
+    const pairScanEnd = end + PAIR_SCAN_MARGIN_DAYS * DAY_MS;
+    const geocentricCache = new Map();
+    const geocentricAt = (planetKey, time) => {
+        const key = `${planetKey}:${time}`;
+        if (!geocentricCache.has(key)) geocentricCache.set(key, geocentric(planetKey, time).longitude);
+        return geocentricCache.get(key);
+    };
+
+    PAIR_PLANETS.forEach((first, index) => {
+        PAIR_PLANETS.slice(index + 1).forEach(second => {
+            const testAt = (time) => isConjunction(geocentricAt(first, time), geocentricAt(second, time), PAIR_THRESHOLD);
+            const separationAt = (time) => Math.abs(wrapAngle(geocentric(first, time).longitude - geocentric(second, time).longitude));
+
+            findWindows(testAt, pairScanStart, pairScanEnd, pairStep).forEach(([windowStart, windowEnd]) => {
+                findMinima(separationAt, windowStart, windowEnd, pairStep).forEach(time => {
+                    // The planets can close in and part again without passing (a retrograde loop)
+                    if (time < start || time >= end || separationAt(time) > 0.05 * DEG_TO_RAD) return;
+
+                    const separation = angleBetween(geocentric(first, time).vector, geocentric(second, time).vector);
+                    events.push({
+                        type: 'conjunction',
+                        time: new Date(time),
+                        label: `${PLANETS[first].name} and ${PLANETS[second].name} in conjunction`,
+                        detail: `${separation.toFixed(2)}° apart`,
+                        bodies: ['earth', first, second]
+                    });
+                });
+            });
+        });
+    });
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Solar and lunar eclipses at their greatest (see findEclipses in eventSearch.js)
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @returns {Array<Object>} Events {type, time (Date, greatest eclipse), label, detail, bodies, kind} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than ten years
+ */
+export function findEclipses(startDate, endDate) {
+    validateSearchRange(startDate, endDate);
+    return searchEclipses(startDate, endDate).map(({ type, time, label, detail, bodies, kind }) => ({ type, time, label, detail, bodies, kind }));
+}
+
+/**
+ * Equinoxes and solstices (the Sun's longitude at 0°, 90°, 180° and 270°)
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @returns {Array<Object>} Events {type, time (Date), label, detail, bodies} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than ten years
+ */
+export function findSeasons(startDate, endDate) {
+    validateSearchRange(startDate, endDate);
+    const start = startDate.getTime();
+    const end = endDate.getTime();
+    const names = ['March equinox', 'June solstice', 'September equinox', 'December solstice'];
+    const longitudeAt = (time) => getSunPosition(new Date(time)).eclipticLongitude;
+    const events = [];
+
+    let previousQuarter = Math.floor(longitudeAt(start) / 90);
+    for (let t0 = start; t0 < end; t0 += DAY_MS) {
+        const t1 = Math.min(t0 + DAY_MS, end);
+        const quarter = Math.floor(longitudeAt(t1) / 90);
+        if (quarter !== previousQuarter) {
+            const time = findCrossing(longitudeAt, quarter * 90, t0, t1);
+            events.push({
+                type: quarter % 2 === 0 ? 'equinox' : 'solstice',
+                time: new Date(time),
+                label: names[quarter],
+                detail: `Sun at ecliptic longitude ${quarter * 90}°`,
+                bodies: ['sun', 'earth']
+            });
+        }
+        previousQuarter = quarter;
+    }
+
+    return events;
+}
+
+/**
+ * Every sky event in a range (alignments, eclipses and seasons)
+ * @param {Date} startDate - Start of the search
+ * @param {Date} endDate - End of the search
+ * @returns {Array<Object>} Events {type, time (Date), label, detail, bodies} sorted by time
+ * @throws {ValidationError} If the range is invalid or longer than ten years
+ */
+export function findSkyEvents(startDate, endDate) {
+    return [
+        ...findPlanetAlignments(startDate, endDate),
+        ...findEclipses(startDate, endDate),
+        ...findSeasons(startDate, endDate)
+    ].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Timeline events for predicted ISS passes
+ * @param {Array<Object>} passes - Passes from predictPasses()
+ * @returns {Array<Object>} Events {type: 'iss-pass', time (Date, culmination), label, detail, bodies}
+ */
+export function passesToEvents(passes) {
+    return passes.map(pass => ({
+        type: 'iss-pass',
+        time: pass.culmination.time,
+        label: `ISS pass, ${Math.round(pass.maxElevation)}° high${pass.isVisible ? ' (visible)' : ''}`,
+        detail: `${pass.rise.time.toISOString().slice(11, 16)}–${pass.set.time.toISOString().slice(11, 16)} UTC`,
+        bodies: ['earth', 'iss']
+    }));
+}
+
+export default {
+    TIMELINE_EVENT_TYPES,
+    findPlanetAlignments,
+    findEclipses,
+    findSeasons,
+    findSkyEvents,
+    passesToEvents
+};
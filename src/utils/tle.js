@@ -0,0 +1,218 @@
+/**
+ * Two-Line Element (TLE) Parsing Module
+ *
+ * Parses NORAD two-line element sets into a plain elements object that the
+ * SGP4 propagator can initialize from.
+ *
+ * TLE format reference:
+ * - https://celestrak.org/columns/v04n03/
+ * - "Revisiting Spacetrack Report #3" (Vallado et al., 2006)
+ *
+ * @module tle
+ */
+
+import { ValidationError, validateString } from './validation.js';
+import { DEG_TO_RAD, TWO_PI } from './constants.js';
+
+/**
+ * Minutes in a day (mean motion is given in revolutions per day)
+ */
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Compute the modulo-10 checksum of a TLE line
+ * Digits count as their value, minus signs count as 1, everything else as 0.
+ * @param {string} line - TLE line (only the first 68 characters are summed)
+ * @returns {number} Checksum digit (0-9)
+ */
+export function computeTLEChecksum(line) {
+    let sum = 0;
+    for (let i = 0; i < 68 && i < line.length; i++) {
+        const char = line[i];
+        if (char >= '0' && char <= '9') {
+            sum += Number(char);
+        } else if (char === '-') {
+            sum += 1;
+        }
+    }
+    return sum % 10;
+}
+
+/**
+ * Parse a TLE field written with an implied leading decimal point and
+ * a signed exponent (e.g. " 59442-4" => 0.59442e-4)
+ * @param {string} field - Raw field text
+ * @returns {number} Parsed value
+ */
+function parseImpliedDecimal(field) {
+    const text = field.trim();
+    if (text === '' || /^[+-]?0+[+-]?0*$/.test(text)) {
+        return 0;
+    }
+
+    const match = text.match(/^([+-]?)(\d+)([+-]\d+)$/);
+    if (!match) {
+        throw new ValidationError(`Invalid TLE exponent field: "${field}"`, 'field', 'implied decimal', field);
+    }
+
+    const [, sign, mantissa, exponent] = match;
+    return Number(`${sign}0.${mantissa}e${exponent}`);
+}
+
+/**
+ * Parse a numeric TLE field, throwing a ValidationError if it is not a number
+ * @param {string} line - TLE line
+ * @param {number} start - Start column (0-based, inclusive)
+ * @param {number} end - End column (0-based, exclusive)
+ * @param {string} fieldName - Field name for error messages
+ * @returns {number} Parsed value
+ */
+function parseField(line, start, end, fieldName) {
+    const value = Number(line.substring(start, end).trim());
+    if (!Number.isFinite(value)) {
+        throw new ValidationError(`Invalid TLE ${fieldName}: "${line.substring(start, end)}"`, fieldName, 'number', line.substring(start, end));
+    }
+    return value;
+}
+
+/**
+ * Convert TLE epoch (2-digit year + fractional day of year) to a Date
+ * Years 57-99 map to 1957-1999, 00-56 map to 2000-2056 (NORAD convention)
+ * @param {number} epochYear - Two-digit epoch year
+ * @param {number} epochDay - Day of year with fractional part (1.0 = Jan 1 00:00 UTC)
+ * @returns {Date} Epoch as a UTC Date
+ */
+export function tleEpochToDate(epochYear, epochDay) {
+    const fullYear = epochYear < 57 ? 2000 + epochYear : 1900 + epochYear;
+    const yearStart = Date.UTC(fullYear, 0, 1);
+    return new Date(yearStart + (epochDay - 1) * 86400000);
+}
+
+/**
+ * Parse a two-line element set
+ * @param {string} line1 - First TLE line (starts with "1 ")
+ * @param {string} line2 - Second TLE line (starts with "2 ")
+ * @param {string} name - Optional satellite name (the "line 0" of a 3LE)
+ * @param {Object} options - Parse options
+ * @param {boolean} options.verifyChecksum - Reject lines with a bad checksum (default: true)
+ * @returns {Object} Parsed elements (angles in radians, mean motion in rad/min)
+ * @throws {ValidationError} If the lines are malformed
+ */
+export function parseTLE(line1, line2, name = '', options = {}) {
+    const { verifyChecksum = true } = options;
+
+    validateString(line1, 'line1', 69);
+    validateString(line2, 'line2', 69);
+
+    const l1 = line1.trimEnd();
+    const l2 = line2.trimEnd();
+
+    if (l1[0] !== '1' || l2[0] !== '2') {
+        throw new ValidationError('TLE lines must start with "1" and "2"', 'line1', 'TLE line', l1[0]);
+    }
+
+    if (verifyChecksum) {
+        [l1, l2].forEach((line, index) => {
+            const expected = Number(line[68]);
+            const actual = computeTLEChecksum(line);
+            if (expected !== actual) {
+                throw new ValidationError(
+                    `TLE line ${index + 1} checksum mismatch (expected ${expected}, computed ${actual})`,
+                    `line${index + 1}`,
+                    'valid checksum',
+                    line
+                );
+            }
+        });
+    }
+
+    const satelliteNumber = l1.substring(2, 7).trim();
+    if (satelliteNumber !== l2.substring(2, 7).trim()) {
+        throw new ValidationError('TLE lines describe different satellites', 'line2', satelliteNumber, l2.substring(2, 7));
+    }
+
+    const epochYear = parseField(l1, 18, 20, 'epochYear');
+    const epochDay = parseField(l1, 20, 32, 'epochDay');
+    const epoch = tleEpochToDate(epochYear, epochDay);
+
+    const meanMotionRevPerDay = parseField(l2, 52, 63, 'meanMotion');
+    if (meanMotionRevPerDay <= 0) {
+        throw new ValidationError('TLE mean motion must be positive', 'meanMotion', 'positive number', meanMotionRevPerDay);
+    }
+
+    return {
+        name: name.trim() || satelliteNumber,
+        satelliteNumber,
+        classification: l1[7],
+        internationalDesignator: l1.substring(9, 17).trim(),
+        epoch,
+        epochJulian: epoch.getTime() / 86400000 + 2440587.5,
+        // First and second derivatives of mean motion (rev/day², rev/day³)
+        meanMotionDot: parseField(l1, 33, 43, 'meanMotionDot'),
+        meanMotionDDot: parseImpliedDecimal(l1.substring(44, 52)),
+        bstar: parseImpliedDecimal(l1.substring(53, 61)),
+        elementSetNumber: parseField(l1, 64, 68, 'elementSetNumber'),
+        inclination: parseField(l2, 8, 16, 'inclination') * DEG_TO_RAD,
+        rightAscension: parseField(l2, 17, 25, 'rightAscension') * DEG_TO_RAD,
+        eccentricity: Number(`0.${l2.substring(26, 33).trim()}`),
+        argumentOfPerigee: parseField(l2, 34, 42, 'argumentOfPerigee') * DEG_TO_RAD,
+        meanAnomaly: parseField(l2, 43, 51, 'meanAnomaly') * DEG_TO_RAD,
+        meanMotionRevPerDay,
+        meanMotion: meanMotionRevPerDay * TWO_PI / MINUTES_PER_DAY, // rad/min
+        revolutionNumber: parseField(l2, 63, 68, 'revolutionNumber'),
+        line1: l1,
+        line2: l2
+    };
+}
+
+/**
+ * Parse a block of text containing one or more TLEs (2LE or 3LE format)
+ * Invalid entries are skipped with a warning rather than aborting the batch.
+ * @param {string} text - Raw TLE text (e.g. a CelesTrak download)
+ * @returns {Array<Object>} Parsed element sets
+ */
+export function parseTLEText(text) {
+    validateString(text, 'text');
+
+    const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.length > 0);
+    const results = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        let name = '';
+        if (!lines[i].startsWith('1 ')) {
+            name = lines[i].replace(/^0 /, '');
+            i++;
+        }
+
+        const line1 = lines[i];
+        const line2 = lines[i + 1];
+        if (!line1 || !line2) break;
+
+        try {
+            results.push(parseTLE(line1, line2, name));
+        } catch (error) {
+            console.warn(`⚠️ Skipping invalid TLE${name ? ` "${name}"` : ''}: ${error.message}`);
+        }
+        i++;
+    }
+
+    return results;
+}
+
+/**
+ * Get the age of a TLE relative to a date
+ * @param {Object} elements - Parsed TLE elements
+ * @param {Date} date - Reference date (default: now)
+ * @returns {number} Age in days (negative if the date is before the epoch)
+ */
+export function getTLEAgeDays(elements, date = new Date()) {
+    return (date.getTime() - elements.epoch.getTime()) / 86400000;
+}
+
+export default {
+    computeTLEChecksum,
+    tleEpochToDate,
+    parseTLE,
+    parseTLEText,
+    getTLEAgeDays
+};
@@ -0,0 +1,266 @@
+/**
+ * Guided Tour Scripts
+ * A tour is a JSON object {title, description, steps} played in order by the tour player
+ * (src/modules/tourPlayer.js). Each step has an "action":
+ *   caption - {title?, text, duration} narration shown for duration ms
+ *   camera  - {target, distance, direction, duration, follow} fly to a body and follow it; distance
+ *             is in radii of its bounding sphere (Saturn's takes in the rings), direction points
+ *             from the body to the camera. Or {position, lookAt, duration} to fly to a point
+ *             (AU, scene axes: y is ecliptic north)
+ *   time    - {date} jump to an ISO 8601 date, or "now"
+ *   speed   - {speed} set the time speed (negative runs time backwards)
+ *   style   - {style} switch the visual style
+ *   wait    - {duration} hold for duration ms
+ * Durations are milliseconds of real time. parseTour() checks a script and fills in the defaults;
+ * the bundled tours in TOURS are written the same way, so they double as examples.
+ */
+
+import { PLANETS, MAJOR_MOONS, STYLES, SIMULATION } from './constants.js';
+import { validateObject, validateArray, validateString, validateNumber, validateRange, ValidationError } from './validation.js';
+
+/**
+ * Step actions and what they do
+ */
+export const TOUR_ACTIONS = {
+    caption: 'Show narration',
+    camera: 'Fly the camera',
+    time: 'Jump in time',
+    speed: 'Set the time speed',
+    style: 'Switch the visual style',
+    wait: 'Hold'
+};
+
+/**
+ * Bodies a camera step can fly to
+ */
+export const TOUR_BODIES = ['sun', ...Object.keys(PLANETS), 'moon', ...Object.keys(MAJOR_MOONS), 'iss'];
+
+const MAX_STEP_DURATION = 600000; // 10 minutes
+const CAPTION_DURATION = 6000;
+const CAMERA_DURATION = 3000;
+const CAMERA_DISTANCE = 4; // Bounding radii of the target
+const CAMERA_DIRECTION = [0.3, 0.4, 1]; // Behind and above, like clicking a body
+
+/**
+ * Check a vector of three numbers
+ * @param {*} value - Value to check
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {Array<number>} Copy of the vector
+ * @throws {ValidationError} If it is not three numbers
+ */
+function validateVector(value, paramName) {
+    validateArray(value, paramName, 3, 3);
+    value.forEach((component, i) => validateNumber(component, `${paramName}[${i}]`));
+    return [...value];
+}
+
+/**
+ * Check a step duration
+ * @param {*} value - Duration in ms, or undefined for the default
+ * @param {number} defaultDuration - Default duration in ms
+ * @param {string} paramName - Parameter name for error messages
+ * @returns {number} Duration in ms
+ * @throws {ValidationError} If the duration is invalid
+ */
+function validateDuration(value, defaultDuration, paramName) {
+    if (value === undefined) return defaultDuration;
+    return validateRange(value, 0, MAX_STEP_DURATION, paramName);
+}
+
+/**
+ * Check a camera step and fill in its defaults
+ * @param {Object} step - Camera step
+ * @param {string} name - Step name for error messages
+ * @returns {Object} Normalized camera step
+ * @throws {ValidationError} If the step is invalid
+ */
+function parseCameraStep(step, name) {
+    const duration = validateDuration(step.duration, CAMERA_DURATION, `${name}.duration`);
+
+    if (step.position !== undefined) {
+        return {
+            action: 'camera',
+            position: validateVector(step.position, `${name}.position`),
+            lookAt: step.lookAt === undefined ? [0, 0, 0] : validateVector(step.lookAt, `${name}.lookAt`),
+            duration
+        };
+    }
+
+    validateString(step.target, `${name}.target`, 1);
+    if (!TOUR_BODIES.includes(step.target)) {
+        throw new ValidationError(`Unknown body: ${step.target}`, `${name}.target`, TOUR_BODIES.join(', '), step.target);
+    }
+    const direction = step.direction === undefined ? CAMERA_DIRECTION : validateVector(step.direction, `${name}.direction`);
+    const length = Math.hypot(...direction);
+    if (length === 0) {
+        throw new ValidationError(`${name}.direction must not be zero`, `${name}.direction`, 'non-zero vector', step.direction);
+    }
+    if (step.follow !== undefined && typeof step.follow !== 'boolean') {
+        throw new ValidationError(`${name}.follow must be a boolean`, `${name}.follow`, 'boolean', step.follow);
+    }
+
+    return {
+        action: 'camera',
+        target: step.target,
+        distance: step.distance === undefined ? CAMERA_DISTANCE : validateRange(step.distance, 0.1, 1000, `${name}.distance`),
+        direction: direction.map(component => component / length),
+        duration,
+        follow: step.follow !== false
+    };
+}
+
+/**
+ * Check a step and fill in its defaults
+ * @param {Object} step - Tour step
+ * @param {number} index - Step index
+ * @returns {Object} Normalized step
+ * @throws {ValidationError} If the step is invalid
+ */
+function parseStep(step, index) {
+    const name = `steps[${index}]`;
+    validateObject(step, ['action'], name);
+
+    switch (step.action) {
+        case 'caption':
+            return {
+                action: 'caption',
+                title: step.title === undefined ? '' : validateString(step.title, `${name}.title`),
+                text: validateString(step.text, `${name}.text`, 1),
+                duration: validateDuration(step.duration, CAPTION_DURATION, `${name}.duration`)
+            };
+
+        case 'camera':
+            return parseCameraStep(step, name);
+
+        case 'time':
+            validateString(step.date, `${name}.date`, 1);
+            if (step.date !== 'now' && isNaN(new Date(step.date).getTime())) {
+                throw new ValidationError(`${name}.date must be an ISO 8601 date or "now"`, `${name}.date`, 'ISO 8601 date', step.date);
+            }
+            return { action: 'time', date: step.date };
+
+        case 'speed':
+            validateRange(Math.abs(validateNumber(step.speed, `${name}.speed`)), SIMULATION.MIN_TIME_SPEED, SIMULATION.MAX_TIME_SPEED, `${name}.speed`);
+            return { action: 'speed', speed: step.speed };
+
+        case 'style':
+            validateString(step.style, `${name}.style`, 1);
+            if (!STYLES[step.style]) {
+                throw new ValidationError(`Unknown style: ${step.style}`, `${name}.style`, Object.keys(STYLES).join(', '), step.style);
+            }
+            return { action: 'style', style: step.style };
+
+        case 'wait':
+            if (step.duration === undefined) {
+                throw new ValidationError(`${name}.duration is required`, `${name}.duration`, 'number', step.duration);
+            }
+            return { action: 'wait', duration: validateDuration(step.duration, 0, `${name}.duration`) };
+
+        default:
+            throw new ValidationError(`Unknown action: ${step.action}`, `${name}.action`, Object.keys(TOUR_ACTIONS).join(', '), step.action);
+    }
+}
+
+/**
+ * Check a tour script and fill in the step defaults
+ * @param {string|Object} script - Tour as JSON text or a parsed object
+ * @returns {{title: string, description: string, steps: Array<Object>}} Normalized tour
+ * @throws {ValidationError} If the script is not valid JSON or not a valid tour
+ */
+export function parseTour(script) {
+    let tour = script;
+    if (typeof script === 'string') {
+        try {
+            tour = JSON.parse(script);
+        } catch (error) {
+            throw new ValidationError(`Tour is not valid JSON: ${error.message}`, 'tour', 'JSON', script);
+        }
+    }
+
+    validateObject(tour, ['title', 'steps'], 'tour');
+    validateArray(tour.steps, 'tour.steps', 1);
+
+    return {
+        title: validateString(tour.title, 'tour.title', 1),
+        description: tour.description === undefined ? '' : validateString(tour.description, 'tour.description'),
+        steps: tour.steps.map(parseStep)
+    };
+}
+
+/**
+ * Real time a tour takes to play (camera flights, captions and holds; style switches add a little)
+ * @param {Object} tour - Normalized tour from parseTour()
+ * @returns {number} Duration in ms
+ */
+export function getTourDuration(tour) {
+    return tour.steps.reduce((total, step) => total + (step.duration || 0), 0);
+}
+
+/**
+ * Grand Tour of the Planets: out from the Sun past every planet
+ */
+const GRAND_TOUR = {
+    title: 'Grand Tour of the Planets',
+    description: 'Fly out from the Sun past all eight planets',
+    steps: [
+        { action: 'style', style: 'realistic' },
+        { action: 'speed', speed: 100000 },
+        { action: 'camera', position: [0, 2.5, 4], duration: 4000 },
+        { action: 'caption', title: 'Grand Tour of the Planets', text: 'Eight planets circle the Sun. Time is running 100,000 times faster than normal, so the inner planets race around their orbits while the outer ones barely move.', duration: 9000 },
+        { action: 'speed', speed: 2000 },
+        { action: 'camera', target: 'mercury', distance: 5 },
+        { action: 'caption', title: 'Mercury', text: 'The smallest planet and the closest to the Sun, Mercury goes round in 88 days. With almost no air to hold heat, its surface swings from 430 °C by day to −180 °C at night.' },
+        { action: 'camera', target: 'venus', distance: 4, direction: [-0.3, 0.3, 1] },
+        { action: 'caption', title: 'Venus', text: 'Thick clouds of sulfuric acid over a carbon dioxide atmosphere make Venus the hottest planet, about 465 °C at the surface. It spins backwards, and so slowly that its day is longer than its year.' },
+        { action: 'camera', target: 'earth', distance: 4 },
+        { action: 'caption', title: 'Earth', text: 'Home, and the only world known to have life. Look for the Moon nearby and the International Space Station circling just above the atmosphere.' },
+        { action: 'camera', target: 'mars', distance: 5, direction: [0.5, 0.3, 1] },
+        { action: 'caption', title: 'Mars', text: 'Iron oxide dust makes Mars red. It has the tallest volcano in the solar system, Olympus Mons, about 22 km high, and two small moons, Phobos and Deimos.' },
+        { action: 'camera', target: 'jupiter', distance: 4, duration: 4000 },
+        { action: 'caption', title: 'Jupiter', text: 'Jupiter has more than twice the mass of all the other planets put together. Its Great Red Spot is a storm wider than Earth, and its four large Galilean moons can be seen from Earth with binoculars.', duration: 7000 },
+        { action: 'camera', target: 'saturn', distance: 3, direction: [0.3, 0.6, 1], duration: 4000 },
+        { action: 'caption', title: 'Saturn', text: 'Saturn\'s rings are mostly water ice. They stretch some 280,000 km across but are mostly only about ten meters thick. The planet itself is less dense than water.', duration: 7000 },
+        { action: 'camera', target: 'uranus', distance: 4, duration: 4000 },
+        { action: 'caption', title: 'Uranus', text: 'Uranus is tipped over by 98°, so it rolls around the Sun on its side. Each pole has 42 years of sunlight followed by 42 years of darkness.' },
+        { action: 'camera', target: 'neptune', distance: 5, duration: 4000 },
+        { action: 'caption', title: 'Neptune', text: 'The outermost planet takes 165 years to go round once. It was found in 1846 by mathematics before anyone saw it, and its winds blow at over 2,000 km/h.' },
+        { action: 'speed', speed: 500000 },
+        { action: 'camera', position: [0, 25, 45], duration: 5000 },
+        { action: 'caption', title: 'The whole solar system', text: 'Light from the Sun takes over four hours to reach Neptune. That is the end of the tour - explore on your own from here.', duration: 8000 }
+    ]
+};
+
+/**
+ * Follow the ISS for one orbit: about 93 minutes, played at 60x
+ */
+const ISS_ORBIT_TOUR = {
+    title: 'Follow the ISS for one orbit',
+    description: 'Ride along with the space station around the Earth',
+    steps: [
+        { action: 'time', date: 'now' },
+        { action: 'speed', speed: 1 },
+        { action: 'camera', target: 'iss', distance: 8, direction: [0.3, 0.3, 1], duration: 4000 },
+        { action: 'caption', title: 'Follow the ISS for one orbit', text: 'This is the International Space Station right now, about 420 km above the Earth and moving at 7.7 km/s.', duration: 7000 },
+        { action: 'speed', speed: 60 },
+        { action: 'caption', text: 'Time now runs 60 times faster: a minute every second. One trip around the Earth takes about an hour and a half.', duration: 25000 },
+        { action: 'camera', target: 'earth', distance: 4, direction: [0, 0.8, 1] },
+        { action: 'caption', text: 'Sixteen orbits a day means sixteen sunrises and sixteen sunsets for the crew, each day and night lasting about 45 minutes.', duration: 35000 },
+        { action: 'caption', text: 'The Earth turns about 23° beneath the station every orbit, so each ground track passes further west than the one before.', duration: 33000 },
+        { action: 'speed', speed: 1 },
+        { action: 'camera', target: 'iss', distance: 8, direction: [0.3, 0.3, 1], duration: 4000 },
+        { action: 'caption', title: 'One orbit later', text: 'The station is back where it started, on its next lap around the planet.', duration: 7000 }
+    ]
+};
+
+/**
+ * Bundled tours
+ */
+export const TOURS = [GRAND_TOUR, ISS_ORBIT_TOUR].map(parseTour);
+
+export default {
+    TOUR_ACTIONS,
+    TOUR_BODIES,
+    TOURS,
+    parseTour,
+    getTourDuration
+};
@@ -3,6 +3,8 @@
  * Allows users to share their current view with others
  */
 
+import { syncTimeSpeedControls } from '../modules/ui-controls.js';
+
 /**
  * Current view state
  */
@@ -168,14 +170,9 @@ export function applyStateFromURL(state, app) {
     // Apply time speed
     if (state.timeSpeed && app.timeManager) {
         app.timeManager.setTimeSpeed(state.timeSpeed);
+        syncTimeSpeedControls();
 
-        // Update UI
-        const slider = document.getElementById('time-speed');
-        const speedValue = document.getElementById('speed-value');
-        if (slider) slider.value = state.timeSpeed;
-        if (speedValue) speedValue.textContent = `${state.timeSpeed}x`;
-
-        console.log(`  ✓ Time speed set to ${state.timeSpeed}x`);
+        console.log(`  ✓ Time speed set to ${app.timeManager.getTimeSpeed()}x`);
     }
 
     // Apply visual style
@@ -0,0 +1,57 @@
+/**
+ * Download the JPL Horizons reference vectors used by ephemerisValidation.test.js
+ * Writes one heliocentric ecliptic VECTORS table per planet barycenter (1800-2050, every
+ * 1000 days so the samples fall at different orbital phases) to tests/fixtures/horizons.
+ *
+ * Needs network access; run once and commit the files:
+ *   npm run fetch:horizons
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { HORIZONS_TARGETS, parseHorizonsVectors } from '../../src/utils/ephemerisValidation.js';
+
+const API_URL = 'https://ssd.jpl.nasa.gov/api/horizons.api';
+const OUTPUT_DIR = fileURLToPath(new URL('./horizons/', import.meta.url));
+
+const QUERY = {
+  format: 'text',
+  OBJ_DATA: 'NO',
+  MAKE_EPHEM: 'YES',
+  EPHEM_TYPE: 'VECTORS',
+  CENTER: '500@10',
+  REF_PLANE: 'ECLIPTIC',
+  REF_SYSTEM: 'ICRF',
+  START_TIME: '1800-01-01',
+  STOP_TIME: '2050-12-31',
+  STEP_SIZE: '1000 d',
+  VEC_TABLE: '1',
+  OUT_UNITS: 'AU-D',
+  CSV_FORMAT: 'YES'
+};
+
+/**
+ * Request the table of one target
+ * @param {string} targetId - Horizons ID
+ * @returns {Promise<string>} Horizons output
+ */
+async function fetchVectors(targetId) {
+  const params = new URLSearchParams();
+  Object.entries({ ...QUERY, COMMAND: targetId }).forEach(([key, value]) => {
+    params.set(key, key === 'format' ? value : `'${value}'`);
+  });
+
+  const response = await fetch(`${API_URL}?${params}`);
+  if (!response.ok) {
+    throw new Error(`Horizons request for ${targetId} failed: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+await mkdir(OUTPUT_DIR, { recursive: true });
+
+for (const [planetKey, targetId] of Object.entries(HORIZONS_TARGETS)) {
+  const text = await fetchVectors(targetId);
+  const { rows } = parseHorizonsVectors(text); // Fails before writing a file the tests cannot read
+  await writeFile(`${OUTPUT_DIR}${planetKey}.txt`, text);
+  console.log(`✅ ${planetKey}: ${rows.length} vectors`);
+}
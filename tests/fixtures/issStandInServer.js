@@ -0,0 +1,119 @@
+/**
+ * Local stand-in for the ISS position services
+ * Serves Open Notify and wheretheiss.at-style responses (positions propagated from the
+ * bundled TLE), a TLE file and a short recording, so every provider can be exercised offline.
+ *
+ * Each route can be switched into a failure mode to test failover:
+ *   'ok' (default), 'error' (HTTP 500), 'malformed' (invalid body) or 'hang' (never responds)
+ *
+ * Run standalone for manual testing:
+ *   node tests/fixtures/issStandInServer.js [port]
+ * then point API.ISS_PROVIDERS at the printed URLs.
+ */
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { ISS_TLE } from '../../src/utils/constants.js';
+import { parseTLE } from '../../src/utils/tle.js';
+import { initializeSGP4, propagateToGeodetic } from '../../src/utils/sgp4.js';
+
+const satrec = initializeSGP4({ ...parseTLE(ISS_TLE.LINE1, ISS_TLE.LINE2, ISS_TLE.NAME), bstar: 0 });
+
+const ROUTES = {
+  '/iss-now.json': () => {
+    const state = propagateToGeodetic(satrec, new Date());
+    return {
+      body: JSON.stringify({
+        message: 'success',
+        timestamp: Math.floor(state.timestamp / 1000),
+        iss_position: { latitude: state.latitude.toFixed(4), longitude: state.longitude.toFixed(4) }
+      })
+    };
+  },
+  '/v1/satellites/25544': () => {
+    const state = propagateToGeodetic(satrec, new Date());
+    return {
+      body: JSON.stringify({
+        name: 'iss',
+        id: 25544,
+        latitude: state.latitude,
+        longitude: state.longitude,
+        altitude: state.altitude,
+        velocity: state.velocity,
+        visibility: 'daylight',
+        timestamp: Math.floor(state.timestamp / 1000),
+        units: 'kilometers'
+      })
+    };
+  },
+  '/tle': () => ({
+    contentType: 'text/plain',
+    body: `${ISS_TLE.NAME}\n${ISS_TLE.LINE1}\n${ISS_TLE.LINE2}\n`
+  }),
+  '/recording.json': () => {
+    const start = Date.now() - 60000;
+    const samples = [0, 20000, 40000, 60000].map(offset => {
+      const state = propagateToGeodetic(satrec, new Date(start + offset));
+      return { latitude: state.latitude, longitude: state.longitude, altitude: state.altitude, timestamp: start + offset };
+    });
+    return { body: JSON.stringify(samples) };
+  }
+};
+
+/**
+ * Start the stand-in server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (default: 0 = any free port)
+ * @returns {Promise<Object>} { url, requests, setMode(path, mode), close() }
+ */
+export function startStandInServer({ port = 0 } = {}) {
+  const modes = {};
+  const requests = {};
+
+  const server = http.createServer((request, response) => {
+    const path = new URL(request.url, 'http://localhost').pathname;
+    const route = ROUTES[path];
+    requests[path] = (requests[path] || 0) + 1;
+
+    if (!route) {
+      response.writeHead(404);
+      response.end('Not found');
+      return;
+    }
+
+    const mode = modes[path] || 'ok';
+    if (mode === 'hang') return;
+    if (mode === 'error') {
+      response.writeHead(500, { 'Content-Type': 'text/plain' });
+      response.end('Internal Server Error');
+      return;
+    }
+
+    const { body, contentType = 'application/json' } = route();
+    response.writeHead(200, { 'Content-Type': contentType, 'Access-Control-Allow-Origin': '*' });
+    response.end(mode === 'malformed' ? '{"message": "success", "iss_pos' : body);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        requests,
+        setMode(path, mode) {
+          modes[path] = mode;
+        },
+        close() {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+// Standalone mode
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = await startStandInServer({ port: Number(process.argv[2]) || 8787 });
+  console.log(`🛰️ ISS stand-in server listening on ${server.url}`);
+  Object.keys(ROUTES).forEach(path => console.log(`   ${server.url}${path}`));
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for attitude.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const T0 = Date.UTC(2019, 5, 6, 0, 0, 0);
+const INCLINATION = 51.6 * Math.PI / 180;
+
+// Circular orbit at the ascending node: position on +X, moving north-east
+const POSITION = { x: 6790, y: 0, z: 0 };
+const VELOCITY = { x: 0, y: 7.66 * Math.cos(INCLINATION), z: 7.66 * Math.sin(INCLINATION) };
+const ORBIT_NORMAL = { x: 0, y: -Math.sin(INCLINATION), z: Math.cos(INCLINATION) };
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+describe('LVLH Frame', () => {
+  test('should build orthonormal XVV axes', async () => {
+    const { computeLVLHFrame } = await import('../../src/utils/attitude.js');
+    const frame = computeLVLHFrame(POSITION, VELOCITY);
+
+    ['x', 'y', 'z'].forEach(axis => expect(dot(frame[axis], frame[axis])).toBeCloseTo(1, 12));
+    expect(dot(frame.x, frame.y)).toBeCloseTo(0, 12);
+    expect(dot(frame.y, frame.z)).toBeCloseTo(0, 12);
+    expect(frame.z.x).toBeCloseTo(-1, 12); // Nadir
+    expect(dot(frame.x, VELOCITY) / 7.66).toBeCloseTo(1, 12);
+    expect(dot(frame.y, ORBIT_NORMAL)).toBeCloseTo(-1, 12); // Tilted by the inclination
+  });
+
+  test('should reject a velocity along the radial', async () => {
+    const { computeLVLHFrame } = await import('../../src/utils/attitude.js');
+
+    expect(() => computeLVLHFrame(POSITION, { x: 1, y: 0, z: 0 })).toThrow('non-zero vector');
+  });
+});
+
+describe('Solar Array Angles', () => {
+  test('should face the arrays up for a Sun at zenith', async () => {
+    const { computeLVLHFrame, computeSolarArrayAngles } = await import('../../src/utils/attitude.js');
+    const angles = computeSolarArrayAngles(computeLVLHFrame(POSITION, VELOCITY), { x: 1, y: 0, z: 0 });
+
+    expect(angles.alpha.starboard).toBeCloseTo(0, 10);
+    expect(angles.beta.starboard).toBeCloseTo(0, 10);
+    expect(angles.solarBeta).toBeCloseTo(0, 10);
+    expect(angles.wings).toHaveLength(8);
+  });
+
+  test('should turn the SARJs a quarter turn for a Sun straight ahead', async () => {
+    const { computeLVLHFrame, computeSolarArrayAngles } = await import('../../src/utils/attitude.js');
+    const frame = computeLVLHFrame(POSITION, VELOCITY);
+    const angles = computeSolarArrayAngles(frame, frame.x);
+
+    expect(angles.alpha.starboard).toBeCloseTo(270, 10);
+    expect(angles.alpha.port).toBeCloseTo(90, 10);
+  });
+
+  test('should tilt the wings by the solar beta angle with mirrored signs', async () => {
+    const { computeLVLHFrame, computeSolarArrayAngles } = await import('../../src/utils/attitude.js');
+    const tilt = 30 * Math.PI / 180;
+    // Sun 30° above the orbit plane, over the station
+    const sun = {
+      x: Math.cos(tilt) + Math.sin(tilt) * ORBIT_NORMAL.x,
+      y: Math.sin(tilt) * ORBIT_NORMAL.y,
+      z: Math.sin(tilt) * ORBIT_NORMAL.z
+    };
+    const angles = computeSolarArrayAngles(computeLVLHFrame(POSITION, VELOCITY), sun);
+    const wing = id => angles.wings.find(w => w.id === id);
+
+    expect(angles.solarBeta).toBeCloseTo(30, 10);
+    expect(wing('1A').beta).toBeCloseTo(-30, 10);
+    expect(wing('2B').beta).toBeCloseTo(30, 10);
+    expect(wing('3B').alpha).toBeCloseTo(0, 10);
+  });
+
+  test('should advance alpha at the orbital rate along the real ISS orbit', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const { computeISSAttitude, stateFromTEME } = await import('../../src/utils/attitude.js');
+    const attitudeAt = (time) => {
+      const date = new Date(time);
+      return computeISSAttitude(stateFromTEME(issAPI.getPropagatedPosition(date).eci, date), date);
+    };
+
+    const before = attitudeAt(T0);
+    const after = attitudeAt(T0 + 60000);
+    const rate = (after.alpha.starboard - before.alpha.starboard + 360) % 360;
+
+    expect(rate).toBeCloseTo(360 / 92.7, 1); // Degrees per minute
+    expect(Math.abs(before.solarBeta)).toBeLessThan(75.1); // Inclination + obliquity
+    expect(after.solarBeta).toBeCloseTo(before.solarBeta, 1);
+  });
+});
+
+describe('Station State', () => {
+  test('should recover the inertial velocity from two position samples', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const { stateFromTEME, stateFromSamples } = await import('../../src/utils/attitude.js');
+    const from = issAPI.getPropagatedPosition(new Date(T0 - 5000));
+    const to = issAPI.getPropagatedPosition(new Date(T0));
+
+    const estimated = stateFromSamples(from, to).velocity;
+    const truth = stateFromTEME(to.eci, new Date(T0)).velocity;
+    const speed = Math.sqrt(dot(truth, truth));
+    const cosAngle = dot(estimated, truth) / (Math.sqrt(dot(estimated, estimated)) * speed);
+
+    expect(Math.acos(Math.min(1, cosAngle)) * 180 / Math.PI).toBeLessThan(0.5);
+    expect(Math.sqrt(dot(estimated, estimated))).toBeCloseTo(speed, 0);
+    expect(stateFromSamples(to, from)).toBeNull();
+  });
+
+  test('should point the Sun direction at the subsolar point', async () => {
+    const { getSunDirection } = await import('../../src/utils/attitude.js');
+    // Near the June solstice the Sun is over the Tropic of Cancer
+    const sun = getSunDirection(new Date(Date.UTC(2019, 5, 21, 12, 0, 0)));
+
+    expect(Math.asin(sun.z) * 180 / Math.PI).toBeCloseTo(23.4, 0);
+    expect(Math.abs(Math.atan2(sun.y, sun.x) * 180 / Math.PI)).toBeLessThan(2); // Noon at Greenwich
+  });
+});
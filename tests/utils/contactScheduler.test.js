@@ -0,0 +1,73 @@
+/**
+ * Tests for contactScheduler.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const START = new Date('2019-06-06T00:00:00Z');
+const END = new Date('2019-06-07T00:00:00Z');
+
+const STATIONS = [
+  { id: 'london', name: 'London', latitude: 51.5, longitude: -0.12, elevation: 20, minElevation: 10 },
+  { id: 'houston', name: 'Houston', latitude: 29.56, longitude: -95.09, elevation: 10, minElevation: 10 },
+  { id: 'mcmurdo', name: 'McMurdo', latitude: -77.85, longitude: 166.67, elevation: 10, minElevation: 10 }
+];
+
+describe('Contact Windows', () => {
+  test('should schedule AOS/LOS windows for each station in time order', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const { computeLookAngles } = await import('../../src/utils/passPredictor.js');
+    const { geographicToEcef } = await import('../../src/utils/coordinates.js');
+
+    const windows = issAPI.scheduleContacts(STATIONS, START, END);
+
+    expect(windows.filter(window => window.stationId === 'london').length).toBeGreaterThan(1);
+    expect(windows.filter(window => window.stationId === 'houston').length).toBeGreaterThan(1);
+    expect(windows.filter(window => window.stationId === 'mcmurdo')).toHaveLength(0); // Beyond the 51.6° orbit's reach
+
+    windows.forEach((window, index) => {
+      if (index > 0) expect(window.aos.getTime()).toBeGreaterThanOrEqual(windows[index - 1].aos.getTime());
+      expect(window.aos.getTime()).toBeLessThan(END.getTime());
+      expect(window.los.getTime()).toBeGreaterThan(START.getTime());
+      expect(window.maxElevationTime.getTime()).toBeGreaterThan(window.aos.getTime());
+      expect(window.maxElevation).toBeGreaterThanOrEqual(10);
+      expect(window.durationSeconds).toBeCloseTo((window.los - window.aos) / 1000, 2);
+
+      // AOS is where the station sees the ISS at its 10° mask
+      const station = STATIONS.find(candidate => candidate.id === window.stationId);
+      const position = issAPI.getPropagatedPosition(window.aos);
+      const look = computeLookAngles(geographicToEcef(position.latitude, position.longitude, position.altitude), station);
+      expect(look.elevation).toBeCloseTo(10, 0);
+    });
+  });
+
+  test('should shorten windows with a higher elevation mask', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const low = issAPI.scheduleContacts([{ ...STATIONS[0], minElevation: 0 }], START, END);
+    const high = issAPI.scheduleContacts([{ ...STATIONS[0], minElevation: 30 }], START, END);
+    const total = windows => windows.reduce((sum, window) => sum + window.durationSeconds, 0);
+
+    expect(high.length).toBeLessThan(low.length);
+    expect(total(high)).toBeLessThan(total(low));
+  });
+
+  test('should total contacts per station', async () => {
+    const { summarizeContacts } = await import('../../src/utils/contactScheduler.js');
+    const window = (stationId, durationSeconds) => ({ stationId, durationSeconds });
+
+    const summary = summarizeContacts([window('a', 300), window('b', 120), window('a', 480)]);
+
+    expect(summary.get('a')).toEqual({ count: 2, totalSeconds: 780, longestSeconds: 480 });
+    expect(summary.get('b').count).toBe(1);
+    expect(summary.has('c')).toBe(false);
+  });
+
+  test('should reject invalid ranges', async () => {
+    const { scheduleContacts } = await import('../../src/utils/contactScheduler.js');
+    const propagateFn = () => null;
+
+    expect(() => scheduleContacts(propagateFn, STATIONS, END, START)).toThrow();
+    expect(() => scheduleContacts(propagateFn, STATIONS, START, new Date('2019-07-06T00:00:00Z'))).toThrow();
+    expect(() => scheduleContacts(propagateFn, STATIONS, START, 'tomorrow')).toThrow('valid Dates');
+    expect(() => scheduleContacts(propagateFn, 'London', START, END)).toThrow();
+  });
+});
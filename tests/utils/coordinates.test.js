@@ -47,3 +47,23 @@ describe('Coordinate Conversions', () => {
     expect(elevatedDist).toBeGreaterThan(seaLevelDist);
   });
 });
+
+describe('Equirectangular Projection', () => {
+  test('should map the corners and center of the world', async () => {
+    const { geographicToEquirectangular } = await import('../../src/utils/coordinates.js');
+
+    expect(geographicToEquirectangular(90, -180, 360, 180)).toEqual({ x: 0, y: 0 });
+    expect(geographicToEquirectangular(0, 0, 360, 180)).toEqual({ x: 180, y: 90 });
+    expect(geographicToEquirectangular(-90, 180, 360, 180)).toEqual({ x: 360, y: 180 });
+  });
+
+  test('should round-trip map positions', async () => {
+    const { geographicToEquirectangular, equirectangularToGeographic } = await import('../../src/utils/coordinates.js');
+    const { x, y } = geographicToEquirectangular(51.48, -0.0015, 480, 240);
+    const back = equirectangularToGeographic(x, y, 480, 240);
+
+    expect(back.latitude).toBeCloseTo(51.48, 10);
+    expect(back.longitude).toBeCloseTo(-0.0015, 10);
+    expect(equirectangularToGeographic(-10, 300, 480, 240).latitude).toBe(-90); // Clamped
+  });
+});
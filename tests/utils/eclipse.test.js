@@ -0,0 +1,106 @@
+/**
+ * Tests for eclipse.js and the subsolar point in solar.js
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const T0 = Date.UTC(2019, 5, 6, 0, 0, 0);
+const SUN = { x: 1.496e8, y: 0, z: 0 };
+
+describe('Shadow State', () => {
+  test('should put a satellite behind Earth in the umbra', async () => {
+    const { computeShadowState } = await import('../../src/utils/eclipse.js');
+    const shadow = computeShadowState({ x: -6800, y: 0, z: 0 }, SUN);
+
+    expect(shadow.state).toBe('umbra');
+    expect(shadow.illumination).toBe(0);
+    expect(shadow.limbAngle).toBeLessThan(0);
+  });
+
+  test('should leave a satellite on the day side sunlit', async () => {
+    const { computeShadowState } = await import('../../src/utils/eclipse.js');
+    const shadow = computeShadowState({ x: 6800, y: 0, z: 0 }, SUN);
+
+    expect(shadow.state).toBe('sunlit');
+    expect(shadow.illumination).toBe(1);
+  });
+
+  test('should see half the Sun when its center is on Earth\'s limb', async () => {
+    const { computeShadowState } = await import('../../src/utils/eclipse.js');
+    const { EARTH_RADIUS } = await import('../../src/utils/constants.js');
+    // Seen from here, Earth's limb lies exactly toward +X
+    const angle = Math.PI - Math.asin(EARTH_RADIUS / 6800);
+    const shadow = computeShadowState({ x: 6800 * Math.cos(angle), y: 6800 * Math.sin(angle), z: 0 }, SUN);
+
+    expect(shadow.state).toBe('penumbra');
+    expect(shadow.illumination).toBeCloseTo(0.5, 1);
+    expect(Math.abs(shadow.limbAngle)).toBeLessThan(0.01);
+  });
+
+  test('should reject invalid positions', async () => {
+    const { computeShadowState } = await import('../../src/utils/eclipse.js');
+
+    expect(() => computeShadowState({ x: 0, y: 0, z: 0 }, SUN)).toThrow();
+    expect(() => computeShadowState({ x: 6800, y: 0 }, SUN)).toThrow();
+  });
+});
+
+describe('Sunrise and Sunset from Orbit', () => {
+  const issPositions = async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const { getSunPosition } = await import('../../src/utils/solar.js');
+    return (date) => ({
+      satellite: issAPI.getPropagatedPosition(date).eci.position,
+      sun: getSunPosition(date).eci
+    });
+  };
+
+  test('should find an ISS eclipse of about half an hour', async () => {
+    const { findShadowTransitions, computeShadowState } = await import('../../src/utils/eclipse.js');
+    const positionsAt = await issPositions();
+
+    const { nextSunset } = findShadowTransitions(positionsAt, new Date(T0));
+    const { nextSunrise } = findShadowTransitions(positionsAt, nextSunset);
+    const minutes = (nextSunrise - nextSunset) / 60000;
+    const middle = positionsAt(new Date((nextSunset.getTime() + nextSunrise.getTime()) / 2));
+
+    expect(minutes).toBeGreaterThan(25);
+    expect(minutes).toBeLessThan(40);
+    expect(computeShadowState(middle.satellite, middle.sun).state).toBe('umbra');
+  });
+
+  test('should refine transitions to within a second', async () => {
+    const { findShadowTransitions, computeShadowState } = await import('../../src/utils/eclipse.js');
+    const positionsAt = await issPositions();
+
+    const { nextSunset } = findShadowTransitions(positionsAt, new Date(T0));
+    const before = positionsAt(new Date(nextSunset.getTime() - 1000));
+    const after = positionsAt(new Date(nextSunset.getTime() + 1000));
+
+    expect(computeShadowState(before.satellite, before.sun).limbAngle).toBeGreaterThan(0);
+    expect(computeShadowState(after.satellite, after.sun).limbAngle).toBeLessThan(0);
+  });
+
+  test('should report nothing when the orbit is unknown', async () => {
+    const { findShadowTransitions } = await import('../../src/utils/eclipse.js');
+
+    expect(findShadowTransitions(() => null, new Date(T0))).toEqual({ nextSunrise: null, nextSunset: null });
+  });
+});
+
+describe('Subsolar Point', () => {
+  test('should be over the Tropic of Cancer near Greenwich at the June solstice noon', async () => {
+    const { getSubsolarPoint } = await import('../../src/utils/solar.js');
+    const point = getSubsolarPoint(new Date(Date.UTC(2019, 5, 21, 12, 0, 0)));
+
+    expect(point.latitude).toBeCloseTo(23.44, 1);
+    expect(Math.abs(point.longitude)).toBeLessThan(1);
+  });
+
+  test('should move west by 15° an hour', async () => {
+    const { getSubsolarPoint } = await import('../../src/utils/solar.js');
+    const noon = getSubsolarPoint(new Date(Date.UTC(2019, 5, 21, 12, 0, 0)));
+    const later = getSubsolarPoint(new Date(Date.UTC(2019, 5, 21, 13, 0, 0)));
+
+    expect(noon.longitude - later.longitude).toBeCloseTo(15, 1);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for ephemerisValidation.js utility module
+ *
+ * The parser and comparison tests use Horizons-style tables built from the model itself
+ * (layout samples, not reference data). The reference test validates both planet models
+ * against the JPL Horizons tables in tests/fixtures/horizons (npm run fetch:horizons);
+ * it is skipped until the tables have been fetched and committed.
+ */
+import { describe, test, expect } from '@jest/globals';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/horizons/', import.meta.url));
+const fixtureFiles = existsSync(FIXTURE_DIR) ? readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.txt')) : [];
+
+const AU_KM = 149597870.7;
+const EPOCHS = [2378496.5, 2415020.5, 2451545.0, 2469807.5]; // 1800, 1900, 2000, 2050
+
+/**
+ * Build a Horizons-style CSV table from a position function (layout sample)
+ */
+function buildCSVTable(target, positionAt) {
+  const rows = EPOCHS.map(jd => {
+    const { x, y, z } = positionAt(jd);
+    return ` ${jd.toFixed(9)}, A.D. sample, ${x.toExponential(15)}, ${y.toExponential(15)}, ${z.toExponential(15)},`;
+  });
+  return [
+    ` Target body name: ${target}                {source: sample}`,
+    ' Center body name: Sun (10)                        {source: sample}',
+    ' Output units    : AU-D',
+    ' Reference frame : Ecliptic of J2000.0',
+    '            JDTDB,            Calendar Date (TDB),                      X,                      Y,                      Z,',
+    '$$SOE',
+    ...rows,
+    '$$EOE'
+  ].join('\n');
+}
+
+describe('Horizons Parser', () => {
+  test('should read a CSV vector table', async () => {
+    const { parseHorizonsVectors, EPHEMERIS_MODELS } = await import('../../src/utils/ephemerisValidation.js');
+    const toDate = jd => new Date((jd - 2440587.5) * 86400000);
+    const table = buildCSVTable('Mars Barycenter (4)', jd => EPHEMERIS_MODELS.orbitalElements('mars', toDate(jd)));
+    const parsed = parseHorizonsVectors(table);
+
+    expect(parsed.planetKey).toBe('mars');
+    expect(parsed.targetName).toBe('Mars Barycenter');
+    expect(parsed.rows).toHaveLength(EPOCHS.length);
+    expect(parsed.rows[2].date.toISOString()).toBe('2000-01-01T12:00:00.000Z');
+    expect(parsed.rows[2].x).toBeCloseTo(EPHEMERIS_MODELS.orbitalElements('mars', parsed.rows[2].date).x, 12);
+  });
+
+  test('should read the text layout in km and rotate equatorial vectors to the ecliptic', async () => {
+    const { parseHorizonsVectors } = await import('../../src/utils/ephemerisValidation.js');
+    const e = 23.4392911 * Math.PI / 180;
+    // Ecliptic (0, 1, 1) AU written in the equatorial frame, in km
+    const y = (Math.cos(e) - Math.sin(e)) * AU_KM;
+    const z = (Math.sin(e) + Math.cos(e)) * AU_KM;
+    const table = [
+      'Target body name: Jupiter (599)',
+      'Center body name: Sun (10)',
+      'Output units    : KM-S',
+      'Reference frame : ICRF',
+      'Reference plane : Earth mean equator and equinox of reference epoch',
+      '$$SOE',
+      '2451545.000000000 = A.D. 2000-Jan-01 12:00:00.0000 TDB ',
+      ` X = 0.000000000000000E+00 Y = ${y.toExponential(15)} Z = ${z.toExponential(15)}`,
+      '$$EOE'
+    ].join('\n');
+    const [row] = parseHorizonsVectors(table).rows;
+
+    expect(parseHorizonsVectors(table).planetKey).toBe('jupiter');
+    expect(row.x).toBeCloseTo(0, 12);
+    expect(row.y).toBeCloseTo(1, 12);
+    expect(row.z).toBeCloseTo(1, 12);
+  });
+
+  test('should reject tables that are not heliocentric planet vectors', async () => {
+    const { parseHorizonsVectors } = await import('../../src/utils/ephemerisValidation.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const table = buildCSVTable('Mars Barycenter (4)', () => ({ x: 1, y: 0, z: 0 }));
+
+    expect(() => parseHorizonsVectors('no table')).toThrow(ValidationError);
+    expect(() => parseHorizonsVectors(table.replace('Mars Barycenter (4)', 'Moon (301)'))).toThrow(ValidationError);
+    expect(() => parseHorizonsVectors(table.replace('Sun (10)', 'Earth (399)'))).toThrow(ValidationError);
+  });
+});
+
+describe('Ephemeris Comparison', () => {
+  test('should measure known angular and distance offsets', async () => {
+    const { compareWithReference, EPHEMERIS_MODELS } = await import('../../src/utils/ephemerisValidation.js');
+    const model = EPHEMERIS_MODELS.orbitalElements;
+    const offset = 30 / 3600 * Math.PI / 180; // 30" about the ecliptic pole
+    const rows = EPOCHS.map(jd => {
+      const date = new Date((jd - 2440587.5) * 86400000);
+      const p = model('venus', date);
+      const scale = 1 + 5000 / (Math.hypot(p.x, p.y, p.z) * AU_KM); // 5000 km farther
+      return {
+        date,
+        x: (p.x * Math.cos(offset) - p.y * Math.sin(offset)) * scale,
+        y: (p.x * Math.sin(offset) + p.y * Math.cos(offset)) * scale,
+        z: p.z * scale
+      };
+    });
+    const result = compareWithReference('venus', rows, model);
+
+    expect(result.count).toBe(EPOCHS.length);
+    expect(result.maxAngularError).toBeLessThanOrEqual(30 + 1e-6);
+    expect(result.maxAngularError).toBeGreaterThan(29.9); // Venus stays within 3.4° of the ecliptic
+    expect(result.maxDistanceError).toBeCloseTo(5000, 3);
+    expect(result.rmsDistanceError).toBeCloseTo(5000, 3);
+    expect(result.start.getUTCFullYear()).toBe(1800);
+    expect(result.end.getUTCFullYear()).toBe(2050);
+  });
+
+  test('should fail planets beyond their tolerance', async () => {
+    const { validateEphemeris, formatValidationReport, EPHEMERIS_MODELS } = await import('../../src/utils/ephemerisValidation.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const rows = EPOCHS.map(jd => {
+      const date = new Date((jd - 2440587.5) * 86400000);
+      return { date, ...EPHEMERIS_MODELS.orbitalElements('earth', date) };
+    });
+    const shifted = rows.map(row => ({ ...row, z: row.z + 1e-3 })); // ~200" off the ecliptic
+
+    const report = validateEphemeris([{ planetKey: 'earth', rows }, { planetKey: 'earth', rows: shifted }]);
+    expect(report.passed).toBe(false);
+    expect(report.planets.map(planet => planet.passed)).toEqual([true, false]);
+    expect(formatValidationReport(report)).toContain('FAIL');
+    expect(() => validateEphemeris([], { model: 'vsop87' })).toThrow(ValidationError);
+    expect(() => validateEphemeris([{ planetKey: 'pluto', rows }])).toThrow(ValidationError);
+  });
+});
+
+describe('Keplerian Model', () => {
+  test('should stay close enough to the JPL elements to meet its own tolerances', async () => {
+    const { compareWithReference, EPHEMERIS_MODELS, EPHEMERIS_TOLERANCES, KEPLERIAN_TOLERANCES } = await import('../../src/utils/ephemerisValidation.js');
+    // The dates of the Horizons tables: 1800-2050 every 1000 days
+    const dates = [];
+    for (let time = Date.UTC(1800, 0, 1); time <= Date.UTC(2050, 11, 31); time += 1000 * 86400000) {
+      dates.push(new Date(time));
+    }
+
+    // Within the difference of the tolerances, keplerian.js meets KEPLERIAN_TOLERANCES wherever orbitalElements.js meets its own
+    const beyond = Object.keys(KEPLERIAN_TOLERANCES).filter(planetKey => {
+      const rows = dates.map(date => ({ date, ...EPHEMERIS_MODELS.orbitalElements(planetKey, date) }));
+      const result = compareWithReference(planetKey, rows, EPHEMERIS_MODELS.keplerian);
+      return result.maxAngularError > KEPLERIAN_TOLERANCES[planetKey].angular - EPHEMERIS_TOLERANCES[planetKey].angular ||
+        result.maxDistanceError > KEPLERIAN_TOLERANCES[planetKey].distance - EPHEMERIS_TOLERANCES[planetKey].distance;
+    });
+    expect(beyond).toEqual([]);
+  });
+});
+
+describe('Reference Vectors (JPL Horizons, 1800-2050)', () => {
+  // Skipped until the tables are fetched into tests/fixtures/horizons
+  const testReference = fixtureFiles.length > 0 ? test : test.skip;
+
+  testReference('should keep every planet within its documented tolerance in both models', async () => {
+    const { HORIZONS_TARGETS, parseHorizonsVectors, validateEphemeris, formatValidationReport } = await import('../../src/utils/ephemerisValidation.js');
+    const planetKeys = Object.keys(HORIZONS_TARGETS);
+    const missing = planetKeys.filter(planetKey => !existsSync(`${FIXTURE_DIR}${planetKey}.txt`));
+    expect(missing).toEqual([]);
+
+    const references = planetKeys.map(planetKey => parseHorizonsVectors(readFileSync(`${FIXTURE_DIR}${planetKey}.txt`, 'utf8')));
+    expect(references.map(reference => reference.planetKey)).toEqual(planetKeys);
+
+    // The reports only reach the output when a planet is beyond its tolerance
+    ['orbitalElements', 'keplerian'].forEach(model => {
+      const report = validateEphemeris(references, { model });
+      if (!report.passed) {
+        throw new Error(`Planet model beyond tolerance:\n${formatValidationReport(report)}`);
+      }
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for eventSearch.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const MINUTE = 60000;
+const HOUR = 3600000;
+
+describe('Event Search', () => {
+  test('should time conjunctions and oppositions', async () => {
+    const { findConjunctions, findOppositions } = await import('../../src/utils/eventSearch.js');
+    const [transit] = findConjunctions(new Date('2019-11-01T00:00:00Z'), new Date('2019-11-20T00:00:00Z'), ['mercury']);
+    const [mars] = findOppositions(new Date('2020-09-01T00:00:00Z'), new Date('2020-12-01T00:00:00Z'), ['mars']);
+
+    // Transit of Mercury, greatest 2019 November 11, 15:20 UTC
+    expect(transit.label).toBe('Mercury at inferior conjunction');
+    expect(transit.separation).toBeLessThan(0.26);
+    expect(Math.abs(transit.time - Date.UTC(2019, 10, 11, 15, 20))).toBeLessThan(HOUR);
+    // Mars opposition 2020 October 13, 23:20 UTC, 0.42 AU away
+    expect(Math.abs(mars.time - Date.UTC(2020, 9, 13, 23, 20))).toBeLessThan(2 * HOUR);
+    expect(mars.distance).toBeCloseTo(0.42, 2);
+    expect(mars.bodies).toEqual(['sun', 'earth', 'mars']);
+  });
+
+  test('should find the greatest elongations of Venus', async () => {
+    const { findGreatestElongations } = await import('../../src/utils/eventSearch.js');
+    const events = findGreatestElongations(new Date('2020-01-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'), ['venus']);
+
+    // 2020 March 24, 22:00 UTC (46.1° east) and August 13, 00:00 UTC (45.8° west)
+    expect(events.map(event => event.direction)).toEqual(['east', 'west']);
+    expect(Math.abs(events[0].time - Date.UTC(2020, 2, 24, 22))).toBeLessThan(2 * HOUR);
+    expect(events[0].elongation).toBeCloseTo(46.1, 1);
+    expect(Math.abs(events[1].time - Date.UTC(2020, 7, 13))).toBeLessThan(2 * HOUR);
+    expect(events[1].elongation).toBeCloseTo(45.8, 1);
+  });
+
+  test('should find perihelion and aphelion passages', async () => {
+    const { findApsides } = await import('../../src/utils/eventSearch.js');
+    const earth = findApsides(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'), ['earth']);
+    const mercury = findApsides(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'), ['mercury']);
+
+    // Earth 2024: perihelion January 3, aphelion July 5 (the barycenter's can be a day or so off)
+    expect(earth.map(event => event.type)).toEqual(['perihelion', 'aphelion']);
+    expect(Math.abs(earth[0].time - Date.UTC(2024, 0, 3, 1))).toBeLessThan(1.5 * 24 * HOUR);
+    expect(Math.abs(earth[1].time - Date.UTC(2024, 6, 5, 5))).toBeLessThan(1.5 * 24 * HOUR);
+    expect(earth[0].distance).toBeCloseTo(0.9833, 3);
+    // Mercury goes round about every 88 days: four perihelia and four aphelia a year
+    expect(mercury.filter(event => event.type === 'perihelion')).toHaveLength(4);
+    expect(mercury.every((event, i) => i === 0 || event.type !== mercury[i - 1].type)).toBe(true);
+  });
+
+  test('should time a total lunar eclipse and its contacts', async () => {
+    const { findEclipses } = await import('../../src/utils/eventSearch.js');
+    const [eclipse] = findEclipses(new Date('2022-11-01T00:00:00Z'), new Date('2022-11-15T00:00:00Z'));
+
+    // 2022 November 8: P1 08:02, U2 10:16, greatest 10:59, U3 11:41, P4 13:56 UTC, umbral magnitude 1.359
+    expect(eclipse.kind).toBe('total');
+    expect(Math.abs(eclipse.time - Date.UTC(2022, 10, 8, 10, 59))).toBeLessThan(5 * MINUTE);
+    expect(Math.abs(eclipse.start - Date.UTC(2022, 10, 8, 8, 2))).toBeLessThan(5 * MINUTE);
+    expect(Math.abs(eclipse.end - Date.UTC(2022, 10, 8, 13, 56))).toBeLessThan(5 * MINUTE);
+    expect(Math.abs(eclipse.totalityStart - Date.UTC(2022, 10, 8, 10, 16))).toBeLessThan(5 * MINUTE);
+    expect(Math.abs(eclipse.totalityEnd - Date.UTC(2022, 10, 8, 11, 41))).toBeLessThan(5 * MINUTE);
+    expect(eclipse.magnitude).toBeCloseTo(1.36, 1);
+  });
+
+  test('should classify the solar eclipses of 2024', async () => {
+    const { findEclipses } = await import('../../src/utils/eventSearch.js');
+    const eclipses = findEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'))
+      .filter(eclipse => eclipse.type === 'solar-eclipse');
+
+    // Total on April 8 (greatest 18:17 UTC, partial phases 15:42-20:52), annular on October 2
+    expect(eclipses.map(eclipse => eclipse.kind)).toEqual(['total', 'annular']);
+    expect(Math.abs(eclipses[0].time - Date.UTC(2024, 3, 8, 18, 17))).toBeLessThan(10 * MINUTE);
+    expect(Math.abs(eclipses[0].start - Date.UTC(2024, 3, 8, 15, 42))).toBeLessThan(10 * MINUTE);
+    expect(Math.abs(eclipses[0].end - Date.UTC(2024, 3, 8, 20, 52))).toBeLessThan(10 * MINUTE);
+    expect(eclipses[1].magnitude).toBeLessThan(1);
+  });
+
+  test('should search by type and body', async () => {
+    const { searchEvents, EVENT_TYPES } = await import('../../src/utils/eventSearch.js');
+    const start = new Date('2020-01-01T00:00:00Z');
+    const end = new Date('2021-01-01T00:00:00Z');
+    const all = searchEvents(start, end);
+    const marsOnly = searchEvents(start, end, { bodies: ['mars'] });
+    const eclipses = searchEvents(start, end, { types: ['solar-eclipse', 'lunar-eclipse'] });
+
+    expect(all.every((event, i) => i === 0 || all[i - 1].time <= event.time)).toBe(true);
+    expect(new Set(all.map(event => event.type))).toEqual(new Set(Object.keys(EVENT_TYPES)));
+    expect(marsOnly.map(event => event.type)).toEqual(['perihelion', 'opposition']);
+    // 2020: penumbral lunar eclipses in January, June, July and November, solar in June and December
+    expect(eclipses.map(event => event.type)).toEqual([
+      'lunar-eclipse', 'lunar-eclipse', 'solar-eclipse', 'lunar-eclipse', 'lunar-eclipse', 'solar-eclipse'
+    ]);
+  });
+
+  test('should reject invalid searches', async () => {
+    const { searchEvents } = await import('../../src/utils/eventSearch.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const start = new Date('2024-01-01T00:00:00Z');
+    const end = new Date('2025-01-01T00:00:00Z');
+
+    expect(() => searchEvents(end, start)).toThrow(ValidationError);
+    expect(() => searchEvents(start, new Date('2200-01-01T00:00:00Z'))).toThrow(ValidationError);
+    expect(() => searchEvents(start, end, { types: ['transit'] })).toThrow(ValidationError);
+    expect(() => searchEvents(start, end, { bodies: ['pluto'] })).toThrow(ValidationError);
+  });
+});
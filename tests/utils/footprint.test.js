@@ -0,0 +1,99 @@
+/**
+ * Tests for footprint.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const R = 6371;
+
+// Elevation of a satellite at `altitude` seen from a point `angle` degrees of arc from its sub-point (spherical Earth)
+const elevationAt = (angle, altitude) => {
+  const lambda = angle * Math.PI / 180;
+  const r = R + altitude;
+  const range = Math.sqrt(R * R + r * r - 2 * R * r * Math.cos(lambda));
+  return Math.asin((r * Math.cos(lambda) - R) / range) * 180 / Math.PI;
+};
+
+describe('Footprint Radius', () => {
+  test('should reach the horizon about 20° from the ISS', async () => {
+    const { footprintRadius } = await import('../../src/utils/footprint.js');
+    const radius = footprintRadius(408);
+
+    expect(radius).toBeCloseTo(Math.acos(R / (R + 408)) * 180 / Math.PI, 10);
+    expect(radius).toBeGreaterThan(19.5);
+    expect(radius).toBeLessThan(20.5);
+    expect(elevationAt(radius, 408)).toBeCloseTo(0, 8);
+  });
+
+  test('should shrink with an elevation mask', async () => {
+    const { footprintRadius } = await import('../../src/utils/footprint.js');
+    const masked = footprintRadius(408, 10);
+
+    expect(masked).toBeLessThan(footprintRadius(408));
+    expect(elevationAt(masked, 408)).toBeCloseTo(10, 8);
+    expect(footprintRadius(408, 90)).toBeCloseTo(0, 10);
+  });
+
+  test('should reject invalid inputs', async () => {
+    const { footprintRadius } = await import('../../src/utils/footprint.js');
+
+    expect(() => footprintRadius(0)).toThrow();
+    expect(() => footprintRadius(408, -5)).toThrow();
+    expect(() => footprintRadius(408, 95)).toThrow();
+  });
+});
+
+describe('Footprint Outline', () => {
+  test('should put every point at the footprint radius', async () => {
+    const { computeFootprint } = await import('../../src/utils/footprint.js');
+    const { calculateDistance } = await import('../../src/utils/coordinates.js');
+    const footprint = computeFootprint(45, 170, 408, { segments: 36 });
+
+    expect(footprint.points).toHaveLength(37);
+    expect(footprint.points[0]).toEqual(footprint.points[36]); // Closed ring
+    footprint.points.forEach(point => {
+      expect(calculateDistance(45, 170, point.latitude, point.longitude)).toBeCloseTo(footprint.radiusKm, 3);
+      expect(point.longitude).toBeGreaterThanOrEqual(-180);
+      expect(point.longitude).toBeLessThanOrEqual(180);
+    });
+  });
+
+  test('should start due north of the sub-satellite point', async () => {
+    const { computeFootprint } = await import('../../src/utils/footprint.js');
+    const footprint = computeFootprint(0, 0, 408, { segments: 4 });
+
+    expect(footprint.points[0].latitude).toBeCloseTo(footprint.radius, 8);
+    expect(footprint.points[1].longitude).toBeCloseTo(footprint.radius, 8); // East
+  });
+});
+
+describe('Station Visibility', () => {
+  const stations = [
+    { name: 'Below', latitude: 10, longitude: 20 },
+    { name: 'Near edge', latitude: 10, longitude: 32 },
+    { name: 'Far', latitude: -40, longitude: 20 }
+  ];
+
+  test('should find stations that can see the satellite', async () => {
+    const { getStationVisibility } = await import('../../src/utils/footprint.js');
+    const [below, nearEdge, far] = getStationVisibility(stations, { latitude: 10, longitude: 20, altitude: 408 });
+
+    expect(below.elevation).toBeCloseTo(90, 1);
+    expect(below.range).toBeCloseTo(408, -1);
+    expect(below.inView).toBe(true);
+    expect(nearEdge.inView).toBe(true);
+    expect(nearEdge.azimuth).toBeGreaterThan(260); // Satellite is to the west
+    expect(nearEdge.azimuth).toBeLessThan(280);
+    expect(far.inView).toBe(false);
+    expect(far.name).toBe('Far');
+  });
+
+  test('should apply the elevation mask', async () => {
+    const { getStationVisibility } = await import('../../src/utils/footprint.js');
+    const [below, nearEdge] = getStationVisibility(stations, { latitude: 10, longitude: 20, altitude: 408 }, 20);
+
+    expect(below.inView).toBe(true);
+    expect(nearEdge.elevation).toBeGreaterThan(0);
+    expect(nearEdge.elevation).toBeLessThan(20);
+    expect(nearEdge.inView).toBe(false);
+  });
+});
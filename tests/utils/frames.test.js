@@ -0,0 +1,117 @@
+/**
+ * Tests for frames.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const julianToDate = jd => new Date((jd - 2440587.5) * 86400000);
+
+describe('Frame Transforms', () => {
+  test('should convert equatorial to ecliptic (Meeus example 13.a, Pollux)', async () => {
+    const { equatorialToEcliptic, eclipticToEquatorial, sphericalToCartesian, cartesianToSpherical } = await import('../../src/utils/frames.js');
+    const equatorial = sphericalToCartesian(116.328942, 28.026183);
+    const ecliptic = cartesianToSpherical(equatorialToEcliptic(equatorial));
+
+    expect(ecliptic.longitude).toBeCloseTo(113.215630, 5);
+    expect(ecliptic.latitude).toBeCloseTo(6.684170, 5);
+    expect(eclipticToEquatorial(equatorialToEcliptic(equatorial)).z).toBeCloseTo(equatorial.z, 12);
+  });
+
+  test('should precess from J2000 and back (Meeus example 21.b, θ Persei)', async () => {
+    const { precessFromJ2000, precessToJ2000, sphericalToCartesian, cartesianToSpherical } = await import('../../src/utils/frames.js');
+    const date = julianToDate(2462088.69); // 2028 November 13.19 TD
+    const precessed = cartesianToSpherical(precessFromJ2000(sphericalToCartesian(41.054063, 49.227750), date));
+    const restored = cartesianToSpherical(precessToJ2000(sphericalToCartesian(precessed.longitude, precessed.latitude), date));
+
+    expect(precessed.longitude).toBeCloseTo(41.547214, 5);
+    expect(precessed.latitude).toBeCloseTo(49.348483, 5);
+    expect(restored.longitude).toBeCloseTo(41.054063, 8);
+    expect(restored.latitude).toBeCloseTo(49.227750, 8);
+  });
+
+  test('should give nutation, obliquity and apparent sidereal time (Meeus examples 22.a and 12.a)', async () => {
+    const { getNutation, meanObliquity, greenwichApparentSiderealTime, j2000ToTrueOfDate, trueOfDateToJ2000 } = await import('../../src/utils/frames.js');
+    const date = new Date(Date.UTC(1987, 3, 10));
+    const nutation = getNutation(date);
+
+    // Low-accuracy series: 0.5" in longitude, 0.1" in obliquity
+    expect(Math.abs(nutation.longitude * 3600 - -3.788)).toBeLessThan(0.5);
+    expect(Math.abs(nutation.obliquity * 3600 - 9.443)).toBeLessThan(0.1);
+    expect(meanObliquity(date)).toBeCloseTo(23 + 26 / 60 + 27.407 / 3600, 6);
+    // 13h 10m 46.1351s, within a few hundredths of a second of time
+    const seconds = greenwichApparentSiderealTime(date) * 180 / Math.PI / 15 * 3600;
+    expect(Math.abs(seconds - (13 * 3600 + 10 * 60 + 46.1351))).toBeLessThan(0.02);
+
+    const v = { x: 0.3, y: -0.5, z: 0.8 };
+    const roundTrip = trueOfDateToJ2000(j2000ToTrueOfDate(v, date), date);
+    expect(roundTrip.x).toBeCloseTo(v.x, 12);
+    expect(roundTrip.y).toBeCloseTo(v.y, 12);
+    expect(roundTrip.z).toBeCloseTo(v.z, 12);
+  });
+
+  test('should format right ascension and declination', async () => {
+    const { formatRightAscension, formatDeclination } = await import('../../src/utils/frames.js');
+
+    expect(formatRightAscension(41.049942)).toBe('2h 44m 12.0s');
+    expect(formatRightAscension(359.99999)).toBe('0h 00m 00.0s');
+    expect(formatDeclination(49.228467)).toBe('+49° 13′ 42″');
+    expect(formatDeclination(-7.5)).toBe('−7° 30′ 00″');
+  });
+
+  test('should orient equatorial directions in an observer\'s horizon frame', async () => {
+    const { equatorialToEnu, greenwichApparentSiderealTime } = await import('../../src/utils/frames.js');
+    const date = new Date('2000-01-01T12:00:00Z'); // J2000, so only nutation (<20") moves the axes
+    const latitude = 40;
+    const pole = equatorialToEnu({ x: 0, y: 0, z: 1 }, date, { latitude, longitude: -75 });
+
+    // The celestial pole stands due north at the observer's latitude
+    expect(pole.east).toBeCloseTo(0, 3);
+    expect(Math.asin(pole.up) * 180 / Math.PI).toBeCloseTo(latitude, 1);
+    expect(pole.north).toBeGreaterThan(0);
+
+    // A direction on the equator at the local sidereal time is on the meridian, to the south
+    const localSiderealTime = greenwichApparentSiderealTime(date) + -75 * Math.PI / 180;
+    const meridian = equatorialToEnu({ x: Math.cos(localSiderealTime), y: Math.sin(localSiderealTime), z: 0 }, date, { latitude, longitude: -75 });
+    expect(meridian.east).toBeCloseTo(0, 3);
+    expect(Math.asin(meridian.up) * 180 / Math.PI).toBeCloseTo(90 - latitude, 1);
+    expect(meridian.north).toBeLessThan(0);
+  });
+});
+
+describe('Sky Coordinates', () => {
+  test('should put the Moon on the Sun during the 2024 April 8 eclipse', async () => {
+    const { getSkyCoordinates } = await import('../../src/utils/frames.js');
+    const dallas = { latitude: 32.78, longitude: -96.80, elevation: 140 };
+    const date = new Date('2024-04-08T18:42:00Z'); // Totality in Dallas
+    const sun = getSkyCoordinates('sun', date, dallas);
+    const moon = getSkyCoordinates('moon', date, dallas);
+
+    expect(sun.distance / 149597870.7).toBeCloseTo(1.0015, 2);
+    expect(sun.declination).toBeCloseTo(7.6, 0);
+    expect(sun.horizontal.altitude).toBeGreaterThan(60);
+    // Parallax shifts the Moon by up to a degree; seen from Dallas it covers the Sun
+    const offset = Math.hypot(
+      (moon.horizontal.azimuth - sun.horizontal.azimuth) * Math.cos(sun.horizontal.altitude * Math.PI / 180),
+      moon.horizontal.altitude - sun.horizontal.altitude
+    );
+    expect(offset).toBeLessThan(0.1);
+  });
+
+  test('should place an overhead satellite at the zenith', async () => {
+    const { getSkyCoordinatesFromGeodetic } = await import('../../src/utils/frames.js');
+    const sky = getSkyCoordinatesFromGeodetic({ latitude: 10, longitude: 20, altitude: 420 }, new Date('2024-01-01T00:00:00Z'),
+      { latitude: 10, longitude: 20, elevation: 0 });
+
+    expect(sky.horizontal.altitude).toBeCloseTo(90, 3);
+    expect(sky.horizontal.range).toBeCloseTo(420, 3);
+    expect(sky.declinationOfDate).toBeCloseTo(10, 0);
+  });
+
+  test('should reject Earth and unknown bodies', async () => {
+    const { getSkyCoordinates } = await import('../../src/utils/frames.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+
+    expect(() => getSkyCoordinates('earth', new Date())).toThrow(ValidationError);
+    expect(() => getSkyCoordinates('vulcan', new Date())).toThrow(ValidationError);
+    expect(() => getSkyCoordinates('mars', new Date('invalid'))).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for groundStations.js utility module
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('Ground Station Registry', () => {
+  test('should start with the default stations', async () => {
+    const { GroundStationRegistry } = await import('../../src/utils/groundStations.js');
+    const { GROUND_STATIONS } = await import('../../src/utils/constants.js');
+    const stations = new GroundStationRegistry().getStations();
+
+    expect(stations).toHaveLength(GROUND_STATIONS.length);
+    expect(stations[0]).toMatchObject({ id: 'gs-houston-mcc-h', name: 'Houston (MCC-H)', minElevation: 10, isDefault: true });
+  });
+
+  test('should add, remember and remove stations', async () => {
+    const { GroundStationRegistry } = await import('../../src/utils/groundStations.js');
+    const registry = new GroundStationRegistry();
+    let notified = 0;
+    registry.onChange(() => notified++);
+
+    const station = registry.addStation({ name: ' Svalbard ', latitude: 78.23, longitude: 15.39 });
+    const duplicate = registry.addStation({ name: 'Svalbard', latitude: 78.2, longitude: 15.4, minElevation: 5 });
+
+    expect(station).toMatchObject({ id: 'gs-svalbard', name: 'Svalbard', elevation: 0, minElevation: 10, isDefault: false });
+    expect(duplicate.id).toBe('gs-svalbard-2');
+    expect(notified).toBe(2);
+    expect(new GroundStationRegistry().getStation('gs-svalbard-2').minElevation).toBe(5);
+
+    registry.removeStation('gs-houston-mcc-h');
+    expect(new GroundStationRegistry().getStation('gs-houston-mcc-h')).toBeNull();
+    expect(registry.removeStation('gs-houston-mcc-h')).toBe(false);
+  });
+
+  test('should go back to the defaults', async () => {
+    const { GroundStationRegistry } = await import('../../src/utils/groundStations.js');
+    const registry = new GroundStationRegistry();
+    const count = registry.getStations().length;
+
+    registry.addStation({ name: 'Svalbard', latitude: 78.23, longitude: 15.39 });
+    registry.resetStations();
+
+    expect(registry.getStations()).toHaveLength(count);
+    expect(new GroundStationRegistry().getStation('gs-svalbard')).toBeNull();
+  });
+
+  test('should reject invalid stations', async () => {
+    const { GroundStationRegistry } = await import('../../src/utils/groundStations.js');
+    const registry = new GroundStationRegistry();
+
+    expect(() => registry.addStation({ name: '', latitude: 0, longitude: 0 })).toThrow();
+    expect(() => registry.addStation({ name: '   ', latitude: 0, longitude: 0 })).toThrow('blank');
+    expect(() => registry.addStation({ name: 'North', latitude: 95, longitude: 0 })).toThrow();
+    expect(() => registry.addStation({ name: 'Low', latitude: 0, longitude: 0, minElevation: -5 })).toThrow();
+  });
+
+  test('should fall back to the defaults if the saved list is corrupt', async () => {
+    const { GroundStationRegistry } = await import('../../src/utils/groundStations.js');
+    localStorage.setItem('groundStations', '{not json');
+
+    expect(new GroundStationRegistry().getStation('gs-houston-mcc-h')).not.toBeNull();
+  });
+});
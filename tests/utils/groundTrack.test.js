@@ -0,0 +1,91 @@
+/**
+ * Tests for groundTrack.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Ground Track Sampling', () => {
+  test('should sample the window at the requested step', async () => {
+    const { computeGroundTrack } = await import('../../src/utils/groundTrack.js');
+    const start = new Date('2024-01-01T00:00:00Z');
+    const propagate = (date) => ({ latitude: 0, longitude: (date.getTime() - start.getTime()) / 60000, altitude: 420 });
+
+    const samples = computeGroundTrack(propagate, start, 10, 60);
+
+    expect(samples).toHaveLength(11);
+    expect(samples[0].timestamp).toBe(start.getTime());
+    expect(samples[10].longitude).toBe(10);
+  });
+
+  test('should skip samples that fail to propagate', async () => {
+    const { computeGroundTrack } = await import('../../src/utils/groundTrack.js');
+    const propagate = (date) => (date.getUTCMinutes() % 2 === 0 ? { latitude: 0, longitude: 0, altitude: 400 } : null);
+
+    const samples = computeGroundTrack(propagate, new Date('2024-01-01T00:00:00Z'), 4, 60);
+
+    expect(samples).toHaveLength(3);
+  });
+
+  test('should follow the ISS over the next orbit', async () => {
+    const { computeGroundTrack, periodFromMeanMotion } = await import('../../src/utils/groundTrack.js');
+    const { issAPI } = await import('../../src/utils/api.js');
+    const period = periodFromMeanMotion(15.51174618);
+
+    const samples = computeGroundTrack((date) => issAPI.getPropagatedPosition(date), new Date('2019-06-06T00:00:00Z'), period, 30);
+    const latitudes = samples.map(sample => sample.latitude);
+
+    expect(period).toBeCloseTo(92.83, 2);
+    expect(Math.max(...latitudes)).toBeGreaterThan(50);
+    expect(Math.min(...latitudes)).toBeLessThan(-50);
+  });
+
+  test('should derive the semi-major axis from mean motion', async () => {
+    const { semiMajorAxisFromMeanMotion, periodFromMeanMotion } = await import('../../src/utils/groundTrack.js');
+    const { EARTH_MU } = await import('../../src/utils/constants.js');
+    const a = semiMajorAxisFromMeanMotion(15.51174618);
+
+    // Kepler's third law gives back the same period
+    expect(2 * Math.PI * Math.sqrt(a ** 3 / EARTH_MU) / 60).toBeCloseTo(periodFromMeanMotion(15.51174618), 6);
+    expect(a).toBeGreaterThan(6780);
+    expect(a).toBeLessThan(6800);
+    expect(() => semiMajorAxisFromMeanMotion(0)).toThrow();
+  });
+});
+
+describe('Antimeridian Splitting', () => {
+  test('should keep a track that never crosses ±180° in one segment', async () => {
+    const { splitAtAntimeridian } = await import('../../src/utils/groundTrack.js');
+    const segments = splitAtAntimeridian([
+      { latitude: 0, longitude: -10 },
+      { latitude: 5, longitude: 10 },
+      { latitude: 10, longitude: 30 }
+    ]);
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0]).toHaveLength(3);
+  });
+
+  test('should split an eastbound crossing and close both sides at the map edge', async () => {
+    const { splitAtAntimeridian } = await import('../../src/utils/groundTrack.js');
+    const segments = splitAtAntimeridian([
+      { latitude: 0, longitude: 170 },
+      { latitude: 10, longitude: -170 }
+    ]);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0][1]).toEqual({ latitude: 5, longitude: 180 });
+    expect(segments[1][0]).toEqual({ latitude: 5, longitude: -180 });
+  });
+
+  test('should split a westbound crossing', async () => {
+    const { splitAtAntimeridian } = await import('../../src/utils/groundTrack.js');
+    const segments = splitAtAntimeridian([
+      { latitude: 0, longitude: -175 },
+      { latitude: 10, longitude: 175 }
+    ]);
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0][1].longitude).toBe(-180);
+    expect(segments[1][0].longitude).toBe(180);
+    expect(segments[1][0].latitude).toBeCloseTo(5, 10);
+  });
+});
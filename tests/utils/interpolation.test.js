@@ -0,0 +1,87 @@
+/**
+ * Tests for interpolation.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const T0 = Date.UTC(2019, 5, 6, 0, 0, 0);
+
+describe('Great-Circle Interpolation', () => {
+  test('should follow the equator between two equatorial points', async () => {
+    const { interpolateGreatCircle } = await import('../../src/utils/interpolation.js');
+    const point = interpolateGreatCircle({ latitude: 0, longitude: 10 }, { latitude: 0, longitude: 30 }, 0.5);
+
+    expect(point.latitude).toBeCloseTo(0, 10);
+    expect(point.longitude).toBeCloseTo(20, 10);
+  });
+
+  test('should take the short way across the antimeridian', async () => {
+    const { interpolateGreatCircle } = await import('../../src/utils/interpolation.js');
+    const point = interpolateGreatCircle({ latitude: 0, longitude: 170 }, { latitude: 0, longitude: -170 }, 0.5);
+
+    expect(Math.abs(point.longitude)).toBeCloseTo(180, 10);
+  });
+
+  test('should bulge poleward compared with straight lat/lon interpolation', async () => {
+    const { interpolateGreatCircle } = await import('../../src/utils/interpolation.js');
+    const point = interpolateGreatCircle({ latitude: 50, longitude: -60 }, { latitude: 50, longitude: 60 }, 0.5);
+
+    expect(point.longitude).toBeCloseTo(0, 10);
+    expect(point.latitude).toBeGreaterThan(60);
+  });
+});
+
+describe('Position Estimation', () => {
+  const propagatedSamples = async (offsets) => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    return offsets.map(offset => issAPI.getPropagatedPosition(new Date(T0 + offset)));
+  };
+
+  test('should interpolate between ISS samples to within a few meters', async () => {
+    const { estimatePosition } = await import('../../src/utils/interpolation.js');
+    const { calculateDistance } = await import('../../src/utils/coordinates.js');
+    const { issAPI } = await import('../../src/utils/api.js');
+    const samples = await propagatedSamples([0, 5000, 10000]);
+
+    const estimate = estimatePosition(samples, T0 + 7500);
+    const truth = issAPI.getPropagatedPosition(new Date(T0 + 7500));
+
+    expect(estimate.mode).toBe('interpolated');
+    expect(estimate.isEstimated).toBe(false);
+    expect(calculateDistance(estimate.latitude, estimate.longitude, truth.latitude, truth.longitude)).toBeLessThan(0.01);
+  });
+
+  test('should dead-reckon late data and flag it past the threshold', async () => {
+    const { estimatePosition } = await import('../../src/utils/interpolation.js');
+    const { calculateDistance } = await import('../../src/utils/coordinates.js');
+    const { issAPI } = await import('../../src/utils/api.js');
+    const samples = await propagatedSamples([0, 5000, 10000]);
+
+    const slightlyLate = estimatePosition(samples, T0 + 12000, { estimateThreshold: 5000 });
+    const veryLate = estimatePosition(samples, T0 + 70000, { estimateThreshold: 5000 });
+    const truth = issAPI.getPropagatedPosition(new Date(T0 + 70000));
+
+    expect(slightlyLate).toMatchObject({ mode: 'extrapolated', isEstimated: false });
+    expect(veryLate).toMatchObject({ mode: 'extrapolated', isEstimated: true, extrapolationMs: 60000 });
+    expect(calculateDistance(veryLate.latitude, veryLate.longitude, truth.latitude, truth.longitude)).toBeLessThan(1);
+  });
+
+  test('should hold the position after the maximum extrapolation', async () => {
+    const { estimatePosition } = await import('../../src/utils/interpolation.js');
+    const samples = await propagatedSamples([0, 5000]);
+
+    const atLimit = estimatePosition(samples, T0 + 65000, { maxExtrapolation: 60000 });
+    const pastLimit = estimatePosition(samples, T0 + 600000, { maxExtrapolation: 60000 });
+
+    expect(pastLimit.latitude).toBeCloseTo(atLimit.latitude, 10);
+    expect(pastLimit.longitude).toBeCloseTo(atLimit.longitude, 10);
+  });
+
+  test('should fall back to the only sample available', async () => {
+    const { estimatePosition } = await import('../../src/utils/interpolation.js');
+    const sample = { latitude: 12, longitude: 34, altitude: 410, velocity: 27600, timestamp: T0 };
+
+    expect(estimatePosition([], T0)).toBeNull();
+    expect(estimatePosition([sample], T0 - 1000)).toMatchObject({ latitude: 12, longitude: 34, mode: 'sample', isEstimated: false });
+    expect(estimatePosition([sample], T0 + 20000).isEstimated).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for issProviders.js and provider failover in api.js
+ * Runs against the local stand-in server in tests/fixtures, so no network access is needed.
+ */
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { startStandInServer } from '../fixtures/issStandInServer.js';
+
+let server;
+
+beforeAll(async () => {
+  server = await startStandInServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  ['/iss-now.json', '/v1/satellites/25544', '/recording.json'].forEach(path => server.setMode(path, 'ok'));
+});
+
+describe('ISS Providers', () => {
+  test('should read Open Notify responses', async () => {
+    const { createOpenNotifyProvider } = await import('../../src/utils/issProviders.js');
+    const provider = createOpenNotifyProvider({ url: `${server.url}/iss-now.json` });
+
+    const position = await provider.fetchPosition();
+
+    expect(Math.abs(position.latitude)).toBeLessThanOrEqual(52);
+    expect(position.altitude).toBeUndefined();
+    expect(Math.abs(position.timestamp - Date.now())).toBeLessThan(5000);
+  });
+
+  test('should read wheretheiss.at responses including altitude and velocity', async () => {
+    const { createWhereTheISSProvider } = await import('../../src/utils/issProviders.js');
+    const provider = createWhereTheISSProvider({ url: `${server.url}/v1/satellites/25544` });
+
+    const position = await provider.fetchPosition();
+
+    expect(position.altitude).toBeGreaterThan(300);
+    expect(position.velocity).toBeGreaterThan(27000);
+  });
+
+  test('should replay a recorded file', async () => {
+    const { createReplayProvider } = await import('../../src/utils/issProviders.js');
+    let now = 1000;
+    const provider = createReplayProvider({ url: `${server.url}/recording.json`, now: () => now });
+
+    const first = await provider.fetchPosition();
+    now += 25000;
+    const second = await provider.fetchPosition();
+
+    expect(first.isReplay).toBe(true);
+    expect(second.recordedAt - first.recordedAt).toBe(20000);
+    expect(second.timestamp).toBe(now);
+  });
+
+  test('should reject malformed responses', async () => {
+    const { createOpenNotifyProvider } = await import('../../src/utils/issProviders.js');
+    server.setMode('/iss-now.json', 'malformed');
+
+    await expect(createOpenNotifyProvider({ url: `${server.url}/iss-now.json` }).fetchPosition()).rejects.toThrow();
+  });
+
+  test('should reject unknown provider types', async () => {
+    const { createProvider } = await import('../../src/utils/issProviders.js');
+
+    expect(() => createProvider({ type: 'carrier-pigeon' })).toThrow('Unknown ISS provider type');
+  });
+});
+
+/**
+ * Build a manager that records nowhere, so failover tests leave no telemetry (or save timers) behind
+ */
+async function createManager() {
+  const { ISSAPIManager } = await import('../../src/utils/api.js');
+  const manager = new ISSAPIManager();
+  manager.recorder = null;
+  return manager;
+}
+
+describe('Provider Failover', () => {
+  test('should fall back to the next provider and track health', async () => {
+    const manager = await createManager();
+    manager.setProviders([
+      { type: 'open-notify', url: `${server.url}/iss-now.json` },
+      { type: 'wheretheiss', url: `${server.url}/v1/satellites/25544` }
+    ]);
+    server.setMode('/iss-now.json', 'error');
+
+    const position = await manager.fetchISSPosition();
+    const status = manager.getStatus();
+
+    expect(position.provider).toBe('wheretheiss');
+    expect(status.activeProvider).toBe('wheretheiss');
+    expect(status.providers[0]).toMatchObject({ name: 'open-notify', status: 'degraded', failureCount: 1 });
+    expect(status.providers[0].lastError).toContain('500');
+    expect(status.providers[1]).toMatchObject({ name: 'wheretheiss', status: 'healthy', successCount: 1 });
+  });
+
+  test('should give up on a provider that hangs', async () => {
+    const manager = await createManager();
+    manager.setProviders([
+      { type: 'open-notify', url: `${server.url}/iss-now.json`, timeout: 200 },
+      { type: 'tle' }
+    ]);
+    server.setMode('/iss-now.json', 'hang');
+
+    const position = await manager.fetchISSPosition();
+
+    expect(position.provider).toBe('tle');
+    expect(position.isPropagated).toBe(true);
+    expect(manager.getProviderHealth()[0].lastError).toContain('timeout');
+  });
+
+  test('should skip a provider that keeps failing', async () => {
+    const { API } = await import('../../src/utils/constants.js');
+    const manager = await createManager();
+    manager.setProviders([
+      { type: 'open-notify', url: `${server.url}/iss-now.json` },
+      { type: 'tle' }
+    ]);
+    server.setMode('/iss-now.json', 'error');
+
+    for (let i = 0; i < API.PROVIDER_FAILURE_THRESHOLD; i++) {
+      await manager.fetchISSPosition();
+    }
+    const requestsBefore = server.requests['/iss-now.json'];
+    await manager.fetchISSPosition();
+
+    expect(manager.getProviderHealth()[0].status).toBe('down');
+    expect(server.requests['/iss-now.json']).toBe(requestsBefore);
+  });
+
+  test('should fill in altitude from the TLE for providers without it', async () => {
+    const manager = await createManager();
+    manager.setProviders([{ type: 'open-notify', url: `${server.url}/iss-now.json` }]);
+
+    const position = await manager.fetchISSPosition();
+
+    expect(position.altitude).toBeGreaterThan(300);
+    expect(position.velocity).toBeGreaterThan(27000);
+  });
+});
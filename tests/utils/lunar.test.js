@@ -0,0 +1,67 @@
+/**
+ * Tests for lunar.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Moon Position', () => {
+  test('should match Meeus example 47.a (1992 April 12, 0h TD)', async () => {
+    const { getMoonPosition } = await import('../../src/utils/lunar.js');
+    const moon = getMoonPosition(new Date(Date.UTC(1992, 3, 12)));
+
+    expect(moon.eclipticLongitude).toBeCloseTo(133.162655, 4);
+    // The latitude series is truncated to its 30 largest terms (about 2" here)
+    expect(moon.eclipticLatitude).toBeCloseTo(-3.229126, 2);
+    expect(moon.distance).toBeCloseTo(368409.7, 0);
+  });
+
+  test('should give an ecliptic vector with the ephemeris distance', async () => {
+    const { getMoonPosition } = await import('../../src/utils/lunar.js');
+    const moon = getMoonPosition(new Date('2024-06-01T00:00:00Z'));
+    const { x, y, z } = moon.ecliptic;
+
+    expect(Math.hypot(x, y, z)).toBeCloseTo(moon.distance, 6);
+    expect(Math.asin(z / moon.distance) * 180 / Math.PI).toBeCloseTo(moon.eclipticLatitude, 6);
+    expect(moon.distance).toBeGreaterThan(356000);
+    expect(moon.distance).toBeLessThan(407000);
+  });
+
+  test('should reject invalid dates', async () => {
+    const { getMoonPosition } = await import('../../src/utils/lunar.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+
+    expect(() => getMoonPosition(new Date(NaN))).toThrow(ValidationError);
+    expect(() => getMoonPosition(0)).toThrow(ValidationError);
+  });
+});
+
+describe('Moon Phase', () => {
+  test('should find the new moon of the 2024 April 8 total solar eclipse', async () => {
+    const { getMoonPhase } = await import('../../src/utils/lunar.js');
+    const phase = getMoonPhase(new Date('2024-04-08T18:21:00Z'));
+
+    expect(phase.phaseName).toBe('New Moon');
+    expect(phase.illumination).toBeLessThan(0.001);
+  });
+
+  test('should find the full moon of 2024 April 23', async () => {
+    const { getMoonPhase } = await import('../../src/utils/lunar.js');
+    const phase = getMoonPhase(new Date('2024-04-23T23:49:00Z'));
+
+    expect(phase.phaseName).toBe('Full Moon');
+    expect(phase.illumination).toBeGreaterThan(0.999);
+    expect(phase.age).toBeCloseTo(14.77, 0);
+  });
+
+  test('should tell waxing from waning quarters', async () => {
+    const { getMoonPhase } = await import('../../src/utils/lunar.js');
+    const first = getMoonPhase(new Date('2024-04-15T19:13:00Z'));
+    const last = getMoonPhase(new Date('2024-05-01T11:27:00Z'));
+
+    expect(first.phaseName).toBe('First Quarter');
+    expect(first.isWaxing).toBe(true);
+    expect(first.illumination).toBeCloseTo(0.5, 1);
+    expect(last.phaseName).toBe('Last Quarter');
+    expect(last.isWaxing).toBe(false);
+    expect(last.illumination).toBeCloseTo(0.5, 1);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for notifications.js utility module
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const T0 = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+/**
+ * Simulated real-time clock
+ */
+function createClock(start = 0) {
+  const clock = () => clock.now;
+  clock.now = start;
+  return clock;
+}
+
+/**
+ * Snapshot at a simulation time offset in minutes
+ */
+function at(minutes, fields = {}) {
+  return { time: new Date(T0 + minutes * 60000), isOnline: true, ...fields };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('Notification Rules', () => {
+  test('should start with the default rules and persist changes', async () => {
+    const { NotificationEngine, DEFAULT_RULES } = await import('../../src/utils/notifications.js');
+    const engine = new NotificationEngine();
+    let changes = 0;
+    engine.onChange(() => changes++);
+
+    expect(engine.getRules()).toEqual(DEFAULT_RULES);
+
+    engine.setRule('pass', { leadMinutes: 15 });
+    engine.setRule('equator', { enabled: true });
+
+    expect(changes).toBe(2);
+    expect(new NotificationEngine().getRule('pass')).toEqual({ enabled: true, leadMinutes: 15 });
+    expect(new NotificationEngine().getRule('equator').enabled).toBe(true);
+
+    engine.resetRules();
+    expect(new NotificationEngine().getRules()).toEqual(DEFAULT_RULES);
+  });
+
+  test('should reject unknown types and invalid settings', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const engine = new NotificationEngine();
+
+    expect(() => engine.setRule('meteor', { enabled: true })).toThrow(ValidationError);
+    expect(() => engine.setRule('pass', { enabled: 'yes' })).toThrow(ValidationError);
+    expect(() => engine.setRule('pass', { leadMinutes: 0 })).toThrow(ValidationError);
+    expect(engine.getRule('pass').leadMinutes).toBe(10);
+  });
+
+  test('should ignore corrupt saved rules', async () => {
+    localStorage.setItem('notificationRules', JSON.stringify({ pass: { leadMinutes: -5 } }));
+    const { NotificationEngine, DEFAULT_RULES } = await import('../../src/utils/notifications.js');
+
+    expect(new NotificationEngine().getRules()).toEqual(DEFAULT_RULES);
+  });
+});
+
+describe('Notification Events', () => {
+  test('should announce a pass once when it comes within the lead time', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const clock = createClock();
+    const engine = new NotificationEngine({ clock });
+    const nextPass = { rise: { time: new Date(T0 + 20 * 60000) }, maxElevation: 62.4 };
+    const fired = [];
+    engine.onNotify(notification => fired.push(notification));
+
+    expect(engine.evaluate(at(0, { nextPass, locationName: 'Berlin' }))).toEqual([]);
+    expect(engine.evaluate(at(10, { nextPass, locationName: 'Berlin' }))).toHaveLength(1);
+    clock.now += 600000;
+    expect(engine.evaluate(at(12, { nextPass, locationName: 'Berlin' }))).toEqual([]);
+
+    expect(fired).toHaveLength(1);
+    expect(fired[0]).toMatchObject({ type: 'pass', title: 'ISS rising in 10 min' });
+    expect(fired[0].message).toContain('over Berlin at 12:20 UTC, reaching 62°');
+    expect(fired[0].time).toEqual(new Date(T0 + 10 * 60000));
+  });
+
+  test('should fire on eclipse entry and equator crossings only when enabled', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const clock = createClock();
+    const engine = new NotificationEngine({ clock });
+
+    engine.evaluate(at(0, { latitude: -1, eclipseState: 'penumbra' }));
+    expect(engine.evaluate(at(1, { latitude: 2, eclipseState: 'umbra' }))).toEqual([]);
+
+    engine.setRule('eclipse', { enabled: true });
+    engine.setRule('equator', { enabled: true });
+    engine.evaluate(at(2, { latitude: 5, eclipseState: 'sunlit' }));
+    const fired = engine.evaluate(at(3, { latitude: -3, eclipseState: 'umbra' }));
+
+    expect(fired.map(n => n.type)).toEqual(['eclipse', 'equator']);
+    expect(fired[1].message).toContain('southbound');
+  });
+
+  test('should not report crossings across a time jump', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const engine = new NotificationEngine({ clock: createClock() });
+    engine.setRule('equator', { enabled: true });
+
+    engine.evaluate(at(0, { latitude: 10 }));
+    expect(engine.evaluate(at(60, { latitude: -10 }))).toEqual([]);
+    expect(engine.evaluate(at(59, { latitude: 10 }))).toEqual([]);
+  });
+
+  test('should hold back repeats until the cooldown has passed', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const clock = createClock();
+    const engine = new NotificationEngine({ clock, cooldownMs: 30000 });
+    engine.setRule('equator', { enabled: true });
+
+    engine.evaluate(at(0, { latitude: -1 }));
+    expect(engine.evaluate(at(1, { latitude: 1 }))).toHaveLength(1);
+    clock.now += 10000;
+    expect(engine.evaluate(at(2, { latitude: -1 }))).toEqual([]);
+    clock.now += 30000;
+    expect(engine.evaluate(at(3, { latitude: 1 }))).toHaveLength(1);
+  });
+
+  test('should detect a reboost from a newer, higher TLE', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const engine = new NotificationEngine({ clock: createClock() });
+    const epoch1 = new Date(T0 - 86400000);
+    const epoch2 = new Date(T0);
+
+    engine.evaluate(at(0, { tleEpoch: epoch1, meanAltitude: 415.2 }));
+    expect(engine.evaluate(at(1, { tleEpoch: epoch1, meanAltitude: 418.0 }))).toEqual([]);
+    const fired = engine.evaluate(at(2, { tleEpoch: epoch2, meanAltitude: 417.9 }));
+    expect(fired).toHaveLength(0);
+
+    const boosted = engine.evaluate(at(3, { tleEpoch: new Date(T0 + 86400000), meanAltitude: 419.4 }));
+    expect(boosted).toHaveLength(1);
+    expect(boosted[0].message).toContain('1.5 km higher');
+  });
+
+  test('should report the data source going offline', async () => {
+    const { NotificationEngine } = await import('../../src/utils/notifications.js');
+    const engine = new NotificationEngine({ clock: createClock() });
+    engine.setRule('offline', { enabled: true });
+
+    expect(engine.evaluate(at(0, { isOnline: false }))).toEqual([]);
+    engine.evaluate(at(1, { isOnline: true }));
+    expect(engine.evaluate(at(2, { isOnline: false }))[0]).toMatchObject({ type: 'offline' });
+  });
+});
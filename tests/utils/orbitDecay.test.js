@@ -0,0 +1,71 @@
+/**
+ * Tests for orbitDecay.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Orbit Shape', () => {
+  test('should put the ISS mean orbit around 410-420 km', async () => {
+    const { computeOrbitShape } = await import('../../src/utils/orbitDecay.js');
+    const shape = computeOrbitShape(15.51174618, 0.0008);
+
+    expect(shape.meanAltitude).toBeGreaterThan(405);
+    expect(shape.meanAltitude).toBeLessThan(425);
+    expect(shape.apogeeAltitude - shape.perigeeAltitude).toBeCloseTo(2 * shape.semiMajorAxis * 0.0008, 6);
+    expect((shape.apogeeAltitude + shape.perigeeAltitude) / 2).toBeCloseTo(shape.meanAltitude, 6);
+  });
+
+  test('should reject invalid elements', async () => {
+    const { computeOrbitShape } = await import('../../src/utils/orbitDecay.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+
+    expect(() => computeOrbitShape(0)).toThrow(ValidationError);
+    expect(() => computeOrbitShape(15.5, 1.2)).toThrow(ValidationError);
+  });
+});
+
+describe('Decay Rate', () => {
+  test('should turn a positive mean-motion derivative into falling altitude', async () => {
+    const { decayRateFromMeanMotionDot, computeOrbitShape } = await import('../../src/utils/orbitDecay.js');
+    const n = 15.5;
+    const halfNDot = 0.0001;
+    const rate = decayRateFromMeanMotionDot(n, halfNDot);
+
+    // Matches the change in semi-major axis after one day of the same mean-motion growth
+    const oneDayLater = computeOrbitShape(n + 2 * halfNDot).semiMajorAxis - computeOrbitShape(n).semiMajorAxis;
+    expect(rate).toBeLessThan(0);
+    expect(rate).toBeCloseTo(oneDayLater, 4);
+    expect(decayRateFromMeanMotionDot(n, 0)).toBeCloseTo(0, 10);
+  });
+
+  test('should fit the trend through the per-orbit altitude swing', async () => {
+    const { fitAltitudeTrend } = await import('../../src/utils/orbitDecay.js');
+    const start = Date.UTC(2024, 0, 1);
+    const samples = [];
+    // Two days every 5 minutes: -0.08 km/day plus swings once and twice per 92.68-minute orbit
+    for (let minutes = 0; minutes <= 2880; minutes += 5) {
+      const phase = 2 * Math.PI * minutes / 92.68;
+      samples.push({
+        timestamp: start + minutes * 60000,
+        altitude: 415 - 0.08 * minutes / 1440 + 8 * Math.sin(phase + 0.4) + 10 * Math.cos(2 * phase)
+      });
+    }
+    samples.push({ timestamp: start, altitude: null });
+
+    const trend = fitAltitudeTrend(samples);
+    expect(trend.count).toBe(samples.length - 1);
+    expect(trend.spanHours).toBeCloseTo(48, 6);
+    expect(trend.rateKmPerDay).toBeCloseTo(-0.08, 3);
+    expect(trend.meanAltitude).toBeCloseTo(414.92, 2);
+  });
+
+  test('should not fit a trend to too short a span', async () => {
+    const { fitAltitudeTrend } = await import('../../src/utils/orbitDecay.js');
+    // Six hours every 10 minutes rising 1 km/day
+    const samples = Array.from({ length: 37 }, (_, i) => ({ timestamp: i * 600000, altitude: 415 + i * 600000 / 86400000 }));
+
+    expect(fitAltitudeTrend([])).toBeNull();
+    expect(fitAltitudeTrend(samples.slice(0, 5), { minSpanHours: 0 })).toBeNull();
+    expect(fitAltitudeTrend(samples)).toBeNull();
+    expect(fitAltitudeTrend(samples, { minSpanHours: 6 }).rateKmPerDay).toBeCloseTo(1, 6);
+  });
+});
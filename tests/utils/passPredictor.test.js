@@ -0,0 +1,90 @@
+/**
+ * Tests for passPredictor.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Look Angles', () => {
+  test('should put a point straight above the observer at the zenith', async () => {
+    const { computeLookAngles } = await import('../../src/utils/passPredictor.js');
+    const { geographicToEcef } = await import('../../src/utils/coordinates.js');
+    const observer = { latitude: 40, longitude: -75, elevation: 0 };
+
+    const look = computeLookAngles(geographicToEcef(40, -75, 400), observer);
+
+    expect(look.elevation).toBeCloseTo(90, 4);
+    expect(look.range).toBeCloseTo(400, 6);
+  });
+
+  test('should measure azimuth clockwise from north', async () => {
+    const { computeLookAngles } = await import('../../src/utils/passPredictor.js');
+    const { geographicToEcef } = await import('../../src/utils/coordinates.js');
+    const observer = { latitude: 0, longitude: 0, elevation: 0 };
+
+    expect(computeLookAngles(geographicToEcef(5, 0, 400), observer).azimuth).toBeCloseTo(0, 6);
+    expect(computeLookAngles(geographicToEcef(0, 5, 400), observer).azimuth).toBeCloseTo(90, 6);
+    expect(computeLookAngles(geographicToEcef(0, -5, 400), observer).azimuth).toBeCloseTo(270, 6);
+  });
+});
+
+describe('Earth Shadow', () => {
+  test('should only shade satellites inside the shadow cylinder', async () => {
+    const { isSatelliteSunlit } = await import('../../src/utils/passPredictor.js');
+    const sun = { x: 1.496e8, y: 0, z: 0 };
+
+    expect(isSatelliteSunlit({ x: 6800, y: 0, z: 0 }, sun)).toBe(true);
+    expect(isSatelliteSunlit({ x: -6800, y: 0, z: 0 }, sun)).toBe(false);
+    expect(isSatelliteSunlit({ x: -6800, y: 0, z: 6800 }, sun)).toBe(true);
+  });
+});
+
+describe('ISS Pass Prediction', () => {
+  test('should find ordered passes over London', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const start = new Date('2019-06-06T00:00:00Z');
+
+    const passes = issAPI.predictPasses({ latitude: 51.5, longitude: -0.12, elevation: 20 }, start, { days: 1 });
+
+    expect(passes.length).toBeGreaterThan(2);
+    passes.forEach(pass => {
+      expect(pass.rise.time.getTime()).toBeLessThan(pass.culmination.time.getTime());
+      expect(pass.culmination.time.getTime()).toBeLessThan(pass.set.time.getTime());
+      expect(pass.maxElevation).toBeGreaterThanOrEqual(10);
+      expect(pass.durationSeconds).toBeLessThan(15 * 60);
+    });
+
+    // Near-overhead pass around 16:24 UTC
+    const overhead = passes.find(pass => pass.maxElevation > 80);
+    expect(overhead.culmination.time.toISOString().slice(0, 16)).toBe('2019-06-06T16:24');
+    expect(overhead.culmination.groundDistance).toBeLessThan(100);
+  });
+
+  test('should respect the minimum elevation', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const location = { latitude: 51.5, longitude: -0.12, elevation: 20 };
+    const start = new Date('2019-06-06T00:00:00Z');
+
+    const passes = issAPI.predictPasses(location, start, { days: 1, minElevation: 60 });
+
+    expect(passes.length).toBeGreaterThan(0);
+    passes.forEach(pass => expect(pass.maxElevation).toBeGreaterThanOrEqual(60));
+  });
+
+  test('should rise and set at a raised horizon', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+    const location = { latitude: 51.5, longitude: -0.12, elevation: 20 };
+    const start = new Date('2019-06-06T00:00:00Z');
+
+    const full = issAPI.predictPasses(location, start, { days: 1 });
+    const masked = issAPI.predictPasses(location, start, { days: 1, minElevation: 20, horizon: 20 });
+
+    expect(masked.length).toBeGreaterThan(0);
+    expect(masked.length).toBeLessThan(full.length);
+    masked.forEach(pass => {
+      // The same pass seen from the horizon starts earlier and ends later
+      const outer = full.find(candidate => Math.abs(candidate.culmination.time - pass.culmination.time) < 5000);
+      expect(pass.rise.time.getTime()).toBeGreaterThan(outer.rise.time.getTime());
+      expect(pass.set.time.getTime()).toBeLessThan(outer.set.time.getTime());
+      expect(pass.maxElevation).toBeCloseTo(outer.maxElevation, 1);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for planetaryMoons.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Galilean Moons', () => {
+  test('should match Meeus example 44.a (1992 December 16, 0h)', async () => {
+    const { getMoonConfiguration } = await import('../../src/utils/planetaryMoons.js');
+    const { moons } = getMoonConfiguration('jupiter', new Date(Date.UTC(1992, 11, 16)));
+    const byKey = Object.fromEntries(moons.map(moon => [moon.key, moon.sky]));
+
+    // Expected X (west) and Y (north) in Jupiter radii from the book
+    const expected = { io: [-3.44, 0.21], europa: [7.44, 0.25], ganymede: [1.24, 0.65], callisto: [7.08, 1.10] };
+    Object.entries(expected).forEach(([key, [x, y]]) => {
+      expect(Math.abs(byKey[key].x - x)).toBeLessThan(0.05);
+      expect(Math.abs(byKey[key].y - y)).toBeLessThan(0.05);
+    });
+  });
+
+  test('should keep each moon at its distance from Jupiter', async () => {
+    const { getMoonConfiguration } = await import('../../src/utils/planetaryMoons.js');
+    const { MAJOR_MOONS } = await import('../../src/utils/constants.js');
+    const { moons } = getMoonConfiguration('jupiter', new Date('2024-12-01T00:00:00Z'));
+
+    moons.forEach(moon => {
+      const { x, y, z } = moon.offset;
+      expect(Math.hypot(x, y, z) / MAJOR_MOONS[moon.key].orbitRadius).toBeCloseTo(1, 1);
+      expect(Math.hypot(moon.local.toEarth, moon.local.west, moon.local.north)).toBeCloseTo(Math.hypot(x, y, z), 3);
+    });
+  });
+});
+
+describe('Moon Events', () => {
+  test('should find the Titan transit of 2009 February 24 with its shadow', async () => {
+    const { findMoonEvents } = await import('../../src/utils/planetaryMoons.js');
+    const events = findMoonEvents('saturn', new Date('2009-02-24T00:00:00Z'), new Date('2009-02-25T00:00:00Z'));
+    const titan = events.filter(event => event.moonKey === 'titan');
+    const transit = titan.find(event => event.type === 'transit');
+    const shadow = titan.find(event => event.type === 'shadow');
+
+    // Hubble imaged Titan and its shadow on Saturn's disk together that morning (UTC)
+    expect(transit).toBeDefined();
+    expect(shadow).toBeDefined();
+    expect(transit.start.getTime()).toBeLessThan(shadow.end.getTime());
+    expect(shadow.start.getTime()).toBeLessThan(transit.end.getTime());
+  });
+
+  test('should return events in order within the range', async () => {
+    const { findMoonEvents, MOON_EVENT_TYPES } = await import('../../src/utils/planetaryMoons.js');
+    const start = new Date('2024-12-01T00:00:00Z');
+    const end = new Date('2024-12-03T00:00:00Z');
+    const events = findMoonEvents('jupiter', start, end);
+
+    // Io circles Jupiter in 1.77 days, so it transits at least once in two days
+    expect(events.some(event => event.moonKey === 'io' && event.type === 'transit')).toBe(true);
+    events.forEach((event, i) => {
+      expect(Object.keys(MOON_EVENT_TYPES)).toContain(event.type);
+      expect(event.start.getTime()).toBeGreaterThanOrEqual(start.getTime());
+      expect(event.end.getTime()).toBeLessThanOrEqual(end.getTime());
+      expect(event.end.getTime()).toBeGreaterThan(event.start.getTime());
+      if (i > 0) expect(event.start.getTime()).toBeGreaterThanOrEqual(events[i - 1].start.getTime());
+    });
+  });
+
+  test('should reject planets without a moon theory and invalid ranges', async () => {
+    const { getMoonConfiguration, findMoonEvents } = await import('../../src/utils/planetaryMoons.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const start = new Date('2024-01-01T00:00:00Z');
+
+    expect(() => getMoonConfiguration('mars', start)).toThrow(ValidationError);
+    expect(() => getMoonConfiguration('jupiter', new Date(NaN))).toThrow(ValidationError);
+    expect(() => findMoonEvents('jupiter', start, new Date('2023-12-31T00:00:00Z'))).toThrow(ValidationError);
+    expect(() => findMoonEvents('jupiter', start, new Date('2024-06-01T00:00:00Z'))).toThrow(ValidationError);
+  });
+});
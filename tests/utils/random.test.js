@@ -0,0 +1,47 @@
+/**
+ * Tests for random.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('Seeded Random', () => {
+  test('should repeat a sequence for the same seed and stream', async () => {
+    const { createRandom } = await import('../../src/utils/random.js');
+    const first = draw(createRandom(42, 'starfield'), 100);
+
+    expect(draw(createRandom(42, 'starfield'), 100)).toEqual(first);
+    expect(first.every(value => value >= 0 && value < 1)).toBe(true);
+    // Another seed or another stream gives another sequence
+    expect(draw(createRandom(43, 'starfield'), 100)).not.toEqual(first);
+    expect(draw(createRandom(42, 'asteroid-belt'), 100)).not.toEqual(first);
+  });
+
+  test('should spread values evenly over [0, 1)', async () => {
+    const { createRandom } = await import('../../src/utils/random.js');
+    const values = draw(createRandom(7), 10000);
+    const mean = values.reduce((total, value) => total + value, 0) / values.length;
+    const buckets = new Array(10).fill(0);
+    values.forEach(value => buckets[Math.floor(value * 10)]++);
+
+    expect(mean).toBeCloseTo(0.5, 1);
+    expect(Math.min(...buckets)).toBeGreaterThan(900);
+    expect(Math.max(...buckets)).toBeLessThan(1100);
+  });
+
+  test('should make streams from the current seed', async () => {
+    const { setRandomSeed, getRandomSeed, createSeededRandom, createRandom } = await import('../../src/utils/random.js');
+    const { SIMULATION } = await import('../../src/utils/constants.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+
+    expect(getRandomSeed()).toBe(SIMULATION.RANDOM_SEED);
+    setRandomSeed(1234);
+    expect(getRandomSeed()).toBe(1234);
+    expect(draw(createSeededRandom('shooting-stars'), 10)).toEqual(draw(createRandom(1234, 'shooting-stars'), 10));
+    setRandomSeed(SIMULATION.RANDOM_SEED);
+
+    expect(() => setRandomSeed(1.5)).toThrow(ValidationError);
+    expect(() => createRandom('seed')).toThrow(ValidationError);
+    expect(getRandomSeed()).toBe(SIMULATION.RANDOM_SEED);
+  });
+});
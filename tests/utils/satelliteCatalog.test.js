@@ -0,0 +1,118 @@
+/**
+ * Tests for satelliteCatalog.js utility module
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const EPOCH = new Date(Date.UTC(2024, 0, 1, 12, 0, 0));
+
+// Made-up sun-synchronous satellite
+const USER_TLE = `TEST SAT
+1 99999U 24001A   24001.50000000  .00000100  00000-0  10000-4 0  9990
+2 99999  97.5000  10.0000 0010000   0.0000   0.0000 14.80000000    14`;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('Bundled Catalog', () => {
+  test('should ship stations, science and a Starlink batch without the ISS', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+
+    expect(catalog.getSatellite('sat-48274').name).toBe('CSS (TIANHE)');
+    expect(catalog.getSatellite('sat-20580').group).toBe('science');
+    expect(catalog.getSatellites('starlink').length).toBeGreaterThan(1);
+    expect(catalog.getSatellite('sat-25544')).toBeNull();
+    expect(catalog.getSatellites().every(entry => entry.source === 'bundled')).toBe(true);
+  });
+
+  test('should propagate Hubble to its orbit', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+
+    for (let minutes = 0; minutes < 100; minutes += 10) {
+      const position = catalog.propagate('sat-20580', new Date(EPOCH.getTime() + minutes * 60000));
+      expect(position.altitude).toBeGreaterThan(500);
+      expect(position.altitude).toBeLessThan(580);
+      expect(Math.abs(position.latitude)).toBeLessThan(28.6);
+      expect(position.isExtrapolated).toBe(false);
+    }
+  });
+
+  test('should drop drag for element sets far from their epoch', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+    const position = catalog.propagate('sat-48274', new Date(Date.UTC(2026, 0, 1)));
+
+    expect(position.isExtrapolated).toBe(true);
+    expect(position.altitude).toBeGreaterThan(300);
+    expect(catalog.propagate('sat-00000', EPOCH)).toBeNull();
+  });
+});
+
+describe('Groups', () => {
+  test('should leave hidden groups out of propagation', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+    const total = catalog.getSatellites().length;
+    const starlink = catalog.getSatellites('starlink').length;
+
+    expect(catalog.propagateVisible(EPOCH)).toHaveLength(total);
+
+    catalog.setGroupVisible('starlink', false);
+    expect(catalog.isGroupVisible('starlink')).toBe(false);
+    expect(catalog.propagateVisible(EPOCH)).toHaveLength(total - starlink);
+  });
+
+  test('should draw Starlink as points and small groups as meshes', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const groups = new SatelliteCatalog().getGroups();
+    const group = id => groups.find(g => g.id === id);
+
+    expect(group('starlink').render).toBe('points');
+    expect(group('science').render).toBe('mesh');
+    expect(group('user').count).toBe(0);
+  });
+
+  test('should reject unknown groups', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const { parseTLEText } = await import('../../src/utils/tle.js');
+    const catalog = new SatelliteCatalog();
+
+    expect(() => catalog.addSatellite(parseTLEText(USER_TLE)[0], 'weather')).toThrow('Unknown satellite group');
+  });
+});
+
+describe('User TLEs', () => {
+  test('should add pasted TLEs and remember them', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+    let notified = 0;
+    catalog.onChange(() => notified++);
+
+    const [entry] = catalog.addUserTLEs(USER_TLE);
+
+    expect(entry).toMatchObject({ id: 'sat-99999', name: 'TEST SAT', group: 'user', source: 'user' });
+    expect(notified).toBe(1);
+    expect(new SatelliteCatalog().getSatellite('sat-99999').group).toBe('user');
+
+    catalog.removeSatellite('sat-99999');
+    expect(new SatelliteCatalog().getSatellite('sat-99999')).toBeNull();
+  });
+
+  test('should persist group visibility', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    new SatelliteCatalog().setGroupVisible('science', false);
+
+    expect(new SatelliteCatalog().isGroupVisible('science')).toBe(false);
+  });
+
+  test('should reject text without a valid TLE', async () => {
+    const { SatelliteCatalog } = await import('../../src/utils/satelliteCatalog.js');
+    const catalog = new SatelliteCatalog();
+
+    expect(() => catalog.addUserTLEs('not a TLE')).toThrow('No valid TLE');
+    expect(() => catalog.addUserTLEs(USER_TLE.replace('9990', '9991'))).toThrow('No valid TLE'); // Bad checksum
+    expect(() => catalog.addUserTLEs('')).toThrow();
+  });
+});
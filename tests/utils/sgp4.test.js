@@ -0,0 +1,110 @@
+/**
+ * Tests for tle.js and sgp4.js (ISS orbit propagation)
+ */
+import { describe, test, expect } from '@jest/globals';
+
+// Vallado "Revisiting Spacetrack Report #3" verification case (near-Earth, eccentric)
+const VANGUARD_LINE1 = '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753';
+const VANGUARD_LINE2 = '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667';
+
+describe('TLE Parsing', () => {
+  test('should parse the bundled ISS TLE', async () => {
+    const { parseTLE } = await import('../../src/utils/tle.js');
+    const { ISS_TLE } = await import('../../src/utils/constants.js');
+    const elements = parseTLE(ISS_TLE.LINE1, ISS_TLE.LINE2, ISS_TLE.NAME);
+
+    expect(elements.name).toBe('ISS (ZARYA)');
+    expect(elements.satelliteNumber).toBe('25544');
+    expect(elements.epoch.toISOString()).toBe('2019-06-05T12:12:58.000Z');
+    expect(elements.inclination * 180 / Math.PI).toBeCloseTo(51.6433, 4);
+    expect(elements.eccentricity).toBeCloseTo(0.0008217, 7);
+    expect(elements.bstar).toBeCloseTo(0.59442e-4, 9);
+    expect(elements.meanMotionRevPerDay).toBeCloseTo(15.51174618, 8);
+  });
+
+  test('should reject a line with a bad checksum', async () => {
+    const { parseTLE } = await import('../../src/utils/tle.js');
+    const corrupted = VANGUARD_LINE1.slice(0, 68) + '0';
+
+    expect(() => parseTLE(corrupted, VANGUARD_LINE2)).toThrow('checksum');
+  });
+
+  test('should parse 3-line text blocks', async () => {
+    const { parseTLEText } = await import('../../src/utils/tle.js');
+    const results = parseTLEText(`VANGUARD 1\n${VANGUARD_LINE1}\n${VANGUARD_LINE2}\n`);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].name).toBe('VANGUARD 1');
+  });
+});
+
+describe('SGP4 Propagation', () => {
+  test('should match the Vallado reference vectors', async () => {
+    const { parseTLE } = await import('../../src/utils/tle.js');
+    const { initializeSGP4, propagateMinutes } = await import('../../src/utils/sgp4.js');
+    const satrec = initializeSGP4(parseTLE(VANGUARD_LINE1, VANGUARD_LINE2));
+
+    const atEpoch = propagateMinutes(satrec, 0);
+    expect(atEpoch.position.x).toBeCloseTo(7022.46529266, 4);
+    expect(atEpoch.position.y).toBeCloseTo(-1400.08296755, 4);
+    expect(atEpoch.position.z).toBeCloseTo(0.03995155, 4);
+    expect(atEpoch.velocity.x).toBeCloseTo(1.893841015, 6);
+    expect(atEpoch.velocity.y).toBeCloseTo(6.405893759, 6);
+    expect(atEpoch.velocity.z).toBeCloseTo(4.534807250, 6);
+
+    const after6h = propagateMinutes(satrec, 360);
+    expect(after6h.position.x).toBeCloseTo(-7154.03120202, 4);
+    expect(after6h.position.y).toBeCloseTo(-3783.17682504, 4);
+    expect(after6h.position.z).toBeCloseTo(-3536.19412294, 4);
+  });
+
+  test('should give a realistic ISS altitude and speed', async () => {
+    const { parseTLE } = await import('../../src/utils/tle.js');
+    const { initializeSGP4, propagateToGeodetic } = await import('../../src/utils/sgp4.js');
+    const { ISS_TLE } = await import('../../src/utils/constants.js');
+    const satrec = initializeSGP4(parseTLE(ISS_TLE.LINE1, ISS_TLE.LINE2));
+
+    const state = propagateToGeodetic(satrec, new Date('2019-06-06T00:00:00Z'));
+
+    expect(state.latitude).toBeCloseTo(-35.6236, 3);
+    expect(state.longitude).toBeCloseTo(17.0249, 3);
+    expect(state.altitude).toBeGreaterThan(400);
+    expect(state.altitude).toBeLessThan(440);
+    expect(state.velocity).toBeGreaterThan(27000); // km/h
+    expect(state.velocity).toBeLessThan(28000);
+  });
+
+  test('should reject deep-space orbits', async () => {
+    const { parseTLE } = await import('../../src/utils/tle.js');
+    const { initializeSGP4 } = await import('../../src/utils/sgp4.js');
+    const elements = parseTLE(VANGUARD_LINE1, VANGUARD_LINE2);
+
+    // Two revolutions per day (GPS-like) needs SDP4
+    expect(() => initializeSGP4({ ...elements, meanMotion: 2 * 2 * Math.PI / 1440 })).toThrow('deep-space');
+  });
+
+  test('should compute GMST at J2000', async () => {
+    const { greenwichSiderealTime } = await import('../../src/utils/sgp4.js');
+
+    // GMST at 2000-01-01 12:00 UT1 is 280.46061837°
+    expect(greenwichSiderealTime(2451545.0) * 180 / Math.PI).toBeCloseTo(280.46061837, 5);
+  });
+});
+
+describe('ISS API Propagation', () => {
+  test('should propagate the bundled TLE to any simulation date', async () => {
+    const { issAPI } = await import('../../src/utils/api.js');
+
+    expect(issAPI.hasTLE()).toBe(true);
+
+    const nearEpoch = issAPI.getPropagatedPosition(new Date('2019-06-06T00:00:00Z'));
+    expect(nearEpoch.isPropagated).toBe(true);
+    expect(nearEpoch.isExtrapolated).toBe(false);
+
+    // Far from the epoch the orbit is propagated drag-free instead of decaying
+    const farFromEpoch = issAPI.getPropagatedPosition(new Date('2000-01-01T12:00:00Z'));
+    expect(farFromEpoch.isExtrapolated).toBe(true);
+    expect(Math.abs(farFromEpoch.latitude)).toBeLessThanOrEqual(52);
+    expect(farFromEpoch.altitude).toBeGreaterThan(380);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for starCatalog.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Star Catalog', () => {
+  test('should place catalog stars in the ecliptic frame', async () => {
+    const { getCatalogStars, getStarDirection } = await import('../../src/utils/starCatalog.js');
+    const stars = getCatalogStars();
+    const sirius = stars.find(star => star.hip === 32349);
+    const regulus = stars.find(star => star.hip === 49669);
+
+    expect(stars.length).toBeGreaterThan(100);
+    expect(stars.every(star => star.magnitude <= 6.5)).toBe(true);
+    expect(getCatalogStars(1).map(star => star.hip)).toContain(32349);
+    expect(sirius.magnitude).toBeLessThan(-1.4);
+
+    // Regulus lies almost on the ecliptic (latitude +0.46°)
+    const direction = getStarDirection(regulus);
+    expect(Math.asin(direction.z) * 180 / Math.PI).toBeCloseTo(0.46, 1);
+    expect(Math.hypot(direction.x, direction.y, direction.z)).toBeCloseTo(1, 12);
+  });
+
+  test('should size and color stars by magnitude and B-V', async () => {
+    const { magnitudeToSize, magnitudeToBrightness, bvToColor } = await import('../../src/utils/starCatalog.js');
+    const hot = bvToColor(-0.3); // B star, e.g. Rigel
+    const cool = bvToColor(1.8); // M star, e.g. Antares
+
+    expect(magnitudeToSize(-1.44)).toBeGreaterThan(magnitudeToSize(2));
+    expect(magnitudeToSize(6.5)).toBe(1);
+    expect(magnitudeToBrightness(0)).toBe(1);
+    expect(magnitudeToBrightness(6.5)).toBeCloseTo(0.3, 12);
+    expect(hot.b).toBeGreaterThan(hot.r);
+    expect(cool.r).toBeGreaterThan(cool.b);
+    expect(bvToColor(null)).toEqual({ r: 1, g: 1, b: 1 });
+  });
+
+  test('should find every star of the constellation figures', async () => {
+    const { CONSTELLATIONS, getConstellationFigures, getCatalogStars } = await import('../../src/utils/starCatalog.js');
+    const hips = new Set(getCatalogStars().map(star => star.hip));
+    const figures = getConstellationFigures();
+    const orion = figures.find(figure => figure.abbr === 'Ori');
+
+    expect(CONSTELLATIONS.flatMap(({ lines }) => lines.flat()).filter(hip => !hips.has(hip))).toEqual([]);
+    expect(figures).toHaveLength(CONSTELLATIONS.length);
+    // Orion's figure spans about 20°, so its label sits close to every segment
+    orion.segments.flat().forEach(direction => {
+      const cosine = direction.x * orion.center.x + direction.y * orion.center.y + direction.z * orion.center.z;
+      expect(Math.acos(cosine) * 180 / Math.PI).toBeLessThan(15);
+    });
+  });
+
+  test('should parse hip_main.dat lines and move them to J2000', async () => {
+    const { parseHipparcosCatalog } = await import('../../src/utils/starCatalog.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const line = (hip, vmag, ra, dec, pmRA, pmDec, bv) => {
+      const fields = new Array(78).fill('');
+      Object.assign(fields, { 0: 'H', 1: String(hip).padStart(12), 5: vmag, 8: ra, 9: dec, 12: pmRA, 13: pmDec, 37: bv });
+      return fields.join('|');
+    };
+    const text = [
+      line(32349, '-1.44', '101.28854105', '-16.71314306', '-546.01', '-1223.08', ' 0.009'),
+      line(677, ' 2.07', '002.09653333', '+29.09082805', ' 135.68', ' -162.95', ''),
+      line(1, ' 9.10', '000.00091185', '+01.08901332', '   -5.20', '   -1.88', ' 0.482')
+    ].join('\n');
+    const rows = parseHipparcosCatalog(text);
+
+    expect(rows.map(row => row[0])).toEqual([677, 32349]); // Sorted, fainter than 6.5 dropped
+    expect(rows[0][4]).toBeNull();
+    // Sirius at J2000: 06h 45m 08.92s, -16° 42' 58.0"
+    expect(rows[1][1]).toBeCloseTo(101.28715, 4);
+    expect(rows[1][2]).toBeCloseTo(-16.71612, 4);
+    expect(rows[1][4]).toBeCloseTo(0.009, 6);
+    expect(() => parseHipparcosCatalog('not a catalogue')).toThrow(ValidationError);
+  });
+
+  test('should parse GeoJSON star lists', async () => {
+    const { parseStarGeoJSON } = await import('../../src/utils/starCatalog.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const star = (id, mag, bv, coordinates) => ({ type: 'Feature', id, properties: { mag, bv }, geometry: { type: 'Point', coordinates } });
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        star(32349, -1.44, '0.009', [101.2872, -16.7161]),
+        star(7588, 0.45, '', [-155.5717, -57.2367]),
+        star(1, 9.1, '0.482', [0.0009, 1.089])
+      ]
+    });
+    const rows = parseStarGeoJSON(text);
+
+    expect(rows.map(row => row[0])).toEqual([7588, 32349]); // Sorted, fainter than 6.5 dropped
+    expect(rows[0][1]).toBeCloseTo(204.4283, 4); // Right ascension wrapped to 0-360°
+    expect(rows[0][4]).toBeNull();
+    expect(rows[1]).toEqual([32349, 101.2872, -16.7161, -1.44, 0.009]);
+    expect(() => parseStarGeoJSON('{"type": ')).toThrow(ValidationError);
+    expect(() => parseStarGeoJSON('{"type": "FeatureCollection", "features": []}')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for telemetry.js and telemetry replay in api.js
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const START = Date.UTC(2024, 0, 1, 0, 0, 0);
+
+const SAMPLES = [
+  { timestamp: START, latitude: 10, longitude: 20, altitude: 418, velocity: 27580, source: 'open-notify' },
+  { timestamp: START + 5000, latitude: 10.2, longitude: 20.3, altitude: 418.1, velocity: 27581, source: 'open-notify' },
+  { timestamp: START + 10000, latitude: 10.4, longitude: 20.6, altitude: null, velocity: null, source: 'wheretheiss, "backup"' }
+];
+
+describe('Telemetry Formats', () => {
+  test('should round-trip samples through CSV', async () => {
+    const { telemetryToCSV, parseTelemetryCSV } = await import('../../src/utils/telemetry.js');
+
+    const csv = telemetryToCSV(SAMPLES);
+
+    expect(csv.split('\n')[0]).toBe('timestamp,latitude,longitude,altitude,velocity,source');
+    expect(parseTelemetryCSV(csv)).toEqual(SAMPLES);
+  });
+
+  test('should accept CSV columns in any order', async () => {
+    const { parseTelemetryCSV } = await import('../../src/utils/telemetry.js');
+
+    const samples = parseTelemetryCSV('latitude,longitude,timestamp\n1.5,-2.5,1000\n');
+
+    expect(samples).toEqual([{ timestamp: 1000, latitude: 1.5, longitude: -2.5, altitude: null, velocity: null, source: 'unknown' }]);
+  });
+
+  test('should reject rows with invalid coordinates', async () => {
+    const { parseTelemetryCSV } = await import('../../src/utils/telemetry.js');
+
+    expect(() => parseTelemetryCSV('timestamp,latitude,longitude\n1000,95,0\n')).toThrow();
+  });
+
+  test('should import exported JSON and bare arrays', async () => {
+    const { TelemetryRecorder, parseTelemetry } = await import('../../src/utils/telemetry.js');
+    const recorder = new TelemetryRecorder();
+    recorder.clear();
+    SAMPLES.forEach(sample => recorder.record({ ...sample, provider: sample.source }));
+
+    expect(parseTelemetry(recorder.exportJSON())).toEqual(SAMPLES);
+    expect(parseTelemetry(JSON.stringify(SAMPLES))).toEqual(SAMPLES);
+    expect(parseTelemetry(recorder.exportCSV())).toEqual(SAMPLES);
+  });
+});
+
+describe('Telemetry Recorder', () => {
+  test('should skip duplicate samples and respect the enabled flag', async () => {
+    const { TelemetryRecorder } = await import('../../src/utils/telemetry.js');
+    const recorder = new TelemetryRecorder();
+    recorder.clear();
+
+    recorder.record({ ...SAMPLES[0], provider: 'open-notify' });
+    recorder.record({ ...SAMPLES[0], provider: 'open-notify' });
+    recorder.setEnabled(false);
+    recorder.record({ ...SAMPLES[1], provider: 'open-notify' });
+
+    expect(recorder.getCount()).toBe(1);
+  });
+
+  test('should persist samples in localStorage in batches', async () => {
+    const { TelemetryRecorder } = await import('../../src/utils/telemetry.js');
+    const recorder = new TelemetryRecorder();
+    recorder.clear();
+    recorder.record({ ...SAMPLES[0], provider: 'open-notify' });
+    recorder.record({ ...SAMPLES[1], provider: 'open-notify' });
+
+    // Written by the batched save, or at once by flush() (stopping the recording and page unload call it)
+    expect(new TelemetryRecorder().getSamples()).toEqual([]);
+    recorder.flush();
+    expect(new TelemetryRecorder().getSamples()).toEqual(SAMPLES.slice(0, 2));
+    recorder.record({ ...SAMPLES[2], provider: SAMPLES[2].source });
+    recorder.setEnabled(false);
+    expect(new TelemetryRecorder().getSamples()).toEqual(SAMPLES);
+    recorder.clear();
+  });
+});
+
+describe('Telemetry Replay', () => {
+  test('should emit samples as simulation time reaches them', async () => {
+    const { ISSAPIManager } = await import('../../src/utils/api.js');
+    const manager = new ISSAPIManager();
+    const received = [];
+    manager.onUpdate(position => received.push(position));
+
+    manager.startReplay(SAMPLES, { jumpToStart: false, autoTick: false });
+    manager.updateReplay(new Date(START - 1000));
+    manager.updateReplay(new Date(START + 1000));
+    manager.updateReplay(new Date(START + 2000)); // Same sample - not re-emitted
+    manager.updateReplay(new Date(START + 12000));
+
+    expect(received.map(position => position.timestamp)).toEqual([START, START + 10000]);
+    expect(received[0]).toMatchObject({ isReplay: true, provider: 'replay', recordedSource: 'open-notify', altitude: 418 });
+    expect(manager.getReplayProgress()).toMatchObject({ index: 2, total: 3 });
+
+    // Scrubbing back replays earlier samples
+    manager.updateReplay(new Date(START + 6000));
+    expect(received[2].timestamp).toBe(START + 5000);
+
+    manager.stopReplay();
+    expect(manager.isReplaying()).toBe(false);
+  });
+
+  test('should jump the simulation clock to the start of the recording', async () => {
+    const { ISSAPIManager } = await import('../../src/utils/api.js');
+    const { timeManager } = await import('../../src/utils/time.js');
+    const manager = new ISSAPIManager();
+
+    manager.startReplay(SAMPLES, { autoTick: false });
+
+    expect(timeManager.getSimulationDate().getTime()).toBe(START);
+    expect(timeManager.getTimeSpeed()).toBe(1);
+    expect(manager.getLastPosition().timestamp).toBe(START);
+
+    // Live fetches are suspended while replaying
+    expect(await manager.fetchISSPosition()).toBe(manager.getLastPosition());
+    manager.stopReplay();
+  });
+
+  test('should refuse an empty recording', async () => {
+    const { ISSAPIManager } = await import('../../src/utils/api.js');
+    const manager = new ISSAPIManager();
+
+    expect(() => manager.startReplay([], { autoTick: false })).toThrow('No recorded ISS telemetry');
+  });
+});
@@ -22,6 +22,34 @@ describe('Time Management', () => {
     expect(tm.getTimeSpeed()).toBe(5000);
   });
 
+  test('TimeManager should run time backwards with a negative speed', async () => {
+    const { TimeManager } = await import('../../src/utils/time.js');
+    const tm = new TimeManager();
+
+    tm.setTimeSpeed(-1500);
+    expect(tm.getTimeSpeed()).toBe(-1500);
+    expect(tm.isReversed()).toBe(true);
+    expect(tm.formatTimeSpeed()).toBe('-1.5kx');
+
+    // Magnitude is clamped, direction kept (zero keeps the current direction)
+    tm.setTimeSpeed(-1e9);
+    expect(tm.getTimeSpeed()).toBe(-500000);
+    tm.setTimeSpeed(0);
+    expect(tm.getTimeSpeed()).toBe(-1);
+
+    // Simulation time runs backwards
+    tm.setTimeSpeed(-1000);
+    tm.lastRealTime = Date.now() - 100;
+    tm.update();
+    expect(tm.getSimulationDelta()).toBeLessThan(0);
+    expect(tm.getSimulationTime()).toBeLessThan(0);
+
+    expect(tm.reverse()).toBe(false);
+    expect(tm.getTimeSpeed()).toBe(1000);
+    tm.setTimeDirection(-1);
+    expect(tm.getTimeSpeed()).toBe(-1000);
+  });
+
   test('TimeManager should pause and resume', async () => {
     const { TimeManager } = await import('../../src/utils/time.js');
     const tm = new TimeManager();
@@ -43,4 +71,65 @@ describe('Time Management', () => {
 
     expect(endTime).toBeGreaterThan(startTime);
   });
+
+  test('TimeManager should advance in fixed steps from a manual time source', async () => {
+    const { TimeManager, createManualTimeSource } = await import('../../src/utils/time.js');
+    const { SIMULATION } = await import('../../src/utils/constants.js');
+    const step = SIMULATION.FIXED_TIMESTEP;
+    const clock = createManualTimeSource();
+    const tm = new TimeManager(clock);
+    tm.setTimeSpeed(1000);
+
+    // 40 ms is two and a bit steps: two steps run, the render time is interpolated the rest of the way
+    const stepTimes = [];
+    clock.advance(40);
+    expect(tm.update(undefined, (stepMs, simulationTime) => stepTimes.push([stepMs, simulationTime]))).toBe(2);
+    expect(stepTimes).toEqual([[step, step * 1000], [step, 2 * step * 1000]]);
+    expect(tm.getDeltaTime()).toBe(40);
+    expect(tm.getSimulationTime()).toBeCloseTo(40 * 1000, 3);
+
+    // A long frame runs at most MAX_STEPS_PER_FRAME steps, but the clock keeps up with the time source
+    clock.advance(1000);
+    expect(tm.update()).toBe(SIMULATION.MAX_STEPS_PER_FRAME);
+    expect(tm.getDeltaTime()).toBe(1000);
+    expect(tm.getSimulationTime()).toBeCloseTo(1040 * 1000, 3);
+
+    // Paused: steps still run (for the fixed callbacks) but the clock holds still
+    tm.pause();
+    const heldTime = tm.getSimulationTime();
+    clock.advance(5 * step);
+    expect(tm.update()).toBe(5);
+    expect(tm.getSimulationTime()).toBe(heldTime);
+  });
+
+  test('TimeManager should give the same times for any frame rate', async () => {
+    const { TimeManager, createManualTimeSource } = await import('../../src/utils/time.js');
+    const run = (frameMs, totalMs) => {
+      const tm = new TimeManager(createManualTimeSource());
+      tm.setTimeSpeed(3600);
+      const stepTimes = [];
+      for (let elapsed = 0; elapsed < totalMs; elapsed += frameMs) {
+        tm.update(frameMs, (stepMs, simulationTime) => stepTimes.push(simulationTime));
+      }
+      return stepTimes;
+    };
+
+    // 2.01 s is 120 steps and a bit, whether in 201 short frames or 67 long ones
+    const at100fps = run(10, 2010);
+    const at33fps = run(30, 2010);
+    expect(at100fps.length).toBe(120);
+    expect(at33fps.length).toBe(120);
+    at33fps.forEach((time, i) => expect(time).toBeCloseTo(at100fps[i], 3));
+  });
+
+  test('TimeManager should read dates from its time source', async () => {
+    const { TimeManager, createManualTimeSource } = await import('../../src/utils/time.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const clock = createManualTimeSource(Date.UTC(2024, 3, 8, 18, 17));
+    const tm = new TimeManager(clock);
+
+    tm.resetToCurrentTime();
+    expect(tm.getSimulationDate().toISOString()).toBe('2024-04-08T18:17:00.000Z');
+    expect(() => tm.setTimeSource({})).toThrow(ValidationError);
+  });
 });
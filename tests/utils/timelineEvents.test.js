@@ -0,0 +1,90 @@
+/**
+ * Tests for timelineEvents.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const HOUR = 3600000;
+
+describe('Timeline Events', () => {
+  test('should find the eclipses of 2024', async () => {
+    const { findEclipses } = await import('../../src/utils/timelineEvents.js');
+    const eclipses = findEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+
+    // Penumbral lunar (Mar 25), total solar (Apr 8), partial lunar (Sep 18), annular solar (Oct 2)
+    expect(eclipses.map(eclipse => `${eclipse.kind} ${eclipse.type}`)).toEqual([
+      'penumbral lunar-eclipse', 'total solar-eclipse', 'partial lunar-eclipse', 'annular solar-eclipse'
+    ]);
+    // Greatest eclipse of the Great American Eclipse: 18:17 UTC
+    expect(Math.abs(eclipses[1].time - Date.UTC(2024, 3, 8, 18, 17))).toBeLessThan(0.5 * HOUR);
+    expect(eclipses[1].bodies).toEqual(['earth', 'moon']);
+  });
+
+  test('should find a total lunar eclipse', async () => {
+    const { findEclipses } = await import('../../src/utils/timelineEvents.js');
+    const [eclipse] = findEclipses(new Date('2022-11-01T00:00:00Z'), new Date('2022-11-15T00:00:00Z'));
+
+    // Greatest eclipse 2022 November 8, 10:59 UTC
+    expect(eclipse.label).toBe('Total lunar eclipse');
+    expect(Math.abs(eclipse.time - Date.UTC(2022, 10, 8, 10, 59))).toBeLessThan(0.5 * HOUR);
+  });
+
+  test('should find equinoxes and solstices', async () => {
+    const { findSeasons } = await import('../../src/utils/timelineEvents.js');
+    const seasons = findSeasons(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+
+    expect(seasons.map(season => season.label)).toEqual(['March equinox', 'June solstice', 'September equinox', 'December solstice']);
+    // March equinox 2024: March 20, 03:06 UTC
+    expect(Math.abs(seasons[0].time - Date.UTC(2024, 2, 20, 3, 6))).toBeLessThan(0.5 * HOUR);
+  });
+
+  test('should find planets at opposition and in conjunction', async () => {
+    const { findPlanetAlignments } = await import('../../src/utils/timelineEvents.js');
+    const events = findPlanetAlignments(new Date('2020-09-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'));
+    const mars = events.find(event => event.label === 'Mars at opposition');
+    const greatConjunction = events.find(event => event.label === 'Jupiter and Saturn in conjunction');
+
+    // Mars opposition 2020 October 13, Jupiter-Saturn great conjunction 2020 December 21
+    expect(Math.abs(mars.time - Date.UTC(2020, 9, 13, 23))).toBeLessThan(6 * HOUR);
+    expect(mars.bodies).toEqual(['sun', 'earth', 'mars']);
+    expect(Math.abs(greatConjunction.time - Date.UTC(2020, 11, 21, 18))).toBeLessThan(24 * HOUR);
+    expect(greatConjunction.bodies).toEqual(['earth', 'jupiter', 'saturn']);
+  });
+
+  test('should merge all sky events in time order', async () => {
+    const { findSkyEvents, TIMELINE_EVENT_TYPES } = await import('../../src/utils/timelineEvents.js');
+    const events = findSkyEvents(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+
+    expect(events.every((event, i) => i === 0 || events[i - 1].time <= event.time)).toBe(true);
+    expect(events.every(event => event.type in TIMELINE_EVENT_TYPES)).toBe(true);
+    expect(new Set(events.map(event => event.type)).size).toBe(6);
+  });
+
+  test('should turn ISS passes into events', async () => {
+    const { passesToEvents } = await import('../../src/utils/timelineEvents.js');
+    const pass = {
+      rise: { time: new Date('2024-05-01T20:01:00Z') },
+      culmination: { time: new Date('2024-05-01T20:05:30Z') },
+      set: { time: new Date('2024-05-01T20:10:00Z') },
+      maxElevation: 61.7,
+      isVisible: true
+    };
+    const [event] = passesToEvents([pass]);
+
+    expect(event).toEqual({
+      type: 'iss-pass',
+      time: pass.culmination.time,
+      label: 'ISS pass, 62° high (visible)',
+      detail: '20:01–20:10 UTC',
+      bodies: ['earth', 'iss']
+    });
+  });
+
+  test('should reject invalid ranges', async () => {
+    const { findSkyEvents } = await import('../../src/utils/timelineEvents.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+
+    expect(() => findSkyEvents(new Date('2000-01-01T00:00:00Z'), new Date('2020-01-01T00:00:00Z'))).toThrow(ValidationError);
+    expect(() => findSkyEvents(new Date('2024-02-01T00:00:00Z'), new Date('2024-01-01T00:00:00Z'))).toThrow(ValidationError);
+    expect(() => findSkyEvents(new Date('invalid'), new Date('2024-01-01T00:00:00Z'))).toThrow(ValidationError);
+  });
+});
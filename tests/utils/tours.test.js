@@ -0,0 +1,89 @@
+/**
+ * Tests for tours.js utility module
+ */
+import { describe, test, expect } from '@jest/globals';
+
+describe('Tours', () => {
+  test('should bundle the planet and ISS tours', async () => {
+    const { TOURS } = await import('../../src/utils/tours.js');
+    const [grandTour, issTour] = TOURS;
+
+    expect(TOURS.map(tour => tour.title)).toEqual(['Grand Tour of the Planets', 'Follow the ISS for one orbit']);
+    const visited = grandTour.steps.filter(step => step.action === 'camera' && step.target).map(step => step.target);
+    expect(visited).toEqual(['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune']);
+
+    // At 60x a second is a minute: the steps between speeding up and slowing down cover one ~93 minute orbit
+    const fast = issTour.steps.findIndex(step => step.action === 'speed' && step.speed === 60);
+    const slow = issTour.steps.findIndex((step, i) => i > fast && step.action === 'speed');
+    const simulatedMinutes = issTour.steps.slice(fast, slow)
+      .filter(step => step.action !== 'camera') // The clock holds still during flights
+      .reduce((total, step) => total + (step.duration || 0) / 1000, 0);
+    expect(simulatedMinutes).toBeCloseTo(92.9, -1);
+  });
+
+  test('should fill in step defaults', async () => {
+    const { parseTour } = await import('../../src/utils/tours.js');
+    const tour = parseTour({
+      title: 'Test',
+      steps: [
+        { action: 'caption', text: 'Hello' },
+        { action: 'camera', target: 'mars', direction: [0, 3, 4] },
+        { action: 'camera', position: [0, 2, 4] },
+        { action: 'time', date: '2024-04-08T18:17:00Z' },
+        { action: 'speed', speed: -1000 },
+        { action: 'style', style: 'neon' },
+        { action: 'wait', duration: 1500 }
+      ]
+    });
+
+    expect(tour.description).toBe('');
+    expect(tour.steps).toEqual([
+      { action: 'caption', title: '', text: 'Hello', duration: 6000 },
+      { action: 'camera', target: 'mars', distance: 4, direction: [0, 0.6, 0.8], duration: 3000, follow: true },
+      { action: 'camera', position: [0, 2, 4], lookAt: [0, 0, 0], duration: 3000 },
+      { action: 'time', date: '2024-04-08T18:17:00Z' },
+      { action: 'speed', speed: -1000 },
+      { action: 'style', style: 'neon' },
+      { action: 'wait', duration: 1500 }
+    ]);
+  });
+
+  test('should read tours from JSON text', async () => {
+    const { parseTour, getTourDuration } = await import('../../src/utils/tours.js');
+    const script = {
+      title: 'Moon visit',
+      description: 'A short trip',
+      steps: [
+        { action: 'camera', target: 'moon', distance: 6, follow: false, duration: 2000 },
+        { action: 'caption', title: 'The Moon', text: 'Our nearest neighbor', duration: 5000 }
+      ]
+    };
+    const tour = parseTour(JSON.stringify(script));
+
+    expect(tour).toEqual(parseTour(script));
+    expect(tour.steps[0].follow).toBe(false);
+    expect(getTourDuration(tour)).toBe(7000);
+    // Parsing a parsed tour changes nothing
+    expect(parseTour(tour)).toEqual(tour);
+  });
+
+  test('should reject invalid tours', async () => {
+    const { parseTour } = await import('../../src/utils/tours.js');
+    const { ValidationError } = await import('../../src/utils/validation.js');
+    const withStep = step => ({ title: 'Test', steps: [step] });
+
+    expect(() => parseTour('{"title": "Test", ')).toThrow(ValidationError);
+    expect(() => parseTour({ title: 'Test' })).toThrow(ValidationError);
+    expect(() => parseTour({ title: 'Test', steps: [] })).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'teleport' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'caption' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'camera', target: 'pluto' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'camera', target: 'mars', direction: [0, 0, 0] }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'camera', position: [1, 2] }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'time', date: 'yesterday' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'speed', speed: 1e7 }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'style', style: 'sepia' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'wait' }))).toThrow(ValidationError);
+    expect(() => parseTour(withStep({ action: 'wait', duration: -1 }))).toThrow(ValidationError);
+  });
+});